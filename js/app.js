@@ -104,10 +104,21 @@ class App {
             await this.components.performanceOptimizer.initialize(this.components.dataStorage);
             console.log('PerformanceOptimizer initialized successfully');
 
+            // Initialize audit trail (server-side append-only log)
+            console.log('Initializing AuditTrail...');
+            this.components.auditTrail = new AuditTrail('/api/audit', this.components.dataStorage);
+
+            // Initialize attachment manager (documents stored by the server)
+            this.components.attachmentManager = new AttachmentManager();
+
             // Initialize patient manager
             console.log('Initializing PatientManager...');
             this.components.patientManager = new PatientManager();
-            await this.components.patientManager.initialize(this.components.dataStorage);
+            await this.components.patientManager.initialize(
+                this.components.dataStorage,
+                null,
+                this.components.auditTrail
+            );
             console.log('PatientManager initialized successfully');
 
             // Set up change tracking integration
@@ -137,8 +148,14 @@ class App {
 
                 // Ensure patient manager is available
                 if (!this.components.patientManager) {
+                    this.components.auditTrail = this.components.auditTrail ||
+                        new AuditTrail('/api/audit', this.components.dataStorage);
                     this.components.patientManager = new PatientManager();
-                    await this.components.patientManager.initialize(this.components.dataStorage);
+                    await this.components.patientManager.initialize(
+                        this.components.dataStorage,
+                        null,
+                        this.components.auditTrail
+                    );
                 }
 
                 console.log('Initialized with minimal components');
@@ -202,6 +219,13 @@ class App {
             console.log('Current session:', this.components.authManager.currentSession);
         }
 
+        // Encrypted patient data can only be shown once the practice passphrase unlocked it
+        if (this.components.dataStorage && this.components.dataStorage.isLocked()) {
+            const intendedRoute = window.location.hash.replace('#', '') || 'dashboard';
+            this.showLoginForm(intendedRoute);
+            return;
+        }
+
         // For development: bypass authentication and always show main application
         // TODO: Restore proper authentication for production
         console.log('🚧 Development mode: bypassing authentication');
@@ -289,7 +313,10 @@ class App {
             this.components.loginView = new LoginView(this.components.authManager, {
                 returnTo: returnTo,
                 returnParams: returnParams,
-                onLoginSuccess: this.handleLoginSuccess.bind(this)
+                onLoginSuccess: this.handleLoginSuccess.bind(this),
+                unlockStorage: passphrase => this.components.dataStorage.unlock(passphrase),
+                rotateStorageKey: (previous, passphrase) =>
+                    this.components.dataStorage.rotateEncryptionKey(previous, passphrase)
             });
 
             // Render login form
@@ -422,6 +449,51 @@ class App {
                                     Liste des Patients
                                 </a>
                             </li>
+                            <li class="nav-item">
+                                <a href="#agenda" class="nav-link" data-route="agenda">
+                                    Agenda
+                                </a>
+                            </li>
+                            ${currentUserCan('clinical:read') ? `
+                                <li class="nav-item">
+                                    <a href="#cpap-worklist" class="nav-link" data-route="cpap-worklist">
+                                        Observance PPC
+                                    </a>
+                                </li>
+                                <li class="nav-item">
+                                    <a href="#home-therapies" class="nav-link" data-route="home-therapies">
+                                        OLD / VNI
+                                    </a>
+                                </li>
+                            ` : ''}
+                            ${currentUserCan('patients:delete') ? `
+                                <li class="nav-item">
+                                    <a href="#trash" class="nav-link" data-route="trash">
+                                        Corbeille
+                                    </a>
+                                </li>
+                            ` : ''}
+                            ${currentUserCan('audit:read') ? `
+                                <li class="nav-item">
+                                    <a href="#audit-log" class="nav-link" data-route="audit-log">
+                                        Journal d'audit
+                                    </a>
+                                </li>
+                            ` : ''}
+                            ${currentUserCan('users:manage') ? `
+                                <li class="nav-item">
+                                    <a href="#users-admin" class="nav-link" data-route="users-admin">
+                                        Utilisateurs
+                                    </a>
+                                </li>
+                            ` : ''}
+                            ${currentUserCan('backups:manage') ? `
+                                <li class="nav-item">
+                                    <a href="#backups" class="nav-link" data-route="backups">
+                                        Sauvegardes
+                                    </a>
+                                </li>
+                            ` : ''}
                         </ul>
                     </div>
                 </nav>
@@ -435,6 +507,44 @@ class App {
 
                     <!-- Dashboard Content -->
                     <div id="dashboard-content" class="dashboard-content">
+                        <!-- Today's Agenda -->
+                        <div class="card today-agenda">
+                            <div class="card-header">
+                                <h3 class="card-title">Agenda du jour</h3>
+                                <button class="btn btn-secondary btn-sm" onclick="app.handleDashboardAction('agenda')">
+                                    Ouvrir l'agenda
+                                </button>
+                            </div>
+                            <div class="card-body" id="today-agenda-list">
+                                <p class="no-data">Chargement de l'agenda...</p>
+                            </div>
+                        </div>
+
+                        ${currentUserCan('clinical:read') ? `
+                            <!-- Overdue tuberculosis follow-ups -->
+                            <div class="card tb-overdue">
+                                <div class="card-header">
+                                    <h3 class="card-title">Suivis tuberculose en retard</h3>
+                                </div>
+                                <div class="card-body" id="tb-overdue-list">
+                                    <p class="no-data">Chargement des suivis...</p>
+                                </div>
+                            </div>
+
+                            <!-- LTOT and NIV prescriptions to renew -->
+                            <div class="card home-therapy-reminders">
+                                <div class="card-header">
+                                    <h3 class="card-title">Renouvellements OLD / VNI</h3>
+                                    <button class="btn btn-secondary btn-sm" onclick="app.navigateToRoute('home-therapies')">
+                                        Ouvrir le registre
+                                    </button>
+                                </div>
+                                <div class="card-body" id="home-therapy-reminders-list">
+                                    <p class="no-data">Chargement des prescriptions...</p>
+                                </div>
+                            </div>
+                        ` : ''}
+
                         <div class="dashboard-grid">
                             <div class="dashboard-card" data-action="create-patient">
                                 <div class="dashboard-card-icon">👤</div>
@@ -493,6 +603,14 @@ class App {
                                             <div class="stat-label">Ce Mois</div>
                                         </div>
                                     </div>
+                                    ${currentUserCan('clinical:read') ? `
+                                        <div class="diagnosis-stats">
+                                            <h4 class="diagnosis-stats-title">Diagnostics actifs (CIM-10)</h4>
+                                            <ul class="diagnosis-stats-list" id="diagnosis-stats-list">
+                                                <li class="diagnosis-stats-empty">Aucun diagnostic codé</li>
+                                            </ul>
+                                        </div>
+                                    ` : ''}
                                 </div>
                             </div>
                         </div>
@@ -521,8 +639,11 @@ class App {
             // Insert header logo
             this.insertHeaderLogo();
 
-            // Update dashboard statistics
+            // Update dashboard statistics, today's agenda, overdue TB follow-ups and LTOT/NIV renewals
             this.updateDashboardStats();
+            this.updateTodayAgenda();
+            this.updateTbFollowUps();
+            this.updateHomeTherapyReminders();
 
             console.log('Main application displayed successfully');
 
@@ -718,8 +839,9 @@ class App {
                 this.components.changeTracker.clearAllTracking();
             }
 
-            // Perform logout
+            // Perform logout and forget the patient data key
             this.components.authManager.logout();
+            this.components.dataStorage.lock();
 
             // Show login form
             this.showLoginForm();
@@ -729,6 +851,7 @@ class App {
             console.error('Error during logout process:', error);
             // Force logout even if error occurs
             this.components.authManager.logout();
+            this.components.dataStorage?.lock();
             this.showLoginForm();
         }
     }
@@ -888,6 +1011,7 @@ class App {
      */
     showSessionExpiredMessage() {
         alert('Your session has expired. Please log in again.');
+        this.components.dataStorage?.lock();
         this.showLoginForm();
     }
 
@@ -928,6 +1052,266 @@ class App {
         }
     }
 
+    /**
+     * Load users admin view
+     * @param {Element} container - Container element
+     */
+    async loadUsersAdminView(container) {
+        try {
+            console.log('Loading users admin view...');
+
+            const usersAdminView = new UsersAdminView();
+
+            // Render the view
+            container.innerHTML = usersAdminView.render();
+
+            // Store reference for cleanup
+            this.currentView = usersAdminView;
+
+            // Make it globally accessible for event handlers
+            window.usersAdminView = usersAdminView;
+
+            if (currentUserCan('users:manage')) {
+                await usersAdminView.initialize();
+            }
+
+            console.log('Users admin view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load users admin view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading User Management</h2>
+                    <p>Failed to load the user accounts. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Load backups view
+     * @param {Element} container - Container element
+     */
+    async loadBackupsView(container) {
+        try {
+            console.log('Loading backups view...');
+
+            const backupsView = new BackupsView();
+
+            // Render the view
+            container.innerHTML = backupsView.render();
+
+            // Store reference for cleanup
+            this.currentView = backupsView;
+
+            // Make it globally accessible for event handlers
+            window.backupsView = backupsView;
+
+            if (currentUserCan('backups:manage')) {
+                await backupsView.initialize();
+            }
+
+            console.log('Backups view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load backups view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading Backups</h2>
+                    <p>Failed to load the backups. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Load agenda view
+     * @param {Element} container - Container element
+     * @param {Object} params - Route parameters (date, view, patientId), see AgendaView
+     */
+    async loadAgendaView(container, params = {}) {
+        try {
+            console.log('Loading agenda view...');
+
+            const agendaView = new AgendaView(this.components.patientManager, params);
+
+            // Render the view
+            container.innerHTML = agendaView.render();
+
+            // Store reference for cleanup
+            this.currentView = agendaView;
+
+            // Make it globally accessible for event handlers
+            window.agendaView = agendaView;
+
+            if (currentUserCan('patients:read')) {
+                await agendaView.initialize();
+            }
+
+            console.log('Agenda view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load agenda view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading Agenda</h2>
+                    <p>Failed to load the appointments. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Load the CPAP compliance worklist view
+     * @param {Element} container - Container element
+     */
+    async loadCpapWorklistView(container) {
+        try {
+            console.log('Loading CPAP worklist view...');
+
+            const cpapWorklistView = new CpapWorklistView(this.components.patientManager);
+
+            // Render the view
+            container.innerHTML = cpapWorklistView.render();
+
+            // Store reference for cleanup
+            this.currentView = cpapWorklistView;
+
+            // Make it globally accessible for event handlers
+            window.cpapWorklistView = cpapWorklistView;
+
+            if (currentUserCan('clinical:read')) {
+                await cpapWorklistView.initialize();
+            }
+
+            console.log('CPAP worklist view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load CPAP worklist view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading CPAP Worklist</h2>
+                    <p>Failed to load the CPAP compliance. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Load the oxygen therapy and home ventilation register view
+     * @param {Element} container - Container element
+     */
+    async loadHomeTherapyView(container) {
+        try {
+            console.log('Loading home therapy register view...');
+
+            const homeTherapyView = new HomeTherapyView(this.components.patientManager);
+
+            // Render the view
+            container.innerHTML = homeTherapyView.render();
+
+            // Store reference for cleanup
+            this.currentView = homeTherapyView;
+
+            // Make it globally accessible for event handlers
+            window.homeTherapyView = homeTherapyView;
+
+            if (currentUserCan('clinical:read')) {
+                await homeTherapyView.initialize();
+            }
+
+            console.log('Home therapy register view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load home therapy register view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading Home Therapy Register</h2>
+                    <p>Failed to load the LTOT and NIV prescriptions. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Load recycle bin view
+     * @param {Element} container - Container element
+     */
+    async loadTrashView(container) {
+        try {
+            console.log('Loading recycle bin view...');
+
+            const trashView = new TrashView(this.components.patientManager);
+
+            // Render the view
+            container.innerHTML = trashView.render();
+
+            // Store reference for cleanup
+            this.currentView = trashView;
+
+            // Make it globally accessible for event handlers
+            window.trashView = trashView;
+
+            if (currentUserCan('patients:delete')) {
+                await trashView.initialize();
+            }
+
+            console.log('Recycle bin view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load recycle bin view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading Recycle Bin</h2>
+                    <p>Failed to load the deleted patients. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
+    /**
+     * Load audit log view
+     * @param {Element} container - Container element
+     */
+    async loadAuditLogView(container) {
+        try {
+            console.log('Loading audit log view...');
+
+            const auditLogView = new AuditLogView(
+                this.components.auditTrail,
+                this.components.patientManager
+            );
+
+            // Render the view
+            container.innerHTML = auditLogView.render();
+
+            // Store reference for cleanup
+            this.currentView = auditLogView;
+
+            if (currentUserCan('audit:read')) {
+                await auditLogView.initialize();
+            }
+
+            console.log('Audit log view loaded successfully');
+
+        } catch (error) {
+            console.error('Failed to load audit log view:', error);
+            container.innerHTML = `
+                <div class="error-container">
+                    <h2>Error Loading Audit Trail</h2>
+                    <p>Failed to load the audit trail. Please try refreshing the page.</p>
+                    <button class="btn btn-primary" onclick="location.reload()">Refresh Page</button>
+                </div>
+            `;
+        }
+    }
+
     /**
      * Load patient search view with performance optimizations
      * @param {Element} container - Container element
@@ -1024,6 +1408,21 @@ class App {
                 thisMonthElement.textContent = thisMonthVisits;
             }
 
+            // Patients per active diagnosis of the problem list (top 10)
+            const diagnosisList = document.getElementById('diagnosis-stats-list');
+            if (diagnosisList) {
+                const diagnoses = countActiveDiagnoses(patients).slice(0, 10);
+                diagnosisList.innerHTML = diagnoses.length > 0 ?
+                    diagnoses.map(({ code, label, patients: count }) => `
+                        <li class="diagnosis-stats-item">
+                            <span class="diagnosis-stats-code">${code}</span>
+                            <span class="diagnosis-stats-label">${label}</span>
+                            <span class="diagnosis-stats-count">${count}</span>
+                        </li>
+                    `).join('') :
+                    '<li class="diagnosis-stats-empty">Aucun diagnostic codé</li>';
+            }
+
             console.log(`Dashboard stats updated: ${totalPatients} patients, ${recentVisits} recent visits, ${thisMonthVisits} this month`);
 
         } catch (error) {
@@ -1031,6 +1430,95 @@ class App {
         }
     }
 
+    /**
+     * Show today's appointments on the dashboard
+     */
+    async updateTodayAgenda() {
+        const container = document.getElementById('today-agenda-list');
+        if (!container || !this.components.patientManager) {
+            return;
+        }
+
+        try {
+            const today = formatDateForInput(new Date());
+            const appointments = await this.components.patientManager.getAppointments({ from: today, to: today });
+            const agendaView = new AgendaView(this.components.patientManager);
+            container.innerHTML = agendaView.renderTodayAgenda(appointments);
+
+            // The patient links of the list are handled by the agenda view
+            window.agendaView = window.agendaView || agendaView;
+
+        } catch (error) {
+            console.error('Failed to load today\'s agenda:', error);
+            container.innerHTML = '<p class="error-message">Impossible de charger l\'agenda du jour</p>';
+        }
+    }
+
+    /**
+     * Show the tuberculosis episodes whose weekly follow-up is overdue on the dashboard
+     */
+    async updateTbFollowUps() {
+        const container = document.getElementById('tb-overdue-list');
+        if (!container || !this.components.patientManager) {
+            return;
+        }
+
+        try {
+            const entries = await this.components.patientManager.getOverdueTbFollowUps();
+            container.innerHTML = entries.length === 0 ?
+                '<p class="no-data">Aucun suivi en retard</p>' :
+                `<ul class="tb-overdue-list">
+                    ${entries.map(entry => `
+                        <li>
+                            <a href="#patient-detail?patientId=${entry.id}"
+                               onclick="event.preventDefault(); app.navigateToRoute('patient-detail', { patientId: '${entry.id}' })">${sanitizeHtml(entry.fullName)}</a>
+                            <span>${entry.tbFollowUp.regimen}</span>
+                            <span class="tb-follow-up-overdue">
+                                suivi prévu le ${new Date(entry.tbFollowUp.nextFollowUpDate).toLocaleDateString('fr-FR')},
+                                en retard de ${entry.overdueDays} jour${entry.overdueDays > 1 ? 's' : ''}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>`;
+
+        } catch (error) {
+            console.error('Failed to load overdue TB follow-ups:', error);
+            container.innerHTML = '<p class="error-message">Impossible de charger les suivis tuberculose</p>';
+        }
+    }
+
+    /**
+     * Show the LTOT and NIV prescriptions lapsed or lapsing within the notice period on the dashboard
+     */
+    async updateHomeTherapyReminders() {
+        const container = document.getElementById('home-therapy-reminders-list');
+        if (!container || !this.components.patientManager) {
+            return;
+        }
+
+        try {
+            const entries = await this.components.patientManager.getHomeTherapyReminders();
+            container.innerHTML = entries.length === 0 ?
+                `<p class="no-data">Aucune prescription à renouveler dans les ${HOME_THERAPY_RENEWAL_NOTICE_DAYS} jours</p>` :
+                `<ul class="home-therapy-reminder-list">
+                    ${entries.map(entry => `
+                        <li>
+                            <a href="#patient-detail?patientId=${entry.id}"
+                               onclick="event.preventDefault(); app.navigateToRoute('patient-detail', { patientId: '${entry.id}' })">${sanitizeHtml(entry.fullName)}</a>
+                            <span>${getHomeTherapyType(entry.homeTherapy.type).shortLabel}</span>
+                            <span class="${entry.daysLeft < 0 ? 'home-therapy-lapsed' : 'home-therapy-due'}">
+                                renouvellement le ${new Date(entry.homeTherapy.renewalDate).toLocaleDateString('fr-FR')}${entry.daysLeft < 0 ? ', expirée' : ''}
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>`;
+
+        } catch (error) {
+            console.error('Failed to load LTOT/NIV renewals:', error);
+            container.innerHTML = '<p class="error-message">Impossible de charger les renouvellements OLD / VNI</p>';
+        }
+    }
+
     /**
      * Load create patient form
      * @param {Element} container - Container element
@@ -1105,7 +1593,7 @@ class App {
             }
 
             // Show confirmation dialog
-            const confirmed = confirm('Are you sure you want to delete this patient? This action cannot be undone.');
+            const confirmed = confirm('Move this patient to the recycle bin? The record can be restored from the Corbeille.');
             if (!confirmed) {
                 return false;
             }
@@ -1123,7 +1611,7 @@ class App {
 
             if (result.success) {
                 // Show success message
-                this.components.errorHandler.showSuccess('Patient deleted successfully');
+                this.components.errorHandler.showSuccess(SUCCESS_MESSAGES.patient.deleted);
 
                 // Update dashboard statistics
                 this.updateDashboardStats();
@@ -1323,10 +1811,15 @@ class App {
         if (route === 'dashboard') {
             dashboardContent.style.display = 'block';
             dynamicContent.style.display = 'none';
+
+            // Statuses may have changed in the agenda meanwhile
+            this.updateTodayAgenda();
+            this.updateTbFollowUps();
+            this.updateHomeTherapyReminders();
         } else {
             dashboardContent.style.display = 'none';
             dynamicContent.style.display = 'block';
-            this.loadRouteContent(route);
+            this.loadRouteContent(route, params);
         }
 
         // Update URL hash with parameters
@@ -1340,8 +1833,10 @@ class App {
 
     /**
      * Load content for a specific route
+     * @param {string} route - Route to load
+     * @param {Object} params - Optional route parameters
      */
-    loadRouteContent(route) {
+    loadRouteContent(route, params = {}) {
         const dynamicContent = document.getElementById('dynamic-content');
 
         if (!dynamicContent) {
@@ -1369,6 +1864,34 @@ class App {
                 this.loadPatientDetailView(dynamicContent, route);
                 break;
 
+            case 'users-admin':
+                this.loadUsersAdminView(dynamicContent);
+                break;
+
+            case 'audit-log':
+                this.loadAuditLogView(dynamicContent);
+                break;
+
+            case 'trash':
+                this.loadTrashView(dynamicContent);
+                break;
+
+            case 'agenda':
+                this.loadAgendaView(dynamicContent, params);
+                break;
+
+            case 'cpap-worklist':
+                this.loadCpapWorklistView(dynamicContent);
+                break;
+
+            case 'home-therapies':
+                this.loadHomeTherapyView(dynamicContent);
+                break;
+
+            case 'backups':
+                this.loadBackupsView(dynamicContent);
+                break;
+
             default:
                 dynamicContent.innerHTML = `
                     <div class="card">
@@ -1410,6 +1933,13 @@ class App {
                     this.navigateToRoute('patient-list');
                 }
                 break;
+            case 'agenda':
+                if (this.components.uiRouter) {
+                    this.components.uiRouter.navigateTo('agenda');
+                } else {
+                    this.navigateToRoute('agenda');
+                }
+                break;
             case 'reports':
                 // Reports functionality placeholder
                 alert('Reports functionality will be implemented in future updates.');
@@ -1524,7 +2054,8 @@ class App {
             this.components.patientDetailView = new PatientDetailView(
                 patient,
                 this.components.patientManager,
-                this.components.uiRouter
+                this.components.uiRouter,
+                this.components.attachmentManager
             );
 
             // Render detail view
@@ -1611,6 +2142,11 @@ class App {
                         result.message || 'Patient record created successfully!'
                     );
 
+                    // Warn when the GOLD or GINA classification got worse since the previous visit
+                    (result.classificationWarnings || []).forEach(warning => {
+                        this.components.errorHandler.showWarning(warning.message, 8000);
+                    });
+
                     // Clear form unsaved changes
                     this.components.formManager.markFormAsSaved(formId);
 
@@ -1645,6 +2181,11 @@ class App {
                         result.message || 'Patient record updated successfully!'
                     );
 
+                    // Warn when the GOLD or GINA classification got worse since the previous visit
+                    (result.classificationWarnings || []).forEach(warning => {
+                        this.components.errorHandler.showWarning(warning.message, 8000);
+                    });
+
                     // Clear form unsaved changes
                     this.components.formManager.markFormAsSaved(formId);
 
@@ -0,0 +1,447 @@
+/**
+ * Agenda View Component
+ * Day and week agenda of the appointments ("Agenda"), with the booking form and the status
+ * of each appointment through the consultation day (booked, arrived, seen, no-show, cancelled)
+ */
+
+// Week day names, from Monday
+const AGENDA_WEEKDAYS = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim'];
+
+class AgendaView {
+    /**
+     * @param {PatientManager} patientManager - Patient manager
+     * @param {Object} params - Route parameters: date ('YYYY-MM-DD'), view ('day' or 'week'),
+     *                          patientId to book an appointment for a patient
+     */
+    constructor(patientManager, params = {}) {
+        this.patientManager = patientManager;
+        this.date = /^\d{4}-\d{2}-\d{2}$/.test(params.date || '') ? params.date : formatDateForInput(new Date());
+        this.view = params.view === 'week' ? 'week' : 'day';
+        this.bookingPatientId = params.patientId || '';
+        this.appointments = [];
+        this.patients = [];
+        this.isLoading = false;
+        this.errorMessage = null;
+    }
+
+    /**
+     * Render the agenda interface
+     * @returns {string} HTML string for the agenda interface
+     */
+    render() {
+        if (!currentUserCan('patients:read')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="agenda-container">
+                <div class="content-header">
+                    <h2 class="content-title">Agenda</h2>
+                    <p class="content-subtitle">
+                        Consultations de ${APPOINTMENT_CONFIG.dayStart} à ${APPOINTMENT_CONFIG.dayEnd},
+                        créneaux de ${APPOINTMENT_CONFIG.slotMinutes} minutes
+                    </p>
+                </div>
+
+                <div class="agenda-toolbar">
+                    <div class="agenda-navigation">
+                        <button class="btn btn-secondary btn-sm" onclick="agendaView.shift(-1)" aria-label="Précédent">←</button>
+                        <button class="btn btn-secondary btn-sm" onclick="agendaView.showDate('${formatDateForInput(new Date())}')">
+                            Aujourd'hui
+                        </button>
+                        <button class="btn btn-secondary btn-sm" onclick="agendaView.shift(1)" aria-label="Suivant">→</button>
+                        <input type="date" class="form-control agenda-date" value="${this.date}"
+                               onchange="agendaView.showDate(this.value)" aria-label="Date" />
+                    </div>
+                    <div class="agenda-view-switch" role="tablist">
+                        <button class="btn btn-sm ${this.view === 'day' ? 'btn-primary' : 'btn-secondary'}" role="tab"
+                                aria-selected="${this.view === 'day'}" onclick="agendaView.setView('day')">Jour</button>
+                        <button class="btn btn-sm ${this.view === 'week' ? 'btn-primary' : 'btn-secondary'}" role="tab"
+                                aria-selected="${this.view === 'week'}" onclick="agendaView.setView('week')">Semaine</button>
+                    </div>
+                </div>
+
+                ${currentUserCan('patients:write') ? `<div id="agenda-booking">${this.renderBookingForm()}</div>` : ''}
+
+                <div id="agenda-body">
+                    ${this.renderBody()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the booking form
+     * @returns {string} HTML string for the form
+     */
+    renderBookingForm() {
+        return `
+            <form class="card agenda-booking-form" onsubmit="agendaView.handleBook(event)">
+                <div class="card-header">
+                    <h3 class="card-title">Nouveau rendez-vous</h3>
+                </div>
+                <div class="card-body form-row">
+                    <div class="form-group">
+                        <label for="agenda-patient" class="form-label">Patient</label>
+                        <select id="agenda-patient" name="patientId" class="form-control" required>
+                            <option value="">Choisir un patient</option>
+                            ${this.patients.map(patient => `
+                                <option value="${patient.id}" ${patient.id === this.bookingPatientId ? 'selected' : ''}>
+                                    ${sanitizeHtml(`${String(patient.lastName || '').toUpperCase()} ${patient.firstName || ''}`)}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="agenda-booking-date" class="form-label">Date</label>
+                        <input type="date" id="agenda-booking-date" name="date" class="form-control" value="${this.date}" required />
+                    </div>
+                    <div class="form-group">
+                        <label for="agenda-booking-time" class="form-label">Heure</label>
+                        <input type="time" id="agenda-booking-time" name="time" class="form-control"
+                               min="${APPOINTMENT_CONFIG.dayStart}" max="${APPOINTMENT_CONFIG.dayEnd}" step="300" required />
+                    </div>
+                    <div class="form-group">
+                        <label for="agenda-booking-duration" class="form-label">Durée</label>
+                        <select id="agenda-booking-duration" name="durationMinutes" class="form-control">
+                            ${APPOINTMENT_CONFIG.durations.map(minutes => `
+                                <option value="${minutes}" ${minutes === APPOINTMENT_CONFIG.slotMinutes ? 'selected' : ''}>${minutes} min</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group agenda-booking-reason">
+                        <label for="agenda-booking-reason" class="form-label">Motif</label>
+                        <input type="text" id="agenda-booking-reason" name="reason" class="form-control"
+                               placeholder="Contrôle, EFR, première consultation..."
+                               maxlength="${VALIDATION_RULES.appointments.reason.maxLength}" />
+                    </div>
+                    <button type="submit" class="btn btn-primary">Réserver</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Render the day or week agenda
+     * @returns {string} HTML string for the agenda
+     */
+    renderBody() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Chargement de l'agenda...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return this.view === 'week' ? this.renderWeek() : this.renderDay();
+    }
+
+    /**
+     * Render the slots of the day
+     * @returns {string} HTML string for the day agenda
+     */
+    renderDay() {
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">${this.formatDay(this.date, 'long')}</h3>
+                </div>
+                <div class="card-body">
+                    <table class="agenda-day">
+                        <tbody>
+                            ${agendaSlots(this.date, this.appointments).map(slot => `
+                                <tr class="agenda-slot ${slot.appointments.length === 0 ? 'agenda-slot-free' : ''}">
+                                    <th scope="row" class="agenda-slot-time">${slot.time}</th>
+                                    <td>${slot.appointments.map(appointment => this.renderAppointment(appointment)).join('')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the seven days of the week, one column per day
+     * @returns {string} HTML string for the week agenda
+     */
+    renderWeek() {
+        const today = formatDateForInput(new Date());
+
+        return `
+            <div class="agenda-week">
+                ${agendaWeek(this.date).map((date, index) => {
+                    const appointments = this.appointments.filter(appointment => appointment.date === date);
+                    return `
+                        <div class="agenda-week-day ${date === today ? 'agenda-today' : ''}">
+                            <button class="agenda-week-day-title" onclick="agendaView.showDay('${date}')">
+                                ${AGENDA_WEEKDAYS[index]} ${this.formatDay(date, 'short')}
+                                <span class="agenda-week-count">${appointments.filter(isAppointmentActive).length}</span>
+                            </button>
+                            ${appointments.map(appointment => this.renderAppointment(appointment, true)).join('') ||
+                                '<p class="no-data">Aucun rendez-vous</p>'}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one appointment with its status
+     * @param {Object} appointment - Appointment with its patient
+     * @param {boolean} compact - Show the time and the status as a badge only (week view, dashboard)
+     * @returns {string} HTML string for the appointment
+     */
+    renderAppointment(appointment, compact = false) {
+        const status = getAppointmentStatus(appointment.status) || { key: appointment.status, shortLabel: appointment.status };
+        const name = appointment.patient ?
+            sanitizeHtml(`${String(appointment.patient.lastName || '').toUpperCase()} ${appointment.patient.firstName || ''}`) :
+            'Patient supprimé';
+
+        return `
+            <div class="agenda-appointment appointment-${status.key}" data-appointment-id="${appointment.id}">
+                <span class="agenda-appointment-time">${appointment.time}</span>
+                ${appointment.patient ? `
+                    <a href="#patient-detail?patientId=${appointment.patientId}" class="agenda-appointment-patient"
+                       onclick="event.preventDefault(); agendaView.openPatient('${appointment.patientId}')">${name}</a>
+                ` : `<span class="agenda-appointment-patient">${name}</span>`}
+                ${compact ? '' : `<span class="agenda-appointment-duration">${appointment.durationMinutes} min</span>`}
+                ${appointment.reason && !compact ? `<span class="agenda-appointment-reason">${sanitizeHtml(appointment.reason)}</span>` : ''}
+                ${currentUserCan('patients:write') && !compact ? `
+                    <select class="form-control agenda-appointment-status" aria-label="Statut"
+                            onchange="agendaView.handleStatusChange('${appointment.id}', this.value)">
+                        ${APPOINTMENT_STATUSES.map(({ key, shortLabel }) => `
+                            <option value="${key}" ${key === appointment.status ? 'selected' : ''}>${shortLabel}</option>
+                        `).join('')}
+                    </select>
+                ` : `<span class="appointment-status-badge appointment-${status.key}">${status.shortLabel}</span>`}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the appointments of today for the dashboard
+     * @param {Array} appointments - Appointments of today with their patient
+     * @returns {string} HTML string for the list
+     */
+    renderTodayAgenda(appointments) {
+        const active = appointments.filter(isAppointmentActive);
+        if (appointments.length === 0) {
+            return '<p class="no-data">Aucun rendez-vous aujourd\'hui</p>';
+        }
+
+        return `
+            <p class="today-agenda-summary">
+                ${active.length} rendez-vous · ${appointments.filter(appointment => appointment.status === 'arrived').length} en salle d'attente
+                · ${appointments.filter(appointment => appointment.status === 'seen').length} vus
+            </p>
+            ${sortAppointments(appointments).map(appointment => this.renderAppointment(appointment, true)).join('')}
+        `;
+    }
+
+    /**
+     * Format a date of the agenda in French
+     * @param {string} date - Date ('YYYY-MM-DD')
+     * @param {string} format - 'long' (lundi 3 juin 2024) or 'short' (3/6)
+     * @returns {string} Formatted date
+     */
+    formatDay(date, format) {
+        const options = format === 'long' ?
+            { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' } :
+            { day: 'numeric', month: 'numeric' };
+        return new Date(`${date}T00:00:00`).toLocaleDateString('fr-FR', options);
+    }
+
+    /**
+     * Initialize the view: load the patients to book for and the appointments
+     */
+    async initialize() {
+        if (currentUserCan('patients:write')) {
+            try {
+                this.patients = (await this.patientManager.getAllPatients())
+                    .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`));
+                const booking = document.getElementById('agenda-booking');
+                if (booking) {
+                    booking.innerHTML = this.renderBookingForm();
+                }
+            } catch (error) {
+                log(`Failed to load patients for booking: ${error.message}`, 'error');
+            }
+        }
+        await this.loadAppointments();
+    }
+
+    /**
+     * Load the appointments of the day or week shown
+     */
+    async loadAppointments() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateBody();
+
+        try {
+            const days = this.view === 'week' ? agendaWeek(this.date) : [this.date];
+            this.appointments = await this.patientManager.getAppointments({ from: days[0], to: days[days.length - 1] });
+        } catch (error) {
+            log(`Failed to load agenda: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateBody();
+        }
+    }
+
+    /**
+     * Refresh the agenda
+     */
+    updateBody() {
+        const container = document.getElementById('agenda-body');
+        if (container) {
+            container.innerHTML = this.renderBody();
+        }
+    }
+
+    /**
+     * Refresh the whole view (toolbar date and view switch included) and reload the appointments
+     */
+    async refresh() {
+        const container = document.querySelector('.agenda-container');
+        if (container) {
+            container.outerHTML = this.render();
+        }
+        await this.loadAppointments();
+    }
+
+    /**
+     * Show the agenda of a date
+     * @param {string} date - Date ('YYYY-MM-DD')
+     */
+    async showDate(date) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+            return;
+        }
+        this.date = date;
+        await this.refresh();
+    }
+
+    /**
+     * Show the day view of a date (from the week view)
+     * @param {string} date - Date ('YYYY-MM-DD')
+     */
+    async showDay(date) {
+        this.view = 'day';
+        await this.showDate(date);
+    }
+
+    /**
+     * Switch between the day and week views
+     * @param {string} view - 'day' or 'week'
+     */
+    async setView(view) {
+        this.view = view === 'week' ? 'week' : 'day';
+        await this.refresh();
+    }
+
+    /**
+     * Go to the previous or next day or week
+     * @param {number} direction - -1 or 1
+     */
+    async shift(direction) {
+        await this.showDate(addToDate(this.date, direction, this.view === 'week' ? 'week' : 'day'));
+    }
+
+    /**
+     * Handle the booking form
+     * @param {Event} event - Submit event
+     */
+    async handleBook(event) {
+        event.preventDefault();
+        const form = event.target;
+        const data = Object.fromEntries(new FormData(form).entries());
+
+        try {
+            const result = await this.patientManager.saveAppointment(data);
+            this.showToast(result.message, 'success');
+            this.bookingPatientId = '';
+            form.reset();
+            await this.showDate(result.appointment.date);
+        } catch (error) {
+            log(`Failed to book appointment: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle a status change (arrived, seen, no-show, cancelled)
+     * @param {string} appointmentId - Appointment ID
+     * @param {string} status - New status
+     */
+    async handleStatusChange(appointmentId, status) {
+        const appointment = this.appointments.find(entry => entry.id === appointmentId);
+        if (!appointment) {
+            return;
+        }
+
+        try {
+            const result = await this.patientManager.saveAppointment({ ...appointment, status });
+            this.showToast(result.message, 'success');
+        } catch (error) {
+            log(`Failed to update appointment: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+        await this.loadAppointments();
+    }
+
+    /**
+     * Open the record of the patient of an appointment
+     * @param {string} patientId - Patient ID
+     */
+    openPatient(patientId) {
+        if (window.app && window.app.components.uiRouter) {
+            window.app.components.uiRouter.navigateTo('patient-detail', { patientId });
+        } else if (window.app) {
+            window.app.navigateToRoute('patient-detail', { patientId });
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message - Message to show
+     * @param {string} type - Toast type (success, error, info)
+     */
+    showToast(message, type = 'info') {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AgendaView;
+}
@@ -0,0 +1,204 @@
+/**
+ * Attachment Manager Component
+ * Uploads, lists and removes the documents and images of a patient through the server's
+ * /api/patients/:id/attachments endpoint; the files never go into the local patient store
+ */
+
+class AttachmentManager {
+    constructor(endpoint = '/api/patients') {
+        this.endpoint = endpoint;
+    }
+
+    /**
+     * Base URL of the attachments of a patient
+     * @param {string} patientId - Patient ID
+     * @returns {string} URL
+     */
+    baseUrl(patientId) {
+        return `${this.endpoint}/${encodeURIComponent(patientId)}/attachments`;
+    }
+
+    /**
+     * Call the attachments API
+     * @param {string} patientId - Patient ID
+     * @param {string} path - Path after /attachments
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} Parsed response
+     */
+    async request(patientId, path, options = {}) {
+        const response = await fetch(`${this.baseUrl(patientId)}${path}`, {
+            ...options,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(result.error || ERROR_MESSAGES.network.serverError);
+            error.status = response.status;
+            throw error;
+        }
+        return result;
+    }
+
+    /**
+     * List the attachments of a patient
+     * @param {string} patientId - Patient ID
+     * @returns {Promise<Object>} { attachments, usage }
+     */
+    async list(patientId) {
+        const result = await this.request(patientId, '');
+        return {
+            attachments: Array.isArray(result.attachments) ? result.attachments : [],
+            usage: result.usage || attachmentUsage(result.attachments)
+        };
+    }
+
+    /**
+     * URL of the content of an attachment, shown inline or downloaded
+     * @param {string} patientId - Patient ID
+     * @param {string} attachmentId - Attachment ID
+     * @param {boolean} download - Whether the browser should save the file
+     * @returns {string} URL
+     */
+    contentUrl(patientId, attachmentId, download = false) {
+        return `${this.baseUrl(patientId)}/${encodeURIComponent(attachmentId)}${download ? '?download=1' : ''}`;
+    }
+
+    /**
+     * URL of the thumbnail of an image
+     * @param {string} patientId - Patient ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {string} URL
+     */
+    thumbnailUrl(patientId, attachmentId) {
+        return `${this.baseUrl(patientId)}/${encodeURIComponent(attachmentId)}/thumbnail`;
+    }
+
+    /**
+     * Upload a file
+     * @param {string} patientId - Patient ID
+     * @param {File} file - File chosen by the user
+     * @param {Object} details - { category, description, visitId }
+     * @returns {Promise<Object>} Stored attachment
+     */
+    async upload(patientId, file, { category = 'other', description = '', visitId = null } = {}) {
+        const errors = validateAttachment({ name: file && file.name, category, description, size: file && file.size });
+        if (errors.length > 0) {
+            throw new Error(errors[0].message);
+        }
+
+        const type = attachmentTypeFromName(file.name);
+        const data = await this.readAsBase64(file);
+        const thumbnail = type.preview === 'image' ? await this.createThumbnail(file) : null;
+
+        return this.request(patientId, '', {
+            method: 'POST',
+            body: JSON.stringify({ name: file.name, category, description, visitId: visitId || null, data, thumbnail })
+        });
+    }
+
+    /**
+     * Remove an attachment
+     * @param {string} patientId - Patient ID
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<Object>} Server response
+     */
+    async remove(patientId, attachmentId) {
+        return this.request(patientId, `/${encodeURIComponent(attachmentId)}`, { method: 'DELETE' });
+    }
+
+    /**
+     * Attachments of a patient with their content in base64, for the export of the record
+     * @param {string} patientId - Patient ID
+     * @returns {Promise<Array>} Attachments with data and thumbnail
+     */
+    async exportPatient(patientId) {
+        const result = await this.request(patientId, '?content=1');
+        return Array.isArray(result.attachments) ? result.attachments : [];
+    }
+
+    /**
+     * Upload the attachments of an export again, keeping their IDs; those already on the server are skipped
+     * @param {string} patientId - Patient ID
+     * @param {Array} attachments - Attachments from exportPatient()
+     * @returns {Promise<Object>} { importedCount, skippedCount, errors }
+     */
+    async importPatient(patientId, attachments) {
+        let importedCount = 0;
+        let skippedCount = 0;
+        const errors = [];
+
+        for (const attachment of attachments || []) {
+            try {
+                await this.request(patientId, '', {
+                    method: 'POST',
+                    body: JSON.stringify({
+                        id: attachment.id,
+                        name: attachment.name,
+                        category: attachment.category,
+                        description: attachment.description,
+                        visitId: attachment.visitId || null,
+                        data: attachment.data,
+                        thumbnail: attachment.thumbnail
+                    })
+                });
+                importedCount++;
+            } catch (error) {
+                if (error.status === 409) {
+                    skippedCount++;
+                } else {
+                    errors.push({ attachmentId: attachment.id, error: error.message });
+                }
+            }
+        }
+
+        return { importedCount, skippedCount, errors };
+    }
+
+    /**
+     * Read a file as base64, without the data: prefix
+     * @param {Blob} file - File to read
+     * @returns {Promise<string>} Base64 content
+     */
+    readAsBase64(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+            reader.onerror = () => reject(new Error(`Cannot read ${file.name}`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Scale an image down to a JPEG thumbnail of ATTACHMENT_CONFIG.thumbnailPixels
+     * @param {Blob} file - Image file
+     * @returns {Promise<string|null>} Base64 JPEG, null when the browser cannot decode the image
+     */
+    createThumbnail(file) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                const scale = Math.min(1, ATTACHMENT_CONFIG.thumbnailPixels / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(image.width * scale));
+                canvas.height = Math.max(1, Math.round(image.height * scale));
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', 0.8).replace(/^data:[^,]*,/, ''));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            image.src = url;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentManager;
+}
@@ -0,0 +1,369 @@
+/**
+ * Audit Log View Component
+ * Displays the server audit trail filtered by patient, user and date range
+ */
+
+class AuditLogView {
+    constructor(auditTrail, patientManager = null) {
+        this.auditTrail = auditTrail;
+        this.patientManager = patientManager;
+        this.entries = [];
+        this.total = 0;
+        this.patientNames = new Map();
+        this.chainStatus = null;
+        this.isLoading = false;
+        this.errorMessage = null;
+        this.filters = { patientId: '', user: '', from: '', to: '' };
+
+        // Bind methods
+        this.handleFilter = this.handleFilter.bind(this);
+        this.handleReset = this.handleReset.bind(this);
+    }
+
+    /**
+     * Render the audit log interface
+     * @returns {string} HTML string for the audit log interface
+     */
+    render() {
+        if (!currentUserCan('audit:read')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="audit-log-container">
+                <div class="content-header">
+                    <h2 class="content-title">Audit Trail</h2>
+                    <p class="content-subtitle">Who viewed, created, modified or deleted patient records, and when</p>
+                </div>
+
+                <div id="audit-chain-status" class="audit-chain-status">
+                    ${this.renderChainStatus()}
+                </div>
+
+                <!-- Filters -->
+                <div class="card">
+                    <div class="card-body">
+                        <form id="audit-filter-form" class="audit-filter-form">
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="audit-filter-patient" class="form-label">Patient</label>
+                                    <select id="audit-filter-patient" name="patientId" class="form-control">
+                                        <option value="">All patients</option>
+                                        ${this.renderPatientOptions()}
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="audit-filter-user" class="form-label">User</label>
+                                    <input type="text" id="audit-filter-user" name="user" class="form-control"
+                                           placeholder="Username" value="${sanitizeHtml(this.filters.user)}" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="audit-filter-from" class="form-label">From</label>
+                                    <input type="date" id="audit-filter-from" name="from" class="form-control" value="${this.filters.from}" />
+                                </div>
+                                <div class="form-group">
+                                    <label for="audit-filter-to" class="form-label">To</label>
+                                    <input type="date" id="audit-filter-to" name="to" class="form-control" value="${this.filters.to}" />
+                                </div>
+                            </div>
+                            <div class="form-actions">
+                                <button type="button" class="btn btn-secondary" id="audit-filter-reset">Reset</button>
+                                <button type="submit" class="btn btn-primary">Filter</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+
+                <!-- Entries -->
+                <div id="audit-log-entries" class="audit-log-entries">
+                    ${this.renderEntries()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render patient options for the filter
+     * @returns {string} HTML string for the options
+     */
+    renderPatientOptions() {
+        return [...this.patientNames.entries()]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .map(([id, name]) => `
+                <option value="${id}" ${id === this.filters.patientId ? 'selected' : ''}>${sanitizeHtml(name)}</option>
+            `).join('');
+    }
+
+    /**
+     * Render the hash chain verification result
+     * @returns {string} HTML string for the chain status
+     */
+    renderChainStatus() {
+        if (!this.chainStatus) {
+            return '';
+        }
+
+        if (this.chainStatus.valid) {
+            return `<p class="audit-chain-valid">✓ Integrity verified: ${this.chainStatus.entries} entries, hash chain intact</p>`;
+        }
+
+        return `
+            <p class="audit-chain-broken">
+                ⚠ The audit log has been altered at entry ${this.chainStatus.brokenAt}: ${sanitizeHtml(this.chainStatus.reason)}
+            </p>
+        `;
+    }
+
+    /**
+     * Render the audit entries table
+     * @returns {string} HTML string for the entries
+     */
+    renderEntries() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Loading audit trail...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.entries.length === 0) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="no-data">No audit entries match these filters</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">
+                        ${this.total > this.entries.length ? `${this.entries.length} most recent of ${this.total}` : this.total} entries
+                    </h3>
+                </div>
+                <div class="card-body">
+                    <table class="audit-log-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>User</th>
+                                <th>Action</th>
+                                <th>Patient</th>
+                                <th>Changes</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.entries.map(entry => this.renderEntry(entry)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single audit entry
+     * @param {Object} entry - Audit entry
+     * @returns {string} HTML string for the row
+     */
+    renderEntry(entry) {
+        const patientLabel = entry.patientId ?
+            sanitizeHtml(this.patientNames.get(entry.patientId) || entry.patientId) : '—';
+
+        return `
+            <tr data-seq="${entry.seq}">
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${sanitizeHtml(entry.username || (entry.details && entry.details.username) || '—')}</td>
+                <td><span class="audit-action audit-action-${entry.action.split('.')[1]}">${entry.action}</span></td>
+                <td>${patientLabel}</td>
+                <td>${this.renderChanges(entry)}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render the field-level changes of an entry
+     * @param {Object} entry - Audit entry
+     * @returns {string} HTML string for the changes
+     */
+    renderChanges(entry) {
+        if (!entry.changes || entry.changes.length === 0) {
+            return entry.details && entry.details.type ? sanitizeHtml(entry.details.type) : '';
+        }
+
+        return `
+            <details class="audit-changes">
+                <summary>${entry.changes.length} field${entry.changes.length > 1 ? 's' : ''}</summary>
+                <ul>
+                    ${entry.changes.map(change => `
+                        <li>
+                            <strong>${sanitizeHtml(change.field)}</strong>:
+                            <span class="audit-before">${this.formatValue(change.before)}</span>
+                            →
+                            <span class="audit-after">${this.formatValue(change.after)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Format a changed value for display
+     * @param {*} value - Value to format
+     * @returns {string} Escaped text
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') {
+            return '<em>empty</em>';
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return sanitizeHtml(text.length > 200 ? `${text.slice(0, 200)}…` : text);
+    }
+
+    /**
+     * Initialize the view: attach listeners, load patient names and entries
+     */
+    async initialize() {
+        const form = document.getElementById('audit-filter-form');
+        if (form) {
+            form.addEventListener('submit', this.handleFilter);
+        }
+
+        const resetButton = document.getElementById('audit-filter-reset');
+        if (resetButton) {
+            resetButton.addEventListener('click', this.handleReset);
+        }
+
+        await this.loadPatientNames();
+        await Promise.all([this.loadEntries(), this.verifyChain()]);
+    }
+
+    /**
+     * Load patient names so entries show names instead of IDs
+     */
+    async loadPatientNames() {
+        if (!this.patientManager) {
+            return;
+        }
+
+        try {
+            const patients = await this.patientManager.getAllPatients();
+            patients.forEach(patient => {
+                this.patientNames.set(patient.id, patient.fullName || `${patient.firstName} ${patient.lastName}`);
+            });
+
+            const select = document.getElementById('audit-filter-patient');
+            if (select) {
+                select.innerHTML = `<option value="">All patients</option>${this.renderPatientOptions()}`;
+            }
+        } catch (error) {
+            log(`Failed to load patient names for audit view: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Load entries matching the current filters
+     */
+    async loadEntries() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateSection('audit-log-entries', this.renderEntries());
+
+        try {
+            const result = await this.auditTrail.query(this.filters);
+            this.entries = result.entries || [];
+            this.total = result.total || 0;
+        } catch (error) {
+            log(`Failed to load audit trail: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateSection('audit-log-entries', this.renderEntries());
+        }
+    }
+
+    /**
+     * Verify the hash chain and show the result
+     */
+    async verifyChain() {
+        try {
+            this.chainStatus = await this.auditTrail.verify();
+        } catch (error) {
+            log(`Failed to verify audit trail: ${error.message}`, 'error');
+            this.chainStatus = null;
+        }
+        this.updateSection('audit-chain-status', this.renderChainStatus());
+    }
+
+    /**
+     * Replace the content of a section of the view
+     * @param {string} elementId - Container ID
+     * @param {string} html - New content
+     */
+    updateSection(elementId, html) {
+        const container = document.getElementById(elementId);
+        if (container) {
+            container.innerHTML = html;
+        }
+    }
+
+    /**
+     * Apply the filter form
+     * @param {Event} event - Submit event
+     */
+    async handleFilter(event) {
+        event.preventDefault();
+        const form = event.target;
+
+        this.filters = {
+            patientId: form.patientId.value,
+            user: form.user.value.trim(),
+            from: form.from.value,
+            to: form.to.value
+        };
+
+        await this.loadEntries();
+    }
+
+    /**
+     * Clear all filters
+     */
+    async handleReset() {
+        const form = document.getElementById('audit-filter-form');
+        if (form) {
+            form.reset();
+        }
+
+        this.filters = { patientId: '', user: '', from: '', to: '' };
+        await this.loadEntries();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditLogView;
+}
@@ -0,0 +1,168 @@
+/**
+ * Audit Trail Component
+ * Sends patient access and modification events to the server's append-only audit log
+ * and reads it back for the audit viewer. Events waiting for the server carry field values,
+ * so the queue is kept in the encrypted patient stores of the DataStorageManager.
+ */
+
+class AuditTrail {
+    /**
+     * @param {string} endpoint - Audit API endpoint
+     * @param {DataStorageManager} dataStorage - Storage encrypting the queue; without it, the queue stays in memory
+     */
+    constructor(endpoint = '/api/audit', dataStorage = null) {
+        this.endpoint = endpoint;
+        this.dataStorage = dataStorage;
+        this.queueKey = 'pms_audit_queue';
+        this.memoryQueue = [];
+        this.maxQueuedEntries = 1000;
+        this.isFlushing = false;
+    }
+
+    /**
+     * Record an event; events that cannot reach the server are queued and resent later
+     * @param {string} action - One of AUDIT_ACTIONS
+     * @param {Object} data - Event data
+     * @param {string} data.patientId - Patient concerned
+     * @param {string} data.visitId - Visit concerned
+     * @param {Array} data.changes - Field-level changes ({ field, before, after })
+     * @param {Object} data.details - Additional details
+     * @returns {Promise<Object>} Result with success status
+     */
+    async record(action, { patientId = null, visitId, changes, details } = {}) {
+        const entry = { action, patientId, visitId, changes, details, occurredAt: getCurrentTimestamp() };
+
+        try {
+            await this.send(entry);
+            this.flushPending();
+            return { success: true };
+        } catch (error) {
+            log(`Audit event queued (${action}): ${error.message}`, 'info');
+            await this.queue(entry);
+            return { success: false, queued: true, message: error.message };
+        }
+    }
+
+    /**
+     * Post one event to the server
+     * @param {Object} entry - Event to send
+     */
+    async send(entry) {
+        const { occurredAt, ...event } = entry;
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...event,
+                details: { ...(event.details || {}), occurredAt }
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Audit server responded ${response.status}`);
+        }
+    }
+
+    /**
+     * Read the events waiting for the server
+     * @returns {Promise<Array>} Queued events, oldest first
+     */
+    async readQueue() {
+        return this.dataStorage ? this.dataStorage.readStore(this.queueKey, []) : [...this.memoryQueue];
+    }
+
+    /**
+     * Replace the events waiting for the server (encrypted once a practice passphrase is set up)
+     * @param {Array} pending - Queued events, oldest first
+     */
+    async writeQueue(pending) {
+        if (this.dataStorage) {
+            await this.dataStorage.writeStore(this.queueKey, pending);
+        } else {
+            this.memoryQueue = pending;
+        }
+    }
+
+    /**
+     * Keep an event for a later attempt
+     * @param {Object} entry - Event to keep
+     */
+    async queue(entry) {
+        try {
+            const pending = await this.readQueue();
+            pending.push(entry);
+            await this.writeQueue(pending.slice(-this.maxQueuedEntries));
+        } catch (error) {
+            log(`Failed to queue audit event: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Resend queued events in their original order
+     */
+    async flushPending() {
+        if (this.isFlushing) {
+            return;
+        }
+
+        this.isFlushing = true;
+        try {
+            const pending = await this.readQueue();
+
+            while (pending.length > 0) {
+                await this.send(pending[0]);
+                pending.shift();
+                await this.writeQueue(pending);
+            }
+        } catch (error) {
+            log(`Queued audit events not sent yet: ${error.message}`, 'info');
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * Search the audit log
+     * @param {Object} filters - { patientId, user, action, from, to, limit }
+     * @returns {Promise<Object>} { total, entries }
+     */
+    async query(filters = {}) {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+
+        return this.get(`${this.endpoint}?${params.toString()}`);
+    }
+
+    /**
+     * Check the integrity of the server's hash chain
+     * @returns {Promise<Object>} { valid, entries, brokenAt, reason }
+     */
+    async verify() {
+        return this.get(`${this.endpoint}/verify`);
+    }
+
+    /**
+     * GET a JSON resource from the audit API
+     * @param {string} url - Resource URL
+     * @returns {Promise<Object>} Parsed response
+     */
+    async get(url) {
+        const response = await fetch(url, { credentials: 'same-origin' });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.error || ERROR_MESSAGES.network.serverError);
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuditTrail;
+}
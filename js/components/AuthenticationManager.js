@@ -69,9 +69,10 @@ class AuthenticationManager {
      * Authenticate user with username and password
      * @param {string} username - Username
      * @param {string} password - Password
+     * @param {string} passphrase - Practice passphrase, needed while the server data is locked
      * @returns {Promise<boolean>} True if authentication successful
      */
-    async login(username, password) {
+    async login(username, password, passphrase = null) {
         try {
             // Check if account is locked out
             if (this.isLockedOut()) {
@@ -84,13 +85,15 @@ class AuthenticationManager {
             }
 
             // Validate credentials
-            const isValid = await this.validateCredentials(username, password);
+            const user = await this.validateCredentials(username, password, passphrase);
 
-            if (isValid) {
+            if (user) {
                 // Create new session
                 const sessionData = {
-                    userId: generateId(),
-                    username: username.trim(),
+                    userId: user.id,
+                    username: user.username,
+                    displayName: user.displayName,
+                    role: user.role,
                     loginTime: getCurrentTimestamp(),
                     lastActivity: getCurrentTimestamp(),
                     isAuthenticated: true
@@ -136,6 +139,10 @@ class AuthenticationManager {
 
             this.currentSession = null;
 
+            // Close the server session as well; the cookie is cleared by the response
+            fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' })
+                .catch(error => console.error('Error closing server session:', error));
+
             log(`User ${username} logged out`);
         } catch (error) {
             console.error('Error during logout:', error);
@@ -167,69 +174,57 @@ class AuthenticationManager {
         return {
             userId: this.currentSession.userId,
             username: this.currentSession.username,
+            displayName: this.currentSession.displayName,
+            role: this.currentSession.role,
             loginTime: this.currentSession.loginTime,
             lastActivity: this.currentSession.lastActivity
         };
     }
 
     /**
-     * Validate user credentials
-     * @param {string} username - Username to validate
-     * @param {string} password - Password to validate
-     * @returns {Promise<boolean>} True if credentials are valid
+     * Check whether the current user's role grants a permission
+     * @param {string} permission - Permission name (e.g. 'clinical:read')
+     * @returns {boolean} True if authenticated and granted
      */
-    async validateCredentials(username, password) {
-        try {
-            // For this implementation, we'll use a simple hardcoded credential
-            // In a real application, this would validate against a secure backend
-            const validUsername = 'dr.sahboub';
-            const validPasswordHash = await this.hashPassword('pneumo2024');
-            const inputPasswordHash = await this.hashPassword(password);
-
-            return username.toLowerCase().trim() === validUsername &&
-                inputPasswordHash === validPasswordHash;
-        } catch (error) {
-            console.error('Error validating credentials:', error);
-            return false;
-        }
+    hasPermission(permission) {
+        return Boolean(this.isAuthenticated() && this.currentSession.hasPermission(permission));
     }
 
     /**
-     * Hash password using Web Crypto API
-     * @param {string} password - Password to hash
-     * @returns {Promise<string>} Hashed password
+     * Validate user credentials against the server
+     * On success the server also sets the HttpOnly session cookie used by the API
+     * @param {string} username - Username to validate
+     * @param {string} password - Password to validate
+     * @param {string} passphrase - Practice passphrase unlocking the server data
+     * @returns {Promise<Object|null>} Authenticated user or null if credentials are invalid
      */
-    async hashPassword(password) {
-        try {
-            const encoder = new TextEncoder();
-            const data = encoder.encode(password + 'pneumo_salt_2024'); // Add salt
-            const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        } catch (error) {
-            console.error('Error hashing password:', error);
-            // Fallback to simple hash if Web Crypto API is not available
-            return this.simpleHash(password);
+    async validateCredentials(username, password, passphrase = null) {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: username.trim(), password, passphrase })
+        });
+
+        if (response.status === 401) {
+            return null;
         }
-    }
 
-    /**
-     * Simple hash function as fallback
-     * @param {string} str - String to hash
-     * @returns {string} Hashed string
-     */
-    simpleHash(str) {
-        let hash = 0;
-        const salt = 'pneumo_salt_2024';
-        const input = str + salt;
-
-        for (let i = 0; i < input.length; i++) {
-            const char = input.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
+        if (response.status === 429) {
+            throw new Error(ERROR_MESSAGES.auth.tooManyAttempts);
+        }
+
+        // The server data is encrypted and the passphrase is missing or wrong
+        if (response.status === 423) {
+            throw new Error(passphrase ? ERROR_MESSAGES.auth.passphraseIncorrect : ERROR_MESSAGES.auth.passphraseRequired);
+        }
+
+        if (!response.ok) {
+            throw new Error(ERROR_MESSAGES.network.serverError);
         }
 
-        return Math.abs(hash).toString(16);
+        const result = await response.json();
+        return result.user;
     }
 
     /**
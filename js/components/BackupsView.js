@@ -0,0 +1,330 @@
+/**
+ * Backups View Component
+ * Lists the server backups ("Sauvegardes") and lets doctors create, verify and restore them
+ */
+
+// Labels for the reason a backup was made
+const BACKUP_REASON_LABELS = {
+    scheduled: 'Scheduled',
+    manual: 'Manual',
+    'pre-restore': 'Before restore'
+};
+
+// Labels for the retention tiers keeping a backup
+const BACKUP_TIER_LABELS = {
+    recent: 'Recent',
+    daily: 'Daily',
+    weekly: 'Weekly',
+    monthly: 'Monthly'
+};
+
+class BackupsView {
+    constructor() {
+        this.backups = [];
+        this.directory = null;
+        this.intervalHours = BACKUP_CONFIG.intervalHours;
+        this.verifications = new Map();
+        this.isLoading = false;
+        this.isBusy = false;
+        this.errorMessage = null;
+    }
+
+    /**
+     * Render the backups interface
+     * @returns {string} HTML string for the backups interface
+     */
+    render() {
+        if (!currentUserCan('backups:manage')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="backups-container">
+                <div class="content-header">
+                    <h2 class="content-title">Backups</h2>
+                    <p class="content-subtitle">
+                        Compressed and checksummed copies of the server data, kept daily for ${BACKUP_CONFIG.keepDaily} days,
+                        weekly for ${BACKUP_CONFIG.keepWeekly} weeks and monthly for ${BACKUP_CONFIG.keepMonthly} months
+                    </p>
+                </div>
+
+                <div id="backups-list">
+                    ${this.renderBackups()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the backups table
+     * @returns {string} HTML string for the table
+     */
+    renderBackups() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Loading backups...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="card">
+                <div class="card-header backups-header">
+                    <h3 class="card-title">Backups (${this.backups.length})</h3>
+                    <button class="btn btn-primary btn-sm" onclick="backupsView.handleCreate()" ${this.isBusy ? 'disabled' : ''}>
+                        Back up now
+                    </button>
+                </div>
+                <div class="card-body">
+                    <p class="backups-directory">
+                        Folder: <code>${sanitizeHtml(this.directory || '—')}</code> ·
+                        automatic backup every ${this.intervalHours} h
+                    </p>
+                    ${this.backups.length === 0 ? '<p class="no-data">No backup yet</p>' : `
+                        <table class="backups-table">
+                            <thead>
+                                <tr>
+                                    <th>Date</th>
+                                    <th>Type</th>
+                                    <th>Size</th>
+                                    <th>Kept as</th>
+                                    <th>Integrity</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${this.backups.map(backup => this.renderBackup(backup)).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single backup
+     * @param {Object} backup - Backup description from the server
+     * @returns {string} HTML string for the row
+     */
+    renderBackup(backup) {
+        const verification = this.verifications.get(backup.name);
+        let integrity = '<span class="backup-unchecked">Not checked</span>';
+        if (verification) {
+            integrity = verification.valid ?
+                `<span class="backup-valid">✓ Valid (${verification.files.length} files)</span>` :
+                `<span class="backup-invalid">✗ ${sanitizeHtml(verification.reason)}</span>`;
+        }
+
+        return `
+            <tr data-backup-name="${sanitizeHtml(backup.name)}">
+                <td>${new Date(backup.createdAt).toLocaleString()}</td>
+                <td>${BACKUP_REASON_LABELS[backup.reason] || sanitizeHtml(backup.reason)}</td>
+                <td>${this.formatSize(backup.size)}</td>
+                <td>${backup.tiers.map(tier => BACKUP_TIER_LABELS[tier] || tier).join(', ')}</td>
+                <td>${integrity}</td>
+                <td class="backups-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="backupsView.handleVerify('${backup.name}')" ${this.isBusy ? 'disabled' : ''}>
+                        Verify
+                    </button>
+                    <button class="btn btn-danger btn-sm" onclick="backupsView.handleRestore('${backup.name}')" ${this.isBusy ? 'disabled' : ''}>
+                        Restore
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Format a size in bytes
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Human readable size
+     */
+    formatSize(bytes) {
+        if (bytes < 1024) {
+            return `${bytes} B`;
+        }
+        if (bytes < 1024 * 1024) {
+            return `${(bytes / 1024).toFixed(1)} KB`;
+        }
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Initialize the view: load the backups
+     */
+    async initialize() {
+        await this.loadBackups();
+    }
+
+    /**
+     * Call the backups API
+     * @param {string} path - API path below /api/backups
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(path, options = {}) {
+        const response = await fetch(`/api/backups${path}`, {
+            ...options,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.error || ERROR_MESSAGES.network.serverError);
+        }
+        return result;
+    }
+
+    /**
+     * Load the backups from the server
+     */
+    async loadBackups() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateList();
+
+        try {
+            const result = await this.request('');
+            this.backups = Array.isArray(result.backups) ? result.backups : [];
+            this.directory = result.directory;
+            this.intervalHours = result.intervalHours || BACKUP_CONFIG.intervalHours;
+        } catch (error) {
+            log(`Failed to load backups: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateList();
+        }
+    }
+
+    /**
+     * Refresh the backups table
+     */
+    updateList() {
+        const container = document.getElementById('backups-list');
+        if (container) {
+            container.innerHTML = this.renderBackups();
+        }
+    }
+
+    /**
+     * Run a backup operation while the action buttons are disabled
+     * @param {Function} operation - Async operation
+     */
+    async runExclusive(operation) {
+        if (this.isBusy) {
+            return;
+        }
+
+        this.isBusy = true;
+        this.updateList();
+        try {
+            await operation();
+        } finally {
+            this.isBusy = false;
+            this.updateList();
+        }
+    }
+
+    /**
+     * Handle creating a backup now
+     */
+    async handleCreate() {
+        await this.runExclusive(async () => {
+            try {
+                await this.request('', { method: 'POST' });
+                this.showToast('Backup created', 'success');
+                await this.loadBackups();
+            } catch (error) {
+                log(`Failed to create backup: ${error.message}`, 'error');
+                this.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * Handle verifying a backup
+     * @param {string} name - Backup file name
+     */
+    async handleVerify(name) {
+        await this.runExclusive(async () => {
+            try {
+                const result = await this.request(`/${encodeURIComponent(name)}/verify`);
+                this.verifications.set(name, result);
+                this.showToast(result.valid ? 'Backup is intact' : `Backup is damaged: ${result.reason}`,
+                    result.valid ? 'success' : 'error');
+            } catch (error) {
+                log(`Failed to verify backup: ${error.message}`, 'error');
+                this.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * Handle restoring a backup
+     * @param {string} name - Backup file name
+     */
+    async handleRestore(name) {
+        const backup = this.backups.find(b => b.name === name);
+        const date = backup ? new Date(backup.createdAt).toLocaleString() : name;
+
+        if (!confirm(`Restore the patient data from the backup of ${date}?\n\n` +
+            'Changes made since then will be replaced. The current data is backed up first.')) {
+            return;
+        }
+
+        await this.runExclusive(async () => {
+            try {
+                const result = await this.request(`/${encodeURIComponent(name)}/restore`, { method: 'POST' });
+                this.showToast(result.locked ?
+                    'Backup restored. It uses another practice passphrase: sign in again with that passphrase.' :
+                    `Backup restored (${result.files} files)`, 'success');
+                await this.loadBackups();
+            } catch (error) {
+                log(`Failed to restore backup: ${error.message}`, 'error');
+                this.showToast(error.message, 'error');
+            }
+        });
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message - Message to show
+     * @param {string} type - Toast type (success, error, info)
+     */
+    showToast(message, type = 'info') {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupsView;
+}
@@ -0,0 +1,186 @@
+/**
+ * CPAP Worklist View Component
+ * Lists the patients whose latest CPAP/APAP follow-up shows a poor compliance ("Observance PPC"),
+ * below CPAP_MIN_USAGE_HOURS per night, to call them back
+ */
+
+class CpapWorklistView {
+    constructor(patientManager) {
+        this.patientManager = patientManager;
+        this.entries = [];
+        this.isLoading = false;
+        this.errorMessage = null;
+    }
+
+    /**
+     * Render the worklist interface
+     * @returns {string} HTML string for the worklist interface
+     */
+    render() {
+        if (!currentUserCan('clinical:read')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="cpap-worklist-container">
+                <div class="content-header">
+                    <h2 class="content-title">Observance PPC</h2>
+                    <p class="content-subtitle">
+                        Patients dont le dernier relevé de PPC montre moins de ${CPAP_MIN_USAGE_HOURS} h d'utilisation par nuit
+                    </p>
+                </div>
+
+                <div id="cpap-worklist">
+                    ${this.renderEntries()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the worklist table
+     * @returns {string} HTML string for the table
+     */
+    renderEntries() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Loading worklist...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.entries.length === 0) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="no-data">Aucun patient avec une observance insuffisante</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Observance insuffisante (${this.entries.length})</h3>
+                </div>
+                <div class="card-body">
+                    <table class="cpap-worklist-table">
+                        <thead>
+                            <tr>
+                                <th>Patient</th>
+                                <th>Âge</th>
+                                <th>Relevé du</th>
+                                <th>Utilisation</th>
+                                <th>IAH résiduel</th>
+                                <th>Fuites</th>
+                                <th>Dernière visite</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.entries.map(entry => this.renderEntry(entry)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single patient of the worklist
+     * @param {Object} entry - Patient index entry with its cpapCompliance
+     * @returns {string} HTML string for the row
+     */
+    renderEntry(entry) {
+        const compliance = entry.cpapCompliance;
+
+        return `
+            <tr data-patient-id="${entry.id}">
+                <td>
+                    <a href="#patient-detail?patientId=${entry.id}"
+                       onclick="event.preventDefault(); cpapWorklistView.openPatient('${entry.id}')">${sanitizeHtml(entry.fullName)}</a>
+                </td>
+                <td>${entry.age || '—'}</td>
+                <td>${new Date(compliance.date).toLocaleDateString('fr-FR')}</td>
+                <td class="cpap-usage-poor">${compliance.usageHours} h/nuit</td>
+                <td>${compliance.residualAhi !== null ? `${compliance.residualAhi} /h` : '—'}</td>
+                <td>${compliance.leak !== null ? `${compliance.leak} L/min` : '—'}</td>
+                <td>${entry.lastVisitDate ? new Date(entry.lastVisitDate).toLocaleDateString('fr-FR') : '—'}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Initialize the view: load the worklist
+     */
+    async initialize() {
+        await this.loadEntries();
+    }
+
+    /**
+     * Load the patients with a poor compliance
+     */
+    async loadEntries() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateList();
+
+        try {
+            this.entries = await this.patientManager.getCpapWorklist();
+        } catch (error) {
+            log(`Failed to load CPAP worklist: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateList();
+        }
+    }
+
+    /**
+     * Refresh the worklist table
+     */
+    updateList() {
+        const container = document.getElementById('cpap-worklist');
+        if (container) {
+            container.innerHTML = this.renderEntries();
+        }
+    }
+
+    /**
+     * Open the record of a patient
+     * @param {string} patientId - Patient ID
+     */
+    openPatient(patientId) {
+        if (window.app && window.app.components.uiRouter) {
+            window.app.components.uiRouter.navigateTo('patient-detail', { patientId });
+        } else if (window.app) {
+            window.app.navigateToRoute('patient-detail', { patientId });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CpapWorklistView;
+}
@@ -14,6 +14,7 @@ class DataStorageManager {
         this.backupDirectory = STORAGE_CONFIG.backupDirectory;
         this.patientsIndex = new Map(); // In-memory index for fast searches
         this.errorHandler = null; // Will be set during initialization
+        this.encryption = new StorageEncryption(); // Unlocked with the practice passphrase at login
     }
 
     /**
@@ -40,16 +41,28 @@ class DataStorageManager {
                 await this.initializeFileSystem();
             }
 
+            // Encrypted patient data stays locked until unlock() receives the practice passphrase
+            const locked = this.isLocked();
+
             // Load existing patients index
-            await this.loadPatientsIndex();
+            if (!locked) {
+                await this.loadPatientsIndex();
+            }
 
             this.isInitialized = true;
-            log('Data storage system initialized successfully', 'info');
+
+            // Drop deleted patients whose retention period has ended
+            if (!locked) {
+                await this.purgeExpiredTrash();
+            }
+
+            log(`Data storage system initialized successfully${locked ? ' (locked)' : ''}`, 'info');
 
             return {
                 success: true,
                 storageType: this.storageType,
-                patientsCount: this.patientsIndex.size
+                patientsCount: this.patientsIndex.size,
+                locked: locked
             };
 
         } catch (error) {
@@ -113,9 +126,8 @@ class DataStorageManager {
      */
     async loadPatientsIndex() {
         try {
-            const indexData = localStorage.getItem('pms_patients_index');
-            if (indexData) {
-                const index = JSON.parse(indexData);
+            const index = await this.readStore('pms_patients_index', null);
+            if (index) {
                 this.patientsIndex.clear();
 
                 index.forEach(patient => {
@@ -128,6 +140,14 @@ class DataStorageManager {
                         gender: patient.gender,
                         placeOfResidence: patient.placeOfResidence,
                         lastVisitDate: patient.lastVisitDate,
+                        criticalVitals: patient.criticalVitals || [],
+                        tobacco: patient.tobacco || null,
+                        questionnaireScores: patient.questionnaireScores || {},
+                        classification: patient.classification || null,
+                        problems: patient.problems || [],
+                        cpapCompliance: patient.cpapCompliance || null,
+                        tbFollowUp: patient.tbFollowUp || null,
+                        homeTherapies: patient.homeTherapies || null,
                         createdAt: patient.createdAt,
                         updatedAt: patient.updatedAt
                     });
@@ -143,13 +163,157 @@ class DataStorageManager {
         }
     }
 
+    /**
+     * Read a JSON store from localStorage, decrypting it when it is encrypted
+     * @param {string} key - localStorage key
+     * @param {*} defaultValue - Value returned when the store is empty
+     * @returns {Promise<*>} Parsed value
+     */
+    async readStore(key, defaultValue) {
+        const text = localStorage.getItem(key);
+        if (!text) {
+            return defaultValue;
+        }
+        return JSON.parse(await this.encryption.decrypt(text));
+    }
+
+    /**
+     * Write a JSON store to localStorage, encrypted once a practice passphrase is set up
+     * Writing while locked fails rather than storing patient data in clear.
+     * @param {string} key - localStorage key
+     * @param {*} value - Value to store
+     */
+    async writeStore(key, value) {
+        const text = JSON.stringify(value);
+        localStorage.setItem(key, this.encryption.isConfigured() ? await this.encryption.encrypt(text) : text);
+    }
+
+    /**
+     * Get the localStorage keys holding patient data
+     * @returns {Array<string>} Keys of the patient stores and backups
+     */
+    getPatientStoreKeys() {
+        const keys = ['pms_patients', 'pms_patients_index', 'pms_patient_history', 'pms_trash', 'pms_appointments', 'pms_audit_queue'];
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('pms_backup_')) {
+                keys.push(key);
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Check whether patient data is encrypted and waiting for the practice passphrase
+     * @returns {boolean} True if locked
+     */
+    isLocked() {
+        return this.encryption.isConfigured() && !this.encryption.isUnlocked();
+    }
+
+    /**
+     * Unlock patient data with the practice passphrase
+     * The first unlock sets the passphrase up and encrypts the data stored until then.
+     * @param {string} passphrase - Practice passphrase
+     * @returns {Promise<Object>} Unlock result
+     */
+    async unlock(passphrase) {
+        try {
+            // Some stores may already be under the new key: only rotateEncryptionKey() can finish
+            if (this.encryption.hasPendingChange()) {
+                throw new Error(ERROR_MESSAGES.storage.keyChangePending);
+            }
+
+            const { created } = await this.encryption.unlock(passphrase);
+
+            // Encrypt stores still in clear (written before the passphrase was set up)
+            for (const key of this.getPatientStoreKeys()) {
+                const text = localStorage.getItem(key);
+                if (text && !this.encryption.isEncrypted(text)) {
+                    await this.writeStore(key, JSON.parse(text));
+                }
+            }
+
+            await this.loadPatientsIndex();
+            await this.purgeExpiredTrash();
+
+            log('Patient data unlocked', 'info');
+
+            return {
+                success: true,
+                created: created,
+                patientsCount: this.patientsIndex.size
+            };
+
+        } catch (error) {
+            log(`Failed to unlock patient data: ${error.message}`, 'error');
+            throw new Error(`Failed to unlock patient data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Forget the encryption key and the in-memory index (on logout)
+     */
+    lock() {
+        this.encryption.lock();
+        this.patientsIndex.clear();
+    }
+
+    /**
+     * Re-encrypt all patient data under a new practice passphrase
+     * @param {string} currentPassphrase - Current practice passphrase
+     * @param {string} newPassphrase - New practice passphrase
+     * @returns {Promise<Object>} Rotation result
+     */
+    async rotateEncryptionKey(currentPassphrase, newPassphrase) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            await this.encryption.unlock(currentPassphrase);
+
+            // Resuming an interrupted rotation: the new passphrase must be the one it started with
+            const pendingKey = this.encryption.hasPendingChange() ? await this.encryption.beginChange(newPassphrase) : null;
+
+            // Decrypt everything first so a failure leaves the old key in place
+            const stores = new Map();
+            for (const key of this.getPatientStoreKeys()) {
+                const text = localStorage.getItem(key);
+                if (text) {
+                    stores.set(key, await this.encryption.decryptWithAnyKey(text, [this.encryption.key, pendingKey]));
+                }
+            }
+
+            // The new descriptor stays pending until every store is written under the new key
+            const newKey = pendingKey || await this.encryption.beginChange(newPassphrase);
+            for (const [key, text] of stores) {
+                localStorage.setItem(key, await this.encryption.encryptWithKey(newKey, text));
+            }
+            this.encryption.commitChange(newKey);
+
+            log(`Encryption key rotated, ${stores.size} stores re-encrypted`, 'info');
+
+            return {
+                success: true,
+                storesCount: stores.size,
+                message: 'Practice passphrase changed and patient data re-encrypted'
+            };
+
+        } catch (error) {
+            log(`Failed to rotate encryption key: ${error.message}`, 'error');
+            throw new Error(`Failed to rotate encryption key: ${error.message}`);
+        }
+    }
+
     /**
      * Save patients index to storage
      */
     async savePatientsIndex() {
         try {
             const indexArray = Array.from(this.patientsIndex.values());
-            localStorage.setItem('pms_patients_index', JSON.stringify(indexArray));
+            await this.writeStore('pms_patients_index', indexArray);
             log('Patients index saved successfully', 'info');
 
         } catch (error) {
@@ -160,10 +324,14 @@ class DataStorageManager {
 
     /**
      * Save patient data to storage
+     * The write is rejected as a conflict when patientData.revision does not match
+     * the stored revision, i.e. the record was changed since the caller loaded it.
      * @param {Object} patientData - Patient data to save
+     * @param {Object} options - Save options
+     * @param {boolean} options.force - Overwrite regardless of the stored revision
      * @returns {Promise<Object>} Save result
      */
-    async savePatient(patientData) {
+    async savePatient(patientData, options = {}) {
         try {
             if (!this.isInitialized) {
                 throw new Error('Storage not initialized');
@@ -183,31 +351,38 @@ class DataStorageManager {
                 throw new Error(`Patient validation failed: ${validation.errors.map(e => e.message).join(', ')}`);
             }
 
+            // Reject stale writes
+            const patients = await this.readStore('pms_patients', {});
+            const storedPatient = patients[patient.id];
+            const storedRevision = storedPatient ? storedPatient.revision || 0 : 0;
+
+            if (storedPatient && !options.force && patient.revision !== storedRevision) {
+                log(`Stale write rejected for patient ${patient.id}: revision ${patient.revision}, stored ${storedRevision}`, 'info');
+                return {
+                    success: false,
+                    conflict: true,
+                    patientId: patient.id,
+                    currentPatient: storedPatient,
+                    message: 'This patient record was modified by someone else since it was loaded'
+                };
+            }
+
             // Sanitize the data
             patient.sanitize();
 
-            // Update timestamp
+            // Update timestamp and revision
             patient.touch();
+            patient.revision = storedRevision + 1;
 
             // Save to storage
-            const patients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
             patients[patient.id] = patient.toJSON();
-            localStorage.setItem('pms_patients', JSON.stringify(patients));
+            await this.writeStore('pms_patients', patients);
+
+            // Keep the saved revision in the patient's history
+            await this.recordRevision(patients[patient.id], storedPatient);
 
             // Update index
-            const lastVisit = patient.getLatestVisit();
-            this.patientsIndex.set(patient.id, {
-                id: patient.id,
-                firstName: patient.firstName,
-                lastName: patient.lastName,
-                fullName: patient.getFullName(),
-                age: patient.age,
-                gender: patient.gender,
-                placeOfResidence: patient.placeOfResidence,
-                lastVisitDate: lastVisit ? lastVisit.visitDate : null,
-                createdAt: patient.createdAt,
-                updatedAt: patient.updatedAt
-            });
+            this.indexPatient(patient);
 
             // Save updated index
             await this.savePatientsIndex();
@@ -217,6 +392,7 @@ class DataStorageManager {
             return {
                 success: true,
                 patientId: patient.id,
+                revision: patient.revision,
                 message: SUCCESS_MESSAGES.patient.created
             };
 
@@ -226,6 +402,99 @@ class DataStorageManager {
         }
     }
 
+    /**
+     * Add or refresh a patient's entry in the in-memory index
+     * @param {Patient} patient - Patient instance
+     */
+    indexPatient(patient) {
+        const lastVisit = patient.getLatestVisit();
+        this.patientsIndex.set(patient.id, {
+            id: patient.id,
+            firstName: patient.firstName,
+            lastName: patient.lastName,
+            fullName: patient.getFullName(),
+            age: patient.age,
+            gender: patient.gender,
+            placeOfResidence: patient.placeOfResidence,
+            lastVisitDate: lastVisit ? lastVisit.visitDate : null,
+            criticalVitals: lastVisit ? criticalVitals(lastVisit.vitals) : [],
+            tobacco: patient.tobacco,
+            questionnaireScores: latestQuestionnaireScores(patient.visits),
+            classification: lastVisit ? lastVisit.classification || null : null,
+            problems: summarizeProblems(patient.problems),
+            cpapCompliance: cpapCompliance(patient.cpapLog),
+            tbFollowUp: tbFollowUpSummary(patient.tbEpisodes),
+            homeTherapies: homeTherapySummary(patient.homeTherapies),
+            createdAt: patient.createdAt,
+            updatedAt: patient.updatedAt
+        });
+    }
+
+    /**
+     * Get the name of the signed-in user for bookkeeping
+     * @returns {string|null} Display name or username, null without a session
+     */
+    getCurrentUserName() {
+        const authManager = typeof window !== 'undefined' && window.app && window.app.components.authManager;
+        const user = authManager ? authManager.getCurrentUser() : null;
+        return user ? user.displayName || user.username : null;
+    }
+
+    /**
+     * Append a saved revision to the patient's history
+     * A failure here never fails the save itself.
+     * @param {Object} patientData - Patient data as saved
+     * @param {Object} previousData - Stored data it replaced, kept as a baseline for
+     *                                records saved before history existed
+     */
+    async recordRevision(patientData, previousData = null) {
+        try {
+            const history = await this.readStore('pms_patient_history', {});
+            const revisions = history[patientData.id] || [];
+
+            if (revisions.length === 0 && previousData) {
+                revisions.push({
+                    revision: previousData.revision || 0,
+                    savedAt: previousData.updatedAt || previousData.createdAt,
+                    savedBy: null,
+                    data: previousData
+                });
+            }
+
+            revisions.push({
+                revision: patientData.revision,
+                savedAt: patientData.updatedAt,
+                savedBy: this.getCurrentUserName(),
+                data: patientData
+            });
+
+            history[patientData.id] = revisions;
+            await this.writeStore('pms_patient_history', history);
+        } catch (error) {
+            log(`Failed to record revision history for patient ${patientData.id}: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Get every saved revision of a patient, oldest first
+     * @param {string} patientId - Patient ID
+     * @returns {Promise<Array>} Revisions ({ revision, savedAt, savedBy, data })
+     */
+    async getPatientHistory(patientId) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            const history = await this.readStore('pms_patient_history', {});
+            return (history[patientId] || []).slice().sort((a, b) => a.revision - b.revision);
+
+        } catch (error) {
+            log(`Failed to load history for patient ${patientId}: ${error.message}`, 'error');
+            throw new Error(`Failed to load patient history: ${error.message}`);
+        }
+    }
+
     /**
      * Load patient data from storage
      * @param {string} patientId - ID of patient to load
@@ -241,7 +510,7 @@ class DataStorageManager {
                 throw new Error('Patient ID is required');
             }
 
-            const patients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
+            const patients = await this.readStore('pms_patients', {});
             const patientData = patients[patientId];
 
             if (!patientData) {
@@ -263,6 +532,8 @@ class DataStorageManager {
 
     /**
      * Delete patient from storage
+     * The record is moved to the recycle bin, from which it can be restored until
+     * it is purged manually or after TRASH_CONFIG.retentionDays.
      * @param {string} patientId - ID of patient to delete
      * @returns {Promise<Object>} Delete result
      */
@@ -277,16 +548,25 @@ class DataStorageManager {
             }
 
             // Check if patient exists
-            const patients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
+            const patients = await this.readStore('pms_patients', {});
             if (!patients[patientId]) {
                 throw new Error('Patient not found');
             }
 
             const patientName = this.patientsIndex.get(patientId)?.fullName || 'Unknown';
 
+            // Move to the recycle bin
+            const trash = await this.readStore('pms_trash', {});
+            trash[patientId] = {
+                patient: patients[patientId],
+                deletedAt: getCurrentTimestamp(),
+                deletedBy: this.getCurrentUserName()
+            };
+            await this.writeStore('pms_trash', trash);
+
             // Remove from storage
             delete patients[patientId];
-            localStorage.setItem('pms_patients', JSON.stringify(patients));
+            await this.writeStore('pms_patients', patients);
 
             // Remove from index
             this.patientsIndex.delete(patientId);
@@ -294,7 +574,7 @@ class DataStorageManager {
             // Save updated index
             await this.savePatientsIndex();
 
-            log(`Patient ${patientName} deleted successfully`, 'info');
+            log(`Patient ${patientName} moved to the recycle bin`, 'info');
 
             return {
                 success: true,
@@ -308,6 +588,238 @@ class DataStorageManager {
         }
     }
 
+    /**
+     * List the patients in the recycle bin, most recently deleted first
+     * @returns {Promise<Array>} Entries ({ patient, deletedAt, deletedBy, purgeAt })
+     */
+    async getTrash() {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            const trash = await this.readStore('pms_trash', {});
+            return Object.values(trash)
+                .map(entry => ({ ...entry, purgeAt: this.getTrashPurgeDate(entry) }))
+                .sort((a, b) => b.deletedAt - a.deletedAt);
+
+        } catch (error) {
+            log(`Failed to load recycle bin: ${error.message}`, 'error');
+            throw new Error(`Failed to load recycle bin: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the date a recycle bin entry is due to be purged
+     * @param {Object} entry - Recycle bin entry
+     * @returns {number} Timestamp
+     */
+    getTrashPurgeDate(entry) {
+        return entry.deletedAt + TRASH_CONFIG.retentionDays * 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Put a deleted patient back into storage
+     * The restored record gets a new revision so its history stays continuous.
+     * @param {string} patientId - ID of patient to restore
+     * @returns {Promise<Object>} Restore result with the restored patient data
+     */
+    async restorePatient(patientId) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            const trash = await this.readStore('pms_trash', {});
+            const entry = trash[patientId];
+            if (!entry) {
+                throw new Error('Patient not found in the recycle bin');
+            }
+
+            const patients = await this.readStore('pms_patients', {});
+            if (patients[patientId]) {
+                throw new Error('A patient with this ID already exists');
+            }
+
+            const patient = Patient.fromJSON(entry.patient);
+            patient.touch();
+            patient.revision = (entry.patient.revision || 0) + 1;
+
+            patients[patientId] = patient.toJSON();
+            await this.writeStore('pms_patients', patients);
+            await this.recordRevision(patients[patientId], entry.patient);
+
+            delete trash[patientId];
+            await this.writeStore('pms_trash', trash);
+
+            this.indexPatient(patient);
+            await this.savePatientsIndex();
+
+            log(`Patient ${patient.getFullName()} restored from the recycle bin`, 'info');
+
+            return {
+                success: true,
+                patientId: patientId,
+                patient: patients[patientId],
+                message: SUCCESS_MESSAGES.patient.restored
+            };
+
+        } catch (error) {
+            log(`Failed to restore patient ${patientId}: ${error.message}`, 'error');
+            throw new Error(`Failed to restore patient: ${error.message}`);
+        }
+    }
+
+    /**
+     * Permanently delete a patient from the recycle bin, with its revision history
+     * @param {string} patientId - ID of patient to purge
+     * @returns {Promise<Object>} Purge result with the purged patient data
+     */
+    async purgePatient(patientId) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            const trash = await this.readStore('pms_trash', {});
+            const entry = trash[patientId];
+            if (!entry) {
+                throw new Error('Patient not found in the recycle bin');
+            }
+
+            delete trash[patientId];
+            await this.writeStore('pms_trash', trash);
+
+            const history = await this.readStore('pms_patient_history', {});
+            if (history[patientId]) {
+                delete history[patientId];
+                await this.writeStore('pms_patient_history', history);
+            }
+
+            const appointments = await this.readStore('pms_appointments', {});
+            const appointmentIds = Object.keys(appointments).filter(id => appointments[id].patientId === patientId);
+            if (appointmentIds.length > 0) {
+                appointmentIds.forEach(id => delete appointments[id]);
+                await this.writeStore('pms_appointments', appointments);
+            }
+
+            log(`Patient ${patientId} permanently deleted`, 'info');
+
+            return {
+                success: true,
+                patientId: patientId,
+                patient: entry.patient,
+                message: SUCCESS_MESSAGES.patient.purged
+            };
+
+        } catch (error) {
+            log(`Failed to purge patient ${patientId}: ${error.message}`, 'error');
+            throw new Error(`Failed to purge patient: ${error.message}`);
+        }
+    }
+
+    /**
+     * Purge recycle bin entries older than the retention period
+     * A failure here never fails storage initialization.
+     * @param {number} now - Reference timestamp
+     * @returns {Promise<Array>} IDs of the purged patients
+     */
+    async purgeExpiredTrash(now = getCurrentTimestamp()) {
+        try {
+            const trash = await this.readStore('pms_trash', {});
+            const expiredIds = Object.keys(trash).filter(id => this.getTrashPurgeDate(trash[id]) <= now);
+
+            for (const patientId of expiredIds) {
+                await this.purgePatient(patientId);
+            }
+
+            if (expiredIds.length > 0) {
+                log(`Purged ${expiredIds.length} expired patients from the recycle bin`, 'info');
+            }
+            return expiredIds;
+
+        } catch (error) {
+            log(`Failed to purge expired recycle bin entries: ${error.message}`, 'error');
+            return [];
+        }
+    }
+
+    /**
+     * List appointments, by date and time
+     * @param {Object} criteria - Filters
+     * @param {string} criteria.from - First date ('YYYY-MM-DD', inclusive)
+     * @param {string} criteria.to - Last date ('YYYY-MM-DD', inclusive)
+     * @param {string} criteria.patientId - Appointments of one patient
+     * @returns {Promise<Array>} Appointments
+     */
+    async getAppointments(criteria = {}) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            const appointments = await this.readStore('pms_appointments', {});
+            return sortAppointments(Object.values(appointments).filter(appointment =>
+                (!criteria.from || appointment.date >= criteria.from) &&
+                (!criteria.to || appointment.date <= criteria.to) &&
+                (!criteria.patientId || appointment.patientId === criteria.patientId)));
+
+        } catch (error) {
+            log(`Failed to load appointments: ${error.message}`, 'error');
+            throw new Error(`Failed to load appointments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Book an appointment or update a booked one (time, status, reason)
+     * The slot must not overlap another appointment still holding its slot.
+     * @param {Object} appointmentData - Appointment
+     * @returns {Promise<Object>} Save result with the saved appointment
+     */
+    async saveAppointment(appointmentData) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('Storage not initialized');
+            }
+
+            const appointment = normalizeAppointment(appointmentData);
+            const errors = validateAppointment(appointment);
+            if (errors.length > 0) {
+                throw new Error(errors.map(({ field, message }) => `${field}: ${message}`).join(', '));
+            }
+
+            if (!this.patientsIndex.has(appointment.patientId)) {
+                throw new Error('Patient not found');
+            }
+
+            const appointments = await this.readStore('pms_appointments', {});
+            const conflict = findAppointmentConflict(Object.values(appointments), appointment);
+            if (conflict) {
+                throw new Error(`The slot overlaps the appointment booked at ${conflict.time}`);
+            }
+
+            const previous = appointments[appointment.id];
+            const now = getCurrentTimestamp();
+            appointments[appointment.id] = {
+                ...appointment,
+                createdAt: previous ? previous.createdAt : now,
+                updatedAt: now
+            };
+            await this.writeStore('pms_appointments', appointments);
+
+            log(`Appointment ${appointment.date} ${appointment.time} saved`, 'info');
+
+            return {
+                success: true,
+                appointment: appointments[appointment.id]
+            };
+
+        } catch (error) {
+            log(`Failed to save appointment: ${error.message}`, 'error');
+            throw new Error(`Failed to save appointment: ${error.message}`);
+        }
+    }
+
     /**
      * Search patients based on criteria with performance optimizations
      * @param {Object} criteria - Search criteria
@@ -364,6 +876,16 @@ class DataStorageManager {
                 );
             }
 
+            // Smoking history: status, pack-years range (e.g. current smokers > 20 pack-years), exposure
+            if (criteria.smokingStatus || criteria.packYears || criteria.exposure) {
+                results = results.filter(patient => matchesTobaccoCriteria(patient.tobacco, criteria));
+            }
+
+            // Problem list: ICD-10 code or category (e.g. J45 matches J45.0), status
+            if (criteria.diagnosis || criteria.diagnosisStatus) {
+                results = results.filter(patient => matchesProblemCriteria(patient.problems, criteria));
+            }
+
             // Optimized sorting with relevance scoring
             if (criteria.searchTerm) {
                 results = this.sortByRelevance(results, normalizeForSearch(criteria.searchTerm));
@@ -641,11 +1163,33 @@ class DataStorageManager {
                 patient.updatedAt > thirtyDaysAgo
             ).length;
 
+            // Latest questionnaire score of each patient: number scored, mean and interpretation bands
+            const questionnaireStats = {};
+            QUESTIONNAIRES.forEach(({ key, bands }) => {
+                const scores = patients
+                    .map(patient => (patient.questionnaireScores || {})[key])
+                    .filter(Boolean)
+                    .map(entry => entry.score);
+
+                questionnaireStats[key] = {
+                    patients: scores.length,
+                    averageScore: scores.length > 0 ?
+                        Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10 :
+                        null,
+                    bands: bands.reduce((acc, band) => {
+                        acc[band.key] = scores.filter(score => interpretQuestionnaire(key, score) === band).length;
+                        return acc;
+                    }, {})
+                };
+            });
+
             return {
                 totalPatients,
                 genderDistribution: genderStats,
                 ageDistribution: ageRanges,
                 recentActivity: recentPatients,
+                questionnaires: questionnaireStats,
+                diagnoses: countActiveDiagnoses(patients),
                 storageType: this.storageType
             };
 
@@ -669,14 +1213,15 @@ class DataStorageManager {
             const backupData = {
                 version: '1.0.0',
                 createdAt: timestamp,
-                patients: JSON.parse(localStorage.getItem('pms_patients') || '{}'),
-                index: JSON.parse(localStorage.getItem('pms_patients_index') || '[]'),
+                patients: await this.readStore('pms_patients', {}),
+                index: await this.readStore('pms_patients_index', []),
+                appointments: await this.readStore('pms_appointments', {}),
                 config: JSON.parse(localStorage.getItem('pms_config') || '{}')
             };
 
             // Store backup in localStorage with timestamp
             const backupKey = `pms_backup_${timestamp}`;
-            localStorage.setItem(backupKey, JSON.stringify(backupData));
+            await this.writeStore(backupKey, backupData);
 
             // Update config with last backup time
             const config = JSON.parse(localStorage.getItem('pms_config') || '{}');
@@ -713,16 +1258,15 @@ class DataStorageManager {
                 throw new Error('Storage not initialized');
             }
 
-            const backupData = localStorage.getItem(backupId);
-            if (!backupData) {
+            const backup = await this.readStore(backupId, null);
+            if (!backup) {
                 throw new Error('Backup not found');
             }
 
-            const backup = JSON.parse(backupData);
-
             // Restore data
-            localStorage.setItem('pms_patients', JSON.stringify(backup.patients));
-            localStorage.setItem('pms_patients_index', JSON.stringify(backup.index));
+            await this.writeStore('pms_patients', backup.patients);
+            await this.writeStore('pms_patients_index', backup.index);
+            await this.writeStore('pms_appointments', backup.appointments || {});
             localStorage.setItem('pms_config', JSON.stringify(backup.config));
 
             // Reload index
@@ -755,7 +1299,7 @@ class DataStorageManager {
                 const key = localStorage.key(i);
                 if (key && key.startsWith('pms_backup_')) {
                     try {
-                        const backupData = JSON.parse(localStorage.getItem(key));
+                        const backupData = await this.readStore(key, null);
                         backups.push({
                             id: key,
                             createdAt: backupData.createdAt,
@@ -803,15 +1347,17 @@ class DataStorageManager {
     /**
      * Export patient data as JSON
      * @param {Array} patientIds - Optional array of patient IDs to export (exports all if not provided)
+     * @param {Object} options - Export options
+     * @param {AttachmentManager} options.attachmentManager - Adds the attachments of the patients from the server
      * @returns {Promise<Object>} Export data
      */
-    async exportPatients(patientIds = null) {
+    async exportPatients(patientIds = null, options = {}) {
         try {
             if (!this.isInitialized) {
                 throw new Error('Storage not initialized');
             }
 
-            const allPatients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
+            const allPatients = await this.readStore('pms_patients', {});
             let patientsToExport = {};
 
             if (patientIds && Array.isArray(patientIds)) {
@@ -833,6 +1379,16 @@ class DataStorageManager {
                 patients: patientsToExport
             };
 
+            if (options.attachmentManager) {
+                exportData.attachments = {};
+                for (const patientId of Object.keys(patientsToExport)) {
+                    const attachments = await options.attachmentManager.exportPatient(patientId);
+                    if (attachments.length > 0) {
+                        exportData.attachments[patientId] = attachments;
+                    }
+                }
+            }
+
             log(`Exported ${exportData.patientsCount} patients`, 'info');
 
             return exportData;
@@ -847,6 +1403,8 @@ class DataStorageManager {
      * Import patient data from JSON
      * @param {Object} importData - Data to import
      * @param {Object} options - Import options
+     * @param {boolean} options.overwriteExisting - Replace the patients already stored
+     * @param {AttachmentManager} options.attachmentManager - Uploads the attachments of the export to the server
      * @returns {Promise<Object>} Import result
      */
     async importPatients(importData, options = {}) {
@@ -859,8 +1417,8 @@ class DataStorageManager {
                 throw new Error('Invalid import data');
             }
 
-            const { overwriteExisting = false } = options;
-            const currentPatients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
+            const { overwriteExisting = false, attachmentManager = null } = options;
+            const currentPatients = await this.readStore('pms_patients', {});
             let importedCount = 0;
             let skippedCount = 0;
             let errors = [];
@@ -886,9 +1444,18 @@ class DataStorageManager {
                     }
 
                     // Save patient
-                    await this.savePatient(patient.toJSON());
+                    await this.savePatient(patient.toJSON(), { force: overwriteExisting });
                     importedCount++;
 
+                    // Attachments of the export go back to the server, those already there are kept
+                    const attachments = importData.attachments && importData.attachments[patientId];
+                    if (attachmentManager && attachments) {
+                        const result = await attachmentManager.importPatient(patientId, attachments);
+                        result.errors.forEach(({ attachmentId, error }) => {
+                            errors.push({ patientId, error: `Attachment ${attachmentId}: ${error}` });
+                        });
+                    }
+
                 } catch (error) {
                     errors.push({
                         patientId,
@@ -937,8 +1504,8 @@ class DataStorageManager {
 
             // Check data integrity
             try {
-                const patients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
-                const index = JSON.parse(localStorage.getItem('pms_patients_index') || '[]');
+                const patients = await this.readStore('pms_patients', {});
+                const index = await this.readStore('pms_patients_index', []);
 
                 // Check if index matches stored patients
                 const storedIds = new Set(Object.keys(patients));
@@ -984,7 +1551,7 @@ class DataStorageManager {
             const repairs = [];
 
             // Rebuild index from stored patients
-            const patients = JSON.parse(localStorage.getItem('pms_patients') || '{}');
+            const patients = await this.readStore('pms_patients', {});
             this.patientsIndex.clear();
 
             for (const [patientId, patientData] of Object.entries(patients)) {
@@ -1001,6 +1568,14 @@ class DataStorageManager {
                         gender: patient.gender,
                         placeOfResidence: patient.placeOfResidence,
                         lastVisitDate: lastVisit ? lastVisit.visitDate : null,
+                        criticalVitals: lastVisit ? criticalVitals(lastVisit.vitals) : [],
+                        tobacco: patient.tobacco,
+                        questionnaireScores: latestQuestionnaireScores(patient.visits),
+                        classification: lastVisit ? lastVisit.classification || null : null,
+                        problems: summarizeProblems(patient.problems),
+                        cpapCompliance: cpapCompliance(patient.cpapLog),
+                        tbFollowUp: tbFollowUpSummary(patient.tbEpisodes),
+                        homeTherapies: homeTherapySummary(patient.homeTherapies),
                         createdAt: patient.createdAt,
                         updatedAt: patient.updatedAt
                     });
@@ -1095,7 +1670,9 @@ class DataStorageManager {
             const keysToRemove = [];
             for (let i = 0; i < localStorage.length; i++) {
                 const key = localStorage.key(i);
-                if (key && key.startsWith('pms_')) {
+                // The practice passphrase set-up survives a reset
+                if (key && key.startsWith('pms_') && key !== ENCRYPTION_CONFIG.descriptorStorageKey &&
+                    key !== ENCRYPTION_CONFIG.pendingDescriptorStorageKey) {
                     keysToRemove.push(key);
                 }
             }
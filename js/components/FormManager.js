@@ -140,37 +140,7 @@ class FormManager {
                         </div>
                     </div>
                     
-                    <div class="form-row">
-                        <div class="form-group">
-                            <label for="${formId}-atcdsMedicaux" class="form-label">
-                                ATCDS MEDICAUX
-                            </label>
-                            <textarea 
-                                id="${formId}-atcdsMedicaux" 
-                                name="atcdsMedicaux" 
-                                class="form-control" 
-                                rows="4"
-                                placeholder="Entrez les antécédents médicaux"
-                                maxlength="2000"
-                            >${patient.atcdsMedicaux || ''}</textarea>
-                            <div class="form-error" id="${formId}-atcdsMedicaux-error"></div>
-                        </div>
-                        
-                        <div class="form-group">
-                            <label for="${formId}-atcdsChirurgicaux" class="form-label">
-                                ATCDS CHIRURGICAUX
-                            </label>
-                            <textarea 
-                                id="${formId}-atcdsChirurgicaux" 
-                                name="atcdsChirurgicaux" 
-                                class="form-control" 
-                                rows="4"
-                                placeholder="Entrez les antécédents chirurgicaux"
-                                maxlength="2000"
-                            >${patient.atcdsChirurgicaux || ''}</textarea>
-                            <div class="form-error" id="${formId}-atcdsChirurgicaux-error"></div>
-                        </div>
-                    </div>
+                    ${currentUserCan('clinical:write') ? this.renderMedicalHistoryFields(formId, patient) : ''}
                 </div>
 
                 <!-- Visits Section -->
@@ -200,6 +170,786 @@ class FormManager {
         `;
     }
 
+    /**
+     * Render medical history fields (only for roles allowed to write clinical data)
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the medical history fields
+     */
+    renderMedicalHistoryFields(formId, patient) {
+        return `
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="${formId}-atcdsMedicaux" class="form-label">
+                        ATCDS MEDICAUX
+                    </label>
+                    <textarea 
+                        id="${formId}-atcdsMedicaux" 
+                        name="atcdsMedicaux" 
+                        class="form-control" 
+                        rows="4"
+                        placeholder="Entrez les antécédents médicaux"
+                        maxlength="2000"
+                    >${patient.atcdsMedicaux || ''}</textarea>
+                    <div class="form-error" id="${formId}-atcdsMedicaux-error"></div>
+                </div>
+                        
+                <div class="form-group">
+                    <label for="${formId}-atcdsChirurgicaux" class="form-label">
+                        ATCDS CHIRURGICAUX
+                    </label>
+                    <textarea 
+                        id="${formId}-atcdsChirurgicaux" 
+                        name="atcdsChirurgicaux" 
+                        class="form-control" 
+                        rows="4"
+                        placeholder="Entrez les antécédents chirurgicaux"
+                        maxlength="2000"
+                    >${patient.atcdsChirurgicaux || ''}</textarea>
+                    <div class="form-error" id="${formId}-atcdsChirurgicaux-error"></div>
+                </div>
+            </div>
+
+            ${this.renderAllergyFields(formId, patient)}
+
+            ${this.renderProblemListFields(formId, patient)}
+
+            ${this.renderRespiratoryDiagnosisFields(formId, patient)}
+
+            ${this.renderTobaccoFields(formId, patient)}
+
+            ${this.renderSleepFields(formId, patient)}
+
+            ${this.renderTbEpisodeFields(formId, patient)}
+
+            ${this.renderHomeTherapyFields(formId, patient)}
+        `;
+    }
+
+    /**
+     * Render the tuberculosis episodes, one block per treatment course with its follow-ups
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the TB episodes
+     */
+    renderTbEpisodeFields(formId, patient) {
+        const episodes = patient.tbEpisodes || [];
+
+        return `
+            <fieldset class="tb-episode-fieldset">
+                <legend class="form-label">TUBERCULOSE</legend>
+                <div class="tb-episode-list" id="${formId}-tbEpisodes" data-next-index="${episodes.length}">
+                    ${episodes.map((episode, index) => this.renderTbEpisodeRow(formId, episode, index)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-tb-episode-btn">
+                    + Ajouter un épisode
+                </button>
+                <p class="form-help">Un épisode sans issue déclarée est en cours : un suivi est attendu tous les ${TB_FOLLOW_UP_DAYS} jours.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render one TB episode: regimen, conversions, outcome and follow-ups
+     * The DOT calendar is filled in from the patient record and kept in a hidden field.
+     * @param {string} formId - Form identifier
+     * @param {Object} episode - TB episode, see js/utils/tuberculosis.js
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the episode
+     */
+    renderTbEpisodeRow(formId, episode, index) {
+        const rowId = `${formId}-tb-episode-${index}`;
+        const name = field => `tbEpisodes[${index}][${field}]`;
+        const followUps = episode.followUps || [];
+        const dateInput = (field, label) => `
+            <div class="form-group">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <input type="date" id="${rowId}-${field}" name="${name(field)}" class="form-control" value="${episode[field] || ''}" />
+                <div class="form-error" id="${rowId}-${field}-error"></div>
+            </div>
+        `;
+        const select = (field, label, options, empty) => `
+            <div class="form-group">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <select id="${rowId}-${field}" name="${name(field)}" class="form-control">
+                    <option value="">${empty}</option>
+                    ${options.map(({ key, shortLabel, label: optionLabel }) => `
+                        <option value="${key}" ${episode[field] === key ? 'selected' : ''}>${shortLabel || optionLabel}</option>
+                    `).join('')}
+                </select>
+                <div class="form-error" id="${rowId}-${field}-error"></div>
+            </div>
+        `;
+
+        return `
+            <div class="tb-episode-row" data-tb-episode-index="${index}">
+                <input type="hidden" name="${name('id')}" value="${episode.id || this.generateId()}" />
+                <input type="hidden" name="${name('doses')}" value="${JSON.stringify(episode.doses || {}).replace(/"/g, '&quot;')}" />
+                <div class="form-row">
+                    ${dateInput('startDate', 'Début du traitement')}
+                    ${select('regimen', 'Schéma', TB_REGIMENS, '-')}
+                    ${select('site', 'Localisation', TB_SITES, '-')}
+                    <button type="button" class="btn btn-danger btn-sm remove-tb-episode-btn" aria-label="Retirer l'épisode">
+                        Retirer
+                    </button>
+                </div>
+                <p class="form-help tb-phase-dates">${this.formatTbPhaseDates(episode)}</p>
+                <div class="form-row">
+                    ${dateInput('smearConversionDate', 'Négativation de l\'examen direct')}
+                    ${dateInput('cultureConversionDate', 'Négativation de la culture')}
+                    ${select('outcome', 'Issue', TB_OUTCOMES, 'En cours')}
+                    ${dateInput('outcomeDate', 'Date de l\'issue')}
+                </div>
+                <div class="tb-follow-up-list" data-next-index="${followUps.length}">
+                    ${followUps.map((followUp, followUpIndex) => this.renderTbFollowUpRow(formId, index, followUp, followUpIndex)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-tb-follow-up-btn">
+                    + Ajouter un suivi
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one follow-up of a TB episode
+     * @param {string} formId - Form identifier
+     * @param {number} episodeIndex - Row index of the episode
+     * @param {Object} followUp - Follow-up { id, date, smear, culture, weightKg, notes }
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderTbFollowUpRow(formId, episodeIndex, followUp, index) {
+        const rowId = `${formId}-tb-episode-${episodeIndex}-follow-up-${index}`;
+        const name = field => `tbEpisodes[${episodeIndex}][followUps][${index}][${field}]`;
+        const result = (field, label) => `
+            <div class="form-group">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <select id="${rowId}-${field}" name="${name(field)}" class="form-control">
+                    <option value="">-</option>
+                    ${TB_TEST_RESULTS.map(({ key, shortLabel }) => `
+                        <option value="${key}" ${followUp[field] === key ? 'selected' : ''}>${shortLabel}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `;
+
+        return `
+            <div class="form-row tb-follow-up-row" data-tb-follow-up-index="${index}">
+                <input type="hidden" name="${name('id')}" value="${followUp.id || this.generateId()}" />
+                <div class="form-group">
+                    <label for="${rowId}-date" class="form-label">Suivi du</label>
+                    <input type="date" id="${rowId}-date" name="${name('date')}" class="form-control" value="${followUp.date || ''}" />
+                    <div class="form-error" id="${rowId}-date-error"></div>
+                </div>
+                ${result('smear', 'Examen direct')}
+                ${result('culture', 'Culture')}
+                <div class="form-group">
+                    <label for="${rowId}-weightKg" class="form-label">Poids <span class="vitals-unit">(kg)</span></label>
+                    <input type="number" id="${rowId}-weightKg" name="${name('weightKg')}" class="form-control"
+                           value="${followUp.weightKg === undefined || followUp.weightKg === null ? '' : followUp.weightKg}"
+                           min="${VALIDATION_RULES.vitals.weightKg.min}" max="${VALIDATION_RULES.vitals.weightKg.max}" step="0.1" />
+                    <div class="form-error" id="${rowId}-weightKg-error"></div>
+                </div>
+                <div class="form-group">
+                    <label for="${rowId}-notes" class="form-label">Notes</label>
+                    <input type="text" id="${rowId}-notes" name="${name('notes')}" class="form-control" value="${followUp.notes || ''}"
+                           maxlength="${VALIDATION_RULES.tbEpisodes.notes.maxLength}" placeholder="Tolérance, observance..." />
+                    <div class="form-error" id="${rowId}-notes-error"></div>
+                </div>
+                <button type="button" class="btn btn-danger btn-sm remove-tb-follow-up-btn" aria-label="Retirer le suivi">
+                    Retirer
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Expected end dates of the phases of a TB episode, e.g. "Fin de la phase intensive : 07/03/2024 · ..."
+     * @param {Object} episode - TB episode with startDate and regimen
+     * @returns {string} Text for the form help, empty when the regimen or the start is missing
+     */
+    formatTbPhaseDates(episode) {
+        return tbPhaseDates(episode)
+            .map(phase => `Fin de la ${phase.label.toLowerCase()} (${phase.drugs}) : ${new Date(phase.end).toLocaleDateString('fr-FR')}`)
+            .join(' · ');
+    }
+
+    /**
+     * Render the oxygen therapy and home ventilation prescriptions, one row per prescription
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the home therapies
+     */
+    renderHomeTherapyFields(formId, patient) {
+        const therapies = patient.homeTherapies || [];
+
+        return `
+            <fieldset class="home-therapy-fieldset">
+                <legend class="form-label">OXYGÉNOTHÉRAPIE ET VENTILATION À DOMICILE</legend>
+                <div class="home-therapy-list" id="${formId}-homeTherapies" data-next-index="${therapies.length}">
+                    ${therapies.map((therapy, index) => this.renderHomeTherapyRow(formId, therapy, index)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-home-therapy-btn">
+                    + Ajouter une prescription
+                </button>
+                <p class="form-help">Un rappel est affiché ${HOME_THERAPY_RENEWAL_NOTICE_DAYS} jours avant la date de renouvellement. Une prescription avec une date d'arrêt n'est plus suivie.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render one LTOT or NIV prescription: device, flow, hours, supplier, dates and qualifying blood gas
+     * @param {string} formId - Form identifier
+     * @param {Object} therapy - Home therapy, see js/utils/homeTherapy.js
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderHomeTherapyRow(formId, therapy, index) {
+        const rowId = `${formId}-home-therapy-${index}`;
+        const name = field => `homeTherapies[${index}][${field}]`;
+        const measurement = key => this.renderSleepMeasurementInput(
+            rowId, name(key), HOME_THERAPY_MEASUREMENTS.find(entry => entry.key === key),
+            VALIDATION_RULES.homeTherapies[key], therapy[key]
+        );
+        const dateInput = (field, label) => `
+            <div class="form-group">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <input type="date" id="${rowId}-${field}" name="${name(field)}" class="form-control" value="${therapy[field] || ''}" />
+                <div class="form-error" id="${rowId}-${field}-error"></div>
+            </div>
+        `;
+        const textInput = (field, label, placeholder) => `
+            <div class="form-group">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <input type="text" id="${rowId}-${field}" name="${name(field)}" class="form-control" value="${therapy[field] || ''}"
+                       maxlength="${VALIDATION_RULES.homeTherapies[field].maxLength}" placeholder="${placeholder}" />
+                <div class="form-error" id="${rowId}-${field}-error"></div>
+            </div>
+        `;
+
+        return `
+            <div class="home-therapy-row" data-home-therapy-index="${index}">
+                <input type="hidden" name="${name('id')}" value="${therapy.id || this.generateId()}" />
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="${rowId}-type" class="form-label">Traitement</label>
+                        <select id="${rowId}-type" name="${name('type')}" class="form-control">
+                            ${HOME_THERAPY_TYPES.map(({ key, shortLabel, label }) => `
+                                <option value="${key}" ${therapy.type === key ? 'selected' : ''}>${shortLabel} - ${label}</option>
+                            `).join('')}
+                        </select>
+                        <div class="form-error" id="${rowId}-type-error"></div>
+                    </div>
+                    <div class="form-group">
+                        <label for="${rowId}-device" class="form-label">Appareil</label>
+                        <select id="${rowId}-device" name="${name('device')}" class="form-control">
+                            <option value="">-</option>
+                            ${HOME_THERAPY_TYPES.map(type => `
+                                <optgroup label="${type.shortLabel}">
+                                    ${HOME_THERAPY_DEVICES.filter(device => device.type === type.key).map(({ key, shortLabel }) => `
+                                        <option value="${key}" ${therapy.device === key ? 'selected' : ''}>${shortLabel}</option>
+                                    `).join('')}
+                                </optgroup>
+                            `).join('')}
+                        </select>
+                        <div class="form-error" id="${rowId}-device-error"></div>
+                    </div>
+                    ${measurement('flowRate')}
+                    ${measurement('hoursPerDay')}
+                    <button type="button" class="btn btn-danger btn-sm remove-home-therapy-btn" aria-label="Retirer la prescription">
+                        Retirer
+                    </button>
+                </div>
+                <div class="form-row">
+                    ${textInput('supplier', 'Prestataire', 'Prestataire de santé à domicile')}
+                    ${dateInput('startDate', 'Début')}
+                    ${dateInput('renewalDate', 'Renouvellement')}
+                    ${dateInput('stopDate', 'Arrêt')}
+                </div>
+                <div class="form-row">
+                    ${dateInput('bloodGasDate', 'Gaz du sang du')}
+                    ${measurement('pao2')}
+                    ${measurement('paco2')}
+                    ${textInput('notes', 'Notes', 'Réglages, O2 de déambulation...')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the sleep studies and the CPAP/APAP follow-up log, one row per study or reading
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the sleep apnea fields
+     */
+    renderSleepFields(formId, patient) {
+        const studies = patient.sleepStudies || [];
+        const entries = patient.cpapLog || [];
+
+        return `
+            <fieldset class="sleep-study-fieldset">
+                <legend class="form-label">ÉTUDES DU SOMMEIL</legend>
+                <div class="sleep-study-list" id="${formId}-sleepStudies" data-next-index="${studies.length}">
+                    ${studies.map((study, index) => this.renderSleepStudyRow(formId, study, index)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-sleep-study-btn">
+                    + Ajouter une étude
+                </button>
+                <p class="form-help">La sévérité est déduite de l'IAH : léger ≥ 5, modéré ≥ 15, sévère ≥ 30 /h.</p>
+            </fieldset>
+
+            <fieldset class="cpap-log-fieldset">
+                <legend class="form-label">SUIVI PPC</legend>
+                <div class="cpap-log-list" id="${formId}-cpapLog" data-next-index="${entries.length}">
+                    ${entries.map((entry, index) => this.renderCpapEntryRow(formId, entry, index)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-cpap-entry-btn">
+                    + Ajouter un relevé
+                </button>
+                <p class="form-help">Une utilisation inférieure à ${CPAP_MIN_USAGE_HOURS} h par nuit est signalée comme observance insuffisante.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render a number input of a sleep study or CPAP log row
+     * @param {string} rowId - Row element identifier
+     * @param {string} name - Input name, e.g. 'sleepStudies[0][ahi]'
+     * @param {Object} measurement - Measurement { key, label, unit }
+     * @param {Object} range - Plausible range { min, max }
+     * @param {*} value - Current value
+     * @returns {string} HTML string for the form group
+     */
+    renderSleepMeasurementInput(rowId, name, measurement, range, value) {
+        return `
+            <div class="form-group">
+                <label for="${rowId}-${measurement.key}" class="form-label">
+                    ${measurement.label} <span class="vitals-unit">(${measurement.unit})</span>
+                </label>
+                <input 
+                    type="number" 
+                    id="${rowId}-${measurement.key}" 
+                    name="${name}" 
+                    class="form-control" 
+                    value="${value === undefined || value === null ? '' : value}"
+                    min="${range.min}" 
+                    max="${range.max}"
+                    step="0.1"
+                />
+                <div class="form-error" id="${rowId}-${measurement.key}-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one row of the sleep studies
+     * @param {string} formId - Form identifier
+     * @param {Object} study - Sleep study { id, date, type, ahi, odi, meanSpo2, minSpo2, t90 }
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderSleepStudyRow(formId, study, index) {
+        const rowId = `${formId}-sleep-study-${index}`;
+        const severity = classifySleepApnea(study.ahi);
+
+        return `
+            <div class="sleep-study-row" data-sleep-study-index="${index}">
+                <input type="hidden" name="sleepStudies[${index}][id]" value="${study.id || this.generateId()}" />
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="${rowId}-date" class="form-label">Date</label>
+                        <input type="date" id="${rowId}-date" name="sleepStudies[${index}][date]" class="form-control"
+                               value="${study.date || ''}" max="${this.getTodayDateString()}" />
+                        <div class="form-error" id="${rowId}-date-error"></div>
+                    </div>
+                    <div class="form-group">
+                        <label for="${rowId}-type" class="form-label">Examen</label>
+                        <select id="${rowId}-type" name="sleepStudies[${index}][type]" class="form-control">
+                            <option value="">-</option>
+                            ${SLEEP_STUDY_TYPES.map(({ key, shortLabel }) => `
+                                <option value="${key}" ${study.type === key ? 'selected' : ''}>${shortLabel}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <p class="form-help sleep-study-severity">
+                        Sévérité : <output>${severity ? severity.shortLabel : '—'}</output>
+                    </p>
+                    <button type="button" class="btn btn-danger btn-sm remove-sleep-study-btn" aria-label="Retirer l'étude">
+                        Retirer
+                    </button>
+                </div>
+                <div class="form-row">
+                    ${SLEEP_STUDY_MEASUREMENTS.map(measurement => this.renderSleepMeasurementInput(
+                        rowId, `sleepStudies[${index}][${measurement.key}]`, measurement,
+                        VALIDATION_RULES.sleepStudies[measurement.key], study[measurement.key]
+                    )).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one row of the CPAP log
+     * @param {string} formId - Form identifier
+     * @param {Object} entry - Log entry { id, date, mode, pressure, pressureMin, pressureMax, maskType, usageHours, residualAhi, leak }
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderCpapEntryRow(formId, entry, index) {
+        const rowId = `${formId}-cpap-entry-${index}`;
+
+        return `
+            <div class="cpap-entry-row" data-cpap-entry-index="${index}">
+                <input type="hidden" name="cpapLog[${index}][id]" value="${entry.id || this.generateId()}" />
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="${rowId}-date" class="form-label">Date du relevé</label>
+                        <input type="date" id="${rowId}-date" name="cpapLog[${index}][date]" class="form-control"
+                               value="${entry.date || ''}" max="${this.getTodayDateString()}" />
+                        <div class="form-error" id="${rowId}-date-error"></div>
+                    </div>
+                    <div class="form-group">
+                        <label for="${rowId}-mode" class="form-label">Mode</label>
+                        <select id="${rowId}-mode" name="cpapLog[${index}][mode]" class="form-control">
+                            <option value="">-</option>
+                            ${CPAP_MODES.map(({ key, shortLabel }) => `
+                                <option value="${key}" ${entry.mode === key ? 'selected' : ''}>${shortLabel}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="${rowId}-maskType" class="form-label">Masque</label>
+                        <select id="${rowId}-maskType" name="cpapLog[${index}][maskType]" class="form-control">
+                            <option value="">-</option>
+                            ${CPAP_MASK_TYPES.map(({ key, shortLabel }) => `
+                                <option value="${key}" ${entry.maskType === key ? 'selected' : ''}>${shortLabel}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <button type="button" class="btn btn-danger btn-sm remove-cpap-entry-btn" aria-label="Retirer le relevé">
+                        Retirer
+                    </button>
+                </div>
+                <div class="form-row">
+                    ${CPAP_MEASUREMENTS.map(measurement => this.renderSleepMeasurementInput(
+                        rowId, `cpapLog[${index}][${measurement.key}]`, measurement,
+                        VALIDATION_RULES.cpapLog[measurement.rule], entry[measurement.key]
+                    )).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the allergies, one row per substance, checked against the prescriptions
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the allergy list
+     */
+    renderAllergyFields(formId, patient) {
+        const allergies = patient.allergies || [];
+
+        return `
+            <fieldset class="allergy-fieldset">
+                <legend class="form-label">ALLERGIES</legend>
+                <div class="allergy-list" id="${formId}-allergies" data-next-index="${allergies.length}">
+                    ${allergies.map((allergy, index) => this.renderAllergyRow(formId, allergy, index)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-allergy-btn">
+                    + Ajouter une allergie
+                </button>
+                <p class="form-help">Les traitements prescrits sont comparés aux allergies et à leur classe médicamenteuse.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render one row of the allergy list
+     * @param {string} formId - Form identifier
+     * @param {Object} allergy - Allergy { id, substance, drugClass, reaction, severity }
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderAllergyRow(formId, allergy, index) {
+        const rowId = `${formId}-allergy-${index}`;
+
+        return `
+            <div class="form-row allergy-row" data-allergy-index="${index}">
+                <input type="hidden" name="allergies[${index}][id]" value="${allergy.id || this.generateId()}" />
+                <div class="form-group">
+                    <label for="${rowId}-substance" class="form-label">Substance</label>
+                    <input 
+                        type="text" 
+                        id="${rowId}-substance" 
+                        name="allergies[${index}][substance]" 
+                        class="form-control" 
+                        value="${allergy.substance || ''}"
+                        placeholder="Pénicilline, aspirine..."
+                        maxlength="${VALIDATION_RULES.allergies.substance.maxLength}"
+                    />
+                    <div class="form-error" id="${rowId}-substance-error"></div>
+                </div>
+                <div class="form-group">
+                    <label for="${rowId}-drugClass" class="form-label">Classe</label>
+                    <select id="${rowId}-drugClass" name="allergies[${index}][drugClass]" class="form-control">
+                        <option value="">Déduite de la substance</option>
+                        ${DRUG_CLASSES.map(({ key, label }) => `
+                            <option value="${key}" ${allergy.drugClass === key ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="${rowId}-reaction" class="form-label">Réaction</label>
+                    <input 
+                        type="text" 
+                        id="${rowId}-reaction" 
+                        name="allergies[${index}][reaction]" 
+                        class="form-control" 
+                        value="${allergy.reaction || ''}"
+                        placeholder="Urticaire, bronchospasme..."
+                        maxlength="${VALIDATION_RULES.allergies.reaction.maxLength}"
+                    />
+                    <div class="form-error" id="${rowId}-reaction-error"></div>
+                </div>
+                <div class="form-group">
+                    <label for="${rowId}-severity" class="form-label">Sévérité</label>
+                    <select id="${rowId}-severity" name="allergies[${index}][severity]" class="form-control">
+                        <option value="">-</option>
+                        ${ALLERGY_SEVERITIES.map(({ key, shortLabel }) => `
+                            <option value="${key}" ${allergy.severity === key ? 'selected' : ''}>${shortLabel}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <button type="button" class="btn btn-danger btn-sm remove-allergy-btn" aria-label="Retirer l'allergie">
+                    Retirer
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the problem list, one row per ICD-10 coded diagnosis
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the problem list
+     */
+    renderProblemListFields(formId, patient) {
+        const problems = patient.problems || [];
+
+        return `
+            <fieldset class="problem-list-fieldset">
+                <legend class="form-label">LISTE DES PROBLÈMES (CIM-10)</legend>
+                <div class="problem-list" id="${formId}-problems" data-next-index="${problems.length}">
+                    ${problems.map((problem, index) => this.renderProblemRow(formId, problem, index)).join('')}
+                </div>
+                <datalist id="${formId}-icd10-options"></datalist>
+                <button type="button" class="btn btn-secondary btn-sm add-problem-btn">
+                    + Ajouter un diagnostic
+                </button>
+                <p class="form-help">Tapez un code (J45) ou un libellé (asthme, apnée...) pour rechercher dans la CIM-10.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render one row of the problem list
+     * @param {string} formId - Form identifier
+     * @param {Object} problem - Problem { id, code, onsetDate, status, notes }
+     * @param {number} index - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderProblemRow(formId, problem, index) {
+        const rowId = `${formId}-problem-${index}`;
+        const entry = getIcd10Code(problem.code);
+
+        return `
+            <div class="form-row problem-row" data-problem-index="${index}">
+                <input type="hidden" name="problems[${index}][id]" value="${problem.id || this.generateId()}" />
+                <div class="form-group problem-code">
+                    <label for="${rowId}-code" class="form-label">Code</label>
+                    <input 
+                        type="text" 
+                        id="${rowId}-code" 
+                        name="problems[${index}][code]" 
+                        class="form-control" 
+                        value="${problem.code || ''}"
+                        list="${formId}-icd10-options"
+                        placeholder="J45.9"
+                        autocomplete="off"
+                    />
+                    <output class="problem-label" id="${rowId}-label">${entry ? entry.label : ''}</output>
+                    <div class="form-error" id="${rowId}-code-error"></div>
+                </div>
+                <div class="form-group">
+                    <label for="${rowId}-onsetDate" class="form-label">Début</label>
+                    <input 
+                        type="text" 
+                        id="${rowId}-onsetDate" 
+                        name="problems[${index}][onsetDate]" 
+                        class="form-control" 
+                        value="${problem.onsetDate || ''}"
+                        placeholder="AAAA, AAAA-MM ou AAAA-MM-JJ"
+                    />
+                    <div class="form-error" id="${rowId}-onsetDate-error"></div>
+                </div>
+                <div class="form-group">
+                    <label for="${rowId}-status" class="form-label">Statut</label>
+                    <select id="${rowId}-status" name="problems[${index}][status]" class="form-control">
+                        ${PROBLEM_STATUSES.map(({ key, shortLabel }) => `
+                            <option value="${key}" ${(problem.status || 'active') === key ? 'selected' : ''}>${shortLabel}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group problem-notes">
+                    <label for="${rowId}-notes" class="form-label">Notes</label>
+                    <input 
+                        type="text" 
+                        id="${rowId}-notes" 
+                        name="problems[${index}][notes]" 
+                        class="form-control" 
+                        value="${problem.notes || ''}"
+                        maxlength="${VALIDATION_RULES.problems.notes.maxLength}"
+                    />
+                    <div class="form-error" id="${rowId}-notes-error"></div>
+                </div>
+                <button type="button" class="btn btn-danger btn-sm remove-problem-btn" aria-label="Retirer le diagnostic">
+                    Retirer
+                </button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the COPD and asthma diagnoses that enable the GOLD and GINA classification
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the diagnosis checkboxes
+     */
+    renderRespiratoryDiagnosisFields(formId, patient) {
+        const diagnoses = patient.respiratoryDiagnoses || [];
+
+        return `
+            <div class="form-group respiratory-diagnoses" id="${formId}-respiratoryDiagnoses">
+                <span class="form-label">DIAGNOSTICS RESPIRATOIRES</span>
+                <div class="form-check-group">
+                    ${RESPIRATORY_DIAGNOSES.map(({ key, shortLabel }) => `
+                        <label class="form-check">
+                            <input type="checkbox" name="respiratoryDiagnoses[${key}]" ${diagnoses.includes(key) ? 'checked' : ''} />
+                            ${shortLabel}
+                        </label>
+                    `).join('')}
+                </div>
+                <p class="form-help">Active la classification GOLD (BPCO) et GINA (asthme) à chaque visite.</p>
+                <div class="form-error" id="${formId}-respiratoryDiagnoses-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the smoking history and exposure fields
+     * @param {string} formId - Form identifier
+     * @param {Object} patient - Patient data
+     * @returns {string} HTML string for the smoking history fields
+     */
+    renderTobaccoFields(formId, patient) {
+        const tobacco = patient.tobacco || {};
+        const rules = VALIDATION_RULES.tobacco;
+        const exposures = tobacco.exposures || [];
+        const valueOf = value => (value === undefined || value === null ? '' : value);
+        const packYears = computePackYears(tobacco);
+
+        return `
+            <fieldset class="tobacco-fieldset">
+                <legend class="form-label">TABAGISME ET EXPOSITIONS</legend>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="${formId}-tobacco-status" class="form-label">Statut tabagique</label>
+                        <select id="${formId}-tobacco-status" name="tobacco[status]" class="form-control">
+                            <option value="">Non renseigné</option>
+                            ${SMOKING_STATUSES.map(({ key, shortLabel }) => `
+                                <option value="${key}" ${tobacco.status === key ? 'selected' : ''}>${shortLabel}</option>
+                            `).join('')}
+                        </select>
+                        <div class="form-error" id="${formId}-tobacco-status-error"></div>
+                    </div>
+
+                    <div class="form-group tobacco-smoker-only">
+                        <label for="${formId}-tobacco-cigarettesPerDay" class="form-label">Cigarettes par jour</label>
+                        <input 
+                            type="number" 
+                            id="${formId}-tobacco-cigarettesPerDay" 
+                            name="tobacco[cigarettesPerDay]" 
+                            class="form-control" 
+                            value="${valueOf(tobacco.cigarettesPerDay)}"
+                            min="${rules.cigarettesPerDay.min}" 
+                            max="${rules.cigarettesPerDay.max}"
+                            step="1"
+                        />
+                        <div class="form-error" id="${formId}-tobacco-cigarettesPerDay-error"></div>
+                    </div>
+                </div>
+
+                <div class="form-row tobacco-smoker-only">
+                    <div class="form-group">
+                        <label for="${formId}-tobacco-startDate" class="form-label">Début</label>
+                        <input 
+                            type="month" 
+                            id="${formId}-tobacco-startDate" 
+                            name="tobacco[startDate]" 
+                            class="form-control" 
+                            value="${valueOf(tobacco.startDate).slice(0, 7)}"
+                            max="${this.getTodayDateString().slice(0, 7)}"
+                        />
+                        <div class="form-error" id="${formId}-tobacco-startDate-error"></div>
+                    </div>
+
+                    <div class="form-group tobacco-former-only">
+                        <label for="${formId}-tobacco-quitDate" class="form-label">Sevrage</label>
+                        <input 
+                            type="month" 
+                            id="${formId}-tobacco-quitDate" 
+                            name="tobacco[quitDate]" 
+                            class="form-control" 
+                            value="${valueOf(tobacco.quitDate).slice(0, 7)}"
+                            max="${this.getTodayDateString().slice(0, 7)}"
+                        />
+                        <div class="form-error" id="${formId}-tobacco-quitDate-error"></div>
+                    </div>
+                </div>
+
+                <p class="form-help tobacco-smoker-only">
+                    Paquets-années : <output id="${formId}-tobacco-packYears">${packYears === null ? '—' : packYears}</output>
+                    (cigarettes par jour / 20 × années de tabagisme)
+                </p>
+
+                <div class="tobacco-exposures">
+                    ${TOBACCO_EXPOSURES.map(({ key, label }) => {
+                        const exposure = exposures.find(entry => entry.type === key);
+                        return `
+                            <div class="form-row tobacco-exposure">
+                                <label class="form-check">
+                                    <input type="checkbox" name="tobacco[exposures][${key}]" ${exposure ? 'checked' : ''} />
+                                    ${label}
+                                </label>
+                                <input 
+                                    type="text" 
+                                    id="${formId}-tobacco-exposures-${key}" 
+                                    name="tobacco[exposureDetails][${key}]" 
+                                    class="form-control" 
+                                    value="${exposure ? exposure.details : ''}"
+                                    placeholder="Détails (durée, fréquence, profession...)"
+                                    maxlength="${rules.exposureDetails.maxLength}"
+                                    aria-label="${label} : détails"
+                                />
+                                <div class="form-error" id="${formId}-tobacco-exposures-${key}-error"></div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </fieldset>
+        `;
+    }
+
     /**
      * Render visits HTML
      * @param {string} formId - Form identifier
@@ -227,15 +977,20 @@ class FormManager {
      */
     renderVisit(formId, visit, index) {
         const visitId = visit.id || this.generateId();
+        const canEditClinical = currentUserCan('clinical:write');
+        // Visits holding clinical data can only be removed by medical staff
+        const canRemove = canEditClinical || !visitHasClinicalData(visit);
 
         return `
             <div class="visit-item" data-visit-id="${visitId}" data-visit-index="${index}">
                 <div class="visit-header">
                     <h4 class="visit-title">Visit ${index + 1}</h4>
-                    <button type="button" class="btn btn-danger btn-sm remove-visit-btn" 
-                            data-form-id="${formId}" data-visit-index="${index}">
-                        Remove
-                    </button>
+                    ${canRemove ? `
+                        <button type="button" class="btn btn-danger btn-sm remove-visit-btn" 
+                                data-form-id="${formId}" data-visit-index="${index}">
+                            Remove
+                        </button>
+                    ` : ''}
                 </div>
                 
                 <input type="hidden" name="visits[${index}][id]" value="${visitId}" />
@@ -256,83 +1011,560 @@ class FormManager {
                         />
                         <div class="form-error" id="${formId}-visit-${index}-date-error"></div>
                     </div>
+                    ${this.renderNextAppointmentField(formId, visit, index)}
                 </div>
                 
-                <div class="form-group">
-                    <label for="${formId}-visit-${index}-consultation" class="form-label">
-                        CONSULTATION
-                    </label>
-                    <textarea 
-                        id="${formId}-visit-${index}-consultation" 
-                        name="visits[${index}][consultation]" 
-                        class="form-control" 
-                        rows="4"
-                        placeholder="Entrez les observations cliniques, les symptômes et les notes médicales"
-                        maxlength="2000"
-                    >${visit.consultation || ''}</textarea>
-                    <div class="form-error" id="${formId}-visit-${index}-consultation-error"></div>
-                </div>
+                ${canEditClinical ? this.renderVisitClinicalFields(formId, visit, index) : `
+                    <p class="form-help clinical-restricted">Clinical details are restricted to medical staff.</p>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the date of the next appointment, with the date suggested by the plan (CAT)
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the field
+     */
+    renderNextAppointmentField(formId, visit, index) {
+        return `
+            <div class="form-group next-appointment">
+                <label for="${formId}-visit-${index}-nextAppointment" class="form-label">
+                    Prochain rendez-vous
+                </label>
+                <input 
+                    type="date" 
+                    id="${formId}-visit-${index}-nextAppointment" 
+                    name="visits[${index}][nextAppointment]" 
+                    class="form-control" 
+                    value="${visit.nextAppointment || ''}"
+                />
+                <output class="next-appointment-suggestion" id="${formId}-visit-${index}-nextAppointment-suggestion">
+                    ${this.renderNextAppointmentSuggestion(suggestNextAppointment(visit.cat, visit.visitDate), visit.nextAppointment)}
+                </output>
+                <div class="form-error" id="${formId}-visit-${index}-nextAppointment-error"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the next appointment suggested by the plan, unless it is the date already entered
+     * @param {Object|null} suggestion - Suggestion from suggestNextAppointment()
+     * @param {string} current - Date entered
+     * @returns {string} HTML string for the suggestion
+     */
+    renderNextAppointmentSuggestion(suggestion, current) {
+        if (!suggestion || suggestion.date === current) {
+            return '';
+        }
+
+        return `
+            Suggéré d'après la CAT (« ${sanitizeHtml(suggestion.text)} ») : ${new Date(suggestion.date).toLocaleDateString('fr-FR')}
+            <button type="button" class="btn btn-secondary btn-sm use-next-appointment-btn" data-date="${suggestion.date}">
+                Utiliser
+            </button>
+        `;
+    }
+
+    /**
+     * Update the suggested next appointment of a visit after its plan or date changed
+     * @param {string} formId - Form identifier
+     * @param {Element} visitElement - Visit DOM element
+     */
+    updateNextAppointmentSuggestion(formId, visitElement) {
+        const output = visitElement.querySelector('.next-appointment-suggestion');
+        if (!output) {
+            return;
+        }
+
+        const value = name => {
+            const field = visitElement.querySelector(`[name$="[${name}]"]`);
+            return field ? field.value : '';
+        };
+        output.innerHTML = this.renderNextAppointmentSuggestion(
+            suggestNextAppointment(value('cat'), value('visitDate')),
+            value('nextAppointment')
+        );
+    }
+
+    /**
+     * Render the clinical fields of a visit
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the clinical fields
+     */
+    renderVisitClinicalFields(formId, visit, index) {
+        return `
+            <div class="form-group">
+                <label for="${formId}-visit-${index}-consultation" class="form-label">
+                    CONSULTATION
+                </label>
+                <textarea 
+                    id="${formId}-visit-${index}-consultation" 
+                    name="visits[${index}][consultation]" 
+                    class="form-control" 
+                    rows="4"
+                    placeholder="Entrez les observations cliniques, les symptômes et les notes médicales"
+                    maxlength="2000"
+                >${visit.consultation || ''}</textarea>
+                <div class="form-error" id="${formId}-visit-${index}-consultation-error"></div>
+            </div>
                 
-                <div class="form-group">
-                    <label for="${formId}-visit-${index}-billan" class="form-label">
-                        BILLAN
-                    </label>
-                    <textarea 
-                        id="${formId}-visit-${index}-billan" 
-                        name="visits[${index}][billan]" 
-                        class="form-control" 
-                        rows="4"
-                        placeholder="Entrez les remarques sur le bilan"
-                        maxlength="2000"
-                    >${visit.billan || ''}</textarea>
-                    <div class="form-error" id="${formId}-visit-${index}-billan-error"></div>
-                </div>
+            <div class="form-group">
+                <label for="${formId}-visit-${index}-billan" class="form-label">
+                    BILLAN
+                </label>
+                <textarea 
+                    id="${formId}-visit-${index}-billan" 
+                    name="visits[${index}][billan]" 
+                    class="form-control" 
+                    rows="4"
+                    placeholder="Entrez les remarques sur le bilan"
+                    maxlength="2000"
+                >${visit.billan || ''}</textarea>
+                <div class="form-error" id="${formId}-visit-${index}-billan-error"></div>
+            </div>
                 
-                <div class="form-group">
-                    <label for="${formId}-visit-${index}-cat" class="form-label">
-                        CAT
-                    </label>
-                    <textarea 
-                        id="${formId}-visit-${index}-cat" 
-                        name="visits[${index}][cat]" 
-                        class="form-control" 
-                        rows="3"
-                        placeholder="Entrez les médicaments prescrits lors de cette visite"
-                        maxlength="1000"
-                    >${visit.cat || ''}</textarea>
-                    <div class="form-error" id="${formId}-visit-${index}-cat-error"></div>
-                </div>
+            <div class="form-group">
+                <label for="${formId}-visit-${index}-cat" class="form-label">
+                    CAT
+                </label>
+                <textarea 
+                    id="${formId}-visit-${index}-cat" 
+                    name="visits[${index}][cat]" 
+                    class="form-control" 
+                    rows="3"
+                    placeholder="Entrez les médicaments prescrits lors de cette visite"
+                    maxlength="1000"
+                >${visit.cat || ''}</textarea>
+                <div class="form-error" id="${formId}-visit-${index}-cat-error"></div>
+            </div>
                 
-                <div class="form-group">
-                    <label for="${formId}-visit-${index}-examenClinique" class="form-label">
-                        EXAMEN CLINIQUE
-                    </label>
-                    <textarea 
-                        id="${formId}-visit-${index}-examenClinique" 
-                        name="visits[${index}][examenClinique]" 
-                        class="form-control" 
-                        rows="4"
-                        placeholder="Entrez les remarques sur l'examen clinique"
-                        maxlength="2000"
-                    >${visit.examenClinique || ''}</textarea>
-                    <div class="form-error" id="${formId}-visit-${index}-examenClinique-error"></div>
+            <div class="form-group">
+                <label for="${formId}-visit-${index}-examenClinique" class="form-label">
+                    EXAMEN CLINIQUE
+                </label>
+                <textarea 
+                    id="${formId}-visit-${index}-examenClinique" 
+                    name="visits[${index}][examenClinique]" 
+                    class="form-control" 
+                    rows="4"
+                    placeholder="Entrez les remarques sur l'examen clinique"
+                    maxlength="2000"
+                >${visit.examenClinique || ''}</textarea>
+                <div class="form-error" id="${formId}-visit-${index}-examenClinique-error"></div>
+            </div>
+                
+            <div class="form-group">
+                <label for="${formId}-visit-${index}-comments" class="form-label">
+                    Additional Comments
+                </label>
+                <textarea 
+                    id="${formId}-visit-${index}-comments" 
+                    name="visits[${index}][additionalComments]" 
+                    class="form-control" 
+                    rows="3"
+                    placeholder="Enter any additional comments"
+                    maxlength="1000"
+                >${visit.additionalComments || ''}</textarea>
+                <div class="form-error" id="${formId}-visit-${index}-comments-error"></div>
+            </div>
+
+            ${this.renderVisitVitalsFields(formId, visit, index)}
+
+            ${this.renderVisitQuestionnaireFields(formId, visit, index)}
+
+            ${this.renderVisitPftFields(formId, visit, index)}
+
+            ${this.renderVisitLabFields(formId, visit, index)}
+
+            ${this.renderVisitClassificationFields(formId, visit, index)}
+
+            ${this.renderVisitTreatmentFields(formId, visit, index)}
+        `;
+    }
+
+    /**
+     * Render the structured treatments of a visit, printed as its prescription
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the treatment list
+     */
+    renderVisitTreatmentFields(formId, visit, index) {
+        const treatments = visit.treatments || [];
+
+        return `
+            <fieldset class="treatment-fieldset">
+                <legend class="form-label">TRAITEMENT</legend>
+                <div class="treatment-list" data-next-index="${treatments.length}">
+                    ${treatments.map((treatment, row) => this.renderTreatmentRow(formId, treatment, index, row)).join('')}
+                </div>
+                <button type="button" class="btn btn-secondary btn-sm add-treatment-btn">
+                    + Ajouter un médicament
+                </button>
+                <p class="form-help">Le traitement en cours est repris à la visite suivante. Renseignez la date d'arrêt d'un médicament arrêté.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render one treatment line of a visit
+     * @param {string} formId - Form identifier
+     * @param {Object} treatment - Treatment { id, drug, dose, device, frequency, duration, startDate, stopDate }
+     * @param {number} index - Visit index
+     * @param {number} row - Row index, kept when other rows are removed
+     * @returns {string} HTML string for the row
+     */
+    renderTreatmentRow(formId, treatment, index, row) {
+        const rowId = `${formId}-visit-${index}-treatments-${row}`;
+        const name = field => `visits[${index}][treatments][${row}][${field}]`;
+        const rules = VALIDATION_RULES.treatments;
+        const textField = (field, label, placeholder) => `
+            <div class="form-group treatment-${field}">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <input 
+                    type="text" 
+                    id="${rowId}-${field}" 
+                    name="${name(field)}" 
+                    class="form-control" 
+                    value="${treatment[field] || ''}"
+                    placeholder="${placeholder}"
+                    maxlength="${rules[field].maxLength}"
+                />
+                <div class="form-error" id="${rowId}-${field}-error"></div>
+            </div>
+        `;
+        const dateField = (field, label) => `
+            <div class="form-group">
+                <label for="${rowId}-${field}" class="form-label">${label}</label>
+                <input 
+                    type="date" 
+                    id="${rowId}-${field}" 
+                    name="${name(field)}" 
+                    class="form-control" 
+                    value="${treatment[field] || ''}"
+                />
+                <div class="form-error" id="${rowId}-${field}-error"></div>
+            </div>
+        `;
+
+        return `
+            <div class="treatment-row" data-treatment-index="${row}">
+                <input type="hidden" name="${name('id')}" value="${treatment.id || this.generateId()}" />
+                <div class="form-row">
+                    ${textField('drug', 'Médicament', 'Tiotropium')}
+                    ${textField('dose', 'Dose', '18 µg')}
+                    <div class="form-group">
+                        <label for="${rowId}-device" class="form-label">Dispositif</label>
+                        <select id="${rowId}-device" name="${name('device')}" class="form-control">
+                            <option value="">Non précisé</option>
+                            ${MEDICATION_DEVICES.map(({ key, shortLabel }) => `
+                                <option value="${key}" ${treatment.device === key ? 'selected' : ''}>${shortLabel}</option>
+                            `).join('')}
+                        </select>
+                        <div class="form-error" id="${rowId}-device-error"></div>
+                    </div>
+                </div>
+                <div class="form-row">
+                    ${textField('frequency', 'Posologie', '1 inhalation le matin')}
+                    ${textField('duration', 'Durée', '3 mois')}
+                    ${dateField('startDate', 'Début')}
+                    ${dateField('stopDate', 'Arrêt')}
+                    <button type="button" class="btn btn-danger btn-sm remove-treatment-btn" aria-label="Retirer le médicament">
+                        Retirer
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the exacerbation counts and asthma treatment step used by the GOLD and GINA classification
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the classification inputs
+     */
+    renderVisitClassificationFields(formId, visit, index) {
+        const exacerbations = normalizeExacerbations(visit.exacerbations) || {};
+        const rule = VALIDATION_RULES.classification.exacerbations;
+        const valueOf = value => (value === undefined || value === null ? '' : value);
+
+        return `
+            <fieldset class="classification-fieldset">
+                <legend class="form-label">EXACERBATIONS ET TRAITEMENT DE FOND</legend>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="${formId}-visit-${index}-exacerbations-moderate" class="form-label">
+                            Exacerbations modérées (12 derniers mois)
+                        </label>
+                        <input 
+                            type="number" 
+                            id="${formId}-visit-${index}-exacerbations-moderate" 
+                            name="visits[${index}][exacerbations][moderate]" 
+                            class="form-control" 
+                            value="${valueOf(exacerbations.moderate)}"
+                            min="${rule.min}" 
+                            max="${rule.max}"
+                            step="1"
+                        />
+                        <div class="form-error" id="${formId}-visit-${index}-exacerbations-moderate-error"></div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="${formId}-visit-${index}-exacerbations-hospitalized" class="form-label">
+                            Exacerbations hospitalisées (12 derniers mois)
+                        </label>
+                        <input 
+                            type="number" 
+                            id="${formId}-visit-${index}-exacerbations-hospitalized" 
+                            name="visits[${index}][exacerbations][hospitalized]" 
+                            class="form-control" 
+                            value="${valueOf(exacerbations.hospitalized)}"
+                            min="${rule.min}" 
+                            max="${rule.max}"
+                            step="1"
+                        />
+                        <div class="form-error" id="${formId}-visit-${index}-exacerbations-hospitalized-error"></div>
+                    </div>
+
+                    <div class="form-group">
+                        <label for="${formId}-visit-${index}-asthmaStep" class="form-label">Traitement de l'asthme (palier GINA)</label>
+                        <select id="${formId}-visit-${index}-asthmaStep" name="visits[${index}][asthmaStep]" class="form-control">
+                            <option value="">Non renseigné</option>
+                            ${GINA_STEPS.map(({ step, label }) => `
+                                <option value="${step}" ${Number(visit.asthmaStep) === step ? 'selected' : ''}>Palier ${step} : ${label}</option>
+                            `).join('')}
+                        </select>
+                        <div class="form-error" id="${formId}-visit-${index}-asthmaStep-error"></div>
+                    </div>
+                </div>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render the questionnaires of a visit (CAT, mMRC, ACT, Epworth), one collapsible
+     * section each with the score computed as the items are answered
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the questionnaires
+     */
+    renderVisitQuestionnaireFields(formId, visit, index) {
+        const questionnaires = normalizeQuestionnaires(visit.questionnaires) || {};
+
+        return `
+            <fieldset class="questionnaires-fieldset">
+                <legend class="form-label">QUESTIONNAIRES</legend>
+                ${QUESTIONNAIRES.map(questionnaire => {
+                    const answers = questionnaires[questionnaire.key] ? questionnaires[questionnaire.key].answers : [];
+                    const name = `visits[${index}][questionnaires][${questionnaire.key}]`;
+                    return `
+                        <details class="questionnaire" id="${formId}-visit-${index}-questionnaires-${questionnaire.key}"
+                                 data-name="${name}" data-questionnaire="${questionnaire.key}" ${answers.length > 0 ? 'open' : ''}>
+                            <summary class="questionnaire-summary">
+                                ${questionnaire.label} <span class="questionnaire-title">${questionnaire.title}</span>
+                                <output class="questionnaire-score">${this.formatQuestionnaireScore(questionnaire.key, answers)}</output>
+                            </summary>
+                            ${questionnaire.items.map((item, itemIndex) => `
+                                <div class="questionnaire-item" role="radiogroup"
+                                     aria-label="${item.label || `${item.low} / ${item.high}`}">
+                                    ${item.label ? `<p class="questionnaire-question">${itemIndex + 1}. ${item.label}</p>` : ''}
+                                    <div class="questionnaire-options ${item.low ? 'questionnaire-scale' : ''}">
+                                        ${item.low ? `<span class="questionnaire-anchor">${item.low}</span>` : ''}
+                                        ${item.options.map(option => `
+                                            <label class="questionnaire-option">
+                                                <input type="radio" name="${name}[${itemIndex}]" value="${option.value}"
+                                                       ${answers[itemIndex] === option.value ? 'checked' : ''} />
+                                                ${option.label}
+                                            </label>
+                                        `).join('')}
+                                        ${item.high ? `<span class="questionnaire-anchor">${item.high}</span>` : ''}
+                                    </div>
+                                </div>
+                            `).join('')}
+                            <div class="form-error" id="${formId}-visit-${index}-questionnaires-${questionnaire.key}-error"></div>
+                        </details>
+                    `;
+                }).join('')}
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Format the score of a questionnaire for the form
+     * @param {string} key - Questionnaire key
+     * @param {Array} answers - Answers so far
+     * @returns {string} "18 / 40 · Medium impact", or the number of items answered
+     */
+    formatQuestionnaireScore(key, answers) {
+        const questionnaire = getQuestionnaire(key);
+        const score = scoreQuestionnaire(key, answers);
+        if (score === null) {
+            const answered = answers.filter(value => value !== null && value !== undefined).length;
+            return answered > 0 ? `${answered} / ${questionnaire.items.length} answered` : '';
+        }
+        return `${score} / ${questionnaireRange(questionnaire).max} · ${interpretQuestionnaire(key, score).label}`;
+    }
+
+    /**
+     * Render the vital signs fields of a visit
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the vital signs fields
+     */
+    renderVisitVitalsFields(formId, visit, index) {
+        const vitals = visit.vitals || {};
+        const rules = VALIDATION_RULES.vitals;
+        const valueOf = value => (value === undefined || value === null ? '' : value);
+
+        return `
+            <fieldset class="vitals-fieldset">
+                <legend class="form-label">CONSTANTES</legend>
+                <div class="vitals-grid">
+                    ${VITAL_SIGNS.filter(vital => !vital.computed).map(({ key, label, unit }) => `
+                        <div class="form-group">
+                            <label for="${formId}-visit-${index}-vitals-${key}" class="form-label">
+                                ${label} <span class="vitals-unit">(${unit})</span>
+                            </label>
+                            <input 
+                                type="number" 
+                                id="${formId}-visit-${index}-vitals-${key}" 
+                                name="visits[${index}][vitals][${key}]" 
+                                class="form-control" 
+                                value="${valueOf(vitals[key])}"
+                                min="${rules[key].min}" 
+                                max="${rules[key].max}"
+                                step="${key === 'temperature' || key === 'weightKg' ? '0.1' : '1'}"
+                            />
+                            <div class="form-error" id="${formId}-visit-${index}-vitals-${key}-error"></div>
+                        </div>
+                    `).join('')}
                 </div>
-                
-                <div class="form-group">
-                    <label for="${formId}-visit-${index}-comments" class="form-label">
-                        Additional Comments
-                    </label>
-                    <textarea 
-                        id="${formId}-visit-${index}-comments" 
-                        name="visits[${index}][additionalComments]" 
+                <p class="form-help">L'IMC est calculé à partir du poids et de la taille.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render the pulmonary function test fields of a visit
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the test fields
+     */
+    renderVisitPftFields(formId, visit, index) {
+        const pft = visit.pft || {};
+        const rules = VALIDATION_RULES.pft;
+        const valueOf = value => (value === undefined || value === null ? '' : value);
+
+        return `
+            <fieldset class="pft-fieldset">
+                <legend class="form-label">EFR (explorations fonctionnelles respiratoires)</legend>
+                <div class="form-group pft-height">
+                    <label for="${formId}-visit-${index}-pft-heightCm" class="form-label">Taille (cm)</label>
+                    <input 
+                        type="number" 
+                        id="${formId}-visit-${index}-pft-heightCm" 
+                        name="visits[${index}][pft][heightCm]" 
                         class="form-control" 
-                        rows="3"
-                        placeholder="Enter any additional comments"
-                        maxlength="1000"
-                    >${visit.additionalComments || ''}</textarea>
-                    <div class="form-error" id="${formId}-visit-${index}-comments-error"></div>
+                        value="${valueOf(pft.heightCm)}"
+                        min="${rules.heightCm.min}" 
+                        max="${rules.heightCm.max}"
+                        step="0.1"
+                    />
+                    <div class="form-error" id="${formId}-visit-${index}-pft-heightCm-error"></div>
                 </div>
-            </div>
+                <table class="pft-form-table">
+                    <thead>
+                        <tr>
+                            <th></th>
+                            <th>Pré-BD</th>
+                            <th>Post-BD</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${PFT_PARAMETERS.map(({ key, label, unit }) => `
+                            <tr>
+                                <th scope="row">${label} <span class="pft-unit">(${unit})</span></th>
+                                ${PFT_PHASES.map(phase => `
+                                    <td>
+                                        <input 
+                                            type="number" 
+                                            id="${formId}-visit-${index}-pft-${key}-${phase}" 
+                                            name="visits[${index}][pft][${key}][${phase}]" 
+                                            class="form-control" 
+                                            value="${valueOf(pft[key] && pft[key][phase])}"
+                                            min="${rules[key].min}" 
+                                            max="${rules[key].max}"
+                                            step="0.01"
+                                            aria-label="${label} ${phase === 'pre' ? 'pré' : 'post'}-bronchodilatateur"
+                                        />
+                                        <div class="form-error" id="${formId}-visit-${index}-pft-${key}-${phase}-error"></div>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <p class="form-help">FEV1/FVC est calculé à partir de FEV1 et FVC lorsque les deux sont saisis.</p>
+            </fieldset>
+        `;
+    }
+
+    /**
+     * Render the lab result fields of a visit, grouped by panel, with the reference range of each test
+     * @param {string} formId - Form identifier
+     * @param {Object} visit - Visit object
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for the lab result fields
+     */
+    renderVisitLabFields(formId, visit, index) {
+        const labResults = visit.labResults || {};
+        const rules = VALIDATION_RULES.labResults;
+        const valueOf = value => (value === undefined || value === null ? '' : value);
+        // The form has no gender field: show both ranges when they differ
+        const rangeOf = ({ key, reference }) => (reference && (reference.male || reference.female) ?
+            `H ${formatLabRange(labReferenceRange(key, 'male'), '')} · F ${formatLabRange(labReferenceRange(key, 'female'), '')}` :
+            formatLabRange(labReferenceRange(key), ''));
+
+        return `
+            <fieldset class="labs-fieldset">
+                <legend class="form-label">BIOLOGIE</legend>
+                ${LAB_PANELS.map(panel => `
+                    <div class="labs-panel">
+                        <h4 class="labs-panel-title">${panel.shortLabel}</h4>
+                        <div class="labs-grid">
+                            ${LAB_TESTS.filter(test => test.panel === panel.key).map(test => `
+                                <div class="form-group">
+                                    <label for="${formId}-visit-${index}-labResults-${test.key}" class="form-label">
+                                        ${test.label}${test.unit ? ` <span class="labs-unit">(${test.unit})</span>` : ''}
+                                    </label>
+                                    <input 
+                                        type="number" 
+                                        id="${formId}-visit-${index}-labResults-${test.key}" 
+                                        name="visits[${index}][labResults][${test.key}]" 
+                                        class="form-control" 
+                                        value="${valueOf(labResults[test.key])}"
+                                        min="${rules[test.key].min}" 
+                                        max="${rules[test.key].max}"
+                                        step="${test.decimals > 0 ? Math.pow(10, -test.decimals) : '1'}"
+                                    />
+                                    <span class="labs-range">N : ${sanitizeHtml(rangeOf(test))}</span>
+                                    <div class="form-error" id="${formId}-visit-${index}-labResults-${test.key}-error"></div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+                <p class="form-help">Les résultats d'un fichier d'export du laboratoire (CSV) peuvent être importés depuis le dossier du patient.</p>
+            </fieldset>
         `;
     }
 
@@ -463,6 +1695,115 @@ class FormManager {
             });
         }
 
+        // Smoking history - show the fields of the status and update the pack-years
+        const tobaccoFieldset = form.querySelector('.tobacco-fieldset');
+        if (tobaccoFieldset) {
+            this.updateTobaccoFields(formId);
+            tobaccoFieldset.addEventListener('input', () => this.updateTobaccoFields(formId));
+            tobaccoFieldset.addEventListener('change', () => this.updateTobaccoFields(formId));
+        }
+
+        // Allergies - add and remove rows
+        const allergyFieldset = form.querySelector('.allergy-fieldset');
+        if (allergyFieldset) {
+            allergyFieldset.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-allergy-btn')) {
+                    this.addAllergy(formId);
+                } else if (e.target.classList.contains('remove-allergy-btn')) {
+                    e.target.closest('.allergy-row').remove();
+                    this.checkForChanges(formId);
+                }
+            });
+        }
+
+        // Sleep studies and CPAP log - add and remove rows, severity of the typed AHI
+        const sleepStudyFieldset = form.querySelector('.sleep-study-fieldset');
+        if (sleepStudyFieldset) {
+            sleepStudyFieldset.addEventListener('input', (e) => {
+                if (e.target.name && /^sleepStudies\[\d+\]\[ahi\]$/.test(e.target.name)) {
+                    const severity = classifySleepApnea(parseMeasurement(e.target.value));
+                    e.target.closest('.sleep-study-row').querySelector('.sleep-study-severity output').textContent =
+                        severity ? severity.shortLabel : '—';
+                }
+            });
+            sleepStudyFieldset.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-sleep-study-btn')) {
+                    this.addSleepStudy(formId);
+                } else if (e.target.classList.contains('remove-sleep-study-btn')) {
+                    e.target.closest('.sleep-study-row').remove();
+                    this.checkForChanges(formId);
+                }
+            });
+        }
+
+        const cpapLogFieldset = form.querySelector('.cpap-log-fieldset');
+        if (cpapLogFieldset) {
+            cpapLogFieldset.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-cpap-entry-btn')) {
+                    this.addCpapEntry(formId);
+                } else if (e.target.classList.contains('remove-cpap-entry-btn')) {
+                    e.target.closest('.cpap-entry-row').remove();
+                    this.checkForChanges(formId);
+                }
+            });
+        }
+
+        const homeTherapyFieldset = form.querySelector('.home-therapy-fieldset');
+        if (homeTherapyFieldset) {
+            homeTherapyFieldset.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-home-therapy-btn')) {
+                    this.addHomeTherapy(formId);
+                } else if (e.target.classList.contains('remove-home-therapy-btn')) {
+                    e.target.closest('.home-therapy-row').remove();
+                    this.checkForChanges(formId);
+                }
+            });
+        }
+
+        // TB episodes - add and remove episodes and follow-ups, expected phase ends of the regimen
+        const tbFieldset = form.querySelector('.tb-episode-fieldset');
+        if (tbFieldset) {
+            tbFieldset.addEventListener('input', (e) => {
+                if (e.target.name && /^tbEpisodes\[\d+\]\[(startDate|regimen)\]$/.test(e.target.name)) {
+                    const row = e.target.closest('.tb-episode-row');
+                    const value = field => row.querySelector(`[name$="][${field}]"]`).value;
+                    row.querySelector('.tb-phase-dates').textContent =
+                        this.formatTbPhaseDates({ startDate: value('startDate'), regimen: value('regimen') });
+                }
+            });
+            tbFieldset.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-tb-episode-btn')) {
+                    this.addTbEpisode(formId);
+                } else if (e.target.classList.contains('remove-tb-episode-btn')) {
+                    e.target.closest('.tb-episode-row').remove();
+                    this.checkForChanges(formId);
+                } else if (e.target.classList.contains('add-tb-follow-up-btn')) {
+                    this.addTbFollowUp(formId, e.target.closest('.tb-episode-row'));
+                } else if (e.target.classList.contains('remove-tb-follow-up-btn')) {
+                    e.target.closest('.tb-follow-up-row').remove();
+                    this.checkForChanges(formId);
+                }
+            });
+        }
+
+        // Problem list - ICD-10 suggestions and label of the typed code, add and remove rows
+        const problemFieldset = form.querySelector('.problem-list-fieldset');
+        if (problemFieldset) {
+            problemFieldset.addEventListener('input', (e) => {
+                if (e.target.name && /^problems\[\d+\]\[code\]$/.test(e.target.name)) {
+                    this.updateProblemCode(formId, e.target);
+                }
+            });
+            problemFieldset.addEventListener('click', (e) => {
+                if (e.target.classList.contains('add-problem-btn')) {
+                    this.addProblem(formId);
+                } else if (e.target.classList.contains('remove-problem-btn')) {
+                    e.target.closest('.problem-row').remove();
+                    this.checkForChanges(formId);
+                }
+            });
+        }
+
         // Add visit button
         const addVisitBtn = form.querySelector('.add-visit-btn');
         if (addVisitBtn) {
@@ -471,11 +1812,36 @@ class FormManager {
             });
         }
 
-        // Remove visit buttons (delegated event)
+        // Questionnaire scores (delegated event)
+        form.addEventListener('change', (e) => {
+            const questionnaire = e.target.closest && e.target.closest('.questionnaire');
+            if (questionnaire) {
+                this.updateQuestionnaireScore(formId, questionnaire);
+            }
+        });
+
+        // Next appointment suggested from the plan (delegated event)
+        form.addEventListener('input', (e) => {
+            if (e.target.name && /^visits\[\d+\]\[(cat|visitDate|nextAppointment)\]$/.test(e.target.name)) {
+                this.updateNextAppointmentSuggestion(formId, e.target.closest('.visit-item'));
+            }
+        });
+
+        // Remove visit buttons, add and remove treatment lines, use the suggested appointment (delegated event)
         form.addEventListener('click', (e) => {
-            if (e.target.classList.contains('remove-visit-btn')) {
+            if (e.target.classList.contains('use-next-appointment-btn')) {
+                const visitElement = e.target.closest('.visit-item');
+                visitElement.querySelector('[name$="[nextAppointment]"]').value = e.target.dataset.date;
+                this.updateNextAppointmentSuggestion(formId, visitElement);
+                this.checkForChanges(formId);
+            } else if (e.target.classList.contains('remove-visit-btn')) {
                 const visitIndex = parseInt(e.target.dataset.visitIndex);
                 this.removeVisit(formId, visitIndex);
+            } else if (e.target.classList.contains('add-treatment-btn')) {
+                this.addTreatment(formId, e.target.closest('.visit-item'));
+            } else if (e.target.classList.contains('remove-treatment-btn')) {
+                e.target.closest('.treatment-row').remove();
+                this.checkForChanges(formId);
             }
         });
 
@@ -504,6 +1870,190 @@ class FormManager {
         }
     }
 
+    /**
+     * Update the score shown for a questionnaire after an answer
+     * @param {string} formId - Form identifier
+     * @param {Element} element - Questionnaire <details> element
+     */
+    updateQuestionnaireScore(formId, element) {
+        const key = element.dataset.questionnaire;
+        const answers = getQuestionnaire(key).items.map((item, itemIndex) => {
+            const checked = element.querySelector(`input[name$="[${itemIndex}]"]:checked`);
+            return checked ? Number(checked.value) : null;
+        });
+
+        element.querySelector('.questionnaire-score').textContent = this.formatQuestionnaireScore(key, answers);
+        if (scoreQuestionnaire(key, answers) !== null) {
+            this.clearFieldError(formId, element);
+        }
+    }
+
+    /**
+     * Suggest the ICD-10 codes matching a typed code or label and show the label of a known code
+     * @param {string} formId - Form identifier
+     * @param {Element} input - Code input of a problem row
+     */
+    updateProblemCode(formId, input) {
+        const options = document.getElementById(`${formId}-icd10-options`);
+        if (options) {
+            options.innerHTML = searchIcd10(input.value).map(({ code, label }) =>
+                `<option value="${code}" label="${label}"></option>`
+            ).join('');
+        }
+
+        const entry = getIcd10Code(input.value);
+        const label = input.closest('.problem-row').querySelector('.problem-label');
+        if (label) {
+            label.textContent = entry ? entry.label : '';
+        }
+    }
+
+    /**
+     * Add an empty row to the allergy list
+     * @param {string} formId - Form identifier
+     */
+    addAllergy(formId) {
+        const list = this.forms[formId].querySelector(`#${formId}-allergies`);
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderAllergyRow(formId, {}, index));
+        const row = list.querySelector(`[data-allergy-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[substance]"]').focus();
+    }
+
+    /**
+     * Add an empty row to the sleep studies
+     * @param {string} formId - Form identifier
+     */
+    addSleepStudy(formId) {
+        const list = this.forms[formId].querySelector(`#${formId}-sleepStudies`);
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderSleepStudyRow(formId, {}, index));
+        const row = list.querySelector(`[data-sleep-study-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[date]"]').focus();
+    }
+
+    /**
+     * Add an empty row to the CPAP log
+     * @param {string} formId - Form identifier
+     */
+    addCpapEntry(formId) {
+        const list = this.forms[formId].querySelector(`#${formId}-cpapLog`);
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderCpapEntryRow(formId, {}, index));
+        const row = list.querySelector(`[data-cpap-entry-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[date]"]').focus();
+    }
+
+    /**
+     * Add an empty home therapy prescription
+     * @param {string} formId - Form identifier
+     */
+    addHomeTherapy(formId) {
+        const list = this.forms[formId].querySelector(`#${formId}-homeTherapies`);
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderHomeTherapyRow(formId, {}, index));
+        const row = list.querySelector(`[data-home-therapy-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[type]"]').focus();
+    }
+
+    /**
+     * Add an empty TB episode
+     * @param {string} formId - Form identifier
+     */
+    addTbEpisode(formId) {
+        const list = this.forms[formId].querySelector(`#${formId}-tbEpisodes`);
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderTbEpisodeRow(formId, { regimen: TB_REGIMENS[0].key }, index));
+        const row = list.querySelector(`[data-tb-episode-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[startDate]"]').focus();
+    }
+
+    /**
+     * Add an empty follow-up to a TB episode
+     * @param {string} formId - Form identifier
+     * @param {Element} episodeElement - TB episode DOM element
+     */
+    addTbFollowUp(formId, episodeElement) {
+        const episodeIndex = Number(episodeElement.dataset.tbEpisodeIndex);
+        const list = episodeElement.querySelector('.tb-follow-up-list');
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderTbFollowUpRow(formId, episodeIndex, { date: this.getTodayDateString() }, index));
+        const row = list.querySelector(`[data-tb-follow-up-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[smear]"]').focus();
+    }
+
+    /**
+     * Add an empty row to the problem list
+     * @param {string} formId - Form identifier
+     */
+    addProblem(formId) {
+        const list = this.forms[formId].querySelector(`#${formId}-problems`);
+        const index = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = index + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderProblemRow(formId, {}, index));
+        const row = list.querySelector(`[data-problem-index="${index}"]`);
+        this.setupVisitEventListeners(formId, row, index);
+        row.querySelector('[name$="[code]"]').focus();
+    }
+
+    /**
+     * Add an empty treatment line to a visit
+     * @param {string} formId - Form identifier
+     * @param {Element} visitElement - Visit DOM element
+     */
+    addTreatment(formId, visitElement) {
+        const list = visitElement.querySelector('.treatment-list');
+        const visitIndex = Number(visitElement.dataset.visitIndex);
+        const row = Number(list.dataset.nextIndex) || 0;
+        list.dataset.nextIndex = row + 1;
+
+        list.insertAdjacentHTML('beforeend', this.renderTreatmentRow(formId, {}, visitIndex, row));
+        const rowElement = list.querySelector(`[data-treatment-index="${row}"]`);
+        this.setupVisitEventListeners(formId, rowElement, visitIndex);
+        rowElement.querySelector('[name$="[drug]"]').focus();
+    }
+
+    /**
+     * Show the smoking history fields that apply to the selected status and update the pack-years
+     * @param {string} formId - Form identifier
+     */
+    updateTobaccoFields(formId) {
+        const form = this.forms[formId];
+        const status = form.querySelector('[name="tobacco[status]"]').value;
+
+        form.querySelectorAll('.tobacco-smoker-only').forEach(element => {
+            element.style.display = status === 'current' || status === 'former' ? '' : 'none';
+        });
+        form.querySelectorAll('.tobacco-former-only').forEach(element => {
+            element.style.display = status === 'former' ? '' : 'none';
+        });
+
+        const output = form.querySelector(`#${formId}-tobacco-packYears`);
+        if (output) {
+            const packYears = computePackYears(this.getFormData(formId).tobacco);
+            output.textContent = packYears === null ? '—' : packYears;
+        }
+    }
+
     /**
      * Calculate age from date of birth
      * @param {string} dateOfBirth - Date of birth string
@@ -545,13 +2095,15 @@ class FormManager {
         const existingVisits = visitsContainer.querySelectorAll('.visit-item');
         const visitIndex = existingVisits.length;
 
-        // Create new visit
+        // Create new visit, with the treatments still in progress at the previous visit
+        const visitDate = this.formatDateForInput(new Date());
         const newVisit = {
             id: this.generateId(),
-            visitDate: this.formatDateForInput(new Date()),
+            visitDate,
             medications: '',
             observations: '',
-            additionalComments: ''
+            additionalComments: '',
+            treatments: carryForwardTreatments(this.getFormData(formId).visits, visitDate)
         };
 
         // Add visit HTML
@@ -620,7 +2172,7 @@ class FormManager {
             }
 
             // Update form field names and IDs
-            const inputs = visitElement.querySelectorAll('input, textarea');
+            const inputs = visitElement.querySelectorAll('input, textarea, select');
             inputs.forEach(input => {
                 const name = input.name;
                 if (name && name.includes('visits[')) {
@@ -651,6 +2203,12 @@ class FormManager {
                 }
             });
 
+            // Update questionnaires
+            visitElement.querySelectorAll('.questionnaire').forEach(questionnaire => {
+                questionnaire.id = questionnaire.id.replace(/-visit-\d+-/, `-visit-${newIndex}-`);
+                questionnaire.dataset.name = questionnaire.dataset.name.replace(/visits\[\d+\]/, `visits[${newIndex}]`);
+            });
+
             // Update remove button
             const removeBtn = visitElement.querySelector('.remove-visit-btn');
             if (removeBtn) {
@@ -771,7 +2329,8 @@ class FormManager {
                     }
                 }
 
-                if (fieldName === 'dateOfBirth' || fieldName.includes('visitDate')) {
+                if (fieldName === 'dateOfBirth' || fieldName.includes('visitDate') ||
+                    fieldName === 'tobacco[startDate]' || fieldName === 'tobacco[quitDate]') {
                     const date = new Date(fieldValue);
                     const today = new Date();
                     today.setHours(23, 59, 59, 999);
@@ -806,6 +2365,91 @@ class FormManager {
                     }
                 }
 
+                // Validate vital signs, pulmonary function test and lab values against their plausible range
+                const measurementField = fieldName.match(/\[(pft|vitals|labResults)\]\[(\w+)\]/);
+                if (measurementField) {
+                    const rule = VALIDATION_RULES[measurementField[1]][measurementField[2]];
+                    const number = parseMeasurement(fieldValue);
+                    if (typeof number !== 'number') {
+                        errors.push(ERROR_MESSAGES.validation.number);
+                    } else if (rule && (number < rule.min || number > rule.max)) {
+                        errors.push(ERROR_MESSAGES.validation.range.replace('{min}', rule.min).replace('{max}', rule.max));
+                    }
+                }
+
+                // Validate the problem list: known ICD-10 code, onset date, notes length
+                const problemField = fieldName.match(/^problems\[\d+\]\[(\w+)\]$/);
+                if (problemField) {
+                    validateProblem({ [problemField[1]]: fieldValue })
+                        .filter(({ field }) => field === problemField[1])
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate the next appointment against the date of its visit
+                if (/^visits\[\d+\]\[nextAppointment\]$/.test(fieldName)) {
+                    const visitDate = field.closest('.visit-item') && field.closest('.visit-item').querySelector('[name$="[visitDate]"]');
+                    validateNextAppointment({ nextAppointment: fieldValue, visitDate: visitDate ? visitDate.value : '' })
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate the sleep study and CPAP log rows: dates and measurement ranges
+                const sleepField = fieldName.match(/^(sleepStudies|cpapLog)\[\d+\]\[(\w+)\]$/);
+                if (sleepField && fieldValue) {
+                    const validateRow = sleepField[1] === 'sleepStudies' ? validateSleepStudy : validateCpapEntry;
+                    validateRow({ date: sleepField[2] === 'date' ? fieldValue : '2000-01-01', [sleepField[2]]: fieldValue })
+                        .filter(({ field }) => field === sleepField[2])
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate the TB episode and follow-up fields: dates, weight, notes length
+                const tbFollowUpField = fieldName.match(/^tbEpisodes\[\d+\]\[followUps\]\[\d+\]\[(\w+)\]$/);
+                if (tbFollowUpField && fieldValue) {
+                    validateTbFollowUp({ date: '2000-01-01', [tbFollowUpField[1]]: fieldValue })
+                        .filter(({ field }) => field === tbFollowUpField[1])
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate the home therapy rows: measurement ranges, lengths
+                const homeTherapyField = fieldName.match(/^homeTherapies\[\d+\]\[(flowRate|hoursPerDay|pao2|paco2|supplier|notes)\]$/);
+                if (homeTherapyField && fieldValue) {
+                    validateHomeTherapy({ type: 'ltot', [homeTherapyField[1]]: fieldValue })
+                        .filter(({ field }) => field === homeTherapyField[1])
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate the allergy rows: lengths
+                const allergyField = fieldName.match(/^allergies\[\d+\]\[(substance|reaction)\]$/);
+                if (allergyField) {
+                    validateAllergy({ substance: '-', [allergyField[1]]: fieldValue })
+                        .filter(({ field }) => field === allergyField[1])
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate the treatment lines: lengths and dates
+                const treatmentField = fieldName.match(/\[treatments\]\[\d+\]\[(\w+)\]$/);
+                if (treatmentField) {
+                    validateTreatment({ drug: '-', [treatmentField[1]]: fieldValue })
+                        .filter(({ field }) => field === treatmentField[1])
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                // Validate exacerbation counts (whole numbers)
+                const exacerbationField = fieldName.match(/\[exacerbations\]\[(\w+)\]$/);
+                if (exacerbationField) {
+                    validateClassificationInputs({ exacerbations: { [exacerbationField[1]]: fieldValue } })
+                        .forEach(({ message }) => errors.push(message));
+                }
+
+                if (fieldName === 'tobacco[cigarettesPerDay]') {
+                    const rule = VALIDATION_RULES.tobacco.cigarettesPerDay;
+                    const number = parseMeasurement(fieldValue);
+                    if (typeof number !== 'number') {
+                        errors.push(ERROR_MESSAGES.validation.number);
+                    } else if (number < rule.min || number > rule.max) {
+                        errors.push(ERROR_MESSAGES.validation.range.replace('{min}', rule.min).replace('{max}', rule.max));
+                    }
+                }
+
                 // Validate textarea fields for visits
                 if (fieldName.includes('consultation') || fieldName.includes('billan') || fieldName.includes('cat') || fieldName.includes('examenClinique')) {
                     if (fieldValue.length > 2000) {
@@ -964,8 +2608,45 @@ class FormManager {
         const data = {};
 
         // Convert FormData to object
+        let tobacco = null;
         for (const [key, value] of formData.entries()) {
-            if (key.includes('[')) {
+            const tobaccoMatch = key.match(/^tobacco\[(\w+)\](?:\[(\w+)\])?$/);
+            const diagnosisMatch = key.match(/^respiratoryDiagnoses\[(\w+)\]$/);
+            const tbFollowUpMatch = key.match(/^tbEpisodes\[(\d+)\]\[followUps\]\[(\d+)\]\[(\w+)\]$/);
+            const measurementMatch = key.match(/^visits\[(\d+)\]\[(pft|vitals|labResults|questionnaires|exacerbations|treatments)\]\[(\w+)\](?:\[(\w+)\])?$/);
+            if (tbFollowUpMatch) {
+                // Follow-ups nested in a TB episode
+                const [, episodeIndex, index, fieldName] = tbFollowUpMatch;
+                if (!data.tbEpisodes) data.tbEpisodes = [];
+                const episode = data.tbEpisodes[episodeIndex] || (data.tbEpisodes[episodeIndex] = {});
+                const followUps = episode.followUps || (episode.followUps = []);
+                if (!followUps[index]) followUps[index] = {};
+                followUps[index][fieldName] = value;
+            } else if (diagnosisMatch) {
+                // Respiratory diagnoses: respiratoryDiagnoses[copd]
+                data.respiratoryDiagnoses = [...(data.respiratoryDiagnoses || []), diagnosisMatch[1]];
+            } else if (tobaccoMatch) {
+                // Smoking history: tobacco[status], tobacco[exposures][cannabis], tobacco[exposureDetails][cannabis]
+                const [, field, exposure] = tobaccoMatch;
+                if (!tobacco) tobacco = { exposures: {}, exposureDetails: {} };
+                if (exposure) {
+                    tobacco[field][exposure] = value;
+                } else {
+                    tobacco[field] = value;
+                }
+            } else if (measurementMatch) {
+                // Structured measurements: visits[i][vitals][spo2], visits[i][pft][fev1][pre],
+                // visits[i][questionnaires][cat][0], visits[i][treatments][0][drug]
+                const [, index, block, parameter, phase] = measurementMatch;
+                if (!data.visits) data.visits = [];
+                if (!data.visits[index]) data.visits[index] = {};
+                const values = data.visits[index][block] || (data.visits[index][block] = {});
+                if (phase) {
+                    values[parameter] = { ...values[parameter], [phase]: value };
+                } else {
+                    values[parameter] = value;
+                }
+            } else if (key.includes('[')) {
                 // Handle array fields (visits)
                 const match = key.match(/(\w+)\[(\d+)\]\[(\w+)\]/);
                 if (match) {
@@ -979,6 +2660,50 @@ class FormManager {
             }
         }
 
+        // Allergies: rows without a substance are dropped, no row clears them
+        if (form.querySelector('.allergy-fieldset')) {
+            data.allergies = normalizeAllergies(data.allergies);
+        }
+
+        // Sleep studies and CPAP log: empty rows are dropped, no row clears them
+        if (form.querySelector('.sleep-study-fieldset')) {
+            data.sleepStudies = normalizeSleepStudies(data.sleepStudies);
+        }
+        if (form.querySelector('.cpap-log-fieldset')) {
+            data.cpapLog = normalizeCpapLog(data.cpapLog);
+        }
+
+        // TB episodes: rows without a start date are dropped, no row clears them
+        if (form.querySelector('.tb-episode-fieldset')) {
+            data.tbEpisodes = normalizeTbEpisodes(data.tbEpisodes);
+        }
+
+        // Home therapies: rows with nothing but the type are dropped, no row clears them
+        if (form.querySelector('.home-therapy-fieldset')) {
+            data.homeTherapies = normalizeHomeTherapies(data.homeTherapies);
+        }
+
+        // Problem list: rows without a code are dropped, no row clears it
+        if (form.querySelector('.problem-list-fieldset')) {
+            data.problems = normalizeProblems(data.problems);
+        }
+
+        // Respiratory diagnoses: none checked clears them
+        if (form.querySelector('[name^="respiratoryDiagnoses["]')) {
+            data.respiratoryDiagnoses = normalizeRespiratoryDiagnoses(data.respiratoryDiagnoses);
+        }
+
+        // Smoking history: the checked exposures with their details
+        if (tobacco) {
+            data.tobacco = normalizeTobacco({
+                ...tobacco,
+                exposures: Object.keys(tobacco.exposures).map(type => ({
+                    type,
+                    details: tobacco.exposureDetails[type] || ''
+                }))
+            });
+        }
+
         // Calculate age if date of birth is provided
         if (data.dateOfBirth) {
             data.age = this.calculateAge(data.dateOfBirth);
@@ -988,6 +2713,13 @@ class FormManager {
         if (data.visits) {
             data.visits = data.visits.filter(visit => visit && visit.visitDate).map(visit => ({
                 ...visit,
+                vitals: normalizeVitals(visit.vitals),
+                questionnaires: normalizeQuestionnaires(visit.questionnaires),
+                pft: normalizePft(visit.pft),
+                labResults: normalizeLabResults(visit.labResults),
+                exacerbations: normalizeExacerbations(visit.exacerbations),
+                asthmaStep: normalizeAsthmaStep(visit.asthmaStep),
+                treatments: normalizeTreatments(visit.treatments),
                 id: visit.id || this.generateId(),
                 createdAt: visit.createdAt || this.getCurrentTimestamp()
             }));
@@ -1046,6 +2778,11 @@ class FormManager {
 
             const formData = this.getFormData(formId);
 
+            // Prescriptions matching an allergy or a contraindication must be acknowledged
+            if (!(await this.acknowledgePrescribingAlerts(formData, this.originalData[formId]))) {
+                return;
+            }
+
             // Emit form submit event
             const event = new CustomEvent('formSubmit', {
                 detail: { formId, data: formData }
@@ -1068,6 +2805,46 @@ class FormManager {
         }
     }
 
+    /**
+     * Ask the user to acknowledge the prescribing alerts raised by a save
+     * Only the alerts the stored record did not already raise are shown; each acknowledged
+     * alert is recorded in the audit trail.
+     * @param {Object} formData - Patient data about to be saved
+     * @param {Object} previous - Stored patient data (null for a new patient)
+     * @returns {Promise<boolean>} True when there is no new alert or the user acknowledged them
+     */
+    async acknowledgePrescribingAlerts(formData, previous = null) {
+        const alerts = newPrescribingAlerts(formData, previous);
+        if (alerts.length === 0) {
+            return true;
+        }
+
+        const modalManager = typeof window !== 'undefined' && window.app && window.app.components.modalManager;
+        const acknowledged = modalManager ?
+            await modalManager.showConfirmation({
+                id: 'prescribing-alert-modal',
+                title: '⚠️ Alerte de prescription',
+                message: alerts.map(alert => sanitizeHtml(alert.message)).join('<br>') +
+                    '<br><br>Confirmez-vous la prescription malgré ces alertes ?',
+                confirmText: 'Je confirme la prescription',
+                cancelText: 'Revenir au dossier',
+                type: 'danger'
+            }) :
+            confirm(`Alerte de prescription :\n\n${alerts.map(alert => alert.message).join('\n')}\n\n` +
+                'Confirmez-vous la prescription malgré ces alertes ?');
+
+        if (acknowledged && window.app && window.app.components.patientManager) {
+            alerts.forEach(alert => {
+                window.app.components.patientManager.recordAudit(AUDIT_ACTIONS.prescribingAlertAcknowledged, {
+                    patientId: formData.id || (previous && previous.id) || null,
+                    visitId: alert.visitId,
+                    details: { type: alert.type, drug: alert.drug, message: alert.message }
+                });
+            });
+        }
+        return acknowledged;
+    }
+
     /**
      * Validate entire form
      * @param {string} formId - Form identifier
@@ -1126,6 +2903,145 @@ class FormManager {
             }
         }
 
+        // Validate the smoking history (quit date after the start date, consumption range)
+        if (form.querySelector('[name="tobacco[status]"]')) {
+            validateTobacco(this.getFormData(formId).tobacco).forEach(({ field, message }) => {
+                const [, name, exposure] = field.match(/^tobacco\.(\w+)(?:\.(\w+))?$/) || [];
+                const input = exposure ?
+                    form.querySelector(`[name="tobacco[exposureDetails][${exposure}]"]`) :
+                    form.querySelector(`[name="tobacco[${name}]"]`);
+                errors[field] = message;
+                isValid = false;
+                if (input) {
+                    this.showFieldError(formId, input, message);
+                }
+            });
+        }
+
+        // Validate the next appointment of each visit: after the visit date
+        form.querySelectorAll('.visit-item').forEach(visitElement => {
+            const input = visitElement.querySelector('[name$="[nextAppointment]"]');
+            const visitDate = visitElement.querySelector('[name$="[visitDate]"]');
+            if (!input || !input.value) {
+                return;
+            }
+
+            validateNextAppointment({ nextAppointment: input.value, visitDate: visitDate ? visitDate.value : '' })
+                .forEach(({ message }) => {
+                    errors[input.name] = message;
+                    isValid = false;
+                    this.showFieldError(formId, input, message);
+                });
+        });
+
+        // Validate each row of the allergy list (a reaction without a substance is an error)
+        form.querySelectorAll('.allergy-row').forEach(row => {
+            const value = name => {
+                const field = row.querySelector(`[name$="[${name}]"]`);
+                return field ? field.value.trim() : '';
+            };
+            const allergy = { substance: value('substance'), drugClass: value('drugClass'), reaction: value('reaction'), severity: value('severity') };
+            if (!allergy.substance && !allergy.reaction) {
+                return;
+            }
+
+            validateAllergy(allergy).forEach(({ field, message }) => {
+                const input = row.querySelector(`[name$="[${field}]"]`);
+                errors[input ? input.name : 'allergies'] = message;
+                isValid = false;
+                if (input) {
+                    this.showFieldError(formId, input, message);
+                }
+            });
+        });
+
+        // Validate each row of the sleep studies, of the CPAP log (a row with values needs a date)
+        // and of the home therapies (a prescription needs a start and a renewal date)
+        [
+            { selector: '.sleep-study-row', normalize: normalizeSleepStudy, validate: validateSleepStudy },
+            { selector: '.cpap-entry-row', normalize: normalizeCpapEntry, validate: validateCpapEntry },
+            { selector: '.home-therapy-row', normalize: normalizeHomeTherapy, validate: validateHomeTherapy }
+        ].forEach(({ selector, normalize, validate }) => {
+            form.querySelectorAll(selector).forEach(row => {
+                const values = {};
+                row.querySelectorAll('[name]').forEach(field => {
+                    const match = field.name.match(/\[(\w+)\]$/);
+                    if (match && match[1] !== 'id') {
+                        values[match[1]] = field.value.trim();
+                    }
+                });
+                if (!normalize(values)) {
+                    return;
+                }
+
+                validate(values).forEach(({ field, message }) => {
+                    const input = row.querySelector(`[name$="[${field}]"]`);
+                    errors[input ? input.name : field] = message;
+                    isValid = false;
+                    if (input) {
+                        this.showFieldError(formId, input, message);
+                    }
+                });
+            });
+        });
+
+        // Validate each TB episode with its follow-ups (an episode needs a start date and a regimen)
+        form.querySelectorAll('.tb-episode-row').forEach(row => {
+            const value = (element, name) => {
+                const field = element.querySelector(`[name$="][${name}]"]`);
+                return field ? field.value.trim() : '';
+            };
+            const followUpRows = Array.from(row.querySelectorAll('.tb-follow-up-row'))
+                .map(element => ({
+                    element,
+                    followUp: ['date', 'smear', 'culture', 'weightKg', 'notes'].reduce((followUp, name) => {
+                        followUp[name] = value(element, name);
+                        return followUp;
+                    }, {})
+                }))
+                .filter(({ followUp }) => normalizeTbFollowUp(followUp));
+            const episode = ['startDate', 'regimen', 'site', 'smearConversionDate', 'cultureConversionDate', 'outcome', 'outcomeDate']
+                .reduce((fields, name) => ({ ...fields, [name]: value(row, name) }), {});
+            episode.followUps = followUpRows.map(({ followUp }) => followUp);
+            if (!episode.startDate && !episode.smearConversionDate && !episode.cultureConversionDate &&
+                !episode.outcome && !episode.outcomeDate && episode.followUps.length === 0) {
+                return;
+            }
+
+            validateTbEpisode(episode).forEach(({ field, message }) => {
+                const followUpField = field.match(/^followUps\[(\d+)\]\.(\w+)$/);
+                const input = followUpField ?
+                    followUpRows[followUpField[1]].element.querySelector(`[name$="][${followUpField[2]}]"]`) :
+                    row.querySelector(`[name$="][${field}]"]`);
+                errors[input ? input.name : 'tbEpisodes'] = message;
+                isValid = false;
+                if (input) {
+                    this.showFieldError(formId, input, message);
+                }
+            });
+        });
+
+        // Validate each row of the problem list
+        form.querySelectorAll('.problem-row').forEach(row => {
+            const value = name => {
+                const field = row.querySelector(`[name$="[${name}]"]`);
+                return field ? field.value.trim() : '';
+            };
+            const problem = { code: value('code'), onsetDate: value('onsetDate'), status: value('status'), notes: value('notes') };
+            if (!problem.code && !problem.onsetDate && !problem.notes) {
+                return;
+            }
+
+            validateProblem(problem).forEach(({ field, message }) => {
+                const input = row.querySelector(`[name$="[${field}]"]`);
+                errors[input ? input.name : 'problems'] = message;
+                isValid = false;
+                if (input) {
+                    this.showFieldError(formId, input, message);
+                }
+            });
+        });
+
         // Validate that at least one visit has meaningful data if visits exist
         const visitElements = form.querySelectorAll('.visit-item');
         if (visitElements.length > 0) {
@@ -1136,22 +3052,76 @@ class FormManager {
                 const billanField = visitElement.querySelector('[name*="billan"]');
                 const catField = visitElement.querySelector('[name*="cat"]');
                 const examenCliniqueField = visitElement.querySelector('[name*="examenClinique"]');
+                const hasMeasurements = Array.from(visitElement.querySelectorAll('[name*="[pft]"], [name*="[vitals]"], [name*="[labResults]"], [name*="[exacerbations]"], [name$="[asthmaStep]"], [name*="[treatments]"]:not([type="hidden"])'))
+                    .some(field => !field.name.endsWith('[heightCm]') && field.value.trim()) ||
+                    Boolean(visitElement.querySelector('[name*="[questionnaires]"]:checked'));
 
                 if (dateField && dateField.value &&
                     (consultationField && consultationField.value.trim() ||
                         billanField && billanField.value.trim() ||
                         catField && catField.value.trim() ||
-                        examenCliniqueField && examenCliniqueField.value.trim())) {
+                        examenCliniqueField && examenCliniqueField.value.trim() ||
+                        hasMeasurements)) {
                     hasValidVisit = true;
                 }
             });
 
             if (!hasValidVisit && visitElements.length > 0) {
-                errors.visits = 'At least one visit must have a date and one of: consultation, billan, CAT, or examen clinique';
+                errors.visits = 'At least one visit must have a date and one of: consultation, billan, CAT, examen clinique, constantes, questionnaires, EFR results, lab results, exacerbations, asthma treatment or treatments';
                 isValid = false;
             }
         }
 
+        // Validate vital signs, questionnaires, pulmonary function tests, lab results and exacerbations (ranges,
+        // diastolic below systolic, every item answered, FEV1 not greater than FVC, whole counts)
+        visitElements.forEach(visitElement => {
+            const index = visitElement.dataset.visitIndex;
+            const measurements = { vitals: {}, questionnaires: {}, pft: {}, labResults: {}, exacerbations: {} };
+            visitElement.querySelectorAll('[name*="[pft]"], [name*="[vitals]"], [name*="[labResults]"], [name*="[exacerbations]"], [name*="[questionnaires]"]:checked').forEach(field => {
+                const [, block, parameter, phase] = field.name.match(/\[(pft|vitals|labResults|questionnaires|exacerbations)\]\[(\w+)\](?:\[(\w+)\])?$/);
+                if (phase) {
+                    measurements[block][parameter] = { ...measurements[block][parameter], [phase]: field.value };
+                } else {
+                    measurements[block][parameter] = field.value;
+                }
+            });
+
+            [
+                ...validateVitals(normalizeVitals(measurements.vitals)),
+                ...validateQuestionnaires(normalizeQuestionnaires(measurements.questionnaires)),
+                ...validatePft(normalizePft(measurements.pft)),
+                ...validateLabResults(normalizeLabResults(measurements.labResults)),
+                ...validateClassificationInputs({ exacerbations: normalizeExacerbations(measurements.exacerbations) })
+            ].forEach(({ field, message }) => {
+                const name = `visits[${index}][${field.split('.').join('][')}]`;
+                const input = visitElement.querySelector(`[name="${name}"], [data-name="${name}"]`);
+                errors[`visits[${index}].${field}`] = message;
+                isValid = false;
+                if (input) {
+                    this.showFieldError(formId, input, message);
+                }
+            });
+
+            // Validate the treatment lines (a drug on each line, stop date after the start date)
+            visitElement.querySelectorAll('.treatment-row').forEach(row => {
+                const treatment = {};
+                row.querySelectorAll('[name]').forEach(field => {
+                    treatment[field.name.match(/\[(\w+)\]$/)[1]] = field.value;
+                });
+
+                const normalized = normalizeTreatment(treatment);
+                if (!normalized) return;
+                validateTreatment(normalized).forEach(({ field, message }) => {
+                    const input = row.querySelector(`[name$="[${field}]"]`);
+                    errors[`visits[${index}].treatments.${row.dataset.treatmentIndex}.${field}`] = message;
+                    isValid = false;
+                    if (input) {
+                        this.showFieldError(formId, input, message);
+                    }
+                });
+            });
+        });
+
         return { isValid, errors };
     }
 
@@ -0,0 +1,215 @@
+/**
+ * Home Therapy View Component
+ * Register of the patients on long-term oxygen therapy (OLD) or home non-invasive ventilation (VNI),
+ * sorted by renewal due date, the prescriptions to renew within HOME_THERAPY_RENEWAL_NOTICE_DAYS highlighted
+ */
+
+class HomeTherapyView {
+    constructor(patientManager) {
+        this.patientManager = patientManager;
+        this.entries = [];
+        this.type = '';
+        this.isLoading = false;
+        this.errorMessage = null;
+    }
+
+    /**
+     * Render the register interface
+     * @returns {string} HTML string for the register interface
+     */
+    render() {
+        if (!currentUserCan('clinical:read')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="home-therapy-register-container">
+                <div class="content-header">
+                    <h2 class="content-title">OLD / VNI</h2>
+                    <p class="content-subtitle">
+                        Patients sous oxygénothérapie de longue durée ou ventilation non invasive à domicile, par date de renouvellement
+                    </p>
+                </div>
+
+                <div class="home-therapy-filters">
+                    <label for="home-therapy-type" class="form-label">Traitement</label>
+                    <select id="home-therapy-type" class="form-control" onchange="homeTherapyView.filterByType(this.value)">
+                        <option value="">Tous</option>
+                        ${HOME_THERAPY_TYPES.map(({ key, shortLabel }) => `
+                            <option value="${key}" ${this.type === key ? 'selected' : ''}>${shortLabel}</option>
+                        `).join('')}
+                    </select>
+                </div>
+
+                <div id="home-therapy-register">
+                    ${this.renderEntries()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the register table
+     * @returns {string} HTML string for the table
+     */
+    renderEntries() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Loading register...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        const entries = this.type ? this.entries.filter(entry => entry.homeTherapy.type === this.type) : this.entries;
+        if (entries.length === 0) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="no-data">Aucun patient sous OLD ou VNI</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        const due = entries.filter(entry => entry.daysLeft <= HOME_THERAPY_RENEWAL_NOTICE_DAYS).length;
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Prescriptions en cours (${entries.length})</h3>
+                    ${due > 0 ? `<span class="home-therapy-due">${due} à renouveler</span>` : ''}
+                </div>
+                <div class="card-body">
+                    <table class="home-therapy-register-table">
+                        <thead>
+                            <tr>
+                                <th>Patient</th>
+                                <th>Traitement</th>
+                                <th>Appareil</th>
+                                <th>Prestataire</th>
+                                <th>Renouvellement</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${entries.map(entry => this.renderEntry(entry)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single prescription of the register
+     * @param {Object} entry - Patient index entry with its homeTherapy and daysLeft
+     * @returns {string} HTML string for the row
+     */
+    renderEntry(entry) {
+        const therapy = entry.homeTherapy;
+        const type = getHomeTherapyType(therapy.type);
+        const device = getHomeTherapyDevice(therapy.device);
+        const renewal = new Date(therapy.renewalDate).toLocaleDateString('fr-FR');
+        let status = '';
+        if (entry.daysLeft < 0) {
+            status = `<span class="home-therapy-lapsed">expirée depuis ${-entry.daysLeft} jour${entry.daysLeft < -1 ? 's' : ''}</span>`;
+        } else if (entry.daysLeft <= HOME_THERAPY_RENEWAL_NOTICE_DAYS) {
+            status = `<span class="home-therapy-due">dans ${entry.daysLeft} jour${entry.daysLeft > 1 ? 's' : ''}</span>`;
+        }
+
+        return `
+            <tr data-patient-id="${entry.id}">
+                <td>
+                    <a href="#patient-detail?patientId=${entry.id}"
+                       onclick="event.preventDefault(); homeTherapyView.openPatient('${entry.id}')">${sanitizeHtml(entry.fullName)}</a>
+                </td>
+                <td>${type ? type.shortLabel : '—'}</td>
+                <td>${device ? device.shortLabel : '—'}</td>
+                <td>${therapy.supplier ? sanitizeHtml(therapy.supplier) : '—'}</td>
+                <td>${renewal} ${status}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Initialize the view: load the register
+     */
+    async initialize() {
+        await this.loadEntries();
+    }
+
+    /**
+     * Load the active prescriptions
+     */
+    async loadEntries() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateList();
+
+        try {
+            this.entries = await this.patientManager.getHomeTherapyRegister();
+        } catch (error) {
+            log(`Failed to load home therapy register: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateList();
+        }
+    }
+
+    /**
+     * Show only one therapy type
+     * @param {string} type - Key from HOME_THERAPY_TYPES, empty for all
+     */
+    filterByType(type) {
+        this.type = type;
+        this.updateList();
+    }
+
+    /**
+     * Refresh the register table
+     */
+    updateList() {
+        const container = document.getElementById('home-therapy-register');
+        if (container) {
+            container.innerHTML = this.renderEntries();
+        }
+    }
+
+    /**
+     * Open the record of a patient
+     * @param {string} patientId - Patient ID
+     */
+    openPatient(patientId) {
+        if (window.app && window.app.components.uiRouter) {
+            window.app.components.uiRouter.navigateTo('patient-detail', { patientId });
+        } else if (window.app) {
+            window.app.navigateToRoute('patient-detail', { patientId });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HomeTherapyView;
+}
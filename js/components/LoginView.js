@@ -11,6 +11,8 @@ class LoginView {
         this.returnTo = options.returnTo || null;
         this.returnParams = options.returnParams || null;
         this.onLoginSuccess = options.onLoginSuccess || null;
+        this.unlockStorage = options.unlockStorage || null;
+        this.rotateStorageKey = options.rotateStorageKey || null;
 
         // Bind methods
         this.render = this.render.bind(this);
@@ -69,6 +71,34 @@ class LoginView {
                                     placeholder="Enter your password">
                             </div>
                             
+                            <div class="form-group">
+                                <label for="passphrase" class="form-label">Practice passphrase</label>
+                                <input 
+                                    type="password" 
+                                    id="passphrase" 
+                                    name="passphrase" 
+                                    class="form-control" 
+                                    required 
+                                    autocomplete="off"
+                                    ${isLockedOut ? 'disabled' : ''}
+                                    placeholder="Unlocks the encrypted patient data">
+                            </div>
+                            
+                            <div class="form-group" id="previousPassphraseGroup" style="display: none;">
+                                <label for="previousPassphrase" class="form-label">Previous practice passphrase</label>
+                                <input 
+                                    type="password" 
+                                    id="previousPassphrase" 
+                                    name="previousPassphrase" 
+                                    class="form-control" 
+                                    autocomplete="off"
+                                    placeholder="Only if the passphrase was changed">
+                                <small class="form-help">
+                                    The data on this computer is still encrypted with the previous passphrase.
+                                    Enter it once to re-encrypt the data with the new one.
+                                </small>
+                            </div>
+                            
                             <button 
                                 type="submit" 
                                 class="btn btn-primary login-btn" 
@@ -137,12 +167,18 @@ class LoginView {
             const formData = new FormData(this.loginForm);
             const username = formData.get('username').trim();
             const password = formData.get('password');
+            const passphrase = formData.get('passphrase');
+            const previousPassphrase = formData.get('previousPassphrase');
 
             // Basic client-side validation
             if (!username || !password) {
                 throw new Error('Please enter both username and password');
             }
 
+            if (!passphrase) {
+                throw new Error(ERROR_MESSAGES.auth.passphraseRequired);
+            }
+
             // Update button state
             const loginBtn = document.getElementById('loginBtn');
             const originalText = loginBtn.textContent;
@@ -150,9 +186,11 @@ class LoginView {
             loginBtn.disabled = true;
 
             // Attempt login
-            const success = await this.authManager.login(username, password);
+            const success = await this.authManager.login(username, password, passphrase);
 
             if (success) {
+                await this.unlockPatientData(passphrase, previousPassphrase);
+
                 // Show success message briefly before redirect
                 this.showSuccess('Login successful! Redirecting...');
 
@@ -191,6 +229,35 @@ class LoginView {
         }
     }
 
+    /**
+     * Unlock the encrypted patient data stored on this computer
+     * When the passphrase was changed elsewhere, the previous one re-encrypts the local data.
+     * @param {string} passphrase - Practice passphrase
+     * @param {string} previousPassphrase - Previous practice passphrase, if given
+     */
+    async unlockPatientData(passphrase, previousPassphrase) {
+        try {
+            if (previousPassphrase && this.rotateStorageKey) {
+                await this.rotateStorageKey(previousPassphrase, passphrase);
+            } else if (this.unlockStorage) {
+                await this.unlockStorage(passphrase);
+            }
+        } catch (error) {
+            // Do not keep a session open on data that stays locked
+            this.authManager.logout();
+
+            // Passphrase changed elsewhere, or a change interrupted on this computer
+            if (!previousPassphrase && (error.message.includes(ERROR_MESSAGES.auth.passphraseIncorrect) ||
+                error.message.includes(ERROR_MESSAGES.storage.keyChangePending))) {
+                const group = document.getElementById('previousPassphraseGroup');
+                if (group) {
+                    group.style.display = 'block';
+                }
+            }
+            throw error;
+        }
+    }
+
     /**
      * Handle input changes for real-time validation
      * @param {Event} event - Input change event
@@ -287,6 +354,7 @@ class LoginView {
         const loginBtn = document.getElementById('loginBtn');
         const usernameInput = document.getElementById('username');
         const passwordInput = document.getElementById('password');
+        const passphraseInput = document.getElementById('passphrase');
 
         const timer = setInterval(() => {
             const attemptsInfo = this.authManager.getLoginAttemptsInfo();
@@ -302,6 +370,7 @@ class LoginView {
 
                 if (usernameInput) usernameInput.disabled = false;
                 if (passwordInput) passwordInput.disabled = false;
+                if (passphraseInput) passphraseInput.disabled = false;
 
                 this.updateAttemptsDisplay();
             } else {
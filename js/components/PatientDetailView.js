@@ -4,14 +4,29 @@
  */
 
 class PatientDetailView {
-    constructor(patient, patientManager = null, uiRouter = null) {
+    constructor(patient, patientManager = null, uiRouter = null, attachmentManager = null) {
         this.patient = patient;
         this.patientManager = patientManager;
         this.uiRouter = uiRouter;
+        this.attachmentManager = attachmentManager;
         this.isEditMode = false;
         this.formManager = null;
         this.originalPatientData = null;
 
+        // Revision history panel state
+        this.history = null;
+        this.isHistoryOpen = false;
+        this.historyFrom = null;
+        this.historyTo = null;
+
+        // Attachments, loaded from the server (null until loaded)
+        this.attachments = null;
+        this.attachmentUsage = null;
+        this.isUploadingAttachment = false;
+
+        // Visible tab: 'record' (dossier) or 'trends' (courbes)
+        this.activeTab = 'record';
+
         // Bind methods
         this.handleEdit = this.handleEdit.bind(this);
         this.handleDelete = this.handleDelete.bind(this);
@@ -50,18 +65,42 @@ class PatientDetailView {
                             ← Back to Search
                         </button>
                         <div class="patient-actions">
-                            <button class="btn btn-primary edit-button" onclick="patientDetailView.handleEdit()">
-                                Edit Patient
-                            </button>
-                            <button class="btn btn-danger delete-button" onclick="patientDetailView.handleDelete()">
-                                Delete Patient
-                            </button>
+                            ${currentUserCan('patients:write') ? `
+                                <button class="btn btn-primary edit-button" onclick="patientDetailView.handleEdit()">
+                                    Edit Patient
+                                </button>
+                            ` : ''}
+                            ${currentUserCan('patients:delete') ? `
+                                <button class="btn btn-danger delete-button" onclick="patientDetailView.handleDelete()">
+                                    Delete Patient
+                                </button>
+                            ` : ''}
                         </div>
                     </div>
-                    <h2 class="content-title">${this.patient.getFullName()}</h2>
+                    <h2 class="content-title">
+                        ${this.patient.getFullName()}
+                        ${currentUserCan('clinical:read') ? this.renderClassificationBadges() : ''}
+                    </h2>
                     <p class="content-subtitle">Patient Record Details</p>
                 </div>
 
+                ${currentUserCan('clinical:read') ? this.renderAllergyBanner() : ''}
+                ${currentUserCan('clinical:read') ? this.renderCpapComplianceAlert() : ''}
+
+                <div class="patient-detail-tabs" role="tablist">
+                    <button class="patient-detail-tab ${this.activeTab === 'record' ? 'active' : ''}" role="tab"
+                            aria-selected="${this.activeTab === 'record'}" onclick="patientDetailView.showTab('record')">
+                        Dossier
+                    </button>
+                    ${currentUserCan('clinical:read') ? `
+                        <button class="patient-detail-tab ${this.activeTab === 'trends' ? 'active' : ''}" role="tab"
+                                aria-selected="${this.activeTab === 'trends'}" onclick="patientDetailView.showTab('trends')">
+                            Courbes
+                        </button>
+                    ` : ''}
+                </div>
+
+                ${this.activeTab === 'trends' && currentUserCan('clinical:read') ? this.renderTrends() : `
                 <div class="patient-detail-content">
                     <!-- Basic Information -->
                     <div class="card patient-info-card">
@@ -98,6 +137,18 @@ class PatientDetailView {
                         </div>
                     </div>
 
+                    ${this.renderMedicalHistory()}
+
+                    ${this.renderSleepApnea()}
+
+                    ${this.renderTbEpisodes()}
+
+                    ${this.renderHomeTherapies()}
+
+                    ${this.renderLabResults()}
+
+                    ${this.renderAttachments()}
+
                     <!-- Visit History -->
                     <div class="card visits-card">
                         <div class="card-header">
@@ -127,11 +178,74 @@ class PatientDetailView {
                             </div>
                         </div>
                     </div>
+
+                    <!-- Revision History -->
+                    <div class="card history-card">
+                        <div class="card-header">
+                            <h3 class="card-title">Historique</h3>
+                            <button class="btn btn-secondary btn-sm history-toggle" onclick="patientDetailView.toggleHistory()">
+                                ${this.isHistoryOpen ? 'Hide' : 'Show'} revisions
+                            </button>
+                        </div>
+                        <div class="card-body" id="patient-history-panel" style="${this.isHistoryOpen ? '' : 'display: none;'}">
+                            ${this.renderHistoryPanel()}
+                        </div>
+                    </div>
+                </div>
+                `}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the trends tab: one chart per measure recorded on the visits
+     * @returns {string} HTML string for the charts
+     */
+    renderTrends() {
+        const trends = buildPatientTrends(this.patient);
+
+        return `
+            <div class="patient-detail-content patient-trends">
+                <div class="card">
+                    <div class="card-header">
+                        <h3 class="card-title">Courbes</h3>
+                    </div>
+                    <div class="card-body">
+                        ${trends.length === 0 ? `
+                            <p class="no-data">No measurements recorded on the visits yet.</p>
+                        ` : trends.map(trend => new TrendChart(trend, {
+                            visitAction: visitId => `patientDetailView.showVisit('${visitId}')`
+                        }).render()).join('')}
+                    </div>
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Switch between the record and the trends
+     * @param {string} tab - 'record' or 'trends'
+     */
+    showTab(tab) {
+        this.activeTab = tab;
+        this.rerender();
+    }
+
+    /**
+     * Open the record tab on a visit
+     * @param {string} visitId - Visit to show
+     */
+    showVisit(visitId) {
+        this.showTab('record');
+
+        const element = document.getElementById(`visit-${visitId}`);
+        if (element) {
+            element.classList.add('visit-highlight');
+            element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            setTimeout(() => element.classList.remove('visit-highlight'), 2000);
+        }
+    }
+
     /**
      * Render edit mode (editable form)
      * @returns {string} HTML string for edit mode
@@ -168,96 +282,1341 @@ class PatientDetailView {
                     </div>
                 </div>
 
-                <div class="patient-edit-content">
-                    <div class="card">
-                        <div class="card-header">
-                            <h3 class="card-title">Edit Patient Information</h3>
-                        </div>
-                        <div class="card-body">
-                            ${this.formManager.renderPatientForm(formId, this.patient.toJSON())}
-                        </div>
-                    </div>
+                ${currentUserCan('clinical:read') ? this.renderAllergyBanner() : ''}
+
+                <div class="patient-edit-content">
+                    <div class="card">
+                        <div class="card-header">
+                            <h3 class="card-title">Edit Patient Information</h3>
+                        </div>
+                        <div class="card-body">
+                            ${this.formManager.renderPatientForm(formId, this.patient.toJSON())}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render medical history (antecedents), only for roles with clinical access
+     * @returns {string} HTML string for medical history
+     */
+    renderMedicalHistory() {
+        if (!currentUserCan('clinical:read')) {
+            return '';
+        }
+
+        return `
+            <div class="card medical-history-card">
+                <div class="card-header">
+                    <h3 class="card-title">Antécédents</h3>
+                </div>
+                <div class="card-body">
+                    <div class="visit-detail-section">
+                        <label class="visit-detail-label">ATCDS Médicaux:</label>
+                        <div class="visit-detail-value">
+                            ${this.patient.atcdsMedicaux ?
+                `<p>${this.formatText(this.patient.atcdsMedicaux)}</p>` :
+                '<p class="no-data">Aucun antécédent médical renseigné</p>'
+            }
+                        </div>
+                    </div>
+                    <div class="visit-detail-section">
+                        <label class="visit-detail-label">ATCDS Chirurgicaux:</label>
+                        <div class="visit-detail-value">
+                            ${this.patient.atcdsChirurgicaux ?
+                `<p>${this.formatText(this.patient.atcdsChirurgicaux)}</p>` :
+                '<p class="no-data">Aucun antécédent chirurgical renseigné</p>'
+            }
+                        </div>
+                    </div>
+                    ${this.renderProblemList()}
+                    <div class="visit-detail-section">
+                        <label class="visit-detail-label">Diagnostics respiratoires:</label>
+                        <div class="visit-detail-value">
+                            ${(this.patient.respiratoryDiagnoses || []).length > 0 ?
+                `<p>${this.patient.respiratoryDiagnoses.map(key => (getRespiratoryDiagnosis(key) || { shortLabel: key }).shortLabel).join(', ')}</p>` :
+                '<p class="no-data">Ni BPCO ni asthme renseigné</p>'
+            }
+                        </div>
+                    </div>
+                    ${this.renderTobacco()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the treatments of a visit with the prescription print action
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the treatments section
+     */
+    renderVisitTreatments(visit) {
+        const visitId = sanitizeHtml(String(visit.id));
+        const day = date => new Date(date).toLocaleDateString('fr-FR');
+
+        return `
+            <div class="visit-detail-section visit-treatments">
+                <label class="visit-detail-label">Traitement:</label>
+                <div class="visit-detail-value">
+                    <ul class="treatment-items">
+                        ${visit.treatments.map(treatment => `
+                            <li class="treatment-item ${isTreatmentCurrent(treatment, visit.visitDate) ? '' : 'treatment-stopped'}">
+                                ${describeTreatment(treatment)}
+                                ${treatment.startDate ? `<span class="treatment-dates">depuis le ${day(treatment.startDate)}</span>` : ''}
+                                ${treatment.stopDate ? `<span class="treatment-dates">arrêté le ${day(treatment.stopDate)}</span>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <div class="prescription-actions">
+                        <select class="form-control prescription-format" id="prescription-format-${visitId}" aria-label="Format de l'ordonnance">
+                            ${PRESCRIPTION_FORMATS.map(({ key, label }) => `<option value="${key}">${label}</option>`).join('')}
+                        </select>
+                        <button class="btn btn-secondary btn-sm" onclick="patientDetailView.handlePrintPrescription('${visitId}')">
+                            Imprimer l'ordonnance
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Print the prescription of a visit in the selected page format
+     * @param {string} visitId - Visit ID
+     */
+    handlePrintPrescription(visitId) {
+        const visit = (this.patient.visits || []).find(entry => String(entry.id) === visitId);
+        if (!visit) return;
+
+        const formatSelect = document.getElementById(`prescription-format-${visitId}`);
+        const logoManager = window.app && window.app.components.logoManager;
+        new PrescriptionView(logoManager).print(this.patient, visit, formatSelect ? formatSelect.value : 'A5');
+    }
+
+    /**
+     * Render the GOLD and GINA classification of the latest visit as badges
+     * @returns {string} HTML string for the badges
+     */
+    renderClassificationBadges() {
+        // Works on plain patient data as well as on the Patient model
+        const [latest] = [...(this.patient.visits || [])].sort((a, b) => String(b.visitDate).localeCompare(String(a.visitDate)));
+        const classification = latest ? latest.classification : null;
+        const worsened = (classification && classification.worsened) || [];
+
+        return describeClassification(classification).map(label => `
+            <span class="classification-badge ${worsened.length > 0 ? 'classification-worsened' : ''}"
+                  title="${worsened.length > 0 ? worsened.map(entry => entry.message).join(', ') : 'Classification at the last visit'}">
+                ${label}${worsened.length > 0 ? ' ↑' : ''}
+            </span>
+        `).join('');
+    }
+
+    /**
+     * Render the red allergy banner, shown above every tab while the patient has allergies
+     * @returns {string} HTML string for the banner, empty without allergies
+     */
+    renderAllergyBanner() {
+        const allergies = this.patient.allergies || [];
+        if (allergies.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="allergy-banner" role="alert">
+                <span class="allergy-banner-icon">⚠</span>
+                <strong>Allergies :</strong>
+                ${allergies.map(allergy => `
+                    <span class="allergy-banner-item allergy-${allergy.severity || 'unknown'}">${describeAllergy(allergy)}</span>
+                `).join('<span class="allergy-banner-separator">·</span>')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the poor CPAP compliance warning, from the latest reading of the CPAP log
+     * @returns {string} HTML string for the warning, empty when the compliance is sufficient or unknown
+     */
+    renderCpapComplianceAlert() {
+        const compliance = cpapCompliance(this.patient.cpapLog);
+        if (!compliance || !compliance.poor) {
+            return '';
+        }
+
+        return `
+            <div class="cpap-compliance-alert" role="alert">
+                <span class="cpap-compliance-alert-icon">⚠</span>
+                <strong>Observance PPC insuffisante :</strong>
+                ${compliance.usageHours} h/nuit au relevé du ${new Date(compliance.date).toLocaleDateString('fr-FR')}
+                (objectif ≥ ${CPAP_MIN_USAGE_HOURS} h)
+            </div>
+        `;
+    }
+
+    /**
+     * Render the sleep studies and the CPAP log, latest first, only for roles with clinical access
+     * @returns {string} HTML string for the sleep apnea card
+     */
+    renderSleepApnea() {
+        if (!currentUserCan('clinical:read')) {
+            return '';
+        }
+
+        const latestFirst = list => [...(list || [])].sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+        const studies = latestFirst(this.patient.sleepStudies);
+        const entries = latestFirst(this.patient.cpapLog);
+        const day = date => date ? new Date(date).toLocaleDateString('fr-FR') : '—';
+        const measure = (value, unit) => typeof value === 'number' ? `${value} ${unit}` : '—';
+        const pressure = entry => typeof entry.pressure === 'number' ? `${entry.pressure} cmH2O` :
+            typeof entry.pressureMin === 'number' || typeof entry.pressureMax === 'number' ?
+                `${entry.pressureMin ?? '?'}–${entry.pressureMax ?? '?'} cmH2O` : '—';
+
+        return `
+            <div class="card sleep-apnea-card">
+                <div class="card-header">
+                    <h3 class="card-title">Sommeil</h3>
+                </div>
+                <div class="card-body">
+                    <div class="visit-detail-section">
+                        <label class="visit-detail-label">Études du sommeil:</label>
+                        <div class="visit-detail-value">
+                            ${studies.length > 0 ? `
+                                <table class="sleep-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Date</th><th>Examen</th><th>IAH</th><th>IDO</th>
+                                            <th>SpO2 moy.</th><th>SpO2 min.</th><th>T90</th><th>Sévérité</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${studies.map(study => {
+                                            const type = getSleepStudyType(study.type);
+                                            const severity = SLEEP_APNEA_SEVERITIES.find(entry => entry.key === study.severity);
+                                            return `
+                                                <tr>
+                                                    <td>${day(study.date)}</td>
+                                                    <td>${type ? type.shortLabel : '—'}</td>
+                                                    <td>${measure(study.ahi, '/h')}</td>
+                                                    <td>${measure(study.odi, '/h')}</td>
+                                                    <td>${measure(study.meanSpo2, '%')}</td>
+                                                    <td>${measure(study.minSpo2, '%')}</td>
+                                                    <td>${measure(study.t90, '%')}</td>
+                                                    <td>${severity ? `<span class="sleep-severity sleep-severity-${severity.key}">${severity.shortLabel}</span>` : '—'}</td>
+                                                </tr>
+                                            `;
+                                        }).join('')}
+                                    </tbody>
+                                </table>
+                            ` : '<p class="no-data">Aucune étude du sommeil</p>'}
+                        </div>
+                    </div>
+                    <div class="visit-detail-section">
+                        <label class="visit-detail-label">Suivi PPC:</label>
+                        <div class="visit-detail-value">
+                            ${entries.length > 0 ? `
+                                <table class="sleep-table">
+                                    <thead>
+                                        <tr>
+                                            <th>Date</th><th>Mode</th><th>Pression</th><th>Masque</th>
+                                            <th>Utilisation</th><th>IAH résiduel</th><th>Fuites</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        ${entries.map(entry => {
+                                            const mode = getCpapMode(entry.mode);
+                                            const mask = getCpapMaskType(entry.maskType);
+                                            const poor = typeof entry.usageHours === 'number' && entry.usageHours < CPAP_MIN_USAGE_HOURS;
+                                            return `
+                                                <tr>
+                                                    <td>${day(entry.date)}</td>
+                                                    <td>${mode ? mode.shortLabel : '—'}</td>
+                                                    <td>${pressure(entry)}</td>
+                                                    <td>${mask ? mask.shortLabel : '—'}</td>
+                                                    <td class="${poor ? 'cpap-usage-poor' : ''}">${measure(entry.usageHours, 'h/nuit')}</td>
+                                                    <td>${measure(entry.residualAhi, '/h')}</td>
+                                                    <td>${measure(entry.leak, 'L/min')}</td>
+                                                </tr>
+                                            `;
+                                        }).join('')}
+                                    </tbody>
+                                </table>
+                            ` : '<p class="no-data">Aucun relevé de PPC</p>'}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the oxygen therapy and home ventilation prescriptions, active ones first by renewal date,
+     * only for roles with clinical access (nothing for a patient who never had one)
+     * @returns {string} HTML string for the home therapies card
+     */
+    renderHomeTherapies() {
+        const therapies = [...(this.patient.homeTherapies || [])].sort((a, b) =>
+            Boolean(a.stopDate) - Boolean(b.stopDate) || String(a.renewalDate || '').localeCompare(String(b.renewalDate || '')));
+        if (!currentUserCan('clinical:read') || therapies.length === 0) {
+            return '';
+        }
+
+        const today = formatDateForInput(new Date());
+        const day = date => date ? new Date(date).toLocaleDateString('fr-FR') : '—';
+        const measure = (value, unit) => typeof value === 'number' ? `${value} ${unit}` : '—';
+        const renewal = therapy => {
+            if (therapy.stopDate) {
+                return `<span class="no-data">Arrêtée le ${day(therapy.stopDate)}</span>`;
+            }
+            const daysLeft = homeTherapyDaysLeft(therapy.renewalDate, today);
+            if (daysLeft < 0) {
+                return `<span class="home-therapy-lapsed">${day(therapy.renewalDate)} — expirée depuis ${-daysLeft} jour${daysLeft < -1 ? 's' : ''}</span>`;
+            }
+            if (daysLeft <= HOME_THERAPY_RENEWAL_NOTICE_DAYS) {
+                return `<span class="home-therapy-due">${day(therapy.renewalDate)} — dans ${daysLeft} jour${daysLeft > 1 ? 's' : ''}</span>`;
+            }
+            return day(therapy.renewalDate);
+        };
+
+        return `
+            <div class="card home-therapy-card">
+                <div class="card-header">
+                    <h3 class="card-title">Oxygénothérapie et ventilation à domicile</h3>
+                </div>
+                <div class="card-body">
+                    <table class="sleep-table home-therapy-table">
+                        <thead>
+                            <tr>
+                                <th>Traitement</th><th>Appareil</th><th>Débit O2</th><th>Durée</th><th>Prestataire</th>
+                                <th>Début</th><th>Renouvellement</th><th>Gaz du sang</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${therapies.map(therapy => {
+                                const type = getHomeTherapyType(therapy.type);
+                                const device = getHomeTherapyDevice(therapy.device);
+                                return `
+                                    <tr class="${therapy.stopDate ? 'home-therapy-stopped' : ''}">
+                                        <td>${type ? type.shortLabel : '—'}</td>
+                                        <td>${device ? device.shortLabel : '—'}</td>
+                                        <td>${measure(therapy.flowRate, 'L/min')}</td>
+                                        <td>${measure(therapy.hoursPerDay, 'h/j')}</td>
+                                        <td>${therapy.supplier ? sanitizeHtml(therapy.supplier) : '—'}</td>
+                                        <td>${day(therapy.startDate)}</td>
+                                        <td>${renewal(therapy)}</td>
+                                        <td>
+                                            PaO2 ${measure(therapy.pao2, 'mmHg')} · PaCO2 ${measure(therapy.paco2, 'mmHg')}
+                                            ${therapy.bloodGasDate ? `<br><small>le ${day(therapy.bloodGasDate)}</small>` : ''}
+                                        </td>
+                                    </tr>
+                                    ${therapy.notes ? `<tr><td colspan="8" class="home-therapy-notes">${this.formatText(therapy.notes)}</td></tr>` : ''}
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the latest result of each lab test with its flag, and the import of a laboratory export file,
+     * only for roles with clinical access (nothing for a reader when the patient has no results)
+     * @returns {string} HTML string for the lab results card
+     */
+    renderLabResults() {
+        const latest = latestLabResults(this.patient.visits);
+        const canImport = currentUserCan('clinical:write');
+        if (!currentUserCan('clinical:read') || (Object.keys(latest).length === 0 && !canImport)) {
+            return '';
+        }
+
+        const arrows = { low: '↓', high: '↑' };
+
+        return `
+            <div class="card labs-card">
+                <div class="card-header">
+                    <h3 class="card-title">Biologie</h3>
+                    ${canImport ? `
+                        <label class="btn btn-secondary btn-sm labs-import">
+                            Importer un fichier CSV
+                            <input type="file" accept=".csv,.txt,text/csv" hidden
+                                   onchange="patientDetailView.handleLabImport(this.files[0]); this.value = ''">
+                        </label>
+                    ` : ''}
+                </div>
+                <div class="card-body">
+                    ${Object.keys(latest).length > 0 ? `
+                        <table class="sleep-table labs-table">
+                            <thead>
+                                <tr><th>Examen</th><th>Dernier résultat</th><th>Normes</th><th>Date</th></tr>
+                            </thead>
+                            <tbody>
+                                ${LAB_TESTS.filter(({ key }) => latest[key]).map(test => {
+                                    const { value, visitDate } = latest[test.key];
+                                    const flag = flagLabResult(test.key, value, this.patient.gender);
+                                    return `
+                                        <tr>
+                                            <td>${test.label}</td>
+                                            <td class="lab-value ${flag ? `lab-${flag}` : ''}">
+                                                ${value}${test.unit ? ` ${test.unit}` : ''} ${flag ? arrows[flag] : ''}
+                                            </td>
+                                            <td>${sanitizeHtml(formatLabRange(labReferenceRange(test.key, this.patient.gender), test.unit))}</td>
+                                            <td>${new Date(visitDate).toLocaleDateString('fr-FR')}</td>
+                                        </tr>
+                                    `;
+                                }).join('')}
+                            </tbody>
+                        </table>
+                    ` : '<p class="no-data">Aucun résultat biologique</p>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Import the results of a laboratory export file into the visits of the patient
+     * @param {File} file - CSV file with date, test, value and optional unit columns
+     */
+    async handleLabImport(file) {
+        if (!file || !this.patientManager) {
+            return;
+        }
+
+        try {
+            const { results, errors } = parseLabCsv(await file.text());
+            errors.forEach(({ line, message }) => log(`Lab import, line ${line}: ${message}`, 'warn'));
+            if (results.length === 0) {
+                this.showToast(errors.length > 0 ? `No result imported: ${errors[0].message}` : 'No result found in the file', 'error');
+                return;
+            }
+
+            const result = await this.patientManager.importLabResults(this.patient.id, results, this.patient.revision);
+            if (result.conflict) {
+                this.showToast('This record was changed by another user. Reload it before importing the results.', 'warning');
+                return;
+            }
+
+            this.patient = new Patient(result.patient);
+            this.rerender();
+            this.showToast(
+                `${result.imported} result${result.imported > 1 ? 's' : ''} imported` +
+                (result.createdVisits > 0 ? `, ${result.createdVisits} visit${result.createdVisits > 1 ? 's' : ''} created` : '') +
+                (errors.length > 0 ? `, ${errors.length} line${errors.length > 1 ? 's' : ''} skipped` : ''),
+                errors.length > 0 ? 'warning' : 'success'
+            );
+
+        } catch (error) {
+            log(`Failed to import lab results: ${error.message}`, 'error');
+            this.showToast('Failed to import the lab results', 'error');
+        }
+    }
+
+    /**
+     * Render the documents and images of the patient (X-rays, CT reports, letters, PFT printouts) with
+     * the quota used and, for roles that can write clinical data, the upload form
+     * @returns {string} HTML string for the attachments card
+     */
+    renderAttachments() {
+        if (!this.attachmentManager || !currentUserCan('clinical:read')) {
+            return '';
+        }
+
+        const canUpload = currentUserCan('clinical:write');
+        const usage = this.attachmentUsage || attachmentUsage(this.attachments);
+        const visits = [...(this.patient.visits || [])].sort((a, b) => String(b.visitDate).localeCompare(String(a.visitDate)));
+        const accept = ATTACHMENT_TYPES.flatMap(type => [...type.extensions, type.mimeType]).join(',');
+
+        return `
+            <div class="card attachments-card">
+                <div class="card-header">
+                    <h3 class="card-title">Documents</h3>
+                    <span class="attachments-usage" title="Quota du patient">
+                        ${formatFileSize(usage.used)} / ${formatFileSize(usage.quota)}
+                    </span>
+                </div>
+                <div class="card-body">
+                    <div class="attachments-quota">
+                        <div class="attachments-quota-bar" style="width: ${Math.min(100, Math.round(usage.used / usage.quota * 100))}%"></div>
+                    </div>
+                    ${this.attachments === null ? `
+                        <p class="no-data">Chargement des documents...</p>
+                    ` : this.attachments.length > 0 ? `
+                        <div class="attachments-grid">
+                            ${this.attachments.map(attachment => this.renderAttachmentTile(attachment)).join('')}
+                        </div>
+                    ` : '<p class="no-data">Aucun document</p>'}
+                    ${canUpload ? `
+                        <div class="attachments-upload">
+                            <input type="file" id="attachment-file" class="form-input" accept="${accept}">
+                            <select id="attachment-category" class="form-input">
+                                ${ATTACHMENT_CATEGORIES.map(category => `<option value="${category.key}">${category.shortLabel}</option>`).join('')}
+                            </select>
+                            <select id="attachment-visit" class="form-input">
+                                <option value="">Dossier du patient</option>
+                                ${visits.map(visit => `<option value="${sanitizeHtml(String(visit.id))}">Visite du ${this.formatDate(visit.visitDate)}</option>`).join('')}
+                            </select>
+                            <input type="text" id="attachment-description" class="form-input" placeholder="Description"
+                                   maxlength="${ATTACHMENT_CONFIG.descriptionMaxLength}">
+                            <button type="button" class="btn btn-primary btn-sm" ${this.isUploadingAttachment ? 'disabled' : ''}
+                                    onclick="patientDetailView.handleAttachmentUpload()">
+                                ${this.isUploadingAttachment ? 'Envoi...' : 'Ajouter'}
+                            </button>
+                        </div>
+                        <p class="form-help">
+                            ${ATTACHMENT_TYPES.map(type => type.label).join(', ')} ·
+                            ${formatFileSize(ATTACHMENT_CONFIG.maxFileBytes)} maximum par fichier
+                        </p>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one attachment: its thumbnail (or file type for PDF and DICOM), category, date and size
+     * @param {Object} attachment - Attachment description
+     * @returns {string} HTML string for the tile
+     */
+    renderAttachmentTile(attachment) {
+        const type = getAttachmentType(attachment.type);
+        const category = getAttachmentCategory(attachment.category);
+        const visit = attachment.visitId && (this.patient.visits || []).find(v => v.id === attachment.visitId);
+        const name = sanitizeHtml(attachment.name).replace(/"/g, '&quot;');
+
+        return `
+            <div class="attachment-tile">
+                <button type="button" class="attachment-preview" title="Ouvrir ${name}"
+                        onclick="patientDetailView.openAttachment('${attachment.id}')">
+                    ${attachment.hasThumbnail ? `
+                        <img src="${this.attachmentManager.thumbnailUrl(this.patient.id, attachment.id)}" alt="${name}" loading="lazy">
+                    ` : `<span class="attachment-type attachment-type-${attachment.type}">${type ? type.label : attachment.type}</span>`}
+                </button>
+                <div class="attachment-info">
+                    <span class="attachment-name" title="${name}">${name}</span>
+                    <span class="attachment-meta">
+                        ${category ? category.shortLabel : attachment.category} · ${this.formatDate(attachment.uploadedAt)} · ${formatFileSize(attachment.size)}
+                    </span>
+                    ${visit ? `<span class="attachment-meta">Visite du ${this.formatDate(visit.visitDate)}</span>` : ''}
+                    ${attachment.description ? `<span class="attachment-description">${sanitizeHtml(attachment.description)}</span>` : ''}
+                </div>
+                <div class="attachment-actions">
+                    <a class="btn btn-secondary btn-sm" href="${this.attachmentManager.contentUrl(this.patient.id, attachment.id, true)}">Télécharger</a>
+                    ${currentUserCan('clinical:write') ? `
+                        <button type="button" class="btn btn-danger btn-sm"
+                                onclick="patientDetailView.handleAttachmentDelete('${attachment.id}')">Supprimer</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the attachments of a visit (nothing when it has none or they are not loaded)
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the visit attachments
+     */
+    renderVisitAttachments(visit) {
+        const attachments = attachmentsForVisit(this.attachments, visit.id);
+        if (!this.attachmentManager || attachments.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Documents:</label>
+                <div class="visit-detail-value">
+                    <ul class="visit-attachments">
+                        ${attachments.map(attachment => `
+                            <li>
+                                <a href="#" onclick="patientDetailView.openAttachment('${attachment.id}'); return false;">
+                                    ${sanitizeHtml(attachment.name)}
+                                </a>
+                                <span class="attachment-meta">
+                                    ${(getAttachmentCategory(attachment.category) || {}).shortLabel || attachment.category} · ${formatFileSize(attachment.size)}
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the attachments of the patient from the server
+     */
+    async loadAttachments() {
+        try {
+            const { attachments, usage } = await this.attachmentManager.list(this.patient.id);
+            this.attachments = attachments;
+            this.attachmentUsage = usage;
+        } catch (error) {
+            log(`Failed to load attachments: ${error.message}`, 'error');
+            this.attachments = [];
+            this.showToast('Failed to load the documents', 'error');
+        }
+
+        if (!this.isEditMode) {
+            this.rerender();
+        }
+    }
+
+    /**
+     * Upload the file chosen in the attachments form
+     */
+    async handleAttachmentUpload() {
+        const fileInput = document.getElementById('attachment-file');
+        const file = fileInput && fileInput.files[0];
+        if (this.isUploadingAttachment) {
+            return;
+        }
+        if (!file) {
+            this.showToast('Choose a file to upload', 'warning');
+            return;
+        }
+
+        const details = {
+            category: document.getElementById('attachment-category').value,
+            visitId: document.getElementById('attachment-visit').value || null,
+            description: document.getElementById('attachment-description').value.trim()
+        };
+
+        this.isUploadingAttachment = true;
+        this.rerender();
+
+        try {
+            await this.attachmentManager.upload(this.patient.id, file, details);
+            this.showToast(`${file.name} added`, 'success');
+        } catch (error) {
+            log(`Failed to upload attachment: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        } finally {
+            this.isUploadingAttachment = false;
+        }
+
+        await this.loadAttachments();
+    }
+
+    /**
+     * Delete an attachment after confirmation
+     * @param {string} attachmentId - Attachment ID
+     */
+    async handleAttachmentDelete(attachmentId) {
+        const attachment = (this.attachments || []).find(a => a.id === attachmentId);
+        if (!attachment || !confirm(`Delete "${attachment.name}"? The file cannot be recovered.`)) {
+            return;
+        }
+
+        try {
+            await this.attachmentManager.remove(this.patient.id, attachmentId);
+            this.showToast(`${attachment.name} deleted`, 'success');
+        } catch (error) {
+            log(`Failed to delete attachment: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+
+        await this.loadAttachments();
+    }
+
+    /**
+     * Show an attachment in the in-app viewer: images and PDF are displayed, DICOM files are offered
+     * for download to open in a DICOM viewer
+     * @param {string} attachmentId - Attachment ID
+     */
+    openAttachment(attachmentId) {
+        const attachment = (this.attachments || []).find(a => a.id === attachmentId);
+        const modalManager = window.app && window.app.components.modalManager;
+        if (!attachment) {
+            return;
+        }
+
+        const url = this.attachmentManager.contentUrl(this.patient.id, attachment.id);
+        if (!modalManager) {
+            window.open(url, '_blank', 'noopener');
+            return;
+        }
+
+        const type = getAttachmentType(attachment.type);
+        const name = sanitizeHtml(attachment.name).replace(/"/g, '&quot;');
+        const preview = {
+            image: `<img class="attachment-viewer-image" src="${url}" alt="${name}">`,
+            pdf: `<iframe class="attachment-viewer-frame" src="${url}" title="${name}"></iframe>`
+        }[type && type.preview] || `
+            <p class="modal-message">
+                Aperçu non disponible pour les fichiers ${type ? type.label : attachment.type} :
+                téléchargez le fichier pour l'ouvrir dans une visionneuse adaptée.
+            </p>
+        `;
+
+        const modalId = 'attachment-viewer';
+        modalManager.showModal(modalId, `
+            <div class="modal-backdrop">
+                <div class="modal-dialog attachment-viewer-modal">
+                    <div class="modal-header">
+                        <h3 class="modal-title">${name}</h3>
+                    </div>
+                    <div class="modal-body">
+                        ${preview}
+                        ${attachment.description ? `<p class="attachment-description">${sanitizeHtml(attachment.description)}</p>` : ''}
+                    </div>
+                    <div class="modal-actions">
+                        <a class="btn btn-secondary" href="${this.attachmentManager.contentUrl(this.patient.id, attachment.id, true)}">Télécharger</a>
+                        <button type="button" class="btn btn-primary" data-action="close">Fermer</button>
+                    </div>
+                </div>
+            </div>
+        `, {
+            closable: true,
+            onAction: () => modalManager.closeModal(modalId)
+        });
+    }
+
+    /**
+     * Render the tuberculosis episodes, the latest first, only for roles with clinical access
+     * (nothing for a patient who never had one)
+     * @returns {string} HTML string for the tuberculosis card
+     */
+    renderTbEpisodes() {
+        const episodes = [...(this.patient.tbEpisodes || [])].sort((a, b) => b.startDate.localeCompare(a.startDate));
+        if (!currentUserCan('clinical:read') || episodes.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="card tb-card">
+                <div class="card-header">
+                    <h3 class="card-title">Tuberculose</h3>
+                </div>
+                <div class="card-body">
+                    ${episodes.map(episode => this.renderTbEpisode(episode)).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render one TB episode: phases, conversions, follow-ups and DOT calendar
+     * @param {Object} episode - TB episode, see js/utils/tuberculosis.js
+     * @returns {string} HTML string for the episode
+     */
+    renderTbEpisode(episode) {
+        const today = formatDateForInput(new Date());
+        const day = date => date ? new Date(date).toLocaleDateString('fr-FR') : '—';
+        const regimen = getTbRegimen(episode.regimen);
+        const site = TB_SITES.find(entry => entry.key === episode.site);
+        const outcome = getTbOutcome(episode.outcome);
+        const current = outcome ? null : tbPhaseOn(episode, today);
+        const nextFollowUp = nextTbFollowUpDate(episode);
+        const overdueDays = tbOverdueDays(nextFollowUp, today);
+        const doses = tbDoseSummary(episode, today);
+        const result = key => (TB_TEST_RESULTS.find(entry => entry.key === key) || { shortLabel: '—' }).shortLabel;
+
+        return `
+            <div class="tb-episode" data-tb-episode-id="${episode.id}">
+                <div class="tb-episode-header">
+                    <strong>${regimen ? regimen.label : episode.regimen}</strong>
+                    ${site ? `<span>${site.shortLabel}</span>` : ''}
+                    <span>débuté le ${day(episode.startDate)}</span>
+                    <span class="tb-outcome ${outcome ? `tb-outcome-${outcome.key}` : 'tb-outcome-ongoing'}">
+                        ${outcome ? `${outcome.shortLabel} le ${day(episode.outcomeDate)}` : 'En cours'}
+                    </span>
+                </div>
+
+                <ul class="tb-phases">
+                    ${tbPhaseDates(episode).map(phase => `
+                        <li class="${current && current.key === phase.key ? 'tb-phase-current' : ''}">
+                            ${phase.label} (${phase.months}${phase.drugs}) : du ${day(phase.start)} au ${day(phase.end)}
+                        </li>
+                    `).join('')}
+                </ul>
+
+                <p class="tb-episode-summary">
+                    Négativation de l'examen direct : ${day(episode.smearConversionDate)}
+                    · de la culture : ${day(episode.cultureConversionDate)}
+                    · prises observées : ${doses.observed}/${doses.expected}${doses.missed > 0 ? `, ${doses.missed} manquée${doses.missed > 1 ? 's' : ''}` : ''}
+                </p>
+                ${nextFollowUp ? `
+                    <p class="tb-next-follow-up ${overdueDays > 0 ? 'tb-follow-up-overdue' : ''}">
+                        Prochain suivi : ${day(nextFollowUp)}${overdueDays > 0 ? ` — en retard de ${overdueDays} jour${overdueDays > 1 ? 's' : ''}` : ''}
+                    </p>
+                ` : ''}
+
+                ${(episode.followUps || []).length > 0 ? `
+                    <table class="sleep-table tb-follow-up-table">
+                        <thead>
+                            <tr><th>Suivi</th><th>Phase</th><th>Examen direct</th><th>Culture</th><th>Poids</th><th>Notes</th></tr>
+                        </thead>
+                        <tbody>
+                            ${episode.followUps.map(followUp => {
+                                const phase = tbPhaseOn(episode, followUp.date);
+                                return `
+                                    <tr>
+                                        <td>${day(followUp.date)}</td>
+                                        <td>${phase ? phase.label : '—'}</td>
+                                        <td>${result(followUp.smear)}</td>
+                                        <td>${result(followUp.culture)}</td>
+                                        <td>${typeof followUp.weightKg === 'number' ? `${followUp.weightKg} kg` : '—'}</td>
+                                        <td>${followUp.notes ? this.formatText(followUp.notes) : ''}</td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                ` : '<p class="no-data">Aucun suivi enregistré</p>'}
+
+                ${this.renderTbCalendar(episode, today)}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the DOT calendar of a TB episode, one month grid per month of treatment
+     * Roles allowed to write clinical data mark a day as observed, then missed, then empty by clicking it.
+     * @param {Object} episode - TB episode
+     * @param {string} today - Today ('YYYY-MM-DD')
+     * @returns {string} HTML string for the calendar
+     */
+    renderTbCalendar(episode, today) {
+        const editable = currentUserCan('clinical:write');
+        const statusLabel = key => (TB_DOSE_STATUSES.find(entry => entry.key === key) || { shortLabel: 'Non renseignée' }).shortLabel;
+
+        return `
+            <div class="tb-calendar">
+                <div class="tb-calendar-legend">
+                    <span class="tb-day tb-phase-intensive">Phase intensive</span>
+                    <span class="tb-day tb-phase-continuation">Continuation</span>
+                    <span class="tb-day tb-dose-observed">Prise observée</span>
+                    <span class="tb-day tb-dose-missed">Prise manquée</span>
+                    <span class="tb-day tb-day-follow-up">Suivi</span>
+                </div>
+                <div class="tb-calendar-months">
+                    ${tbCalendarMonths(episode).map(({ month, days }) => `
+                        <div class="tb-calendar-month">
+                            <div class="tb-calendar-month-title">
+                                ${new Date(`${month}-01`).toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' })}
+                            </div>
+                            <div class="tb-calendar-grid">
+                                ${['L', 'M', 'M', 'J', 'V', 'S', 'D'].map(weekday => `<span class="tb-calendar-weekday">${weekday}</span>`).join('')}
+                                ${'<span></span>'.repeat((new Date(days[0].date).getUTCDay() + 6) % 7)}
+                                ${days.map(({ date, phase, dose, followUp }) => `
+                                    <button type="button"
+                                            class="tb-day tb-phase-${phase} ${dose ? `tb-dose-${dose}` : ''} ${followUp ? 'tb-day-follow-up' : ''} ${date === today ? 'tb-day-today' : ''}"
+                                            title="${new Date(date).toLocaleDateString('fr-FR')} : ${statusLabel(dose)}"
+                                            ${editable && date <= today ? `onclick="patientDetailView.handleTbDose('${episode.id}', '${date}')"` : 'disabled'}>
+                                        ${Number(date.slice(8))}
+                                    </button>
+                                `).join('')}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Mark a day of the DOT calendar: empty, then observed, then missed, then empty again
+     * @param {string} episodeId - TB episode ID
+     * @param {string} date - Day ('YYYY-MM-DD')
+     */
+    async handleTbDose(episodeId, date) {
+        const episode = (this.patient.tbEpisodes || []).find(entry => entry.id === episodeId);
+        if (!episode || !this.patientManager) {
+            return;
+        }
+
+        try {
+            const status = nextTbDoseStatus((episode.doses || {})[date]);
+            const result = await this.patientManager.recordTbDose(this.patient.id, episodeId, date, status, this.patient.revision);
+
+            if (result.conflict) {
+                this.showToast('This record was changed by another user. Reload it before marking the calendar.', 'warning');
+                return;
+            }
+
+            this.patient = new Patient(result.patient);
+            this.rerender();
+
+        } catch (error) {
+            log(`Failed to record TB dose: ${error.message}`, 'error');
+            this.showToast('Failed to record the intake', 'error');
+        }
+    }
+
+    /**
+     * Render the problem list, active diagnoses first
+     * @returns {string} HTML string for the problem list section
+     */
+    renderProblemList() {
+        const problems = [...(this.patient.problems || [])]
+            .sort((a, b) => (a.status === 'resolved') - (b.status === 'resolved'));
+        const onset = date => date.length === 4 ? date :
+            new Date(date).toLocaleDateString('fr-FR', date.length === 7 ? { month: 'long', year: 'numeric' } : undefined);
+
+        return `
+            <div class="visit-detail-section problem-list">
+                <label class="visit-detail-label">Liste des problèmes:</label>
+                <div class="visit-detail-value">
+                    ${problems.length > 0 ? `
+                        <ul class="problem-list-items">
+                            ${problems.map(problem => `
+                                <li class="problem-item problem-${problem.status || 'active'}">
+                                    <span class="problem-code">${problem.code}</span>
+                                    <span class="problem-label">${(getIcd10Code(problem.code) || { label: '' }).label}</span>
+                                    <span class="problem-status">${(PROBLEM_STATUSES.find(status => status.key === (problem.status || 'active')) || { shortLabel: problem.status }).shortLabel}</span>
+                                    ${problem.onsetDate ? `<span class="problem-onset">depuis ${onset(problem.onsetDate)}</span>` : ''}
+                                    ${problem.notes ? `<p class="problem-notes">${this.formatText(problem.notes)}</p>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="no-data">Aucun diagnostic codé</p>'}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the smoking history and the other exposures
+     * @returns {string} HTML string for the smoking history sections
+     */
+    renderTobacco() {
+        const tobacco = this.patient.tobacco;
+        const summary = describeTobacco(tobacco);
+        const exposures = (tobacco && tobacco.exposures) || [];
+        const month = date => new Date(date).toLocaleDateString('fr-FR', { month: 'long', year: 'numeric' });
+
+        return `
+            <div class="visit-detail-section tobacco-history">
+                <label class="visit-detail-label">Tabagisme:</label>
+                <div class="visit-detail-value">
+                    ${summary ? `
+                        <p class="tobacco-summary tobacco-${tobacco.status}">${summary}</p>
+                        ${tobacco.status !== 'never' ? `
+                            <ul class="tobacco-details">
+                                ${tobacco.cigarettesPerDay ? `<li>${tobacco.cigarettesPerDay} cigarettes par jour</li>` : ''}
+                                ${tobacco.startDate ? `<li>Début : ${month(tobacco.startDate)}</li>` : ''}
+                                ${tobacco.quitDate ? `<li>Sevrage : ${month(tobacco.quitDate)}</li>` : ''}
+                                ${computePackYears(tobacco) === null ? '<li class="no-data">Paquets-années non calculables (début ou consommation manquant)</li>' : ''}
+                            </ul>
+                        ` : ''}
+                    ` : '<p class="no-data">Statut tabagique non renseigné</p>'}
+                </div>
+            </div>
+            ${exposures.length > 0 ? `
+                <div class="visit-detail-section tobacco-exposures">
+                    <label class="visit-detail-label">Autres expositions:</label>
+                    <div class="visit-detail-value">
+                        <ul class="tobacco-details">
+                            ${exposures.map(exposure => `
+                                <li>
+                                    <strong>${(getTobaccoExposure(exposure.type) || { label: exposure.type }).label}</strong>
+                                    ${exposure.details ? ` : ${this.formatText(exposure.details)}` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render visit history section
+     * @returns {string} HTML string for visit history
+     */
+    renderVisitHistory() {
+        if (!this.patient.visits || this.patient.visits.length === 0) {
+            return `
+                <div class="no-visits-message">
+                    <div class="no-visits-icon">📅</div>
+                    <h4>No visits recorded</h4>
+                    <p>This patient has no visit history on record.</p>
+                </div>
+            `;
+        }
+
+        // Sort visits by date (most recent first)
+        const sortedVisits = [...this.patient.visits].sort((a, b) => {
+            const dateA = new Date(a.visitDate);
+            const dateB = new Date(b.visitDate);
+            return dateB - dateA;
+        });
+
+        return `
+            <div class="visits-list">
+                ${sortedVisits.map((visit, index) => this.renderVisitItem(visit, index)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render individual visit item
+     * @param {Object} visit - Visit data
+     * @param {number} index - Visit index
+     * @returns {string} HTML string for visit item
+     */
+    renderVisitItem(visit, index) {
+        const critical = currentUserCan('clinical:read') ? criticalVitals(visit.vitals) : [];
+
+        return `
+            <div class="visit-detail-item" id="visit-${sanitizeHtml(String(visit.id))}">
+                <div class="visit-detail-header">
+                    <h4 class="visit-detail-title">
+                        Visit ${index + 1} - ${this.formatDate(visit.visitDate)}
+                    </h4>
+                    ${critical.length > 0 ? `
+                        <span class="vital-critical-badge" title="${critical.map(key => getVitalSign(key).label).join(', ')}">
+                            ⚠ Critical value
+                        </span>
+                    ` : ''}
+                    <span class="visit-detail-date">${this.getRelativeDate(visit.visitDate)}</span>
+                </div>
+                <div class="visit-detail-content">
+                    ${currentUserCan('clinical:read') ? this.renderVisitClinicalSections(visit) : `
+                        <p class="no-data clinical-restricted">Clinical details are restricted to medical staff.</p>
+                    `}
+                    ${visit.nextAppointment ? this.renderNextAppointment(visit) : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the next appointment planned at a visit, with a link to book it in the agenda
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the next appointment section
+     */
+    renderNextAppointment(visit) {
+        const date = new Date(`${visit.nextAppointment}T00:00:00`)
+            .toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+
+        return `
+            <div class="visit-detail-section next-appointment">
+                <label class="visit-detail-label">Prochain rendez-vous:</label>
+                <div class="visit-detail-value">
+                    <span>${date}</span>
+                    ${currentUserCan('patients:write') ? `
+                        <button class="btn btn-secondary btn-sm" onclick="patientDetailView.handleBookAppointment('${visit.nextAppointment}')">
+                            Réserver dans l'agenda
+                        </button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Open the agenda on a date, the booking form set to this patient
+     * @param {string} date - Date ('YYYY-MM-DD')
+     */
+    handleBookAppointment(date) {
+        const params = { date, patientId: this.patient.id };
+        if (window.app && window.app.components.uiRouter) {
+            window.app.components.uiRouter.navigateTo('agenda', params);
+        } else if (window.app) {
+            window.app.navigateToRoute('agenda', params);
+        }
+    }
+
+    /**
+     * Render the clinical sections of a visit
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the clinical sections
+     */
+    renderVisitClinicalSections(visit) {
+        const optionalSections = [
+            { field: 'consultation', label: 'Consultation' },
+            { field: 'examenClinique', label: 'Examen Clinique' },
+            { field: 'billan', label: 'Bilan' },
+            { field: 'cat', label: 'CAT' }
+        ];
+
+        return `
+            ${normalizeVitals(visit.vitals) ? this.renderVisitVitals(visit) : ''}
+            ${normalizeQuestionnaires(visit.questionnaires) ? this.renderVisitQuestionnaires(visit) : ''}
+            ${visit.classification || normalizeExacerbations(visit.exacerbations) || visit.asthmaStep ? this.renderVisitClassification(visit) : ''}
+            ${optionalSections.filter(({ field }) => visit[field]).map(({ field, label }) => `
+                <div class="visit-detail-section">
+                    <label class="visit-detail-label">${label}:</label>
+                    <div class="visit-detail-value">
+                        <p>${this.formatText(visit[field])}</p>
+                    </div>
+                </div>
+            `).join('')}
+            ${(visit.treatments || []).length > 0 ? this.renderVisitTreatments(visit) : ''}
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Medications Prescribed:</label>
+                <div class="visit-detail-value">
+                    ${visit.medications ?
+                `<p class="medication-text">${this.formatText(visit.medications)}</p>` :
+                '<p class="no-data">No medications recorded</p>'
+            }
+                </div>
+            </div>
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Observations:</label>
+                <div class="visit-detail-value">
+                    ${visit.observations ?
+                `<p class="observation-text">${this.formatText(visit.observations)}</p>` :
+                '<p class="no-data">No observations recorded</p>'
+            }
+                </div>
+            </div>
+            ${visit.additionalComments ? `
+                <div class="visit-detail-section">
+                    <label class="visit-detail-label">Additional Comments:</label>
+                    <div class="visit-detail-value">
+                        <p class="comment-text">${this.formatText(visit.additionalComments)}</p>
+                    </div>
+                </div>
+            ` : ''}
+            ${pftHasResults(visit.pft) ? this.renderVisitPft(visit) : ''}
+            ${normalizeLabResults(visit.labResults) ? this.renderVisitLabResults(visit) : ''}
+            ${this.renderVisitAttachments(visit)}
+        `;
+    }
+
+    /**
+     * Render the vital signs of a visit, flagging values outside their normal range
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the vital signs
+     */
+    renderVisitVitals(visit) {
+        const vitals = normalizeVitals(visit.vitals);
+        const arrows = { low: '↓', high: '↑' };
+
+        return `
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Vital Signs:</label>
+                <div class="visit-detail-value">
+                    <ul class="vitals-list">
+                        ${VITAL_SIGNS.filter(({ key }) => typeof vitals[key] === 'number').map(({ key, label, unit }) => {
+                            const { status, direction } = assessVital(key, vitals[key]);
+                            return `
+                                <li class="vital-item vital-${status}">
+                                    <span class="vital-label">${label}</span>
+                                    <span class="vital-value">${vitals[key]} ${unit} ${direction ? arrows[direction] : ''}</span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the questionnaire scores of a visit with their interpretation
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the scores
+     */
+    renderVisitQuestionnaires(visit) {
+        const questionnaires = normalizeQuestionnaires(visit.questionnaires);
+
+        return `
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Questionnaires:</label>
+                <div class="visit-detail-value">
+                    <ul class="vitals-list">
+                        ${QUESTIONNAIRES.filter(({ key }) => questionnaires[key]).map(questionnaire => {
+                            const { score } = questionnaires[questionnaire.key];
+                            const band = interpretQuestionnaire(questionnaire.key, score);
+                            return `
+                                <li class="vital-item questionnaire-${band ? band.level : 'incomplete'}" title="${questionnaire.title}">
+                                    <span class="vital-label">${questionnaire.label}</span>
+                                    <span class="vital-value">
+                                        ${band ? `${score} / ${questionnaireRange(questionnaire).max} · ${band.label}` : 'Incomplete'}
+                                    </span>
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the GOLD and GINA classification of a visit with the inputs it was computed from
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the classification
+     */
+    renderVisitClassification(visit) {
+        const { gold, gina, worsened = [] } = visit.classification || {};
+        const exacerbations = normalizeExacerbations(visit.exacerbations) || {};
+        const valueOf = value => (value === null || value === undefined ? '—' : value);
+        const grade = gold && GOLD_GRADES.find(entry => entry.grade === gold.grade);
+        const control = gina && ASTHMA_CONTROL_LEVELS.find(level => level.key === gina.control);
+        const step = gina && GINA_STEPS.find(entry => entry.step === gina.step);
+
+        return `
+            <div class="visit-detail-section visit-classification">
+                <label class="visit-detail-label">Classification:</label>
+                <div class="visit-detail-value">
+                    <ul class="vitals-list">
+                        ${gold ? `
+                            <li class="vital-item">
+                                <span class="vital-label">GOLD</span>
+                                <span class="vital-value">
+                                    ${grade ? `GOLD ${grade.grade} (${grade.label})` : 'Grade not determined'}
+                                    · ${gold.group ? `group ${gold.group}` : 'group not determined'}
+                                </span>
+                            </li>
+                        ` : ''}
+                        ${gina ? `
+                            <li class="vital-item questionnaire-${control ? control.level : 'incomplete'}" title="${step ? step.label : ''}">
+                                <span class="vital-label">GINA</span>
+                                <span class="vital-value">
+                                    ${step ? `Step ${step.step}` : 'Step not determined'}
+                                    · ${control ? control.label : 'control not assessed'}
+                                </span>
+                            </li>
+                        ` : ''}
+                        ${typeof exacerbations.moderate === 'number' || typeof exacerbations.hospitalized === 'number' ? `
+                            <li class="vital-item">
+                                <span class="vital-label">Exacerbations (12 months)</span>
+                                <span class="vital-value">
+                                    ${valueOf(exacerbations.moderate)} moderate · ${valueOf(exacerbations.hospitalized)} hospitalized
+                                </span>
+                            </li>
+                        ` : ''}
+                        ${visit.asthmaStep ? `
+                            <li class="vital-item">
+                                <span class="vital-label">Asthma treatment</span>
+                                <span class="vital-value">GINA step ${visit.asthmaStep}</span>
+                            </li>
+                        ` : ''}
+                    </ul>
+                    ${gold ? `
+                        <p class="classification-inputs">
+                            Inputs: CAT ${valueOf(gold.inputs.cat)}, mMRC ${valueOf(gold.inputs.mmrc)},
+                            FEV1/FVC ${gold.inputs.spirometryPhase ? `${valueOf(gold.inputs.fev1Fvc)} % (${gold.inputs.spirometryPhase}-BD)` : '—'},
+                            FEV1 ${gold.inputs.fev1PercentPredicted === null ? '— % predicted' : `${gold.inputs.fev1PercentPredicted} % predicted`}
+                            ${gold.inputs.spirometryPhase && gold.inputs.fev1PercentPredicted === null && !hasGli2012Reference() ?
+                                '(GLI-2012 reference table not installed)' : ''}
+                        </p>
+                    ` : ''}
+                    ${gina ? `
+                        <p class="classification-inputs">
+                            Inputs: ACT ${valueOf(gina.inputs.act)}, treatment step ${valueOf(gina.inputs.treatmentStep)}
+                        </p>
+                    ` : ''}
+                    ${worsened.map(entry => `<p class="classification-warning">⚠ ${entry.message}</p>`).join('')}
                 </div>
             </div>
         `;
     }
 
     /**
-     * Render visit history section
-     * @returns {string} HTML string for visit history
+     * Render the pulmonary function tests of a visit with their GLI-2012 predictions
+     * @param {Object} visit - Visit data
+     * @returns {string} HTML string for the tests table
      */
-    renderVisitHistory() {
-        if (!this.patient.visits || this.patient.visits.length === 0) {
+    renderVisitPft(visit) {
+        const { subject, rows } = describeVisitPft(this.patient, visit);
+        const formatValue = value => (typeof value === 'number' ? Math.round(value * 100) / 100 : '—');
+        const formatPrediction = prediction => {
+            if (!prediction) {
+                return '<td class="pft-predicted">—</td>';
+            }
             return `
-                <div class="no-visits-message">
-                    <div class="no-visits-icon">📅</div>
-                    <h4>No visits recorded</h4>
-                    <p>This patient has no visit history on record.</p>
-                </div>
+                <td class="pft-predicted ${prediction.belowLln ? 'pft-below-lln' : ''}"
+                    title="Predicted ${prediction.predicted.toFixed(2)}, LLN ${prediction.lln.toFixed(2)}">
+                    ${Math.round(prediction.percentPredicted)}% <span class="pft-zscore">(z ${prediction.zScore.toFixed(1)})</span>
+                </td>
             `;
-        }
-
-        // Sort visits by date (most recent first)
-        const sortedVisits = [...this.patient.visits].sort((a, b) => {
-            const dateA = new Date(a.visitDate);
-            const dateB = new Date(b.visitDate);
-            return dateB - dateA;
-        });
+        };
 
         return `
-            <div class="visits-list">
-                ${sortedVisits.map((visit, index) => this.renderVisitItem(visit, index)).join('')}
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Pulmonary Function Tests:</label>
+                <div class="visit-detail-value">
+                    <table class="pft-table">
+                        <thead>
+                            <tr>
+                                <th></th>
+                                <th>Pre-BD</th>
+                                <th>% pred</th>
+                                <th>Post-BD</th>
+                                <th>% pred</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <th scope="row">${row.label} <span class="pft-unit">(${row.unit})</span></th>
+                                    <td>${formatValue(row.pre)}</td>
+                                    ${formatPrediction(row.prePrediction)}
+                                    <td>${formatValue(row.post)}</td>
+                                    ${formatPrediction(row.postPrediction)}
+                                    <td>${row.change ? `${row.change.percent > 0 ? '+' : ''}${Math.round(row.change.percent)}%` : '—'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <p class="pft-reference">${this.describePftReference(subject)}</p>
+                </div>
             </div>
         `;
     }
 
     /**
-     * Render individual visit item
+     * Render the lab results of a visit by panel, flagging the values outside their reference range
      * @param {Object} visit - Visit data
-     * @param {number} index - Visit index
-     * @returns {string} HTML string for visit item
+     * @returns {string} HTML string for the lab results
      */
-    renderVisitItem(visit, index) {
+    renderVisitLabResults(visit) {
+        const labResults = normalizeLabResults(visit.labResults);
+        const arrows = { low: '↓', high: '↑' };
+
         return `
-            <div class="visit-detail-item">
-                <div class="visit-detail-header">
-                    <h4 class="visit-detail-title">
-                        Visit ${index + 1} - ${this.formatDate(visit.visitDate)}
-                    </h4>
-                    <span class="visit-detail-date">${this.getRelativeDate(visit.visitDate)}</span>
-                </div>
-                <div class="visit-detail-content">
-                    <div class="visit-detail-section">
-                        <label class="visit-detail-label">Medications Prescribed:</label>
-                        <div class="visit-detail-value">
-                            ${visit.medications ?
-                `<p class="medication-text">${this.formatText(visit.medications)}</p>` :
-                '<p class="no-data">No medications recorded</p>'
-            }
-                        </div>
-                    </div>
-                    <div class="visit-detail-section">
-                        <label class="visit-detail-label">Observations:</label>
-                        <div class="visit-detail-value">
-                            ${visit.observations ?
-                `<p class="observation-text">${this.formatText(visit.observations)}</p>` :
-                '<p class="no-data">No observations recorded</p>'
-            }
-                        </div>
-                    </div>
-                    ${visit.additionalComments ? `
-                        <div class="visit-detail-section">
-                            <label class="visit-detail-label">Additional Comments:</label>
-                            <div class="visit-detail-value">
-                                <p class="comment-text">${this.formatText(visit.additionalComments)}</p>
-                            </div>
-                        </div>
-                    ` : ''}
+            <div class="visit-detail-section">
+                <label class="visit-detail-label">Lab Results:</label>
+                <div class="visit-detail-value">
+                    ${LAB_PANELS.filter(panel => LAB_TESTS.some(test => test.panel === panel.key && labResults[test.key] !== undefined)).map(panel => `
+                        <h5 class="labs-panel-title">${panel.shortLabel}</h5>
+                        <ul class="vitals-list">
+                            ${LAB_TESTS.filter(test => test.panel === panel.key && labResults[test.key] !== undefined).map(test => {
+                                const range = labReferenceRange(test.key, this.patient.gender);
+                                const flag = flagLabResult(test.key, labResults[test.key], this.patient.gender);
+                                return `
+                                    <li class="vital-item vital-${flag ? 'abnormal' : 'normal'}" title="Normes : ${sanitizeHtml(formatLabRange(range, test.unit))}">
+                                        <span class="vital-label">${test.label}</span>
+                                        <span class="vital-value">${labResults[test.key]}${test.unit ? ` ${test.unit}` : ''} ${flag ? arrows[flag] : ''}</span>
+                                    </li>
+                                `;
+                            }).join('')}
+                        </ul>
+                    `).join('')}
                 </div>
             </div>
         `;
     }
 
+    /**
+     * Describe the reference used for percent-predicted values, or why they are missing
+     * @param {Object} subject - { sex, age, heightCm } at the time of the visit
+     * @returns {string} Reference note
+     */
+    describePftReference(subject) {
+        if (!hasGli2012Reference()) {
+            return 'Percent predicted unavailable: the GLI-2012 reference tables are not installed.';
+        }
+        if (!subject.heightCm) {
+            return 'Percent predicted unavailable: no height recorded on the visit.';
+        }
+        if (subject.age === null) {
+            return 'Percent predicted unavailable: date of birth unknown.';
+        }
+        if (!subject.sex) {
+            return 'Percent predicted unavailable: GLI-2012 equations are sex-specific.';
+        }
+        return `GLI-2012, ${subject.sex}, ${subject.age.toFixed(1)} years, ${sanitizeHtml(String(subject.heightCm))} cm. ` +
+            'Values below the lower limit of normal (z < -1.645) are highlighted.';
+    }
+
     /**
      * Render not found message
      * @returns {string} HTML string for not found message
@@ -295,6 +1654,10 @@ class PatientDetailView {
             }, 100);
         }
 
+        if (this.attachmentManager && currentUserCan('clinical:read')) {
+            this.loadAttachments();
+        }
+
         // Set up keyboard shortcuts
         this.setupKeyboardShortcuts();
     }
@@ -345,6 +1708,12 @@ class PatientDetailView {
     handleEdit() {
         try {
             log(`Edit patient requested: ${this.patient.id}`, 'info');
+
+            if (!currentUserCan('patients:write')) {
+                this.showToast(ERROR_MESSAGES.auth.forbidden, 'error');
+                return;
+            }
+
             this.toggleEditMode(true);
         } catch (error) {
             log(`Failed to edit patient: ${error.message}`, 'error');
@@ -360,6 +1729,11 @@ class PatientDetailView {
             const patientName = this.patient.getFullName();
             log(`Delete patient requested: ${this.patient.id}`, 'info');
 
+            if (!currentUserCan('patients:delete')) {
+                this.showToast(ERROR_MESSAGES.auth.forbidden, 'error');
+                return;
+            }
+
             // Show confirmation dialog
             const confirmed = await this.showDeleteConfirmationDialog(patientName);
             if (!confirmed) {
@@ -446,14 +1820,19 @@ class PatientDetailView {
                 this.originalPatientData = deepClone(this.patient.toJSON());
                 log('Entering edit mode', 'info');
             } else {
-                // Clear original data
+                // Clear original data; the history may have gained a revision
                 this.originalPatientData = null;
+                this.history = null;
                 log('Exiting edit mode', 'info');
             }
 
             // Re-render the view
             this.rerender();
 
+            if (!editMode && this.isHistoryOpen) {
+                this.loadHistory();
+            }
+
             // Initialize form if entering edit mode
             if (editMode && this.formManager) {
                 const formId = `edit-patient-${this.patient.id}`;
@@ -492,11 +1871,27 @@ class PatientDetailView {
             // Get form data
             const formData = this.formManager.getFormData(formId);
 
+            // Prescriptions matching an allergy or a contraindication must be acknowledged
+            if (!(await this.formManager.acknowledgePrescribingAlerts({ ...formData, id: this.patient.id }, this.patient))) {
+                return;
+            }
+
             // Show loading state
             this.showLoadingState('Saving changes...');
 
-            // Update patient via patient manager
-            const result = await this.patientManager.updatePatient(this.patient.id, formData);
+            // Update patient via patient manager, based on the revision being edited
+            const result = await this.patientManager.updatePatient(this.patient.id, {
+                ...formData,
+                revision: this.patient.revision
+            });
+
+            if (result.conflict) {
+                // Someone else saved this record meanwhile - let the user merge
+                this.hideLoadingState();
+                this.showToast('This record was changed by another user. Please review the differences.', 'warning');
+                this.showMergeDialog(formData, result.currentPatient);
+                return;
+            }
 
             if (result.success) {
                 // Update local patient data
@@ -524,6 +1919,508 @@ class PatientDetailView {
         }
     }
 
+    /**
+     * Show a side-by-side dialog to merge local edits with the stored copy
+     * @param {Object} localData - Data from the edit form
+     * @param {Object} serverData - Current stored patient data
+     */
+    showMergeDialog(localData, serverData) {
+        const modalManager = window.app && window.app.components.modalManager;
+        if (!modalManager) {
+            this.showToast('Unable to display the merge dialog. Reload the patient before saving again.', 'error');
+            return;
+        }
+
+        const modalId = 'patient-merge-conflict';
+        const conflicts = this.getConflictingFields(localData, serverData);
+
+        const rows = conflicts.map(({ key, label }) => `
+            <tr class="merge-row">
+                <th scope="row" class="merge-field">${label}</th>
+                <td class="merge-value">
+                    <label>
+                        <input type="radio" name="merge-${key}" value="local" checked>
+                        ${this.formatMergeValue(key, localData[key])}
+                    </label>
+                </td>
+                <td class="merge-value">
+                    <label>
+                        <input type="radio" name="merge-${key}" value="server">
+                        ${this.formatMergeValue(key, serverData[key])}
+                    </label>
+                </td>
+            </tr>
+        `).join('');
+
+        const modalHtml = `
+            <div class="modal-backdrop">
+                <div class="modal-dialog merge-conflict-modal">
+                    <div class="modal-header">
+                        <h3 class="modal-title">⚠️ Conflicting Changes</h3>
+                    </div>
+                    <div class="modal-body">
+                        <p class="modal-message">
+                            This patient record was modified on ${this.formatDateTime(serverData.updatedAt)}
+                            while you were editing it. Choose which value to keep for each field.
+                        </p>
+                        ${conflicts.length > 0 ? `
+                            <table class="merge-table">
+                                <thead>
+                                    <tr>
+                                        <th>Field</th>
+                                        <th>Your changes</th>
+                                        <th>Saved version</th>
+                                    </tr>
+                                </thead>
+                                <tbody>${rows}</tbody>
+                            </table>
+                        ` : '<p class="no-data">Both versions contain the same values.</p>'}
+                    </div>
+                    <div class="modal-actions">
+                        <button type="button" class="btn btn-primary" data-action="save-merged">
+                            Save Merged Version
+                        </button>
+                        <button type="button" class="btn btn-secondary" data-action="use-server">
+                            Discard My Changes
+                        </button>
+                        <button type="button" class="btn btn-secondary" data-action="cancel">
+                            Keep Editing
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        modalManager.showModal(modalId, modalHtml, {
+            closable: true,
+            onAction: (action) => {
+                const modal = modalManager.activeModals.get(modalId);
+                const merged = { ...serverData };
+
+                if (modal) {
+                    conflicts.forEach(({ key }) => {
+                        const choice = modal.element.querySelector(`input[name="merge-${key}"]:checked`);
+                        if (!choice || choice.value === 'local') {
+                            merged[key] = localData[key];
+                        }
+                    });
+                }
+
+                modalManager.closeModal(modalId);
+
+                if (action === 'save-merged') {
+                    this.saveMergedPatient(merged);
+                } else if (action === 'use-server') {
+                    this.patient = new Patient(serverData);
+                    this.toggleEditMode(false);
+                    this.showToast('Loaded the saved version of this patient', 'info');
+                } else if (action === 'cancel') {
+                    // The user has seen the saved version: the next save is based on it
+                    this.patient.revision = serverData.revision;
+                }
+            }
+        });
+    }
+
+    /**
+     * Save the result of a merge, based on the stored revision it was merged with
+     * @param {Object} mergedData - Merged patient data including revision
+     */
+    async saveMergedPatient(mergedData) {
+        try {
+            this.showLoadingState('Saving changes...');
+
+            const result = await this.patientManager.updatePatient(this.patient.id, mergedData);
+
+            if (result.conflict) {
+                this.hideLoadingState();
+                this.showToast('The record changed again. Please review the differences.', 'warning');
+                this.showMergeDialog(mergedData, result.currentPatient);
+                return;
+            }
+
+            if (!result.success) {
+                throw new Error(result.message || 'Failed to update patient');
+            }
+
+            this.patient = new Patient(result.patient);
+            this.formManager.markFormAsSaved(`edit-patient-${this.patient.id}`);
+            this.toggleEditMode(false);
+            this.showToast('Merged changes saved successfully', 'success');
+
+            log(`Merged changes saved for patient ${this.patient.getFullName()}`, 'info');
+
+        } catch (error) {
+            log(`Failed to save merged patient: ${error.message}`, 'error');
+            this.showToast('Failed to save merged changes. Please try again.', 'error');
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    /**
+     * List the fields whose local and stored values differ
+     * @param {Object} localData - Data from the edit form
+     * @param {Object} serverData - Current stored patient data
+     * @returns {Array<Object>} Conflicting fields with key and label
+     */
+    getConflictingFields(localData, serverData) {
+        const fields = [
+            { key: 'firstName', label: 'First Name' },
+            { key: 'lastName', label: 'Last Name' },
+            { key: 'dateOfBirth', label: 'Date of Birth' },
+            { key: 'gender', label: 'Gender' },
+            { key: 'placeOfResidence', label: 'Place of Residence' },
+            { key: 'atcdsMedicaux', label: 'ATCDs Médicaux' },
+            { key: 'atcdsChirurgicaux', label: 'ATCDs Chirurgicaux' },
+            { key: 'tobacco', label: 'Tabagisme' },
+            { key: 'respiratoryDiagnoses', label: 'Diagnostics respiratoires' },
+            { key: 'problems', label: 'Liste des problèmes' },
+            { key: 'allergies', label: 'Allergies' },
+            { key: 'sleepStudies', label: 'Études du sommeil' },
+            { key: 'cpapLog', label: 'Suivi PPC' },
+            { key: 'tbEpisodes', label: 'Tuberculose' },
+            { key: 'homeTherapies', label: 'OLD / VNI' },
+            { key: 'visits', label: 'Visits' }
+        ];
+
+        // Visit timestamps and classifications are not part of the form and must not count as changes
+        const comparable = (key, value) => key === 'visits'
+            ? (value || []).map(({ createdAt, updatedAt, classification, ...visit }) => visit)
+            : value ?? '';
+
+        return fields.filter(({ key }) =>
+            key in localData && !isEqual(comparable(key, localData[key]), comparable(key, serverData[key]))
+        );
+    }
+
+    /**
+     * Format a field value for the merge dialog
+     * @param {string} key - Field name
+     * @param {*} value - Field value
+     * @returns {string} HTML string for the value
+     */
+    formatMergeValue(key, value) {
+        if (value === undefined || value === null || value === '') {
+            return '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'visits') {
+            const visits = Array.isArray(value) ? value : [];
+            return `${visits.length} visit${visits.length !== 1 ? 's' : ''}` +
+                visits.map(visit => `<br>${sanitizeHtml(this.formatDate(visit.visitDate))}`).join('');
+        }
+
+        if (key === 'tobacco') {
+            return sanitizeHtml(describeTobacco(value)) || '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'problems') {
+            const problems = Array.isArray(value) ? value : [];
+            return problems.length > 0 ?
+                problems.map(problem => `${sanitizeHtml(formatIcd10(problem.code))}${problem.status === 'resolved' ? ' (résolu)' : ''}`).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'allergies') {
+            const allergies = Array.isArray(value) ? value : [];
+            return allergies.length > 0 ?
+                allergies.map(allergy => sanitizeHtml(describeAllergy(allergy))).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'sleepStudies') {
+            const studies = Array.isArray(value) ? value : [];
+            return studies.length > 0 ?
+                studies.map(study => `${sanitizeHtml(this.formatDate(study.date))} ${sanitizeHtml(describeSleepStudy(study))}`).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'cpapLog') {
+            const entries = Array.isArray(value) ? value : [];
+            return entries.length > 0 ?
+                entries.map(entry => `${sanitizeHtml(this.formatDate(entry.date))}${typeof entry.usageHours === 'number' ? ` · ${entry.usageHours} h/nuit` : ''}`).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'homeTherapies') {
+            const therapies = Array.isArray(value) ? value : [];
+            return therapies.length > 0 ?
+                therapies.map(therapy => sanitizeHtml(describeHomeTherapy(therapy))).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'tbEpisodes') {
+            const episodes = Array.isArray(value) ? value : [];
+            return episodes.length > 0 ?
+                episodes.map(episode => `${sanitizeHtml(describeTbEpisode(episode))} · ${(episode.followUps || []).length} suivi(s)`).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'treatments') {
+            const treatments = Array.isArray(value) ? value : [];
+            return treatments.length > 0 ?
+                treatments.map(treatment => sanitizeHtml(describeTreatment(treatment))).join('<br>') :
+                '<span class="no-data">Empty</span>';
+        }
+
+        if (key === 'respiratoryDiagnoses') {
+            const diagnoses = Array.isArray(value) ? value : [];
+            return sanitizeHtml(diagnoses.map(diagnosis => (getRespiratoryDiagnosis(diagnosis) || { shortLabel: diagnosis }).shortLabel).join(', ')) ||
+                '<span class="no-data">Empty</span>';
+        }
+
+        return this.formatText(sanitizeHtml(String(value)));
+    }
+
+    /**
+     * Render the revision history panel
+     * @returns {string} HTML string for the panel content
+     */
+    renderHistoryPanel() {
+        if (!this.isHistoryOpen) {
+            return '';
+        }
+
+        if (!this.history) {
+            return `
+                <div class="text-center">
+                    <div class="loading-spinner"></div>
+                    <p>Loading revisions...</p>
+                </div>
+            `;
+        }
+
+        if (this.history.length < 2) {
+            return '<p class="no-data">No earlier versions of this record have been saved yet.</p>';
+        }
+
+        const options = selected => this.history.slice().reverse().map(entry => `
+            <option value="${entry.revision}" ${entry.revision === selected ? 'selected' : ''}>
+                Revision ${entry.revision} - ${this.formatDateTime(entry.savedAt)}${entry.savedBy ? ` - ${sanitizeHtml(entry.savedBy)}` : ''}
+            </option>
+        `).join('');
+
+        return `
+            <div class="history-selectors">
+                <div class="form-group">
+                    <label for="history-from" class="form-label">Compare</label>
+                    <select id="history-from" class="form-control" onchange="patientDetailView.selectHistoryRevisions()">
+                        ${options(this.historyFrom)}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="history-to" class="form-label">with</label>
+                    <select id="history-to" class="form-control" onchange="patientDetailView.selectHistoryRevisions()">
+                        ${options(this.historyTo)}
+                    </select>
+                </div>
+            </div>
+            ${this.renderHistoryDiff()}
+        `;
+    }
+
+    /**
+     * Render the differences between the two selected revisions
+     * Each value comes with a button restoring it as the current value.
+     * @returns {string} HTML string for the diff table
+     */
+    renderHistoryDiff() {
+        const from = this.history.find(entry => entry.revision === this.historyFrom);
+        const to = this.history.find(entry => entry.revision === this.historyTo);
+        if (!from || !to) {
+            return '';
+        }
+
+        const changes = diffPatientRecords(from.data, to.data);
+        if (changes.length === 0) {
+            return '<p class="no-data">These two revisions contain the same values.</p>';
+        }
+
+        const canRestoreVisits = currentUserCan('clinical:write');
+        const patientRows = changes
+            .filter(change => !change.field.startsWith('visits['))
+            .map(change => `
+                <tr>
+                    <th scope="row">${sanitizeHtml(change.field)}</th>
+                    ${[from, to].map(entry => `
+                        <td class="history-value">
+                            ${this.formatMergeValue(change.field, entry.data[change.field])}
+                            ${this.canRestoreField(change.field) ? `
+                                <button class="btn btn-secondary btn-sm" onclick="patientDetailView.handleRestoreField(${entry.revision}, '${change.field}')">
+                                    Restore
+                                </button>
+                            ` : ''}
+                        </td>
+                    `).join('')}
+                </tr>
+            `);
+
+        // Group visit changes under the visit they belong to
+        const visitIds = [...new Set(changes
+            .filter(change => change.field.startsWith('visits['))
+            .map(change => change.field.slice('visits['.length, change.field.indexOf(']'))))];
+
+        const visitRows = visitIds.map(visitId => {
+            const fromVisit = (from.data.visits || []).find(visit => visit.id === visitId);
+            const toVisit = (to.data.visits || []).find(visit => visit.id === visitId);
+            const visitDate = (toVisit || fromVisit).visitDate;
+            const fieldChanges = changes.filter(change => change.field.startsWith(`visits[${visitId}].`));
+
+            return `
+                <tr class="history-visit-row">
+                    <th scope="row">Visit of ${this.formatDate(visitDate)}</th>
+                    ${[[from, fromVisit], [to, toVisit]].map(([entry, visit]) => `
+                        <td class="history-value">
+                            ${visit ? '' : '<span class="no-data">Not present</span>'}
+                            ${visit && canRestoreVisits ? `
+                                <button class="btn btn-secondary btn-sm" onclick="patientDetailView.handleRestoreVisit(${entry.revision}, '${visitId}')">
+                                    Restore visit
+                                </button>
+                            ` : ''}
+                        </td>
+                    `).join('')}
+                </tr>
+                ${fieldChanges.map(change => {
+                    const field = change.field.slice(`visits[${visitId}].`.length);
+                    return `
+                        <tr>
+                            <th scope="row" class="history-visit-field">${sanitizeHtml(field)}</th>
+                            <td class="history-value">${this.formatMergeValue(field, fromVisit && fromVisit[field])}</td>
+                            <td class="history-value">${this.formatMergeValue(field, toVisit && toVisit[field])}</td>
+                        </tr>
+                    `;
+                }).join('')}
+            `;
+        });
+
+        return `
+            <table class="merge-table history-table">
+                <thead>
+                    <tr>
+                        <th>Field</th>
+                        <th>Revision ${from.revision}</th>
+                        <th>Revision ${to.revision}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${patientRows.join('')}
+                    ${visitRows.join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Check whether the current user may restore a patient field
+     * @param {string} field - Patient field
+     * @returns {boolean} True if a restore button should be offered
+     */
+    canRestoreField(field) {
+        if (!currentUserCan('patients:write') || ['id', 'createdAt'].includes(field)) {
+            return false;
+        }
+        return !CLINICAL_FIELDS.patient.includes(field) || currentUserCan('clinical:write');
+    }
+
+    /**
+     * Show or hide the revision history panel, loading it on first opening
+     */
+    async toggleHistory() {
+        this.isHistoryOpen = !this.isHistoryOpen;
+        this.rerender();
+
+        if (this.isHistoryOpen && !this.history) {
+            await this.loadHistory();
+        }
+    }
+
+    /**
+     * Load the saved revisions and preselect the two most recent ones
+     */
+    async loadHistory() {
+        try {
+            this.history = await this.patientManager.getPatientHistory(this.patient.id);
+
+            const latest = this.history[this.history.length - 1];
+            const previous = this.history[this.history.length - 2];
+            this.historyTo = latest ? latest.revision : null;
+            this.historyFrom = previous ? previous.revision : this.historyTo;
+
+        } catch (error) {
+            log(`Failed to load patient history: ${error.message}`, 'error');
+            this.history = [];
+            this.showToast('Failed to load the revision history', 'error');
+        }
+
+        this.rerender();
+    }
+
+    /**
+     * Apply the revisions chosen in the history selectors
+     */
+    selectHistoryRevisions() {
+        const fromSelect = document.getElementById('history-from');
+        const toSelect = document.getElementById('history-to');
+
+        this.historyFrom = fromSelect ? Number(fromSelect.value) : this.historyFrom;
+        this.historyTo = toSelect ? Number(toSelect.value) : this.historyTo;
+        this.rerender();
+    }
+
+    /**
+     * Restore a patient field from a past revision
+     * @param {number} revision - Revision holding the value
+     * @param {string} field - Field to restore
+     */
+    async handleRestoreField(revision, field) {
+        if (!confirm(`Restore "${field}" as it was in revision ${revision}?`)) {
+            return;
+        }
+
+        await this.applyRestore(() =>
+            this.patientManager.restorePatientField(this.patient.id, revision, field, this.patient.revision)
+        );
+    }
+
+    /**
+     * Restore a whole visit from a past revision
+     * @param {number} revision - Revision holding the visit
+     * @param {string} visitId - Visit to restore
+     */
+    async handleRestoreVisit(revision, visitId) {
+        if (!confirm(`Restore this visit as it was in revision ${revision}?`)) {
+            return;
+        }
+
+        await this.applyRestore(() =>
+            this.patientManager.restoreVisit(this.patient.id, revision, visitId, this.patient.revision)
+        );
+    }
+
+    /**
+     * Run a restore and refresh the view and its history
+     * @param {Function} restore - Function performing the restore
+     */
+    async applyRestore(restore) {
+        try {
+            const result = await restore();
+
+            if (result.conflict) {
+                this.showToast('This record was changed by another user. Reload it before restoring.', 'warning');
+                return;
+            }
+
+            this.patient = new Patient(result.patient);
+            this.showToast('Previous version restored', 'success');
+            await this.loadHistory();
+
+        } catch (error) {
+            log(`Failed to restore revision: ${error.message}`, 'error');
+            this.showToast('Failed to restore the previous version', 'error');
+        }
+    }
+
     /**
      * Handle cancel edit button click
      */
@@ -757,7 +2654,7 @@ class PatientDetailView {
                 // Fallback to basic confirm
                 resolve(confirm(
                     `Are you sure you want to delete the patient record for ${patientName}?\n\n` +
-                    'This action cannot be undone and will permanently remove all patient data including visit history.'
+                    `The record will be moved to the recycle bin and permanently removed after ${TRASH_CONFIG.retentionDays} days.`
                 ));
                 return;
             }
@@ -773,14 +2670,11 @@ class PatientDetailView {
                         <div class="warning-message">
                             <div class="warning-icon">⚠️</div>
                             <div class="warning-text">
-                                <p><strong>This action cannot be undone!</strong></p>
-                                <p>This will permanently remove:</p>
-                                <ul>
-                                    <li>All patient information</li>
-                                    <li>Complete visit history</li>
-                                    <li>All medications and observations</li>
-                                    <li>Any additional comments</li>
-                                </ul>
+                                <p><strong>The record will be moved to the recycle bin.</strong></p>
+                                <p>
+                                    It can be restored from the Corbeille during ${TRASH_CONFIG.retentionDays} days,
+                                    after which the patient information and complete visit history are permanently removed.
+                                </p>
                             </div>
                         </div>
                     </div>
@@ -850,7 +2744,7 @@ class PatientDetailView {
                         <div class="success-text">
                             <p><strong>Patient record has been successfully deleted:</strong></p>
                             <p class="patient-name-highlight">${patientName}</p>
-                            <p>All associated data has been permanently removed from the system.</p>
+                            <p>It can be restored from the Corbeille for ${TRASH_CONFIG.retentionDays} days.</p>
                         </div>
                     </div>
                 </div>
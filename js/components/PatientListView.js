@@ -225,12 +225,28 @@ class PatientListView {
             new Date(patient.lastVisitDate).toLocaleDateString() :
             'No visits recorded';
         const createdDate = new Date(patient.createdAt).toLocaleDateString();
+        const critical = currentUserCan('clinical:read') ? (patient.criticalVitals || []) : [];
+        const classification = currentUserCan('clinical:read') ? patient.classification : null;
+        const worsened = (classification && classification.worsened) || [];
 
         return `
             <div class="patient-item" data-patient-id="${patient.id}" data-index="${index}">
                 <div class="patient-item-content">
                     <div class="patient-main-info">
-                        <h4 class="patient-name">${patient.fullName}</h4>
+                        <h4 class="patient-name">
+                            ${patient.fullName}
+                            ${critical.length > 0 ? `
+                                <span class="vital-critical-badge" title="Critical at the last visit: ${critical.map(key => getVitalSign(key).label).join(', ')}">
+                                    ⚠ Critical
+                                </span>
+                            ` : ''}
+                            ${describeClassification(classification).map(label => `
+                                <span class="classification-badge ${worsened.length > 0 ? 'classification-worsened' : ''}"
+                                      title="${worsened.length > 0 ? worsened.map(entry => entry.message).join(', ') : 'Classification at the last visit'}">
+                                    ${label}${worsened.length > 0 ? ' ↑' : ''}
+                                </span>
+                            `).join('')}
+                        </h4>
                         <div class="patient-meta">
                             <span class="meta-item">
                                 <strong>Age:</strong> ${age}
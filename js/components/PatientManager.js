@@ -8,17 +8,20 @@ class PatientManager {
         this.dataStorage = dataStorageManager;
         this.isInitialized = false;
         this.errorHandler = null;
+        this.auditTrail = null;
     }
 
     /**
      * Initialize the patient manager
      * @param {DataStorageManager} dataStorageManager - Data storage instance
      * @param {ErrorHandler} errorHandler - Error handler instance
+     * @param {AuditTrail} auditTrail - Audit trail receiving access and change events
      */
-    async initialize(dataStorageManager, errorHandler = null) {
+    async initialize(dataStorageManager, errorHandler = null, auditTrail = null) {
         try {
             this.dataStorage = dataStorageManager;
             this.errorHandler = errorHandler;
+            this.auditTrail = auditTrail;
 
             // Ensure data storage is initialized
             if (!this.dataStorage.isInitialized) {
@@ -52,11 +55,20 @@ class PatientManager {
 
             log('Creating new patient record...', 'info');
 
+            if (!currentUserCan('patients:write')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
             // Validate input data
             if (!patientData || typeof patientData !== 'object') {
                 throw new Error('Invalid patient data provided');
             }
 
+            // Roles without clinical access cannot fill clinical fields
+            if (!currentUserCan('clinical:write')) {
+                patientData = mergeRestrictedPatient(null, patientData);
+            }
+
             // Create Patient instance with validation
             const patient = new Patient(patientData);
 
@@ -70,6 +82,9 @@ class PatientManager {
             // Sanitize the data
             patient.sanitize();
 
+            // Classify the visits (GOLD, GINA) from their inputs
+            const classificationWarnings = this.classifyPatientVisits(patient);
+
             // Generate unique ID if not provided
             if (!patient.id) {
                 patient.id = generateId();
@@ -86,12 +101,20 @@ class PatientManager {
                 throw new Error(saveResult.message || 'Failed to save patient to storage');
             }
 
+            patient.revision = saveResult.revision || patient.revision;
+
+            this.recordAudit(AUDIT_ACTIONS.patientCreate, {
+                patientId: patient.id,
+                changes: diffPatientRecords(null, patient.toJSON())
+            });
+
             log(`Patient ${patient.getFullName()} created successfully with ID: ${patient.id}`, 'info');
 
             return {
                 success: true,
                 patientId: patient.id,
                 patient: patient.toJSON(),
+                classificationWarnings,
                 message: SUCCESS_MESSAGES.patient.created
             };
 
@@ -130,6 +153,8 @@ class PatientManager {
                 return null;
             }
 
+            this.recordAudit(AUDIT_ACTIONS.patientView, { patientId });
+
             log(`Patient ${patient.getFullName()} retrieved successfully`, 'info');
             return patient;
 
@@ -147,8 +172,10 @@ class PatientManager {
     /**
      * Update an existing patient record
      * @param {string} patientId - ID of patient to update
-     * @param {Object} patientData - Updated patient data
-     * @returns {Promise<Object>} Update result
+     * @param {Object} patientData - Updated patient data; include the revision the edit
+     *                               was based on to have concurrent changes detected
+     * @returns {Promise<Object>} Update result, with conflict and currentPatient set
+     *                            when the record changed since that revision
      */
     async updatePatient(patientId, patientData) {
         try {
@@ -166,12 +193,21 @@ class PatientManager {
 
             log(`Updating patient with ID: ${patientId}`, 'info');
 
+            if (!currentUserCan('patients:write')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
             // Load existing patient
             const existingPatient = await this.dataStorage.loadPatient(patientId);
             if (!existingPatient) {
                 throw new Error('Patient not found');
             }
 
+            // Keep stored clinical values when the user may not edit them
+            if (!currentUserCan('clinical:write')) {
+                patientData = mergeRestrictedPatient(existingPatient.toJSON(), patientData);
+            }
+
             // Merge with existing data
             const updatedData = {
                 ...existingPatient.toJSON(),
@@ -194,19 +230,41 @@ class PatientManager {
             // Sanitize the data
             updatedPatient.sanitize();
 
+            // Classify the visits (GOLD, GINA) and warn when the latest one got worse
+            const classificationWarnings = this.classifyPatientVisits(updatedPatient, existingPatient);
+
             // Save to storage
             const saveResult = await this.dataStorage.savePatient(updatedPatient.toJSON());
 
+            if (saveResult.conflict) {
+                log(`Update conflict on patient ${patientId}`, 'info');
+                return {
+                    success: false,
+                    conflict: true,
+                    patientId: patientId,
+                    currentPatient: saveResult.currentPatient,
+                    message: saveResult.message
+                };
+            }
+
             if (!saveResult.success) {
                 throw new Error(saveResult.message || 'Failed to save updated patient to storage');
             }
 
+            updatedPatient.revision = saveResult.revision || updatedPatient.revision;
+
+            this.recordAudit(AUDIT_ACTIONS.patientUpdate, {
+                patientId,
+                changes: diffPatientRecords(existingPatient.toJSON(), updatedPatient.toJSON())
+            });
+
             log(`Patient ${updatedPatient.getFullName()} updated successfully`, 'info');
 
             return {
                 success: true,
                 patientId: updatedPatient.id,
                 patient: updatedPatient.toJSON(),
+                classificationWarnings,
                 message: SUCCESS_MESSAGES.patient.updated
             };
 
@@ -238,6 +296,10 @@ class PatientManager {
 
             log(`Deleting patient with ID: ${patientId}`, 'info');
 
+            if (!currentUserCan('patients:delete')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
             // Check if patient exists
             const existingPatient = await this.dataStorage.loadPatient(patientId);
             if (!existingPatient) {
@@ -253,6 +315,11 @@ class PatientManager {
                 throw new Error(deleteResult.message || 'Failed to delete patient from storage');
             }
 
+            this.recordAudit(AUDIT_ACTIONS.patientDelete, {
+                patientId,
+                changes: diffPatientRecords(existingPatient.toJSON(), null)
+            });
+
             log(`Patient ${patientName} deleted successfully`, 'info');
 
             return {
@@ -272,6 +339,236 @@ class PatientManager {
         }
     }
 
+    /**
+     * List the patients in the recycle bin
+     * @returns {Promise<Array>} Entries ({ patient, deletedAt, deletedBy, purgeAt })
+     */
+    async getDeletedPatients() {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('patients:delete')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            const entries = await this.dataStorage.getTrash();
+            if (!currentUserCan('clinical:read')) {
+                return entries.map(entry => ({ ...entry, patient: redactPatient(entry.patient) }));
+            }
+            return entries;
+
+        } catch (error) {
+            log(`Failed to list deleted patients: ${error.message}`, 'error');
+            throw new Error(`Failed to list deleted patients: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore a patient from the recycle bin
+     * @param {string} patientId - ID of patient to restore
+     * @returns {Promise<Object>} Restore result
+     */
+    async restoreDeletedPatient(patientId) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('patients:delete')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            const result = await this.dataStorage.restorePatient(patientId);
+
+            this.recordAudit(AUDIT_ACTIONS.patientRestore, {
+                patientId,
+                changes: diffPatientRecords(null, result.patient)
+            });
+
+            return {
+                success: true,
+                patientId: patientId,
+                message: SUCCESS_MESSAGES.patient.restored
+            };
+
+        } catch (error) {
+            log(`Failed to restore patient ${patientId}: ${error.message}`, 'error');
+            throw new Error(`Failed to restore patient: ${error.message}`);
+        }
+    }
+
+    /**
+     * Permanently delete a patient from the recycle bin
+     * @param {string} patientId - ID of patient to purge
+     * @returns {Promise<Object>} Purge result
+     */
+    async purgeDeletedPatient(patientId) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('patients:delete')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            await this.dataStorage.purgePatient(patientId);
+
+            this.recordAudit(AUDIT_ACTIONS.patientPurge, { patientId });
+
+            return {
+                success: true,
+                patientId: patientId,
+                message: SUCCESS_MESSAGES.patient.purged
+            };
+
+        } catch (error) {
+            log(`Failed to purge patient ${patientId}: ${error.message}`, 'error');
+            throw new Error(`Failed to purge patient: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the saved revisions of a patient, oldest first
+     * @param {string} patientId - Patient ID
+     * @returns {Promise<Array>} Revisions ({ revision, savedAt, savedBy, data })
+     */
+    async getPatientHistory(patientId) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!patientId) {
+                throw new Error('Patient ID is required');
+            }
+
+            const revisions = await this.dataStorage.getPatientHistory(patientId);
+
+            // Roles without clinical access only see demographics in past versions
+            if (!currentUserCan('clinical:read')) {
+                return revisions.map(entry => ({ ...entry, data: redactPatient(entry.data) }));
+            }
+            return revisions;
+
+        } catch (error) {
+            log(`Failed to get history for patient ${patientId}: ${error.message}`, 'error');
+            throw new Error(`Failed to get patient history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Restore the value a patient field had in a past revision
+     * @param {string} patientId - Patient ID
+     * @param {number} fromRevision - Revision holding the value to restore
+     * @param {string} field - Top-level patient field (e.g. 'atcdsMedicaux')
+     * @param {number} currentRevision - Revision currently displayed, for conflict detection
+     * @returns {Promise<Object>} Update result (see updatePatient)
+     */
+    async restorePatientField(patientId, fromRevision, field, currentRevision) {
+        if (['id', 'visits', 'createdAt', 'updatedAt', 'revision'].includes(field)) {
+            throw new Error(`Failed to restore field: ${field} cannot be restored on its own`);
+        }
+        if (CLINICAL_FIELDS.patient.includes(field) && !currentUserCan('clinical:write')) {
+            throw new Error(`Failed to restore field: ${ERROR_MESSAGES.auth.forbidden}`);
+        }
+
+        const past = await this.getRevisionData(patientId, fromRevision);
+        log(`Restoring ${field} of patient ${patientId} from revision ${fromRevision}`, 'info');
+
+        return this.updatePatient(patientId, {
+            [field]: past[field] === undefined ? '' : past[field],
+            revision: currentRevision
+        });
+    }
+
+    /**
+     * Restore a whole visit as it was in a past revision (re-adding it if it was removed)
+     * @param {string} patientId - Patient ID
+     * @param {number} fromRevision - Revision holding the visit to restore
+     * @param {string} visitId - Visit ID
+     * @param {number} currentRevision - Revision currently displayed, for conflict detection
+     * @returns {Promise<Object>} Update result (see updatePatient)
+     */
+    async restoreVisit(patientId, fromRevision, visitId, currentRevision) {
+        if (!currentUserCan('clinical:write')) {
+            throw new Error(`Failed to restore visit: ${ERROR_MESSAGES.auth.forbidden}`);
+        }
+
+        const past = await this.getRevisionData(patientId, fromRevision);
+        const pastVisit = (past.visits || []).find(visit => visit.id === visitId);
+        if (!pastVisit) {
+            throw new Error(`Failed to restore visit: visit not found in revision ${fromRevision}`);
+        }
+
+        const current = await this.dataStorage.loadPatient(patientId);
+        if (!current) {
+            throw new Error('Failed to restore visit: Patient not found');
+        }
+
+        log(`Restoring visit ${visitId} of patient ${patientId} from revision ${fromRevision}`, 'info');
+
+        const visits = current.visits.some(visit => visit.id === visitId) ?
+            current.visits.map(visit => (visit.id === visitId ? deepClone(pastVisit) : visit)) :
+            [...current.visits, deepClone(pastVisit)];
+
+        return this.updatePatient(patientId, { visits, revision: currentRevision });
+    }
+
+    /**
+     * Get the patient data saved in a given revision
+     * @param {string} patientId - Patient ID
+     * @param {number} revision - Revision number
+     * @returns {Promise<Object>} Patient data of that revision
+     */
+    async getRevisionData(patientId, revision) {
+        const revisions = await this.dataStorage.getPatientHistory(patientId);
+        const entry = revisions.find(r => r.revision === Number(revision));
+
+        if (!entry) {
+            throw new Error(`Revision ${revision} not found`);
+        }
+        return entry.data;
+    }
+
+    /**
+     * Classify the visits of a patient (GOLD grade and group, GINA step) and store each
+     * result with its inputs on the visit
+     * @param {Patient} patient - Patient about to be saved; its visits are replaced
+     * @param {Patient|null} existingPatient - Stored version, so that a worsening is only reported once
+     * @returns {Array} New worsenings of the latest visit as { measure, from, to, message }
+     */
+    classifyPatientVisits(patient, existingPatient = null) {
+        patient.visits = classifyVisits(patient);
+
+        const latest = patient.getLatestVisit();
+        if (!latest || !latest.classification || !currentUserCan('clinical:read')) {
+            return [];
+        }
+
+        const stored = existingPatient && existingPatient.visits.find(visit => visit.id === latest.id);
+        const reported = (stored && stored.classification && stored.classification.worsened) || [];
+        return latest.classification.worsened.filter(worsening =>
+            !reported.some(entry => isEqual(entry, worsening)));
+    }
+
+    /**
+     * Send an event to the audit trail without delaying or failing the operation
+     * @param {string} action - One of AUDIT_ACTIONS
+     * @param {Object} data - Event data (patientId, changes, details)
+     */
+    recordAudit(action, data) {
+        if (!this.auditTrail) {
+            return;
+        }
+
+        this.auditTrail.record(action, data).catch(error => {
+            log(`Failed to record audit event ${action}: ${error.message}`, 'error');
+        });
+    }
+
     /**
      * Search for patients based on criteria
      * @param {string|Object} searchCriteria - Search term or criteria object
@@ -371,6 +668,229 @@ class PatientManager {
         }
     }
 
+    /**
+     * List the patients whose CPAP compliance is poor, the lowest usage first
+     * @returns {Promise<Array>} Index entries ({ id, fullName, cpapCompliance, ... }) below CPAP_MIN_USAGE_HOURS
+     */
+    async getCpapWorklist() {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('clinical:read')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            return Array.from(this.dataStorage.patientsIndex.values())
+                .filter(patient => patient.cpapCompliance && patient.cpapCompliance.poor)
+                .sort((a, b) => a.cpapCompliance.usageHours - b.cpapCompliance.usageHours ||
+                    a.cpapCompliance.date.localeCompare(b.cpapCompliance.date));
+
+        } catch (error) {
+            log(`Failed to list poor CPAP compliance: ${error.message}`, 'error');
+            throw new Error(`Failed to list poor CPAP compliance: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the TB episodes in progress whose weekly follow-up is overdue, the most overdue first
+     * @param {string} today - Today ('YYYY-MM-DD'), defaults to the current date
+     * @returns {Promise<Array>} Index entries ({ id, fullName, tbFollowUp, ... }) with overdueDays
+     */
+    async getOverdueTbFollowUps(today = formatDateForInput(new Date())) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('clinical:read')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            return Array.from(this.dataStorage.patientsIndex.values())
+                .filter(patient => patient.tbFollowUp && tbOverdueDays(patient.tbFollowUp.nextFollowUpDate, today) > 0)
+                .map(patient => ({ ...patient, overdueDays: tbOverdueDays(patient.tbFollowUp.nextFollowUpDate, today) }))
+                .sort((a, b) => b.overdueDays - a.overdueDays);
+
+        } catch (error) {
+            log(`Failed to list overdue TB follow-ups: ${error.message}`, 'error');
+            throw new Error(`Failed to list overdue TB follow-ups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a daily intake in the DOT calendar of a TB episode
+     * @param {string} patientId - Patient ID
+     * @param {string} episodeId - TB episode ID
+     * @param {string} date - Day of the intake ('YYYY-MM-DD')
+     * @param {string|null} status - 'observed', 'missed', or null to clear the day
+     * @param {number} currentRevision - Revision currently displayed, for conflict detection
+     * @returns {Promise<Object>} Update result (see updatePatient)
+     */
+    async recordTbDose(patientId, episodeId, date, status, currentRevision) {
+        if (!currentUserCan('clinical:write')) {
+            throw new Error(`Failed to record TB dose: ${ERROR_MESSAGES.auth.forbidden}`);
+        }
+
+        const current = await this.dataStorage.loadPatient(patientId);
+        if (!current) {
+            throw new Error('Failed to record TB dose: Patient not found');
+        }
+        if (!(current.tbEpisodes || []).some(episode => episode.id === episodeId)) {
+            throw new Error('Failed to record TB dose: TB episode not found');
+        }
+
+        const tbEpisodes = current.tbEpisodes.map(episode => {
+            if (episode.id !== episodeId) {
+                return episode;
+            }
+            const doses = { ...(episode.doses || {}) };
+            if (status) {
+                doses[date] = status;
+            } else {
+                delete doses[date];
+            }
+            return { ...episode, doses };
+        });
+
+        return this.updatePatient(patientId, { tbEpisodes, revision: currentRevision });
+    }
+
+    /**
+     * Import lab results (see parseLabCsv()) into the visits of a patient: the results of a day go to
+     * the visit of that day, a visit holding only the results is created for the days without one
+     * @param {string} patientId - Patient ID
+     * @param {Array} results - Parsed results [{ date, test, value }]
+     * @param {number} currentRevision - Revision currently displayed, for conflict detection
+     * @returns {Promise<Object>} Update result (see updatePatient) with imported (results) and createdVisits counts
+     */
+    async importLabResults(patientId, results, currentRevision) {
+        if (!currentUserCan('clinical:write')) {
+            throw new Error(`Failed to import lab results: ${ERROR_MESSAGES.auth.forbidden}`);
+        }
+
+        const current = await this.dataStorage.loadPatient(patientId);
+        if (!current) {
+            throw new Error('Failed to import lab results: Patient not found');
+        }
+
+        const patient = new Patient(current);
+        const byDate = groupLabResultsByDate(results);
+        let createdVisits = 0;
+        Object.entries(byDate).forEach(([visitDate, labResults]) => {
+            const visit = patient.visits.find(entry => entry.visitDate === visitDate);
+            if (visit) {
+                visit.labResults = { ...(visit.labResults || {}), ...labResults };
+            } else {
+                patient.addVisit({ visitDate, labResults, treatments: [] });
+                createdVisits++;
+            }
+        });
+
+        const result = await this.updatePatient(patientId, { visits: patient.visits, revision: currentRevision });
+        return { ...result, imported: (results || []).length, createdVisits };
+    }
+
+    /**
+     * List the active oxygen therapy and home ventilation prescriptions, the earliest renewal first
+     * A patient with both an LTOT and an NIV prescription appears once per prescription.
+     * @param {string} today - Today ('YYYY-MM-DD'), defaults to the current date
+     * @returns {Promise<Array>} Index entries ({ id, fullName, ... }) with homeTherapy (see homeTherapySummary()) and daysLeft
+     */
+    async getHomeTherapyRegister(today = formatDateForInput(new Date())) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('clinical:read')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            return Array.from(this.dataStorage.patientsIndex.values())
+                .flatMap(patient => (patient.homeTherapies || []).map(homeTherapy => ({
+                    ...patient,
+                    homeTherapy,
+                    daysLeft: homeTherapyDaysLeft(homeTherapy.renewalDate, today)
+                })))
+                .sort((a, b) => a.homeTherapy.renewalDate.localeCompare(b.homeTherapy.renewalDate) ||
+                    a.fullName.localeCompare(b.fullName));
+
+        } catch (error) {
+            log(`Failed to list home therapies: ${error.message}`, 'error');
+            throw new Error(`Failed to list home therapies: ${error.message}`);
+        }
+    }
+
+    /**
+     * List the prescriptions to renew: lapsed, or lapsing within the notice period
+     * @param {string} today - Today ('YYYY-MM-DD'), defaults to the current date
+     * @param {number} noticeDays - Days of notice before the renewal date
+     * @returns {Promise<Array>} Register entries, see getHomeTherapyRegister()
+     */
+    async getHomeTherapyReminders(today = formatDateForInput(new Date()), noticeDays = HOME_THERAPY_RENEWAL_NOTICE_DAYS) {
+        const register = await this.getHomeTherapyRegister(today);
+        return register.filter(entry => entry.daysLeft <= noticeDays);
+    }
+
+    /**
+     * List appointments with the name of their patient
+     * @param {Object} criteria - Filters (from, to, patientId), see DataStorageManager.getAppointments()
+     * @returns {Promise<Array>} Appointments, each with patient ({ id, fullName, ... } from the index, null once deleted)
+     */
+    async getAppointments(criteria = {}) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('patients:read')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            const appointments = await this.dataStorage.getAppointments(criteria);
+            return appointments.map(appointment => ({
+                ...appointment,
+                patient: this.dataStorage.patientsIndex.get(appointment.patientId) || null
+            }));
+
+        } catch (error) {
+            log(`Failed to list appointments: ${error.message}`, 'error');
+            throw new Error(`Failed to list appointments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Book an appointment, or change the time, status or reason of a booked one
+     * @param {Object} appointmentData - Appointment (with id to update)
+     * @returns {Promise<Object>} Save result with the saved appointment
+     */
+    async saveAppointment(appointmentData) {
+        try {
+            if (!this.isInitialized) {
+                throw new Error('PatientManager not initialized');
+            }
+
+            if (!currentUserCan('patients:write')) {
+                throw new Error(ERROR_MESSAGES.auth.forbidden);
+            }
+
+            const { patient, ...data } = appointmentData || {};
+            const result = await this.dataStorage.saveAppointment(data);
+
+            return {
+                success: true,
+                appointment: result.appointment,
+                message: data.id ? SUCCESS_MESSAGES.appointment.updated : SUCCESS_MESSAGES.appointment.booked
+            };
+
+        } catch (error) {
+            log(`Failed to save appointment: ${error.message}`, 'error');
+            throw new Error(`Failed to save appointment: ${error.message}`);
+        }
+    }
+
     /**
      * Validate patient data without saving
      * @param {Object} patientData - Patient data to validate
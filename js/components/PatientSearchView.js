@@ -9,6 +9,7 @@ class PatientSearchView {
         this.uiRouter = uiRouter;
         this.searchResults = [];
         this.currentSearchTerm = '';
+        this.filters = { smokingStatus: '', minPackYears: '', exposure: '', diagnosis: '', diagnosisStatus: '' };
         this.isSearching = false;
 
         // Bind methods
@@ -52,6 +53,7 @@ class PatientSearchView {
                                     Clear
                                 </button>
                             </div>
+                            ${currentUserCan('clinical:read') ? this.renderFilters() : ''}
                         </form>
                     </div>
                 </div>
@@ -64,6 +66,89 @@ class PatientSearchView {
         `;
     }
 
+    /**
+     * Render the smoking history and diagnosis filters (clinical data, hidden from roles without clinical:read)
+     * @returns {string} HTML string for the filters
+     */
+    renderFilters() {
+        return `
+            <div class="search-filters" id="search-filters">
+                <div class="form-group">
+                    <label for="filter-smoking-status" class="form-label">Smoking status</label>
+                    <select id="filter-smoking-status" class="form-control" data-filter="smokingStatus">
+                        <option value="">Any</option>
+                        ${SMOKING_STATUSES.map(({ key, label }) => `
+                            <option value="${key}" ${this.filters.smokingStatus === key ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="filter-min-pack-years" class="form-label">At least (pack-years)</label>
+                    <input type="number" id="filter-min-pack-years" class="form-control" data-filter="minPackYears"
+                           min="0" step="1" value="${this.filters.minPackYears}">
+                </div>
+                <div class="form-group">
+                    <label for="filter-exposure" class="form-label">Exposure</label>
+                    <select id="filter-exposure" class="form-control" data-filter="exposure">
+                        <option value="">Any</option>
+                        ${TOBACCO_EXPOSURES.map(({ key, label }) => `
+                            <option value="${key}" ${this.filters.exposure === key ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="filter-diagnosis" class="form-label">Diagnosis (ICD-10)</label>
+                    <input type="text" id="filter-diagnosis" class="form-control" data-filter="diagnosis"
+                           list="filter-diagnosis-options" placeholder="J45, asthme..." autocomplete="off"
+                           value="${this.filters.diagnosis}">
+                    <datalist id="filter-diagnosis-options"></datalist>
+                </div>
+                <div class="form-group">
+                    <label for="filter-diagnosis-status" class="form-label">Diagnosis status</label>
+                    <select id="filter-diagnosis-status" class="form-control" data-filter="diagnosisStatus">
+                        <option value="">Any</option>
+                        ${PROBLEM_STATUSES.map(({ key, label }) => `
+                            <option value="${key}" ${this.filters.diagnosisStatus === key ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Check whether a filter is set
+     * @returns {boolean} True if at least one filter has a value
+     */
+    hasActiveFilters() {
+        return Object.values(this.filters).some(value => value !== '');
+    }
+
+    /**
+     * Build the search criteria from the search term and the filters
+     * @param {string} searchTerm - Search term
+     * @returns {Object} Criteria for PatientManager.searchPatients()
+     */
+    getSearchCriteria(searchTerm) {
+        const criteria = { searchTerm };
+        if (this.filters.smokingStatus) {
+            criteria.smokingStatus = this.filters.smokingStatus;
+        }
+        if (this.filters.minPackYears !== '') {
+            criteria.packYears = { min: Number(this.filters.minPackYears) };
+        }
+        if (this.filters.exposure) {
+            criteria.exposure = this.filters.exposure;
+        }
+        if (this.filters.diagnosis) {
+            criteria.diagnosis = this.filters.diagnosis;
+        }
+        if (this.filters.diagnosisStatus) {
+            criteria.diagnosisStatus = this.filters.diagnosisStatus;
+        }
+        return criteria;
+    }
+
     /**
      * Render search results
      * @returns {string} HTML string for search results
@@ -80,13 +165,15 @@ class PatientSearchView {
             `;
         }
 
-        if (this.currentSearchTerm && this.searchResults.length === 0) {
+        const hasSearch = this.currentSearchTerm || this.hasActiveFilters();
+
+        if (hasSearch && this.searchResults.length === 0) {
             return `
                 <div class="card">
                     <div class="card-body text-center no-results">
                         <div class="no-results-icon">🔍</div>
                         <h3>No patients found</h3>
-                        <p>No patients match your search for "<strong>${this.currentSearchTerm}</strong>"</p>
+                        <p>No patients match your search${this.currentSearchTerm ? ` for "<strong>${this.currentSearchTerm}</strong>"` : ''}${this.hasActiveFilters() ? ' and filters' : ''}</p>
                         <p class="text-muted">Try searching with a different name or check the spelling.</p>
                         <button class="btn btn-secondary" onclick="document.getElementById('search-input').focus()">
                             Try Another Search
@@ -114,7 +201,7 @@ class PatientSearchView {
             `;
         }
 
-        if (!this.currentSearchTerm) {
+        if (!hasSearch) {
             return `
                 <div class="card">
                     <div class="card-body text-center search-instructions">
@@ -149,6 +236,10 @@ class PatientSearchView {
         const lastVisit = patient.lastVisitDate ?
             new Date(patient.lastVisitDate).toLocaleDateString() :
             'No visits recorded';
+        const smoking = currentUserCan('clinical:read') ? describeTobacco(patient.tobacco) : '';
+        const diagnoses = currentUserCan('clinical:read') ?
+            (patient.problems || []).filter(problem => problem.status === 'active').map(problem => problem.code).join(', ') :
+            '';
 
         return `
             <div class="patient-item" data-patient-id="${patient.id}" onclick="patientSearchView.handlePatientSelect('${patient.id}')">
@@ -180,6 +271,18 @@ class PatientSearchView {
                         <span class="detail-label">Last Visit:</span>
                         <span class="detail-value">${lastVisit}</span>
                     </div>
+                    ${smoking ? `
+                        <div class="patient-detail-row">
+                            <span class="detail-label">Smoking:</span>
+                            <span class="detail-value">${smoking}</span>
+                        </div>
+                    ` : ''}
+                    ${diagnoses ? `
+                        <div class="patient-detail-row">
+                            <span class="detail-label">Diagnoses:</span>
+                            <span class="detail-value">${diagnoses}</span>
+                        </div>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -214,6 +317,8 @@ class PatientSearchView {
                 searchTimeout = setTimeout(() => {
                     if (searchTerm.length >= 2) {
                         this.performSearch(searchTerm);
+                    } else if (searchTerm.length === 0 && this.hasActiveFilters()) {
+                        this.performSearch('');
                     } else if (searchTerm.length === 0) {
                         this.clearSearch();
                     }
@@ -228,6 +333,38 @@ class PatientSearchView {
             clearButton.addEventListener('click', this.clearSearch);
         }
 
+        // Filters search again as soon as they change
+        const filters = document.getElementById('search-filters');
+        if (filters) {
+            // Suggest ICD-10 codes matching the code or French label typed in the diagnosis filter
+            const diagnosisInput = document.getElementById('filter-diagnosis');
+            const diagnosisOptions = document.getElementById('filter-diagnosis-options');
+            if (diagnosisInput && diagnosisOptions) {
+                diagnosisInput.addEventListener('input', () => {
+                    diagnosisOptions.innerHTML = searchIcd10(diagnosisInput.value).map(({ code, label }) =>
+                        `<option value="${code}" label="${label}"></option>`
+                    ).join('');
+                });
+            }
+
+            filters.addEventListener('change', (event) => {
+                const filter = event.target.dataset.filter;
+                if (!filter) return;
+
+                this.filters[filter] = event.target.value.trim();
+                if (clearButton) {
+                    clearButton.style.display = this.hasActiveFilters() || (searchInput && searchInput.value.trim()) ? 'block' : 'none';
+                }
+
+                const searchTerm = searchInput ? searchInput.value.trim() : '';
+                if (searchTerm || this.hasActiveFilters()) {
+                    this.performSearch(searchTerm);
+                } else {
+                    this.clearSearch();
+                }
+            });
+        }
+
         log('PatientSearchView initialized', 'info');
     }
 
@@ -242,7 +379,7 @@ class PatientSearchView {
         if (!searchInput) return;
 
         const searchTerm = searchInput.value.trim();
-        if (!searchTerm) {
+        if (!searchTerm && !this.hasActiveFilters()) {
             this.showToast('Please enter a search term', 'warning');
             return;
         }
@@ -264,7 +401,10 @@ class PatientSearchView {
 
             // Use performance optimizer if available
             let results;
-            if (window.app && window.app.components.performanceOptimizer) {
+            if (this.hasActiveFilters()) {
+                // The optimizer only searches names; filters go through the storage search
+                results = await this.patientManager.searchPatients(this.getSearchCriteria(searchTerm));
+            } else if (window.app && window.app.components.performanceOptimizer) {
                 const operationId = 'patient-search';
                 window.app.components.performanceOptimizer.showLoadingIndicator(
                     operationId,
@@ -301,6 +441,7 @@ class PatientSearchView {
      */
     clearSearch() {
         this.currentSearchTerm = '';
+        this.filters = { smokingStatus: '', minPackYears: '', exposure: '', diagnosis: '', diagnosisStatus: '' };
         this.searchResults = [];
         this.isSearching = false;
 
@@ -316,6 +457,10 @@ class PatientSearchView {
             clearButton.style.display = 'none';
         }
 
+        document.querySelectorAll('#search-filters [data-filter]').forEach(field => {
+            field.value = '';
+        });
+
         this.updateSearchResults();
         log('Search cleared', 'info');
     }
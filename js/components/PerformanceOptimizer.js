@@ -196,6 +196,14 @@ class PerformanceOptimizer {
                         gender: patient.gender,
                         placeOfResidence: patient.placeOfResidence,
                         lastVisitDate: patient.getLatestVisit()?.visitDate,
+                        criticalVitals: criticalVitals(patient.getLatestVisit()?.vitals),
+                        tobacco: patient.tobacco,
+                        questionnaireScores: latestQuestionnaireScores(patient.visits),
+                        classification: patient.getLatestVisit()?.classification || null,
+                        problems: summarizeProblems(patient.problems),
+                        cpapCompliance: cpapCompliance(patient.cpapLog),
+                        tbFollowUp: tbFollowUpSummary(patient.tbEpisodes),
+                        homeTherapies: homeTherapySummary(patient.homeTherapies),
                         createdAt: patient.createdAt,
                         updatedAt: patient.updatedAt
                     });
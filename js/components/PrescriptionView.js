@@ -0,0 +1,156 @@
+/**
+ * Prescription View Component
+ * Renders the treatments of a visit as a French prescription (ordonnance) on an A5 or A4 page,
+ * with the practice letterhead from LogoManager, the patient identity and the date of the
+ * visit, and prints it with window.print() (or "Save as PDF" from the print dialog).
+ */
+
+// Page formats of the prescription
+const PRESCRIPTION_FORMATS = [
+    { key: 'A5', label: 'A5', margin: '10mm' },
+    { key: 'A4', label: 'A4', margin: '15mm' }
+];
+
+class PrescriptionView {
+    /**
+     * @param {LogoManager} logoManager - Provides the letterhead logo (optional)
+     */
+    constructor(logoManager = null) {
+        this.logoManager = logoManager;
+
+        // Bind methods
+        this.cleanup = this.cleanup.bind(this);
+    }
+
+    /**
+     * Render the prescription
+     * Only the treatments still in progress on the date of the visit are prescribed.
+     * @param {Object} patient - Patient
+     * @param {Object} visit - Visit holding the treatments
+     * @param {string} format - 'A5' or 'A4'
+     * @returns {string} HTML string for the prescription page
+     */
+    render(patient, visit, format = 'A5') {
+        const page = PRESCRIPTION_FORMATS.find(entry => entry.key === format) || PRESCRIPTION_FORMATS[0];
+        const treatments = (visit.treatments || []).filter(treatment => isTreatmentCurrent(treatment, visit.visitDate));
+        const age = ageAtDate(patient.dateOfBirth, visit.visitDate);
+        const weight = visit.vitals && visit.vitals.weightKg;
+        const date = new Date(visit.visitDate).toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+
+        return `
+            <div class="prescription prescription-${page.key.toLowerCase()}">
+                <header class="prescription-letterhead">
+                    <div class="prescription-logo-slot">
+                        ${this.logoManager ? `
+                            <strong class="prescription-practice">${this.logoManager.fallbackText}</strong>
+                            <span class="prescription-practice-subtext">${this.logoManager.fallbackSubtext}</span>
+                        ` : ''}
+                    </div>
+                    <p class="prescription-date">Le ${date}</p>
+                </header>
+
+                <div class="prescription-patient">
+                    <strong>${String(patient.lastName || '').toUpperCase()} ${patient.firstName || ''}</strong>
+                    ${age !== null ? `<span>${Math.floor(age)} ans</span>` : ''}
+                    ${weight ? `<span>${weight} kg</span>` : ''}
+                </div>
+
+                <h2 class="prescription-title">ORDONNANCE</h2>
+
+                ${treatments.length > 0 ? `
+                    <ol class="prescription-lines">
+                        ${treatments.map(treatment => {
+                            const device = getMedicationDevice(treatment.device);
+                            const details = [
+                                device ? device.shortLabel : treatment.device,
+                                treatment.frequency,
+                                treatment.duration ? `pendant ${treatment.duration}` : ''
+                            ].filter(Boolean).join(' · ');
+                            return `
+                                <li class="prescription-line">
+                                    <strong>${[treatment.drug, treatment.dose].filter(Boolean).join(' ')}</strong>
+                                    ${details ? `<br><span class="prescription-line-details">${details}</span>` : ''}
+                                </li>
+                            `;
+                        }).join('')}
+                    </ol>
+                ` : '<p class="no-data">Aucun traitement en cours à cette visite</p>'}
+
+                <footer class="prescription-signature">Signature et cachet</footer>
+            </div>
+        `;
+    }
+
+    /**
+     * Print the prescription of a visit
+     * The page is added to the document for the print only and removed afterwards.
+     * @param {Object} patient - Patient
+     * @param {Object} visit - Visit holding the treatments
+     * @param {string} format - 'A5' or 'A4'
+     */
+    async print(patient, visit, format = 'A5') {
+        const page = PRESCRIPTION_FORMATS.find(entry => entry.key === format) || PRESCRIPTION_FORMATS[0];
+        this.cleanup();
+
+        const root = document.createElement('div');
+        root.id = 'prescription-print';
+        root.className = 'prescription-print-root';
+        root.innerHTML = this.render(patient, visit, page.key);
+
+        // Letterhead logo, with the LogoManager text fallback when no logo file is available
+        const slot = root.querySelector('.prescription-logo-slot');
+        if (this.logoManager && slot) {
+            slot.innerHTML = '';
+            slot.appendChild(this.logoManager.createLogo({
+                size: 'large',
+                showSubtext: true,
+                className: 'prescription-logo'
+            }));
+        }
+
+        const pageStyle = document.createElement('style');
+        pageStyle.id = 'prescription-page-style';
+        pageStyle.textContent = `@page { size: ${page.key}; margin: ${page.margin}; }`;
+        document.head.appendChild(pageStyle);
+        document.body.appendChild(root);
+        document.body.classList.add('printing-prescription');
+
+        await this.waitForImages(root);
+        window.addEventListener('afterprint', this.cleanup, { once: true });
+        window.print();
+    }
+
+    /**
+     * Wait until the images of the page are loaded (or failed), at most a second
+     * @param {Element} root - Prescription page
+     * @returns {Promise<void>} Resolved when the page can be printed
+     */
+    waitForImages(root) {
+        const pending = Array.from(root.querySelectorAll('img')).filter(img => !img.complete || !img.src);
+        const loaded = pending.map(img => new Promise(resolve => {
+            img.addEventListener('load', resolve, { once: true });
+            img.addEventListener('error', resolve, { once: true });
+        }));
+
+        return Promise.race([
+            Promise.all(loaded),
+            new Promise(resolve => setTimeout(resolve, 1000))
+        ]).then(() => undefined);
+    }
+
+    /**
+     * Remove the printed page and its page style
+     */
+    cleanup() {
+        const root = document.getElementById('prescription-print');
+        if (root) root.remove();
+        const pageStyle = document.getElementById('prescription-page-style');
+        if (pageStyle) pageStyle.remove();
+        document.body.classList.remove('printing-prescription');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrescriptionView;
+}
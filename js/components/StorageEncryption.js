@@ -0,0 +1,278 @@
+/**
+ * Storage Encryption Component
+ * Encrypts patient data at rest with AES-GCM (Web Crypto API) under a key derived
+ * from the practice passphrase with PBKDF2. The key only lives in memory once unlocked;
+ * localStorage holds the salt and a key check, never the key itself.
+ */
+
+// Known plaintext encrypted into the key descriptor to recognise the right passphrase
+const ENCRYPTION_KEY_CHECK = 'pms-key-check';
+
+class StorageEncryption {
+    constructor(
+        descriptorKey = ENCRYPTION_CONFIG.descriptorStorageKey,
+        pendingDescriptorKey = ENCRYPTION_CONFIG.pendingDescriptorStorageKey
+    ) {
+        this.descriptorKey = descriptorKey;
+        this.pendingDescriptorKey = pendingDescriptorKey;
+        this.key = null;
+    }
+
+    /**
+     * Check whether a practice passphrase has been set up on this computer
+     * @returns {boolean} True if a key descriptor exists
+     */
+    isConfigured() {
+        return Boolean(localStorage.getItem(this.descriptorKey));
+    }
+
+    /**
+     * Check whether a passphrase change was interrupted before every store was re-encrypted
+     * @returns {boolean} True if a pending key descriptor exists
+     */
+    hasPendingChange() {
+        return Boolean(localStorage.getItem(this.pendingDescriptorKey));
+    }
+
+    /**
+     * Check whether the key is available in memory
+     * @returns {boolean} True if unlocked
+     */
+    isUnlocked() {
+        return this.key !== null;
+    }
+
+    /**
+     * Check whether a stored value is an encrypted envelope
+     * @param {string} text - Stored value
+     * @returns {boolean} True if encrypted
+     */
+    isEncrypted(text) {
+        return typeof text === 'string' && text.startsWith(ENCRYPTION_CONFIG.envelopePrefix);
+    }
+
+    /**
+     * Unlock with the practice passphrase; the first unlock on a computer sets the passphrase up
+     * @param {string} passphrase - Practice passphrase
+     * @returns {Promise<Object>} { created } - true when the passphrase was just set up
+     */
+    async unlock(passphrase) {
+        if (!this.isConfigured()) {
+            const { descriptor, key } = await this.createDescriptor(passphrase);
+            localStorage.setItem(this.descriptorKey, JSON.stringify(descriptor));
+            this.key = key;
+            log('Patient data encryption set up', 'info');
+            return { created: true };
+        }
+
+        this.key = await this.deriveCheckedKey(passphrase, JSON.parse(localStorage.getItem(this.descriptorKey)));
+        return { created: false };
+    }
+
+    /**
+     * Derive the key of a descriptor, checking that the passphrase is the right one
+     * @param {string} passphrase - Practice passphrase
+     * @param {Object} descriptor - Key descriptor
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async deriveCheckedKey(passphrase, descriptor) {
+        const key = await this.deriveKey(passphrase, descriptor);
+
+        try {
+            if (await this.decryptWithKey(key, descriptor.check) !== ENCRYPTION_KEY_CHECK) {
+                throw new Error('Key check mismatch');
+            }
+        } catch (error) {
+            throw new Error(ERROR_MESSAGES.auth.passphraseIncorrect);
+        }
+        return key;
+    }
+
+    /**
+     * Forget the key
+     */
+    lock() {
+        this.key = null;
+    }
+
+    /**
+     * Start a change of passphrase: the new descriptor is kept pending, the current one still
+     * describes the stored values until commitChange(). After an interruption, the pending
+     * descriptor gives back the new key and the change is resumed with the same passphrase.
+     * Callers re-encrypt every stored value in between (see DataStorageManager.rotateEncryptionKey).
+     * @param {string} newPassphrase - New practice passphrase
+     * @returns {Promise<CryptoKey>} Key of the new passphrase
+     */
+    async beginChange(newPassphrase) {
+        if (this.hasPendingChange()) {
+            return this.deriveCheckedKey(newPassphrase, JSON.parse(localStorage.getItem(this.pendingDescriptorKey)));
+        }
+
+        const { descriptor, key } = await this.createDescriptor(newPassphrase);
+        localStorage.setItem(this.pendingDescriptorKey, JSON.stringify(descriptor));
+        return key;
+    }
+
+    /**
+     * Make the pending descriptor the current one, once every stored value is re-encrypted
+     * @param {CryptoKey} key - Key returned by beginChange()
+     */
+    commitChange(key) {
+        localStorage.setItem(this.descriptorKey, localStorage.getItem(this.pendingDescriptorKey));
+        localStorage.removeItem(this.pendingDescriptorKey);
+        this.key = key;
+    }
+
+    /**
+     * Create a key descriptor (salt, iterations, key check) for a passphrase
+     * @param {string} passphrase - Practice passphrase
+     * @returns {Promise<Object>} { descriptor, key }
+     */
+    async createDescriptor(passphrase) {
+        if (!passphrase || passphrase.length < ENCRYPTION_CONFIG.minPassphraseLength) {
+            throw new Error(`The practice passphrase must be at least ${ENCRYPTION_CONFIG.minPassphraseLength} characters long`);
+        }
+
+        const descriptor = {
+            version: 1,
+            kdf: 'PBKDF2',
+            hash: ENCRYPTION_CONFIG.pbkdf2Hash,
+            iterations: ENCRYPTION_CONFIG.pbkdf2Iterations,
+            salt: this.toBase64(crypto.getRandomValues(new Uint8Array(16))),
+            createdAt: getCurrentTimestamp()
+        };
+        const key = await this.deriveKey(passphrase, descriptor);
+        descriptor.check = await this.encryptWithKey(key, ENCRYPTION_KEY_CHECK);
+
+        return { descriptor, key };
+    }
+
+    /**
+     * Derive the AES-GCM key from a passphrase
+     * @param {string} passphrase - Practice passphrase
+     * @param {Object} descriptor - Key descriptor holding salt and iterations
+     * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+     */
+    async deriveKey(passphrase, descriptor) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: this.fromBase64(descriptor.salt),
+                iterations: descriptor.iterations,
+                hash: descriptor.hash
+            },
+            material,
+            { name: 'AES-GCM', length: ENCRYPTION_CONFIG.keyLength },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypt a string with the unlocked key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} Encrypted envelope
+     */
+    async encrypt(text) {
+        if (!this.key) {
+            throw new Error(ERROR_MESSAGES.storage.locked);
+        }
+        return this.encryptWithKey(this.key, text);
+    }
+
+    /**
+     * Decrypt an envelope with the unlocked key; plain values are returned unchanged
+     * @param {string} text - Stored value
+     * @returns {Promise<string>} Plain text
+     */
+    async decrypt(text) {
+        if (!this.isEncrypted(text)) {
+            return text;
+        }
+        if (!this.key) {
+            throw new Error(ERROR_MESSAGES.storage.locked);
+        }
+        return this.decryptWithKey(this.key, text);
+    }
+
+    /**
+     * Decrypt an envelope with the first of several keys that opens it; plain values are returned unchanged
+     * (during an interrupted passphrase change, some values are under the previous key, others under the new one)
+     * @param {string} text - Stored value
+     * @param {Array<CryptoKey>} keys - Keys to try, in order
+     * @returns {Promise<string>} Plain text
+     */
+    async decryptWithAnyKey(text, keys) {
+        if (!this.isEncrypted(text)) {
+            return text;
+        }
+
+        for (const key of keys.filter(Boolean)) {
+            try {
+                return await this.decryptWithKey(key, text);
+            } catch (error) {
+                // Try the next key
+            }
+        }
+        throw new Error(ERROR_MESSAGES.storage.corruptData);
+    }
+
+    /**
+     * Encrypt a string with a given key
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {string} text - Plain text
+     * @returns {Promise<string>} Envelope: prefix, base64 IV, base64 ciphertext with tag
+     */
+    async encryptWithKey(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(ENCRYPTION_CONFIG.ivLength));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+        return `${ENCRYPTION_CONFIG.envelopePrefix}${this.toBase64(iv)}:${this.toBase64(new Uint8Array(ciphertext))}`;
+    }
+
+    /**
+     * Decrypt an envelope with a given key
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {string} envelope - Encrypted envelope
+     * @returns {Promise<string>} Plain text
+     */
+    async decryptWithKey(key, envelope) {
+        const [iv, ciphertext] = envelope.slice(ENCRYPTION_CONFIG.envelopePrefix.length).split(':');
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(ciphertext)
+        );
+
+        return new TextDecoder().decode(plaintext);
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 text
+     */
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 into bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageEncryption;
+}
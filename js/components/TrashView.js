@@ -0,0 +1,227 @@
+/**
+ * Trash View Component
+ * Lists deleted patients ("Corbeille") with restore and permanent purge actions
+ */
+
+class TrashView {
+    constructor(patientManager) {
+        this.patientManager = patientManager;
+        this.entries = [];
+        this.isLoading = false;
+        this.errorMessage = null;
+    }
+
+    /**
+     * Render the recycle bin interface
+     * @returns {string} HTML string for the recycle bin interface
+     */
+    render() {
+        if (!currentUserCan('patients:delete')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="trash-container">
+                <div class="content-header">
+                    <h2 class="content-title">Recycle Bin</h2>
+                    <p class="content-subtitle">
+                        Deleted patients are kept for ${TRASH_CONFIG.retentionDays} days before being permanently removed
+                    </p>
+                </div>
+
+                <div id="trash-list">
+                    ${this.renderEntries()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the deleted patients table
+     * @returns {string} HTML string for the table
+     */
+    renderEntries() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Loading recycle bin...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.entries.length === 0) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="no-data">The recycle bin is empty</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Deleted patients (${this.entries.length})</h3>
+                </div>
+                <div class="card-body">
+                    <table class="trash-table">
+                        <thead>
+                            <tr>
+                                <th>Patient</th>
+                                <th>Date of birth</th>
+                                <th>Visits</th>
+                                <th>Deleted</th>
+                                <th>Deleted by</th>
+                                <th>Purged on</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.entries.map(entry => this.renderEntry(entry)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a single deleted patient
+     * @param {Object} entry - Recycle bin entry
+     * @returns {string} HTML string for the row
+     */
+    renderEntry(entry) {
+        const patient = entry.patient;
+
+        return `
+            <tr data-patient-id="${patient.id}">
+                <td>${sanitizeHtml(`${patient.firstName} ${patient.lastName}`)}</td>
+                <td>${patient.dateOfBirth ? formatDate(patient.dateOfBirth) : '—'}</td>
+                <td>${(patient.visits || []).length}</td>
+                <td>${new Date(entry.deletedAt).toLocaleString()}</td>
+                <td>${sanitizeHtml(entry.deletedBy || '—')}</td>
+                <td>${new Date(entry.purgeAt).toLocaleDateString()}</td>
+                <td class="trash-actions">
+                    <button class="btn btn-primary btn-sm" onclick="trashView.handleRestore('${patient.id}')">
+                        Restore
+                    </button>
+                    <button class="btn btn-danger btn-sm" onclick="trashView.handlePurge('${patient.id}')">
+                        Delete permanently
+                    </button>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Initialize the view: load the deleted patients
+     */
+    async initialize() {
+        await this.loadEntries();
+    }
+
+    /**
+     * Load the recycle bin content
+     */
+    async loadEntries() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateList();
+
+        try {
+            this.entries = await this.patientManager.getDeletedPatients();
+        } catch (error) {
+            log(`Failed to load recycle bin: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateList();
+        }
+    }
+
+    /**
+     * Refresh the deleted patients table
+     */
+    updateList() {
+        const container = document.getElementById('trash-list');
+        if (container) {
+            container.innerHTML = this.renderEntries();
+        }
+    }
+
+    /**
+     * Handle restoring a patient
+     * @param {string} patientId - Patient ID
+     */
+    async handleRestore(patientId) {
+        try {
+            const result = await this.patientManager.restoreDeletedPatient(patientId);
+            this.showToast(result.message, 'success');
+            await this.loadEntries();
+        } catch (error) {
+            log(`Failed to restore patient: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle permanently deleting a patient
+     * @param {string} patientId - Patient ID
+     */
+    async handlePurge(patientId) {
+        const entry = this.entries.find(e => e.patient.id === patientId);
+        const patientName = entry ? `${entry.patient.firstName} ${entry.patient.lastName}` : patientId;
+
+        if (!confirm(`Permanently delete the record of ${patientName}?\n\nThis action cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.patientManager.purgeDeletedPatient(patientId);
+            this.showToast(result.message, 'success');
+            await this.loadEntries();
+        } catch (error) {
+            log(`Failed to purge patient: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message - Message to show
+     * @param {string} type - Toast type (success, error, info)
+     */
+    showToast(message, type = 'info') {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrashView;
+}
@@ -0,0 +1,236 @@
+/**
+ * Trend Chart Component
+ * Draws one measure of a patient over time as an SVG line chart, without any library:
+ * one line per series, the reference band shaded, and a point per visit whose tooltip
+ * gives the details and whose click opens the visit.
+ */
+
+class TrendChart {
+    /**
+     * @param {Object} trend - Result of buildTrend()
+     * @param {Object} options - { width, height, visitAction: visitId => onclick JavaScript }
+     */
+    constructor(trend, options = {}) {
+        this.trend = trend;
+        this.width = options.width || 640;
+        this.height = options.height || 240;
+        this.visitAction = options.visitAction || null;
+        this.margin = { top: 16, right: 16, bottom: 32, left: 52 };
+    }
+
+    /**
+     * Render the chart with its legend and slopes
+     * @returns {string} HTML string for the chart card
+     */
+    render() {
+        const { measure, series } = this.trend;
+
+        return `
+            <div class="trend-chart" data-measure="${measure.key}">
+                <div class="trend-chart-header">
+                    <h4 class="trend-chart-title">${measure.label} <span class="trend-chart-unit">(${measure.unit})</span></h4>
+                    <ul class="trend-legend">
+                        ${series.filter(entry => entry.points.length > 0).map(entry => `
+                            <li class="trend-legend-item trend-series-${entry.key}">
+                                <span class="trend-legend-swatch"></span>
+                                ${entry.label} · slope ${formatSlope(entry.slope, measure.unit)}
+                            </li>
+                        `).join('')}
+                        ${this.trend.band.length > 0 ? `
+                            <li class="trend-legend-item trend-legend-band">
+                                <span class="trend-legend-swatch"></span>
+                                ${this.trend.band[0].label}
+                            </li>
+                        ` : ''}
+                    </ul>
+                </div>
+                ${this.renderSvg()}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the SVG drawing
+     * @returns {string} SVG markup
+     */
+    renderSvg() {
+        const { measure, series, band } = this.trend;
+        const points = series.reduce((all, entry) => all.concat(entry.points), []);
+        const times = points.map(point => point.time);
+        const values = points.map(point => point.value)
+            .concat(band.map(entry => entry.lower).filter(value => value !== undefined))
+            .concat(band.map(entry => entry.upper).filter(value => value !== undefined));
+
+        this.timeRange = this.paddedRange(Math.min(...times), Math.max(...times), 30 * 24 * 60 * 60 * 1000);
+        this.valueRange = this.paddedRange(Math.min(...values), Math.max(...values), Math.abs(values[0]) * 0.1 || 1);
+
+        return `
+            <svg class="trend-chart-svg" viewBox="0 0 ${this.width} ${this.height}" role="img"
+                 aria-label="${measure.label} over time">
+                ${this.renderBand()}
+                ${this.renderAxes()}
+                ${series.map(entry => this.renderSeries(entry)).join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * Widen a range by 5 % on each side (or by a minimum span when it is a single value)
+     * @param {number} min - Smallest value
+     * @param {number} max - Largest value
+     * @param {number} minimumSpan - Span used when min equals max
+     * @returns {Array} [min, max]
+     */
+    paddedRange(min, max, minimumSpan) {
+        if (min === max) {
+            return [min - minimumSpan / 2, max + minimumSpan / 2];
+        }
+        const padding = (max - min) * 0.05;
+        return [min - padding, max + padding];
+    }
+
+    /**
+     * Horizontal position of a date
+     * @param {number} time - Time in ms
+     * @returns {number} x coordinate
+     */
+    x(time) {
+        const [min, max] = this.timeRange;
+        const plotWidth = this.width - this.margin.left - this.margin.right;
+        return this.margin.left + (time - min) / (max - min) * plotWidth;
+    }
+
+    /**
+     * Vertical position of a value
+     * @param {number} value - Measured value
+     * @returns {number} y coordinate
+     */
+    y(value) {
+        const [min, max] = this.valueRange;
+        const plotHeight = this.height - this.margin.top - this.margin.bottom;
+        return this.margin.top + (1 - (value - min) / (max - min)) * plotHeight;
+    }
+
+    /**
+     * Render the shaded areas outside the reference band
+     * The limit may change at each visit (the LLN depends on age and height).
+     * @returns {string} SVG markup
+     */
+    renderBand() {
+        const band = this.trend.band;
+        if (band.length === 0) {
+            return '';
+        }
+
+        const left = this.margin.left;
+        const right = this.width - this.margin.right;
+        const top = this.margin.top;
+        const bottom = this.height - this.margin.bottom;
+
+        const area = (key, edge) => {
+            const limits = band.filter(entry => entry[key] !== undefined);
+            if (limits.length === 0) {
+                return '';
+            }
+            const first = limits[0];
+            const last = limits[limits.length - 1];
+            const line = [[left, this.y(first[key])]]
+                .concat(limits.map(entry => [this.x(entry.time), this.y(entry[key])]))
+                .concat([[right, this.y(last[key])]]);
+            const polygon = line.concat([[right, edge], [left, edge]]);
+
+            return `
+                <polygon class="trend-band-area" points="${polygon.map(point => point.map(n => n.toFixed(1)).join(',')).join(' ')}" />
+                <polyline class="trend-band-line" points="${line.map(point => point.map(n => n.toFixed(1)).join(',')).join(' ')}" />
+            `;
+        };
+
+        return area('lower', bottom) + area('upper', top);
+    }
+
+    /**
+     * Render the axes with their ticks
+     * @returns {string} SVG markup
+     */
+    renderAxes() {
+        const left = this.margin.left;
+        const right = this.width - this.margin.right;
+        const bottom = this.height - this.margin.bottom;
+        const [minValue, maxValue] = this.valueRange;
+        const [minTime, maxTime] = this.timeRange;
+
+        const valueTicks = [0, 1, 2, 3, 4].map(step => minValue + (maxValue - minValue) * step / 4);
+        const timeTicks = [0, 1, 2].map(step => minTime + (maxTime - minTime) * step / 2);
+        const decimals = maxValue - minValue < 5 ? 2 : 0;
+
+        return `
+            <line class="trend-axis" x1="${left}" y1="${bottom}" x2="${right}" y2="${bottom}" />
+            <line class="trend-axis" x1="${left}" y1="${this.margin.top}" x2="${left}" y2="${bottom}" />
+            ${valueTicks.map(value => `
+                <line class="trend-grid" x1="${left}" y1="${this.y(value).toFixed(1)}" x2="${right}" y2="${this.y(value).toFixed(1)}" />
+                <text class="trend-tick" x="${left - 6}" y="${(this.y(value) + 4).toFixed(1)}" text-anchor="end">${value.toFixed(decimals)}</text>
+            `).join('')}
+            ${timeTicks.map(time => `
+                <text class="trend-tick" x="${this.x(time).toFixed(1)}" y="${bottom + 18}" text-anchor="middle">
+                    ${new Date(time).toLocaleDateString('fr-FR', { month: 'short', year: 'numeric' })}
+                </text>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render one series: its line and a point per visit
+     * @param {Object} entry - Series of buildTrend()
+     * @returns {string} SVG markup
+     */
+    renderSeries(entry) {
+        if (entry.points.length === 0) {
+            return '';
+        }
+
+        const coordinates = entry.points.map(point => `${this.x(point.time).toFixed(1)},${this.y(point.value).toFixed(1)}`);
+
+        return `
+            <g class="trend-series trend-series-${entry.key}">
+                ${entry.points.length > 1 ? `<polyline class="trend-line" points="${coordinates.join(' ')}" />` : ''}
+                ${entry.points.map(point => this.renderPoint(entry, point)).join('')}
+            </g>
+        `;
+    }
+
+    /**
+     * Render a point with its hover details, linking to the visit
+     * @param {Object} entry - Series holding the point
+     * @param {Object} point - Point of the series
+     * @returns {string} SVG markup
+     */
+    renderPoint(entry, point) {
+        const { measure, band } = this.trend;
+        const limit = band.find(item => item.time === point.time);
+        const outside = limit && ((limit.lower !== undefined && point.value < limit.lower) ||
+            (limit.upper !== undefined && point.value > limit.upper));
+        const details = [
+            new Date(point.visitDate).toLocaleDateString('fr-FR'),
+            `${measure.label} ${entry.label}: ${Math.round(point.value * 100) / 100} ${measure.unit}`,
+            limit && limit.lower !== undefined ? `${limit.label}: ${Math.round(limit.lower * 100) / 100}` : null,
+            limit && limit.upper !== undefined ? `${limit.label}: ${Math.round(limit.upper * 100) / 100}` : null,
+            this.visitAction ? 'Click to open the visit' : null
+        ].filter(Boolean).join('\n');
+
+        const circle = `
+            <circle class="trend-point ${outside ? 'trend-point-abnormal' : ''}" cx="${this.x(point.time).toFixed(1)}"
+                    cy="${this.y(point.value).toFixed(1)}" r="5">
+                <title>${sanitizeHtml(details)}</title>
+            </circle>
+        `;
+
+        return this.visitAction ?
+            `<a href="#" class="trend-point-link" onclick="${this.visitAction(sanitizeHtml(String(point.visitId)))}; return false;">${circle}</a>` :
+            circle;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendChart;
+}
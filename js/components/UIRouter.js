@@ -376,6 +376,27 @@ class UIRouter {
             case 'patient-detail':
                 breadcrumbs.push({ text: 'Patient Details', active: true });
                 break;
+            case 'users-admin':
+                breadcrumbs.push({ text: 'User Management', active: true });
+                break;
+            case 'audit-log':
+                breadcrumbs.push({ text: 'Audit Trail', active: true });
+                break;
+            case 'trash':
+                breadcrumbs.push({ text: 'Recycle Bin', active: true });
+                break;
+            case 'agenda':
+                breadcrumbs.push({ text: 'Agenda', active: true });
+                break;
+            case 'cpap-worklist':
+                breadcrumbs.push({ text: 'CPAP Compliance', active: true });
+                break;
+            case 'home-therapies':
+                breadcrumbs.push({ text: 'LTOT / NIV', active: true });
+                break;
+            case 'backups':
+                breadcrumbs.push({ text: 'Backups', active: true });
+                break;
             default:
                 breadcrumbs.push({ text: route, active: true });
         }
@@ -537,6 +558,41 @@ class UIRouter {
             await this.showEditPatient(params.patientId);
         }, { title: 'Edit Patient' });
 
+        // Users admin route
+        this.registerRoute('users-admin', async (route, params) => {
+            await this.showUsersAdmin();
+        }, { title: 'User Management' });
+
+        // Audit log route
+        this.registerRoute('audit-log', async (route, params) => {
+            await this.showAuditLog();
+        }, { title: 'Audit Trail' });
+
+        // Recycle bin route
+        this.registerRoute('trash', async (route, params) => {
+            await this.showTrash();
+        }, { title: 'Recycle Bin' });
+
+        // Agenda route
+        this.registerRoute('agenda', async (route, params) => {
+            await this.showAgenda(params);
+        }, { title: 'Agenda' });
+
+        // CPAP compliance worklist route
+        this.registerRoute('cpap-worklist', async (route, params) => {
+            await this.showCpapWorklist();
+        }, { title: 'CPAP Compliance' });
+
+        // Oxygen therapy and home ventilation register route
+        this.registerRoute('home-therapies', async (route, params) => {
+            await this.showHomeTherapies();
+        }, { title: 'LTOT / NIV' });
+
+        // Backups route
+        this.registerRoute('backups', async (route, params) => {
+            await this.showBackups();
+        }, { title: 'Backups' });
+
         // Login route
         this.registerRoute('login', async (route, params) => {
             await this.showLogin(params.returnTo, params.returnParams);
@@ -560,6 +616,13 @@ class UIRouter {
         if (dashboardContent && dynamicContent) {
             dashboardContent.style.display = 'block';
             dynamicContent.style.display = 'none';
+
+            // Statuses may have changed in the agenda meanwhile
+            if (window.app && window.app.updateTodayAgenda) {
+                window.app.updateTodayAgenda();
+                window.app.updateTbFollowUps();
+                window.app.updateHomeTherapyReminders();
+            }
         } else {
             console.error('Required DOM elements not found for dashboard');
 
@@ -687,6 +750,189 @@ class UIRouter {
         }
     }
 
+    /**
+     * Show users admin view
+     */
+    async showUsersAdmin() {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadUsersAdminView) {
+                await window.app.loadUsersAdminView(dynamicContent);
+            }
+        } else {
+            console.error('Required DOM elements not found for users admin');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showUsersAdmin(), 100);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show audit log view
+     */
+    async showAuditLog() {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadAuditLogView) {
+                await window.app.loadAuditLogView(dynamicContent);
+            }
+        } else {
+            console.error('Required DOM elements not found for audit log');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showAuditLog(), 100);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show backups view
+     */
+    async showBackups() {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadBackupsView) {
+                await window.app.loadBackupsView(dynamicContent);
+            }
+        } else {
+            console.error('Required DOM elements not found for backups');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showBackups(), 100);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show agenda view
+     * @param {Object} params - Route parameters (date, view, patientId)
+     */
+    async showAgenda(params = {}) {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadAgendaView) {
+                await window.app.loadAgendaView(dynamicContent, params);
+            }
+        } else {
+            console.error('Required DOM elements not found for agenda');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showAgenda(params), 100);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show the CPAP compliance worklist
+     */
+    async showCpapWorklist() {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadCpapWorklistView) {
+                await window.app.loadCpapWorklistView(dynamicContent);
+            }
+        } else {
+            console.error('Required DOM elements not found for CPAP worklist');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showCpapWorklist(), 100);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show the oxygen therapy and home ventilation register
+     */
+    async showHomeTherapies() {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadHomeTherapyView) {
+                await window.app.loadHomeTherapyView(dynamicContent);
+            }
+        } else {
+            console.error('Required DOM elements not found for home therapy register');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showHomeTherapies(), 100);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Show recycle bin view
+     */
+    async showTrash() {
+        const dashboardContent = document.getElementById('dashboard-content');
+        const dynamicContent = document.getElementById('dynamic-content');
+
+        if (dashboardContent && dynamicContent) {
+            dashboardContent.style.display = 'none';
+            dynamicContent.style.display = 'block';
+
+            if (window.app && window.app.loadTrashView) {
+                await window.app.loadTrashView(dynamicContent);
+            }
+        } else {
+            console.error('Required DOM elements not found for recycle bin');
+
+            // Wait for main application to be ready and retry
+            if (window.app && !window.app.isInitialized) {
+                console.log('Waiting for app initialization...');
+                setTimeout(() => this.showTrash(), 100);
+                return;
+            }
+        }
+    }
+
     /**
      * Show patient detail view
      * @param {string} patientId - Patient ID
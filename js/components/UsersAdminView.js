@@ -0,0 +1,340 @@
+/**
+ * Users Admin View Component
+ * Lets doctors manage server accounts and their roles (doctor, secretary, auditor)
+ */
+
+class UsersAdminView {
+    constructor() {
+        this.users = [];
+        this.isLoading = false;
+        this.errorMessage = null;
+
+        // Bind methods
+        this.handleCreate = this.handleCreate.bind(this);
+    }
+
+    /**
+     * Render the users admin interface
+     * @returns {string} HTML string for the users admin interface
+     */
+    render() {
+        if (!currentUserCan('users:manage')) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <h2>Access Denied</h2>
+                        <p>${ERROR_MESSAGES.auth.forbidden}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="users-admin-container">
+                <div class="content-header">
+                    <h2 class="content-title">User Management</h2>
+                    <p class="content-subtitle">Server accounts and their roles</p>
+                </div>
+
+                <!-- Create User Form -->
+                <div class="card">
+                    <div class="card-header">
+                        <h3 class="card-title">New Account</h3>
+                    </div>
+                    <div class="card-body">
+                        <form id="users-admin-create-form" class="users-admin-form" novalidate>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="new-user-username" class="form-label">
+                                        Username <span class="required">*</span>
+                                    </label>
+                                    <input type="text" id="new-user-username" name="username" class="form-control" maxlength="50" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="new-user-displayName" class="form-label">Display name</label>
+                                    <input type="text" id="new-user-displayName" name="displayName" class="form-control" maxlength="100" />
+                                </div>
+                            </div>
+                            <div class="form-row">
+                                <div class="form-group">
+                                    <label for="new-user-password" class="form-label">
+                                        Password <span class="required">*</span>
+                                    </label>
+                                    <input type="password" id="new-user-password" name="password" class="form-control" minlength="8" autocomplete="new-password" required />
+                                </div>
+                                <div class="form-group">
+                                    <label for="new-user-role" class="form-label">Role</label>
+                                    <select id="new-user-role" name="role" class="form-control">
+                                        ${this.renderRoleOptions(DEFAULT_ROLE)}
+                                    </select>
+                                </div>
+                            </div>
+                            <div class="form-actions">
+                                <button type="submit" class="btn btn-primary">Create Account</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+
+                <!-- Users List -->
+                <div id="users-admin-list" class="users-admin-list">
+                    ${this.renderUsersList()}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render role options for a select element
+     * @param {string} selectedRole - Role to preselect
+     * @returns {string} HTML string for the options
+     */
+    renderRoleOptions(selectedRole) {
+        return Object.entries(USER_ROLES).map(([role, definition]) => `
+            <option value="${role}" ${role === selectedRole ? 'selected' : ''}>${definition.label}</option>
+        `).join('');
+    }
+
+    /**
+     * Render the accounts table
+     * @returns {string} HTML string for the accounts table
+     */
+    renderUsersList() {
+        if (this.isLoading) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <div class="loading-spinner"></div>
+                        <p>Loading accounts...</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        if (this.errorMessage) {
+            return `
+                <div class="card">
+                    <div class="card-body text-center">
+                        <p class="error-message">${sanitizeHtml(this.errorMessage)}</p>
+                    </div>
+                </div>
+            `;
+        }
+
+        const currentUser = window.app && window.app.components.authManager ?
+            window.app.components.authManager.getCurrentUser() : null;
+
+        return `
+            <div class="card">
+                <div class="card-header">
+                    <h3 class="card-title">Accounts (${this.users.length})</h3>
+                </div>
+                <div class="card-body">
+                    <table class="users-admin-table">
+                        <thead>
+                            <tr>
+                                <th>Username</th>
+                                <th>Display name</th>
+                                <th>Role</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${this.users.map(user => `
+                                <tr data-user-id="${user.id}">
+                                    <td>${sanitizeHtml(user.username)}</td>
+                                    <td>${sanitizeHtml(user.displayName)}</td>
+                                    <td>
+                                        <select class="form-control form-control-sm" onchange="usersAdminView.handleRoleChange('${user.id}', this.value)">
+                                            ${this.renderRoleOptions(user.role)}
+                                        </select>
+                                    </td>
+                                    <td class="users-admin-actions">
+                                        <button class="btn btn-secondary btn-sm" onclick="usersAdminView.handleResetPassword('${user.id}')">
+                                            Reset Password
+                                        </button>
+                                        ${currentUser && currentUser.userId === user.id ? '' : `
+                                            <button class="btn btn-danger btn-sm" onclick="usersAdminView.handleDelete('${user.id}')">
+                                                Delete
+                                            </button>
+                                        `}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Initialize the view: attach event listeners and load the accounts
+     */
+    async initialize() {
+        const form = document.getElementById('users-admin-create-form');
+        if (form) {
+            form.addEventListener('submit', this.handleCreate);
+        }
+
+        await this.loadUsers();
+    }
+
+    /**
+     * Call the users API
+     * @param {string} path - API path below /api/users
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(path, options = {}) {
+        const response = await fetch(`/api/users${path}`, {
+            ...options,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(result.error || ERROR_MESSAGES.network.serverError);
+        }
+        return result;
+    }
+
+    /**
+     * Load the accounts from the server
+     */
+    async loadUsers() {
+        this.isLoading = true;
+        this.errorMessage = null;
+        this.updateList();
+
+        try {
+            const users = await this.request('');
+            this.users = Array.isArray(users) ? users : [];
+        } catch (error) {
+            log(`Failed to load users: ${error.message}`, 'error');
+            this.errorMessage = error.message;
+        } finally {
+            this.isLoading = false;
+            this.updateList();
+        }
+    }
+
+    /**
+     * Refresh the accounts table
+     */
+    updateList() {
+        const container = document.getElementById('users-admin-list');
+        if (container) {
+            container.innerHTML = this.renderUsersList();
+        }
+    }
+
+    /**
+     * Handle account creation
+     * @param {Event} event - Submit event
+     */
+    async handleCreate(event) {
+        event.preventDefault();
+        const form = event.target;
+
+        try {
+            await this.request('', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: form.username.value,
+                    displayName: form.displayName.value || undefined,
+                    password: form.password.value,
+                    role: form.role.value
+                })
+            });
+
+            form.reset();
+            this.showToast('Account created', 'success');
+            await this.loadUsers();
+        } catch (error) {
+            log(`Failed to create user: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle a role change
+     * @param {string} userId - Account ID
+     * @param {string} role - New role
+     */
+    async handleRoleChange(userId, role) {
+        try {
+            await this.request(`/${encodeURIComponent(userId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ role })
+            });
+            this.showToast('Role updated', 'success');
+        } catch (error) {
+            log(`Failed to update role: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+
+        await this.loadUsers();
+    }
+
+    /**
+     * Handle a password reset
+     * @param {string} userId - Account ID
+     */
+    async handleResetPassword(userId) {
+        const password = prompt('New password (at least 8 characters):');
+        if (!password) {
+            return;
+        }
+
+        try {
+            await this.request(`/${encodeURIComponent(userId)}`, {
+                method: 'PUT',
+                body: JSON.stringify({ password })
+            });
+            this.showToast('Password updated; open sessions for this account were closed', 'success');
+        } catch (error) {
+            log(`Failed to reset password: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Handle account deletion
+     * @param {string} userId - Account ID
+     */
+    async handleDelete(userId) {
+        const user = this.users.find(u => u.id === userId);
+        if (!user || !confirm(`Delete the account "${user.username}"?`)) {
+            return;
+        }
+
+        try {
+            await this.request(`/${encodeURIComponent(userId)}`, { method: 'DELETE' });
+            this.showToast('Account deleted', 'success');
+            await this.loadUsers();
+        } catch (error) {
+            log(`Failed to delete user: ${error.message}`, 'error');
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    /**
+     * Show toast notification
+     * @param {string} message - Message to show
+     * @param {string} type - Toast type (success, error, info)
+     */
+    showToast(message, type = 'info') {
+        if (window.app && window.app.showToast) {
+            window.app.showToast(message, type);
+        } else {
+            alert(message);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UsersAdminView;
+}
@@ -13,9 +13,20 @@ class Patient {
         this.age = data.age || this.calculateAge();
         this.placeOfResidence = data.placeOfResidence || '';
         this.gender = data.gender || '';
+        this.atcdsMedicaux = data.atcdsMedicaux || '';
+        this.atcdsChirurgicaux = data.atcdsChirurgicaux || '';
+        this.tobacco = data.tobacco || null; // Smoking history, see js/utils/tobacco.js
+        this.respiratoryDiagnoses = data.respiratoryDiagnoses || []; // COPD, asthma, see js/utils/classification.js
+        this.problems = data.problems || []; // Problem list coded with ICD-10, see js/utils/problems.js
+        this.allergies = data.allergies || []; // Drug allergies, see js/utils/allergies.js
+        this.sleepStudies = data.sleepStudies || []; // Sleep studies, see js/utils/sleep.js
+        this.cpapLog = data.cpapLog || []; // CPAP/APAP follow-up log, see js/utils/sleep.js
+        this.tbEpisodes = data.tbEpisodes || []; // Tuberculosis treatment courses, see js/utils/tuberculosis.js
+        this.homeTherapies = data.homeTherapies || []; // LTOT and home NIV prescriptions, see js/utils/homeTherapy.js
         this.visits = data.visits || [];
         this.createdAt = data.createdAt || getCurrentTimestamp();
         this.updatedAt = data.updatedAt || getCurrentTimestamp();
+        this.revision = data.revision || 0; // Incremented on every successful save
     }
 
     /**
@@ -36,16 +47,28 @@ class Patient {
 
     /**
      * Add a new visit to the patient record
+     * Without treatments, the visit starts with those still in progress at the previous visit.
      * @param {Object} visitData - Visit data
      * @returns {Object} The added visit with generated ID
      */
     addVisit(visitData) {
+        const visitDate = visitData.visitDate || new Date().toISOString().split('T')[0];
         const visit = {
             id: generateId(),
-            visitDate: visitData.visitDate || new Date().toISOString().split('T')[0],
+            visitDate,
             medications: visitData.medications || '',
             observations: visitData.observations || '',
             additionalComments: visitData.additionalComments || '',
+            vitals: normalizeVitals(visitData.vitals),
+            questionnaires: normalizeQuestionnaires(visitData.questionnaires),
+            pft: normalizePft(visitData.pft),
+            labResults: normalizeLabResults(visitData.labResults),
+            exacerbations: normalizeExacerbations(visitData.exacerbations),
+            asthmaStep: normalizeAsthmaStep(visitData.asthmaStep),
+            treatments: visitData.treatments !== undefined ?
+                normalizeTreatments(visitData.treatments) :
+                carryForwardTreatments(this.visits, visitDate),
+            nextAppointment: visitData.nextAppointment || null,
             createdAt: getCurrentTimestamp()
         };
 
@@ -230,6 +253,28 @@ class Patient {
             });
         }
 
+        // Validate smoking history (optional)
+        errors.push(...validateTobacco(this.tobacco));
+
+        // Validate the diagnoses used by the GOLD and GINA classification (optional)
+        errors.push(...validateRespiratoryDiagnoses(this.respiratoryDiagnoses));
+
+        // Validate the problem list: known ICD-10 codes, onset dates, statuses (optional)
+        errors.push(...validateProblems(this.problems));
+
+        // Validate the allergies: substance, drug class, severity (optional)
+        errors.push(...validateAllergies(this.allergies));
+
+        // Validate the sleep studies and the CPAP log: dates, measurement ranges (optional)
+        errors.push(...validateSleepStudies(this.sleepStudies));
+        errors.push(...validateCpapLog(this.cpapLog));
+
+        // Validate the TB episodes: regimen, dates, follow-ups, DOT calendar (optional)
+        errors.push(...validateTbEpisodes(this.tbEpisodes));
+
+        // Validate the oxygen therapy and home ventilation register: type, device, dates, blood gas (optional)
+        errors.push(...validateHomeTherapies(this.homeTherapies));
+
         // Validate visits
         this.visits.forEach((visit, index) => {
             const visitErrors = this.validateVisit(visit);
@@ -300,6 +345,22 @@ class Patient {
             });
         }
 
+        // Vital signs, pulmonary function tests and lab results: numbers within plausible ranges;
+        // questionnaires: valid answers to every item
+        errors.push(...validateVitals(visit.vitals));
+        errors.push(...validateQuestionnaires(visit.questionnaires));
+        errors.push(...validatePft(visit.pft));
+        errors.push(...validateLabResults(visit.labResults));
+
+        // Classification inputs: whole exacerbation counts and a GINA step from 1 to 5
+        errors.push(...validateClassificationInputs(visit));
+
+        // Treatments: a drug on each line, known devices, stop date after the start date
+        errors.push(...validateTreatments(visit.treatments));
+
+        // Next appointment: a date after the visit
+        errors.push(...validateNextAppointment(visit));
+
         return errors;
     }
 
@@ -311,12 +372,62 @@ class Patient {
         this.lastName = sanitizeHtml(this.lastName).trim();
         this.placeOfResidence = sanitizeHtml(this.placeOfResidence).trim();
         this.gender = sanitizeHtml(this.gender).trim().toLowerCase();
+        this.atcdsMedicaux = sanitizeHtml(this.atcdsMedicaux);
+        this.atcdsChirurgicaux = sanitizeHtml(this.atcdsChirurgicaux);
+        if (this.tobacco && Array.isArray(this.tobacco.exposures)) {
+            this.tobacco.exposures.forEach(exposure => {
+                exposure.details = sanitizeHtml(exposure.details);
+            });
+        }
+        if (Array.isArray(this.problems)) {
+            this.problems.forEach(problem => {
+                if (problem && problem.notes) {
+                    problem.notes = sanitizeHtml(problem.notes);
+                }
+            });
+        }
+        if (Array.isArray(this.allergies)) {
+            this.allergies.forEach(allergy => {
+                ['substance', 'reaction'].forEach(field => {
+                    if (allergy && allergy[field]) {
+                        allergy[field] = sanitizeHtml(allergy[field]);
+                    }
+                });
+            });
+        }
+        if (Array.isArray(this.tbEpisodes)) {
+            this.tbEpisodes.forEach(episode => {
+                (episode && Array.isArray(episode.followUps) ? episode.followUps : []).forEach(followUp => {
+                    if (followUp && followUp.notes) {
+                        followUp.notes = sanitizeHtml(followUp.notes);
+                    }
+                });
+            });
+        }
+        if (Array.isArray(this.homeTherapies)) {
+            this.homeTherapies.forEach(therapy => {
+                ['supplier', 'notes'].forEach(field => {
+                    if (therapy && therapy[field]) {
+                        therapy[field] = sanitizeHtml(therapy[field]);
+                    }
+                });
+            });
+        }
 
         // Sanitize visits
         this.visits.forEach(visit => {
             visit.medications = sanitizeHtml(visit.medications);
             visit.observations = sanitizeHtml(visit.observations);
             visit.additionalComments = sanitizeHtml(visit.additionalComments);
+            if (Array.isArray(visit.treatments)) {
+                visit.treatments.forEach(treatment => {
+                    ['drug', 'dose', 'frequency', 'duration'].forEach(field => {
+                        if (treatment && treatment[field]) {
+                            treatment[field] = sanitizeHtml(treatment[field]);
+                        }
+                    });
+                });
+            }
         });
 
         this.updatedAt = getCurrentTimestamp();
@@ -375,9 +486,20 @@ class Patient {
             age: this.age,
             placeOfResidence: this.placeOfResidence,
             gender: this.gender,
+            atcdsMedicaux: this.atcdsMedicaux,
+            atcdsChirurgicaux: this.atcdsChirurgicaux,
+            tobacco: this.tobacco,
+            respiratoryDiagnoses: this.respiratoryDiagnoses,
+            problems: this.problems,
+            allergies: this.allergies,
+            sleepStudies: this.sleepStudies,
+            cpapLog: this.cpapLog,
+            tbEpisodes: this.tbEpisodes,
+            homeTherapies: this.homeTherapies,
             visits: this.visits,
             createdAt: this.createdAt,
-            updatedAt: this.updatedAt
+            updatedAt: this.updatedAt,
+            revision: this.revision
         };
     }
 
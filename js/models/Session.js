@@ -7,6 +7,8 @@ class Session {
     constructor(data = {}) {
         this.userId = data.userId || '';
         this.username = data.username || '';
+        this.displayName = data.displayName || this.username;
+        this.role = data.role || DEFAULT_ROLE;
         this.loginTime = data.loginTime || getCurrentTimestamp();
         this.lastActivity = data.lastActivity || getCurrentTimestamp();
         this.isAuthenticated = data.isAuthenticated || false;
@@ -24,6 +26,15 @@ class Session {
             this.lastActivity;
     }
 
+    /**
+     * Check whether the session's role grants a permission
+     * @param {string} permission - Permission name (e.g. 'clinical:read')
+     * @returns {boolean} True if granted
+     */
+    hasPermission(permission) {
+        return roleHasPermission(this.role, permission);
+    }
+
     /**
      * Update the last activity timestamp
      */
@@ -89,6 +100,8 @@ class Session {
         return {
             userId: this.userId,
             username: this.username,
+            displayName: this.displayName,
+            role: this.role,
             loginTime: this.loginTime,
             lastActivity: this.lastActivity,
             isAuthenticated: this.isAuthenticated
@@ -9,12 +9,11 @@ class SecurityHardening {
             maxLoginAttempts: 5,
             sessionTimeout: 30 * 60 * 1000, // 30 minutes
             passwordMinLength: 8,
-            dataEncryptionEnabled: true,
             auditLoggingEnabled: true
         };
 
         this.loginAttempts = new Map();
-        this.securityLog = [];
+        this.auditTrail = null;
 
         this.init();
     }
@@ -34,9 +33,6 @@ class SecurityHardening {
         // Set up audit logging
         this.setupAuditLogging();
 
-        // Apply data encryption
-        this.setupDataEncryption();
-
         // Set up XSS protection
         this.setupXSSProtection();
 
@@ -220,136 +216,39 @@ class SecurityHardening {
     }
 
     secureSessionStorage() {
-        // Encrypt session data if encryption is enabled
-        if (this.securityPolicies.dataEncryptionEnabled) {
-            this.setupSessionEncryption();
-        }
-
+        // Patient data itself is encrypted at rest by DataStorageManager (AES-GCM)
         // Clear session data on page unload
         window.addEventListener('beforeunload', () => {
             this.clearSensitiveData();
         });
     }
 
-    setupSessionEncryption() {
-        // Simple encryption for session data (in production, use proper encryption)
-        const originalSetItem = sessionStorage.setItem.bind(sessionStorage);
-        const originalGetItem = sessionStorage.getItem.bind(sessionStorage);
-
-        sessionStorage.setItem = (key, value) => {
-            if (key.includes('patient') || key.includes('auth')) {
-                value = this.simpleEncrypt(value);
-            }
-            return originalSetItem(key, value);
-        };
-
-        sessionStorage.getItem = (key) => {
-            let value = originalGetItem(key);
-            if (value && (key.includes('patient') || key.includes('auth'))) {
-                value = this.simpleDecrypt(value);
-            }
-            return value;
-        };
-    }
-
-    simpleEncrypt(text) {
-        // Simple XOR encryption (use proper encryption in production)
-        const key = 'PneumoSecure2024';
-        let encrypted = '';
-        for (let i = 0; i < text.length; i++) {
-            encrypted += String.fromCharCode(
-                text.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-            );
-        }
-        return btoa(encrypted);
-    }
-
-    simpleDecrypt(encryptedText) {
-        try {
-            const key = 'PneumoSecure2024';
-            const encrypted = atob(encryptedText);
-            let decrypted = '';
-            for (let i = 0; i < encrypted.length; i++) {
-                decrypted += String.fromCharCode(
-                    encrypted.charCodeAt(i) ^ key.charCodeAt(i % key.length)
-                );
-            }
-            return decrypted;
-        } catch (error) {
-            this.logSecurityEvent('DECRYPTION_ERROR', { error: error.message });
-            return null;
-        }
-    }
-
     /**
      * Set up audit logging
+     * Events go to the server's append-only audit log. Logins, logouts and patient API
+     * accesses are recorded by the server itself; only browser-side events are forwarded.
      */
     setupAuditLogging() {
         if (!this.securityPolicies.auditLoggingEnabled) return;
 
-        // Log authentication events
-        document.addEventListener('login', (event) => {
-            this.logSecurityEvent('LOGIN_SUCCESS', {
-                username: event.detail.username,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent
-            });
-        });
-
-        document.addEventListener('loginFailed', (event) => {
-            this.logSecurityEvent('LOGIN_FAILED', {
-                username: event.detail.username,
-                reason: event.detail.reason,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent
-            });
-        });
-
-        document.addEventListener('logout', (event) => {
-            this.logSecurityEvent('LOGOUT', {
-                username: event.detail.username,
-                timestamp: new Date().toISOString()
-            });
-        });
-
         // Log data access events
         document.addEventListener('patientAccessed', (event) => {
-            this.logSecurityEvent('PATIENT_ACCESSED', {
+            this.getAuditTrail().record(AUDIT_ACTIONS.patientView, {
                 patientId: event.detail.patientId,
-                action: event.detail.action,
-                timestamp: new Date().toISOString()
+                details: { action: event.detail.action }
             });
         });
     }
 
     /**
-     * Set up data encryption for patient data
+     * Get the audit trail shared with the application, or a standalone one
      */
-    setupDataEncryption() {
-        if (!this.securityPolicies.dataEncryptionEnabled) return;
-
-        // Intercept localStorage operations for patient data
-        const originalSetItem = localStorage.setItem.bind(localStorage);
-        const originalGetItem = localStorage.getItem.bind(localStorage);
-
-        localStorage.setItem = (key, value) => {
-            if (key.startsWith('patient_') || key.includes('medical')) {
-                value = this.simpleEncrypt(value);
-                this.logSecurityEvent('DATA_ENCRYPTED', { key: key });
-            }
-            return originalSetItem(key, value);
-        };
-
-        localStorage.getItem = (key) => {
-            let value = originalGetItem(key);
-            if (value && (key.startsWith('patient_') || key.includes('medical'))) {
-                value = this.simpleDecrypt(value);
-                if (value === null) {
-                    this.logSecurityEvent('DATA_DECRYPTION_FAILED', { key: key });
-                }
-            }
-            return value;
-        };
+    getAuditTrail() {
+        if (!this.auditTrail) {
+            this.auditTrail = (window.app && window.app.components.auditTrail) ||
+                new AuditTrail('/api/audit', window.app && window.app.components.dataStorage);
+        }
+        return this.auditTrail;
     }
 
     /**
@@ -492,46 +391,34 @@ class SecurityHardening {
     logSecurityEvent(eventType, details) {
         if (!this.securityPolicies.auditLoggingEnabled) return;
 
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            type: eventType,
-            details: details,
-            userAgent: navigator.userAgent,
-            url: window.location.href
-        };
-
-        this.securityLog.push(logEntry);
-
-        // Keep only last 1000 entries to prevent memory issues
-        if (this.securityLog.length > 1000) {
-            this.securityLog = this.securityLog.slice(-1000);
-        }
-
-        // Store in localStorage for persistence
-        try {
-            localStorage.setItem('security_log', JSON.stringify(this.securityLog));
-        } catch (error) {
-            console.warn('Could not save security log:', error);
-        }
+        this.getAuditTrail().record(AUDIT_ACTIONS.securityEvent, {
+            details: {
+                type: eventType,
+                ...details,
+                userAgent: navigator.userAgent,
+                url: window.location.href
+            }
+        });
 
         // Log to console in development
         if (window.location.hostname === 'localhost') {
-            console.log('🔒 Security Event:', logEntry);
+            console.log('🔒 Security Event:', eventType, details);
         }
     }
 
     /**
      * Get security log for review
      */
-    getSecurityLog() {
-        return [...this.securityLog];
+    async getSecurityLog() {
+        const result = await this.getAuditTrail().query({ action: AUDIT_ACTIONS.securityEvent });
+        return result.entries;
     }
 
     /**
      * Export security log for external review
      */
-    exportSecurityLog() {
-        const logData = JSON.stringify(this.securityLog, null, 2);
+    async exportSecurityLog() {
+        const logData = JSON.stringify(await this.getSecurityLog(), null, 2);
         const blob = new Blob([logData], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
 
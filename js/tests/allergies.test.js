@@ -0,0 +1,103 @@
+/**
+ * Allergy Tests
+ * Tests for the allergy list and the prescribing alerts raised by allergies and contraindications
+ */
+
+const allergyPatient = {
+    id: 'allergy-patient-1',
+    firstName: 'Yacine',
+    lastName: 'Haddad',
+    dateOfBirth: '1966-03-08',
+    placeOfResidence: 'Annaba',
+    gender: 'male',
+    respiratoryDiagnoses: ['asthma'],
+    allergies: [
+        { id: 'allergy-1', substance: 'Pénicilline', reaction: 'Urticaire géante', severity: 'severe' },
+        { id: 'allergy-2', substance: 'Aspirine', reaction: 'Bronchospasme' }
+    ],
+    visits: [
+        {
+            id: 'allergy-visit-1',
+            visitDate: '2024-03-04',
+            treatments: [{ id: 'allergy-treatment-1', drug: 'Budésonide/formotérol', device: 'dpi' }]
+        }
+    ]
+};
+
+/**
+ * Copy of the patient with an extra visit
+ * @param {Object} visit - Visit to add
+ * @returns {Object} Patient data
+ */
+function withAllergyVisit(visit) {
+    const patient = JSON.parse(JSON.stringify(allergyPatient));
+    patient.visits.push({ id: 'allergy-visit-2', visitDate: '2024-06-10', ...visit });
+    return patient;
+}
+
+describe('Allergies', () => {
+    test('should normalize the submitted rows and drop the rows without a substance', () => {
+        const allergies = normalizeAllergies([, { id: 'a', substance: ' Iode ', reaction: '', severity: 'mild' }, { reaction: 'Prurit' }]);
+
+        expect(allergies).toEqual([{ id: 'a', substance: 'Iode', severity: 'mild' }]);
+        expect(normalizeAllergies(undefined)).toEqual([]);
+    });
+
+    test('should require a substance and reject unknown classes and severities', () => {
+        const errors = validateAllergies([
+            { substance: 'Amoxicilline', severity: 'severe' },
+            { reaction: 'x'.repeat(201), drugClass: 'antihistamines', severity: 'fatal' }
+        ]);
+
+        expect(errors.map(error => error.field)).toEqual([
+            'allergies[1].substance', 'allergies[1].reaction', 'allergies[1].drugClass', 'allergies[1].severity'
+        ]);
+        expect(errors[1].message).toBe(ERROR_MESSAGES.validation.maxLength.replace('{max}', 200));
+        expect(errors[3].message).toBe('Severity must be one of: mild, moderate, severe');
+        expect(new Patient({ ...allergyPatient, allergies: [{ substance: '' }] }).validate().errors
+            .map(error => error.field)).toEqual(['allergies[0].substance']);
+    });
+
+    test('should describe an allergy in French', () => {
+        expect(describeAllergy(allergyPatient.allergies[0])).toBe('Pénicilline (Sévère) : Urticaire géante');
+        expect(drugClassesOf('Ibuprofène 400 mg')).toEqual(['nsaids']);
+    });
+});
+
+describe('Prescribing alerts', () => {
+    test('should not alert on a prescription unrelated to the allergies', () => {
+        expect(prescribingAlerts(allergyPatient)).toEqual([]);
+    });
+
+    test('should alert on a drug of the class of an allergy, in a treatment line or the free-text prescription', () => {
+        const alerts = prescribingAlerts(withAllergyVisit({
+            treatments: [{ id: 'allergy-treatment-2', drug: 'Amoxicilline', dose: '1 g' }],
+            cat: 'Ibuprofène 400 mg si douleur'
+        }));
+
+        expect(alerts.map(({ type, visitId, drug, severity }) => ({ type, visitId, drug, severity }))).toEqual([
+            { type: 'allergy', visitId: 'allergy-visit-2', drug: 'Amoxicilline', severity: 'severe' },
+            { type: 'allergy', visitId: 'allergy-visit-2', drug: 'ibuprofene', severity: null }
+        ]);
+        expect(alerts[0].message).toBe('Amoxicilline : allergie connue à Pénicilline (Sévère) : Urticaire géante');
+    });
+
+    test('should alert on a non-selective beta-blocker in asthma', () => {
+        const patient = withAllergyVisit({ treatments: [{ drug: 'Propranolol', dose: '40 mg' }] });
+
+        expect(prescribingAlerts(patient).map(alert => alert.message))
+            .toEqual(['Propranolol : Bêtabloquant non sélectif contre-indiqué dans l\'asthme (bronchospasme)']);
+        expect(prescribingAlerts({ ...patient, respiratoryDiagnoses: [] })).toEqual([]);
+    });
+
+    test('should only ask to acknowledge the alerts the stored record did not raise', () => {
+        const stored = withAllergyVisit({ treatments: [{ drug: 'Amoxicilline' }] });
+        const edited = JSON.parse(JSON.stringify(stored));
+        edited.visits[1].cat = 'Bromazépam 6 mg le soir';
+        edited.problems = [{ code: 'J96.1', status: 'active' }];
+
+        expect(newPrescribingAlerts(stored, stored)).toEqual([]);
+        expect(newPrescribingAlerts(edited, stored).map(alert => alert.type)).toEqual(['contraindication']);
+        expect(newPrescribingAlerts(edited)).toHaveLength(2);
+    });
+});
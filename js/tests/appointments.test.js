@@ -0,0 +1,113 @@
+/**
+ * Appointment Tests
+ * Tests for the appointment validation, the agenda slots, the suggested next appointment and storage
+ */
+
+const appointmentPatient = {
+    id: 'appointment-patient-1',
+    firstName: 'Leila',
+    lastName: 'Mansouri',
+    dateOfBirth: '1982-11-23',
+    placeOfResidence: 'Constantine',
+    gender: 'female',
+    visits: []
+};
+
+describe('Appointments', () => {
+    test('should normalize a booking with the default duration and status', () => {
+        const appointment = normalizeAppointment({ patientId: 'p', date: '2024-06-03', time: '09:40', durationMinutes: '', reason: '  ' });
+
+        expect(appointment).toEqual({
+            id: appointment.id,
+            patientId: 'p',
+            date: '2024-06-03',
+            time: '09:40',
+            durationMinutes: APPOINTMENT_CONFIG.slotMinutes,
+            status: 'booked'
+        });
+        expect(validateAppointment(appointment)).toEqual([]);
+    });
+
+    test('should require a patient, a date and a time and reject unknown statuses', () => {
+        expect(validateAppointment(normalizeAppointment({ date: '03/06/2024', time: '9h', durationMinutes: 500, status: 'late' }))
+            .map(error => error.field)).toEqual(['patientId', 'date', 'time', 'durationMinutes', 'status']);
+    });
+
+    test('should find the overlapping bookings, cancelled and missed ones freeing their slot', () => {
+        const booked = [
+            { id: 'a', date: '2024-06-03', time: '09:00', durationMinutes: 20, status: 'booked' },
+            { id: 'b', date: '2024-06-03', time: '10:00', durationMinutes: 30, status: 'cancelled' }
+        ];
+
+        expect(findAppointmentConflict(booked, { id: 'c', date: '2024-06-03', time: '09:10', durationMinutes: 20, status: 'booked' }).id).toBe('a');
+        expect(findAppointmentConflict(booked, { id: 'c', date: '2024-06-03', time: '09:20', durationMinutes: 20, status: 'booked' })).toBeUndefined();
+        expect(findAppointmentConflict(booked, { id: 'c', date: '2024-06-03', time: '10:00', durationMinutes: 20, status: 'booked' })).toBeUndefined();
+        expect(findAppointmentConflict(booked, { ...booked[0], time: '09:05' })).toBeUndefined();
+    });
+
+    test('should lay out the week from Monday and the slots of the day', () => {
+        expect(agendaWeek('2024-06-05')).toEqual(['2024-06-03', '2024-06-04', '2024-06-05', '2024-06-06', '2024-06-07', '2024-06-08', '2024-06-09']);
+
+        const slots = agendaSlots('2024-06-03', [
+            { id: 'a', date: '2024-06-03', time: '08:25', durationMinutes: 20, status: 'booked' },
+            { id: 'b', date: '2024-06-03', time: '19:00', durationMinutes: 20, status: 'booked' },
+            { id: 'c', date: '2024-06-04', time: '08:00', durationMinutes: 20, status: 'booked' }
+        ]);
+        expect(slots[0]).toEqual({ time: '08:00', appointments: [] });
+        expect(slots[1].appointments.map(appointment => appointment.id)).toEqual(['a']);
+        expect(slots[slots.length - 1].time).toBe('19:00');
+        expect(slots[slots.length - 1].appointments.map(appointment => appointment.id)).toEqual(['b']);
+        expect(slots).toHaveLength(31);
+    });
+});
+
+describe('Next appointment', () => {
+    test('should suggest the date from the delay written in the plan', () => {
+        expect(suggestNextAppointment('Tiotropium. Revoir dans 3 mois avec EFR', '2024-01-31'))
+            .toEqual({ date: '2024-04-30', text: 'revoir dans 3 mois' });
+        expect(suggestNextAppointment('Contrôle à 6 semaines', '2024-06-03').date).toBe('2024-07-15');
+        expect(suggestNextAppointment('RDV dans un an', '2024-02-29').date).toBe('2025-02-28');
+        expect(suggestNextAppointment('Amoxicilline 7 jours, ventoline 3 mois', '2024-06-03')).toBeNull();
+    });
+
+    test('should require a next appointment after the visit', () => {
+        expect(validateNextAppointment({ visitDate: '2024-06-03', nextAppointment: '2024-09-03' })).toEqual([]);
+        expect(new Patient().validateVisit({ visitDate: '2024-06-03', nextAppointment: '2024-06-03' }))
+            .toEqual([{ field: 'nextAppointment', message: 'Next appointment must be after the visit date' }]);
+    });
+});
+
+describe('Appointment storage', () => {
+    let dataStorage;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(appointmentPatient)));
+    });
+
+    test('should book, list by date range and refuse an overlapping slot', async () => {
+        const { appointment } = await dataStorage.saveAppointment({ patientId: appointmentPatient.id, date: '2024-06-04', time: '10:00' });
+        await dataStorage.saveAppointment({ patientId: appointmentPatient.id, date: '2024-06-12', time: '10:00' });
+
+        await expect(dataStorage.saveAppointment({ patientId: appointmentPatient.id, date: '2024-06-04', time: '10:10' }))
+            .rejects.toThrow('The slot overlaps the appointment booked at 10:00');
+        await expect(dataStorage.saveAppointment({ patientId: 'unknown', date: '2024-06-04', time: '11:00' }))
+            .rejects.toThrow('Patient not found');
+
+        const week = await dataStorage.getAppointments({ from: '2024-06-03', to: '2024-06-09' });
+        expect(week.map(entry => entry.id)).toEqual([appointment.id]);
+
+        await dataStorage.saveAppointment({ ...appointment, status: 'arrived' });
+        expect((await dataStorage.getAppointments({ patientId: appointmentPatient.id }))[0].status).toBe('arrived');
+    });
+
+    test('should drop the appointments of a permanently deleted patient', async () => {
+        await dataStorage.saveAppointment({ patientId: appointmentPatient.id, date: '2024-06-04', time: '10:00' });
+        await dataStorage.deletePatient(appointmentPatient.id);
+        await dataStorage.purgePatient(appointmentPatient.id);
+
+        expect(await dataStorage.getAppointments()).toEqual([]);
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Attachments Tests
+ * Tests for the file type detection, the upload checks, the quota and the export of the attachments
+ */
+
+const pdfBytes = [0x25, 0x50, 0x44, 0x46, 0x2d, 0x31, 0x2e, 0x34];
+const pngBytes = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00];
+const dicomBytes = [...new Array(128).fill(0), 0x44, 0x49, 0x43, 0x4d, 0x02, 0x00];
+
+const attachmentList = [
+    { id: 'a1', visitId: null, name: 'radio-thorax.png', type: 'png', category: 'xray', size: 3 * 1024 * 1024, uploadedAt: '2024-03-01T09:00:00.000Z' },
+    { id: 'a2', visitId: 'visit-1', name: 'efr.pdf', type: 'pdf', category: 'pft', size: 512 * 1024, uploadedAt: '2024-03-02T09:00:00.000Z' },
+    { id: 'a3', visitId: 'visit-1', name: 'scanner.dcm', type: 'dicom', category: 'ct', size: 1024, uploadedAt: '2024-03-03T09:00:00.000Z' }
+];
+
+describe('Attachment types and checks', () => {
+    test('should recognize the files by their content and their extension', () => {
+        expect(detectAttachmentType(pdfBytes).key).toBe('pdf');
+        expect(detectAttachmentType([0xff, 0xd8, 0xff, 0xe0]).key).toBe('jpeg');
+        expect(detectAttachmentType(pngBytes).key).toBe('png');
+        expect(detectAttachmentType(dicomBytes).key).toBe('dicom');
+        expect(detectAttachmentType([0x50, 0x4b, 0x03, 0x04])).toBeUndefined();
+        expect(detectAttachmentType(dicomBytes.slice(0, 130))).toBeUndefined();
+
+        expect(attachmentTypeFromName('Courrier.PDF').key).toBe('pdf');
+        expect(attachmentTypeFromName('radio.jpeg').key).toBe('jpeg');
+        expect(attachmentTypeFromName('IM0001.dcm').key).toBe('dicom');
+        expect(attachmentTypeFromName('compte-rendu.docx')).toBeUndefined();
+        expect(attachmentTypeFromName('dcm')).toBeUndefined();
+    });
+
+    test('should check the name, the category, the description and the size', () => {
+        expect(validateAttachment({ name: 'efr.pdf', category: 'pft', description: 'EFR de contrôle', size: 1024 })).toEqual([]);
+
+        const errors = validateAttachment({
+            name: 'notes.docx',
+            category: 'ecg',
+            description: 'x'.repeat(ATTACHMENT_CONFIG.descriptionMaxLength + 1),
+            size: ATTACHMENT_CONFIG.maxFileBytes + 1
+        });
+        expect(errors.map(error => error.field)).toEqual(['name', 'category', 'description', 'size']);
+        expect(errors[0].message).toBe('File type must be one of: PDF, JPEG, PNG, DICOM');
+        expect(errors[3].message).toBe('The file is larger than 20 MB');
+
+        expect(validateAttachment({ name: '', size: 0 })).toEqual([
+            { field: 'name', message: ERROR_MESSAGES.validation.required },
+            { field: 'size', message: 'The file is empty' }
+        ]);
+    });
+
+    test('should compute the space left in the quota and sort the attachments of a visit', () => {
+        expect(attachmentUsage(attachmentList)).toEqual({
+            used: 3 * 1024 * 1024 + 512 * 1024 + 1024,
+            quota: ATTACHMENT_CONFIG.patientQuotaBytes,
+            remaining: ATTACHMENT_CONFIG.patientQuotaBytes - (3 * 1024 * 1024 + 512 * 1024 + 1024)
+        });
+        expect(attachmentUsage([]).used).toBe(0);
+
+        expect(attachmentsForVisit(attachmentList, 'visit-1').map(attachment => attachment.id)).toEqual(['a3', 'a2']);
+        expect(attachmentsForVisit(attachmentList, null).map(attachment => attachment.id)).toEqual(['a1']);
+    });
+});
+
+describe('Attachments export and import', () => {
+    const attachmentPatient = {
+        id: 'attachment-patient-1',
+        firstName: 'Karim',
+        lastName: 'Haddad',
+        dateOfBirth: '1958-02-14',
+        placeOfResidence: 'Blida',
+        gender: 'male',
+        visits: []
+    };
+
+    // Stands in for the server: keeps the uploaded attachments per patient
+    const createAttachmentManager = () => ({
+        stored: {},
+        async exportPatient(patientId) {
+            return this.stored[patientId] || [];
+        },
+        async importPatient(patientId, attachments) {
+            this.stored[patientId] = [...(this.stored[patientId] || []), ...attachments];
+            return { importedCount: attachments.length, skippedCount: 0, errors: [] };
+        }
+    });
+
+    let dataStorage;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(attachmentPatient)));
+    });
+
+    test('should include the attachments of the exported patients with their content', async () => {
+        const attachmentManager = createAttachmentManager();
+        attachmentManager.stored['attachment-patient-1'] = [{ ...attachmentList[1], data: 'JVBERi0xLjQ=' }];
+
+        const exportData = await dataStorage.exportPatients(null, { attachmentManager });
+        expect(exportData.attachments).toEqual({ 'attachment-patient-1': [{ ...attachmentList[1], data: 'JVBERi0xLjQ=' }] });
+        expect((await dataStorage.exportPatients()).attachments).toBeUndefined();
+    });
+
+    test('should upload the attachments of an import to the server', async () => {
+        const attachmentManager = createAttachmentManager();
+        const importData = {
+            patients: { 'attachment-patient-2': { ...attachmentPatient, id: 'attachment-patient-2' } },
+            attachments: { 'attachment-patient-2': [{ ...attachmentList[0], data: 'iVBORw0KGgo=' }] }
+        };
+
+        const result = await dataStorage.importPatients(importData, { attachmentManager });
+        expect(result.importedCount).toBe(1);
+        expect(attachmentManager.stored['attachment-patient-2'].map(attachment => attachment.id)).toEqual(['a1']);
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * Audit Trail Tests
+ * Tests for field-level diffs, the PatientManager audit events and the encrypted queue of events
+ * waiting for the server
+ */
+
+// Storage mock keeping patients as plain objects
+class MockAuditDataStorage {
+    constructor() {
+        this.isInitialized = true;
+        this.patients = {};
+    }
+
+    async savePatient(patientData) {
+        this.patients[patientData.id] = patientData;
+        return { success: true, revision: (patientData.revision || 0) + 1 };
+    }
+
+    async loadPatient(patientId) {
+        const patientData = this.patients[patientId];
+        return patientData ? Patient.fromJSON(patientData) : null;
+    }
+
+    async deletePatient(patientId) {
+        delete this.patients[patientId];
+        return { success: true };
+    }
+}
+
+// Audit trail mock collecting recorded events
+class MockAuditTrail {
+    constructor() {
+        this.events = [];
+    }
+
+    async record(action, data) {
+        this.events.push({ action, ...data });
+        return { success: true };
+    }
+}
+
+const auditedPatient = {
+    id: 'audit-patient-1',
+    firstName: 'Amine',
+    lastName: 'Benali',
+    dateOfBirth: '1970-04-02',
+    age: 54,
+    placeOfResidence: 'Oran',
+    gender: 'male',
+    visits: [
+        { id: 'visit-1', visitDate: '2024-01-15', cat: 'Ventoline', observations: 'Sibilants' }
+    ],
+    revision: 1,
+    createdAt: 1705123200000,
+    updatedAt: 1705123200000
+};
+
+describe('diffPatientRecords', () => {
+    test('should list changed top-level fields with before and after values', () => {
+        const changes = diffPatientRecords(auditedPatient, { ...auditedPatient, placeOfResidence: 'Alger' });
+
+        expect(changes).toEqual([{ field: 'placeOfResidence', before: 'Oran', after: 'Alger' }]);
+    });
+
+    test('should ignore bookkeeping fields', () => {
+        const changes = diffPatientRecords(auditedPatient, { ...auditedPatient, revision: 2, updatedAt: Date.now() });
+
+        expect(changes).toEqual([]);
+    });
+
+    test('should diff visits by ID', () => {
+        const updated = {
+            ...auditedPatient,
+            visits: [
+                { ...auditedPatient.visits[0], cat: 'Symbicort' },
+                { id: 'visit-2', visitDate: '2024-03-01' }
+            ]
+        };
+
+        const changes = diffPatientRecords(auditedPatient, updated);
+
+        expect(changes).toContainEqual({ field: 'visits[visit-1].cat', before: 'Ventoline', after: 'Symbicort' });
+        expect(changes).toContainEqual({ field: 'visits[visit-2]', before: null, after: updated.visits[1] });
+    });
+
+    test('should report removed visits', () => {
+        const changes = diffPatientRecords(auditedPatient, { ...auditedPatient, visits: [] });
+
+        expect(changes).toEqual([{ field: 'visits[visit-1]', before: auditedPatient.visits[0], after: null }]);
+    });
+});
+
+describe('PatientManager audit events', () => {
+    let storage;
+    let auditTrail;
+    let patientManager;
+
+    beforeEach(async () => {
+        storage = new MockAuditDataStorage();
+        storage.patients[auditedPatient.id] = JSON.parse(JSON.stringify(auditedPatient));
+        auditTrail = new MockAuditTrail();
+        patientManager = new PatientManager();
+        await patientManager.initialize(storage, null, auditTrail);
+    });
+
+    test('should record field-level changes on update', async () => {
+        await patientManager.updatePatient(auditedPatient.id, {
+            placeOfResidence: 'Tlemcen',
+            revision: auditedPatient.revision
+        });
+
+        expect(auditTrail.events).toHaveLength(1);
+        expect(auditTrail.events[0].action).toBe(AUDIT_ACTIONS.patientUpdate);
+        expect(auditTrail.events[0].patientId).toBe(auditedPatient.id);
+        expect(auditTrail.events[0].changes).toEqual([
+            { field: 'placeOfResidence', before: 'Oran', after: 'Tlemcen' }
+        ]);
+    });
+
+    test('should record patient views', async () => {
+        await patientManager.getPatient(auditedPatient.id);
+
+        expect(auditTrail.events).toEqual([{ action: AUDIT_ACTIONS.patientView, patientId: auditedPatient.id }]);
+    });
+
+    test('should record deletions with the removed values', async () => {
+        await patientManager.deletePatient(auditedPatient.id);
+
+        expect(auditTrail.events[0].action).toBe(AUDIT_ACTIONS.patientDelete);
+        expect(auditTrail.events[0].changes).toContainEqual({ field: 'lastName', before: 'Benali', after: null });
+    });
+});
+
+describe('AuditTrail queue', () => {
+    const PASSPHRASE = 'cabinet pneumo blida';
+    const change = { field: 'atcdsMedicaux', before: 'Asthme', after: 'Tuberculose 1998' };
+    let dataStorage;
+    let auditTrail;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        auditTrail = new AuditTrail('/api/audit', dataStorage);
+        global.fetch = jest.fn().mockRejectedValue(new Error('Network down'));
+    });
+
+    afterEach(() => {
+        delete global.fetch;
+    });
+
+    test('should keep the events waiting for the server encrypted', async () => {
+        await dataStorage.unlock(PASSPHRASE);
+
+        const result = await auditTrail.record(AUDIT_ACTIONS.patientUpdate, { patientId: 'p1', changes: [change] });
+
+        const stored = localStorage.getItem('pms_audit_queue');
+        expect(result.queued).toBe(true);
+        expect(stored.startsWith(ENCRYPTION_CONFIG.envelopePrefix)).toBe(true);
+        expect(stored).not.toContain('Tuberculose');
+
+        // Once the server answers, the queued event is sent with its values and removed
+        global.fetch.mockResolvedValue({ ok: true });
+        await auditTrail.flushPending();
+
+        expect(JSON.parse(global.fetch.mock.calls[1][1].body).changes).toEqual([change]);
+        expect(await auditTrail.readQueue()).toEqual([]);
+    });
+
+    test('should encrypt a queue written before the passphrase was set up', async () => {
+        await auditTrail.record(AUDIT_ACTIONS.patientUpdate, { patientId: 'p1', changes: [change] });
+        expect(localStorage.getItem('pms_audit_queue')).toContain('Tuberculose');
+
+        await dataStorage.unlock(PASSPHRASE);
+
+        expect(localStorage.getItem('pms_audit_queue')).not.toContain('Tuberculose');
+        expect((await auditTrail.readQueue())[0].changes).toEqual([change]);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * COPD and Asthma Classification Tests
+ * Tests for the GOLD grade and group, the GINA step and the worsening warnings computed on save
+ */
+
+// Synthetic reference predicting FEV1 = 0.02 × height (3.4 L at 170 cm); NOT the GLI-2012 values.
+const classificationEquations = {
+    m: [Math.log(0.02), 1, 0],
+    s: [Math.log(0.1), 0],
+    l: [1, 0],
+    splines: [[5, 0, 0], [50, 0, 0], [95, 0, 0]]
+};
+const classificationReference = {
+    fev1: { male: classificationEquations, female: classificationEquations }
+};
+
+const copdPatient = {
+    id: 'copd-patient-1',
+    firstName: 'Rachid',
+    lastName: 'Hamdi',
+    dateOfBirth: '1955-06-12',
+    placeOfResidence: 'Constantine',
+    gender: 'male',
+    respiratoryDiagnoses: ['copd'],
+    visits: [
+        {
+            id: 'copd-visit-1',
+            visitDate: '2024-01-10',
+            questionnaires: { cat: { answers: [1, 1, 1, 1, 1, 1, 1, 1], score: 8 } },
+            exacerbations: { moderate: 0, hospitalized: 0 },
+            pft: { heightCm: 170, fev1: { post: 1.7 }, fvc: { post: 3 }, fev1Fvc: { post: 56.7 } }
+        }
+    ]
+};
+
+describe('GOLD classification', () => {
+    afterEach(() => {
+        registerGli2012Reference(null);
+    });
+
+    test('should grade the obstruction from the FEV1 percent predicted', () => {
+        expect(goldGrade(85)).toBe(1);
+        expect(goldGrade(50)).toBe(2);
+        expect(goldGrade(49.9)).toBe(3);
+        expect(goldGrade(20)).toBe(4);
+        expect(goldGrade(null)).toBeNull();
+    });
+
+    test('should classify the group from exacerbations first, then symptoms', () => {
+        const classify = visit => classifyGold(copdPatient, [{ visitDate: '2024-01-10', ...visit }]).group;
+
+        expect(classify({ exacerbations: { moderate: 0, hospitalized: 0 }, questionnaires: { cat: { score: 8 } } })).toBe('A');
+        expect(classify({ exacerbations: { moderate: 1 }, questionnaires: { mmrc: { score: 2 } } })).toBe('B');
+        expect(classify({ exacerbations: { moderate: 0, hospitalized: 1 }, questionnaires: { cat: { score: 4 } } })).toBe('E');
+        expect(classifyGold(copdPatient, [{ visitDate: '2024-01-10', questionnaires: { cat: { score: 25 } } }])).toBeNull();
+    });
+
+    test('should store the grade and group with their inputs', () => {
+        registerGli2012Reference(classificationReference);
+
+        const [visit] = classifyVisits(copdPatient);
+
+        expect(visit.classification.gold).toEqual({
+            grade: 2,
+            group: 'A',
+            inputs: {
+                cat: 8,
+                mmrc: null,
+                moderateExacerbations: 0,
+                hospitalizedExacerbations: 0,
+                spirometryPhase: 'post',
+                fev1Fvc: 56.7,
+                fev1PercentPredicted: 50
+            }
+        });
+        expect(visit.classification.gina).toBeNull();
+        expect(describeClassification(visit.classification)).toEqual(['GOLD 2 · A']);
+    });
+
+    test('should leave the grade undetermined without a reference table or an obstruction', () => {
+        expect(classifyVisits(copdPatient)[0].classification.gold.grade).toBeNull();
+
+        registerGli2012Reference(classificationReference);
+        const unobstructed = { ...copdPatient, visits: [{ ...copdPatient.visits[0], pft: { heightCm: 170, fev1: { post: 2.8 }, fvc: { post: 3.5 } } }] };
+        expect(classifyVisits(unobstructed)[0].classification.gold.grade).toBeNull();
+    });
+
+    test('should not classify patients without the diagnosis', () => {
+        const [visit] = classifyVisits({ ...copdPatient, respiratoryDiagnoses: [] });
+
+        expect(visit.classification).toBeNull();
+    });
+});
+
+describe('GINA classification', () => {
+    test('should step up a partly controlled or uncontrolled asthma', () => {
+        const classify = (asthmaStep, act) => classifyGina([{ visitDate: '2024-02-01', asthmaStep, questionnaires: { act: { score: act } } }]);
+
+        expect(classify(2, 22)).toEqual({ step: 2, control: 'wellControlled', inputs: { act: 22, treatmentStep: 2 } });
+        expect(classify(3, 17).step).toBe(4);
+        expect(classify(5, 12)).toEqual({ step: 5, control: 'uncontrolled', inputs: { act: 12, treatmentStep: 5 } });
+        expect(classifyGina([{ visitDate: '2024-02-01' }])).toBeNull();
+    });
+
+    test('should use the inputs of the previous 12 months when the visit has none', () => {
+        const history = [
+            { visitDate: '2024-06-01', questionnaires: { act: { score: 15 } } },
+            { visitDate: '2024-01-15', asthmaStep: 3 },
+            { visitDate: '2022-01-15', asthmaStep: 1, questionnaires: { act: { score: 25 } } }
+        ];
+
+        expect(classifyGina(history).inputs).toEqual({ act: 15, treatmentStep: 3 });
+        expect(classifyGina(history.slice(1)).inputs).toEqual({ act: null, treatmentStep: 3 });
+    });
+
+    test('should reject counts and steps out of range', () => {
+        expect(validateClassificationInputs({ exacerbations: { moderate: 1.5, hospitalized: 30 }, asthmaStep: 6 })).toEqual([
+            { field: 'exacerbations.moderate', message: ERROR_MESSAGES.validation.number },
+            { field: 'exacerbations.hospitalized', message: 'Must be between 0 and 20' },
+            { field: 'asthmaStep', message: 'Must be between 1 and 5' }
+        ]);
+        expect(new Patient({ ...copdPatient, respiratoryDiagnoses: ['bronchiectasis'] }).validate().errors
+            .map(error => error.field)).toEqual(['respiratoryDiagnoses']);
+    });
+});
+
+describe('Classification on save', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify({
+            ...copdPatient,
+            respiratoryDiagnoses: ['copd', 'asthma'],
+            visits: [{
+                ...copdPatient.visits[0],
+                asthmaStep: 2,
+                questionnaires: { ...copdPatient.visits[0].questionnaires, act: { answers: [4, 4, 5, 4, 4], score: 21 } }
+            }]
+        })));
+    });
+
+    test('should classify the visits when the patient is updated', async () => {
+        const result = await patientManager.updatePatient('copd-patient-1', { placeOfResidence: 'Batna' });
+
+        expect(result.patient.visits[0].classification.gina.step).toBe(2);
+        expect(result.classificationWarnings).toEqual([]);
+    });
+
+    test('should warn once when the classification worsened since the previous visit', async () => {
+        const patient = await patientManager.getPatient('copd-patient-1');
+        const visits = [...patient.visits, {
+            id: 'copd-visit-2',
+            visitDate: '2024-09-02',
+            exacerbations: { moderate: 2, hospitalized: 0 },
+            questionnaires: { act: { answers: [3, 3, 3, 3, 3], score: 15 } }
+        }];
+
+        const result = await patientManager.updatePatient('copd-patient-1', { visits });
+        const latest = result.patient.visits.find(visit => visit.id === 'copd-visit-2');
+
+        expect(latest.classification.gold.group).toBe('E');
+        expect(result.classificationWarnings.map(warning => warning.measure)).toEqual(['goldGroup', 'ginaStep', 'asthmaControl']);
+        expect(result.classificationWarnings[0].message).toBe('Classification worsened: group A → group E');
+
+        const again = await patientManager.updatePatient('copd-patient-1', { placeOfResidence: 'Batna' });
+        expect(again.classificationWarnings).toEqual([]);
+        expect((await dataStorage.getAllPatients())[0].classification.worsened).toHaveLength(3);
+    });
+});
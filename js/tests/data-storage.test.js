@@ -186,15 +186,17 @@ describe('DataStorageManager', () => {
          test('should update existing patient', async () => {
             // First save
             const patient = new Patient(mockPatientData);
-            await dataStorageManager.savePatient(patient.toJSON());
+            const firstResult = await dataStorageManager.savePatient(patient.toJSON());
 
-            // Update patient
+            // Update patient based on the saved revision
+            patient.revision = firstResult.revision;
             patient.placeOfResidence = 'Updated City';
             patient.touch();
 
             const result = await dataStorageManager.savePatient(patient.toJSON());
 
             expect(result.success).toBe(true);
+            expect(result.revision).toBe(firstResult.revision + 1);
             expect(dataStorageManager.patientsIndex.get(mockPatientData.id).placeOfResidence).toBe('Updated City');
          });
       });
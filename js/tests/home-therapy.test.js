@@ -0,0 +1,126 @@
+/**
+ * Home Therapy Tests
+ * Tests for the long-term oxygen therapy and home ventilation register and its renewal reminders
+ */
+
+const homeTherapyPatient = {
+    id: 'home-therapy-patient-1',
+    firstName: 'Mohamed',
+    lastName: 'Bensalem',
+    dateOfBirth: '1951-09-30',
+    placeOfResidence: 'Constantine',
+    gender: 'male',
+    homeTherapies: [
+        {
+            id: 'therapy-1', type: 'ltot', device: 'concentrator', flowRate: 2, hoursPerDay: 16, supplier: 'Oxy Santé',
+            startDate: '2023-06-01', renewalDate: '2024-06-01', bloodGasDate: '2023-05-20', pao2: 52, paco2: 46
+        },
+        {
+            id: 'therapy-2', type: 'niv', device: 'bilevel', hoursPerDay: 8, supplier: 'Oxy Santé',
+            startDate: '2023-09-01', renewalDate: '2024-09-01', pao2: 58, paco2: 54
+        }
+    ],
+    visits: []
+};
+
+describe('Home therapies', () => {
+    test('should normalize the submitted rows and drop the rows with nothing but the type', () => {
+        const therapies = normalizeHomeTherapies({
+            0: { id: 't', type: 'ltot', device: 'liquidOxygen', flowRate: '1,5', hoursPerDay: '', supplier: ' Oxy ', startDate: '2024-01-15' },
+            1: { id: 'u', type: 'niv', device: '', supplier: '   ' }
+        });
+
+        expect(therapies).toEqual([
+            { id: 't', type: 'ltot', device: 'liquidOxygen', supplier: 'Oxy', startDate: '2024-01-15', flowRate: 1.5 }
+        ]);
+    });
+
+    test('should require the dates and check the device, the ranges and the renewal', () => {
+        const errors = validateHomeTherapies([
+            homeTherapyPatient.homeTherapies[0],
+            { type: 'ltot', device: 'bilevel', flowRate: 20, startDate: '2024-03-01', renewalDate: '2024-02-01', pao2: 'abc' }
+        ]);
+
+        expect(errors.map(error => error.field)).toEqual([
+            'homeTherapies[1].device',
+            'homeTherapies[1].renewalDate',
+            'homeTherapies[1].flowRate',
+            'homeTherapies[1].pao2'
+        ]);
+        expect(errors[0].message).toBe('Device does not match the therapy type');
+        expect(errors[1].message).toBe('Date must be after the start date');
+        expect(validateHomeTherapy({ type: 'cpap' }).map(error => error.field)).toEqual(['type', 'startDate', 'renewalDate']);
+    });
+
+    test('should summarize the active prescriptions for the index and describe them', () => {
+        const therapies = [
+            ...homeTherapyPatient.homeTherapies,
+            { id: 'therapy-3', type: 'ltot', startDate: '2020-01-01', renewalDate: '2021-01-01', stopDate: '2020-06-01' }
+        ];
+
+        expect(homeTherapySummary(therapies).map(summary => summary.therapyId)).toEqual(['therapy-1', 'therapy-2']);
+        expect(homeTherapySummary([therapies[2]])).toBeNull();
+        expect(homeTherapyDaysLeft('2024-06-01', '2024-05-02')).toBe(30);
+        expect(describeHomeTherapy(therapies[0])).toBe('OLD · Concentrateur · 2 L/min · 16 h/j · renouvellement le 2024-06-01');
+    });
+
+    test('should validate the register with the patient', () => {
+        const patient = new Patient({ ...JSON.parse(JSON.stringify(homeTherapyPatient)), homeTherapies: [{ type: 'niv', startDate: '2024-01-01' }] });
+
+        expect(patient.validate().errors).toEqual([{ field: 'homeTherapies[0].renewalDate', message: ERROR_MESSAGES.validation.required }]);
+    });
+});
+
+describe('Home therapy register and reminders', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(homeTherapyPatient)));
+        await dataStorage.savePatient({
+            ...JSON.parse(JSON.stringify(homeTherapyPatient)),
+            id: 'home-therapy-patient-2',
+            firstName: 'Fatima',
+            homeTherapies: [{ id: 'therapy-4', type: 'ltot', device: 'cylinder', startDate: '2023-07-01', renewalDate: '2024-05-15' }]
+        });
+    });
+
+    test('should list every active prescription by renewal due date', async () => {
+        const register = await patientManager.getHomeTherapyRegister('2024-05-01');
+
+        expect(register.map(entry => [entry.id, entry.homeTherapy.therapyId, entry.daysLeft])).toEqual([
+            ['home-therapy-patient-2', 'therapy-4', 14],
+            ['home-therapy-patient-1', 'therapy-1', 31],
+            ['home-therapy-patient-1', 'therapy-2', 123]
+        ]);
+
+        const html = new HomeTherapyView(patientManager).renderEntry(register[0]);
+        expect(html).toContain('Fatima Bensalem');
+        expect(html).toContain('Bouteilles');
+        expect(html).toContain('dans 14 jours');
+    });
+
+    test('should remind the prescriptions lapsed or lapsing within the notice period', async () => {
+        expect((await patientManager.getHomeTherapyReminders('2024-05-01')).map(entry => entry.homeTherapy.therapyId))
+            .toEqual(['therapy-4']);
+        expect((await patientManager.getHomeTherapyReminders('2024-06-05')).map(entry => [entry.homeTherapy.therapyId, entry.daysLeft]))
+            .toEqual([['therapy-4', -21], ['therapy-1', -4]]);
+        expect((await patientManager.getHomeTherapyReminders('2024-05-01', 60)).map(entry => entry.homeTherapy.therapyId))
+            .toEqual(['therapy-4', 'therapy-1']);
+    });
+
+    test('should leave the register once a prescription is stopped', async () => {
+        const patient = await dataStorage.loadPatient('home-therapy-patient-2');
+        patient.homeTherapies[0].stopDate = '2024-04-20';
+        await dataStorage.savePatient(patient.toJSON());
+
+        expect((await patientManager.getHomeTherapyRegister('2024-05-01')).map(entry => entry.id))
+            .toEqual(['home-therapy-patient-1', 'home-therapy-patient-1']);
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * Lab Results Tests
+ * Tests for the lab test catalog, the reference range flags, the CSV import and the lab trends
+ */
+
+const labPatient = {
+    id: 'lab-patient-1',
+    firstName: 'Nadia',
+    lastName: 'Boukhalfa',
+    dateOfBirth: '1962-11-03',
+    placeOfResidence: 'Oran',
+    gender: 'female',
+    visits: [
+        {
+            id: 'visit-1',
+            visitDate: '2024-01-10',
+            consultation: 'Dyspnée d\'effort',
+            labResults: { ph: 7.41, pao2: 71, paco2: 44, crp: 3 }
+        },
+        {
+            id: 'visit-2',
+            visitDate: '2024-04-12',
+            consultation: 'Contrôle',
+            labResults: { pao2: 64, hemoglobin: 11.4 }
+        }
+    ]
+};
+
+describe('Lab test catalog', () => {
+    test('should flag the results outside the reference range, by sex when it differs', () => {
+        expect(flagLabResult('pao2', 64)).toBe('low');
+        expect(flagLabResult('paco2', 52)).toBe('high');
+        expect(flagLabResult('crp', 0)).toBeNull();
+        expect(flagLabResult('hemoglobin', 12.5, 'female')).toBeNull();
+        expect(flagLabResult('hemoglobin', 12.5, 'male')).toBe('low');
+        expect(flagLabResult('hemoglobin', 12.5)).toBeNull();
+        expect(formatLabRange(labReferenceRange('crp'), 'mg/L')).toBe('< 5 mg/L');
+        expect(formatLabRange(labReferenceRange('hematocrit', 'male'), '%')).toBe('40-54 %');
+    });
+
+    test('should find the tests by the names of the laboratory exports and convert their units', () => {
+        expect(findLabTest('Éosinophiles').key).toBe('eosinophils');
+        expect(findLabTest('pCO2').key).toBe('paco2');
+        expect(findLabTest('Ferritine')).toBeUndefined();
+        expect(convertLabValue(getLabTest('pao2'), 8.2, 'kPa')).toBe(62);
+        expect(convertLabValue(getLabTest('eosinophils'), 0.45, 'G/L')).toBe(450);
+        expect(convertLabValue(getLabTest('hemoglobin'), 118, 'g/L')).toBe(11.8);
+        expect(convertLabValue(getLabTest('crp'), 4, 'mmol/L')).toBeNull();
+    });
+
+    test('should normalize and validate the results of a visit', () => {
+        expect(normalizeLabResults({ ph: '7,38', pao2: '', crp: ' 12 ', unknown: 4 })).toEqual({ ph: 7.38, crp: 12 });
+        expect(normalizeLabResults({ pao2: '' })).toBeNull();
+
+        const errors = validateLabResults({ ph: 9.2, pao2: 'abc', eosinophils: 300 });
+        expect(errors.map(error => error.field)).toEqual(['labResults.ph', 'labResults.pao2']);
+        expect(errors[1].message).toBe(ERROR_MESSAGES.validation.number);
+    });
+
+    test('should validate the results with the visit', () => {
+        const patient = new Patient(JSON.parse(JSON.stringify(labPatient)));
+        patient.visits[1].labResults.platelets = 5000;
+
+        expect(patient.validate().errors).toEqual([{
+            field: 'visits[1].labResults.platelets',
+            message: ERROR_MESSAGES.validation.range.replace('{min}', 0).replace('{max}', 3000)
+        }]);
+    });
+});
+
+describe('Lab CSV import', () => {
+    const csv = [
+        'Date de prélèvement;Analyse;Résultat;Unité',
+        '12/04/2024;PaO2;8,2;kPa',
+        '12/04/2024;PaCO2;"6,1";kPa',
+        '2024-05-02;Polynucléaires éosinophiles;0,62;G/L',
+        '2024-05-02;Ferritine;120;µg/L',
+        '31/02/2024;CRP;12;mg/L',
+        '2024-05-02;CRP;< 5;mg/L',
+        '2024-05-02;CRP;2;mmol/L',
+        '2024-05-02;Plaquettes;9000;G/L',
+        '2099-01-01;CRP;4;mg/L',
+        ''
+    ].join('\r\n');
+
+    test('should read the results and report the lines that cannot be imported', () => {
+        const { results, errors } = parseLabCsv(csv, '2024-06-01');
+
+        expect(results).toEqual([
+            { line: 2, date: '2024-04-12', test: 'pao2', value: 62 },
+            { line: 3, date: '2024-04-12', test: 'paco2', value: 46 },
+            { line: 4, date: '2024-05-02', test: 'eosinophils', value: 620 }
+        ]);
+        expect(errors).toEqual([
+            { line: 5, message: 'Unknown test: Ferritine' },
+            { line: 6, message: 'Invalid date: 31/02/2024' },
+            { line: 7, message: 'CRP: value is not a number: < 5' },
+            { line: 8, message: 'CRP: unknown unit: mmol/L' },
+            { line: 9, message: 'Plaquettes: ' + ERROR_MESSAGES.validation.range.replace('{min}', 0).replace('{max}', 3000) },
+            { line: 10, message: 'Date is in the future: 2099-01-01' }
+        ]);
+    });
+
+    test('should require the date, test and value columns', () => {
+        expect(parseLabCsv('Date,Examen\n2024-01-01,CRP').errors).toEqual([{ line: 1, message: 'Missing columns: value' }]);
+        expect(parseLabCsv('').errors).toEqual([{ line: 1, message: 'The file is empty' }]);
+    });
+});
+
+describe('Lab results import and trends', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(labPatient)));
+    });
+
+    test('should attach the results to the visit of their day or to a new visit', async () => {
+        const patient = await dataStorage.loadPatient('lab-patient-1');
+        const { results } = parseLabCsv('Date;Test;Valeur\n12/04/2024;PaCO2;47\n2024-05-02;CRP;18', '2024-06-01');
+        const result = await patientManager.importLabResults('lab-patient-1', results, patient.revision);
+
+        expect(result.imported).toBe(2);
+        expect(result.createdVisits).toBe(1);
+        expect(result.patient.visits.find(visit => visit.id === 'visit-2').labResults).toEqual({ pao2: 64, hemoglobin: 11.4, paco2: 47 });
+        expect(result.patient.visits.find(visit => visit.visitDate === '2024-05-02').labResults).toEqual({ crp: 18 });
+        expect(latestLabResults(result.patient.visits).crp).toEqual({ value: 18, visitDate: '2024-05-02' });
+    });
+
+    test('should plot each test with its reference range for the sex of the patient', () => {
+        const trends = buildPatientTrends(labPatient);
+        const pao2 = trends.find(trend => trend.measure.key === 'pao2');
+        const hemoglobin = trends.find(trend => trend.measure.key === 'hemoglobin');
+
+        expect(pao2.series[0].points.map(point => point.value)).toEqual([71, 64]);
+        expect(pao2.band[0]).toMatchObject({ lower: 80, upper: 100 });
+        expect(hemoglobin.band[0]).toMatchObject({ lower: 12, upper: 16 });
+        expect(trends.some(trend => trend.measure.key === 'aat')).toBe(false);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Medication and Prescription Tests
+ * Tests for the treatment lines of a visit, their carry forward and the printed prescription
+ */
+
+const medicationPatient = {
+    id: 'medication-patient-1',
+    firstName: 'Samir',
+    lastName: 'Belkacem',
+    dateOfBirth: '1958-09-20',
+    placeOfResidence: 'Tlemcen',
+    gender: 'male',
+    visits: [
+        {
+            id: 'medication-visit-1',
+            visitDate: '2024-01-10',
+            vitals: { weightKg: 74 },
+            treatments: [
+                { id: 'treatment-1', drug: 'Tiotropium', dose: '18 µg', device: 'dpi', frequency: '1 inhalation le matin', duration: '3 mois' },
+                { id: 'treatment-2', drug: 'Amoxicilline', dose: '1 g', device: 'oral', frequency: '3 fois par jour', duration: '7 jours', stopDate: '2024-01-17' }
+            ]
+        }
+    ]
+};
+
+describe('Treatments', () => {
+    test('should normalize the submitted lines and drop the empty ones', () => {
+        const treatments = normalizeTreatments({ 0: { id: 't', drug: ' Salbutamol ', dose: '', device: 'mdi' }, 3: { id: 'u', drug: '  ' } });
+
+        expect(treatments).toEqual([{ id: 't', drug: 'Salbutamol', device: 'mdi' }]);
+        expect(normalizeTreatments(null)).toEqual([]);
+    });
+
+    test('should require a drug, a known device and a stop date after the start date', () => {
+        expect(validateTreatments([
+            { drug: 'Budésonide', device: 'nebulizer', startDate: '2024-01-01', stopDate: '2024-02-01' },
+            { dose: '200 µg', device: 'spray', startDate: '2024-03-01', stopDate: '2024-02-01' }
+        ])).toEqual([
+            { field: 'treatments.1.drug', message: ERROR_MESSAGES.validation.required },
+            { field: 'treatments.1.device', message: 'Device must be one of: mdi, dpi, nebulizer, oral, other' },
+            { field: 'treatments.1.stopDate', message: 'Stop date must be after the start date' }
+        ]);
+        expect(new Patient().validateVisit({ visitDate: '2024-05-02', treatments: [{ drug: 'x', startDate: '01/02/2024' }] })
+            .map(error => error.field)).toEqual(['treatments.0.startDate']);
+    });
+
+    test('should carry the treatments in progress forward to the next visit', () => {
+        const patient = new Patient(JSON.parse(JSON.stringify(medicationPatient)));
+
+        const visit = patient.addVisit({ visitDate: '2024-04-02' });
+        expect(visit.treatments.map(treatment => treatment.drug)).toEqual(['Tiotropium']);
+
+        const withOwnList = patient.addVisit({ visitDate: '2024-06-02', treatments: [] });
+        expect(withOwnList.treatments).toEqual([]);
+        expect(carryForwardTreatments(patient.visits, '2024-01-12').map(treatment => treatment.drug))
+            .toEqual(['Tiotropium', 'Amoxicilline']);
+    });
+
+    test('should describe a line in French', () => {
+        expect(describeTreatment(medicationPatient.visits[0].treatments[0]))
+            .toBe('Tiotropium 18 µg · Inhalateur de poudre · 1 inhalation le matin · 3 mois');
+        expect(describeTreatment({ drug: 'Prednisolone' })).toBe('Prednisolone');
+    });
+});
+
+describe('Prescription', () => {
+    test('should render the letterhead, the patient and the treatments in progress on the page format', () => {
+        const view = new PrescriptionView({ fallbackText: 'Dr. Test', fallbackSubtext: 'Pneumologie' });
+        const visit = { ...medicationPatient.visits[0], visitDate: '2024-01-20' };
+        const html = view.render(medicationPatient, visit, 'A4');
+
+        expect(html).toContain('prescription-a4');
+        expect(html).toContain('Dr. Test');
+        expect(html).toContain('BELKACEM Samir');
+        expect(html).toContain('65 ans');
+        expect(html).toContain('74 kg');
+        expect(html).toContain('Le 20 janvier 2024');
+        expect(html).toContain('Tiotropium 18 µg');
+        expect(html).toContain('pendant 3 mois');
+        expect(html).not.toContain('Amoxicilline');
+    });
+
+    test('should default to A5 and note a visit without treatment', () => {
+        const html = new PrescriptionView().render(medicationPatient, { visitDate: '2024-01-10' }, 'Letter');
+
+        expect(html).toContain('prescription-a5');
+        expect(html).toContain('Aucun traitement en cours');
+    });
+});
@@ -283,7 +283,7 @@ class PatientDeletionTests {
                 throw new Error('Patient name not included in confirmation dialog');
             }
 
-            if (!modalContainer.innerHTML.includes('This action cannot be undone')) {
+            if (!modalContainer.innerHTML.includes('moved to the recycle bin')) {
                 throw new Error('Warning message not included in confirmation dialog');
             }
         });
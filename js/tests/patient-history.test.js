@@ -0,0 +1,98 @@
+/**
+ * Patient History Tests
+ * Tests for revision history and restoring past versions of fields and visits
+ */
+
+const historyPatient = {
+    id: 'history-patient-1',
+    firstName: 'Samia',
+    lastName: 'Khelifi',
+    dateOfBirth: '1965-09-12',
+    age: 59,
+    placeOfResidence: 'Blida',
+    gender: 'female',
+    atcdsMedicaux: 'Asthme',
+    visits: [
+        { id: 'visit-1', visitDate: '2024-02-10', cat: 'Ventoline', observations: 'Toux nocturne' }
+    ]
+};
+
+describe('Patient revision history', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(historyPatient)));
+    });
+
+    test('should keep every saved revision', async () => {
+        await patientManager.updatePatient(historyPatient.id, { placeOfResidence: 'Alger', revision: 1 });
+
+        const history = await patientManager.getPatientHistory(historyPatient.id);
+
+        expect(history.map(entry => entry.revision)).toEqual([1, 2]);
+        expect(history[0].data.placeOfResidence).toBe('Blida');
+        expect(history[1].data.placeOfResidence).toBe('Alger');
+    });
+
+    test('should keep an overwritten visit note', async () => {
+        const patient = await patientManager.getPatient(historyPatient.id);
+        patient.updateVisit('visit-1', { observations: 'Dyspnée d\'effort' });
+        await patientManager.updatePatient(historyPatient.id, { visits: patient.visits, revision: 1 });
+
+        const history = await patientManager.getPatientHistory(historyPatient.id);
+
+        expect(history[0].data.visits[0].observations).toBe('Toux nocturne');
+    });
+
+    test('should restore a single field from a past revision', async () => {
+        await patientManager.updatePatient(historyPatient.id, {
+            atcdsMedicaux: '',
+            placeOfResidence: 'Alger',
+            revision: 1
+        });
+
+        const result = await patientManager.restorePatientField(historyPatient.id, 1, 'atcdsMedicaux', 2);
+
+        expect(result.success).toBe(true);
+        expect(result.patient.atcdsMedicaux).toBe('Asthme');
+        expect(result.patient.placeOfResidence).toBe('Alger');
+        expect(result.patient.revision).toBe(3);
+    });
+
+    test('should restore a removed visit', async () => {
+        await patientManager.updatePatient(historyPatient.id, { visits: [], revision: 1 });
+
+        const result = await patientManager.restoreVisit(historyPatient.id, 1, 'visit-1', 2);
+
+        expect(result.success).toBe(true);
+        expect(result.patient.visits).toHaveLength(1);
+        expect(result.patient.visits[0].cat).toBe('Ventoline');
+    });
+
+    test('should report a conflict when restoring over a newer revision', async () => {
+        await patientManager.updatePatient(historyPatient.id, { placeOfResidence: 'Alger', revision: 1 });
+
+        const result = await patientManager.restorePatientField(historyPatient.id, 1, 'placeOfResidence', 1);
+
+        expect(result.conflict).toBe(true);
+    });
+
+    test('should reject a stale write with the current stored copy', async () => {
+        // Another workstation saves first
+        await dataStorage.savePatient({ ...historyPatient, revision: 1, placeOfResidence: 'Alger' });
+
+        // This copy was loaded at revision 1 and is now stale
+        const result = await dataStorage.savePatient({ ...historyPatient, revision: 1, placeOfResidence: 'Oran' });
+
+        expect(result.success).toBe(false);
+        expect(result.conflict).toBe(true);
+        expect(result.currentPatient.revision).toBe(2);
+        expect(result.currentPatient.placeOfResidence).toBe('Alger');
+    });
+});
@@ -16,7 +16,8 @@ const mockFormManager = {
     getFormData: jest.fn(),
     markFormAsSaved: jest.fn(),
     hasUnsavedChanges: jest.fn(),
-    destroyForm: jest.fn()
+    destroyForm: jest.fn(),
+    acknowledgePrescribingAlerts: jest.fn().mockResolvedValue(true)
 };
 
 // Mock patient data
@@ -107,6 +108,23 @@ describe('PatientDetailView - Modification Functionality', () => {
             expect(html).toContain('Delete Patient');
             expect(html).not.toContain('Save Changes');
         });
+
+        test('should show the classification of the latest visit', () => {
+            const gina = step => ({ gold: null, gina: { step, control: null, inputs: { act: null, treatmentStep: step } } });
+            patientDetailView.isEditMode = false;
+            patientDetailView.patient = {
+                ...mockPatient,
+                visits: [
+                    { id: 'visit-2', visitDate: '2024-03-01', classification: gina(3) },
+                    { id: 'visit-1', visitDate: '2024-01-10', classification: gina(1) }
+                ]
+            };
+
+            const html = patientDetailView.render();
+
+            expect(html).toContain('GINA 3');
+            expect(html).not.toContain('GINA 1');
+        });
     });
 
     describe('Form Validation and Saving', () => {
@@ -145,6 +163,36 @@ describe('PatientDetailView - Modification Functionality', () => {
             expect(patientDetailView.isEditMode).toBe(true);
         });
 
+        test('should save once the prescribing alerts are acknowledged', async () => {
+            const updatedData = { ...mockPatient, visits: [{ ...mockPatient.visits[0], medications: 'Amoxicilline' }] };
+
+            mockFormManager.validateForm.mockReturnValue({ isValid: true, errors: {} });
+            mockFormManager.getFormData.mockReturnValue(updatedData);
+            mockPatientManager.updatePatient.mockResolvedValue({ success: true, patient: updatedData });
+
+            await patientDetailView.handleSave();
+
+            expect(mockFormManager.acknowledgePrescribingAlerts).toHaveBeenCalledWith(
+                { ...updatedData, id: 'test-patient-123' },
+                mockPatient
+            );
+            expect(mockPatientManager.updatePatient).toHaveBeenCalled();
+            expect(patientDetailView.isEditMode).toBe(false);
+        });
+
+        test('should not save when the prescribing alerts are declined', async () => {
+            mockFormManager.validateForm.mockReturnValue({ isValid: true, errors: {} });
+            mockFormManager.getFormData.mockReturnValue(mockPatient);
+            mockFormManager.acknowledgePrescribingAlerts.mockResolvedValueOnce(false);
+
+            await patientDetailView.handleSave();
+
+            expect(mockFormManager.acknowledgePrescribingAlerts).toHaveBeenCalled();
+            expect(mockPatientManager.updatePatient).not.toHaveBeenCalled();
+            expect(mockFormManager.markFormAsSaved).not.toHaveBeenCalled();
+            expect(patientDetailView.isEditMode).toBe(true);
+        });
+
         test('should handle save errors gracefully', async () => {
             const error = new Error('Save failed');
 
@@ -206,6 +254,55 @@ describe('PatientDetailView - Modification Functionality', () => {
         });
     });
 
+    describe('Concurrent Edits', () => {
+        let modalOptions;
+
+        beforeEach(() => {
+            modalOptions = null;
+            window.app = {
+                components: {
+                    modalManager: {
+                        activeModals: new Map(),
+                        showModal: jest.fn((modalId, html, options) => {
+                            modalOptions = options;
+                        }),
+                        closeModal: jest.fn()
+                    }
+                }
+            };
+            patientDetailView.isEditMode = true;
+            patientDetailView.patient = { ...mockPatient, revision: 3 };
+            patientDetailView.formManager = {
+                ...mockFormManager,
+                acknowledgePrescribingAlerts: jest.fn().mockResolvedValue(true)
+            };
+        });
+
+        afterEach(() => {
+            delete window.app;
+        });
+
+        test('should base the next save on the stored revision after Keep Editing', async () => {
+            const localData = { ...mockPatient, firstName: 'Jane' };
+            const serverData = { ...mockPatient, placeOfResidence: 'Oran', revision: 4, updatedAt: Date.now() };
+
+            patientDetailView.showMergeDialog(localData, serverData);
+            modalOptions.onAction('cancel');
+
+            expect(patientDetailView.patient.revision).toBe(4);
+            expect(patientDetailView.isEditMode).toBe(true);
+
+            mockFormManager.validateForm.mockReturnValue({ isValid: true, errors: {} });
+            mockFormManager.getFormData.mockReturnValue(localData);
+            mockPatientManager.updatePatient.mockResolvedValue({ success: true, patient: { ...localData, revision: 5 } });
+
+            await patientDetailView.handleSave();
+
+            expect(mockPatientManager.updatePatient).toHaveBeenCalledWith('test-patient-123', { ...localData, revision: 4 });
+            expect(patientDetailView.isEditMode).toBe(false);
+        });
+    });
+
     describe('Navigation with Unsaved Changes', () => {
         beforeEach(() => {
             patientDetailView.isEditMode = true;
@@ -0,0 +1,75 @@
+/**
+ * Patient Recycle Bin Tests
+ * Tests for soft deletion, restore, permanent purge and retention-based purge
+ */
+
+const trashedPatient = {
+    id: 'trash-patient-1',
+    firstName: 'Karim',
+    lastName: 'Haddad',
+    dateOfBirth: '1958-03-21',
+    age: 66,
+    placeOfResidence: 'Constantine',
+    gender: 'male',
+    visits: [
+        { id: 'visit-1', visitDate: '2024-04-02', cat: 'Spiriva', observations: 'BPCO stable' }
+    ]
+};
+
+describe('Patient recycle bin', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(trashedPatient)));
+    });
+
+    test('should move deleted patients to the recycle bin', async () => {
+        await patientManager.deletePatient(trashedPatient.id);
+
+        const trash = await patientManager.getDeletedPatients();
+
+        expect(await dataStorage.loadPatient(trashedPatient.id)).toBeNull();
+        expect(trash).toHaveLength(1);
+        expect(trash[0].patient.lastName).toBe('Haddad');
+        expect(typeof trash[0].deletedAt).toBe('number');
+        expect(trash[0].purgeAt - trash[0].deletedAt).toBe(TRASH_CONFIG.retentionDays * 24 * 60 * 60 * 1000);
+    });
+
+    test('should restore a deleted patient with its visits', async () => {
+        await patientManager.deletePatient(trashedPatient.id);
+
+        const result = await patientManager.restoreDeletedPatient(trashedPatient.id);
+        const restored = await dataStorage.loadPatient(trashedPatient.id);
+
+        expect(result.success).toBe(true);
+        expect(restored.visits[0].cat).toBe('Spiriva');
+        expect(restored.revision).toBe(2);
+        expect(await patientManager.getDeletedPatients()).toEqual([]);
+        expect(dataStorage.patientsIndex.has(trashedPatient.id)).toBe(true);
+    });
+
+    test('should purge a deleted patient and its history', async () => {
+        await patientManager.deletePatient(trashedPatient.id);
+
+        await patientManager.purgeDeletedPatient(trashedPatient.id);
+
+        expect(await patientManager.getDeletedPatients()).toEqual([]);
+        expect(await dataStorage.getPatientHistory(trashedPatient.id)).toEqual([]);
+        await expect(patientManager.restoreDeletedPatient(trashedPatient.id)).rejects.toThrow();
+    });
+
+    test('should purge entries older than the retention period', async () => {
+        await patientManager.deletePatient(trashedPatient.id);
+        const [entry] = await dataStorage.getTrash();
+
+        expect(await dataStorage.purgeExpiredTrash(entry.purgeAt - 1)).toEqual([]);
+        expect(await dataStorage.purgeExpiredTrash(entry.purgeAt)).toEqual([trashedPatient.id]);
+        expect(await dataStorage.getTrash()).toEqual([]);
+    });
+});
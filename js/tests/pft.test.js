@@ -0,0 +1,134 @@
+/**
+ * Pulmonary Function Test Tests
+ * Tests for normalizing, validating and interpreting the structured PFT results of a visit
+ */
+
+// Synthetic reference with round numbers to check the LMS arithmetic; NOT the GLI-2012 values.
+// M = 0.02 × height, S = 0.1, L = 1 for every age between 5 and 95.
+const syntheticEquations = {
+    m: [Math.log(0.02), 1, 0],
+    s: [Math.log(0.1), 0],
+    l: [1, 0],
+    splines: [[5, 0, 0], [50, 0, 0], [95, 0, 0]]
+};
+const syntheticReference = {
+    fev1: { male: syntheticEquations, female: syntheticEquations },
+    fvc: { male: syntheticEquations, female: syntheticEquations }
+};
+
+const pftPatient = {
+    id: 'pft-patient-1',
+    firstName: 'Karim',
+    lastName: 'Benali',
+    dateOfBirth: '1970-03-01',
+    gender: 'male',
+    visits: []
+};
+
+describe('Pulmonary function tests', () => {
+    afterEach(() => {
+        registerGli2012Reference(null);
+    });
+
+    test('should normalize submitted values and compute FEV1/FVC', () => {
+        const pft = normalizePft({
+            heightCm: '170',
+            fev1: { pre: '2,40', post: '2.70' },
+            fvc: { pre: '3.20', post: '' },
+            pef: { pre: '', post: '' }
+        });
+
+        expect(pft).toEqual({
+            heightCm: 170,
+            fev1: { pre: 2.4, post: 2.7 },
+            fvc: { pre: 3.2 },
+            fev1Fvc: { pre: 75 }
+        });
+    });
+
+    test('should store nothing when no value is entered', () => {
+        expect(normalizePft({ fev1: { pre: '', post: '' } })).toBeNull();
+        expect(pftHasResults(normalizePft({ heightCm: '170' }))).toBe(false);
+    });
+
+    test('should reject values outside their plausible range', () => {
+        const errors = validatePft({ heightCm: 30, fev1: { pre: 2.1, post: 25 } });
+
+        expect(errors.map(error => error.field)).toEqual(['pft.heightCm', 'pft.fev1.post']);
+    });
+
+    test('should reject values that are not numbers', () => {
+        const errors = validatePft({ fvc: { pre: 'abc' } });
+
+        expect(errors).toEqual([{ field: 'pft.fvc.pre', message: ERROR_MESSAGES.validation.number }]);
+    });
+
+    test('should reject an FEV1 greater than the FVC', () => {
+        const errors = validatePft({ fev1: { pre: 3.5 }, fvc: { pre: 3.0 } });
+
+        expect(errors).toEqual([{ field: 'pft.fev1.pre', message: 'FEV1 cannot be greater than FVC' }]);
+    });
+
+    test('should validate the tests as part of a visit', () => {
+        const errors = new Patient(pftPatient).validateVisit({
+            visitDate: '2024-05-02',
+            pft: { dlco: { pre: 40 } }
+        });
+
+        expect(errors.map(error => error.field)).toEqual(['pft.dlco.pre']);
+    });
+
+    test('should treat the tests as clinical data', () => {
+        const visit = { id: 'visit-1', visitDate: '2024-05-02', pft: { fev1: { pre: 2.4 } } };
+
+        expect(visitHasClinicalData(visit)).toBe(true);
+        expect(redactVisit(visit).pft).toBeUndefined();
+    });
+
+    test('should compute percent predicted, z-score and LLN from the LMS equations', () => {
+        registerGli2012Reference(syntheticReference);
+
+        const prediction = predictPftValue('fev1', 2.72, { sex: 'male', age: 54, heightCm: 170 });
+
+        expect(prediction.predicted).toBeCloseTo(3.4, 6);
+        expect(prediction.percentPredicted).toBeCloseTo(80, 6);
+        expect(prediction.zScore).toBeCloseTo(-2, 6);
+        expect(prediction.lln).toBeCloseTo(3.4 * (1 - 1.645 * 0.1), 6);
+        expect(prediction.belowLln).toBe(true);
+    });
+
+    test('should interpolate the spline tables between ages', () => {
+        registerGli2012Reference({
+            fev1: { male: { ...syntheticEquations, splines: [[40, 0, 0], [50, Math.log(2), 0]] } }
+        });
+
+        const prediction = predictPftValue('fev1', 3.4, { sex: 'male', age: 45, heightCm: 170 });
+
+        expect(prediction.predicted).toBeCloseTo(3.4 * Math.exp(Math.log(2) / 2), 6);
+    });
+
+    test('should not predict without a reference, outside its ages or without a sex', () => {
+        expect(predictPftValue('fev1', 2.72, { sex: 'male', age: 54, heightCm: 170 })).toBeNull();
+
+        registerGli2012Reference(syntheticReference);
+        expect(predictPftValue('fev1', 2.72, { sex: 'male', age: 3, heightCm: 110 })).toBeNull();
+        expect(predictPftValue('fev1', 2.72, { sex: null, age: 54, heightCm: 170 })).toBeNull();
+        expect(predictPftValue('pef', 8, { sex: 'male', age: 54, heightCm: 170 })).toBeNull();
+    });
+
+    test('should describe a visit with the age at the visit and the bronchodilator change', () => {
+        registerGli2012Reference(syntheticReference);
+
+        const { subject, rows } = describeVisitPft(pftPatient, {
+            visitDate: '2024-03-01',
+            pft: { heightCm: 170, fev1: { pre: 2.72, post: 3.06 }, pef: { pre: 6.5 } }
+        });
+
+        expect(subject.sex).toBe('male');
+        expect(subject.age).toBeCloseTo(54, 1);
+        expect(rows.map(row => row.key)).toEqual(['fev1', 'pef']);
+        expect(rows[0].change.percent).toBeCloseTo(12.5, 6);
+        expect(rows[0].postPrediction.percentPredicted).toBeCloseTo(90, 6);
+        expect(rows[1].prePrediction).toBeNull();
+    });
+});
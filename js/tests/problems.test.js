@@ -0,0 +1,107 @@
+/**
+ * Problem List Tests
+ * Tests for the ICD-10 search, the problem validation, the diagnosis filter and statistics
+ */
+
+const problemPatient = {
+    id: 'problem-patient-1',
+    firstName: 'Nadia',
+    lastName: 'Cherif',
+    dateOfBirth: '1970-02-14',
+    placeOfResidence: 'Oran',
+    gender: 'female',
+    problems: [
+        { id: 'problem-1', code: 'J45.9', onsetDate: '2001', status: 'active' },
+        { id: 'problem-2', code: 'G47.3', onsetDate: '2021-05', status: 'active', notes: 'PPC depuis 2022' },
+        { id: 'problem-3', code: 'J18.9', onsetDate: '2019-11-03', status: 'resolved' }
+    ],
+    visits: []
+};
+
+describe('ICD-10 codes', () => {
+    test('should normalize typed codes and find their label', () => {
+        expect(normalizeIcd10Code(' j449 ')).toBe('J44.9');
+        expect(getIcd10Code('g47.3').label).toBe('Apnée du sommeil');
+        expect(formatIcd10('J44.9')).toBe('J44.9 · Maladie pulmonaire obstructive chronique, sans précision');
+        expect(formatIcd10('Z99.9')).toBe('Z99.9');
+    });
+
+    test('should search on the code first, then on the words of the French label', () => {
+        expect(searchIcd10('J45').map(entry => entry.code)).toEqual(['J45.0', 'J45.1', 'J45.8', 'J45.9']);
+        expect(searchIcd10('apnee').map(entry => entry.code)).toEqual(['G47.3']);
+        expect(searchIcd10('pneumo bact').map(entry => entry.code)).toContain('J15.9');
+        expect(searchIcd10('j', 3)).toHaveLength(3);
+        expect(searchIcd10('  ')).toEqual([]);
+    });
+});
+
+describe('Problem validation', () => {
+    const today = new Date('2024-06-01');
+
+    test('should normalize the submitted rows and drop the rows without a code', () => {
+        const problems = normalizeProblems([, { code: 'i10', status: '', notes: '  ' }, { code: '', notes: 'sans code' }]);
+
+        expect(problems).toHaveLength(1);
+        expect(problems[0]).toEqual({ id: problems[0].id, code: 'I10', status: 'active' });
+    });
+
+    test('should reject unknown codes, invalid or future onset dates and statuses', () => {
+        expect(validateProblems([
+            { code: 'J44.9', onsetDate: '2019-04', status: 'active' },
+            { code: 'X99', onsetDate: '2025', status: 'cured' },
+            { code: 'J45.9', onsetDate: 'avril 2019' }
+        ], today)).toEqual([
+            { field: 'problems[1].code', message: 'Unknown ICD-10 code' },
+            { field: 'problems[1].onsetDate', message: ERROR_MESSAGES.validation.future },
+            { field: 'problems[1].status', message: 'Status must be one of: active, resolved' },
+            { field: 'problems[2].onsetDate', message: ERROR_MESSAGES.validation.date }
+        ]);
+        expect(new Patient({ ...problemPatient, problems: [{ code: '' }] }).validate().errors
+            .map(error => error.field)).toEqual(['problems[0].code']);
+    });
+
+    test('should classify the patients with an active COPD or asthma problem', () => {
+        const patient = {
+            ...problemPatient,
+            visits: [{ id: 'problem-visit-1', visitDate: '2024-02-01', asthmaStep: 2, questionnaires: { act: { score: 22 } } }]
+        };
+
+        expect(patientRespiratoryDiagnoses(patient)).toEqual(['asthma']);
+        expect(classifyVisits(patient)[0].classification.gina.step).toBe(2);
+        expect(patientRespiratoryDiagnoses({ problems: [{ code: 'J44.1', status: 'resolved' }] })).toEqual([]);
+    });
+});
+
+describe('Diagnosis search and statistics', () => {
+    let dataStorage;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(problemPatient)));
+        await dataStorage.savePatient(JSON.parse(JSON.stringify({
+            ...problemPatient,
+            id: 'problem-patient-2',
+            firstName: 'Karim',
+            problems: [{ id: 'problem-4', code: 'G47.3', status: 'active' }, { id: 'problem-5', code: 'J45.0', status: 'resolved' }]
+        })));
+    });
+
+    test('should filter on a diagnosis category and its status', async () => {
+        const ids = async criteria => (await dataStorage.searchPatients(criteria)).map(patient => patient.id).sort();
+
+        expect(await ids({ diagnosis: 'J45' })).toEqual(['problem-patient-1', 'problem-patient-2']);
+        expect(await ids({ diagnosis: 'j45', diagnosisStatus: 'active' })).toEqual(['problem-patient-1']);
+        expect(await ids({ diagnosis: 'J18.9', diagnosisStatus: 'active' })).toEqual([]);
+    });
+
+    test('should count the patients per active diagnosis', async () => {
+        const { diagnoses } = await dataStorage.getStatistics();
+
+        expect(diagnoses).toEqual([
+            { code: 'G47.3', label: 'Apnée du sommeil', patients: 2 },
+            { code: 'J45.9', label: 'Asthme, sans précision', patients: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Respiratory Questionnaire Tests
+ * Tests for the CAT, mMRC, ACT and Epworth scores, their bands, trends and statistics
+ */
+
+const questionnairePatient = {
+    id: 'questionnaire-patient-1',
+    firstName: 'Yacine',
+    lastName: 'Brahimi',
+    dateOfBirth: '1962-10-05',
+    placeOfResidence: 'Sétif',
+    gender: 'male',
+    visits: [
+        { id: 'visit-1', visitDate: '2023-03-01', questionnaires: { cat: { answers: [3, 3, 2, 4, 2, 1, 2, 3] }, mmrc: { answers: [2] } } },
+        { id: 'visit-2', visitDate: '2024-03-01', questionnaires: { cat: { answers: [1, 1, 1, 2, 1, 0, 1, 1] }, act: { answers: [4, 4, 5, 4, 4] } } }
+    ]
+};
+
+describe('Respiratory questionnaires', () => {
+    test('should score each questionnaire once every item is answered', () => {
+        expect(scoreQuestionnaire('cat', [3, 3, 2, 4, 2, 1, 2, 3])).toBe(20);
+        expect(scoreQuestionnaire('act', [3, 3, 4, 3, 3])).toBe(16);
+        expect(scoreQuestionnaire('epworth', [3, 3, 2, 3, 3, 1, 2, 3])).toBe(20);
+        expect(scoreQuestionnaire('act', [3, 3, 4])).toBeNull();
+        expect(scoreQuestionnaire('act', [0, 3, 4, 3, 3])).toBeNull();
+    });
+
+    test('should interpret the scores with their bands', () => {
+        expect(interpretQuestionnaire('act', 19).label).toBe('Not well controlled');
+        expect(interpretQuestionnaire('act', 20).label).toBe('Well controlled');
+        expect(interpretQuestionnaire('cat', 9).key).toBe('low');
+        expect(interpretQuestionnaire('cat', 31).key).toBe('veryHigh');
+        expect(interpretQuestionnaire('mmrc', 2).key).toBe('moreBreathless');
+        expect(interpretQuestionnaire('epworth', 11).level).toBe('warning');
+    });
+
+    test('should normalize the submitted answers and compute the scores', () => {
+        const questionnaires = normalizeQuestionnaires({ mmrc: { 0: '3' }, act: { 0: '2', 2: '4' }, epworth: {} });
+
+        expect(questionnaires).toEqual({
+            mmrc: { answers: [3], score: 3 },
+            act: { answers: [2, null, 4, null, null], score: null }
+        });
+        expect(normalizeQuestionnaires({ cat: {} })).toBeNull();
+    });
+
+    test('should require every item and valid answers', () => {
+        expect(validateQuestionnaires(normalizeQuestionnaires({ act: { 0: '2' } }))).toEqual([
+            { field: 'questionnaires.act', message: 'Answer every item of the ACT to compute its score' }
+        ]);
+        expect(validateQuestionnaires({ mmrc: { answers: [7] } })).toEqual([
+            { field: 'questionnaires.mmrc', message: 'Invalid answer to item 1' }
+        ]);
+        expect(new Patient().validateVisit({ visitDate: '2024-05-02', questionnaires: { sgrq: { answers: [] } } })
+            .map(error => error.field)).toEqual(['questionnaires.sgrq']);
+    });
+
+    test('should store the scores on the visit', () => {
+        const patient = new Patient();
+        const visit = patient.addVisit({ visitDate: '2024-05-02', questionnaires: { mmrc: { answers: [1] } } });
+
+        expect(visit.questionnaires).toEqual({ mmrc: { answers: [1], score: 1 } });
+        expect(redactVisit(visit).questionnaires).toBeUndefined();
+    });
+
+    test('should plot the scores with the band of their best interpretation', () => {
+        const cat = buildTrend(questionnairePatient, TREND_MEASURES.find(measure => measure.key === 'cat'));
+        const act = buildTrend(questionnairePatient, TREND_MEASURES.find(measure => measure.key === 'act'));
+
+        expect(cat.series[0].points.map(point => point.value)).toEqual([20, 8]);
+        expect(cat.band[0]).toEqual({ time: new Date('2023-03-01').getTime(), upper: 9, label: 'Low impact (0-9)' });
+        expect(act.band[0].lower).toBe(20);
+    });
+
+    test('should keep the latest score of each questionnaire', () => {
+        expect(latestQuestionnaireScores(questionnairePatient.visits)).toEqual({
+            cat: { score: 8, visitDate: '2024-03-01' },
+            mmrc: { score: 2, visitDate: '2023-03-01' },
+            act: { score: 21, visitDate: '2024-03-01' }
+        });
+    });
+});
+
+describe('Questionnaire statistics', () => {
+    test('should summarize the latest scores of the patients', async () => {
+        localStorage.clear();
+        const dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(questionnairePatient)));
+
+        const { questionnaires } = await dataStorage.getStatistics();
+
+        expect(questionnaires.cat).toEqual({ patients: 1, averageScore: 8, bands: { low: 1, medium: 0, high: 0, veryHigh: 0 } });
+        expect(questionnaires.act.bands.wellControlled).toBe(1);
+        expect(questionnaires.epworth.patients).toBe(0);
+    });
+});
@@ -0,0 +1,294 @@
+/**
+ * Server API Tests
+ * Tests for the REST routes of server.js: sessions, roles, patients, visits, attachments and
+ * malformed requests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createServerSandbox, startTestServer } = require('./server-test-helpers');
+
+const PASSWORD = 'motdepasse-long-1';
+
+const newPatient = {
+    id: 'patient-1',
+    firstName: 'Amine',
+    lastName: 'Benali',
+    dateOfBirth: '1950-01-01',
+    gender: 'male',
+    placeOfResidence: 'Alger',
+    atcdsMedicaux: 'BPCO'
+};
+
+describe('Server REST API', () => {
+    let sandbox;
+    let api;
+    let doctor;
+    let secretary;
+    let auditor;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+        sandbox = createServerSandbox();
+        const auth = sandbox.require('auth');
+        await auth.createUser({ username: 'doc', password: PASSWORD, displayName: 'Dr Sahraoui', role: 'doctor' });
+        await auth.createUser({ username: 'accueil', password: PASSWORD, displayName: 'Accueil', role: 'secretary' });
+        await auth.createUser({ username: 'audit', password: PASSWORD, displayName: 'Audit', role: 'auditor' });
+
+        api = await startTestServer(sandbox);
+        doctor = await api.login('doc', PASSWORD);
+        secretary = await api.login('accueil', PASSWORD);
+        auditor = await api.login('audit', PASSWORD);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        sandbox.remove();
+    });
+
+    describe('Sessions', () => {
+        test('should answer 401 without a valid session', async () => {
+            expect((await api.request('/api/patients')).status).toBe(401);
+            expect((await api.request('/api/patients', { cookie: 'pms_sid=inconnu' })).status).toBe(401);
+            expect((await api.request('/api/auth/session')).status).toBe(401);
+        });
+
+        test('should return the signed-in user and forget it after logout', async () => {
+            const session = await api.request('/api/auth/session', { cookie: doctor });
+            expect(session.status).toBe(200);
+            expect(session.body.user.username).toBe('doc');
+            expect(session.body.user.passwordHash).toBeUndefined();
+
+            expect((await api.request('/api/auth/logout', { method: 'POST', cookie: doctor })).status).toBe(200);
+            expect((await api.request('/api/auth/session', { cookie: doctor })).status).toBe(401);
+        });
+
+        test('should treat a malformed session cookie as no session and keep serving', async () => {
+            for (const cookie of ['pms_sid=%E0', 'pms_sid=%', `autre=1; pms_sid=%E0%A4; ${doctor}`]) {
+                expect((await api.request('/api/patients', { cookie })).status).toBe(401);
+                expect((await api.request('/api/auth/session', { cookie })).status).toBe(401);
+                expect((await api.request('/api/auth/logout', { method: 'POST', cookie })).status).toBe(200);
+            }
+            expect((await api.request('/api/patients', { cookie: doctor })).status).toBe(200);
+        });
+
+        test('should refuse a wrong password and a login without credentials', async () => {
+            const wrong = await api.request('/api/auth/login', { method: 'POST', body: { username: 'doc', password: 'mauvais' } });
+            expect(wrong.status).toBe(401);
+            expect(wrong.headers.get('set-cookie')).toBeNull();
+
+            expect((await api.request('/api/auth/login', { method: 'POST', body: { username: 'doc' } })).status).toBe(400);
+        });
+    });
+
+    describe('Patients and visits', () => {
+        test('should create, read, list and delete a patient', async () => {
+            const created = await api.request('/api/patients', { method: 'POST', cookie: doctor, body: newPatient });
+            expect(created.status).toBe(201);
+            expect(created.body.revision).toBe(1);
+            expect(created.headers.get('etag')).toBe('"1"');
+
+            const read = await api.request('/api/patients/patient-1', { cookie: doctor });
+            expect(read.status).toBe(200);
+            expect(read.body.atcdsMedicaux).toBe('BPCO');
+
+            expect((await api.request('/api/patients', { cookie: doctor })).body.map(p => p.id)).toEqual(['patient-1']);
+            expect((await api.request('/api/patients', { method: 'POST', cookie: doctor, body: newPatient })).status).toBe(409);
+
+            const removed = await api.request('/api/patients/patient-1', { method: 'DELETE', cookie: doctor, headers: { 'If-Match': '"1"' } });
+            expect(removed.status).toBe(200);
+            expect((await api.request('/api/patients/patient-1', { cookie: doctor })).status).toBe(404);
+            expect((await api.request('/api/trash', { cookie: doctor })).body.map(entry => entry.patient.id)).toEqual(['patient-1']);
+        });
+
+        test('should add a visit and update it with the current revision', async () => {
+            await api.request('/api/patients', { method: 'POST', cookie: doctor, body: newPatient });
+
+            const visit = await api.request('/api/patients/patient-1/visits', {
+                method: 'POST',
+                cookie: doctor,
+                body: { visitDate: '2026-03-02', observations: 'Dyspnée stade 2' }
+            });
+            expect(visit.status).toBe(201);
+            expect(visit.headers.get('etag')).toBe('"2"');
+
+            const updated = await api.request(`/api/patients/patient-1/visits/${visit.body.id}`, {
+                method: 'PUT',
+                cookie: doctor,
+                headers: { 'If-Match': '"2"' },
+                body: { observations: 'Dyspnée stade 1' }
+            });
+            expect(updated.status).toBe(200);
+            expect(updated.body.observations).toBe('Dyspnée stade 1');
+            expect((await api.request('/api/patients/patient-1/history', { cookie: doctor })).body.length).toBe(3);
+        });
+
+        test('should require If-Match on every change of an existing patient', async () => {
+            await api.request('/api/patients', { method: 'POST', cookie: doctor, body: newPatient });
+            const visit = await api.request('/api/patients/patient-1/visits', { method: 'POST', cookie: doctor, body: { visitDate: '2026-03-02' } });
+
+            const changes = [
+                ['PUT', '/api/patients/patient-1', { ...newPatient, placeOfResidence: 'Oran' }],
+                ['PUT', `/api/patients/patient-1/visits/${visit.body.id}`, { observations: 'Toux' }],
+                ['DELETE', `/api/patients/patient-1/visits/${visit.body.id}`, undefined],
+                ['DELETE', '/api/patients/patient-1', undefined]
+            ];
+            for (const [method, pathname, body] of changes) {
+                expect((await api.request(pathname, { method, cookie: doctor, body })).status).toBe(428);
+            }
+            expect((await api.request('/api/patients/patient-1', { cookie: doctor })).body.revision).toBe(2);
+        });
+
+        test('should answer 409 with the current copy to a stale If-Match', async () => {
+            await api.request('/api/patients', { method: 'POST', cookie: doctor, body: newPatient });
+
+            // Another workstation saves revision 2 first
+            const first = await api.request('/api/patients/patient-1', {
+                method: 'PUT',
+                cookie: secretary,
+                headers: { 'If-Match': '"1"' },
+                body: { ...newPatient, atcdsMedicaux: undefined, placeOfResidence: 'Oran' }
+            });
+            expect(first.status).toBe(200);
+
+            const stale = await api.request('/api/patients/patient-1', {
+                method: 'PUT',
+                cookie: doctor,
+                headers: { 'If-Match': '"1"' },
+                body: { ...newPatient, placeOfResidence: 'Blida' }
+            });
+            expect(stale.status).toBe(409);
+            expect(stale.headers.get('etag')).toBe('"2"');
+            expect(stale.body.current).toEqual(expect.objectContaining({ revision: 2, placeOfResidence: 'Oran', atcdsMedicaux: 'BPCO' }));
+
+            // The stale copy is not saved; the current ETag, weak or not, is accepted
+            expect((await api.request('/api/patients/patient-1', { cookie: doctor })).body.placeOfResidence).toBe('Oran');
+            const retried = await api.request('/api/patients/patient-1', {
+                method: 'PUT',
+                cookie: doctor,
+                headers: { 'If-Match': 'W/"2"' },
+                body: { ...newPatient, placeOfResidence: 'Blida' }
+            });
+            expect(retried.status).toBe(200);
+            expect(retried.headers.get('etag')).toBe('"3"');
+        });
+
+        test('should reject invalid patient data', async () => {
+            const invalid = await api.request('/api/patients', { method: 'POST', cookie: doctor, body: { ...newPatient, firstName: '' } });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.details.some(error => error.field === 'firstName')).toBe(true);
+        });
+    });
+
+    describe('Roles', () => {
+        beforeEach(async () => {
+            await api.request('/api/patients', { method: 'POST', cookie: doctor, body: newPatient });
+        });
+
+        test('should hide the clinical fields from the secretary and keep them on save', async () => {
+            const read = await api.request('/api/patients/patient-1', { cookie: secretary });
+            expect(read.status).toBe(200);
+            expect(read.body.atcdsMedicaux).toBeUndefined();
+
+            const saved = await api.request('/api/patients/patient-1', {
+                method: 'PUT',
+                cookie: secretary,
+                headers: { 'If-Match': '"1"' },
+                body: { ...read.body, placeOfResidence: 'Oran', atcdsMedicaux: 'effacé' }
+            });
+            expect(saved.status).toBe(200);
+            expect((await api.request('/api/patients/patient-1', { cookie: doctor })).body).toEqual(
+                expect.objectContaining({ placeOfResidence: 'Oran', atcdsMedicaux: 'BPCO' })
+            );
+        });
+
+        test('should answer 403 to actions the role does not grant', async () => {
+            expect((await api.request('/api/patients/patient-1', { method: 'DELETE', cookie: secretary, headers: { 'If-Match': '"1"' } })).status).toBe(403);
+            expect((await api.request('/api/patients/patient-1', { method: 'PUT', cookie: auditor, headers: { 'If-Match': '"1"' }, body: newPatient })).status).toBe(403);
+            expect((await api.request('/api/users', { cookie: secretary })).status).toBe(403);
+            expect((await api.request('/api/users', { method: 'POST', cookie: auditor, body: { username: 'x', password: PASSWORD } })).status).toBe(403);
+            expect((await api.request('/api/trash', { cookie: secretary })).status).toBe(403);
+            expect((await api.request('/api/backups', { cookie: auditor })).status).toBe(403);
+            expect((await api.request('/api/audit', { cookie: secretary })).status).toBe(403);
+
+            expect((await api.request('/api/users', { cookie: doctor })).status).toBe(200);
+            expect((await api.request('/api/audit', { cookie: auditor })).status).toBe(200);
+        });
+    });
+
+    describe('Attachments', () => {
+        const pdfData = Buffer.from('%PDF-1.4\n%compte rendu\n').toString('base64');
+
+        // The modular app keeps its patients in localStorage: the server only knows the ID
+        // sent by AttachmentManager, encoded as in its baseUrl()
+        const baseUrl = patientId => `/api/patients/${encodeURIComponent(patientId)}/attachments`;
+
+        test('should upload, list, read and remove the files of a patient stored only in the browser', async () => {
+            const patientId = 'patient_1717171717_abc';
+            const uploaded = await api.request(baseUrl(patientId), {
+                method: 'POST',
+                cookie: doctor,
+                body: { name: 'efr.pdf', category: 'pft', description: '', visitId: null, data: pdfData, thumbnail: null }
+            });
+            expect(uploaded.status).toBe(201);
+
+            const list = await api.request(baseUrl(patientId), { cookie: doctor });
+            expect(list.status).toBe(200);
+            expect(list.body.attachments.map(a => a.id)).toEqual([uploaded.body.id]);
+
+            const content = await api.request(`${baseUrl(patientId)}/${encodeURIComponent(uploaded.body.id)}`, { cookie: doctor });
+            expect(content.status).toBe(200);
+            expect(Buffer.from(content.text).toString('base64')).toBe(pdfData);
+
+            expect((await api.request(`${baseUrl(patientId)}/${uploaded.body.id}`, { method: 'DELETE', cookie: doctor })).status).toBe(200);
+            expect((await api.request(baseUrl(patientId), { cookie: doctor })).body.attachments).toEqual([]);
+        });
+
+        test('should refuse a patient ID that leaves the attachments folder', async () => {
+            for (const patientId of ['a/b', '..\\..\\data']) {
+                const response = await api.request(baseUrl(patientId), { method: 'POST', cookie: doctor, body: { name: 'efr.pdf', category: 'pft', data: pdfData } });
+                expect(response.status).toBe(400);
+            }
+            expect(fs.existsSync(path.join(sandbox.dataDir, 'attachments'))).toBe(false);
+        });
+
+        test('should keep the files away from the secretary', async () => {
+            expect((await api.request(baseUrl('patient-1'), { cookie: secretary })).status).toBe(403);
+            expect((await api.request(baseUrl('patient-1'), { method: 'POST', cookie: auditor, body: { name: 'efr.pdf', data: pdfData } })).status).toBe(403);
+        });
+    });
+
+    describe('Malformed requests', () => {
+        test('should answer 400 to a path segment that does not decode', async () => {
+            for (const pathname of ['/api/patients/%E0', '/api/patients/p1/visits/%E0', '/api/patients/p1/attachments/%E0%A4', '/api/trash/%', '/api/users/%E0']) {
+                const response = await api.request(pathname, { cookie: doctor });
+                expect(response.status).toBe(400);
+            }
+            // The server keeps answering
+            expect((await api.request('/api/patients', { cookie: doctor })).status).toBe(200);
+        });
+
+        test('should answer 400 to bodies that are not JSON objects', async () => {
+            for (const body of ['{"firstName":', 'null', '[]', '"texte"', '42']) {
+                const response = await api.request('/api/patients', { method: 'POST', cookie: doctor, body });
+                expect(response.status).toBe(400);
+            }
+            expect((await api.request('/api/users', { method: 'POST', cookie: doctor, body: '[]' })).status).toBe(400);
+            expect((await api.request('/api/patients', { cookie: doctor })).body).toEqual([]);
+        });
+
+        test('should answer 404 to unknown routes and 405 to unsupported methods', async () => {
+            expect((await api.request('/api/inconnu', { cookie: doctor })).status).toBe(404);
+            expect((await api.request('/api/patients/p1/inconnu', { cookie: doctor })).status).toBe(404);
+            expect((await api.request('/api/patients', { method: 'DELETE', cookie: doctor })).status).toBe(405);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * Server Attachments Tests
+ * Tests for the folder of each patient's attachments, the quota and the purge of the attachments
+ * with the patient
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createServerSandbox } = require('./server-test-helpers');
+
+const pdfData = Buffer.from('%PDF-1.4\n%compte rendu\n').toString('base64');
+
+describe('Server attachments', () => {
+    let sandbox;
+    let attachments;
+    let constants;
+
+    const upload = (patientId, details = {}) =>
+        attachments.saveAttachment(patientId, { name: 'efr.pdf', category: 'pft', data: pdfData, ...details }, { username: 'doc' });
+
+    // Error thrown by a call, null when it succeeds
+    const errorOf = call => {
+        try {
+            call();
+            return null;
+        } catch (error) {
+            return error;
+        }
+    };
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        attachments = sandbox.require('attachments');
+        constants = require(path.join(sandbox.root, 'js', 'utils', 'constants'));
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should keep the files of a patient in its own folder under data/attachments', () => {
+        const attachment = upload('patient-1');
+
+        expect(fs.readdirSync(path.join(attachments.ATTACHMENTS_DIR, 'patient-1')).sort()).toEqual([`${attachment.id}.b64`, 'index.json']);
+        expect(attachments.readAttachmentContent('patient-1', attachment.id).toString('base64')).toBe(pdfData);
+        expect(attachments.listAttachments('patient-1').map(a => a.id)).toEqual([attachment.id]);
+    });
+
+    test('should refuse a patient ID that leaves the attachments folder', () => {
+        ['..', '.', '../patients', '..\\..\\data', 'a/b', '%2E%2E', ''].forEach(patientId => {
+            const error = errorOf(() => upload(patientId));
+            expect(error.code).toBe('EATTACHMENT');
+            expect(error.status).toBe(400);
+            expect(error.message).toBe('Identifiant de patient invalide');
+            expect(errorOf(() => attachments.listAttachments(patientId)).code).toBe('EATTACHMENT');
+        });
+
+        expect(fs.readdirSync(sandbox.dataDir)).toEqual([]);
+        expect(fs.existsSync(path.join(sandbox.root, 'patients'))).toBe(false);
+    });
+
+    test('should refuse an upload beyond the quota of the patient', () => {
+        const size = Buffer.from(pdfData, 'base64').length;
+        constants.ATTACHMENT_CONFIG.patientQuotaBytes = size * 2;
+
+        upload('patient-1');
+        upload('patient-1');
+        const error = errorOf(() => upload('patient-1'));
+
+        expect(error.status).toBe(413);
+        expect(error.message.startsWith('Quota de pièces jointes dépassé')).toBe(true);
+        expect(attachments.listAttachments('patient-1').length).toBe(2);
+        expect(attachments.patientUsage('patient-1')).toEqual({ used: size * 2, quota: size * 2, remaining: 0 });
+
+        // The quota is per patient
+        expect(upload('patient-2').size).toBe(size);
+    });
+
+    test('should remove the attachments of a patient purged from the recycle bin', () => {
+        const patientTrash = sandbox.require('patient-trash');
+        upload('patient-1');
+        upload('patient-2');
+        upload('patient-3');
+
+        patientTrash.moveToTrash({ id: 'patient-1' }, null);
+        patientTrash.moveToTrash({ id: 'patient-2' }, null);
+        patientTrash.purgeFromTrash('patient-1');
+
+        expect(fs.readdirSync(attachments.ATTACHMENTS_DIR).sort()).toEqual(['patient-2', 'patient-3']);
+
+        // Automatic purge once the retention period is over
+        const purged = patientTrash.purgeExpired(Date.now() + (patientTrash.RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000);
+        expect(purged.map(entry => entry.patient.id)).toEqual(['patient-2']);
+        expect(fs.readdirSync(attachments.ATTACHMENTS_DIR)).toEqual(['patient-3']);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Server Audit Log Tests
+ * Tests for the HMAC chain of the append-only audit log, its verification and its encryption at rest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createServerSandbox } = require('./server-test-helpers');
+
+describe('Server audit log hash chain', () => {
+    const doctor = { id: 'u1', username: 'dr.mansouri', role: 'doctor' };
+    let sandbox;
+    let auditLog;
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        auditLog = sandbox.require('audit-log');
+
+        auditLog.appendAuditEntry({ user: doctor, action: 'patient.view', patientId: 'p1' });
+        auditLog.appendAuditEntry({ user: doctor, action: 'patient.update', patientId: 'p1', changes: [{ field: 'lastName', before: 'Ben', after: 'Benali' }] });
+        auditLog.appendAuditEntry({ user: doctor, action: 'patient.view', patientId: 'p2' });
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    const sha256 = ({ hash, ...content }) => crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+    const hmac = (key, { hash, ...content }) =>
+        crypto.createHmac('sha256', Buffer.from(key, 'hex')).update(JSON.stringify(content)).digest('hex');
+    const readEntries = () => fs.readFileSync(auditLog.AUDIT_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const writeEntries = entries => fs.writeFileSync(auditLog.AUDIT_FILE, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+
+    test('should chain each entry to the previous one', () => {
+        const entries = readEntries();
+
+        expect(entries.map(entry => entry.seq)).toEqual([1, 2, 3]);
+        expect(entries[0].prevHash).toBe('0'.repeat(64));
+        expect(entries[1].prevHash).toBe(entries[0].hash);
+        expect(entries[2].prevHash).toBe(entries[1].hash);
+        expect(auditLog.verifyAuditLog()).toEqual({ valid: true, entries: 3, brokenAt: null, reason: null });
+    });
+
+    test('should detect an edited entry', () => {
+        const entries = readEntries();
+        entries[1].changes[0].after = 'Benmansour';
+        writeEntries(entries);
+
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Contenu de l\'entrée modifié' });
+    });
+
+    test('should detect a removed entry and a rehashed forgery', () => {
+        const entries = readEntries();
+        writeEntries([entries[0], entries[2]]);
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2 });
+
+        // Rewriting an entry with a valid hash of its own still breaks the link to the next one
+        const key = JSON.parse(fs.readFileSync(auditLog.AUDIT_KEY_FILE, 'utf8')).key;
+        const forged = { ...entries[1], patientId: 'p9' };
+        forged.hash = hmac(key, forged);
+        writeEntries([entries[0], forged, entries[2]]);
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 3, reason: 'Chaînage rompu avec l\'entrée précédente' });
+    });
+
+    test('should sign the chain with the key kept outside the log', () => {
+        const stored = JSON.parse(fs.readFileSync(auditLog.AUDIT_KEY_FILE, 'utf8'));
+        const entries = readEntries();
+
+        expect(stored.since).toBe(1);
+        expect(fs.statSync(auditLog.AUDIT_KEY_FILE).mode & 0o777).toBe(0o600);
+        expect(entries.every(entry => entry.hash === hmac(stored.key, entry))).toBe(true);
+
+        // Without the key, a whole chain recomputed from the edited entry does not verify
+        const forged = entries.map(entry => ({ ...entry }));
+        forged[1].changes[0].after = 'Benmansour';
+        for (let index = 1; index < forged.length; index++) {
+            forged[index].prevHash = forged[index - 1].hash;
+            forged[index].hash = sha256(forged[index]);
+        }
+        writeEntries(forged);
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Contenu de l\'entrée modifié' });
+
+        // Nor does the log once its key is gone
+        writeEntries(entries);
+        fs.unlinkSync(auditLog.AUDIT_KEY_FILE);
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 1 });
+    });
+
+    test('should report an unreadable line and filter the entries', () => {
+        expect(auditLog.queryAuditLog({ patientId: 'p1' }).entries.map(entry => entry.seq)).toEqual([2, 1]);
+        expect(auditLog.queryAuditLog({ action: 'patient.view', user: 'DR.MANSOURI' }).total).toBe(2);
+
+        fs.appendFileSync(auditLog.AUDIT_FILE, '{"seq":4,\n');
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 4, reason: 'Ligne illisible' });
+    });
+});
+
+describe('Server audit log written before the HMAC key', () => {
+    let sandbox;
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should keep verifying the older SHA-256 entries and sign the next ones', () => {
+        sandbox = createServerSandbox();
+        const sha256 = ({ hash, ...content }) => crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+        const legacy = [1, 2].reduce((entries, seq) => {
+            const entry = {
+                seq,
+                timestamp: '2026-01-05T09:00:00.000Z',
+                userId: 'u1',
+                username: 'dr.mansouri',
+                role: 'doctor',
+                action: 'patient.view',
+                patientId: 'p1',
+                source: 'server',
+                prevHash: entries.length > 0 ? entries[entries.length - 1].hash : '0'.repeat(64)
+            };
+            entry.hash = sha256(entry);
+            return [...entries, entry];
+        }, []);
+        const auditFile = `${sandbox.dataDir}/audit-log.jsonl`;
+        fs.writeFileSync(auditFile, legacy.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+
+        const auditLog = sandbox.require('audit-log');
+        const entry = auditLog.appendAuditEntry({ user: { id: 'u1', username: 'dr.mansouri', role: 'doctor' }, action: 'patient.view', patientId: 'p2' });
+
+        expect(JSON.parse(fs.readFileSync(auditLog.AUDIT_KEY_FILE, 'utf8')).since).toBe(3);
+        expect(entry.prevHash).toBe(legacy[1].hash);
+        expect(entry.hash).not.toBe(sha256(entry));
+        expect(auditLog.verifyAuditLog()).toEqual({ valid: true, entries: 3, brokenAt: null, reason: null });
+    });
+});
+
+describe('Encrypted server audit log', () => {
+    const doctor = { id: 'u1', username: 'dr.mansouri', role: 'doctor' };
+    const PASSPHRASE = 'premiere phrase secrete';
+    let sandbox;
+    let encryption;
+    let auditLog;
+
+    const storedLines = () => fs.readFileSync(auditLog.AUDIT_FILE, 'utf8').split('\n').filter(Boolean);
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        encryption = sandbox.require('encryption');
+        auditLog = sandbox.require('audit-log');
+
+        auditLog.appendAuditEntry({ user: doctor, action: 'auth.login' });
+        encryption.changePassphrase(PASSPHRASE, { lineFiles: [auditLog.AUDIT_FILE] });
+        auditLog.appendAuditEntry({
+            user: doctor,
+            action: 'patient.update',
+            patientId: 'p1',
+            changes: [{ field: 'atcdsMedicaux', before: 'Asthme', after: 'Tuberculose 1998' }]
+        });
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should encrypt every line and verify the chain once unlocked', () => {
+        expect(storedLines().every(encryption.isEncrypted)).toBe(true);
+        expect(fs.readFileSync(auditLog.AUDIT_FILE, 'utf8')).not.toContain('Tuberculose');
+
+        expect(auditLog.verifyAuditLog()).toEqual({ valid: true, entries: 2, brokenAt: null, reason: null });
+        expect(auditLog.queryAuditLog({ patientId: 'p1' }).entries[0].changes[0].after).toBe('Tuberculose 1998');
+    });
+
+    test('should chain the logins recorded while locked and refuse patient events', () => {
+        encryption.lock();
+
+        auditLog.appendAuditEntry({ user: null, action: 'auth.login_failed', details: { username: 'inconnu' } });
+        expect(() => auditLog.appendAuditEntry({ user: doctor, action: 'patient.view', patientId: 'p1' })).toThrow('verrouillées');
+        expect(() => auditLog.verifyAuditLog()).toThrow('verrouillées');
+        expect(encryption.isEncrypted(storedLines()[2])).toBe(false);
+
+        encryption.unlock(PASSPHRASE);
+        expect(auditLog.verifyAuditLog()).toEqual({ valid: true, entries: 3, brokenAt: null, reason: null });
+    });
+
+    test('should keep the chain valid across a change of passphrase', () => {
+        encryption.changePassphrase('seconde phrase secrete', { lineFiles: [auditLog.AUDIT_FILE] });
+
+        expect(storedLines().every(encryption.isEncrypted)).toBe(true);
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: true, entries: 2 });
+    });
+
+    test('should detect the removal of the last entries', () => {
+        fs.writeFileSync(auditLog.AUDIT_FILE, `${storedLines()[0]}\n`);
+
+        expect(auditLog.verifyAuditLog()).toMatchObject({ valid: false, brokenAt: 2, reason: 'Dernières entrées supprimées ou remplacées' });
+    });
+});
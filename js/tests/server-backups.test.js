@@ -0,0 +1,223 @@
+/**
+ * Server Backups Tests
+ * Tests for the grandfather-father-son retention of the server backups and for the streamed
+ * archives: creation, verification and restore, attachments included
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { createServerSandbox } = require('./server-test-helpers');
+
+// Name of a backup made at the given local date and time
+const backupName = (date, reason = 'scheduled') =>
+    `pms-backup-${date.toISOString().replace(/:/g, '-').replace('.', '-')}-${reason}.json.gz`;
+
+// One scheduled backup a day at noon, from the 1st of March to the 29th of April 2026 (a Wednesday)
+const dailyBackups = () => Array.from({ length: 60 }, (_, index) => backupName(new Date(2026, 2, 1 + index, 12)));
+
+describe('Backup retention', () => {
+    let sandbox;
+    let backups;
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        backups = sandbox.require('backups');
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should keep the newest backup of the last days, weeks and months', () => {
+        const names = dailyBackups();
+        const now = new Date(2026, 3, 29, 13).getTime();
+        const tiers = backups.retentionTiers(names, now);
+        const keptBy = tier => names.filter(name => tiers.get(name).includes(tier));
+
+        expect(keptBy('recent')).toEqual([backupName(new Date(2026, 3, 29, 12))]);
+        expect(keptBy('daily')).toEqual([23, 24, 25, 26, 27, 28, 29].map(day => backupName(new Date(2026, 3, day, 12))));
+        // Weeks start on Monday: the Sundays close the three previous weeks
+        expect(keptBy('weekly')).toEqual([12, 19, 26, 29].map(day => backupName(new Date(2026, 3, day, 12))));
+        expect(keptBy('monthly')).toEqual([backupName(new Date(2026, 2, 31, 12)), backupName(new Date(2026, 3, 29, 12))]);
+
+        const kept = names.filter(name => tiers.get(name).length > 0);
+        expect(kept.length).toBe(10);
+        expect(tiers.get(backupName(new Date(2026, 2, 1, 12)))).toEqual([]);
+    });
+
+    test('should keep every recent backup but only the newest of an older day', () => {
+        const now = new Date(2026, 3, 29, 13).getTime();
+        const manual = backupName(new Date(2026, 3, 29, 9), 'manual');
+        const preRestore = backupName(new Date(2026, 3, 29, 9, 5), 'pre-restore');
+        const olderManual = backupName(new Date(2026, 3, 27, 8), 'manual');
+        const names = [...dailyBackups(), manual, preRestore, olderManual];
+        const tiers = backups.retentionTiers(names, now);
+
+        expect(tiers.get(manual)).toEqual(['recent']);
+        expect(tiers.get(preRestore)).toEqual(['recent']);
+        expect(tiers.get(olderManual)).toEqual([]);
+        expect(tiers.get(backupName(new Date(2026, 3, 27, 12)))).toEqual(['daily']);
+    });
+
+    test('should remove the archives and checksum files that no tier keeps', () => {
+        fs.mkdirSync(backups.BACKUP_DIR, { recursive: true });
+        const names = dailyBackups();
+        names.forEach(name => {
+            fs.writeFileSync(path.join(backups.BACKUP_DIR, name), '');
+            fs.writeFileSync(path.join(backups.BACKUP_DIR, `${name}.sha256`), '');
+        });
+        fs.writeFileSync(path.join(backups.BACKUP_DIR, 'notes.txt'), 'pas une sauvegarde');
+
+        const removed = backups.applyRetention(new Date(2026, 3, 29, 13).getTime());
+        const remaining = fs.readdirSync(backups.BACKUP_DIR);
+
+        expect(removed.length).toBe(50);
+        expect(remaining.length).toBe(21);
+        expect(remaining.includes('notes.txt')).toBe(true);
+        expect(remaining.includes(backupName(new Date(2026, 2, 31, 12)))).toBe(true);
+        expect(remaining.includes(`${backupName(new Date(2026, 2, 30, 12))}.sha256`)).toBe(false);
+        expect(backups.listBackups().length).toBe(10);
+    });
+});
+
+describe('Streamed backup archives', () => {
+    let sandbox;
+    let backups;
+    const attachmentContent = crypto.randomBytes(300 * 1024).toString('base64');
+
+    const dataPath = file => path.join(sandbox.dataDir, file);
+    const writeData = (file, content) => {
+        fs.mkdirSync(path.dirname(dataPath(file)), { recursive: true });
+        fs.writeFileSync(dataPath(file), content);
+    };
+    const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+    // Write an archive by hand, with the .sha256 file of the whole archive
+    const writeArchive = (name, content) => {
+        const archive = zlib.gzipSync(content);
+        fs.mkdirSync(backups.BACKUP_DIR, { recursive: true });
+        fs.writeFileSync(path.join(backups.BACKUP_DIR, name), archive);
+        fs.writeFileSync(path.join(backups.BACKUP_DIR, `${name}.sha256`), `${sha256(archive)}  ${name}\n`);
+    };
+    const entry = (file, content, hash = sha256(content)) =>
+        `${JSON.stringify({ path: file, size: Buffer.byteLength(content) })}\n${content}${hash}\n`;
+    const header = `${JSON.stringify({ format: 'pms-backup', version: 2, createdAt: '2026-04-01T10:00:00.000Z', reason: 'manual' })}\n`;
+    const handMadeName = 'pms-backup-2026-04-01T10-00-00-000Z-manual.pms.gz';
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        backups = sandbox.require('backups');
+
+        writeData('patients.json', '[{"id":"p1","lastName":"Benali"}]');
+        writeData('trash.json', '[]');
+        writeData('users.json', '[{"username":"doc"}]');
+        writeData('history/p1.jsonl', '{"revision":1}\n');
+        writeData('attachments/p1/index.json', '[{"id":"a1"}]');
+        writeData('attachments/p1/a1.b64', attachmentContent);
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should write an archive whose files and checksums are verified', async () => {
+        const backup = await backups.createBackup('manual');
+        expect(backup.name.endsWith('-manual.pms.gz')).toBe(true);
+
+        const verification = await backups.verifyBackup(backup.name);
+        expect(verification.valid).toBe(true);
+        expect(verification.files).toEqual([
+            'patients.json', 'trash.json', 'users.json', 'history/p1.jsonl', 'attachments/p1/a1.b64', 'attachments/p1/index.json'
+        ]);
+        expect(fs.readdirSync(backups.BACKUP_DIR).sort()).toEqual([backup.name, `${backup.name}.sha256`]);
+
+        // Any change of the archive is caught by its own checksum
+        const archivePath = path.join(backups.BACKUP_DIR, backup.name);
+        const archive = fs.readFileSync(archivePath);
+        archive[archive.length - 20] ^= 0xff;
+        fs.writeFileSync(archivePath, archive);
+        expect((await backups.verifyBackup(backup.name)).reason).toBe('Empreinte SHA-256 de l\'archive différente (fichier altéré)');
+    });
+
+    test('should restore the patients, the history and the attachments and remove what came later', async () => {
+        const backup = await backups.createBackup('manual');
+
+        writeData('patients.json', '[{"id":"p1","lastName":"Modifié"},{"id":"p2"}]');
+        writeData('users.json', '[{"username":"doc"},{"username":"secretaire"}]');
+        writeData('history/p2.jsonl', '{"revision":1}\n');
+        writeData('attachments/p1/a1.b64', 'remplacé');
+        writeData('attachments/p2/index.json', '[{"id":"a2"}]');
+        writeData('attachments/p2/a2.b64', 'JVBERi0xLjQ=');
+
+        const result = await backups.restoreBackup(backup.name);
+
+        expect(result.files).toBe(5);
+        expect(result.preRestore.endsWith('-pre-restore.pms.gz')).toBe(true);
+        expect(fs.readFileSync(dataPath('patients.json'), 'utf8')).toBe('[{"id":"p1","lastName":"Benali"}]');
+        expect(fs.readFileSync(dataPath('attachments/p1/a1.b64'), 'utf8')).toBe(attachmentContent);
+        expect(fs.existsSync(dataPath('history/p2.jsonl'))).toBe(false);
+        expect(fs.existsSync(dataPath('attachments/p2/a2.b64'))).toBe(false);
+        // Accounts are never restored
+        expect(fs.readFileSync(dataPath('users.json'), 'utf8')).toBe('[{"username":"doc"},{"username":"secretaire"}]');
+        expect(fs.readdirSync(dataPath('attachments/p1')).sort()).toEqual(['a1.b64', 'index.json']);
+
+        // The state before the restore can be restored in turn
+        expect((await backups.verifyBackup(result.preRestore)).files.includes('attachments/p2/a2.b64')).toBe(true);
+        expect(backups.isRestoring()).toBe(false);
+    });
+
+    test('should reject a file whose checksum or size does not match', async () => {
+        writeArchive(handMadeName, `${header}${entry('patients.json', '[]', sha256('[{"id":"p1"}]'))}${JSON.stringify({ end: true, files: 1 })}\n`);
+        expect((await backups.verifyBackup(handMadeName)).reason).toBe('Empreinte différente pour patients.json');
+
+        writeArchive(handMadeName, `${header}${entry('patients.json', '[]')}`);
+        expect((await backups.verifyBackup(handMadeName)).reason).toBe('Archive incomplète');
+
+        await expect(backups.restoreBackup(handMadeName)).rejects.toThrow('Sauvegarde invalide : Archive incomplète');
+        expect(fs.readFileSync(dataPath('patients.json'), 'utf8')).toBe('[{"id":"p1","lastName":"Benali"}]');
+        expect(fs.readdirSync(dataPath('attachments/p1')).sort()).toEqual(['a1.b64', 'index.json']);
+    });
+
+    test('should never write outside the data folder', async () => {
+        writeArchive(handMadeName, [
+            header,
+            entry('patients.json', '[]'),
+            entry('../outside.txt', 'hors de data'),
+            entry('attachments/../../outside.txt', 'hors de data'),
+            entry('users.json', '[]'),
+            `${JSON.stringify({ end: true, files: 4 })}\n`
+        ].join(''));
+
+        expect((await backups.verifyBackup(handMadeName)).valid).toBe(true);
+        const result = await backups.restoreBackup(handMadeName);
+
+        expect(result.files).toBe(1);
+        expect(fs.readFileSync(dataPath('patients.json'), 'utf8')).toBe('[]');
+        expect(fs.existsSync(path.join(sandbox.root, 'outside.txt'))).toBe(false);
+        expect(fs.readFileSync(dataPath('users.json'), 'utf8')).toBe('[{"username":"doc"}]');
+    });
+
+    test('should still verify and restore the single-document archives of version 1', async () => {
+        const name = 'pms-backup-2026-03-01T10-00-00-000Z-scheduled.json.gz';
+        const files = [
+            { path: 'patients.json', content: '[{"id":"p3"}]' },
+            { path: 'attachments/p3/index.json', content: '[]' }
+        ].map(file => ({ ...file, sha256: sha256(file.content) }));
+        writeArchive(name, JSON.stringify({ format: 'pms-backup', version: 1, createdAt: '2026-03-01T10:00:00.000Z', reason: 'scheduled', files }));
+
+        expect(await backups.verifyBackup(name)).toEqual({
+            name,
+            valid: true,
+            reason: null,
+            createdAt: '2026-03-01T10:00:00.000Z',
+            files: ['patients.json', 'attachments/p3/index.json']
+        });
+
+        await backups.restoreBackup(name);
+        expect(fs.readFileSync(dataPath('patients.json'), 'utf8')).toBe('[{"id":"p3"}]');
+        expect(fs.existsSync(dataPath('attachments/p1/a1.b64'))).toBe(false);
+        expect(fs.existsSync(dataPath('trash.json'))).toBe(false);
+    });
+});
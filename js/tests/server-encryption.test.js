@@ -0,0 +1,88 @@
+/**
+ * Server Encryption Tests
+ * Tests for the encryption at rest of the server files and the change of the practice passphrase
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createServerSandbox } = require('./server-test-helpers');
+
+describe('Server encryption at rest', () => {
+    let sandbox;
+    let encryption;
+    let patientsFile;
+    let journalFile;
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        encryption = sandbox.require('encryption');
+        patientsFile = path.join(sandbox.dataDir, 'patients.json');
+        journalFile = path.join(sandbox.dataDir, 'journal.jsonl');
+
+        fs.writeFileSync(patientsFile, JSON.stringify([{ id: 'p1', lastName: 'Benali' }]));
+        fs.writeFileSync(journalFile, '{"op":"put"}\n{"op":"delete"}\n');
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    const protectedFiles = () => ({ files: [patientsFile], lineFiles: [journalFile] });
+
+    test('should encrypt the files and read them back once unlocked', () => {
+        expect(encryption.changePassphrase('premiere phrase secrete', protectedFiles())).toEqual({ files: 2 });
+
+        const stored = fs.readFileSync(patientsFile, 'utf8');
+        expect(encryption.isEncrypted(stored)).toBe(true);
+        expect(stored).not.toContain('Benali');
+        expect(fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean).every(encryption.isEncrypted)).toBe(true);
+        expect(encryption.hasPendingChange()).toBe(false);
+
+        encryption.lock();
+        expect(encryption.isLocked()).toBe(true);
+        expect(encryption.unlock('mauvaise phrase secrete')).toBe(false);
+        expect(encryption.unlock('premiere phrase secrete')).toBe(true);
+        expect(encryption.readProtectedJSONFile(patientsFile, [])).toEqual([{ id: 'p1', lastName: 'Benali' }]);
+        expect(encryption.decrypt(encryption.encrypt('texte'))).toBe('texte');
+    });
+
+    test('should re-encrypt every file under the new passphrase on rotation', () => {
+        encryption.changePassphrase('premiere phrase secrete', protectedFiles());
+        const before = fs.readFileSync(patientsFile, 'utf8');
+
+        encryption.changePassphrase('deuxieme phrase secrete', protectedFiles());
+        expect(fs.readFileSync(patientsFile, 'utf8')).not.toBe(before);
+
+        encryption.lock();
+        expect(encryption.unlock('premiere phrase secrete')).toBe(false);
+        expect(encryption.unlock('deuxieme phrase secrete')).toBe(true);
+        expect(encryption.readProtectedJSONFile(patientsFile, [])[0].lastName).toBe('Benali');
+        expect(fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean).map(encryption.decrypt))
+            .toEqual(['{"op":"put"}', '{"op":"delete"}']);
+    });
+
+    test('should keep the new descriptor pending until every file is rewritten and resume an interrupted rotation', () => {
+        encryption.changePassphrase('premiere phrase secrete', protectedFiles());
+
+        // The journal cannot be replaced: the rotation stops after rewriting patients.json
+        const blocker = `${journalFile}.${process.pid}.tmp`;
+        fs.mkdirSync(blocker);
+        expect(() => encryption.changePassphrase('deuxieme phrase secrete', protectedFiles())).toThrow();
+        fs.rmSync(blocker, { recursive: true });
+
+        expect(encryption.hasPendingChange()).toBe(true);
+        expect(() => encryption.changePassphrase('troisieme phrase secrete', protectedFiles())).toThrow('interrompu');
+        expect(() => encryption.resumePassphraseChange('autre phrase secrete', 'premiere phrase secrete', protectedFiles()))
+            .toThrow('ne correspond pas');
+
+        expect(encryption.resumePassphraseChange('deuxieme phrase secrete', 'premiere phrase secrete', protectedFiles()))
+            .toEqual({ files: 2 });
+        expect(encryption.hasPendingChange()).toBe(false);
+
+        encryption.lock();
+        expect(encryption.unlock('deuxieme phrase secrete')).toBe(true);
+        expect(encryption.readProtectedJSONFile(patientsFile, [])[0].lastName).toBe('Benali');
+        expect(fs.readFileSync(journalFile, 'utf8').split('\n').filter(Boolean).map(encryption.decrypt))
+            .toEqual(['{"op":"put"}', '{"op":"delete"}']);
+    });
+});
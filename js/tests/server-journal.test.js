@@ -0,0 +1,116 @@
+/**
+ * Server Journal Tests
+ * Tests for the atomic writes, the quarantine of corrupt files and the replay of the write-ahead journal
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createServerSandbox } = require('./server-test-helpers');
+
+describe('Atomic writes and quarantine', () => {
+    let sandbox;
+    let jsonFile;
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        jsonFile = sandbox.require('json-file');
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should replace a file without leaving a temporary file behind', () => {
+        const filePath = path.join(sandbox.dataDir, 'patients.json');
+        jsonFile.writeFileAtomic(filePath, '[1]');
+        jsonFile.writeFileAtomic(filePath, '[1,2]');
+
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('[1,2]');
+        expect(fs.readdirSync(sandbox.dataDir)).toEqual(['patients.json']);
+    });
+
+    test('should keep the previous version and remove the temporary file when the rename fails', () => {
+        const target = path.join(sandbox.dataDir, 'history');
+        fs.mkdirSync(target);
+        fs.writeFileSync(path.join(target, 'p1.jsonl'), 'revision');
+
+        expect(() => jsonFile.writeFileAtomic(target, 'remplacement')).toThrow();
+        expect(fs.readFileSync(path.join(target, 'p1.jsonl'), 'utf8')).toBe('revision');
+        expect(fs.readdirSync(sandbox.dataDir)).toEqual(['history']);
+    });
+
+    test('should copy a corrupt file to quarantine instead of returning the default value', () => {
+        const filePath = path.join(sandbox.dataDir, 'trash.json');
+        expect(jsonFile.readJSONFile(filePath, [])).toEqual([]);
+
+        fs.writeFileSync(filePath, '[{"id": "p1"');
+        let error = null;
+        try {
+            jsonFile.readJSONFile(filePath, []);
+        } catch (thrown) {
+            error = thrown;
+        }
+
+        expect(error.code).toBe('ECORRUPT');
+        expect(fs.readFileSync(error.quarantinePath, 'utf8')).toBe('[{"id": "p1"');
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('[{"id": "p1"');
+    });
+});
+
+describe('Write-ahead journal replay', () => {
+    let sandbox;
+    let journal;
+    let dataFile;
+
+    const patient = (id, lastName) => ({ id, firstName: 'Amina', lastName, revision: 1 });
+    const readPatients = () => JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+
+    beforeEach(() => {
+        sandbox = createServerSandbox();
+        journal = sandbox.require('journal');
+        dataFile = path.join(sandbox.dataDir, 'patients.json');
+        fs.writeFileSync(dataFile, JSON.stringify([patient('p1', 'Bensaid')]));
+    });
+
+    afterEach(() => {
+        sandbox.remove();
+    });
+
+    test('should replay the changes that never reached patients.json and empty the journal', () => {
+        // Journalized, then the process stopped before patients.json was rewritten
+        journal.append({ op: 'put', patient: patient('p2', 'Khelifi') });
+        journal.append({ op: 'put', patient: { ...patient('p1', 'Bensaid-Amrani'), revision: 2 } });
+        journal.append({ op: 'delete', patientId: 'p2' });
+        journal.append({ op: 'put', patient: patient('p3', 'Ouali') });
+
+        expect(journal.replay(dataFile)).toBe(4);
+        expect(readPatients()).toEqual([{ ...patient('p1', 'Bensaid-Amrani'), revision: 2 }, patient('p3', 'Ouali')]);
+        expect(fs.readFileSync(journal.JOURNAL_FILE, 'utf8')).toBe('');
+
+        // Replaying an empty journal, or changes already written, changes nothing
+        expect(journal.replay(dataFile)).toBe(0);
+        const patients = readPatients();
+        journal.applyMutation(patients, { op: 'put', patient: patient('p3', 'Ouali') });
+        expect(patients).toEqual(readPatients());
+    });
+
+    test('should skip the aborted changes and an interrupted last line', () => {
+        const seq = journal.append({ op: 'put', patient: patient('p2', 'Khelifi') });
+        journal.abort(seq);
+        journal.append({ op: 'put', patient: patient('p4', 'Saadi') });
+        fs.appendFileSync(journal.JOURNAL_FILE, '{"seq":4,"op":"put","pat');
+
+        expect(journal.pendingEntries().map(entry => entry.patient.id)).toEqual(['p4']);
+        expect(journal.replay(dataFile)).toBe(1);
+        expect(readPatients().map(p => p.id)).toEqual(['p1', 'p4']);
+    });
+
+    test('should refuse a journal with an unreadable line before the last one', () => {
+        journal.append({ op: 'put', patient: patient('p2', 'Khelifi') });
+        fs.appendFileSync(journal.JOURNAL_FILE, 'illisible\n');
+        journal.append({ op: 'delete', patientId: 'p1' });
+
+        expect(() => journal.replay(dataFile)).toThrow('Fichier de données corrompu');
+        expect(readPatients().map(p => p.id)).toEqual(['p1']);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Server Test Helpers
+ * The server modules keep their files under data/ next to the code. Each test suite works
+ * on a copy of server/, js/utils/ and js/models/ in a temporary directory, with its own empty data/ folder,
+ * so the tests never touch the data of the practice.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Copy server.js and the server modules into a new temporary directory
+ * @returns {Object} { root, dataDir, require(name), remove() }
+ */
+function createServerSandbox() {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pms-server-test-'));
+    fs.copyFileSync(path.join(REPO_ROOT, 'server.js'), path.join(root, 'server.js'));
+    fs.cpSync(path.join(REPO_ROOT, 'server'), path.join(root, 'server'), { recursive: true });
+    fs.cpSync(path.join(REPO_ROOT, 'js', 'utils'), path.join(root, 'js', 'utils'), { recursive: true });
+    fs.cpSync(path.join(REPO_ROOT, 'js', 'models'), path.join(root, 'js', 'models'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'data'));
+
+    return {
+        root,
+        dataDir: path.join(root, 'data'),
+        require: name => require(path.join(root, 'server', name)),
+        remove: () => fs.rmSync(root, { recursive: true, force: true })
+    };
+}
+
+/**
+ * Serve the request handler of the sandbox's server.js on a free local port
+ * @param {Object} sandbox - Sandbox from createServerSandbox()
+ * @returns {Promise<Object>} { request(pathname, options), login(username, password), close() }
+ */
+async function startTestServer(sandbox) {
+    const { handleRequest } = require(path.join(sandbox.root, 'server.js'));
+    const server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Send a request; options: { method, body, cookie, headers }. The body is sent as JSON
+    // unless it is already a string.
+    const request = async (pathname, { method = 'GET', body, cookie, headers = {} } = {}) => {
+        const response = await fetch(`${baseUrl}${pathname}`, {
+            method,
+            headers: {
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...(cookie ? { Cookie: cookie } : {}),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        const text = await response.text();
+        let json = null;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            json = null;
+        }
+        return { status: response.status, headers: response.headers, body: json, text };
+    };
+
+    // Log in and return the session cookie
+    const login = async (username, password) => {
+        const response = await request('/api/auth/login', { method: 'POST', body: { username, password } });
+        if (response.status !== 200) {
+            throw new Error(`Login failed for ${username}: ${response.status}`);
+        }
+        return response.headers.get('set-cookie').split(';')[0];
+    };
+
+    return {
+        request,
+        login,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = { createServerSandbox, startTestServer };
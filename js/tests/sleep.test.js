@@ -0,0 +1,120 @@
+/**
+ * Sleep Apnea Tests
+ * Tests for the sleep studies, the CPAP follow-up log and the poor compliance worklist
+ */
+
+const sleepPatient = {
+    id: 'sleep-patient-1',
+    firstName: 'Rachid',
+    lastName: 'Boudiaf',
+    dateOfBirth: '1969-03-08',
+    placeOfResidence: 'Annaba',
+    gender: 'male',
+    sleepStudies: [
+        { id: 'study-1', date: '2023-11-14', type: 'polygraphy', ahi: 34, odi: 31, meanSpo2: 92, minSpo2: 78, t90: 12, severity: 'severe' }
+    ],
+    cpapLog: [
+        { id: 'cpap-1', date: '2024-01-10', mode: 'apap', pressureMin: 6, pressureMax: 12, maskType: 'nasal', usageHours: 5.5 },
+        { id: 'cpap-2', date: '2024-03-12', mode: 'apap', pressureMin: 6, pressureMax: 12, maskType: 'nasal', usageHours: 3.2, residualAhi: 6.4, leak: 28 }
+    ],
+    visits: []
+};
+
+describe('Sleep studies', () => {
+    test('should classify the severity from the AHI', () => {
+        expect(classifySleepApnea(3).key).toBe('normal');
+        expect(classifySleepApnea(5).key).toBe('mild');
+        expect(classifySleepApnea(29.9).key).toBe('moderate');
+        expect(classifySleepApnea(30).key).toBe('severe');
+        expect(classifySleepApnea(undefined)).toBeNull();
+    });
+
+    test('should normalize the submitted rows, compute the severity and drop the empty ones', () => {
+        const studies = normalizeSleepStudies({
+            0: { id: 's', date: '2024-02-01', type: 'polysomnography', ahi: '18,5', odi: '', meanSpo2: '93' },
+            2: { id: 't', date: '', type: 'polygraphy', ahi: '' }
+        });
+
+        expect(studies).toEqual([
+            { id: 's', date: '2024-02-01', type: 'polysomnography', ahi: 18.5, meanSpo2: 93, severity: 'moderate' }
+        ]);
+        expect(describeSleepStudy(studies[0])).toBe('Polysomnographie · IAH 18.5 /h (Modéré)');
+    });
+
+    test('should require a date and check the ranges and the SpO2 values', () => {
+        expect(validateSleepStudies([
+            { date: '2024-02-01', ahi: 12, meanSpo2: 91, minSpo2: 84 },
+            { ahi: 250, type: 'oximetry', meanSpo2: 88, minSpo2: 90 }
+        ])).toEqual([
+            { field: 'sleepStudies[1].date', message: ERROR_MESSAGES.validation.required },
+            { field: 'sleepStudies[1].ahi', message: ERROR_MESSAGES.validation.range.replace('{min}', 0).replace('{max}', 200) },
+            { field: 'sleepStudies[1].type', message: 'Study type must be one of: polysomnography, polygraphy' },
+            { field: 'sleepStudies[1].minSpo2', message: 'Minimum SpO2 cannot exceed the mean SpO2' }
+        ]);
+    });
+});
+
+describe('CPAP follow-up', () => {
+    test('should check the pressures, the usage and the mask', () => {
+        expect(validateCpapLog([
+            { date: '2024-03-12', pressureMin: 12, pressureMax: 8, usageHours: 25, maskType: 'helmet' }
+        ]).map(error => error.field)).toEqual(['cpapLog[0].usageHours', 'cpapLog[0].maskType', 'cpapLog[0].pressureMax']);
+        expect(normalizeCpapLog([{ id: 'c', date: '2024-03-12', usageHours: '4,5', leak: '' }]))
+            .toEqual([{ id: 'c', date: '2024-03-12', usageHours: 4.5 }]);
+    });
+
+    test('should judge the compliance on the latest reading', () => {
+        expect(cpapCompliance(sleepPatient.cpapLog)).toEqual({
+            entryId: 'cpap-2', date: '2024-03-12', usageHours: 3.2, residualAhi: 6.4, leak: 28, poor: true
+        });
+        expect(cpapCompliance([...sleepPatient.cpapLog, { id: 'cpap-3', date: '2024-05-02', usageHours: 4 }]).poor).toBe(false);
+        expect(cpapCompliance([{ id: 'cpap-4', date: '2024-05-02', residualAhi: 2 }])).toBeNull();
+    });
+
+    test('should validate the sleep records with the patient', () => {
+        const patient = new Patient({ ...JSON.parse(JSON.stringify(sleepPatient)), cpapLog: [{ usageHours: 6 }] });
+
+        expect(patient.validate().errors).toEqual([{ field: 'cpapLog[0].date', message: ERROR_MESSAGES.validation.required }]);
+    });
+});
+
+describe('CPAP compliance worklist', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(sleepPatient)));
+        await dataStorage.savePatient({
+            ...JSON.parse(JSON.stringify(sleepPatient)),
+            id: 'sleep-patient-2',
+            firstName: 'Nadia',
+            cpapLog: [{ id: 'cpap-5', date: '2024-03-01', usageHours: 6.1 }]
+        });
+    });
+
+    test('should list the patients whose latest reading is below 4 h per night', async () => {
+        const worklist = await patientManager.getCpapWorklist();
+
+        expect(worklist.map(entry => entry.id)).toEqual(['sleep-patient-1']);
+        expect(worklist[0].cpapCompliance.usageHours).toBe(3.2);
+
+        const html = new CpapWorklistView(patientManager).renderEntry(worklist[0]);
+        expect(html).toContain('Rachid Boudiaf');
+        expect(html).toContain('3.2 h/nuit');
+        expect(html).toContain('28 L/min');
+    });
+
+    test('should leave the worklist once a reading shows a sufficient use', async () => {
+        const patient = await dataStorage.loadPatient('sleep-patient-1');
+        patient.cpapLog.push({ id: 'cpap-6', date: '2024-04-15', usageHours: 5 });
+        await dataStorage.savePatient(patient.toJSON());
+
+        expect(await patientManager.getCpapWorklist()).toEqual([]);
+    });
+});
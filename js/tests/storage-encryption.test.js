@@ -0,0 +1,107 @@
+/**
+ * Storage Encryption Tests
+ * Tests for encrypting patient data at rest under the practice passphrase
+ */
+
+const PASSPHRASE = 'cabinet pneumo blida';
+
+const encryptedPatient = {
+    id: 'encrypted-patient-1',
+    firstName: 'Nadia',
+    lastName: 'Ferhat',
+    dateOfBirth: '1972-11-05',
+    age: 52,
+    placeOfResidence: 'Tizi Ouzou',
+    gender: 'female',
+    atcdsMedicaux: 'Tuberculose 1998',
+    visits: []
+};
+
+describe('Patient data encryption at rest', () => {
+    let dataStorage;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+    });
+
+    test('should encrypt stored patients once unlocked', async () => {
+        await dataStorage.unlock(PASSPHRASE);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(encryptedPatient)));
+
+        const stored = localStorage.getItem('pms_patients');
+
+        expect(stored.startsWith(ENCRYPTION_CONFIG.envelopePrefix)).toBe(true);
+        expect(stored).not.toContain('Ferhat');
+        expect(localStorage.getItem('pms_patients_index')).not.toContain('Ferhat');
+        expect((await dataStorage.loadPatient(encryptedPatient.id)).atcdsMedicaux).toBe('Tuberculose 1998');
+    });
+
+    test('should encrypt data saved before the passphrase was set up', async () => {
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(encryptedPatient)));
+
+        await dataStorage.unlock(PASSPHRASE);
+
+        expect(localStorage.getItem('pms_patients')).not.toContain('Ferhat');
+        expect(localStorage.getItem('pms_patient_history')).not.toContain('Ferhat');
+    });
+
+    test('should stay locked until the right passphrase is given', async () => {
+        await dataStorage.unlock(PASSPHRASE);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(encryptedPatient)));
+
+        const reopened = new DataStorageManager();
+        const result = await reopened.initializeStorage();
+
+        expect(result.locked).toBe(true);
+        await expect(reopened.loadPatient(encryptedPatient.id)).rejects.toThrow();
+        await expect(reopened.unlock('wrong passphrase!')).rejects.toThrow();
+
+        await reopened.unlock(PASSPHRASE);
+        expect((await reopened.loadPatient(encryptedPatient.id)).lastName).toBe('Ferhat');
+    });
+
+    test('should re-encrypt all records when the passphrase is rotated', async () => {
+        await dataStorage.unlock(PASSPHRASE);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(encryptedPatient)));
+
+        await dataStorage.rotateEncryptionKey(PASSPHRASE, 'nouvelle phrase secrète');
+
+        const reopened = new DataStorageManager();
+        await reopened.initializeStorage();
+
+        await expect(reopened.unlock(PASSPHRASE)).rejects.toThrow();
+        await reopened.unlock('nouvelle phrase secrète');
+        expect((await reopened.loadPatient(encryptedPatient.id)).lastName).toBe('Ferhat');
+    });
+
+    test('should resume a passphrase change interrupted before every store was re-encrypted', async () => {
+        const NEW_PASSPHRASE = 'nouvelle phrase secrète';
+        await dataStorage.unlock(PASSPHRASE);
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(encryptedPatient)));
+
+        // Interrupted after re-encrypting the patients but not their history
+        const newKey = await dataStorage.encryption.beginChange(NEW_PASSPHRASE);
+        const patients = await dataStorage.encryption.decrypt(localStorage.getItem('pms_patients'));
+        localStorage.setItem('pms_patients', await dataStorage.encryption.encryptWithKey(newKey, patients));
+
+        const reopened = new DataStorageManager();
+        await reopened.initializeStorage();
+
+        await expect(reopened.unlock(PASSPHRASE)).rejects.toThrow(ERROR_MESSAGES.storage.keyChangePending);
+        await expect(reopened.unlock(NEW_PASSPHRASE)).rejects.toThrow(ERROR_MESSAGES.storage.keyChangePending);
+        await expect(reopened.rotateEncryptionKey(PASSPHRASE, 'une autre phrase secrète')).rejects.toThrow();
+
+        await reopened.rotateEncryptionKey(PASSPHRASE, NEW_PASSPHRASE);
+
+        expect(localStorage.getItem(ENCRYPTION_CONFIG.pendingDescriptorStorageKey)).toBeNull();
+        expect((await reopened.loadPatient(encryptedPatient.id)).lastName).toBe('Ferhat');
+
+        const afterResume = new DataStorageManager();
+        await afterResume.initializeStorage();
+        await afterResume.unlock(NEW_PASSPHRASE);
+        expect((await afterResume.loadPatient(encryptedPatient.id)).lastName).toBe('Ferhat');
+        expect(await afterResume.readStore('pms_patient_history', null)).not.toBeNull();
+    });
+});
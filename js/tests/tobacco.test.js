@@ -0,0 +1,134 @@
+/**
+ * Smoking History Tests
+ * Tests for the structured tobacco section, the pack-years and the search filters
+ */
+
+const smokers = [
+    {
+        id: 'smoker-1',
+        firstName: 'Mourad',
+        lastName: 'Benali',
+        dateOfBirth: '1960-02-11',
+        placeOfResidence: 'Oran',
+        gender: 'male',
+        tobacco: { status: 'current', startDate: '1980-01', cigarettesPerDay: 20, exposures: [{ type: 'waterpipe', details: '' }] },
+        visits: []
+    },
+    {
+        id: 'smoker-2',
+        firstName: 'Nadia',
+        lastName: 'Cherif',
+        dateOfBirth: '1975-07-30',
+        placeOfResidence: 'Blida',
+        gender: 'female',
+        tobacco: { status: 'current', startDate: '2015-01', cigarettesPerDay: 10 },
+        visits: []
+    },
+    {
+        id: 'smoker-3',
+        firstName: 'Ali',
+        lastName: 'Saadi',
+        dateOfBirth: '1950-04-02',
+        placeOfResidence: 'Annaba',
+        gender: 'male',
+        tobacco: { status: 'former', startDate: '1970-01', quitDate: '2000-01', cigarettesPerDay: 40, exposures: [{ type: 'occupationalDust', details: 'Mineur 15 ans' }] },
+        visits: []
+    },
+    {
+        id: 'smoker-4',
+        firstName: 'Samia',
+        lastName: 'Mekki',
+        dateOfBirth: '1988-09-14',
+        placeOfResidence: 'Tlemcen',
+        gender: 'female',
+        tobacco: { status: 'never' },
+        visits: []
+    }
+];
+
+describe('Smoking history', () => {
+    test('should normalize the form values and drop those that do not apply to the status', () => {
+        expect(normalizeTobacco({ status: 'current', startDate: '1990-05', quitDate: '2010-01', cigarettesPerDay: '15' }))
+            .toEqual({ status: 'current', startDate: '1990-05', cigarettesPerDay: 15 });
+        expect(normalizeTobacco({ status: 'never', cigarettesPerDay: '15', exposures: [{ type: 'cannabis', details: ' 2/j ' }] }))
+            .toEqual({ status: 'never', exposures: [{ type: 'cannabis', details: '2/j' }] });
+        expect(normalizeTobacco({ status: '', startDate: '', exposures: [] })).toBeNull();
+    });
+
+    test('should compute the pack-years up to the quit date or today', () => {
+        const asOf = new Date('2020-01-01');
+
+        expect(computePackYears({ status: 'former', startDate: '1970-01', quitDate: '2000-01', cigarettesPerDay: 40 }, asOf)).toBe(60);
+        expect(computePackYears({ status: 'current', startDate: '2010-01', cigarettesPerDay: 10 }, asOf)).toBe(5);
+        expect(computePackYears({ status: 'never' }, asOf)).toBe(0);
+        expect(computePackYears({ status: 'current', cigarettesPerDay: 10 }, asOf)).toBeNull();
+    });
+
+    test('should describe the cessation of a former smoker', () => {
+        const tobacco = { status: 'former', startDate: '1970-01', quitDate: '2016-03', cigarettesPerDay: 20 };
+
+        expect(yearsSinceQuitting(tobacco, new Date('2020-06-01'))).toBe(4);
+        expect(describeTobacco(tobacco, new Date('2020-06-01'))).toBe('Ex-fumeur · 46.2 PA · sevré depuis 4 ans');
+        expect(describeTobacco(null)).toBe('');
+    });
+
+    test('should reject inconsistent dates and consumptions', () => {
+        const errors = validateTobacco({ status: 'former', startDate: '2000-01', quitDate: '1995-06', cigarettesPerDay: 300 });
+
+        expect(errors).toEqual([
+            { field: 'tobacco.quitDate', message: 'Quit date must be after the start date' },
+            { field: 'tobacco.cigarettesPerDay', message: 'Must be between 1 and 100' }
+        ]);
+        expect(validateTobacco({ cigarettesPerDay: 10 }).map(error => error.field)).toEqual(['tobacco.status']);
+        expect(validateTobacco({ status: 'current', exposures: [{ type: 'asbestos' }] }).map(error => error.field))
+            .toEqual(['tobacco.exposures']);
+    });
+
+    test('should validate the smoking history as part of the patient record', () => {
+        const patient = new Patient({ ...smokers[0], tobacco: { status: 'smoker' } });
+
+        expect(patient.validate().errors.map(error => error.field)).toEqual(['tobacco.status']);
+    });
+
+    test('should treat the smoking history as clinical data', () => {
+        expect(redactPatient(smokers[2]).tobacco).toBeUndefined();
+    });
+});
+
+describe('Smoking history search', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+        for (const smoker of smokers) {
+            await dataStorage.savePatient(JSON.parse(JSON.stringify(smoker)));
+        }
+    });
+
+    test('should find the current smokers above 20 pack-years', async () => {
+        const results = await patientManager.searchPatients({ smokingStatus: 'current', packYears: { min: 20 } });
+
+        expect(results.map(patient => patient.id)).toEqual(['smoker-1']);
+    });
+
+    test('should filter on the smoking status and the exposures', async () => {
+        const former = await patientManager.searchPatients({ smokingStatus: 'former' });
+        const dust = await patientManager.searchPatients({ exposure: 'occupationalDust' });
+        const nonSmokers = await patientManager.searchPatients({ smokingStatus: 'never', searchTerm: 'Mekki' });
+
+        expect(former.map(patient => patient.id)).toEqual(['smoker-3']);
+        expect(dust.map(patient => patient.id)).toEqual(['smoker-3']);
+        expect(nonSmokers.map(patient => patient.id)).toEqual(['smoker-4']);
+    });
+
+    test('should combine a pack-years range with other criteria', async () => {
+        const results = await patientManager.searchPatients({ packYears: { min: 1, max: 100 }, gender: 'male' });
+
+        expect(results.map(patient => patient.id).sort()).toEqual(['smoker-1', 'smoker-3']);
+    });
+});
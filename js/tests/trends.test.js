@@ -0,0 +1,58 @@
+/**
+ * Trend Chart Tests
+ * Tests for the measures plotted in the "Courbes" tab and their SVG rendering
+ */
+
+const trendPatient = {
+    id: 'trend-patient-1',
+    firstName: 'Rachid',
+    lastName: 'Mansouri',
+    dateOfBirth: '1958-06-15',
+    gender: 'male',
+    visits: [
+        { id: 'visit-3', visitDate: '2024-01-10', pft: { heightCm: 168, fev1: { pre: 1.80, post: 1.95 }, fvc: { pre: 3.00 } } },
+        { id: 'visit-1', visitDate: '2022-01-10', pft: { heightCm: 168, fev1: { pre: 2.00 }, fvc: { pre: 3.10 } } },
+        { id: 'visit-2', visitDate: '2023-01-10', pft: { heightCm: 168, fev1: { pre: 1.90 }, fvc: { pre: 3.05 } } },
+        { id: 'visit-4', visitDate: '2024-02-01', observations: 'Sans mesure' }
+    ]
+};
+
+describe('Trend charts', () => {
+    test('should plot each measure over the visit dates, oldest first', () => {
+        const fev1 = buildTrend(trendPatient, TREND_MEASURES.find(measure => measure.key === 'fev1'));
+
+        expect(fev1.series[0].points.map(point => point.visitId)).toEqual(['visit-1', 'visit-2', 'visit-3']);
+        expect(fev1.series[1].points.map(point => point.value)).toEqual([1.95]);
+    });
+
+    test('should compute the yearly FEV1 decline', () => {
+        const fev1 = buildTrend(trendPatient, TREND_MEASURES.find(measure => measure.key === 'fev1'));
+
+        expect(fev1.series[0].slope).toBeCloseTo(-0.1, 2);
+        expect(formatSlope(fev1.series[0].slope, 'L')).toBe('-100 mL/year');
+        expect(fev1.series[1].slope).toBeNull();
+    });
+
+    test('should only chart the measures that were recorded', () => {
+        expect(buildPatientTrends(trendPatient).map(trend => trend.measure.key)).toEqual(['fev1', 'fvc', 'fev1Fvc']);
+        expect(buildPatientTrends({ visits: [] })).toEqual([]);
+    });
+
+    test('should use the fixed 70 % ratio without the GLI-2012 tables', () => {
+        const ratio = buildTrend(trendPatient, TREND_MEASURES.find(measure => measure.key === 'fev1Fvc'));
+
+        expect(ratio.band.map(entry => entry.lower)).toEqual([70, 70, 70]);
+        expect(buildTrend(trendPatient, TREND_MEASURES.find(measure => measure.key === 'fev1')).band).toEqual([]);
+    });
+
+    test('should draw the points with their details and a link to the visit', () => {
+        const ratio = buildTrend(trendPatient, TREND_MEASURES.find(measure => measure.key === 'fev1Fvc'));
+        const html = new TrendChart(ratio, { visitAction: visitId => `openVisit('${visitId}')` }).render();
+
+        expect(html).toContain('<svg');
+        expect(html).toContain('trend-band-area');
+        expect(html).toContain('openVisit(\'visit-2\')');
+        expect(html).toContain('FEV1/FVC Pre-BD: 60 %');
+        expect((html.match(/trend-point-abnormal/g) || []).length).toBe(3);
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tuberculosis Tests
+ * Tests for the TB episodes: regimen phases, follow-ups, DOT calendar and overdue follow-ups
+ */
+
+const tbPatient = {
+    id: 'tb-patient-1',
+    firstName: 'Karim',
+    lastName: 'Messaoudi',
+    dateOfBirth: '1988-06-21',
+    placeOfResidence: 'Sétif',
+    gender: 'male',
+    tbEpisodes: [
+        {
+            id: 'tb-1',
+            startDate: '2024-01-08',
+            regimen: '2RHZE/4RH',
+            site: 'pulmonary',
+            smearConversionDate: '2024-02-19',
+            followUps: [
+                { id: 'fu-1', date: '2024-01-15', smear: 'positive', culture: 'pending', weightKg: 54 },
+                { id: 'fu-2', date: '2024-01-22', smear: 'positive', weightKg: 54.5 }
+            ],
+            doses: { '2024-01-08': 'observed', '2024-01-09': 'observed', '2024-01-10': 'missed' }
+        }
+    ],
+    visits: []
+};
+
+describe('TB regimen phases', () => {
+    test('should compute the expected end of each phase from the start date', () => {
+        const phases = tbPhaseDates(tbPatient.tbEpisodes[0]);
+
+        expect(phases.map(phase => [phase.key, phase.start, phase.end])).toEqual([
+            ['intensive', '2024-01-08', '2024-03-07'],
+            ['continuation', '2024-03-08', '2024-07-07']
+        ]);
+        expect(tbExpectedEndDate({ startDate: '2024-01-08', regimen: '2RHZE/10RH' })).toBe('2025-01-07');
+        expect(tbPhaseOn(tbPatient.tbEpisodes[0], '2024-03-08').key).toBe('continuation');
+        expect(tbPhaseOn(tbPatient.tbEpisodes[0], '2024-07-08')).toBeNull();
+    });
+
+    test('should normalize the submitted rows and drop the empty ones', () => {
+        const episodes = normalizeTbEpisodes({
+            0: {
+                id: 'e', startDate: '2024-01-08', regimen: '2RHZE/4RH', site: '', outcome: '',
+                followUps: { 1: { id: 'b', date: '2024-01-22', weightKg: '55,5' }, 0: { id: 'a', date: '2024-01-15', smear: 'positive' } },
+                doses: '{"2024-01-08":"observed"}'
+            },
+            1: { id: 'f', startDate: '', regimen: '2RHZE/4RH' }
+        });
+
+        expect(episodes).toHaveLength(1);
+        expect(episodes[0].followUps.map(followUp => followUp.id)).toEqual(['a', 'b']);
+        expect(episodes[0].followUps[1].weightKg).toBe(55.5);
+        expect(episodes[0].doses).toEqual({ '2024-01-08': 'observed' });
+        expect(episodes[0].site).toBeUndefined();
+    });
+
+    test('should require a start, a regimen and an outcome date, and check the dates', () => {
+        const errors = validateTbEpisodes([
+            tbPatient.tbEpisodes[0],
+            {
+                startDate: '2024-01-08', regimen: '3RHZE', outcome: 'cured',
+                smearConversionDate: '2023-12-01',
+                followUps: [{ smear: 'unknown' }],
+                doses: { '2024-01-08': 'taken' }
+            }
+        ]);
+
+        expect(errors.map(error => error.field)).toEqual([
+            'tbEpisodes[1].regimen',
+            'tbEpisodes[1].outcomeDate',
+            'tbEpisodes[1].smearConversionDate',
+            'tbEpisodes[1].followUps[0].date',
+            'tbEpisodes[1].followUps[0].smear',
+            'tbEpisodes[1].doses'
+        ]);
+        expect(errors[2].message).toBe('Date must be after the start of the treatment');
+    });
+});
+
+describe('TB follow-up and DOT calendar', () => {
+    test('should expect a follow-up every week until the outcome is declared', () => {
+        const episode = tbPatient.tbEpisodes[0];
+
+        expect(nextTbFollowUpDate(episode)).toBe('2024-01-29');
+        expect(nextTbFollowUpDate({ ...episode, followUps: [] })).toBe('2024-01-15');
+        expect(nextTbFollowUpDate({ ...episode, outcome: 'cured', outcomeDate: '2024-07-08' })).toBeNull();
+        expect(tbOverdueDays('2024-01-29', '2024-02-05')).toBe(7);
+        expect(tbOverdueDays('2024-01-29', '2024-01-29')).toBe(0);
+    });
+
+    test('should lay the treatment days out month by month with their phase and intake', () => {
+        const months = tbCalendarMonths(tbPatient.tbEpisodes[0]);
+
+        expect(months.map(month => month.month)).toEqual(['2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06', '2024-07']);
+        expect(months[0].days[0]).toEqual({ date: '2024-01-08', phase: 'intensive', dose: 'observed', followUp: false });
+        expect(months[0].days[7].followUp).toBe(true);
+        expect(months[2].days[7]).toEqual({ date: '2024-03-08', phase: 'continuation', dose: null, followUp: false });
+        expect(months[6].days[months[6].days.length - 1].date).toBe('2024-07-07');
+
+        expect(tbDoseSummary(tbPatient.tbEpisodes[0], '2024-01-14')).toEqual({ observed: 2, missed: 1, expected: 7 });
+        expect([undefined, 'observed', 'missed'].map(nextTbDoseStatus)).toEqual(['observed', 'missed', null]);
+    });
+});
+
+describe('Overdue TB follow-ups', () => {
+    let dataStorage;
+    let patientManager;
+
+    beforeEach(async () => {
+        localStorage.clear();
+        dataStorage = new DataStorageManager();
+        await dataStorage.initializeStorage();
+        patientManager = new PatientManager();
+        await patientManager.initialize(dataStorage);
+
+        await dataStorage.savePatient(JSON.parse(JSON.stringify(tbPatient)));
+        await dataStorage.savePatient({
+            ...JSON.parse(JSON.stringify(tbPatient)),
+            id: 'tb-patient-2',
+            firstName: 'Samia',
+            tbEpisodes: [{ ...tbPatient.tbEpisodes[0], id: 'tb-2', outcome: 'completed', outcomeDate: '2024-07-08' }]
+        });
+    });
+
+    test('should list the ongoing episodes whose weekly follow-up is past due', async () => {
+        const overdue = await patientManager.getOverdueTbFollowUps('2024-02-05');
+
+        expect(overdue.map(entry => entry.id)).toEqual(['tb-patient-1']);
+        expect(overdue[0].overdueDays).toBe(7);
+        expect(overdue[0].tbFollowUp).toEqual({ episodeId: 'tb-1', regimen: '2RHZE/4RH', nextFollowUpDate: '2024-01-29' });
+        expect(await patientManager.getOverdueTbFollowUps('2024-01-29')).toEqual([]);
+    });
+
+    test('should record an intake in the DOT calendar', async () => {
+        const patient = await dataStorage.loadPatient('tb-patient-1');
+        const result = await patientManager.recordTbDose('tb-patient-1', 'tb-1', '2024-01-11', 'observed', patient.revision);
+
+        expect(result.patient.tbEpisodes[0].doses['2024-01-11']).toBe('observed');
+
+        const cleared = await patientManager.recordTbDose('tb-patient-1', 'tb-1', '2024-01-10', null, result.patient.revision);
+        expect(cleared.patient.tbEpisodes[0].doses['2024-01-10']).toBeUndefined();
+
+        await expect(patientManager.recordTbDose('tb-patient-1', 'tb-9', '2024-01-11', 'observed')).rejects.toThrow('TB episode not found');
+    });
+});
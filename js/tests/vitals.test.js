@@ -0,0 +1,69 @@
+/**
+ * Vital Signs Tests
+ * Tests for the structured vital signs of a visit, the BMI and the abnormal value flags
+ */
+
+describe('Vital signs', () => {
+    test('should normalize submitted values and compute the BMI', () => {
+        const vitals = normalizeVitals({ weightKg: '70', heightCm: '175', spo2: '95', temperature: '37,2', heartRate: '' });
+
+        expect(vitals).toEqual({ weightKg: 70, heightCm: 175, spo2: 95, temperature: 37.2, bmi: 22.9 });
+        expect(normalizeVitals({ spo2: '' })).toBeNull();
+    });
+
+    test('should not compute the BMI without both weight and height', () => {
+        expect(computeBmi(70, null)).toBeNull();
+        expect(normalizeVitals({ weightKg: 70 }).bmi).toBeUndefined();
+    });
+
+    test('should reject values outside their plausible range', () => {
+        const errors = validateVitals({ spo2: 120, heartRate: 'fast', temperature: 37 });
+
+        expect(errors).toEqual([
+            { field: 'vitals.spo2', message: 'Must be between 50 and 100' },
+            { field: 'vitals.heartRate', message: ERROR_MESSAGES.validation.number }
+        ]);
+    });
+
+    test('should reject a diastolic pressure above the systolic pressure', () => {
+        const errors = validateVitals({ systolicBp: 80, diastolicBp: 95 });
+
+        expect(errors.map(error => error.field)).toEqual(['vitals.diastolicBp']);
+    });
+
+    test('should validate the vital signs as part of a visit', () => {
+        const errors = new Patient().validateVisit({ visitDate: '2024-05-02', vitals: { respiratoryRate: 2 } });
+
+        expect(errors.map(error => error.field)).toEqual(['vitals.respiratoryRate']);
+    });
+
+    test('should flag abnormal and critical values', () => {
+        expect(assessVital('spo2', 95)).toEqual({ status: 'normal', direction: null });
+        expect(assessVital('spo2', 90)).toEqual({ status: 'abnormal', direction: 'low' });
+        expect(assessVital('spo2', 85)).toEqual({ status: 'critical', direction: 'low' });
+        expect(assessVital('heartRate', 115)).toEqual({ status: 'abnormal', direction: 'high' });
+        expect(assessVital('weightKg', 150)).toEqual({ status: 'normal', direction: null });
+    });
+
+    test('should list the critical values of a visit', () => {
+        expect(criticalVitals({ spo2: 86, temperature: 40.2, heartRate: 88 })).toEqual(['spo2', 'temperature']);
+        expect(criticalVitals(null)).toEqual([]);
+    });
+
+    test('should treat the vital signs as clinical data', () => {
+        const visit = { id: 'visit-1', visitDate: '2024-05-02', vitals: { spo2: 94 } };
+
+        expect(visitHasClinicalData(visit)).toBe(true);
+        expect(redactVisit(visit).vitals).toBeUndefined();
+    });
+
+    test('should use the height of the vital signs for the PFT predictions', () => {
+        const subject = pftSubject({ gender: 'female', dateOfBirth: '1980-01-01' }, {
+            visitDate: '2024-01-01',
+            vitals: { heightCm: 162 },
+            pft: { fev1: { pre: 2.5 } }
+        });
+
+        expect(subject.heightCm).toBe(162);
+    });
+});
@@ -0,0 +1,358 @@
+/**
+ * Allergies and Prescribing Alerts
+ * Structured drug allergies of a patient and the alerts raised when a treatment (or the
+ * free-text prescription of a visit) matches an allergy or a bundled contraindication.
+ *
+ * A patient stores its allergies as:
+ *   allergies: [{ id, substance, drugClass, reaction, severity }]
+ * An allergy matches the drugs naming its substance and, when its substance belongs to a drug
+ * class of DRUG_CLASSES (or a class is chosen), every drug of that class: an aspirin allergy
+ * (aspirin-exacerbated respiratory disease) matches the other NSAIDs.
+ */
+
+// Allergy severities
+const ALLERGY_SEVERITIES = [
+    { key: 'mild', label: 'Mild', shortLabel: 'Légère' },
+    { key: 'moderate', label: 'Moderate', shortLabel: 'Modérée' },
+    { key: 'severe', label: 'Severe', shortLabel: 'Sévère' }
+];
+
+// Bundled drug classes with the (French) names of their members, folded as by foldDrugName()
+const DRUG_CLASSES = [
+    {
+        key: 'penicillins',
+        label: 'Pénicillines',
+        members: ['penicilline', 'amoxicilline', 'ampicilline', 'augmentin', 'oxacilline', 'cloxacilline',
+            'piperacilline', 'extencilline', 'benzathine benzylpenicilline', 'pivmecillinam']
+    },
+    {
+        key: 'cephalosporins',
+        label: 'Céphalosporines',
+        members: ['cephalosporine', 'cefalexine', 'cefadroxil', 'cefuroxime', 'cefaclor', 'cefpodoxime',
+            'cefixime', 'ceftriaxone', 'cefotaxime', 'ceftazidime', 'cefepime']
+    },
+    {
+        key: 'macrolides',
+        label: 'Macrolides',
+        members: ['macrolide', 'azithromycine', 'clarithromycine', 'erythromycine', 'spiramycine', 'roxithromycine']
+    },
+    {
+        key: 'fluoroquinolones',
+        label: 'Fluoroquinolones',
+        members: ['fluoroquinolone', 'levofloxacine', 'moxifloxacine', 'ciprofloxacine', 'ofloxacine', 'norfloxacine']
+    },
+    {
+        key: 'sulfonamides',
+        label: 'Sulfamides',
+        members: ['sulfamide', 'cotrimoxazole', 'sulfamethoxazole', 'bactrim']
+    },
+    {
+        key: 'nsaids',
+        label: 'AINS et aspirine',
+        members: ['ains', 'aspirine', 'acide acetylsalicylique', 'ibuprofene', 'ketoprofene', 'diclofenac',
+            'naproxene', 'indometacine', 'piroxicam', 'meloxicam', 'acide niflumique', 'flurbiprofene']
+    },
+    {
+        key: 'nonSelectiveBetaBlockers',
+        label: 'Bêtabloquants non sélectifs',
+        members: ['propranolol', 'sotalol', 'nadolol', 'timolol', 'carvedilol', 'labetalol', 'pindolol']
+    },
+    {
+        key: 'benzodiazepines',
+        label: 'Benzodiazépines',
+        members: ['benzodiazepine', 'diazepam', 'alprazolam', 'bromazepam', 'lorazepam', 'clonazepam',
+            'prazepam', 'oxazepam', 'clorazepate', 'midazolam']
+    },
+    {
+        key: 'opioids',
+        label: 'Opioïdes',
+        members: ['opioide', 'morphine', 'codeine', 'tramadol', 'oxycodone', 'fentanyl', 'hydromorphone', 'pholcodine']
+    },
+    {
+        key: 'iodinatedContrast',
+        label: 'Produits de contraste iodés',
+        members: ['produit de contraste iode', 'iode', 'iohexol', 'iopamidol', 'iomeprol']
+    }
+];
+
+// Bundled contraindications: a drug class and the diagnoses (classification keys or ICD-10 codes) it is contraindicated in
+const DRUG_CONTRAINDICATIONS = [
+    {
+        key: 'nonSelectiveBetaBlockersAsthma',
+        drugClass: 'nonSelectiveBetaBlockers',
+        diagnoses: ['asthma'],
+        message: 'Bêtabloquant non sélectif contre-indiqué dans l\'asthme (bronchospasme)'
+    },
+    {
+        key: 'benzodiazepinesRespiratoryFailure',
+        drugClass: 'benzodiazepines',
+        icd10: ['J96.1', 'G47.3'],
+        message: 'Benzodiazépine déconseillée en cas d\'insuffisance respiratoire chronique ou d\'apnée du sommeil'
+    },
+    {
+        key: 'opioidsRespiratoryFailure',
+        drugClass: 'opioids',
+        icd10: ['J96.1'],
+        message: 'Opioïde : risque de dépression respiratoire en cas d\'insuffisance respiratoire chronique'
+    }
+];
+
+/**
+ * Lower-case drug name without accents or punctuation, so that "Ibuprofène" finds "ibuprofene"
+ * @param {string} text - Drug name or prescription text
+ * @returns {string} Folded text
+ */
+function foldDrugName(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Find the definition of a severity
+ * @param {string} key - Severity key
+ * @returns {Object|undefined} Definition from ALLERGY_SEVERITIES
+ */
+function getAllergySeverity(key) {
+    return ALLERGY_SEVERITIES.find(severity => severity.key === key);
+}
+
+/**
+ * Find the definition of a drug class
+ * @param {string} key - Drug class key
+ * @returns {Object|undefined} Definition from DRUG_CLASSES
+ */
+function getDrugClass(key) {
+    return DRUG_CLASSES.find(drugClass => drugClass.key === key);
+}
+
+/**
+ * Check whether a folded text names a drug, as a whole word or the start of one
+ * @param {string} folded - Folded text
+ * @param {string} name - Folded drug name
+ * @returns {boolean} True when the text names the drug
+ */
+function mentionsDrug(folded, name) {
+    return Boolean(name) && ` ${folded}`.includes(` ${name}`);
+}
+
+/**
+ * Drug classes named by a text: a member or the class name itself
+ * @param {string} text - Drug name, allergy substance or prescription text
+ * @returns {Array} Drug class keys
+ */
+function drugClassesOf(text) {
+    const folded = foldDrugName(text);
+    return DRUG_CLASSES.filter(drugClass => mentionsDrug(folded, foldDrugName(drugClass.label)) ||
+        drugClass.members.some(member => mentionsDrug(folded, member)))
+        .map(drugClass => drugClass.key);
+}
+
+/**
+ * Normalize one allergy: trimmed texts, empty fields dropped
+ * @param {Object} allergy - Submitted allergy
+ * @returns {Object|null} Normalized allergy, null when no substance was entered
+ */
+function normalizeAllergy(allergy) {
+    if (!allergy || typeof allergy !== 'object') {
+        return null;
+    }
+
+    const substance = String(allergy.substance || '').trim();
+    if (!substance) {
+        return null;
+    }
+
+    const normalized = { id: allergy.id || generateId(), substance };
+    ['drugClass', 'reaction', 'severity'].forEach(field => {
+        const value = String(allergy[field] || '').trim();
+        if (value) {
+            normalized[field] = value;
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Normalize the allergy list, dropping the rows without a substance
+ * @param {Array} allergies - Submitted allergies (may hold empty slots)
+ * @returns {Array} Normalized allergies
+ */
+function normalizeAllergies(allergies) {
+    return (Array.isArray(allergies) ? allergies : []).map(normalizeAllergy).filter(Boolean);
+}
+
+/**
+ * Validate one allergy
+ * @param {Object} allergy - Allergy
+ * @returns {Array} Errors as { field, message }, field like 'substance'
+ */
+function validateAllergy(allergy) {
+    const errors = [];
+    if (!allergy || typeof allergy !== 'object' || Array.isArray(allergy)) {
+        return [{ field: 'substance', message: 'Allergy must be an object' }];
+    }
+
+    if (!allergy.substance) {
+        errors.push({ field: 'substance', message: ERROR_MESSAGES.validation.required });
+    }
+
+    ['substance', 'reaction'].forEach(field => {
+        const maxLength = VALIDATION_RULES.allergies[field].maxLength;
+        if (allergy[field] && String(allergy[field]).length > maxLength) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.maxLength.replace('{max}', maxLength) });
+        }
+    });
+
+    if (allergy.drugClass && !getDrugClass(allergy.drugClass)) {
+        errors.push({
+            field: 'drugClass',
+            message: 'Drug class must be one of: ' + DRUG_CLASSES.map(drugClass => drugClass.key).join(', ')
+        });
+    }
+
+    if (allergy.severity && !getAllergySeverity(allergy.severity)) {
+        errors.push({
+            field: 'severity',
+            message: 'Severity must be one of: ' + ALLERGY_SEVERITIES.map(severity => severity.key).join(', ')
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the allergy list
+ * @param {Array} allergies - Allergies
+ * @returns {Array} Errors as { field, message }, field like 'allergies[0].substance'
+ */
+function validateAllergies(allergies) {
+    if (allergies === null || allergies === undefined) {
+        return [];
+    }
+    if (!Array.isArray(allergies)) {
+        return [{ field: 'allergies', message: 'Allergies must be a list' }];
+    }
+
+    return allergies.flatMap((allergy, index) => validateAllergy(allergy).map(({ field, message }) => ({
+        field: `allergies[${index}].${field}`,
+        message
+    })));
+}
+
+/**
+ * One-line description, e.g. "Pénicilline (Sévère) : urticaire, œdème de Quincke"
+ * @param {Object} allergy - Allergy
+ * @returns {string} Description in French
+ */
+function describeAllergy(allergy) {
+    const severity = getAllergySeverity(allergy.severity);
+    return `${allergy.substance}${severity ? ` (${severity.shortLabel})` : ''}${allergy.reaction ? ` : ${allergy.reaction}` : ''}`;
+}
+
+/**
+ * Drug names prescribed at each visit: the treatment lines and the free-text prescription
+ * @param {Object} patient - Patient with visits
+ * @returns {Array} Entries as { visitId, drug, text }
+ */
+function prescribedEntries(patient) {
+    return ((patient && patient.visits) || []).flatMap(visit => [
+        ...(visit.treatments || []).filter(treatment => treatment && treatment.drug)
+            .map(treatment => ({ visitId: visit.id, drug: treatment.drug, text: treatment.drug })),
+        ...['cat', 'medications'].filter(field => visit[field])
+            .map(field => ({ visitId: visit.id, drug: null, text: visit[field] }))
+    ]);
+}
+
+/**
+ * Alerts raised by the prescriptions of a patient: recorded allergies and bundled contraindications
+ * @param {Object} patient - Patient with allergies, diagnoses, problems and visits
+ * @returns {Array} Alerts as { key, type: 'allergy'|'contraindication', visitId, drug, severity, message }
+ */
+function prescribingAlerts(patient) {
+    const allergies = normalizeAllergies(patient && patient.allergies);
+    const diagnoses = typeof patientRespiratoryDiagnoses === 'function' ? patientRespiratoryDiagnoses(patient) : [];
+    const activeCodes = ((patient && patient.problems) || [])
+        .filter(problem => problem && problem.code && problem.status !== 'resolved')
+        .map(problem => problem.code);
+    const contraindications = DRUG_CONTRAINDICATIONS.filter(rule =>
+        (rule.diagnoses || []).some(key => diagnoses.includes(key)) ||
+        (rule.icd10 || []).some(category => activeCodes.some(code => code.startsWith(category))));
+    const alerts = [];
+
+    prescribedEntries(patient).forEach(({ visitId, drug, text }) => {
+        const folded = foldDrugName(text);
+        const classes = drugClassesOf(text);
+        // A free-text prescription is named by the class member it mentions
+        const nameIn = drugClass => drug || (drugClass ?
+            getDrugClass(drugClass).members.find(member => mentionsDrug(folded, member)) || getDrugClass(drugClass).label :
+            text);
+
+        allergies.forEach(allergy => {
+            const allergyClasses = allergy.drugClass ? [allergy.drugClass] : drugClassesOf(allergy.substance);
+            const sharedClass = allergyClasses.find(key => classes.includes(key));
+            if (!mentionsDrug(folded, foldDrugName(allergy.substance)) && !sharedClass) {
+                return;
+            }
+
+            const name = nameIn(sharedClass);
+            alerts.push({
+                key: `allergy:${visitId}:${foldDrugName(name)}:${allergy.id}`,
+                type: 'allergy',
+                visitId,
+                drug: name,
+                severity: allergy.severity || null,
+                message: `${name} : allergie connue à ${describeAllergy(allergy)}`
+            });
+        });
+
+        contraindications.filter(rule => classes.includes(rule.drugClass)).forEach(rule => {
+            const name = nameIn(rule.drugClass);
+            alerts.push({
+                key: `contraindication:${visitId}:${foldDrugName(name)}:${rule.key}`,
+                type: 'contraindication',
+                visitId,
+                drug: name,
+                severity: null,
+                message: `${name} : ${rule.message}`
+            });
+        });
+    });
+
+    return alerts;
+}
+
+/**
+ * Alerts raised by a save that were not raised by the stored record, to be acknowledged
+ * @param {Object} patient - Patient data about to be saved
+ * @param {Object} previous - Stored patient data (null for a new patient)
+ * @returns {Array} New alerts, see prescribingAlerts()
+ */
+function newPrescribingAlerts(patient, previous = null) {
+    const known = new Set(previous ? prescribingAlerts(previous).map(alert => alert.key) : []);
+    return prescribingAlerts(patient).filter(alert => !known.has(alert.key));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ALLERGY_SEVERITIES,
+        DRUG_CLASSES,
+        DRUG_CONTRAINDICATIONS,
+        foldDrugName,
+        getAllergySeverity,
+        getDrugClass,
+        drugClassesOf,
+        normalizeAllergy,
+        normalizeAllergies,
+        validateAllergy,
+        validateAllergies,
+        describeAllergy,
+        prescribingAlerts,
+        newPrescribingAlerts
+    };
+}
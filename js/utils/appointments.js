@@ -0,0 +1,305 @@
+/**
+ * Appointments
+ * Booked consultation slots of the agenda, linked to a patient, and the next appointment
+ * suggested from the plan (CAT) of a visit.
+ *
+ * Appointments are stored apart from the patient records as:
+ *   { id, patientId, date: 'YYYY-MM-DD', time: 'HH:MM', durationMinutes, status, reason, createdAt, updatedAt }
+ * A visit keeps the date of the next appointment planned at that visit:
+ *   nextAppointment: 'YYYY-MM-DD'
+ */
+
+// Appointment statuses, in the order of a consultation day
+const APPOINTMENT_STATUSES = [
+    { key: 'booked', label: 'Booked', shortLabel: 'Réservé' },
+    { key: 'arrived', label: 'Arrived', shortLabel: 'Arrivé' },
+    { key: 'seen', label: 'Seen', shortLabel: 'Vu' },
+    { key: 'no-show', label: 'No-show', shortLabel: 'Absent' },
+    { key: 'cancelled', label: 'Cancelled', shortLabel: 'Annulé' }
+];
+
+// Statuses that free the slot for another booking
+const APPOINTMENT_RELEASED_STATUSES = ['no-show', 'cancelled'];
+
+const APPOINTMENT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const APPOINTMENT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Delays written in a plan, e.g. "revoir dans 3 mois", "contrôle à 6 semaines", "RDV 1 an"
+const FOLLOW_UP_PATTERN = /\b(?:revoir|revu|revue|controle|rdv|rendez vous|reconvoquer|reconvocation|suivi|reevaluation|consultation)\b[^.;\n]{0,40}?\b(\d+|un|une|deux|trois|quatre|six|douze)\s*(jours?|j|semaines?|sem|mois|ans?)\b/;
+const FOLLOW_UP_NUMBERS = { un: 1, une: 1, deux: 2, trois: 3, quatre: 4, six: 6, douze: 12 };
+
+/**
+ * Find the definition of a status
+ * @param {string} key - Status key
+ * @returns {Object|undefined} Definition from APPOINTMENT_STATUSES
+ */
+function getAppointmentStatus(key) {
+    return APPOINTMENT_STATUSES.find(status => status.key === key);
+}
+
+/**
+ * Minutes since midnight of a time
+ * @param {string} time - Time ('HH:MM')
+ * @returns {number} Minutes
+ */
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Time of a number of minutes since midnight
+ * @param {number} minutes - Minutes
+ * @returns {string} Time ('HH:MM')
+ */
+function minutesToTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Add days, weeks, months or years to a date, the day of month being kept within the month
+ * @param {string} date - Date ('YYYY-MM-DD')
+ * @param {number} amount - Number of units
+ * @param {string} unit - 'day', 'week', 'month' or 'year'
+ * @returns {string} Date ('YYYY-MM-DD')
+ */
+function addToDate(date, amount, unit) {
+    const [year, month, day] = date.split('-').map(Number);
+    let result;
+    if (unit === 'month' || unit === 'year') {
+        const months = unit === 'year' ? amount * 12 : amount;
+        const lastDay = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+        result = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)));
+    } else {
+        result = new Date(Date.UTC(year, month - 1, day + (unit === 'week' ? amount * 7 : amount)));
+    }
+    return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Normalize an appointment: trimmed texts, numeric duration, default duration and status
+ * @param {Object} appointment - Submitted appointment
+ * @returns {Object} Normalized appointment
+ */
+function normalizeAppointment(appointment) {
+    const data = appointment || {};
+    const duration = parseMeasurement(data.durationMinutes);
+    const normalized = {
+        id: data.id || generateId(),
+        patientId: String(data.patientId || '').trim(),
+        date: String(data.date || '').trim(),
+        time: String(data.time || '').trim(),
+        durationMinutes: duration === undefined ? APPOINTMENT_CONFIG.slotMinutes : duration,
+        status: String(data.status || '').trim() || 'booked'
+    };
+
+    const reason = String(data.reason || '').trim();
+    if (reason) {
+        normalized.reason = reason;
+    }
+    return normalized;
+}
+
+/**
+ * Validate an appointment
+ * @param {Object} appointment - Appointment
+ * @returns {Array} Errors as { field, message }
+ */
+function validateAppointment(appointment) {
+    const errors = [];
+    if (!appointment || typeof appointment !== 'object' || Array.isArray(appointment)) {
+        return [{ field: 'appointment', message: 'Appointment must be an object' }];
+    }
+
+    if (!appointment.patientId) {
+        errors.push({ field: 'patientId', message: ERROR_MESSAGES.validation.required });
+    }
+
+    if (!appointment.date) {
+        errors.push({ field: 'date', message: ERROR_MESSAGES.validation.required });
+    } else if (!APPOINTMENT_DATE_PATTERN.test(appointment.date) || isNaN(new Date(appointment.date).getTime())) {
+        errors.push({ field: 'date', message: ERROR_MESSAGES.validation.date });
+    }
+
+    if (!appointment.time) {
+        errors.push({ field: 'time', message: ERROR_MESSAGES.validation.required });
+    } else if (!APPOINTMENT_TIME_PATTERN.test(appointment.time)) {
+        errors.push({ field: 'time', message: 'Time must be in HH:MM format' });
+    }
+
+    const rule = VALIDATION_RULES.appointments.durationMinutes;
+    if (!Number.isInteger(appointment.durationMinutes) ||
+        appointment.durationMinutes < rule.min || appointment.durationMinutes > rule.max) {
+        errors.push({
+            field: 'durationMinutes',
+            message: ERROR_MESSAGES.validation.range.replace('{min}', rule.min).replace('{max}', rule.max)
+        });
+    }
+
+    if (!getAppointmentStatus(appointment.status)) {
+        errors.push({
+            field: 'status',
+            message: 'Status must be one of: ' + APPOINTMENT_STATUSES.map(status => status.key).join(', ')
+        });
+    }
+
+    const maxLength = VALIDATION_RULES.appointments.reason.maxLength;
+    if (appointment.reason && String(appointment.reason).length > maxLength) {
+        errors.push({ field: 'reason', message: ERROR_MESSAGES.validation.maxLength.replace('{max}', maxLength) });
+    }
+
+    return errors;
+}
+
+/**
+ * Check whether an appointment still holds its slot
+ * @param {Object} appointment - Appointment
+ * @returns {boolean} True unless cancelled or missed
+ */
+function isAppointmentActive(appointment) {
+    return !APPOINTMENT_RELEASED_STATUSES.includes(appointment.status);
+}
+
+/**
+ * Find a booked appointment overlapping the slot of another one
+ * @param {Array} appointments - Booked appointments
+ * @param {Object} appointment - Appointment to book or move
+ * @returns {Object|undefined} Overlapping appointment
+ */
+function findAppointmentConflict(appointments, appointment) {
+    if (!isAppointmentActive(appointment)) {
+        return undefined;
+    }
+
+    const start = timeToMinutes(appointment.time);
+    const end = start + appointment.durationMinutes;
+    return (appointments || []).find(other => other.id !== appointment.id && other.date === appointment.date &&
+        isAppointmentActive(other) &&
+        timeToMinutes(other.time) < end && start < timeToMinutes(other.time) + other.durationMinutes);
+}
+
+/**
+ * Sort appointments by date and time
+ * @param {Array} appointments - Appointments
+ * @returns {Array} Sorted copy
+ */
+function sortAppointments(appointments) {
+    return [...(appointments || [])].sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+}
+
+/**
+ * The seven days of the week of a date, from Monday
+ * @param {string} date - Date ('YYYY-MM-DD')
+ * @returns {Array} Dates ('YYYY-MM-DD')
+ */
+function agendaWeek(date) {
+    const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const monday = addToDate(date, -weekday, 'day');
+    return [0, 1, 2, 3, 4, 5, 6].map(offset => addToDate(monday, offset, 'day'));
+}
+
+/**
+ * Slots of a consultation day with their appointments
+ * An appointment outside the consultation hours gets a slot of its own.
+ * @param {string} date - Date ('YYYY-MM-DD')
+ * @param {Array} appointments - Appointments (of any date)
+ * @returns {Array} Slots as { time, appointments }
+ */
+function agendaSlots(date, appointments) {
+    const start = timeToMinutes(APPOINTMENT_CONFIG.dayStart);
+    const end = timeToMinutes(APPOINTMENT_CONFIG.dayEnd);
+    const slotMinutes = APPOINTMENT_CONFIG.slotMinutes;
+    const slots = new Map();
+
+    for (let minutes = start; minutes < end; minutes += slotMinutes) {
+        slots.set(minutes, []);
+    }
+
+    sortAppointments(appointments).filter(appointment => appointment.date === date).forEach(appointment => {
+        const minutes = timeToMinutes(appointment.time);
+        const slot = minutes >= start && minutes < end ? start + Math.floor((minutes - start) / slotMinutes) * slotMinutes : minutes;
+        slots.set(slot, [...(slots.get(slot) || []), appointment]);
+    });
+
+    return [...slots.keys()].sort((a, b) => a - b)
+        .map(minutes => ({ time: minutesToTime(minutes), appointments: slots.get(minutes) }));
+}
+
+/**
+ * Next appointment of a patient still holding its slot
+ * @param {Array} appointments - Appointments
+ * @param {string} patientId - Patient ID
+ * @param {string} today - Date ('YYYY-MM-DD')
+ * @returns {Object|undefined} Earliest appointment from today on
+ */
+function nextAppointmentOf(appointments, patientId, today) {
+    return sortAppointments(appointments).find(appointment => appointment.patientId === patientId &&
+        appointment.date >= today && appointment.status === 'booked');
+}
+
+/**
+ * Date of the next appointment suggested by the plan of a visit
+ * @param {string} cat - Plan (CAT) of the visit, e.g. "Revoir dans 3 mois avec EFR"
+ * @param {string} visitDate - Date of the visit ('YYYY-MM-DD')
+ * @returns {Object|null} { date, text } with the matched words, null when the plan gives no delay
+ */
+function suggestNextAppointment(cat, visitDate) {
+    if (!cat || !visitDate || !APPOINTMENT_DATE_PATTERN.test(visitDate)) {
+        return null;
+    }
+
+    const folded = String(cat)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[-']/g, ' ');
+    const match = folded.match(FOLLOW_UP_PATTERN);
+    if (!match) {
+        return null;
+    }
+
+    const amount = FOLLOW_UP_NUMBERS[match[1]] || Number(match[1]);
+    const unit = match[2].startsWith('an') ? 'year' :
+        match[2] === 'mois' ? 'month' :
+            match[2].startsWith('sem') ? 'week' : 'day';
+    return amount > 0 ? { date: addToDate(visitDate, amount, unit), text: match[0] } : null;
+}
+
+/**
+ * Validate the next appointment planned at a visit
+ * @param {Object} visit - Visit with nextAppointment and visitDate
+ * @returns {Array} Errors as { field, message }, field 'nextAppointment'
+ */
+function validateNextAppointment(visit) {
+    const date = visit && visit.nextAppointment;
+    if (!date) {
+        return [];
+    }
+
+    if (!APPOINTMENT_DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())) {
+        return [{ field: 'nextAppointment', message: ERROR_MESSAGES.validation.date }];
+    }
+    if (visit.visitDate && date <= visit.visitDate) {
+        return [{ field: 'nextAppointment', message: 'Next appointment must be after the visit date' }];
+    }
+    return [];
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APPOINTMENT_STATUSES,
+        getAppointmentStatus,
+        addToDate,
+        normalizeAppointment,
+        validateAppointment,
+        isAppointmentActive,
+        findAppointmentConflict,
+        sortAppointments,
+        agendaWeek,
+        agendaSlots,
+        nextAppointmentOf,
+        suggestNextAppointment,
+        validateNextAppointment
+    };
+}
@@ -0,0 +1,167 @@
+/**
+ * Attachments
+ * Documents and images of a patient (chest X-rays, CT reports, scanned referral letters, PFT
+ * printouts), optionally attached to one of the visits. The files are kept by the server under
+ * data/attachments/<patientId>/ (see server/attachments.js), not in the patient record.
+ *
+ * The server lists them as:
+ *   [{ id, patientId, visitId, name, type, mimeType, category, description, size, hasThumbnail,
+ *      uploadedAt, uploadedBy }]
+ * A file is accepted up to ATTACHMENT_CONFIG.maxFileBytes, and the attachments of a patient may not
+ * exceed ATTACHMENT_CONFIG.patientQuotaBytes in total.
+ */
+
+// File types accepted, recognized by their content (magic number) and extension
+const ATTACHMENT_TYPES = [
+    { key: 'pdf', label: 'PDF', mimeType: 'application/pdf', extensions: ['.pdf'], preview: 'pdf' },
+    { key: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg'], preview: 'image' },
+    { key: 'png', label: 'PNG', mimeType: 'image/png', extensions: ['.png'], preview: 'image' },
+    { key: 'dicom', label: 'DICOM', mimeType: 'application/dicom', extensions: ['.dcm', '.dicom'], preview: null }
+];
+
+// Document categories
+const ATTACHMENT_CATEGORIES = [
+    { key: 'xray', label: 'Chest X-ray', shortLabel: 'Radiographie thoracique' },
+    { key: 'ct', label: 'CT scan', shortLabel: 'Scanner' },
+    { key: 'pft', label: 'PFT printout', shortLabel: 'EFR' },
+    { key: 'letter', label: 'Referral letter', shortLabel: 'Courrier' },
+    { key: 'report', label: 'Report', shortLabel: 'Compte rendu' },
+    { key: 'other', label: 'Other', shortLabel: 'Autre' }
+];
+
+/**
+ * Find the definition of a file type
+ * @param {string} key - Type key
+ * @returns {Object|undefined} Definition from ATTACHMENT_TYPES
+ */
+function getAttachmentType(key) {
+    return ATTACHMENT_TYPES.find(type => type.key === key);
+}
+
+/**
+ * Find the definition of a category
+ * @param {string} key - Category key
+ * @returns {Object|undefined} Definition from ATTACHMENT_CATEGORIES
+ */
+function getAttachmentCategory(key) {
+    return ATTACHMENT_CATEGORIES.find(category => category.key === key);
+}
+
+/**
+ * File type of a file name, from its extension
+ * @param {string} name - File name
+ * @returns {Object|undefined} Definition from ATTACHMENT_TYPES
+ */
+function attachmentTypeFromName(name) {
+    const match = String(name || '').toLowerCase().match(/\.[a-z0-9]+$/);
+    return match ? ATTACHMENT_TYPES.find(type => type.extensions.includes(match[0])) : undefined;
+}
+
+/**
+ * File type of a content, from its first bytes: "%PDF", FF D8 FF (JPEG), the PNG signature,
+ * or "DICM" after the 128-byte preamble of a DICOM file
+ * @param {Uint8Array|Buffer} bytes - Start of the file (at least 132 bytes for DICOM)
+ * @returns {Object|undefined} Definition from ATTACHMENT_TYPES
+ */
+function detectAttachmentType(bytes) {
+    if (!bytes || bytes.length < 4) {
+        return undefined;
+    }
+    const startsWith = (signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte);
+
+    if (startsWith([0x25, 0x50, 0x44, 0x46])) {
+        return getAttachmentType('pdf');
+    }
+    if (startsWith([0xff, 0xd8, 0xff])) {
+        return getAttachmentType('jpeg');
+    }
+    if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+        return getAttachmentType('png');
+    }
+    if (bytes.length >= 132 && startsWith([0x44, 0x49, 0x43, 0x4d], 128)) {
+        return getAttachmentType('dicom');
+    }
+    return undefined;
+}
+
+/**
+ * Validate the description of an attachment before it is stored
+ * @param {Object} attachment - { name, category, description, size, visitId }
+ * @returns {Array} Errors as { field, message }
+ */
+function validateAttachment(attachment) {
+    if (!attachment || typeof attachment !== 'object') {
+        return [{ field: 'name', message: 'Attachment must be an object' }];
+    }
+
+    const errors = [];
+    if (!attachment.name || !String(attachment.name).trim()) {
+        errors.push({ field: 'name', message: ERROR_MESSAGES.validation.required });
+    } else if (!attachmentTypeFromName(attachment.name)) {
+        errors.push({
+            field: 'name',
+            message: 'File type must be one of: ' + ATTACHMENT_TYPES.map(type => type.label).join(', ')
+        });
+    }
+
+    if (attachment.category && !getAttachmentCategory(attachment.category)) {
+        errors.push({
+            field: 'category',
+            message: 'Category must be one of: ' + ATTACHMENT_CATEGORIES.map(category => category.key).join(', ')
+        });
+    }
+
+    if (attachment.description && String(attachment.description).length > ATTACHMENT_CONFIG.descriptionMaxLength) {
+        errors.push({
+            field: 'description',
+            message: ERROR_MESSAGES.validation.maxLength.replace('{max}', ATTACHMENT_CONFIG.descriptionMaxLength)
+        });
+    }
+
+    if (typeof attachment.size === 'number') {
+        if (attachment.size <= 0) {
+            errors.push({ field: 'size', message: 'The file is empty' });
+        } else if (attachment.size > ATTACHMENT_CONFIG.maxFileBytes) {
+            errors.push({ field: 'size', message: `The file is larger than ${formatFileSize(ATTACHMENT_CONFIG.maxFileBytes)}` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Space used by attachments and left in the quota of the patient
+ * @param {Array} attachments - Attachments of the patient
+ * @returns {Object} { used, quota, remaining } in bytes
+ */
+function attachmentUsage(attachments) {
+    const used = (attachments || []).reduce((total, attachment) => total + (attachment.size || 0), 0);
+    return { used, quota: ATTACHMENT_CONFIG.patientQuotaBytes, remaining: Math.max(0, ATTACHMENT_CONFIG.patientQuotaBytes - used) };
+}
+
+/**
+ * Attachments of a visit, or those attached to the patient only (visitId null)
+ * @param {Array} attachments - Attachments of the patient
+ * @param {string|null} visitId - Visit ID, null for the patient-level attachments
+ * @returns {Array} Attachments, the latest first
+ */
+function attachmentsForVisit(attachments, visitId) {
+    return (attachments || [])
+        .filter(attachment => (attachment.visitId || null) === (visitId || null))
+        .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ATTACHMENT_TYPES,
+        ATTACHMENT_CATEGORIES,
+        getAttachmentType,
+        getAttachmentCategory,
+        attachmentTypeFromName,
+        detectAttachmentType,
+        validateAttachment,
+        attachmentUsage,
+        attachmentsForVisit
+    };
+}
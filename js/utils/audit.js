@@ -0,0 +1,134 @@
+/**
+ * Audit Trail Helpers
+ * Shared by the browser and the Node server: action names and field-level diffs
+ */
+
+// Actions recorded in the audit trail
+const AUDIT_ACTIONS = {
+    patientList: 'patient.list',
+    patientView: 'patient.view',
+    patientCreate: 'patient.create',
+    patientUpdate: 'patient.update',
+    patientDelete: 'patient.delete',
+    patientRestore: 'patient.restore',
+    patientPurge: 'patient.purge',
+    visitCreate: 'visit.create',
+    visitUpdate: 'visit.update',
+    visitDelete: 'visit.delete',
+    attachmentUpload: 'attachment.upload',
+    attachmentView: 'attachment.view',
+    attachmentDelete: 'attachment.delete',
+    backupCreate: 'backup.create',
+    backupRestore: 'backup.restore',
+    login: 'auth.login',
+    loginFailed: 'auth.login_failed',
+    logout: 'auth.logout',
+    securityEvent: 'security.event',
+    prescribingAlertAcknowledged: 'prescribing.alert_acknowledged'
+};
+
+// Actions the browser may report itself; the server records its own API accesses
+const CLIENT_AUDIT_ACTIONS = [
+    AUDIT_ACTIONS.patientList,
+    AUDIT_ACTIONS.patientView,
+    AUDIT_ACTIONS.patientCreate,
+    AUDIT_ACTIONS.patientUpdate,
+    AUDIT_ACTIONS.patientDelete,
+    AUDIT_ACTIONS.patientRestore,
+    AUDIT_ACTIONS.patientPurge,
+    AUDIT_ACTIONS.securityEvent,
+    AUDIT_ACTIONS.prescribingAlertAcknowledged
+];
+
+// Bookkeeping fields that change on every save and are not worth auditing
+const AUDIT_IGNORED_FIELDS = ['updatedAt', 'revision'];
+
+/**
+ * Compare two values for audit purposes
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are equivalent
+ */
+function auditValuesEqual(a, b) {
+    const normalize = value => (value === undefined || value === '' ? null : value);
+    return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Compute field-level differences between two plain objects
+ * @param {Object} before - Previous values
+ * @param {Object} after - New values
+ * @param {string} prefix - Path prefix for nested records (e.g. 'visits[abc].')
+ * @param {Array} skip - Fields to ignore
+ * @returns {Array} List of { field, before, after }
+ */
+function diffFields(before, after, prefix = '', skip = []) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+        if (skip.includes(field) || AUDIT_IGNORED_FIELDS.includes(field)) {
+            return;
+        }
+
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (!auditValuesEqual(oldValue, newValue)) {
+            changes.push({
+                field: `${prefix}${field}`,
+                before: oldValue === undefined ? null : oldValue,
+                after: newValue === undefined ? null : newValue
+            });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Compute field-level differences between two versions of a patient record
+ * Visits are matched by ID; added or removed visits appear as a single change.
+ * @param {Object} before - Stored patient data (null for a creation)
+ * @param {Object} after - Saved patient data (null for a deletion)
+ * @returns {Array} List of { field, before, after }
+ */
+function diffPatientRecords(before, after) {
+    const changes = diffFields(before, after, '', ['visits']);
+    const oldVisits = (before && before.visits) || [];
+    const newVisits = (after && after.visits) || [];
+
+    newVisits.forEach(visit => {
+        const previous = oldVisits.find(v => v.id === visit.id);
+        if (!previous) {
+            changes.push({ field: `visits[${visit.id}]`, before: null, after: visit });
+        } else {
+            changes.push(...diffFields(previous, visit, `visits[${visit.id}].`));
+        }
+    });
+
+    oldVisits
+        .filter(visit => !newVisits.some(v => v.id === visit.id))
+        .forEach(visit => changes.push({ field: `visits[${visit.id}]`, before: visit, after: null }));
+
+    return changes;
+}
+
+/**
+ * Compute field-level differences between two versions of a visit
+ * @param {Object} before - Stored visit data
+ * @param {Object} after - Saved visit data
+ * @returns {Array} List of { field, before, after }
+ */
+function diffVisitRecords(before, after) {
+    return diffFields(before, after);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIT_ACTIONS,
+        CLIENT_AUDIT_ACTIONS,
+        diffPatientRecords,
+        diffVisitRecords
+    };
+}
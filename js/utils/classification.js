@@ -0,0 +1,414 @@
+/**
+ * COPD and Asthma Classification
+ * GOLD 2023 assessment of COPD patients (spirometric grade GOLD 1-4 and group A, B or E)
+ * and GINA treatment step of asthma patients, with the level of symptom control.
+ *
+ * The diagnoses are recorded on the patient and the inputs on the visits:
+ *   respiratoryDiagnoses: ['copd', 'asthma']
+ *   visit.exacerbations: { moderate, hospitalized }  exacerbations over the previous 12 months
+ *   visit.asthmaStep: 1-5                            GINA step of the treatment in use
+ * together with the CAT, mMRC and ACT scores and the spirometry of the visits.
+ *
+ * PatientManager classifies the visits on every save and stores the result with its inputs:
+ *   visit.classification: { gold: { grade, group, inputs }, gina: { step, control, inputs },
+ *                            worsened: [{ measure, from, to, message }] }
+ * A visit missing an input uses the latest value recorded in the previous 12 months.
+ */
+
+// Diagnoses that have a classification, with the ICD-10 categories of the problem list that imply them
+const RESPIRATORY_DIAGNOSES = [
+    { key: 'copd', label: 'COPD', shortLabel: 'BPCO', icd10: ['J44'] },
+    { key: 'asthma', label: 'Asthma', shortLabel: 'Asthme', icd10: ['J45', 'J46'] }
+];
+
+// GOLD spirometric grades, by post-bronchodilator FEV1 % predicted (when FEV1/FVC < 0.70)
+const GOLD_GRADES = [
+    { grade: 1, min: 80, label: 'Mild' },
+    { grade: 2, min: 50, label: 'Moderate' },
+    { grade: 3, min: 30, label: 'Severe' },
+    { grade: 4, min: 0, label: 'Very severe' }
+];
+
+// GOLD groups, from the exacerbation history first, then the symptoms
+const GOLD_GROUPS = [
+    { key: 'A', label: 'Few symptoms (mMRC 0-1 and CAT < 10), no exacerbation risk' },
+    { key: 'B', label: 'More symptoms (mMRC ≥ 2 or CAT ≥ 10), no exacerbation risk' },
+    { key: 'E', label: '≥ 2 moderate exacerbations or ≥ 1 leading to hospitalization' }
+];
+
+// GINA treatment steps
+const GINA_STEPS = [
+    { step: 1, label: 'As-needed low dose ICS-formoterol, or ICS taken whenever SABA is taken' },
+    { step: 2, label: 'Daily low dose ICS, or as-needed low dose ICS-formoterol' },
+    { step: 3, label: 'Low dose maintenance ICS-LABA' },
+    { step: 4, label: 'Medium dose maintenance ICS-LABA' },
+    { step: 5, label: 'Add-on LAMA, phenotypic assessment ± biologic' }
+];
+
+// Asthma symptom control, from the ACT score
+const ASTHMA_CONTROL_LEVELS = [
+    { key: 'wellControlled', minAct: 20, label: 'Well controlled', level: 'ok' },
+    { key: 'partlyControlled', minAct: 16, label: 'Partly controlled', level: 'warning' },
+    { key: 'uncontrolled', minAct: 0, label: 'Uncontrolled', level: 'danger' }
+];
+
+const COPD_FEV1_FVC_THRESHOLD = 70;
+const CLASSIFICATION_LOOKBACK_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Find the definition of a diagnosis
+ * @param {string} key - Diagnosis key
+ * @returns {Object|undefined} Definition from RESPIRATORY_DIAGNOSES
+ */
+function getRespiratoryDiagnosis(key) {
+    return RESPIRATORY_DIAGNOSES.find(diagnosis => diagnosis.key === key);
+}
+
+/**
+ * Normalize the diagnoses of a patient
+ * @param {Array|Object} diagnoses - List of keys, or form values like { copd: 'on' }
+ * @returns {Array} Keys in the order of RESPIRATORY_DIAGNOSES, unknown keys kept last
+ */
+function normalizeRespiratoryDiagnoses(diagnoses) {
+    if (!diagnoses || typeof diagnoses !== 'object') {
+        return [];
+    }
+
+    const keys = Array.isArray(diagnoses) ? diagnoses : Object.keys(diagnoses).filter(key => diagnoses[key]);
+    const known = RESPIRATORY_DIAGNOSES.map(diagnosis => diagnosis.key).filter(key => keys.includes(key));
+    return [...known, ...keys.filter(key => !getRespiratoryDiagnosis(key))];
+}
+
+/**
+ * Validate the diagnoses of a patient
+ * @param {Array} diagnoses - Diagnosis keys
+ * @returns {Array} Errors as { field, message }
+ */
+function validateRespiratoryDiagnoses(diagnoses) {
+    if (diagnoses === null || diagnoses === undefined) {
+        return [];
+    }
+    if (!Array.isArray(diagnoses)) {
+        return [{ field: 'respiratoryDiagnoses', message: 'Diagnoses must be a list' }];
+    }
+    if (diagnoses.some(key => !getRespiratoryDiagnosis(key))) {
+        return [{
+            field: 'respiratoryDiagnoses',
+            message: 'Diagnosis must be one of: ' + RESPIRATORY_DIAGNOSES.map(diagnosis => diagnosis.key).join(', ')
+        }];
+    }
+    return [];
+}
+
+/**
+ * Normalize the exacerbation counts of a visit
+ * @param {Object} exacerbations - Submitted counts
+ * @returns {Object|null} { moderate, hospitalized } as numbers, null when nothing was entered
+ */
+function normalizeExacerbations(exacerbations) {
+    if (!exacerbations || typeof exacerbations !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    ['moderate', 'hospitalized'].forEach(key => {
+        const value = parseMeasurement(exacerbations[key]);
+        if (value !== undefined) {
+            normalized[key] = value;
+        }
+    });
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Normalize the GINA treatment step of a visit
+ * @param {number|string} step - Submitted step
+ * @returns {number|string|null} Step, null when nothing was entered
+ */
+function normalizeAsthmaStep(step) {
+    const value = parseMeasurement(step);
+    return value === undefined ? null : value;
+}
+
+/**
+ * Validate the classification inputs of a visit
+ * @param {Object} visit - Visit holding exacerbations and asthmaStep
+ * @returns {Array} Errors as { field, message }, field like 'exacerbations.moderate'
+ */
+function validateClassificationInputs(visit) {
+    const errors = [];
+    const rules = VALIDATION_RULES.classification;
+    const checkCount = (field, value, rule) => {
+        if (typeof value !== 'number' || !Number.isInteger(value)) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.number });
+        } else if (value < rule.min || value > rule.max) {
+            errors.push({
+                field,
+                message: ERROR_MESSAGES.validation.range.replace('{min}', rule.min).replace('{max}', rule.max)
+            });
+        }
+    };
+
+    const exacerbations = visit && visit.exacerbations;
+    if (exacerbations !== null && exacerbations !== undefined) {
+        if (typeof exacerbations !== 'object' || Array.isArray(exacerbations)) {
+            errors.push({ field: 'exacerbations', message: 'Exacerbations must be an object' });
+        } else {
+            ['moderate', 'hospitalized'].forEach(key => {
+                const value = parseMeasurement(exacerbations[key]);
+                if (value !== undefined) {
+                    checkCount(`exacerbations.${key}`, value, rules.exacerbations);
+                }
+            });
+        }
+    }
+
+    const asthmaStep = parseMeasurement(visit && visit.asthmaStep);
+    if (asthmaStep !== undefined && asthmaStep !== null) {
+        checkCount('asthmaStep', asthmaStep, rules.asthmaStep);
+    }
+
+    return errors;
+}
+
+/**
+ * Latest value of an input over the visits of the previous 12 months
+ * @param {Array} history - Visits up to the classified one, newest first
+ * @param {Function} pick - Returns the input of a visit, null or undefined when missing
+ * @returns {*} Latest value, null when none was recorded
+ */
+function recentClassificationInput(history, pick) {
+    const newest = new Date(history[0].visitDate).getTime();
+    const visit = history.find(entry => {
+        const value = pick(entry);
+        return value !== null && value !== undefined &&
+            newest - new Date(entry.visitDate).getTime() <= CLASSIFICATION_LOOKBACK_MS;
+    });
+    return visit ? pick(visit) : null;
+}
+
+/**
+ * GOLD spirometric grade
+ * @param {number} fev1PercentPredicted - FEV1 % predicted
+ * @returns {number|null} Grade 1 to 4
+ */
+function goldGrade(fev1PercentPredicted) {
+    if (typeof fev1PercentPredicted !== 'number') {
+        return null;
+    }
+    return GOLD_GRADES.find(({ min }) => fev1PercentPredicted >= min).grade;
+}
+
+/**
+ * GOLD assessment of a visit
+ * @param {Object} patient - Patient (dateOfBirth and gender are used for the predictions)
+ * @param {Array} history - Visits up to the classified one, newest first
+ * @returns {Object|null} { grade, group, inputs }, null when neither can be determined
+ */
+function classifyGold(patient, history) {
+    const score = key => recentClassificationInput(history, visit => {
+        const questionnaire = visit.questionnaires && visit.questionnaires[key];
+        return questionnaire ? questionnaire.score : null;
+    });
+    const exacerbations = recentClassificationInput(history, visit => normalizeExacerbations(visit.exacerbations)) || {};
+
+    // Spirometry: post-bronchodilator values when measured, pre-bronchodilator otherwise
+    const spirometryPhase = pft => ['post', 'pre'].find(phase =>
+        pft && pft.fev1 && pft.fev1Fvc && typeof pft.fev1[phase] === 'number' && typeof pft.fev1Fvc[phase] === 'number');
+    const spirometryVisit = recentClassificationInput(history, visit =>
+        (spirometryPhase(normalizePft(visit.pft)) ? visit : null));
+    const spirometry = spirometryVisit ? normalizePft(spirometryVisit.pft) : null;
+    const phase = spirometry ? spirometryPhase(spirometry) : null;
+    const prediction = spirometry ? predictPftValue('fev1', spirometry.fev1[phase], pftSubject(patient, spirometryVisit)) : null;
+
+    const inputs = {
+        cat: score('cat'),
+        mmrc: score('mmrc'),
+        moderateExacerbations: typeof exacerbations.moderate === 'number' ? exacerbations.moderate : null,
+        hospitalizedExacerbations: typeof exacerbations.hospitalized === 'number' ? exacerbations.hospitalized : null,
+        spirometryPhase: phase,
+        fev1Fvc: spirometry ? spirometry.fev1Fvc[phase] : null,
+        fev1PercentPredicted: prediction ? Math.round(prediction.percentPredicted) : null
+    };
+
+    // The grade needs an obstruction (FEV1/FVC < 0.70) and a percent predicted (GLI-2012 table)
+    const grade = inputs.fev1Fvc !== null && inputs.fev1Fvc < COPD_FEV1_FVC_THRESHOLD ?
+        goldGrade(inputs.fev1PercentPredicted) : null;
+
+    let group = null;
+    if (inputs.moderateExacerbations >= 2 || inputs.hospitalizedExacerbations >= 1) {
+        group = 'E';
+    } else if (inputs.moderateExacerbations !== null || inputs.hospitalizedExacerbations !== null) {
+        if (inputs.mmrc >= 2 || inputs.cat >= 10) {
+            group = 'B';
+        } else if (inputs.mmrc !== null || inputs.cat !== null) {
+            group = 'A';
+        }
+    }
+
+    return grade === null && group === null ? null : { grade, group, inputs };
+}
+
+/**
+ * Level of asthma control for an ACT score
+ * @param {number} act - ACT score
+ * @returns {Object|null} Level from ASTHMA_CONTROL_LEVELS
+ */
+function asthmaControl(act) {
+    if (typeof act !== 'number') {
+        return null;
+    }
+    return ASTHMA_CONTROL_LEVELS.find(({ minAct }) => act >= minAct);
+}
+
+/**
+ * GINA assessment of a visit: a partly controlled or uncontrolled asthma needs the next step
+ * @param {Array} history - Visits up to the classified one, newest first
+ * @returns {Object|null} { step, control, inputs }, null when neither can be determined
+ */
+function classifyGina(history) {
+    const inputs = {
+        act: recentClassificationInput(history, visit => {
+            const act = visit.questionnaires && visit.questionnaires.act;
+            return act ? act.score : null;
+        }),
+        treatmentStep: recentClassificationInput(history, visit => normalizeAsthmaStep(visit.asthmaStep))
+    };
+
+    const control = asthmaControl(inputs.act);
+    let step = inputs.treatmentStep;
+    if (step !== null && control && control.key !== 'wellControlled') {
+        step = Math.min(step + 1, GINA_STEPS.length);
+    }
+
+    return step === null && !control ? null : { step, control: control ? control.key : null, inputs };
+}
+
+/**
+ * Changes that make a classification worse than the previous one
+ * @param {Object|null} previous - Classification of the previous visit
+ * @param {Object|null} current - Classification of the visit
+ * @returns {Array} Worsened measures as { measure, from, to, message }
+ */
+function classificationWorsening(previous, current) {
+    if (!previous || !current) {
+        return [];
+    }
+
+    const groupRank = key => GOLD_GROUPS.findIndex(group => group.key === key);
+    const controlRank = key => ASTHMA_CONTROL_LEVELS.findIndex(level => level.key === key);
+    const comparisons = [
+        { measure: 'goldGrade', block: 'gold', field: 'grade', rank: grade => grade, label: value => `GOLD ${value}` },
+        { measure: 'goldGroup', block: 'gold', field: 'group', rank: groupRank, label: value => `group ${value}` },
+        { measure: 'ginaStep', block: 'gina', field: 'step', rank: step => step, label: value => `GINA step ${value}` },
+        {
+            measure: 'asthmaControl',
+            block: 'gina',
+            field: 'control',
+            rank: controlRank,
+            label: value => ASTHMA_CONTROL_LEVELS[controlRank(value)].label.toLowerCase()
+        }
+    ];
+
+    return comparisons.filter(({ block, field, rank }) => {
+        const from = previous[block] ? previous[block][field] : null;
+        const to = current[block] ? current[block][field] : null;
+        return from !== null && to !== null && rank(to) > rank(from);
+    }).map(({ measure, block, field, label }) => ({
+        measure,
+        from: previous[block][field],
+        to: current[block][field],
+        message: `Classification worsened: ${label(previous[block][field])} → ${label(current[block][field])}`
+    }));
+}
+
+/**
+ * Diagnoses of a patient that have a classification, ticked or coded as active problems
+ * @param {Object} patient - Patient with respiratoryDiagnoses and problems
+ * @returns {Array} Keys in the order of RESPIRATORY_DIAGNOSES
+ */
+function patientRespiratoryDiagnoses(patient) {
+    const ticked = normalizeRespiratoryDiagnoses(patient && patient.respiratoryDiagnoses);
+    const activeCodes = ((patient && patient.problems) || [])
+        .filter(problem => problem && problem.code && problem.status !== 'resolved')
+        .map(problem => problem.code);
+
+    return RESPIRATORY_DIAGNOSES.filter(diagnosis => ticked.includes(diagnosis.key) ||
+        activeCodes.some(code => diagnosis.icd10.some(category => code.startsWith(category))))
+        .map(diagnosis => diagnosis.key);
+}
+
+/**
+ * Classify every visit of a patient, each from its own inputs and those of the previous 12 months
+ * @param {Object} patient - Patient with respiratoryDiagnoses, problems and visits
+ * @returns {Array} Visits in their original order, with their classification (null when none applies)
+ */
+function classifyVisits(patient) {
+    const diagnoses = patientRespiratoryDiagnoses(patient);
+    const visits = (patient && patient.visits) || [];
+    const chronological = [...visits].sort((a, b) => new Date(a.visitDate) - new Date(b.visitDate));
+    const classifications = new Map();
+
+    chronological.forEach((visit, index) => {
+        const history = chronological.slice(0, index + 1).reverse();
+        const gold = diagnoses.includes('copd') ? classifyGold(patient, history) : null;
+        const gina = diagnoses.includes('asthma') ? classifyGina(history) : null;
+        const previous = index > 0 ? classifications.get(chronological[index - 1]) : null;
+        const classification = gold || gina ? { gold, gina } : null;
+
+        if (classification) {
+            classification.worsened = classificationWorsening(previous, classification);
+        }
+        classifications.set(visit, classification);
+    });
+
+    return visits.map(visit => ({ ...visit, classification: classifications.get(visit) }));
+}
+
+/**
+ * Short labels of a classification for badges, e.g. ['GOLD 2 · E', 'GINA 4']
+ * @param {Object|null} classification - Classification of a visit
+ * @returns {Array} Labels, empty when there is no classification
+ */
+function describeClassification(classification) {
+    if (!classification) {
+        return [];
+    }
+
+    const labels = [];
+    const { gold, gina } = classification;
+    if (gold) {
+        labels.push(gold.grade !== null && gold.group !== null ?
+            `GOLD ${gold.grade} · ${gold.group}` :
+            `GOLD ${gold.grade !== null ? gold.grade : gold.group}`);
+    }
+    if (gina && gina.step !== null) {
+        labels.push(`GINA ${gina.step}`);
+    }
+    return labels;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RESPIRATORY_DIAGNOSES,
+        GOLD_GRADES,
+        GOLD_GROUPS,
+        GINA_STEPS,
+        ASTHMA_CONTROL_LEVELS,
+        getRespiratoryDiagnosis,
+        normalizeRespiratoryDiagnoses,
+        validateRespiratoryDiagnoses,
+        normalizeExacerbations,
+        normalizeAsthmaStep,
+        validateClassificationInputs,
+        goldGrade,
+        classifyGold,
+        asthmaControl,
+        classifyGina,
+        classificationWorsening,
+        patientRespiratoryDiagnoses,
+        classifyVisits,
+        describeClassification
+    };
+}
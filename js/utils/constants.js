@@ -20,6 +20,53 @@ const STORAGE_CONFIG = {
     faviconPath: 'assets/favicon.ico'
 };
 
+// Recycle Bin Configuration
+const TRASH_CONFIG = {
+    retentionDays: 30 // Deleted patients are purged permanently after this many days
+};
+
+// Agenda Configuration
+// Consultation hours split into slots; see js/utils/appointments.js
+const APPOINTMENT_CONFIG = {
+    dayStart: '08:00',
+    dayEnd: '18:00',
+    slotMinutes: 20, // Default duration of an appointment
+    durations: [10, 20, 30, 45, 60] // Durations offered when booking
+};
+
+// Server Backup Configuration
+// Grandfather-father-son retention: the newest backup of each of the last days, weeks and months is kept
+const BACKUP_CONFIG = {
+    intervalHours: 24, // A scheduled backup is made when the last one is older than this
+    keepRecentHours: 24, // Every backup (manual, before a restore) is kept at least this long
+    keepDaily: 7,
+    keepWeekly: 4,
+    keepMonthly: 12
+};
+
+// Attachments Configuration
+// Documents and images stored by the server under data/attachments/<patientId>/; see js/utils/attachments.js
+const ATTACHMENT_CONFIG = {
+    maxFileBytes: 20 * 1024 * 1024, // Largest file accepted
+    patientQuotaBytes: 200 * 1024 * 1024, // Total size of the attachments of a patient
+    thumbnailPixels: 160, // Longest side of the thumbnails made for images
+    descriptionMaxLength: 200
+};
+
+// Encryption at Rest Configuration
+// Patient data is encrypted with AES-GCM under a key derived from the practice passphrase
+const ENCRYPTION_CONFIG = {
+    envelopePrefix: 'pmsenc:1:', // Marks encrypted values: pmsenc:1:<iv>:<ciphertext>
+    keyLength: 256,
+    ivLength: 12,
+    pbkdf2Hash: 'SHA-256',
+    pbkdf2Iterations: 310000,
+    minPassphraseLength: 12,
+    descriptorStorageKey: 'pms_encryption',
+    // Descriptor of the new passphrase while the stores are re-encrypted under it
+    pendingDescriptorStorageKey: 'pms_encryption_pending'
+};
+
 // Authentication Configuration
 const AUTH_CONFIG = {
     sessionTimeout: 8 * 60 * 60 * 1000, // 8 hours in milliseconds
@@ -67,6 +114,10 @@ const VALIDATION_RULES = {
             min: 0,
             max: 150
         },
+        gender: {
+            required: true,
+            options: ['male', 'female', 'other']
+        },
         atcdsMedicaux: {
             required: false,
             maxLength: 2000
@@ -75,6 +126,104 @@ const VALIDATION_RULES = {
             required: false,
             maxLength: 2000
         }
+    },
+    // Plausible ranges for pulmonary function test values (pre and post bronchodilator)
+    pft: {
+        heightCm: { min: 50, max: 250 },
+        fev1: { min: 0.1, max: 10 }, // L
+        fvc: { min: 0.1, max: 12 }, // L
+        fev1Fvc: { min: 20, max: 100 }, // %
+        pef: { min: 0.5, max: 20 }, // L/s
+        dlco: { min: 0.5, max: 20 }, // mmol/min/kPa
+        tlc: { min: 1, max: 15 } // L
+    },
+    // Plausible ranges for vital signs; normal and critical limits are in js/utils/vitals.js
+    vitals: {
+        weightKg: { min: 1, max: 400 },
+        heightCm: { min: 40, max: 250 },
+        spo2: { min: 50, max: 100 }, // %
+        heartRate: { min: 20, max: 250 }, // /min
+        respiratoryRate: { min: 4, max: 80 }, // /min
+        systolicBp: { min: 50, max: 280 }, // mmHg
+        diastolicBp: { min: 20, max: 180 }, // mmHg
+        temperature: { min: 30, max: 45 } // °C
+    },
+    // Plausible ranges for lab results, in the units of js/utils/labs.js (reference ranges are there)
+    labResults: {
+        ph: { min: 6.5, max: 8 },
+        pao2: { min: 20, max: 700 }, // mmHg
+        paco2: { min: 10, max: 150 }, // mmHg
+        hco3: { min: 2, max: 60 }, // mmol/L
+        sao2: { min: 20, max: 100 }, // %
+        hemoglobin: { min: 2, max: 25 }, // g/dL
+        hematocrit: { min: 5, max: 80 }, // %
+        wbc: { min: 0, max: 500 }, // G/L
+        neutrophils: { min: 0, max: 400 }, // G/L
+        lymphocytes: { min: 0, max: 400 }, // G/L
+        eosinophils: { min: 0, max: 50000 }, // /mm3
+        platelets: { min: 0, max: 3000 }, // G/L
+        crp: { min: 0, max: 1000 }, // mg/L
+        ige: { min: 0, max: 100000 }, // kUI/L
+        aat: { min: 0, max: 10 } // g/L
+    },
+    // Smoking history, see js/utils/tobacco.js
+    tobacco: {
+        cigarettesPerDay: { min: 1, max: 100 },
+        exposureDetails: { maxLength: 200 }
+    },
+    // Treatments of a visit, see js/utils/medications.js
+    treatments: {
+        drug: { maxLength: 100 },
+        dose: { maxLength: 50 },
+        frequency: { maxLength: 100 },
+        duration: { maxLength: 50 }
+    },
+    // Appointments, see js/utils/appointments.js
+    appointments: {
+        durationMinutes: { min: 5, max: 240 },
+        reason: { maxLength: 200 }
+    },
+    // Sleep studies, see js/utils/sleep.js
+    sleepStudies: {
+        ahi: { min: 0, max: 200 }, // /h
+        odi: { min: 0, max: 200 }, // /h
+        meanSpo2: { min: 50, max: 100 }, // %
+        minSpo2: { min: 30, max: 100 }, // %
+        t90: { min: 0, max: 100 } // % of the recording time
+    },
+    // CPAP/APAP follow-up log, see js/utils/sleep.js
+    cpapLog: {
+        pressure: { min: 4, max: 20 }, // cmH2O
+        usageHours: { min: 0, max: 24 }, // h/night
+        residualAhi: { min: 0, max: 200 }, // /h
+        leak: { min: 0, max: 200 } // L/min
+    },
+    // Tuberculosis episodes, see js/utils/tuberculosis.js
+    tbEpisodes: {
+        notes: { maxLength: 500 }
+    },
+    // Long-term oxygen therapy and home NIV, see js/utils/homeTherapy.js
+    homeTherapies: {
+        flowRate: { min: 0.5, max: 15 }, // L/min
+        hoursPerDay: { min: 1, max: 24 },
+        pao2: { min: 20, max: 150 }, // mmHg
+        paco2: { min: 15, max: 120 }, // mmHg
+        supplier: { maxLength: 100 },
+        notes: { maxLength: 500 }
+    },
+    // Allergies, see js/utils/allergies.js
+    allergies: {
+        substance: { maxLength: 100 },
+        reaction: { maxLength: 200 }
+    },
+    // Problem list, see js/utils/problems.js
+    problems: {
+        notes: { maxLength: 500 }
+    },
+    // GOLD and GINA classification inputs, see js/utils/classification.js
+    classification: {
+        exacerbations: { min: 0, max: 20 },
+        asthmaStep: { min: 1, max: 5 }
     }
 };
 
@@ -84,14 +233,19 @@ const ERROR_MESSAGES = {
         invalidCredentials: 'Invalid username or password',
         sessionExpired: 'Your session has expired. Please log in again.',
         accessDenied: 'Access denied. Please log in.',
-        tooManyAttempts: 'Too many login attempts. Please try again later.'
+        tooManyAttempts: 'Too many login attempts. Please try again later.',
+        forbidden: 'Your role does not allow this action.',
+        passphraseRequired: 'Enter the practice passphrase to unlock patient data.',
+        passphraseIncorrect: 'The practice passphrase does not unlock the patient data.'
     },
     storage: {
         saveError: 'Failed to save data. Please try again.',
         loadError: 'Failed to load data. Please refresh the page.',
         deleteError: 'Failed to delete record. Please try again.',
         accessError: 'Unable to access local storage. Please check permissions.',
-        corruptData: 'Data appears to be corrupted. Please contact support.'
+        corruptData: 'Data appears to be corrupted. Please contact support.',
+        locked: 'Patient data is encrypted. Sign in with the practice passphrase to unlock it.',
+        keyChangePending: 'A change of the practice passphrase was interrupted on this computer. Enter the previous passphrase to finish it.'
     },
     validation: {
         required: 'This field is required',
@@ -100,7 +254,9 @@ const ERROR_MESSAGES = {
         pattern: 'Please enter a valid value',
         email: 'Please enter a valid email address',
         date: 'Please enter a valid date',
-        future: 'Date cannot be in the future'
+        future: 'Date cannot be in the future',
+        number: 'Please enter a number',
+        range: 'Must be between {min} and {max}'
     },
     network: {
         offline: 'You are currently offline',
@@ -114,7 +270,13 @@ const SUCCESS_MESSAGES = {
     patient: {
         created: 'Patient record created successfully',
         updated: 'Patient record updated successfully',
-        deleted: 'Patient record deleted successfully'
+        deleted: 'Patient record moved to the recycle bin',
+        restored: 'Patient record restored from the recycle bin',
+        purged: 'Patient record permanently deleted'
+    },
+    appointment: {
+        booked: 'Appointment booked',
+        updated: 'Appointment updated'
     },
     auth: {
         loginSuccess: 'Welcome back!',
@@ -148,9 +310,18 @@ const PATIENT_SCHEMA = {
     age: 0,
     placeOfResidence: '',
     gender: '',
+    tobacco: null, // Smoking history and other exposures, see js/utils/tobacco.js
+    respiratoryDiagnoses: [], // COPD and asthma, classified by js/utils/classification.js
+    problems: [], // Problem list coded with ICD-10, see js/utils/problems.js
+    allergies: [], // Drug allergies checked against the prescriptions, see js/utils/allergies.js
+    sleepStudies: [], // Polysomnographies and polygraphies, see js/utils/sleep.js
+    cpapLog: [], // CPAP/APAP follow-up with the usage per night, see js/utils/sleep.js
+    tbEpisodes: [], // Tuberculosis treatment courses with the DOT calendar, see js/utils/tuberculosis.js
+    homeTherapies: [], // LTOT and home NIV prescriptions with their renewal date, see js/utils/homeTherapy.js
     visits: [],
     createdAt: null,
-    updatedAt: null
+    updatedAt: null,
+    revision: 0
 };
 
 // Visit Data Structure
@@ -160,6 +331,15 @@ const VISIT_SCHEMA = {
     medications: '',
     observations: '',
     additionalComments: '',
+    vitals: null, // Vital signs and anthropometrics, see js/utils/vitals.js
+    questionnaires: null, // CAT, mMRC, ACT and Epworth answers and scores, see js/utils/questionnaires.js
+    pft: null, // Pulmonary function tests, see js/utils/pft.js
+    labResults: null, // Blood gas and lab results with their reference ranges, see js/utils/labs.js
+    exacerbations: null, // Moderate and hospitalized exacerbations over the previous 12 months
+    asthmaStep: null, // GINA step of the asthma treatment in use
+    treatments: [], // Structured treatments printed on the prescription, see js/utils/medications.js
+    nextAppointment: null, // Date of the next appointment planned at the visit, see js/utils/appointments.js
+    classification: null, // GOLD and GINA classification, computed on save (js/utils/classification.js)
     createdAt: null
 };
 
@@ -168,6 +348,11 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         APP_CONFIG,
         STORAGE_CONFIG,
+        TRASH_CONFIG,
+        APPOINTMENT_CONFIG,
+        BACKUP_CONFIG,
+        ATTACHMENT_CONFIG,
+        ENCRYPTION_CONFIG,
         AUTH_CONFIG,
         UI_CONFIG,
         VALIDATION_RULES,
@@ -318,6 +318,28 @@ function parseDateFromInput(dateString) {
     return isNaN(date.getTime()) ? null : date;
 }
 
+/**
+ * Parse a measurement entered in a form field
+ * Accepts a decimal comma; values that are not numbers are returned unchanged so that
+ * validation can report them.
+ * @param {*} value - Submitted value
+ * @returns {number|*|undefined} Number, original value, or undefined when empty
+ */
+function parseMeasurement(value) {
+    if (value === null || value === undefined || value === '') {
+        return undefined;
+    }
+    if (typeof value === 'number') {
+        return value;
+    }
+
+    const text = String(value).trim().replace(',', '.');
+    if (text === '') {
+        return undefined;
+    }
+    return isNaN(Number(text)) ? value : Number(text);
+}
+
 /**
  * Format gender for display
  * @param {string} gender - Gender value
@@ -501,6 +523,7 @@ if (typeof module !== 'undefined' && module.exports) {
         sanitizeMedicalText,
         formatDateForInput,
         parseDateFromInput,
+        parseMeasurement,
         formatGender,
         normalizeGender,
         truncateText,
@@ -0,0 +1,267 @@
+/**
+ * Home Respiratory Therapies
+ * Register of the long-term oxygen therapy (LTOT, "OLD") and home non-invasive ventilation
+ * (NIV, "VNI") prescriptions of a patient, with the qualifying blood gas and the renewal date.
+ *
+ * A patient stores them as:
+ *   homeTherapies: [{ id, type, device, flowRate, hoursPerDay, supplier, startDate, renewalDate, stopDate,
+ *                     bloodGasDate, pao2, paco2, notes }]
+ * A therapy without a stop date is active. Its prescription lapses on the renewal date, and a
+ * reminder is due HOME_THERAPY_RENEWAL_NOTICE_DAYS before.
+ */
+
+// Therapy types
+const HOME_THERAPY_TYPES = [
+    { key: 'ltot', label: 'Long-term oxygen therapy', shortLabel: 'OLD' },
+    { key: 'niv', label: 'Home non-invasive ventilation', shortLabel: 'VNI' }
+];
+
+// Devices, by therapy type
+const HOME_THERAPY_DEVICES = [
+    { key: 'concentrator', type: 'ltot', label: 'Oxygen concentrator', shortLabel: 'Concentrateur' },
+    { key: 'portableConcentrator', type: 'ltot', label: 'Portable oxygen concentrator', shortLabel: 'Concentrateur portable' },
+    { key: 'liquidOxygen', type: 'ltot', label: 'Liquid oxygen', shortLabel: 'Oxygène liquide' },
+    { key: 'cylinder', type: 'ltot', label: 'Oxygen cylinders', shortLabel: 'Bouteilles' },
+    { key: 'bilevel', type: 'niv', label: 'Bilevel pressure ventilator', shortLabel: 'Ventilateur barométrique' },
+    { key: 'volumetric', type: 'niv', label: 'Volume ventilator', shortLabel: 'Ventilateur volumétrique' }
+];
+
+// Prescription and blood gas values, with their range in VALIDATION_RULES.homeTherapies
+const HOME_THERAPY_MEASUREMENTS = [
+    { key: 'flowRate', label: 'Débit O2', unit: 'L/min' },
+    { key: 'hoursPerDay', label: 'Durée', unit: 'h/j' },
+    { key: 'pao2', label: 'PaO2', unit: 'mmHg' },
+    { key: 'paco2', label: 'PaCO2', unit: 'mmHg' }
+];
+
+// Days before the renewal date from which a reminder is due
+const HOME_THERAPY_RENEWAL_NOTICE_DAYS = 30;
+
+const HOME_THERAPY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Find the definition of a therapy type
+ * @param {string} key - Type key
+ * @returns {Object|undefined} Definition from HOME_THERAPY_TYPES
+ */
+function getHomeTherapyType(key) {
+    return HOME_THERAPY_TYPES.find(type => type.key === key);
+}
+
+/**
+ * Find the definition of a device
+ * @param {string} key - Device key
+ * @returns {Object|undefined} Definition from HOME_THERAPY_DEVICES
+ */
+function getHomeTherapyDevice(key) {
+    return HOME_THERAPY_DEVICES.find(device => device.key === key);
+}
+
+/**
+ * Check a 'YYYY-MM-DD' date
+ * @param {string} date - Date
+ * @returns {boolean} True for a valid date
+ */
+function isHomeTherapyDate(date) {
+    return HOME_THERAPY_DATE_PATTERN.test(date || '') && !isNaN(new Date(date).getTime());
+}
+
+/**
+ * Normalize one therapy: numbers instead of strings, trimmed texts, empty fields dropped
+ * @param {Object} therapy - Submitted therapy
+ * @returns {Object|null} Normalized therapy, null when nothing but the type was entered
+ */
+function normalizeHomeTherapy(therapy) {
+    if (!therapy || typeof therapy !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    ['type', 'device', 'supplier', 'startDate', 'renewalDate', 'stopDate', 'bloodGasDate', 'notes'].forEach(field => {
+        const value = String(therapy[field] === undefined || therapy[field] === null ? '' : therapy[field]).trim();
+        if (value) {
+            normalized[field] = value;
+        }
+    });
+    HOME_THERAPY_MEASUREMENTS.forEach(({ key }) => {
+        const value = parseMeasurement(therapy[key]);
+        if (value !== undefined) {
+            normalized[key] = value;
+        }
+    });
+
+    if (Object.keys(normalized).every(field => field === 'type')) {
+        return null;
+    }
+    return { id: therapy.id || generateId(), ...normalized };
+}
+
+/**
+ * Normalize the home therapies, dropping the empty rows
+ * @param {Array|Object} therapies - Submitted therapies, as a list or keyed by form row
+ * @returns {Array} Normalized therapies
+ */
+function normalizeHomeTherapies(therapies) {
+    const list = Array.isArray(therapies) ? therapies : Object.values(therapies || {});
+    return list.map(normalizeHomeTherapy).filter(Boolean);
+}
+
+/**
+ * Validate one home therapy
+ * @param {Object} therapy - Therapy (raw or normalized)
+ * @returns {Array} Errors as { field, message }, field like 'renewalDate'
+ */
+function validateHomeTherapy(therapy) {
+    if (!therapy || typeof therapy !== 'object' || Array.isArray(therapy)) {
+        return [{ field: 'type', message: 'Home therapy must be an object' }];
+    }
+
+    const errors = [];
+    const rules = VALIDATION_RULES.homeTherapies;
+
+    if (!therapy.type) {
+        errors.push({ field: 'type', message: ERROR_MESSAGES.validation.required });
+    } else if (!getHomeTherapyType(therapy.type)) {
+        errors.push({
+            field: 'type',
+            message: 'Therapy type must be one of: ' + HOME_THERAPY_TYPES.map(type => type.key).join(', ')
+        });
+    }
+
+    const device = therapy.device ? getHomeTherapyDevice(therapy.device) : null;
+    if (therapy.device && !device) {
+        errors.push({
+            field: 'device',
+            message: 'Device must be one of: ' + HOME_THERAPY_DEVICES.map(entry => entry.key).join(', ')
+        });
+    } else if (device && getHomeTherapyType(therapy.type) && device.type !== therapy.type) {
+        errors.push({ field: 'device', message: 'Device does not match the therapy type' });
+    }
+
+    ['startDate', 'renewalDate'].forEach(field => {
+        if (!therapy[field]) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.required });
+        }
+    });
+    ['startDate', 'renewalDate', 'stopDate', 'bloodGasDate'].forEach(field => {
+        if (therapy[field] && !isHomeTherapyDate(therapy[field])) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.date });
+        }
+    });
+    if (isHomeTherapyDate(therapy.startDate)) {
+        ['renewalDate', 'stopDate'].forEach(field => {
+            if (isHomeTherapyDate(therapy[field]) && therapy[field] < therapy.startDate) {
+                errors.push({ field, message: 'Date must be after the start date' });
+            }
+        });
+    }
+
+    HOME_THERAPY_MEASUREMENTS.forEach(({ key }) => {
+        const value = parseMeasurement(therapy[key]);
+        const range = rules[key];
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push({ field: key, message: ERROR_MESSAGES.validation.number });
+        } else if (value < range.min || value > range.max) {
+            errors.push({
+                field: key,
+                message: ERROR_MESSAGES.validation.range.replace('{min}', range.min).replace('{max}', range.max)
+            });
+        }
+    });
+
+    ['supplier', 'notes'].forEach(field => {
+        if (therapy[field] && String(therapy[field]).length > rules[field].maxLength) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.maxLength.replace('{max}', rules[field].maxLength) });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate the home therapies of a patient
+ * @param {Array} therapies - Therapies
+ * @returns {Array} Errors as { field, message }, field like 'homeTherapies[0].flowRate'
+ */
+function validateHomeTherapies(therapies) {
+    if (therapies === null || therapies === undefined) {
+        return [];
+    }
+    if (!Array.isArray(therapies)) {
+        return [{ field: 'homeTherapies', message: 'Home therapies must be a list' }];
+    }
+
+    return therapies.flatMap((therapy, index) => validateHomeTherapy(therapy).map(({ field, message }) => ({
+        field: `homeTherapies[${index}].${field}`,
+        message
+    })));
+}
+
+/**
+ * Active therapies of a patient, for the patient index, the earliest renewal first
+ * @param {Array} therapies - Home therapies
+ * @returns {Array|null} [{ therapyId, type, device, supplier, renewalDate }], null without an active therapy
+ */
+function homeTherapySummary(therapies) {
+    const active = (Array.isArray(therapies) ? therapies : [])
+        .filter(therapy => therapy && !therapy.stopDate && isHomeTherapyDate(therapy.renewalDate))
+        .sort((a, b) => a.renewalDate.localeCompare(b.renewalDate))
+        .map(therapy => ({
+            therapyId: therapy.id,
+            type: therapy.type,
+            device: therapy.device || null,
+            supplier: therapy.supplier || null,
+            renewalDate: therapy.renewalDate
+        }));
+
+    return active.length > 0 ? active : null;
+}
+
+/**
+ * Days left before a prescription lapses
+ * @param {string} renewalDate - Renewal date ('YYYY-MM-DD')
+ * @param {string} today - Today ('YYYY-MM-DD')
+ * @returns {number} Days left, negative once lapsed
+ */
+function homeTherapyDaysLeft(renewalDate, today) {
+    return Math.round((new Date(renewalDate) - new Date(today)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * One-line description, e.g. "OLD · Concentrateur · 2 L/min · 16 h/j · renouvellement le 2024-06-01"
+ * @param {Object} therapy - Home therapy
+ * @returns {string} Description in French
+ */
+function describeHomeTherapy(therapy) {
+    const type = getHomeTherapyType(therapy.type);
+    const device = getHomeTherapyDevice(therapy.device);
+    return [
+        type ? type.shortLabel : therapy.type,
+        device ? device.shortLabel : '',
+        typeof therapy.flowRate === 'number' ? `${therapy.flowRate} L/min` : '',
+        typeof therapy.hoursPerDay === 'number' ? `${therapy.hoursPerDay} h/j` : '',
+        therapy.stopDate ? `arrêtée le ${therapy.stopDate}` : `renouvellement le ${therapy.renewalDate}`
+    ].filter(Boolean).join(' · ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HOME_THERAPY_TYPES,
+        HOME_THERAPY_DEVICES,
+        HOME_THERAPY_MEASUREMENTS,
+        HOME_THERAPY_RENEWAL_NOTICE_DAYS,
+        getHomeTherapyType,
+        getHomeTherapyDevice,
+        normalizeHomeTherapy,
+        normalizeHomeTherapies,
+        validateHomeTherapy,
+        validateHomeTherapies,
+        homeTherapySummary,
+        homeTherapyDaysLeft,
+        describeHomeTherapy
+    };
+}
@@ -0,0 +1,442 @@
+/**
+ * Laboratory Results
+ * Structured lab results recorded at a visit: arterial blood gas, complete blood count,
+ * inflammation and immunology tests, each with its unit, reference range and a high/low flag,
+ * plus the import of the results of a laboratory export file (CSV).
+ *
+ * A visit stores them as:
+ *   labResults: { ph, pao2, paco2, hco3, sao2, hemoglobin, hematocrit, wbc, neutrophils,
+ *                 lymphocytes, eosinophils, platelets, crp, ige, aat }
+ * Values are in the unit of LAB_TESTS; other units of an import are converted. Plausible
+ * ranges are in VALIDATION_RULES.labResults, flags are computed from the reference ranges.
+ */
+
+// Panels of the catalog, in display order
+const LAB_PANELS = [
+    { key: 'abg', label: 'Arterial blood gas', shortLabel: 'Gaz du sang artériel' },
+    { key: 'cbc', label: 'Complete blood count', shortLabel: 'NFS' },
+    { key: 'inflammation', label: 'Inflammation', shortLabel: 'Inflammation' },
+    { key: 'immunology', label: 'Immunology', shortLabel: 'Immunologie' }
+];
+
+// Test catalog. reference: normal range, by gender when it differs; units: factors converting
+// other units of an import to the unit of the test; aliases: names found in laboratory exports
+const LAB_TESTS = [
+    {
+        key: 'ph', panel: 'abg', label: 'pH', unit: '', decimals: 2,
+        reference: { min: 7.35, max: 7.45 }, aliases: ['ph', 'ph arteriel']
+    },
+    {
+        key: 'pao2', panel: 'abg', label: 'PaO2', unit: 'mmHg', decimals: 0,
+        reference: { min: 80, max: 100 }, units: { kPa: 7.50062 }, aliases: ['pao2', 'po2']
+    },
+    {
+        key: 'paco2', panel: 'abg', label: 'PaCO2', unit: 'mmHg', decimals: 0,
+        reference: { min: 35, max: 45 }, units: { kPa: 7.50062 }, aliases: ['paco2', 'pco2']
+    },
+    {
+        key: 'hco3', panel: 'abg', label: 'HCO3-', unit: 'mmol/L', decimals: 1,
+        reference: { min: 22, max: 26 }, units: { 'mEq/L': 1 }, aliases: ['hco3', 'bicarbonates', 'bicarbonate']
+    },
+    {
+        key: 'sao2', panel: 'abg', label: 'SaO2', unit: '%', decimals: 0,
+        reference: { min: 95, max: 100 }, aliases: ['sao2', 'so2']
+    },
+    {
+        key: 'hemoglobin', panel: 'cbc', label: 'Hémoglobine', unit: 'g/dL', decimals: 1,
+        reference: { male: { min: 13, max: 17 }, female: { min: 12, max: 16 } },
+        units: { 'g/L': 0.1 }, aliases: ['hemoglobine', 'hb', 'hgb']
+    },
+    {
+        key: 'hematocrit', panel: 'cbc', label: 'Hématocrite', unit: '%', decimals: 1,
+        reference: { male: { min: 40, max: 54 }, female: { min: 36, max: 48 } }, aliases: ['hematocrite', 'ht', 'hct']
+    },
+    {
+        key: 'wbc', panel: 'cbc', label: 'Leucocytes', unit: 'G/L', decimals: 1,
+        reference: { min: 4, max: 10 }, units: { '10^9/L': 1, '/mm3': 0.001 }, aliases: ['leucocytes', 'globules blancs', 'gb', 'wbc']
+    },
+    {
+        key: 'neutrophils', panel: 'cbc', label: 'Neutrophiles', unit: 'G/L', decimals: 1,
+        reference: { min: 1.5, max: 7 }, units: { '10^9/L': 1, '/mm3': 0.001 }, aliases: ['neutrophiles', 'polynucleaires neutrophiles', 'pnn']
+    },
+    {
+        key: 'lymphocytes', panel: 'cbc', label: 'Lymphocytes', unit: 'G/L', decimals: 1,
+        reference: { min: 1, max: 4 }, units: { '10^9/L': 1, '/mm3': 0.001 }, aliases: ['lymphocytes', 'lympho']
+    },
+    {
+        key: 'eosinophils', panel: 'cbc', label: 'Éosinophiles', unit: '/mm3', decimals: 0,
+        reference: { min: 0, max: 500 }, units: { 'G/L': 1000, '10^9/L': 1000, '/µL': 1 },
+        aliases: ['eosinophiles', 'polynucleaires eosinophiles', 'pne', 'eos']
+    },
+    {
+        key: 'platelets', panel: 'cbc', label: 'Plaquettes', unit: 'G/L', decimals: 0,
+        reference: { min: 150, max: 400 }, units: { '10^9/L': 1, '/mm3': 0.001 }, aliases: ['plaquettes', 'plt']
+    },
+    {
+        key: 'crp', panel: 'inflammation', label: 'CRP', unit: 'mg/L', decimals: 1,
+        reference: { max: 5 }, units: { 'mg/dL': 10 }, aliases: ['crp', 'proteine c reactive']
+    },
+    {
+        key: 'ige', panel: 'immunology', label: 'IgE totales', unit: 'kUI/L', decimals: 0,
+        reference: { max: 100 }, units: { 'UI/mL': 1, 'IU/mL': 1, 'kU/L': 1 }, aliases: ['ige totales', 'ige']
+    },
+    {
+        key: 'aat', panel: 'immunology', label: 'Alpha-1 antitrypsine', unit: 'g/L', decimals: 2,
+        reference: { min: 0.9, max: 2 }, units: { 'mg/dL': 0.01 }, aliases: ['alpha-1 antitrypsine', 'alpha 1 antitrypsine', 'a1at', 'aat']
+    }
+];
+
+// Column names of a laboratory export file, folded
+const LAB_CSV_COLUMNS = {
+    date: ['date', 'date prelevement', 'date de prelevement', 'date du prelevement', 'sample date'],
+    test: ['test', 'code', 'analyse', 'examen', 'parametre'],
+    value: ['value', 'valeur', 'resultat', 'result'],
+    unit: ['unit', 'unite', 'unites']
+};
+
+/**
+ * Find the definition of a test
+ * @param {string} key - Test key
+ * @returns {Object|undefined} Definition from LAB_TESTS
+ */
+function getLabTest(key) {
+    return LAB_TESTS.find(test => test.key === key);
+}
+
+/**
+ * Lower-case name without accents or punctuation, so that "Éosinophiles" finds "eosinophiles"
+ * @param {string} text - Test, unit or column name
+ * @returns {string} Folded text
+ */
+function foldLabName(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s-]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Unit without spaces, in lower case, so that "10^9 /L" finds "10^9/l" and "/mm³" finds "/mm3"
+ * @param {string} unit - Unit
+ * @returns {string} Folded unit
+ */
+function foldLabUnit(unit) {
+    return String(unit || '')
+        .replace(/\s+/g, '')
+        .replace(/µ|μ/g, 'u')
+        .replace(/³/g, '3')
+        .toLowerCase();
+}
+
+/**
+ * Find a test by its key, label or a name used in laboratory exports
+ * @param {string} name - Test name
+ * @returns {Object|undefined} Definition from LAB_TESTS
+ */
+function findLabTest(name) {
+    const folded = foldLabName(name);
+    return LAB_TESTS.find(test => test.key === folded || foldLabName(test.label) === folded ||
+        test.aliases.includes(folded));
+}
+
+/**
+ * Reference range of a test for a patient
+ * @param {string} key - Test key
+ * @param {string} gender - Patient gender (male/female), for the ranges that depend on it
+ * @returns {Object|null} { min, max } (either may be missing), null without a range for this gender
+ */
+function labReferenceRange(key, gender) {
+    const test = getLabTest(key);
+    if (!test || !test.reference) {
+        return null;
+    }
+    if (test.reference.male || test.reference.female) {
+        return test.reference[gender] || null;
+    }
+    return test.reference;
+}
+
+/**
+ * Flag a result against its reference range
+ * @param {string} key - Test key
+ * @param {number} value - Result in the unit of the test
+ * @param {string} gender - Patient gender
+ * @returns {string|null} 'low', 'high' or null when within the range (or without a range)
+ */
+function flagLabResult(key, value, gender) {
+    const range = labReferenceRange(key, gender);
+    if (!range || typeof value !== 'number') {
+        return null;
+    }
+    if (range.min !== undefined && value < range.min) {
+        return 'low';
+    }
+    if (range.max !== undefined && value > range.max) {
+        return 'high';
+    }
+    return null;
+}
+
+/**
+ * Format a reference range, e.g. "35-45 mmHg" or "< 5 mg/L"
+ * @param {Object} range - { min, max }
+ * @param {string} unit - Unit of the test
+ * @returns {string} Formatted range
+ */
+function formatLabRange(range, unit) {
+    if (!range) {
+        return '—';
+    }
+    const text = range.min === undefined ? `< ${range.max}` :
+        range.max === undefined ? `> ${range.min}` : `${range.min}-${range.max}`;
+    return unit ? `${text} ${unit}` : text;
+}
+
+/**
+ * Normalize the lab results of a visit: numbers instead of strings, empty values removed
+ * @param {Object} labResults - Submitted results
+ * @returns {Object|null} Normalized results, or null when nothing was entered
+ */
+function normalizeLabResults(labResults) {
+    if (!labResults || typeof labResults !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    LAB_TESTS.forEach(({ key }) => {
+        const value = parseMeasurement(labResults[key]);
+        if (value !== undefined) {
+            normalized[key] = value;
+        }
+    });
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the lab results of a visit
+ * @param {Object} labResults - Visit lab results (raw or normalized)
+ * @returns {Array} Errors as { field, message }, field like 'labResults.pao2'
+ */
+function validateLabResults(labResults) {
+    const errors = [];
+    if (labResults === null || labResults === undefined) {
+        return errors;
+    }
+    if (typeof labResults !== 'object' || Array.isArray(labResults)) {
+        return [{ field: 'labResults', message: 'Lab results must be an object' }];
+    }
+
+    const rules = VALIDATION_RULES.labResults;
+    LAB_TESTS.forEach(({ key }) => {
+        const value = parseMeasurement(labResults[key]);
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push({ field: `labResults.${key}`, message: ERROR_MESSAGES.validation.number });
+        } else if (value < rules[key].min || value > rules[key].max) {
+            errors.push({
+                field: `labResults.${key}`,
+                message: ERROR_MESSAGES.validation.range.replace('{min}', rules[key].min).replace('{max}', rules[key].max)
+            });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Convert a value to the unit of its test
+ * @param {Object} test - Definition from LAB_TESTS
+ * @param {number} value - Value
+ * @param {string} unit - Unit of the value, empty for the unit of the test
+ * @returns {number|null} Converted value rounded to the decimals of the test, null for an unknown unit
+ */
+function convertLabValue(test, value, unit) {
+    const folded = foldLabUnit(unit);
+    let factor = null;
+    if (!folded || folded === foldLabUnit(test.unit)) {
+        factor = 1;
+    } else {
+        const match = Object.keys(test.units || {}).find(other => foldLabUnit(other) === folded);
+        factor = match ? test.units[match] : null;
+    }
+    if (factor === null) {
+        return null;
+    }
+
+    const scale = Math.pow(10, test.decimals);
+    return Math.round(value * factor * scale) / scale;
+}
+
+/**
+ * Split a CSV line, with quoted fields
+ * @param {string} line - Line of the file
+ * @param {string} separator - Field separator
+ * @returns {Array} Fields, trimmed
+ */
+function splitLabCsvLine(line, separator) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Read a result date: 'YYYY-MM-DD' or the French 'DD/MM/YYYY'
+ * @param {string} text - Date as exported
+ * @returns {string|null} 'YYYY-MM-DD', null when not a valid date
+ */
+function parseLabDate(text) {
+    const value = String(text || '').trim();
+    const french = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const date = french ? `${french[3]}-${french[2].padStart(2, '0')}-${french[1].padStart(2, '0')}` : value.slice(0, 10);
+    // new Date() rolls invalid days over (2024-02-31 becomes 2024-03-02): compare back
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+/**
+ * Read the results of a laboratory export file
+ * The file has a header row naming the date, test, value and (optional) unit columns; fields are
+ * separated by ';', ',' or tabs. Unknown tests, units and dates, future dates, values that are
+ * not numbers (e.g. "< 5") and implausible values are reported by line and left out.
+ * @param {string} text - Content of the CSV file
+ * @param {string} today - Today ('YYYY-MM-DD'), defaults to the current date
+ * @returns {Object} { results: [{ line, date, test, value }], errors: [{ line, message }] }
+ */
+function parseLabCsv(text, today = new Date().toISOString().split('T')[0]) {
+    const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => line.trim());
+    if (headerIndex === -1) {
+        return { results: [], errors: [{ line: 1, message: 'The file is empty' }] };
+    }
+
+    const header = lines[headerIndex];
+    const separator = [';', '\t', ','].reduce((best, candidate) =>
+        header.split(candidate).length > header.split(best).length ? candidate : best, ';');
+    const names = splitLabCsvLine(header, separator).map(foldLabName);
+    const columns = {};
+    Object.entries(LAB_CSV_COLUMNS).forEach(([column, aliases]) => {
+        const index = names.findIndex(name => aliases.includes(name));
+        if (index !== -1) {
+            columns[column] = index;
+        }
+    });
+
+    const missing = ['date', 'test', 'value'].filter(column => columns[column] === undefined);
+    if (missing.length > 0) {
+        return { results: [], errors: [{ line: headerIndex + 1, message: `Missing columns: ${missing.join(', ')}` }] };
+    }
+
+    const results = [];
+    const errors = [];
+    lines.forEach((line, index) => {
+        if (index <= headerIndex || !line.trim()) {
+            return;
+        }
+
+        const fields = splitLabCsvLine(line, separator);
+        const lineNumber = index + 1;
+        const test = findLabTest(fields[columns.test]);
+        const date = parseLabDate(fields[columns.date]);
+        const value = parseMeasurement(fields[columns.value]);
+        const unit = columns.unit === undefined ? '' : fields[columns.unit];
+
+        if (!test) {
+            errors.push({ line: lineNumber, message: `Unknown test: ${fields[columns.test] || '(empty)'}` });
+        } else if (!date) {
+            errors.push({ line: lineNumber, message: `Invalid date: ${fields[columns.date] || '(empty)'}` });
+        } else if (date > today) {
+            errors.push({ line: lineNumber, message: `Date is in the future: ${date}` });
+        } else if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push({ line: lineNumber, message: `${test.label}: value is not a number: ${fields[columns.value] || '(empty)'}` });
+        } else {
+            const converted = convertLabValue(test, value, unit);
+            const [invalid] = converted === null ? [] : validateLabResults({ [test.key]: converted });
+            if (converted === null) {
+                errors.push({ line: lineNumber, message: `${test.label}: unknown unit: ${unit}` });
+            } else if (invalid) {
+                errors.push({ line: lineNumber, message: `${test.label}: ${invalid.message}` });
+            } else {
+                results.push({ line: lineNumber, date, test: test.key, value: converted });
+            }
+        }
+    });
+
+    return { results, errors };
+}
+
+/**
+ * Group imported results by date, the later line winning for a test measured twice the same day
+ * @param {Array} results - Results of parseLabCsv()
+ * @returns {Object} Lab results by date: { 'YYYY-MM-DD': { pao2: 62, ... } }
+ */
+function groupLabResultsByDate(results) {
+    return (results || []).reduce((byDate, { date, test, value }) => {
+        byDate[date] = { ...byDate[date], [test]: value };
+        return byDate;
+    }, {});
+}
+
+/**
+ * Latest result of each test over the visits of a patient
+ * @param {Array} visits - Patient visits
+ * @returns {Object} { pao2: { value, visitDate }, ... }, empty without results
+ */
+function latestLabResults(visits) {
+    const latest = {};
+    [...(visits || [])]
+        .filter(visit => visit && visit.visitDate)
+        .sort((a, b) => String(a.visitDate).localeCompare(String(b.visitDate)))
+        .forEach(visit => {
+            Object.entries(normalizeLabResults(visit.labResults) || {}).forEach(([key, value]) => {
+                latest[key] = { value, visitDate: visit.visitDate };
+            });
+        });
+    return latest;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LAB_PANELS,
+        LAB_TESTS,
+        getLabTest,
+        findLabTest,
+        labReferenceRange,
+        flagLabResult,
+        formatLabRange,
+        normalizeLabResults,
+        validateLabResults,
+        convertLabValue,
+        parseLabCsv,
+        groupLabResultsByDate,
+        latestLabResults
+    };
+}
@@ -0,0 +1,185 @@
+/**
+ * Medications and Prescriptions
+ * Structured treatment list of a visit, printed as the prescription (ordonnance) of the visit.
+ *
+ * A visit stores its treatments as:
+ *   treatments: [{ id, drug, dose, device, frequency, duration, startDate, stopDate }]
+ * Only the drug is required. A treatment without a stop date, or stopped after the date of a
+ * new visit, is still in progress and is carried forward to that visit.
+ */
+
+// Delivery devices
+const MEDICATION_DEVICES = [
+    { key: 'mdi', label: 'Metered-dose inhaler (MDI)', shortLabel: 'Aérosol-doseur' },
+    { key: 'dpi', label: 'Dry powder inhaler (DPI)', shortLabel: 'Inhalateur de poudre' },
+    { key: 'nebulizer', label: 'Nebulizer', shortLabel: 'Nébuliseur' },
+    { key: 'oral', label: 'Oral', shortLabel: 'Voie orale' },
+    { key: 'other', label: 'Other', shortLabel: 'Autre' }
+];
+
+// Text fields of a treatment, with their limit in VALIDATION_RULES.treatments
+const TREATMENT_TEXT_FIELDS = ['drug', 'dose', 'frequency', 'duration'];
+
+const TREATMENT_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Find the definition of a device
+ * @param {string} key - Device key
+ * @returns {Object|undefined} Definition from MEDICATION_DEVICES
+ */
+function getMedicationDevice(key) {
+    return MEDICATION_DEVICES.find(device => device.key === key);
+}
+
+/**
+ * Normalize one treatment: trimmed texts, empty fields dropped
+ * @param {Object} treatment - Submitted treatment
+ * @returns {Object|null} Normalized treatment, null when the row is empty
+ */
+function normalizeTreatment(treatment) {
+    if (!treatment || typeof treatment !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    [...TREATMENT_TEXT_FIELDS, 'device', 'startDate', 'stopDate'].forEach(field => {
+        const value = String(treatment[field] === undefined || treatment[field] === null ? '' : treatment[field]).trim();
+        if (value) {
+            normalized[field] = value;
+        }
+    });
+
+    if (Object.keys(normalized).length === 0) {
+        return null;
+    }
+    return { id: treatment.id || generateId(), ...normalized };
+}
+
+/**
+ * Normalize the treatment list, dropping the empty rows
+ * @param {Array|Object} treatments - Submitted treatments, as a list or keyed by form row
+ * @returns {Array} Normalized treatments
+ */
+function normalizeTreatments(treatments) {
+    const list = Array.isArray(treatments) ? treatments : Object.values(treatments || {});
+    return list.map(normalizeTreatment).filter(Boolean);
+}
+
+/**
+ * Validate one treatment
+ * @param {Object} treatment - Treatment
+ * @returns {Array} Errors as { field, message }, field like 'drug'
+ */
+function validateTreatment(treatment) {
+    const errors = [];
+    if (!treatment || typeof treatment !== 'object' || Array.isArray(treatment)) {
+        return [{ field: 'drug', message: 'Treatment must be an object' }];
+    }
+
+    if (!treatment.drug) {
+        errors.push({ field: 'drug', message: ERROR_MESSAGES.validation.required });
+    }
+
+    TREATMENT_TEXT_FIELDS.forEach(field => {
+        const maxLength = VALIDATION_RULES.treatments[field].maxLength;
+        if (treatment[field] && String(treatment[field]).length > maxLength) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.maxLength.replace('{max}', maxLength) });
+        }
+    });
+
+    if (treatment.device && !getMedicationDevice(treatment.device)) {
+        errors.push({
+            field: 'device',
+            message: 'Device must be one of: ' + MEDICATION_DEVICES.map(device => device.key).join(', ')
+        });
+    }
+
+    ['startDate', 'stopDate'].forEach(field => {
+        if (treatment[field] && (!TREATMENT_DATE_PATTERN.test(treatment[field]) || isNaN(new Date(treatment[field]).getTime()))) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.date });
+        }
+    });
+
+    if (treatment.startDate && treatment.stopDate && !errors.some(error => error.field.endsWith('Date')) &&
+        treatment.stopDate < treatment.startDate) {
+        errors.push({ field: 'stopDate', message: 'Stop date must be after the start date' });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the treatments of a visit
+ * @param {Array} treatments - Treatments
+ * @returns {Array} Errors as { field, message }, field like 'treatments.0.drug'
+ */
+function validateTreatments(treatments) {
+    if (treatments === null || treatments === undefined) {
+        return [];
+    }
+    if (!Array.isArray(treatments)) {
+        return [{ field: 'treatments', message: 'Treatments must be a list' }];
+    }
+
+    return treatments.flatMap((treatment, index) => validateTreatment(treatment).map(({ field, message }) => ({
+        field: `treatments.${index}.${field}`,
+        message
+    })));
+}
+
+/**
+ * Check whether a treatment is still taken on a date
+ * @param {Object} treatment - Treatment
+ * @param {string} date - Date ('YYYY-MM-DD')
+ * @returns {boolean} True when it has no stop date or stops after the date
+ */
+function isTreatmentCurrent(treatment, date) {
+    return !treatment.stopDate || !date || treatment.stopDate >= date;
+}
+
+/**
+ * Treatments still in progress at a new visit, taken from the latest visit before it
+ * @param {Array} visits - Previous visits of the patient
+ * @param {string} visitDate - Date of the new visit ('YYYY-MM-DD')
+ * @returns {Array} Copies of the current treatments of the latest visit that has any
+ */
+function carryForwardTreatments(visits, visitDate) {
+    const previous = (visits || [])
+        .filter(visit => visit && Array.isArray(visit.treatments) && visit.treatments.length > 0 &&
+            (!visitDate || !visit.visitDate || visit.visitDate <= visitDate))
+        .sort((a, b) => new Date(b.visitDate) - new Date(a.visitDate))[0];
+
+    return previous ?
+        previous.treatments.filter(treatment => isTreatmentCurrent(treatment, visitDate)).map(treatment => ({ ...treatment })) :
+        [];
+}
+
+/**
+ * One line of the prescription, e.g. "Tiotropium 18 µg · Inhalateur de poudre · 1 inhalation le matin · 3 mois"
+ * @param {Object} treatment - Treatment
+ * @returns {string} Description in French
+ */
+function describeTreatment(treatment) {
+    const device = getMedicationDevice(treatment.device);
+    return [
+        [treatment.drug, treatment.dose].filter(Boolean).join(' '),
+        device ? device.shortLabel : treatment.device,
+        treatment.frequency,
+        treatment.duration
+    ].filter(Boolean).join(' · ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MEDICATION_DEVICES,
+        getMedicationDevice,
+        normalizeTreatment,
+        normalizeTreatments,
+        validateTreatment,
+        validateTreatments,
+        isTreatmentCurrent,
+        carryForwardTreatments,
+        describeTreatment
+    };
+}
@@ -0,0 +1,177 @@
+/**
+ * Role-Based Permissions
+ * Shared by the browser views and the Node server so both enforce the same rules
+ */
+
+// User roles and the permissions they grant
+const USER_ROLES = {
+    doctor: {
+        label: 'Médecin',
+        permissions: [
+            'patients:read',
+            'patients:write',
+            'patients:delete',
+            'clinical:read',
+            'clinical:write',
+            'users:manage',
+            'audit:read',
+            'backups:manage'
+        ]
+    },
+    secretary: {
+        label: 'Secrétaire',
+        permissions: [
+            'patients:read',
+            'patients:write'
+        ]
+    },
+    auditor: {
+        label: 'Auditeur (lecture seule)',
+        permissions: [
+            'patients:read',
+            'clinical:read',
+            'audit:read'
+        ]
+    }
+};
+
+// Role given to accounts created before roles existed
+const DEFAULT_ROLE = 'doctor';
+
+// Fields holding clinical information, hidden from roles without clinical:read
+const CLINICAL_FIELDS = {
+    patient: ['atcdsMedicaux', 'atcdsChirurgicaux', 'tobacco', 'respiratoryDiagnoses', 'problems', 'allergies', 'sleepStudies', 'cpapLog', 'tbEpisodes', 'homeTherapies'],
+    visit: ['consultation', 'billan', 'cat', 'examenClinique', 'additionalComments', 'medications', 'observations', 'vitals', 'questionnaires', 'pft', 'labResults', 'exacerbations', 'asthmaStep', 'classification', 'treatments']
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name (e.g. 'clinical:read')
+ * @returns {boolean} True if granted
+ */
+function roleHasPermission(role, permission) {
+    const definition = USER_ROLES[role || DEFAULT_ROLE];
+    return Boolean(definition) && definition.permissions.includes(permission);
+}
+
+/**
+ * Check whether the signed-in user has a permission
+ * Without an authentication manager (tests, development bypass) full access is assumed;
+ * the server enforces the same rules independently.
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if granted
+ */
+function currentUserCan(permission) {
+    if (typeof window === 'undefined' || !window.app || !window.app.components.authManager) {
+        return true;
+    }
+
+    const user = window.app.components.authManager.getCurrentUser();
+    return roleHasPermission(user ? user.role : DEFAULT_ROLE, permission);
+}
+
+/**
+ * Check whether a visit contains any clinical information
+ * @param {Object} visit - Visit data
+ * @returns {boolean} True if at least one clinical field is filled
+ */
+function visitHasClinicalData(visit) {
+    return CLINICAL_FIELDS.visit.some(field => visit && visit[field] &&
+        !(Array.isArray(visit[field]) && visit[field].length === 0));
+}
+
+/**
+ * Remove clinical fields from a visit
+ * @param {Object} visit - Visit data
+ * @returns {Object} Copy of the visit without clinical fields
+ */
+function redactVisit(visit) {
+    const redacted = { ...visit };
+    CLINICAL_FIELDS.visit.forEach(field => delete redacted[field]);
+    return redacted;
+}
+
+/**
+ * Remove clinical fields from a patient record and its visits
+ * @param {Object} patientData - Patient data
+ * @returns {Object} Copy of the patient without clinical fields
+ */
+function redactPatient(patientData) {
+    const redacted = { ...patientData };
+    CLINICAL_FIELDS.patient.forEach(field => delete redacted[field]);
+    redacted.visits = (patientData.visits || []).map(redactVisit);
+    return redacted;
+}
+
+/**
+ * Apply changes made by a user without clinical:write access
+ * Clinical values always come from the existing record; visits holding clinical data
+ * cannot be removed.
+ * @param {Object} existing - Stored patient data (null for a new patient)
+ * @param {Object} incoming - Submitted patient data
+ * @returns {Object} Patient data safe to save
+ */
+function mergeRestrictedPatient(existing, incoming) {
+    const merged = { ...incoming };
+    const existingVisits = (existing && existing.visits) || [];
+
+    CLINICAL_FIELDS.patient.forEach(field => {
+        if (existing && existing[field] !== undefined) {
+            merged[field] = existing[field];
+        } else {
+            delete merged[field];
+        }
+    });
+
+    if (Array.isArray(incoming.visits)) {
+        const incomingIds = new Set(incoming.visits.map(visit => visit.id));
+
+        merged.visits = incoming.visits.map(visit => mergeRestrictedVisit(
+            existingVisits.find(v => v.id === visit.id) || null,
+            visit
+        ));
+
+        existingVisits
+            .filter(visit => !incomingIds.has(visit.id) && visitHasClinicalData(visit))
+            .forEach(visit => merged.visits.push(visit));
+    }
+
+    return merged;
+}
+
+/**
+ * Apply visit changes made by a user without clinical:write access
+ * @param {Object} existing - Stored visit data (null for a new visit)
+ * @param {Object} incoming - Submitted visit data
+ * @returns {Object} Visit data safe to save
+ */
+function mergeRestrictedVisit(existing, incoming) {
+    const merged = redactVisit(incoming);
+
+    if (existing) {
+        CLINICAL_FIELDS.visit.forEach(field => {
+            if (existing[field] !== undefined) {
+                merged[field] = existing[field];
+            }
+        });
+    }
+
+    return merged;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        USER_ROLES,
+        DEFAULT_ROLE,
+        CLINICAL_FIELDS,
+        roleHasPermission,
+        currentUserCan,
+        visitHasClinicalData,
+        redactVisit,
+        redactPatient,
+        mergeRestrictedPatient,
+        mergeRestrictedVisit
+    };
+}
@@ -0,0 +1,372 @@
+/**
+ * Pulmonary Function Tests
+ * Structured spirometry, DLCO and TLC values recorded on a visit, with percent-predicted
+ * computed from the GLI-2012 reference equations (Quanjer et al., Eur Respir J 2012).
+ *
+ * A visit stores its tests as:
+ *   pft: { heightCm, fev1: { pre, post }, fvc: { pre, post }, fev1Fvc: { pre, post },
+ *          pef: { pre, post }, dlco: { pre, post }, tlc: { pre, post } }
+ * "pre" and "post" are the values before and after bronchodilator; either may be missing.
+ */
+
+// Parameters in display order; only FEV1, FVC and FEV1/FVC have GLI-2012 equations
+// (DLCO and TLC have their own GLI references, PEF has none)
+const PFT_PARAMETERS = [
+    { key: 'fev1', label: 'FEV1', unit: 'L', gli: true },
+    { key: 'fvc', label: 'FVC', unit: 'L', gli: true },
+    { key: 'fev1Fvc', label: 'FEV1/FVC', unit: '%', gli: true },
+    { key: 'pef', label: 'PEF', unit: 'L/s', gli: false },
+    { key: 'dlco', label: 'DLCO', unit: 'mmol/min/kPa', gli: false },
+    { key: 'tlc', label: 'TLC', unit: 'L', gli: false }
+];
+
+const PFT_PHASES = ['pre', 'post'];
+
+// z-score of the lower limit of normal (5th percentile)
+const PFT_LLN_Z = -1.645;
+
+// GLI-2012 coefficients and spline lookup tables, installed with registerGli2012Reference()
+let gli2012Reference = null;
+
+/**
+ * Install the GLI-2012 reference table
+ * The table comes from the lookup tables published by the Global Lung Function Initiative.
+ * For each parameter (fev1, fvc, fev1Fvc) and sex (male, female) it holds:
+ *   m: [a0, aLnHeight, aLnAge]  M = exp(a0 + aLnHeight·ln(height cm) + aLnAge·ln(age) + Mspline)
+ *   s: [p0, pLnAge]             S = exp(p0 + pLnAge·ln(age) + Sspline)
+ *   l: [q0, qLnAge]             L = q0 + qLnAge·ln(age)
+ *   splines: [[age, Mspline, Sspline], ...] sorted by age
+ * The FEV1/FVC equations give a ratio (0-1).
+ * @param {Object|null} table - Reference table, null to remove it
+ */
+function registerGli2012Reference(table) {
+    gli2012Reference = table || null;
+}
+
+/**
+ * Check whether percent-predicted values can be computed
+ * @returns {boolean} True if the GLI-2012 reference table is installed
+ */
+function hasGli2012Reference() {
+    return gli2012Reference !== null;
+}
+
+/**
+ * Normalize the tests of a visit: numbers instead of strings, empty values removed and
+ * FEV1/FVC computed from FEV1 and FVC when both are measured
+ * @param {Object} pft - Submitted tests
+ * @returns {Object|null} Normalized tests, or null when nothing was entered
+ */
+function normalizePft(pft) {
+    if (!pft || typeof pft !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    const heightCm = parseMeasurement(pft.heightCm);
+    if (heightCm !== undefined) {
+        normalized.heightCm = heightCm;
+    }
+
+    PFT_PARAMETERS.forEach(({ key }) => {
+        const values = {};
+        PFT_PHASES.forEach(phase => {
+            const value = parseMeasurement(pft[key] && pft[key][phase]);
+            if (value !== undefined) {
+                values[phase] = value;
+            }
+        });
+        if (Object.keys(values).length > 0) {
+            normalized[key] = values;
+        }
+    });
+
+    PFT_PHASES.forEach(phase => {
+        const fev1 = normalized.fev1 && normalized.fev1[phase];
+        const fvc = normalized.fvc && normalized.fvc[phase];
+        if (typeof fev1 === 'number' && typeof fvc === 'number' && fvc > 0) {
+            normalized.fev1Fvc = { ...normalized.fev1Fvc, [phase]: Math.round(fev1 / fvc * 1000) / 10 };
+        }
+    });
+
+    const hasResults = PFT_PARAMETERS.some(({ key }) => normalized[key]);
+    return hasResults || normalized.heightCm !== undefined ? normalized : null;
+}
+
+/**
+ * Check whether a visit has any test result
+ * @param {Object} pft - Visit tests
+ * @returns {boolean} True if at least one value is recorded
+ */
+function pftHasResults(pft) {
+    return Boolean(pft) && PFT_PARAMETERS.some(({ key }) =>
+        pft[key] && PFT_PHASES.some(phase => pft[key][phase] !== undefined && pft[key][phase] !== null));
+}
+
+/**
+ * Validate the tests of a visit
+ * @param {Object} pft - Visit tests (raw or normalized)
+ * @returns {Array} Errors as { field, message }, field like 'pft.fev1.pre'
+ */
+function validatePft(pft) {
+    const errors = [];
+    if (pft === null || pft === undefined) {
+        return errors;
+    }
+    if (typeof pft !== 'object' || Array.isArray(pft)) {
+        return [{ field: 'pft', message: 'Pulmonary function tests must be an object' }];
+    }
+
+    const rules = VALIDATION_RULES.pft;
+    const checkValue = (field, value, rule) => {
+        const number = parseMeasurement(value);
+        if (number === undefined) {
+            return undefined;
+        }
+        if (typeof number !== 'number' || !isFinite(number)) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.number });
+            return undefined;
+        }
+        if (number < rule.min || number > rule.max) {
+            errors.push({
+                field,
+                message: ERROR_MESSAGES.validation.range.replace('{min}', rule.min).replace('{max}', rule.max)
+            });
+            return undefined;
+        }
+        return number;
+    };
+
+    checkValue('pft.heightCm', pft.heightCm, rules.heightCm);
+
+    const checked = {};
+    PFT_PARAMETERS.forEach(({ key }) => {
+        const values = pft[key];
+        if (values === undefined || values === null) {
+            return;
+        }
+        if (typeof values !== 'object' || Array.isArray(values)) {
+            errors.push({ field: `pft.${key}`, message: 'Must hold pre and post bronchodilator values' });
+            return;
+        }
+        checked[key] = {};
+        PFT_PHASES.forEach(phase => {
+            checked[key][phase] = checkValue(`pft.${key}.${phase}`, values[phase], rules[key]);
+        });
+    });
+
+    PFT_PHASES.forEach(phase => {
+        const fev1 = checked.fev1 && checked.fev1[phase];
+        const fvc = checked.fvc && checked.fvc[phase];
+        if (fev1 !== undefined && fvc !== undefined && fev1 > fvc) {
+            errors.push({ field: `pft.fev1.${phase}`, message: 'FEV1 cannot be greater than FVC' });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Age in decimal years on a given date
+ * @param {string|Date} dateOfBirth - Date of birth
+ * @param {string|Date} date - Date of the test
+ * @returns {number|null} Age in years, null if a date is missing or invalid
+ */
+function ageAtDate(dateOfBirth, date) {
+    if (!dateOfBirth || !date) {
+        return null;
+    }
+
+    const birth = new Date(dateOfBirth);
+    const on = new Date(date);
+    if (isNaN(birth.getTime()) || isNaN(on.getTime()) || on < birth) {
+        return null;
+    }
+    return (on - birth) / (365.25 * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Look up the spline values for an age, interpolating between table rows
+ * @param {Array} splines - Rows [age, Mspline, Sspline] sorted by age
+ * @param {number} age - Age in years
+ * @returns {Array|null} [Mspline, Sspline], null outside the table
+ */
+function lookupSplines(splines, age) {
+    if (!Array.isArray(splines) || splines.length === 0 ||
+        age < splines[0][0] || age > splines[splines.length - 1][0]) {
+        return null;
+    }
+
+    const upper = splines.findIndex(row => row[0] >= age);
+    const high = splines[upper];
+    if (high[0] === age || upper === 0) {
+        return [high[1], high[2]];
+    }
+
+    const low = splines[upper - 1];
+    const ratio = (age - low[0]) / (high[0] - low[0]);
+    return [low[1] + ratio * (high[1] - low[1]), low[2] + ratio * (high[2] - low[2])];
+}
+
+/**
+ * GLI-2012 LMS values for a patient
+ * @param {string} parameter - fev1, fvc or fev1Fvc
+ * @param {string} sex - male or female
+ * @param {number} age - Age in years
+ * @param {number} heightCm - Height in centimetres
+ * @returns {Object|null} { l, m, s }, null without a reference for these inputs
+ */
+function gli2012Lms(parameter, sex, age, heightCm) {
+    const equations = gli2012Reference && gli2012Reference[parameter] && gli2012Reference[parameter][sex];
+    if (!equations || !(age > 0) || !(heightCm > 0)) {
+        return null;
+    }
+
+    const splines = lookupSplines(equations.splines, age);
+    if (!splines) {
+        return null;
+    }
+
+    const [a0, aLnHeight, aLnAge] = equations.m;
+    const [p0, pLnAge] = equations.s;
+    const [q0, qLnAge] = equations.l;
+    return {
+        l: q0 + qLnAge * Math.log(age),
+        m: Math.exp(a0 + aLnHeight * Math.log(heightCm) + aLnAge * Math.log(age) + splines[0]),
+        s: Math.exp(p0 + pLnAge * Math.log(age) + splines[1])
+    };
+}
+
+/**
+ * Interpret a measured value against LMS reference values
+ * @param {number} value - Measured value (same unit as the reference)
+ * @param {Object} lms - { l, m, s }
+ * @returns {Object} { predicted, lln, zScore, percentPredicted }
+ */
+function interpretWithLms(value, { l, m, s }) {
+    const zScore = l === 0 ? Math.log(value / m) / s : (Math.pow(value / m, l) - 1) / (l * s);
+    const lln = l === 0 ? m * Math.exp(PFT_LLN_Z * s) : m * Math.pow(1 + PFT_LLN_Z * l * s, 1 / l);
+
+    return {
+        predicted: m,
+        lln,
+        zScore,
+        percentPredicted: value / m * 100
+    };
+}
+
+/**
+ * Predicted value and lower limit of normal for a patient, without a measured value
+ * @param {string} parameter - fev1, fvc or fev1Fvc
+ * @param {Object} subject - { sex, age, heightCm }
+ * @returns {Object|null} { predicted, lln } in the unit stored on the visit
+ */
+function pftReferenceValues(parameter, { sex, age, heightCm }) {
+    const lms = gli2012Lms(parameter, sex, age, heightCm);
+    if (!lms) {
+        return null;
+    }
+
+    const scale = parameter === 'fev1Fvc' ? 100 : 1;
+    const { predicted, lln } = interpretWithLms(lms.m, lms);
+    return { predicted: predicted * scale, lln: lln * scale };
+}
+
+/**
+ * Sex, age at the visit and height used for the predictions of a visit
+ * The height measured with the tests is used, else the one of the visit's vital signs.
+ * @param {Object} patient - Patient (dateOfBirth and gender are used)
+ * @param {Object} visit - Visit holding the tests
+ * @returns {Object} { sex, age, heightCm }, null for what is unknown
+ */
+function pftSubject(patient, visit) {
+    const gender = patient && patient.gender ? String(patient.gender).toLowerCase() : '';
+    const pftHeight = visit && visit.pft ? parseMeasurement(visit.pft.heightCm) : undefined;
+    const heightCm = typeof pftHeight === 'number' ? pftHeight :
+        parseMeasurement(visit && visit.vitals ? visit.vitals.heightCm : undefined);
+
+    return {
+        sex: gender === 'male' || gender === 'female' ? gender : null,
+        age: ageAtDate(patient && patient.dateOfBirth, visit && visit.visitDate),
+        heightCm: typeof heightCm === 'number' ? heightCm : null
+    };
+}
+
+/**
+ * Percent-predicted, z-score and lower limit of normal for one value
+ * @param {string} parameter - fev1, fvc or fev1Fvc
+ * @param {number} value - Measured value (L, or % for FEV1/FVC)
+ * @param {Object} subject - { sex, age, heightCm }
+ * @returns {Object|null} { predicted, lln, zScore, percentPredicted, belowLln }, in the unit of the value
+ */
+function predictPftValue(parameter, value, { sex, age, heightCm }) {
+    if (typeof value !== 'number' || !(value > 0)) {
+        return null;
+    }
+
+    const lms = gli2012Lms(parameter, sex, age, heightCm);
+    if (!lms) {
+        return null;
+    }
+
+    // The GLI-2012 FEV1/FVC equations work on the ratio, the visit stores a percentage
+    const scale = parameter === 'fev1Fvc' ? 100 : 1;
+    const result = interpretWithLms(value / scale, lms);
+    return {
+        predicted: result.predicted * scale,
+        lln: result.lln * scale,
+        zScore: result.zScore,
+        percentPredicted: result.percentPredicted,
+        belowLln: result.zScore < PFT_LLN_Z
+    };
+}
+
+/**
+ * Rows describing the tests of a visit for display
+ * @param {Object} patient - Patient (dateOfBirth and gender are used)
+ * @param {Object} visit - Visit holding the tests
+ * @returns {Object} { subject, rows } where each row has the parameter, its pre and post
+ *                   values, their predictions and the bronchodilator change
+ */
+function describeVisitPft(patient, visit) {
+    const pft = normalizePft(visit && visit.pft) || {};
+    const subject = pftSubject(patient, visit);
+
+    const rows = PFT_PARAMETERS.filter(({ key }) => pft[key]).map(parameter => {
+        const { pre, post } = pft[parameter.key];
+        const predict = value => (parameter.gli ? predictPftValue(parameter.key, value, subject) : null);
+        const change = typeof pre === 'number' && typeof post === 'number' && pre > 0 && parameter.key !== 'fev1Fvc' ?
+            { absolute: post - pre, percent: (post - pre) / pre * 100 } : null;
+
+        return {
+            ...parameter,
+            pre,
+            post,
+            prePrediction: predict(pre),
+            postPrediction: predict(post),
+            change
+        };
+    });
+
+    return { subject, rows };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PFT_PARAMETERS,
+        PFT_PHASES,
+        PFT_LLN_Z,
+        registerGli2012Reference,
+        hasGli2012Reference,
+        normalizePft,
+        pftHasResults,
+        validatePft,
+        ageAtDate,
+        gli2012Lms,
+        pftReferenceValues,
+        pftSubject,
+        predictPftValue,
+        describeVisitPft
+    };
+}
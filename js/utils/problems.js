@@ -0,0 +1,358 @@
+/**
+ * Problem List and ICD-10 Codes
+ * Structured diagnoses of a patient, each coded with ICD-10 (CIM-10) from a bundled offline
+ * subset: the respiratory chapter J00-J99 plus the comorbidities and respiratory diseases
+ * of other chapters most often seen in pulmonology.
+ *
+ * A patient stores its problems as:
+ *   problems: [{ id, code, onsetDate, status, notes }]
+ * The code is the ICD-10 code ('J44.9'); its label is looked up in ICD10_CODES and never stored.
+ * Onset dates are a year, a month ('YYYY-MM') or a full date.
+ */
+
+// Bundled ICD-10 subset with the French (CIM-10) labels
+const ICD10_CODES = [
+    // Chapter X - Diseases of the respiratory system (J00-J99)
+    { code: 'J00', label: 'Rhinopharyngite aiguë [rhume banal]' },
+    { code: 'J01.9', label: 'Sinusite aiguë, sans précision' },
+    { code: 'J02.9', label: 'Pharyngite aiguë, sans précision' },
+    { code: 'J03.9', label: 'Amygdalite aiguë, sans précision' },
+    { code: 'J04.0', label: 'Laryngite aiguë' },
+    { code: 'J06.9', label: 'Infection aiguë des voies respiratoires supérieures, sans précision' },
+    { code: 'J10.1', label: 'Grippe avec d\'autres manifestations respiratoires, virus grippal saisonnier identifié' },
+    { code: 'J11.1', label: 'Grippe avec d\'autres manifestations respiratoires, virus non identifié' },
+    { code: 'J12.9', label: 'Pneumopathie virale, sans précision' },
+    { code: 'J13', label: 'Pneumopathie due à Streptococcus pneumoniae' },
+    { code: 'J14', label: 'Pneumopathie due à Haemophilus influenzae' },
+    { code: 'J15.0', label: 'Pneumopathie due à Klebsiella pneumoniae' },
+    { code: 'J15.1', label: 'Pneumopathie due à Pseudomonas' },
+    { code: 'J15.2', label: 'Pneumopathie due à des staphylocoques' },
+    { code: 'J15.7', label: 'Pneumopathie due à Mycoplasma pneumoniae' },
+    { code: 'J15.9', label: 'Pneumopathie bactérienne, sans précision' },
+    { code: 'J18.0', label: 'Bronchopneumopathie, sans précision' },
+    { code: 'J18.1', label: 'Pneumopathie lobaire, sans précision' },
+    { code: 'J18.9', label: 'Pneumopathie, sans précision' },
+    { code: 'J20.9', label: 'Bronchite aiguë, sans précision' },
+    { code: 'J21.9', label: 'Bronchiolite aiguë, sans précision' },
+    { code: 'J22', label: 'Infection des voies respiratoires inférieures, sans précision' },
+    { code: 'J30.1', label: 'Rhinite allergique due au pollen' },
+    { code: 'J30.4', label: 'Rhinite allergique, sans précision' },
+    { code: 'J31.0', label: 'Rhinite chronique' },
+    { code: 'J32.9', label: 'Sinusite chronique, sans précision' },
+    { code: 'J33.9', label: 'Polype nasal, sans précision' },
+    { code: 'J34.2', label: 'Déviation de la cloison nasale' },
+    { code: 'J37.0', label: 'Laryngite chronique' },
+    { code: 'J38.0', label: 'Paralysie des cordes vocales et du larynx' },
+    { code: 'J40', label: 'Bronchite, non précisée comme aiguë ou chronique' },
+    { code: 'J41.0', label: 'Bronchite chronique simple' },
+    { code: 'J42', label: 'Bronchite chronique, sans précision' },
+    { code: 'J43.9', label: 'Emphysème, sans précision' },
+    { code: 'J44.0', label: 'Maladie pulmonaire obstructive chronique avec infection aiguë des voies respiratoires inférieures' },
+    { code: 'J44.1', label: 'Maladie pulmonaire obstructive chronique avec épisodes aigus, sans précision' },
+    { code: 'J44.8', label: 'Autres maladies pulmonaires obstructives chroniques précisées' },
+    { code: 'J44.9', label: 'Maladie pulmonaire obstructive chronique, sans précision' },
+    { code: 'J45.0', label: 'Asthme à prédominance allergique' },
+    { code: 'J45.1', label: 'Asthme non allergique' },
+    { code: 'J45.8', label: 'Asthme associé' },
+    { code: 'J45.9', label: 'Asthme, sans précision' },
+    { code: 'J46', label: 'État de mal asthmatique' },
+    { code: 'J47', label: 'Bronchectasie (dilatation des bronches)' },
+    { code: 'J60', label: 'Pneumoconiose des mineurs de charbon' },
+    { code: 'J61', label: 'Pneumoconiose due à l\'amiante et à d\'autres fibres minérales' },
+    { code: 'J62.8', label: 'Pneumoconiose due à d\'autres poussières contenant de la silice' },
+    { code: 'J67.0', label: 'Poumon de fermier' },
+    { code: 'J67.9', label: 'Pneumopathie d\'hypersensibilité due à une poussière organique, sans précision' },
+    { code: 'J69.0', label: 'Pneumopathie due à des aliments et des vomissements' },
+    { code: 'J80', label: 'Syndrome de détresse respiratoire de l\'adulte' },
+    { code: 'J81', label: 'Œdème pulmonaire' },
+    { code: 'J82', label: 'Éosinophilie pulmonaire, non classée ailleurs' },
+    { code: 'J84.1', label: 'Autres affections pulmonaires interstitielles avec fibrose' },
+    { code: 'J84.9', label: 'Affection pulmonaire interstitielle, sans précision' },
+    { code: 'J85.1', label: 'Abcès du poumon avec pneumopathie' },
+    { code: 'J86.9', label: 'Pyothorax sans fistule' },
+    { code: 'J90', label: 'Épanchement pleural, non classé ailleurs' },
+    { code: 'J92.0', label: 'Plaque pleurale avec présence d\'amiante' },
+    { code: 'J93.1', label: 'Autres pneumothorax spontanés' },
+    { code: 'J93.9', label: 'Pneumothorax, sans précision' },
+    { code: 'J94.2', label: 'Hémothorax' },
+    { code: 'J96.0', label: 'Insuffisance respiratoire aiguë' },
+    { code: 'J96.1', label: 'Insuffisance respiratoire chronique' },
+    { code: 'J98.1', label: 'Collapsus pulmonaire (atélectasie)' },
+    { code: 'J98.4', label: 'Autres affections du poumon' },
+    { code: 'J98.6', label: 'Affections du diaphragme' },
+
+    // Respiratory diseases of other chapters
+    { code: 'A15.0', label: 'Tuberculose pulmonaire, confirmée par examen microscopique de l\'expectoration' },
+    { code: 'A16.2', label: 'Tuberculose pulmonaire, sans mention de confirmation bactériologique ou histologique' },
+    { code: 'A31.0', label: 'Infection pulmonaire à mycobactéries' },
+    { code: 'B44.1', label: 'Autres aspergilloses pulmonaires' },
+    { code: 'C34.9', label: 'Tumeur maligne des bronches ou du poumon, sans précision' },
+    { code: 'C45.0', label: 'Mésothéliome de la plèvre' },
+    { code: 'D86.0', label: 'Sarcoïdose du poumon' },
+    { code: 'E84.0', label: 'Fibrose kystique avec manifestations pulmonaires (mucoviscidose)' },
+    { code: 'G47.3', label: 'Apnée du sommeil' },
+    { code: 'I26.9', label: 'Embolie pulmonaire, sans mention de cœur pulmonaire aigu' },
+    { code: 'I27.0', label: 'Hypertension pulmonaire primitive' },
+    { code: 'I27.2', label: 'Autres hypertensions pulmonaires secondaires' },
+    { code: 'I27.9', label: 'Cardiopathie pulmonaire, sans précision' },
+    { code: 'R04.2', label: 'Hémoptysie' },
+    { code: 'R05', label: 'Toux' },
+    { code: 'R06.0', label: 'Dyspnée' },
+    { code: 'U07.1', label: 'COVID-19, virus identifié' },
+
+    // Common comorbidities
+    { code: 'D50.9', label: 'Anémie par carence en fer, sans précision' },
+    { code: 'E11.9', label: 'Diabète sucré de type 2, sans complication' },
+    { code: 'E66.2', label: 'Obésité extrême avec hypoventilation alvéolaire' },
+    { code: 'E66.9', label: 'Obésité, sans précision' },
+    { code: 'E78.5', label: 'Hyperlipidémie, sans précision' },
+    { code: 'F17.2', label: 'Troubles liés à l\'utilisation de tabac : syndrome de dépendance' },
+    { code: 'F32.9', label: 'Épisode dépressif, sans précision' },
+    { code: 'F41.1', label: 'Anxiété généralisée' },
+    { code: 'I10', label: 'Hypertension essentielle (primitive)' },
+    { code: 'I20.9', label: 'Angine de poitrine, sans précision' },
+    { code: 'I25.9', label: 'Cardiopathie ischémique chronique, sans précision' },
+    { code: 'I48', label: 'Fibrillation et flutter auriculaires' },
+    { code: 'I50.9', label: 'Insuffisance cardiaque, sans précision' },
+    { code: 'K21.9', label: 'Reflux gastro-œsophagien sans œsophagite' },
+    { code: 'M81.9', label: 'Ostéoporose, sans précision' },
+    { code: 'N18.9', label: 'Maladie rénale chronique, sans précision' }
+];
+
+// Problem statuses
+const PROBLEM_STATUSES = [
+    { key: 'active', label: 'Active', shortLabel: 'Actif' },
+    { key: 'resolved', label: 'Resolved', shortLabel: 'Résolu' }
+];
+
+const PROBLEM_DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Lower-case text without accents or punctuation, so that "epanchement" finds "Épanchement"
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldIcd10Text(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/œ/gi, 'oe')
+        .toLowerCase()
+        .replace(/[^a-z0-9.\s]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize an ICD-10 code as typed: upper case and the dot after the category ('j449' → 'J44.9')
+ * @param {string} code - Typed code
+ * @returns {string} Normalized code, empty when nothing was typed
+ */
+function normalizeIcd10Code(code) {
+    return String(code || '').trim().toUpperCase().replace(/^([A-Z]\d{2})(\d)$/, '$1.$2');
+}
+
+/**
+ * Find a code of the bundled subset
+ * @param {string} code - ICD-10 code
+ * @returns {Object|undefined} Entry from ICD10_CODES
+ */
+function getIcd10Code(code) {
+    const normalized = normalizeIcd10Code(code);
+    return ICD10_CODES.find(entry => entry.code === normalized);
+}
+
+/**
+ * Code and label of a code, e.g. "G47.3 · Apnée du sommeil"
+ * @param {string} code - ICD-10 code
+ * @returns {string} Code with its label, the code alone when it is not in the subset
+ */
+function formatIcd10(code) {
+    const entry = getIcd10Code(code);
+    return entry ? `${entry.code} · ${entry.label}` : normalizeIcd10Code(code);
+}
+
+/**
+ * Autocomplete search on the code or the French label
+ * Codes starting with the query come first, then labels holding every word of the query.
+ * @param {string} query - Typed text ('J45', 'apnee', 'pneumo bact')
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array} Entries from ICD10_CODES
+ */
+function searchIcd10(query, limit = 10) {
+    const folded = foldIcd10Text(query);
+    if (!folded) {
+        return [];
+    }
+
+    const code = normalizeIcd10Code(query);
+    const words = folded.split(' ');
+    const byCode = ICD10_CODES.filter(entry => entry.code.startsWith(code));
+    const byLabel = ICD10_CODES.filter(entry => !byCode.includes(entry) &&
+        words.every(word => foldIcd10Text(entry.label).split(' ').some(labelWord => labelWord.startsWith(word))));
+
+    return [...byCode, ...byLabel].slice(0, limit);
+}
+
+/**
+ * Normalize one problem: normalized code, trimmed texts and 'active' by default
+ * @param {Object} problem - Submitted problem
+ * @returns {Object|null} Normalized problem, null when no code was entered
+ */
+function normalizeProblem(problem) {
+    if (!problem || typeof problem !== 'object') {
+        return null;
+    }
+
+    const code = normalizeIcd10Code(problem.code);
+    if (!code) {
+        return null;
+    }
+
+    const normalized = {
+        id: problem.id || generateId(),
+        code,
+        status: typeof problem.status === 'string' && problem.status.trim() ? problem.status.trim() : 'active'
+    };
+    const onsetDate = typeof problem.onsetDate === 'string' ? problem.onsetDate.trim() : '';
+    if (onsetDate) {
+        normalized.onsetDate = onsetDate;
+    }
+    const notes = String(problem.notes || '').trim();
+    if (notes) {
+        normalized.notes = notes;
+    }
+    return normalized;
+}
+
+/**
+ * Normalize the problem list, dropping the rows without a code
+ * @param {Array} problems - Submitted problems (may hold empty slots)
+ * @returns {Array} Normalized problems
+ */
+function normalizeProblems(problems) {
+    return (Array.isArray(problems) ? problems : []).map(normalizeProblem).filter(Boolean);
+}
+
+/**
+ * Validate one problem
+ * @param {Object} problem - Problem (raw or normalized)
+ * @param {Date} today - Reference date for onset dates in the future
+ * @returns {Array} Errors as { field, message }, field like 'code'
+ */
+function validateProblem(problem, today = new Date()) {
+    const errors = [];
+    if (!problem || typeof problem !== 'object' || Array.isArray(problem)) {
+        return [{ field: 'code', message: 'Problem must be an object' }];
+    }
+
+    if (!problem.code) {
+        errors.push({ field: 'code', message: ERROR_MESSAGES.validation.required });
+    } else if (!getIcd10Code(problem.code)) {
+        errors.push({ field: 'code', message: 'Unknown ICD-10 code' });
+    }
+
+    if (problem.onsetDate) {
+        const date = new Date(problem.onsetDate);
+        if (!PROBLEM_DATE_PATTERN.test(problem.onsetDate) || isNaN(date.getTime())) {
+            errors.push({ field: 'onsetDate', message: ERROR_MESSAGES.validation.date });
+        } else if (date > today) {
+            errors.push({ field: 'onsetDate', message: ERROR_MESSAGES.validation.future });
+        }
+    }
+
+    if (problem.status && !PROBLEM_STATUSES.some(status => status.key === problem.status)) {
+        errors.push({
+            field: 'status',
+            message: 'Status must be one of: ' + PROBLEM_STATUSES.map(status => status.key).join(', ')
+        });
+    }
+
+    const maxLength = VALIDATION_RULES.problems.notes.maxLength;
+    if (problem.notes && String(problem.notes).length > maxLength) {
+        errors.push({ field: 'notes', message: ERROR_MESSAGES.validation.maxLength.replace('{max}', maxLength) });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the problem list
+ * @param {Array} problems - Problems
+ * @param {Date} today - Reference date for onset dates in the future
+ * @returns {Array} Errors as { field, message }, field like 'problems[0].code'
+ */
+function validateProblems(problems, today = new Date()) {
+    if (problems === null || problems === undefined) {
+        return [];
+    }
+    if (!Array.isArray(problems)) {
+        return [{ field: 'problems', message: 'Problems must be a list' }];
+    }
+
+    return problems.flatMap((problem, index) => validateProblem(problem, today).map(({ field, message }) => ({
+        field: `problems[${index}].${field}`,
+        message
+    })));
+}
+
+/**
+ * Code and status of each problem, as kept in the patient index for searches and statistics
+ * @param {Array} problems - Problems
+ * @returns {Array} Problems as { code, status }
+ */
+function summarizeProblems(problems) {
+    return (problems || []).map(({ code, status }) => ({ code, status: status || 'active' }));
+}
+
+/**
+ * Check a problem list against search criteria
+ * A code matches itself and the codes it is a prefix of, so 'J45' finds every asthma.
+ * @param {Array} problems - Problems (or their summary)
+ * @param {Object} criteria - { diagnosis, diagnosisStatus }
+ * @returns {boolean} True when a problem matches
+ */
+function matchesProblemCriteria(problems, criteria) {
+    const code = normalizeIcd10Code(criteria.diagnosis);
+    return (problems || []).some(problem =>
+        (!code || problem.code.startsWith(code)) &&
+        (!criteria.diagnosisStatus || (problem.status || 'active') === criteria.diagnosisStatus));
+}
+
+/**
+ * Number of patients with each active diagnosis
+ * @param {Array} patients - Patients (or index entries) with their problems
+ * @returns {Array} { code, label, patients } sorted by decreasing number of patients
+ */
+function countActiveDiagnoses(patients) {
+    const counts = new Map();
+    patients.forEach(patient => {
+        const codes = new Set((patient.problems || [])
+            .filter(problem => (problem.status || 'active') === 'active')
+            .map(problem => problem.code));
+        codes.forEach(code => counts.set(code, (counts.get(code) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .map(([code, count]) => ({ code, label: (getIcd10Code(code) || { label: code }).label, patients: count }))
+        .sort((a, b) => b.patients - a.patients || a.code.localeCompare(b.code));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ICD10_CODES,
+        PROBLEM_STATUSES,
+        normalizeIcd10Code,
+        getIcd10Code,
+        formatIcd10,
+        searchIcd10,
+        normalizeProblem,
+        normalizeProblems,
+        validateProblem,
+        validateProblems,
+        summarizeProblems,
+        matchesProblemCriteria,
+        countActiveDiagnoses
+    };
+}
@@ -0,0 +1,294 @@
+/**
+ * Respiratory Questionnaires
+ * COPD Assessment Test (CAT), mMRC dyspnoea scale, Asthma Control Test (ACT) and Epworth
+ * Sleepiness Scale, filled in during the visit, with their score and interpretation band.
+ *
+ * A visit stores them as:
+ *   questionnaires: { cat: { answers: [0-5 x 8], score }, mmrc: { answers: [0-4], score },
+ *                     act: { answers: [1-5 x 5], score }, epworth: { answers: [0-3 x 8], score } }
+ * The score is computed, never entered; it is null until every item is answered.
+ */
+
+/**
+ * Options of a numeric scale
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {Array} labels - Label of each value (defaults to the value)
+ * @returns {Array} Options as { value, label }
+ */
+function questionnaireScale(min, max, labels = []) {
+    const options = [];
+    for (let value = min; value <= max; value++) {
+        options.push({ value, label: labels[value - min] || String(value) });
+    }
+    return options;
+}
+
+const EPWORTH_OPTIONS = questionnaireScale(0, 3, [
+    'Ne somnolerait jamais',
+    'Faible chance de s\'endormir',
+    'Chance moyenne de s\'endormir',
+    'Forte chance de s\'endormir'
+]);
+
+// Questionnaires in display order. Items with low/high anchors are 0-5 scales (CAT);
+// bands are ordered by score, level is ok, warning or danger.
+const QUESTIONNAIRES = [
+    {
+        key: 'cat',
+        label: 'CAT',
+        title: 'COPD Assessment Test',
+        unit: 'points',
+        items: [
+            ['Je ne tousse jamais', 'Je tousse tout le temps'],
+            ['Je n\'ai pas du tout de glaires dans les poumons', 'J\'ai les poumons entièrement encombrés de glaires'],
+            ['Je n\'ai pas du tout la poitrine oppressée', 'J\'ai la poitrine très oppressée'],
+            ['Quand je monte une côte ou une volée de marches, je ne suis pas essoufflé(e)', 'Quand je monte une côte ou une volée de marches, je suis très essoufflé(e)'],
+            ['Je ne suis pas limité(e) dans mes activités chez moi', 'Je suis très limité(e) dans mes activités chez moi'],
+            ['Je ne suis pas inquiet(e) quand je quitte la maison, malgré mes problèmes pulmonaires', 'Je suis très inquiet(e) quand je quitte la maison, à cause de mes problèmes pulmonaires'],
+            ['Je dors bien', 'Je dors mal à cause de mes problèmes pulmonaires'],
+            ['Je suis plein(e) d\'énergie', 'Je n\'ai pas d\'énergie du tout']
+        ].map(([low, high]) => ({ low, high, options: questionnaireScale(0, 5) })),
+        bands: [
+            { key: 'low', max: 9, label: 'Low impact', level: 'ok' },
+            { key: 'medium', max: 20, label: 'Medium impact', level: 'warning' },
+            { key: 'high', max: 30, label: 'High impact', level: 'danger' },
+            { key: 'veryHigh', max: 40, label: 'Very high impact', level: 'danger' }
+        ]
+    },
+    {
+        key: 'mmrc',
+        label: 'mMRC',
+        title: 'Modified Medical Research Council dyspnoea scale',
+        unit: 'grade',
+        items: [
+            {
+                label: 'Essoufflement',
+                options: questionnaireScale(0, 4, [
+                    'Grade 0 : essoufflé(e) uniquement lors d\'un effort intense',
+                    'Grade 1 : essoufflé(e) en marchant vite à plat ou en montant une pente légère',
+                    'Grade 2 : marche plus lentement que les personnes de son âge à plat, ou doit s\'arrêter pour respirer en marchant à son pas',
+                    'Grade 3 : doit s\'arrêter pour respirer après 100 mètres ou quelques minutes de marche à plat',
+                    'Grade 4 : trop essoufflé(e) pour quitter la maison, ou essoufflé(e) en s\'habillant'
+                ])
+            }
+        ],
+        bands: [
+            { key: 'lessBreathless', max: 1, label: 'Less breathless', level: 'ok' },
+            { key: 'moreBreathless', max: 4, label: 'More breathless', level: 'warning' }
+        ]
+    },
+    {
+        key: 'act',
+        label: 'ACT',
+        title: 'Asthma Control Test',
+        unit: 'points',
+        items: [
+            {
+                label: 'Au cours des 4 dernières semaines, votre asthme vous a-t-il empêché(e) de faire vos activités au travail, à l\'école ou à la maison ?',
+                options: questionnaireScale(1, 5, ['Tout le temps', 'La plupart du temps', 'Quelquefois', 'Rarement', 'Jamais'])
+            },
+            {
+                label: 'Au cours des 4 dernières semaines, avez-vous été essoufflé(e) ?',
+                options: questionnaireScale(1, 5, ['Plus d\'une fois par jour', 'Une fois par jour', '3 à 6 fois par semaine', '1 ou 2 fois par semaine', 'Jamais'])
+            },
+            {
+                label: 'Au cours des 4 dernières semaines, les symptômes de l\'asthme (sifflements, toux, essoufflement, oppression ou douleur thoracique) vous ont-ils réveillé(e) la nuit ou plus tôt que d\'habitude le matin ?',
+                options: questionnaireScale(1, 5, ['4 nuits ou plus par semaine', '2 à 3 nuits par semaine', 'Une nuit par semaine', '1 ou 2 fois en tout', 'Jamais'])
+            },
+            {
+                label: 'Au cours des 4 dernières semaines, avez-vous utilisé votre inhalateur de secours ou pris un traitement par nébulisation (par ex. salbutamol) ?',
+                options: questionnaireScale(1, 5, ['3 fois par jour ou plus', '1 ou 2 fois par jour', '2 ou 3 fois par semaine', 'Une fois par semaine ou moins', 'Jamais'])
+            },
+            {
+                label: 'Comment évalueriez-vous votre asthme au cours des 4 dernières semaines ?',
+                options: questionnaireScale(1, 5, ['Pas contrôlé du tout', 'Très peu contrôlé', 'Un peu contrôlé', 'Bien contrôlé', 'Totalement contrôlé'])
+            }
+        ],
+        bands: [
+            { key: 'veryPoorlyControlled', max: 15, label: 'Very poorly controlled', level: 'danger' },
+            { key: 'notWellControlled', max: 19, label: 'Not well controlled', level: 'warning' },
+            { key: 'wellControlled', max: 25, label: 'Well controlled', level: 'ok' }
+        ]
+    },
+    {
+        key: 'epworth',
+        label: 'Epworth',
+        title: 'Epworth Sleepiness Scale',
+        unit: 'points',
+        items: [
+            'Assis en train de lire',
+            'En train de regarder la télévision',
+            'Assis, inactif, dans un lieu public (cinéma, théâtre, réunion)',
+            'Comme passager d\'une voiture roulant sans arrêt pendant une heure',
+            'Allongé l\'après-midi lorsque les circonstances le permettent',
+            'Assis en parlant avec quelqu\'un',
+            'Assis au calme après un déjeuner sans alcool',
+            'Dans une voiture immobilisée depuis quelques minutes dans un encombrement'
+        ].map(label => ({ label, options: EPWORTH_OPTIONS })),
+        bands: [
+            { key: 'normal', max: 10, label: 'Normal', level: 'ok' },
+            { key: 'mild', max: 12, label: 'Mild excessive sleepiness', level: 'warning' },
+            { key: 'moderate', max: 15, label: 'Moderate excessive sleepiness', level: 'warning' },
+            { key: 'severe', max: 24, label: 'Severe excessive sleepiness', level: 'danger' }
+        ]
+    }
+];
+
+/**
+ * Find the definition of a questionnaire
+ * @param {string} key - Questionnaire key
+ * @returns {Object|undefined} Definition from QUESTIONNAIRES
+ */
+function getQuestionnaire(key) {
+    return QUESTIONNAIRES.find(questionnaire => questionnaire.key === key);
+}
+
+/**
+ * Lowest and highest possible score of a questionnaire
+ * @param {Object} questionnaire - Entry of QUESTIONNAIRES
+ * @returns {Object} { min, max }
+ */
+function questionnaireRange(questionnaire) {
+    return questionnaire.items.reduce((range, item) => ({
+        min: range.min + item.options[0].value,
+        max: range.max + item.options[item.options.length - 1].value
+    }), { min: 0, max: 0 });
+}
+
+/**
+ * Score of a questionnaire: the sum of its answers
+ * @param {string} key - Questionnaire key
+ * @param {Array} answers - Value of each item
+ * @returns {number|null} Score, null until every item has a valid answer
+ */
+function scoreQuestionnaire(key, answers) {
+    const questionnaire = getQuestionnaire(key);
+    if (!questionnaire || !Array.isArray(answers)) {
+        return null;
+    }
+
+    const valid = questionnaire.items.every((item, index) =>
+        item.options.some(option => option.value === answers[index]));
+    return valid ? answers.slice(0, questionnaire.items.length).reduce((sum, value) => sum + value, 0) : null;
+}
+
+/**
+ * Interpretation band of a score
+ * @param {string} key - Questionnaire key
+ * @param {number} score - Score
+ * @returns {Object|null} Band as { key, max, label, level }
+ */
+function interpretQuestionnaire(key, score) {
+    const questionnaire = getQuestionnaire(key);
+    if (!questionnaire || typeof score !== 'number') {
+        return null;
+    }
+    return questionnaire.bands.find(band => score <= band.max) || null;
+}
+
+/**
+ * Normalize the questionnaires of a visit: numbers instead of strings, unanswered
+ * questionnaires removed and the scores computed
+ * @param {Object} questionnaires - Stored ({ cat: { answers } }) or submitted ({ cat: { 0: '3' } }) answers
+ * @returns {Object|null} Normalized questionnaires, or null when nothing was answered
+ */
+function normalizeQuestionnaires(questionnaires) {
+    if (!questionnaires || typeof questionnaires !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    Object.keys(questionnaires).forEach(key => {
+        const entry = questionnaires[key];
+        const questionnaire = getQuestionnaire(key);
+        if (!questionnaire || !entry || typeof entry !== 'object') {
+            return;
+        }
+
+        const source = Array.isArray(entry.answers) ? entry.answers : entry;
+        const answers = questionnaire.items.map((item, index) => {
+            const value = parseMeasurement(source[index]);
+            return value === undefined ? null : value;
+        });
+        if (answers.some(value => value !== null)) {
+            normalized[key] = { answers, score: scoreQuestionnaire(key, answers) };
+        }
+    });
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the questionnaires of a visit
+ * @param {Object} questionnaires - Visit questionnaires (normalized)
+ * @returns {Array} Errors as { field, message }, field like 'questionnaires.act'
+ */
+function validateQuestionnaires(questionnaires) {
+    const errors = [];
+    if (questionnaires === null || questionnaires === undefined) {
+        return errors;
+    }
+    if (typeof questionnaires !== 'object' || Array.isArray(questionnaires)) {
+        return [{ field: 'questionnaires', message: 'Questionnaires must be an object' }];
+    }
+
+    Object.keys(questionnaires).forEach(key => {
+        const questionnaire = getQuestionnaire(key);
+        const answers = questionnaires[key] && questionnaires[key].answers;
+        if (!questionnaire) {
+            errors.push({ field: `questionnaires.${key}`, message: 'Unknown questionnaire' });
+            return;
+        }
+        if (!Array.isArray(answers)) {
+            errors.push({ field: `questionnaires.${key}`, message: 'Answers must be a list' });
+            return;
+        }
+
+        const invalid = questionnaire.items.findIndex((item, index) =>
+            answers[index] !== null && answers[index] !== undefined &&
+            !item.options.some(option => option.value === answers[index]));
+        if (invalid !== -1) {
+            errors.push({ field: `questionnaires.${key}`, message: `Invalid answer to item ${invalid + 1}` });
+        } else if (scoreQuestionnaire(key, answers) === null) {
+            errors.push({ field: `questionnaires.${key}`, message: `Answer every item of the ${questionnaire.label} to compute its score` });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Latest score of each questionnaire over the visits of a patient
+ * @param {Array} visits - Patient visits
+ * @returns {Object} Scores by questionnaire key, as { score, visitDate }
+ */
+function latestQuestionnaireScores(visits) {
+    const latest = {};
+    [...(visits || [])]
+        .filter(visit => visit && visit.visitDate)
+        .sort((a, b) => new Date(a.visitDate) - new Date(b.visitDate))
+        .forEach(visit => {
+            const questionnaires = normalizeQuestionnaires(visit.questionnaires) || {};
+            Object.keys(questionnaires)
+                .filter(key => questionnaires[key].score !== null)
+                .forEach(key => {
+                    latest[key] = { score: questionnaires[key].score, visitDate: visit.visitDate };
+                });
+        });
+    return latest;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        QUESTIONNAIRES,
+        getQuestionnaire,
+        questionnaireRange,
+        scoreQuestionnaire,
+        interpretQuestionnaire,
+        normalizeQuestionnaires,
+        validateQuestionnaires,
+        latestQuestionnaireScores
+    };
+}
@@ -0,0 +1,382 @@
+/**
+ * Sleep Apnea
+ * Sleep studies (polysomnography, respiratory polygraphy) of a patient and the follow-up log
+ * of the CPAP/APAP treatment, with the compliance check.
+ *
+ * A patient stores them as:
+ *   sleepStudies: [{ id, date, type, ahi, odi, meanSpo2, minSpo2, t90, severity }]
+ *   cpapLog: [{ id, date, mode, pressure, pressureMin, pressureMax, maskType, usageHours, residualAhi, leak }]
+ * The severity of a study is computed from its AHI. The compliance is that of the latest log
+ * entry with a usage: below CPAP_MIN_USAGE_HOURS per night it is poor.
+ */
+
+// Study types
+const SLEEP_STUDY_TYPES = [
+    { key: 'polysomnography', label: 'Polysomnography', shortLabel: 'Polysomnographie' },
+    { key: 'polygraphy', label: 'Respiratory polygraphy', shortLabel: 'Polygraphie ventilatoire' }
+];
+
+// Severity of the sleep apnea by apnea-hypopnea index (events/h), from the lowest
+const SLEEP_APNEA_SEVERITIES = [
+    { key: 'normal', label: 'Normal', shortLabel: 'Normal', minAhi: 0 },
+    { key: 'mild', label: 'Mild', shortLabel: 'Léger', minAhi: 5 },
+    { key: 'moderate', label: 'Moderate', shortLabel: 'Modéré', minAhi: 15 },
+    { key: 'severe', label: 'Severe', shortLabel: 'Sévère', minAhi: 30 }
+];
+
+// Measurements of a study, with their range in VALIDATION_RULES.sleepStudies
+const SLEEP_STUDY_MEASUREMENTS = [
+    { key: 'ahi', label: 'IAH', unit: '/h' },
+    { key: 'odi', label: 'IDO', unit: '/h' },
+    { key: 'meanSpo2', label: 'SpO2 moyenne', unit: '%' },
+    { key: 'minSpo2', label: 'SpO2 minimale', unit: '%' },
+    { key: 't90', label: 'T90', unit: '%' }
+];
+
+// Positive airway pressure modes
+const CPAP_MODES = [
+    { key: 'cpap', label: 'CPAP (fixed pressure)', shortLabel: 'PPC fixe' },
+    { key: 'apap', label: 'APAP (auto-adjusting)', shortLabel: 'PPC autopilotée' }
+];
+
+// Mask types
+const CPAP_MASK_TYPES = [
+    { key: 'nasal', label: 'Nasal', shortLabel: 'Nasal' },
+    { key: 'nasalPillows', label: 'Nasal pillows', shortLabel: 'Narinaire' },
+    { key: 'oronasal', label: 'Oronasal (full face)', shortLabel: 'Facial' }
+];
+
+// Measurements of a log entry, with their range in VALIDATION_RULES.cpapLog
+const CPAP_MEASUREMENTS = [
+    { key: 'pressure', label: 'Pression', unit: 'cmH2O', rule: 'pressure' },
+    { key: 'pressureMin', label: 'Pression min', unit: 'cmH2O', rule: 'pressure' },
+    { key: 'pressureMax', label: 'Pression max', unit: 'cmH2O', rule: 'pressure' },
+    { key: 'usageHours', label: 'Observance', unit: 'h/nuit', rule: 'usageHours' },
+    { key: 'residualAhi', label: 'IAH résiduel', unit: '/h', rule: 'residualAhi' },
+    { key: 'leak', label: 'Fuites', unit: 'L/min', rule: 'leak' }
+];
+
+// Usage below which the compliance is poor (hours per night)
+const CPAP_MIN_USAGE_HOURS = 4;
+
+const SLEEP_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Find the definition of a study type
+ * @param {string} key - Study type key
+ * @returns {Object|undefined} Definition from SLEEP_STUDY_TYPES
+ */
+function getSleepStudyType(key) {
+    return SLEEP_STUDY_TYPES.find(type => type.key === key);
+}
+
+/**
+ * Find the definition of a pressure mode
+ * @param {string} key - Mode key
+ * @returns {Object|undefined} Definition from CPAP_MODES
+ */
+function getCpapMode(key) {
+    return CPAP_MODES.find(mode => mode.key === key);
+}
+
+/**
+ * Find the definition of a mask type
+ * @param {string} key - Mask type key
+ * @returns {Object|undefined} Definition from CPAP_MASK_TYPES
+ */
+function getCpapMaskType(key) {
+    return CPAP_MASK_TYPES.find(mask => mask.key === key);
+}
+
+/**
+ * Severity of the sleep apnea for an apnea-hypopnea index
+ * @param {number} ahi - Apnea-hypopnea index (events/h)
+ * @returns {Object|null} Severity from SLEEP_APNEA_SEVERITIES, null without an AHI
+ */
+function classifySleepApnea(ahi) {
+    if (typeof ahi !== 'number' || !isFinite(ahi) || ahi < 0) {
+        return null;
+    }
+    return [...SLEEP_APNEA_SEVERITIES].reverse().find(severity => ahi >= severity.minAhi);
+}
+
+/**
+ * Copy the entered fields of a row: measurements as numbers, choices and dates trimmed
+ * @param {Object} row - Submitted row
+ * @param {Array} measurements - Measurement keys
+ * @param {Array} fields - Other field keys
+ * @returns {Object} Entered fields
+ */
+function pickSleepFields(row, measurements, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        const value = String(row[field] === undefined || row[field] === null ? '' : row[field]).trim();
+        if (value) {
+            picked[field] = value;
+        }
+    });
+    measurements.forEach(key => {
+        const value = parseMeasurement(row[key]);
+        if (value !== undefined) {
+            picked[key] = value;
+        }
+    });
+    return picked;
+}
+
+/**
+ * Normalize one sleep study: numbers instead of strings, empty fields dropped, severity computed
+ * @param {Object} study - Submitted study
+ * @returns {Object|null} Normalized study, null when neither a date nor a measurement was entered
+ */
+function normalizeSleepStudy(study) {
+    if (!study || typeof study !== 'object') {
+        return null;
+    }
+
+    const normalized = pickSleepFields(study, SLEEP_STUDY_MEASUREMENTS.map(measurement => measurement.key), ['date', 'type']);
+    if (!normalized.date && SLEEP_STUDY_MEASUREMENTS.every(({ key }) => normalized[key] === undefined)) {
+        return null;
+    }
+
+    const severity = classifySleepApnea(normalized.ahi);
+    if (severity) {
+        normalized.severity = severity.key;
+    }
+    return { id: study.id || generateId(), ...normalized };
+}
+
+/**
+ * Normalize the sleep studies, dropping the empty rows
+ * @param {Array|Object} studies - Submitted studies, as a list or keyed by form row
+ * @returns {Array} Normalized studies
+ */
+function normalizeSleepStudies(studies) {
+    const list = Array.isArray(studies) ? studies : Object.values(studies || {});
+    return list.map(normalizeSleepStudy).filter(Boolean);
+}
+
+/**
+ * Check a date and the measurements of a row against their ranges
+ * @param {Object} row - Study or log entry
+ * @param {Array} measurements - Measurements as { key, rule }
+ * @param {Object} rules - Ranges by rule key
+ * @returns {Array} Errors as { field, message }
+ */
+function validateSleepFields(row, measurements, rules) {
+    const errors = [];
+
+    if (!row.date) {
+        errors.push({ field: 'date', message: ERROR_MESSAGES.validation.required });
+    } else if (!SLEEP_DATE_PATTERN.test(row.date) || isNaN(new Date(row.date).getTime())) {
+        errors.push({ field: 'date', message: ERROR_MESSAGES.validation.date });
+    }
+
+    measurements.forEach(({ key, rule }) => {
+        const value = parseMeasurement(row[key]);
+        const range = rules[rule || key];
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push({ field: key, message: ERROR_MESSAGES.validation.number });
+        } else if (value < range.min || value > range.max) {
+            errors.push({
+                field: key,
+                message: ERROR_MESSAGES.validation.range.replace('{min}', range.min).replace('{max}', range.max)
+            });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate one sleep study
+ * @param {Object} study - Study (raw or normalized)
+ * @returns {Array} Errors as { field, message }, field like 'ahi'
+ */
+function validateSleepStudy(study) {
+    if (!study || typeof study !== 'object' || Array.isArray(study)) {
+        return [{ field: 'date', message: 'Sleep study must be an object' }];
+    }
+
+    const errors = validateSleepFields(study, SLEEP_STUDY_MEASUREMENTS, VALIDATION_RULES.sleepStudies);
+
+    if (study.type && !getSleepStudyType(study.type)) {
+        errors.push({
+            field: 'type',
+            message: 'Study type must be one of: ' + SLEEP_STUDY_TYPES.map(type => type.key).join(', ')
+        });
+    }
+
+    const meanSpo2 = parseMeasurement(study.meanSpo2);
+    const minSpo2 = parseMeasurement(study.minSpo2);
+    if (typeof meanSpo2 === 'number' && typeof minSpo2 === 'number' && !errors.some(error => error.field.endsWith('Spo2')) &&
+        minSpo2 > meanSpo2) {
+        errors.push({ field: 'minSpo2', message: 'Minimum SpO2 cannot exceed the mean SpO2' });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the sleep studies of a patient
+ * @param {Array} studies - Studies
+ * @returns {Array} Errors as { field, message }, field like 'sleepStudies[0].ahi'
+ */
+function validateSleepStudies(studies) {
+    if (studies === null || studies === undefined) {
+        return [];
+    }
+    if (!Array.isArray(studies)) {
+        return [{ field: 'sleepStudies', message: 'Sleep studies must be a list' }];
+    }
+
+    return studies.flatMap((study, index) => validateSleepStudy(study).map(({ field, message }) => ({
+        field: `sleepStudies[${index}].${field}`,
+        message
+    })));
+}
+
+/**
+ * Normalize one CPAP log entry: numbers instead of strings, empty fields dropped
+ * @param {Object} entry - Submitted entry
+ * @returns {Object|null} Normalized entry, null when neither a date nor a measurement was entered
+ */
+function normalizeCpapEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return null;
+    }
+
+    const normalized = pickSleepFields(entry, CPAP_MEASUREMENTS.map(measurement => measurement.key), ['date', 'mode', 'maskType']);
+    if (!normalized.date && CPAP_MEASUREMENTS.every(({ key }) => normalized[key] === undefined)) {
+        return null;
+    }
+    return { id: entry.id || generateId(), ...normalized };
+}
+
+/**
+ * Normalize the CPAP log, dropping the empty rows
+ * @param {Array|Object} entries - Submitted entries, as a list or keyed by form row
+ * @returns {Array} Normalized entries
+ */
+function normalizeCpapLog(entries) {
+    const list = Array.isArray(entries) ? entries : Object.values(entries || {});
+    return list.map(normalizeCpapEntry).filter(Boolean);
+}
+
+/**
+ * Validate one CPAP log entry
+ * @param {Object} entry - Entry (raw or normalized)
+ * @returns {Array} Errors as { field, message }, field like 'usageHours'
+ */
+function validateCpapEntry(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return [{ field: 'date', message: 'CPAP log entry must be an object' }];
+    }
+
+    const errors = validateSleepFields(entry, CPAP_MEASUREMENTS, VALIDATION_RULES.cpapLog);
+
+    if (entry.mode && !getCpapMode(entry.mode)) {
+        errors.push({ field: 'mode', message: 'Mode must be one of: ' + CPAP_MODES.map(mode => mode.key).join(', ') });
+    }
+    if (entry.maskType && !getCpapMaskType(entry.maskType)) {
+        errors.push({
+            field: 'maskType',
+            message: 'Mask type must be one of: ' + CPAP_MASK_TYPES.map(mask => mask.key).join(', ')
+        });
+    }
+
+    const pressureMin = parseMeasurement(entry.pressureMin);
+    const pressureMax = parseMeasurement(entry.pressureMax);
+    if (typeof pressureMin === 'number' && typeof pressureMax === 'number' && !errors.some(error => error.field.startsWith('pressure')) &&
+        pressureMin > pressureMax) {
+        errors.push({ field: 'pressureMax', message: 'Maximum pressure must not be lower than the minimum pressure' });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the CPAP log of a patient
+ * @param {Array} entries - Log entries
+ * @returns {Array} Errors as { field, message }, field like 'cpapLog[0].usageHours'
+ */
+function validateCpapLog(entries) {
+    if (entries === null || entries === undefined) {
+        return [];
+    }
+    if (!Array.isArray(entries)) {
+        return [{ field: 'cpapLog', message: 'CPAP log must be a list' }];
+    }
+
+    return entries.flatMap((entry, index) => validateCpapEntry(entry).map(({ field, message }) => ({
+        field: `cpapLog[${index}].${field}`,
+        message
+    })));
+}
+
+/**
+ * Compliance of the CPAP treatment, from the latest log entry with a usage
+ * @param {Array} entries - CPAP log
+ * @returns {Object|null} { entryId, date, usageHours, residualAhi, leak, poor }, null without a usage
+ */
+function cpapCompliance(entries) {
+    const latest = (Array.isArray(entries) ? entries : [])
+        .filter(entry => entry && typeof entry.usageHours === 'number' && entry.date)
+        .sort((a, b) => b.date.localeCompare(a.date))[0];
+
+    if (!latest) {
+        return null;
+    }
+    return {
+        entryId: latest.id,
+        date: latest.date,
+        usageHours: latest.usageHours,
+        residualAhi: typeof latest.residualAhi === 'number' ? latest.residualAhi : null,
+        leak: typeof latest.leak === 'number' ? latest.leak : null,
+        poor: latest.usageHours < CPAP_MIN_USAGE_HOURS
+    };
+}
+
+/**
+ * One-line description, e.g. "Polysomnographie · IAH 32 /h (Sévère)"
+ * @param {Object} study - Sleep study
+ * @returns {string} Description in French
+ */
+function describeSleepStudy(study) {
+    const type = getSleepStudyType(study.type);
+    const severity = SLEEP_APNEA_SEVERITIES.find(entry => entry.key === study.severity);
+    return [
+        type ? type.shortLabel : 'Étude du sommeil',
+        typeof study.ahi === 'number' ? `IAH ${study.ahi} /h${severity ? ` (${severity.shortLabel})` : ''}` : ''
+    ].filter(Boolean).join(' · ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SLEEP_STUDY_TYPES,
+        SLEEP_APNEA_SEVERITIES,
+        SLEEP_STUDY_MEASUREMENTS,
+        CPAP_MODES,
+        CPAP_MASK_TYPES,
+        CPAP_MEASUREMENTS,
+        CPAP_MIN_USAGE_HOURS,
+        getSleepStudyType,
+        getCpapMode,
+        getCpapMaskType,
+        classifySleepApnea,
+        normalizeSleepStudy,
+        normalizeSleepStudies,
+        validateSleepStudy,
+        validateSleepStudies,
+        normalizeCpapEntry,
+        normalizeCpapLog,
+        validateCpapEntry,
+        validateCpapLog,
+        cpapCompliance,
+        describeSleepStudy
+    };
+}
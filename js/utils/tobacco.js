@@ -0,0 +1,296 @@
+/**
+ * Smoking History and Exposures
+ * Structured tobacco section of the patient record, with the pack-years computed from the
+ * smoking period and the daily consumption, and the other inhaled exposures.
+ *
+ * A patient stores it as:
+ *   tobacco: { status, startDate, quitDate, cigarettesPerDay,
+ *              exposures: [{ type, details }] }
+ * Dates are months ('YYYY-MM', a full date is accepted). Pack-years are never stored: they
+ * grow every day for a current smoker, so they are computed when displayed or searched.
+ */
+
+// Smoking statuses
+const SMOKING_STATUSES = [
+    { key: 'never', label: 'Never smoker', shortLabel: 'Non-fumeur' },
+    { key: 'current', label: 'Current smoker', shortLabel: 'Fumeur' },
+    { key: 'former', label: 'Former smoker', shortLabel: 'Ex-fumeur' }
+];
+
+// Other inhaled exposures
+const TOBACCO_EXPOSURES = [
+    { key: 'cannabis', label: 'Cannabis' },
+    { key: 'waterpipe', label: 'Waterpipe (chicha)' },
+    { key: 'occupationalDust', label: 'Occupational dust' }
+];
+
+const TOBACCO_YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const TOBACCO_DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+/**
+ * Find the definition of a smoking status
+ * @param {string} key - Status key
+ * @returns {Object|undefined} Definition from SMOKING_STATUSES
+ */
+function getSmokingStatus(key) {
+    return SMOKING_STATUSES.find(status => status.key === key);
+}
+
+/**
+ * Find the definition of an exposure
+ * @param {string} key - Exposure key
+ * @returns {Object|undefined} Definition from TOBACCO_EXPOSURES
+ */
+function getTobaccoExposure(key) {
+    return TOBACCO_EXPOSURES.find(exposure => exposure.key === key);
+}
+
+/**
+ * Normalize the smoking history: a number of cigarettes, trimmed texts, and the dates and
+ * consumption only kept for the statuses they apply to
+ * @param {Object} tobacco - Submitted smoking history
+ * @returns {Object|null} Normalized smoking history, or null when nothing was entered
+ */
+function normalizeTobacco(tobacco) {
+    if (!tobacco || typeof tobacco !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    const status = typeof tobacco.status === 'string' ? tobacco.status.trim() : '';
+    if (status) {
+        normalized.status = status;
+    }
+
+    if (status !== 'never') {
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        if (text(tobacco.startDate)) {
+            normalized.startDate = text(tobacco.startDate);
+        }
+        if (status !== 'current' && text(tobacco.quitDate)) {
+            normalized.quitDate = text(tobacco.quitDate);
+        }
+        const cigarettesPerDay = parseMeasurement(tobacco.cigarettesPerDay);
+        if (cigarettesPerDay !== undefined) {
+            normalized.cigarettesPerDay = cigarettesPerDay;
+        }
+    }
+
+    const exposures = (Array.isArray(tobacco.exposures) ? tobacco.exposures : [])
+        .filter(exposure => exposure && exposure.type)
+        .map(exposure => ({ type: exposure.type, details: String(exposure.details || '').trim() }));
+    if (exposures.length > 0) {
+        normalized.exposures = exposures;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the smoking history
+ * @param {Object} tobacco - Smoking history (raw or normalized)
+ * @param {Date} today - Reference date for dates in the future
+ * @returns {Array} Errors as { field, message }, field like 'tobacco.quitDate'
+ */
+function validateTobacco(tobacco, today = new Date()) {
+    const errors = [];
+    if (tobacco === null || tobacco === undefined) {
+        return errors;
+    }
+    if (typeof tobacco !== 'object' || Array.isArray(tobacco)) {
+        return [{ field: 'tobacco', message: 'Smoking history must be an object' }];
+    }
+
+    const rules = VALIDATION_RULES.tobacco;
+    const smokes = tobacco.startDate || tobacco.quitDate || tobacco.cigarettesPerDay;
+
+    if (!tobacco.status) {
+        if (smokes) {
+            errors.push({ field: 'tobacco.status', message: ERROR_MESSAGES.validation.required });
+        }
+    } else if (!getSmokingStatus(tobacco.status)) {
+        errors.push({
+            field: 'tobacco.status',
+            message: 'Smoking status must be one of: ' + SMOKING_STATUSES.map(status => status.key).join(', ')
+        });
+    }
+
+    const dates = {};
+    ['startDate', 'quitDate'].forEach(field => {
+        if (!tobacco[field]) {
+            return;
+        }
+        const date = new Date(tobacco[field]);
+        if (!TOBACCO_DATE_PATTERN.test(tobacco[field]) || isNaN(date.getTime())) {
+            errors.push({ field: `tobacco.${field}`, message: ERROR_MESSAGES.validation.date });
+        } else if (date > today) {
+            errors.push({ field: `tobacco.${field}`, message: ERROR_MESSAGES.validation.future });
+        } else {
+            dates[field] = date;
+        }
+    });
+    if (dates.startDate && dates.quitDate && dates.quitDate < dates.startDate) {
+        errors.push({ field: 'tobacco.quitDate', message: 'Quit date must be after the start date' });
+    }
+
+    const cigarettesPerDay = parseMeasurement(tobacco.cigarettesPerDay);
+    if (cigarettesPerDay !== undefined) {
+        if (typeof cigarettesPerDay !== 'number' || !isFinite(cigarettesPerDay)) {
+            errors.push({ field: 'tobacco.cigarettesPerDay', message: ERROR_MESSAGES.validation.number });
+        } else if (cigarettesPerDay < rules.cigarettesPerDay.min || cigarettesPerDay > rules.cigarettesPerDay.max) {
+            errors.push({
+                field: 'tobacco.cigarettesPerDay',
+                message: ERROR_MESSAGES.validation.range
+                    .replace('{min}', rules.cigarettesPerDay.min)
+                    .replace('{max}', rules.cigarettesPerDay.max)
+            });
+        }
+    }
+
+    if (tobacco.exposures !== undefined && !Array.isArray(tobacco.exposures)) {
+        errors.push({ field: 'tobacco.exposures', message: 'Exposures must be a list' });
+    } else {
+        (tobacco.exposures || []).forEach(exposure => {
+            if (!exposure || !getTobaccoExposure(exposure.type)) {
+                errors.push({
+                    field: 'tobacco.exposures',
+                    message: 'Exposure must be one of: ' + TOBACCO_EXPOSURES.map(entry => entry.key).join(', ')
+                });
+            } else if (exposure.details && String(exposure.details).length > rules.exposureDetails.maxLength) {
+                errors.push({
+                    field: `tobacco.exposures.${exposure.type}`,
+                    message: ERROR_MESSAGES.validation.maxLength.replace('{max}', rules.exposureDetails.maxLength)
+                });
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Years between two dates
+ * @param {string} from - Start date
+ * @param {string|Date} to - End date
+ * @returns {number|null} Decimal years, null if a date is missing or invalid
+ */
+function yearsBetween(from, to) {
+    if (!from || !to) {
+        return null;
+    }
+
+    const start = new Date(from);
+    const end = new Date(to);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end < start) {
+        return null;
+    }
+    return (end - start) / TOBACCO_YEAR_MS;
+}
+
+/**
+ * Pack-years: packs of 20 cigarettes a day times the years of smoking, up to the quit date
+ * for a former smoker and up to today for a current smoker
+ * @param {Object} tobacco - Smoking history
+ * @param {Date} asOf - Reference date for a current smoker
+ * @returns {number|null} Pack-years rounded to one decimal, 0 for a never smoker, null when
+ *                        the start date or the consumption is missing
+ */
+function computePackYears(tobacco, asOf = new Date()) {
+    if (!tobacco || !tobacco.status) {
+        return null;
+    }
+    if (tobacco.status === 'never') {
+        return 0;
+    }
+
+    const cigarettesPerDay = parseMeasurement(tobacco.cigarettesPerDay);
+    const end = tobacco.status === 'former' ? tobacco.quitDate : asOf;
+    const years = yearsBetween(tobacco.startDate, end);
+    if (typeof cigarettesPerDay !== 'number' || years === null) {
+        return null;
+    }
+    return Math.round(cigarettesPerDay / 20 * years * 10) / 10;
+}
+
+/**
+ * Years since a former smoker quit
+ * @param {Object} tobacco - Smoking history
+ * @param {Date} asOf - Reference date
+ * @returns {number|null} Whole years since quitting, null for other statuses
+ */
+function yearsSinceQuitting(tobacco, asOf = new Date()) {
+    if (!tobacco || tobacco.status !== 'former') {
+        return null;
+    }
+
+    const years = yearsBetween(tobacco.quitDate, asOf);
+    return years === null ? null : Math.floor(years);
+}
+
+/**
+ * One-line summary of the smoking history, e.g. "Ex-fumeur · 32.5 PA · sevré depuis 4 ans"
+ * @param {Object} tobacco - Smoking history
+ * @param {Date} asOf - Reference date
+ * @returns {string} Summary, empty when no status was recorded
+ */
+function describeTobacco(tobacco, asOf = new Date()) {
+    const status = tobacco && getSmokingStatus(tobacco.status);
+    if (!status) {
+        return '';
+    }
+
+    const packYears = computePackYears(tobacco, asOf);
+    const quitYears = yearsSinceQuitting(tobacco, asOf);
+    return [
+        status.shortLabel,
+        packYears ? `${packYears} PA` : null,
+        quitYears === null ? null : (quitYears < 1 ? "sevré depuis moins d'un an" : `sevré depuis ${quitYears} an${quitYears > 1 ? 's' : ''}`)
+    ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Check a smoking history against search criteria
+ * @param {Object} tobacco - Smoking history
+ * @param {Object} criteria - { smokingStatus, packYears: { min, max }, exposure }
+ * @param {Date} asOf - Reference date for the pack-years of current smokers
+ * @returns {boolean} True when every given criterion matches
+ */
+function matchesTobaccoCriteria(tobacco, criteria, asOf = new Date()) {
+    if (criteria.smokingStatus && (!tobacco || tobacco.status !== criteria.smokingStatus)) {
+        return false;
+    }
+
+    if (criteria.packYears) {
+        const { min, max } = criteria.packYears;
+        const hasMin = typeof min === 'number';
+        const hasMax = typeof max === 'number';
+        const packYears = computePackYears(tobacco, asOf);
+        if ((hasMin || hasMax) &&
+            (packYears === null || (hasMin && packYears < min) || (hasMax && packYears > max))) {
+            return false;
+        }
+    }
+
+    if (criteria.exposure &&
+        !(tobacco && (tobacco.exposures || []).some(exposure => exposure.type === criteria.exposure))) {
+        return false;
+    }
+
+    return true;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SMOKING_STATUSES,
+        TOBACCO_EXPOSURES,
+        getSmokingStatus,
+        getTobaccoExposure,
+        normalizeTobacco,
+        validateTobacco,
+        computePackYears,
+        yearsSinceQuitting,
+        describeTobacco,
+        matchesTobaccoCriteria
+    };
+}
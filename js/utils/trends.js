@@ -0,0 +1,311 @@
+/**
+ * Longitudinal Trends
+ * Measures plotted over the visits of a patient ("Courbes"), with their reference bands
+ * and the yearly slope of each series (e.g. the FEV1 decline in COPD follow-up).
+ */
+
+const TREND_YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Value of a pulmonary function test on a visit
+ * @param {string} parameter - PFT parameter key
+ * @param {string} phase - pre or post
+ * @returns {Function} Function reading the value from a visit
+ */
+function pftValueReader(parameter, phase) {
+    return visit => {
+        const pft = normalizePft(visit.pft);
+        const value = pft && pft[parameter] ? pft[parameter][phase] : undefined;
+        return typeof value === 'number' ? value : null;
+    };
+}
+
+/**
+ * Lower limit of normal of a GLI-2012 parameter at a visit
+ * @param {string} parameter - fev1, fvc or fev1Fvc
+ * @returns {Function} Function returning { lower, label } or null
+ */
+function llnBand(parameter) {
+    return (patient, visit) => {
+        const reference = pftReferenceValues(parameter, pftSubject(patient, visit));
+        return reference ? { lower: reference.lln, label: 'LLN (GLI-2012)' } : null;
+    };
+}
+
+/**
+ * Value of a vital sign on a visit
+ * @param {string} key - Vital sign key
+ * @returns {Function} Function reading the value from a visit
+ */
+function vitalValueReader(key) {
+    return visit => {
+        const vitals = normalizeVitals(visit.vitals);
+        return vitals && typeof vitals[key] === 'number' ? vitals[key] : null;
+    };
+}
+
+/**
+ * Normal range of a vital sign
+ * @param {string} key - Vital sign key
+ * @returns {Function} Function returning { lower, upper, label }
+ */
+function normalRangeBand(key) {
+    const { min: lower, max: upper } = getVitalSign(key).normal;
+    return () => ({ lower, upper, label: 'Normal range' });
+}
+
+/**
+ * Trend measure of a single vital sign
+ * @param {string} key - Vital sign key
+ * @returns {Object} Entry of TREND_MEASURES
+ */
+function vitalMeasure(key) {
+    const vital = getVitalSign(key);
+    return {
+        key,
+        label: vital.label,
+        unit: vital.unit,
+        series: [{ key: 'value', label: vital.label, value: vitalValueReader(key) }],
+        band: vital.normal ? normalRangeBand(key) : null
+    };
+}
+
+/**
+ * Trend measure of a questionnaire score, with the band of its best interpretation
+ * (e.g. ACT 20-25, well controlled) as the reference
+ * @param {string} key - Questionnaire key
+ * @returns {Object} Entry of TREND_MEASURES
+ */
+function questionnaireMeasure(key) {
+    const questionnaire = getQuestionnaire(key);
+    const bandIndex = questionnaire.bands.findIndex(band => band.level === 'ok');
+    const range = questionnaireRange(questionnaire);
+    const lower = bandIndex > 0 ? questionnaire.bands[bandIndex - 1].max + 1 : undefined;
+    const upper = bandIndex < questionnaire.bands.length - 1 ? questionnaire.bands[bandIndex].max : undefined;
+
+    return {
+        key,
+        label: questionnaire.label,
+        unit: questionnaire.unit,
+        series: [{
+            key: 'value',
+            label: questionnaire.label,
+            value: visit => {
+                const questionnaires = normalizeQuestionnaires(visit.questionnaires);
+                return questionnaires && questionnaires[key] ? questionnaires[key].score : null;
+            }
+        }],
+        band: () => ({ lower, upper, label: `${questionnaire.bands[bandIndex].label} (${lower ?? range.min}-${upper ?? range.max})` })
+    };
+}
+
+/**
+ * Trend measure of a lab test, with the reference range for the gender of the patient as the band
+ * @param {Object} test - Definition from LAB_TESTS
+ * @returns {Object} Entry of TREND_MEASURES
+ */
+function labMeasure(test) {
+    return {
+        key: test.key,
+        label: test.label,
+        unit: test.unit,
+        series: [{
+            key: 'value',
+            label: test.label,
+            value: visit => {
+                const labResults = normalizeLabResults(visit.labResults);
+                return labResults && typeof labResults[test.key] === 'number' ? labResults[test.key] : null;
+            }
+        }],
+        band: patient => {
+            const range = labReferenceRange(test.key, patient.gender);
+            return range ? { lower: range.min, upper: range.max, label: 'Reference range' } : {};
+        }
+    };
+}
+
+/**
+ * Measures available as trend charts, in display order
+ * Each measure has one or more series read from the visits and an optional reference
+ * band computed per visit ({ lower, upper, label }; values outside it are abnormal).
+ */
+const TREND_MEASURES = [
+    {
+        key: 'fev1',
+        label: 'FEV1',
+        unit: 'L',
+        series: [
+            { key: 'pre', label: 'Pre-BD', value: pftValueReader('fev1', 'pre') },
+            { key: 'post', label: 'Post-BD', value: pftValueReader('fev1', 'post') }
+        ],
+        band: llnBand('fev1')
+    },
+    {
+        key: 'fvc',
+        label: 'FVC',
+        unit: 'L',
+        series: [
+            { key: 'pre', label: 'Pre-BD', value: pftValueReader('fvc', 'pre') },
+            { key: 'post', label: 'Post-BD', value: pftValueReader('fvc', 'post') }
+        ],
+        band: llnBand('fvc')
+    },
+    {
+        key: 'fev1Fvc',
+        label: 'FEV1/FVC',
+        unit: '%',
+        series: [
+            { key: 'pre', label: 'Pre-BD', value: pftValueReader('fev1Fvc', 'pre') },
+            { key: 'post', label: 'Post-BD', value: pftValueReader('fev1Fvc', 'post') }
+        ],
+        // Without the GLI-2012 tables, the fixed 70 % ratio used by GOLD
+        band: (patient, visit) => llnBand('fev1Fvc')(patient, visit) || { lower: 70, label: 'Fixed ratio 70 %' }
+    },
+    {
+        key: 'pef',
+        label: 'PEF',
+        unit: 'L/s',
+        series: [
+            { key: 'pre', label: 'Pre-BD', value: pftValueReader('pef', 'pre') },
+            { key: 'post', label: 'Post-BD', value: pftValueReader('pef', 'post') }
+        ],
+        band: null
+    },
+    {
+        key: 'dlco',
+        label: 'DLCO',
+        unit: 'mmol/min/kPa',
+        series: [
+            { key: 'pre', label: 'Pre-BD', value: pftValueReader('dlco', 'pre') }
+        ],
+        band: null
+    },
+    {
+        key: 'tlc',
+        label: 'TLC',
+        unit: 'L',
+        series: [
+            { key: 'pre', label: 'Pre-BD', value: pftValueReader('tlc', 'pre') }
+        ],
+        band: null
+    },
+    vitalMeasure('spo2'),
+    vitalMeasure('weightKg'),
+    vitalMeasure('bmi'),
+    vitalMeasure('heartRate'),
+    vitalMeasure('respiratoryRate'),
+    {
+        key: 'bloodPressure',
+        label: 'Blood pressure',
+        unit: 'mmHg',
+        series: [
+            { key: 'systolic', label: 'Systolic', value: vitalValueReader('systolicBp') },
+            { key: 'diastolic', label: 'Diastolic', value: vitalValueReader('diastolicBp') }
+        ],
+        band: null
+    },
+    vitalMeasure('temperature'),
+    questionnaireMeasure('cat'),
+    questionnaireMeasure('mmrc'),
+    questionnaireMeasure('act'),
+    questionnaireMeasure('epworth'),
+    ...LAB_TESTS.map(labMeasure)
+];
+
+/**
+ * Visits with a valid date, oldest first
+ * @param {Object} patient - Patient data
+ * @returns {Array} Sorted visits
+ */
+function datedVisits(patient) {
+    return ((patient && patient.visits) || [])
+        .filter(visit => visit && visit.visitDate && !isNaN(new Date(visit.visitDate).getTime()))
+        .sort((a, b) => new Date(a.visitDate) - new Date(b.visitDate));
+}
+
+/**
+ * Least-squares slope of a series, per year
+ * @param {Array} points - Points with time (ms) and value
+ * @returns {number|null} Change per year, null with fewer than two dates
+ */
+function yearlySlope(points) {
+    if (points.length < 2) {
+        return null;
+    }
+
+    const meanTime = points.reduce((sum, point) => sum + point.time, 0) / points.length;
+    const meanValue = points.reduce((sum, point) => sum + point.value, 0) / points.length;
+    const covariance = points.reduce((sum, point) => sum + (point.time - meanTime) * (point.value - meanValue), 0);
+    const variance = points.reduce((sum, point) => sum + Math.pow(point.time - meanTime, 2), 0);
+
+    return variance === 0 ? null : covariance / variance * TREND_YEAR_MS;
+}
+
+/**
+ * Build the data of a trend chart for a patient
+ * @param {Object} patient - Patient data
+ * @param {Object} measure - Entry of TREND_MEASURES
+ * @returns {Object} { measure, series: [{ key, label, points, slope }], band: [{ time, lower, upper, label }] }
+ */
+function buildTrend(patient, measure) {
+    const visits = datedVisits(patient);
+
+    const series = measure.series.map(definition => {
+        const points = visits
+            .map(visit => ({
+                visitId: visit.id,
+                visitDate: visit.visitDate,
+                time: new Date(visit.visitDate).getTime(),
+                value: definition.value(visit)
+            }))
+            .filter(point => point.value !== null && isFinite(point.value));
+
+        return { key: definition.key, label: definition.label, points, slope: yearlySlope(points) };
+    });
+
+    const band = measure.band ? visits
+        .filter(visit => series.some(entry => entry.points.some(point => point.visitId === visit.id)))
+        .map(visit => ({ time: new Date(visit.visitDate).getTime(), ...measure.band(patient, visit) }))
+        .filter(entry => entry.lower !== undefined || entry.upper !== undefined) : [];
+
+    return { measure, series, band };
+}
+
+/**
+ * Trends of every measure that has at least one value
+ * @param {Object} patient - Patient data
+ * @returns {Array} Results of buildTrend()
+ */
+function buildPatientTrends(patient) {
+    return TREND_MEASURES
+        .map(measure => buildTrend(patient, measure))
+        .filter(trend => trend.series.some(entry => entry.points.length > 0));
+}
+
+/**
+ * Format a yearly slope; litres are shown in mL/year as for the FEV1 decline
+ * @param {number} slope - Change per year
+ * @param {string} unit - Unit of the measure
+ * @returns {string} Formatted slope
+ */
+function formatSlope(slope, unit) {
+    if (slope === null || slope === undefined) {
+        return '—';
+    }
+
+    const [value, displayUnit] = unit === 'L' ? [slope * 1000, 'mL'] : [slope, unit];
+    const rounded = Math.abs(value) >= 10 ? Math.round(value) : Math.round(value * 10) / 10;
+    return `${rounded > 0 ? '+' : ''}${rounded} ${displayUnit}/year`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TREND_MEASURES,
+        datedVisits,
+        yearlySlope,
+        buildTrend,
+        buildPatientTrends,
+        formatSlope
+    };
+}
@@ -0,0 +1,503 @@
+/**
+ * Tuberculosis Treatment Courses
+ * TB episodes of a patient: the phase-based regimen, the weekly follow-ups with the sputum smear
+ * and culture results, the conversion dates, the declared outcome and the directly observed
+ * treatment (DOT) calendar.
+ *
+ * A patient stores its episodes as:
+ *   tbEpisodes: [{ id, startDate, site, regimen, smearConversionDate, cultureConversionDate,
+ *                  outcome, outcomeDate, followUps: [{ id, date, smear, culture, weightKg, notes }],
+ *                  doses: { 'YYYY-MM-DD': 'observed' | 'missed' } }]
+ * The phases run back to back from the start date for the months of the regimen. An episode
+ * without an outcome is in progress and is due for a follow-up TB_FOLLOW_UP_DAYS after the
+ * latest one (or after the start).
+ */
+
+// Regimens, named by the standard notation: months and drugs of each phase
+// (R rifampicin, H isoniazid, Z pyrazinamide, E ethambutol)
+const TB_REGIMENS = [
+    {
+        key: '2RHZE/4RH',
+        label: '2RHZE/4RH (nouveau cas)',
+        phases: [
+            { key: 'intensive', label: 'Phase intensive', drugs: 'RHZE', months: 2 },
+            { key: 'continuation', label: 'Phase de continuation', drugs: 'RH', months: 4 }
+        ]
+    },
+    {
+        key: '2RHZE/7RH',
+        label: '2RHZE/7RH (continuation prolongée)',
+        phases: [
+            { key: 'intensive', label: 'Phase intensive', drugs: 'RHZE', months: 2 },
+            { key: 'continuation', label: 'Phase de continuation', drugs: 'RH', months: 7 }
+        ]
+    },
+    {
+        key: '2RHZE/10RH',
+        label: '2RHZE/10RH (neuroméningée, ostéoarticulaire)',
+        phases: [
+            { key: 'intensive', label: 'Phase intensive', drugs: 'RHZE', months: 2 },
+            { key: 'continuation', label: 'Phase de continuation', drugs: 'RH', months: 10 }
+        ]
+    }
+];
+
+// Disease sites
+const TB_SITES = [
+    { key: 'pulmonary', label: 'Pulmonary', shortLabel: 'Pulmonaire' },
+    { key: 'extrapulmonary', label: 'Extrapulmonary', shortLabel: 'Extrapulmonaire' }
+];
+
+// Declared outcomes, ending the episode
+const TB_OUTCOMES = [
+    { key: 'cured', label: 'Cured', shortLabel: 'Guéri' },
+    { key: 'completed', label: 'Treatment completed', shortLabel: 'Traitement achevé' },
+    { key: 'failed', label: 'Treatment failed', shortLabel: 'Échec' },
+    { key: 'lostToFollowUp', label: 'Lost to follow-up', shortLabel: 'Perdu de vue' }
+];
+
+// Sputum smear and culture results
+const TB_TEST_RESULTS = [
+    { key: 'positive', label: 'Positive', shortLabel: 'Positif' },
+    { key: 'negative', label: 'Negative', shortLabel: 'Négatif' },
+    { key: 'pending', label: 'Pending', shortLabel: 'En attente' }
+];
+
+// Daily intakes of the DOT calendar
+const TB_DOSE_STATUSES = [
+    { key: 'observed', label: 'Observed', shortLabel: 'Prise observée' },
+    { key: 'missed', label: 'Missed', shortLabel: 'Prise manquée' }
+];
+
+// Days between two follow-ups
+const TB_FOLLOW_UP_DAYS = 7;
+
+const TB_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Find the definition of a regimen
+ * @param {string} key - Regimen key, e.g. '2RHZE/4RH'
+ * @returns {Object|undefined} Definition from TB_REGIMENS
+ */
+function getTbRegimen(key) {
+    return TB_REGIMENS.find(regimen => regimen.key === key);
+}
+
+/**
+ * Find the definition of an outcome
+ * @param {string} key - Outcome key
+ * @returns {Object|undefined} Definition from TB_OUTCOMES
+ */
+function getTbOutcome(key) {
+    return TB_OUTCOMES.find(outcome => outcome.key === key);
+}
+
+/**
+ * Check a 'YYYY-MM-DD' date
+ * @param {string} date - Date
+ * @returns {boolean} True for a valid date
+ */
+function isTbDate(date) {
+    return TB_DATE_PATTERN.test(date || '') && !isNaN(new Date(date).getTime());
+}
+
+/**
+ * Normalize one follow-up: trimmed texts, numeric weight, empty fields dropped
+ * @param {Object} followUp - Submitted follow-up
+ * @returns {Object|null} Normalized follow-up, null when the row is empty
+ */
+function normalizeTbFollowUp(followUp) {
+    if (!followUp || typeof followUp !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    ['date', 'smear', 'culture', 'notes'].forEach(field => {
+        const value = String(followUp[field] === undefined || followUp[field] === null ? '' : followUp[field]).trim();
+        if (value) {
+            normalized[field] = value;
+        }
+    });
+    const weightKg = parseMeasurement(followUp.weightKg);
+    if (weightKg !== undefined) {
+        normalized.weightKg = weightKg;
+    }
+
+    if (Object.keys(normalized).length === 0) {
+        return null;
+    }
+    return { id: followUp.id || generateId(), ...normalized };
+}
+
+/**
+ * Read the DOT calendar of a submitted episode, kept as JSON in a hidden form field
+ * @param {Object|string} doses - Intakes by date, or their JSON
+ * @returns {Object} Intakes by date
+ */
+function normalizeTbDoses(doses) {
+    let parsed = doses;
+    if (typeof doses === 'string') {
+        try {
+            parsed = JSON.parse(doses || '{}');
+        } catch (error) {
+            parsed = {};
+        }
+    }
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+}
+
+/**
+ * Normalize one episode: trimmed fields, follow-ups by date, DOT calendar parsed
+ * @param {Object} episode - Submitted episode
+ * @returns {Object|null} Normalized episode, null when no start date was entered
+ */
+function normalizeTbEpisode(episode) {
+    if (!episode || typeof episode !== 'object') {
+        return null;
+    }
+
+    const startDate = String(episode.startDate || '').trim();
+    if (!startDate) {
+        return null;
+    }
+
+    const normalized = { id: episode.id || generateId(), startDate };
+    ['site', 'regimen', 'smearConversionDate', 'cultureConversionDate', 'outcome', 'outcomeDate'].forEach(field => {
+        const value = String(episode[field] || '').trim();
+        if (value) {
+            normalized[field] = value;
+        }
+    });
+
+    const followUps = Array.isArray(episode.followUps) ? episode.followUps : Object.values(episode.followUps || {});
+    normalized.followUps = followUps.map(normalizeTbFollowUp).filter(Boolean)
+        .sort((a, b) => String(a.date || '').localeCompare(String(b.date || '')));
+    normalized.doses = normalizeTbDoses(episode.doses);
+    return normalized;
+}
+
+/**
+ * Normalize the episode list, dropping the rows without a start date
+ * @param {Array|Object} episodes - Submitted episodes, as a list or keyed by form row
+ * @returns {Array} Normalized episodes
+ */
+function normalizeTbEpisodes(episodes) {
+    const list = Array.isArray(episodes) ? episodes : Object.values(episodes || {});
+    return list.map(normalizeTbEpisode).filter(Boolean);
+}
+
+/**
+ * Validate one follow-up
+ * @param {Object} followUp - Follow-up
+ * @returns {Array} Errors as { field, message }, field like 'smear'
+ */
+function validateTbFollowUp(followUp) {
+    const errors = [];
+    if (!followUp || typeof followUp !== 'object' || Array.isArray(followUp)) {
+        return [{ field: 'date', message: 'Follow-up must be an object' }];
+    }
+
+    if (!followUp.date) {
+        errors.push({ field: 'date', message: ERROR_MESSAGES.validation.required });
+    } else if (!isTbDate(followUp.date)) {
+        errors.push({ field: 'date', message: ERROR_MESSAGES.validation.date });
+    }
+
+    ['smear', 'culture'].forEach(field => {
+        if (followUp[field] && !TB_TEST_RESULTS.some(result => result.key === followUp[field])) {
+            errors.push({
+                field,
+                message: 'Result must be one of: ' + TB_TEST_RESULTS.map(result => result.key).join(', ')
+            });
+        }
+    });
+
+    const weightKg = parseMeasurement(followUp.weightKg);
+    const weightRule = VALIDATION_RULES.vitals.weightKg;
+    if (weightKg !== undefined && (typeof weightKg !== 'number' || !isFinite(weightKg))) {
+        errors.push({ field: 'weightKg', message: ERROR_MESSAGES.validation.number });
+    } else if (weightKg !== undefined && (weightKg < weightRule.min || weightKg > weightRule.max)) {
+        errors.push({
+            field: 'weightKg',
+            message: ERROR_MESSAGES.validation.range.replace('{min}', weightRule.min).replace('{max}', weightRule.max)
+        });
+    }
+
+    const maxLength = VALIDATION_RULES.tbEpisodes.notes.maxLength;
+    if (followUp.notes && String(followUp.notes).length > maxLength) {
+        errors.push({ field: 'notes', message: ERROR_MESSAGES.validation.maxLength.replace('{max}', maxLength) });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate one episode
+ * @param {Object} episode - Episode
+ * @returns {Array} Errors as { field, message }, field like 'regimen' or 'followUps[0].date'
+ */
+function validateTbEpisode(episode) {
+    const errors = [];
+    if (!episode || typeof episode !== 'object' || Array.isArray(episode)) {
+        return [{ field: 'startDate', message: 'TB episode must be an object' }];
+    }
+
+    if (!episode.startDate) {
+        errors.push({ field: 'startDate', message: ERROR_MESSAGES.validation.required });
+    } else if (!isTbDate(episode.startDate)) {
+        errors.push({ field: 'startDate', message: ERROR_MESSAGES.validation.date });
+    }
+
+    if (!episode.regimen) {
+        errors.push({ field: 'regimen', message: ERROR_MESSAGES.validation.required });
+    } else if (!getTbRegimen(episode.regimen)) {
+        errors.push({ field: 'regimen', message: 'Regimen must be one of: ' + TB_REGIMENS.map(regimen => regimen.key).join(', ') });
+    }
+
+    if (episode.site && !TB_SITES.some(site => site.key === episode.site)) {
+        errors.push({ field: 'site', message: 'Site must be one of: ' + TB_SITES.map(site => site.key).join(', ') });
+    }
+
+    if (episode.outcome && !getTbOutcome(episode.outcome)) {
+        errors.push({ field: 'outcome', message: 'Outcome must be one of: ' + TB_OUTCOMES.map(outcome => outcome.key).join(', ') });
+    }
+    if (episode.outcome && !episode.outcomeDate) {
+        errors.push({ field: 'outcomeDate', message: ERROR_MESSAGES.validation.required });
+    }
+
+    ['smearConversionDate', 'cultureConversionDate', 'outcomeDate'].forEach(field => {
+        if (!episode[field]) {
+            return;
+        }
+        if (!isTbDate(episode[field])) {
+            errors.push({ field, message: ERROR_MESSAGES.validation.date });
+        } else if (isTbDate(episode.startDate) && episode[field] < episode.startDate) {
+            errors.push({ field, message: 'Date must be after the start of the treatment' });
+        }
+    });
+
+    (Array.isArray(episode.followUps) ? episode.followUps : []).forEach((followUp, index) => {
+        validateTbFollowUp(followUp).forEach(({ field, message }) => {
+            errors.push({ field: `followUps[${index}].${field}`, message });
+        });
+    });
+
+    const doses = episode.doses || {};
+    if (typeof doses !== 'object' || Array.isArray(doses) ||
+        Object.entries(doses).some(([date, status]) => !isTbDate(date) || !TB_DOSE_STATUSES.some(entry => entry.key === status))) {
+        errors.push({ field: 'doses', message: 'DOT calendar must map dates to: ' + TB_DOSE_STATUSES.map(entry => entry.key).join(', ') });
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the TB episodes of a patient
+ * @param {Array} episodes - Episodes
+ * @returns {Array} Errors as { field, message }, field like 'tbEpisodes[0].regimen'
+ */
+function validateTbEpisodes(episodes) {
+    if (episodes === null || episodes === undefined) {
+        return [];
+    }
+    if (!Array.isArray(episodes)) {
+        return [{ field: 'tbEpisodes', message: 'TB episodes must be a list' }];
+    }
+
+    return episodes.flatMap((episode, index) => validateTbEpisode(episode).map(({ field, message }) => ({
+        field: `tbEpisodes[${index}].${field}`,
+        message
+    })));
+}
+
+/**
+ * Expected dates of the phases of the regimen, back to back from the start date
+ * @param {Object} episode - Episode with startDate and regimen
+ * @returns {Array} Phases as { key, label, drugs, months, start, end } (end included), empty when unknown
+ */
+function tbPhaseDates(episode) {
+    const regimen = episode && getTbRegimen(episode.regimen);
+    if (!regimen || !isTbDate(episode.startDate)) {
+        return [];
+    }
+
+    let start = episode.startDate;
+    return regimen.phases.map(phase => {
+        const next = addToDate(start, phase.months, 'month');
+        const dates = { ...phase, start, end: addToDate(next, -1, 'day') };
+        start = next;
+        return dates;
+    });
+}
+
+/**
+ * Expected end of the treatment: the end of its last phase
+ * @param {Object} episode - Episode
+ * @returns {string|null} Date ('YYYY-MM-DD'), null when unknown
+ */
+function tbExpectedEndDate(episode) {
+    const phases = tbPhaseDates(episode);
+    return phases.length > 0 ? phases[phases.length - 1].end : null;
+}
+
+/**
+ * Phase of the treatment on a date
+ * @param {Object} episode - Episode
+ * @param {string} date - Date ('YYYY-MM-DD')
+ * @returns {Object|null} Phase from tbPhaseDates(), null outside the treatment
+ */
+function tbPhaseOn(episode, date) {
+    return tbPhaseDates(episode).find(phase => phase.start <= date && date <= phase.end) || null;
+}
+
+/**
+ * Date of the next follow-up of an episode in progress
+ * @param {Object} episode - Episode
+ * @returns {string|null} Date ('YYYY-MM-DD'), null once an outcome is declared
+ */
+function nextTbFollowUpDate(episode) {
+    if (!episode || episode.outcome || !isTbDate(episode.startDate)) {
+        return null;
+    }
+
+    const latest = (episode.followUps || [])
+        .map(followUp => followUp.date)
+        .filter(isTbDate)
+        .reduce((last, date) => (date > last ? date : last), episode.startDate);
+    return addToDate(latest, TB_FOLLOW_UP_DAYS, 'day');
+}
+
+/**
+ * Follow-up of the episode in progress, as kept in the patient index
+ * @param {Array} episodes - TB episodes of the patient
+ * @returns {Object|null} { episodeId, regimen, nextFollowUpDate }, null without an episode in progress
+ */
+function tbFollowUpSummary(episodes) {
+    const current = (Array.isArray(episodes) ? episodes : [])
+        .filter(episode => nextTbFollowUpDate(episode))
+        .sort((a, b) => b.startDate.localeCompare(a.startDate))[0];
+
+    return current ? {
+        episodeId: current.id,
+        regimen: current.regimen,
+        nextFollowUpDate: nextTbFollowUpDate(current)
+    } : null;
+}
+
+/**
+ * Days a follow-up is overdue
+ * @param {string} nextFollowUpDate - Date of the follow-up ('YYYY-MM-DD')
+ * @param {string} today - Today ('YYYY-MM-DD')
+ * @returns {number} Days late, 0 when not yet due
+ */
+function tbOverdueDays(nextFollowUpDate, today) {
+    if (!nextFollowUpDate || nextFollowUpDate >= today) {
+        return 0;
+    }
+    return Math.round((new Date(today) - new Date(nextFollowUpDate)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Days of the DOT calendar, month by month from the start to the expected end of the treatment
+ * @param {Object} episode - Episode
+ * @returns {Array} Months as { month: 'YYYY-MM', days: [{ date, phase, dose, followUp }] }
+ */
+function tbCalendarMonths(episode) {
+    const phases = tbPhaseDates(episode);
+    if (phases.length === 0) {
+        return [];
+    }
+
+    const end = phases[phases.length - 1].end;
+    const followUpDates = new Set((episode.followUps || []).map(followUp => followUp.date));
+    const doses = episode.doses || {};
+    const months = [];
+    for (let date = episode.startDate; date <= end; date = addToDate(date, 1, 'day')) {
+        const month = date.slice(0, 7);
+        if (months.length === 0 || months[months.length - 1].month !== month) {
+            months.push({ month, days: [] });
+        }
+        months[months.length - 1].days.push({
+            date,
+            phase: phases.find(phase => phase.start <= date && date <= phase.end).key,
+            dose: doses[date] || null,
+            followUp: followUpDates.has(date)
+        });
+    }
+    return months;
+}
+
+/**
+ * Observed and missed intakes of the DOT calendar
+ * @param {Object} episode - Episode
+ * @param {string} today - Today ('YYYY-MM-DD'): the expected intakes stop here
+ * @returns {Object} { observed, missed, expected } counts of days
+ */
+function tbDoseSummary(episode, today) {
+    const doses = Object.values((episode && episode.doses) || {});
+    const end = [tbExpectedEndDate(episode), today].filter(Boolean).sort()[0];
+    const expected = episode && isTbDate(episode.startDate) && end && end >= episode.startDate ?
+        Math.round((new Date(end) - new Date(episode.startDate)) / (24 * 60 * 60 * 1000)) + 1 : 0;
+
+    return {
+        observed: doses.filter(status => status === 'observed').length,
+        missed: doses.filter(status => status === 'missed').length,
+        expected
+    };
+}
+
+/**
+ * Next status of a day when it is clicked in the DOT calendar: none, observed, missed, none...
+ * @param {string|null} status - Current status
+ * @returns {string|null} Next status
+ */
+function nextTbDoseStatus(status) {
+    const keys = [null, ...TB_DOSE_STATUSES.map(entry => entry.key)];
+    return keys[(keys.indexOf(status || null) + 1) % keys.length];
+}
+
+/**
+ * One-line description, e.g. "2RHZE/4RH · Pulmonaire · débuté le 2024-01-08 · Guéri"
+ * @param {Object} episode - Episode
+ * @returns {string} Description in French
+ */
+function describeTbEpisode(episode) {
+    const site = TB_SITES.find(entry => entry.key === episode.site);
+    const outcome = getTbOutcome(episode.outcome);
+    return [
+        episode.regimen,
+        site ? site.shortLabel : '',
+        `débuté le ${episode.startDate}`,
+        outcome ? outcome.shortLabel : 'En cours'
+    ].filter(Boolean).join(' · ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TB_REGIMENS,
+        TB_SITES,
+        TB_OUTCOMES,
+        TB_TEST_RESULTS,
+        TB_DOSE_STATUSES,
+        TB_FOLLOW_UP_DAYS,
+        getTbRegimen,
+        getTbOutcome,
+        normalizeTbFollowUp,
+        normalizeTbEpisode,
+        normalizeTbEpisodes,
+        validateTbFollowUp,
+        validateTbEpisode,
+        validateTbEpisodes,
+        tbPhaseDates,
+        tbExpectedEndDate,
+        tbPhaseOn,
+        nextTbFollowUpDate,
+        tbFollowUpSummary,
+        tbOverdueDays,
+        tbCalendarMonths,
+        tbDoseSummary,
+        nextTbDoseStatus,
+        describeTbEpisode
+    };
+}
@@ -70,6 +70,22 @@ function validatePatientForm(formData) {
         }
     }
 
+    // Validate smoking history, respiratory diagnoses, problem list, allergies, sleep records, TB episodes
+    // and home therapies (optional)
+    [
+        ...validateTobacco(formData.tobacco),
+        ...validateRespiratoryDiagnoses(formData.respiratoryDiagnoses),
+        ...validateProblems(formData.problems),
+        ...validateAllergies(formData.allergies),
+        ...validateSleepStudies(formData.sleepStudies),
+        ...validateCpapLog(formData.cpapLog),
+        ...validateTbEpisodes(formData.tbEpisodes),
+        ...validateHomeTherapies(formData.homeTherapies)
+    ].forEach(({ field, message }) => {
+        errors[field] = [...(errors[field] || []), message];
+        isValid = false;
+    });
+
     // Validate visits if provided
     if (formData.visits && Array.isArray(formData.visits)) {
         const visitsResult = validateVisits(formData.visits);
@@ -307,6 +323,21 @@ function validateVisit(visit) {
         }
     }
 
+    // Validate vital signs, questionnaires, pulmonary function tests, lab results, classification inputs,
+    // treatments and the next appointment (optional)
+    [
+        ...validateVitals(visit.vitals),
+        ...validateQuestionnaires(visit.questionnaires),
+        ...validatePft(visit.pft),
+        ...validateLabResults(visit.labResults),
+        ...validateClassificationInputs(visit),
+        ...validateTreatments(visit.treatments),
+        ...validateNextAppointment(visit)
+    ].forEach(({ field, message }) => {
+        errors[field] = [...(errors[field] || []), message];
+        isValid = false;
+    });
+
     return { isValid, errors };
 }
 
@@ -0,0 +1,169 @@
+/**
+ * Vital Signs
+ * Structured vital signs and anthropometrics recorded at each consultation, with the
+ * body mass index computed from weight and height and flags for abnormal values.
+ *
+ * A visit stores them as:
+ *   vitals: { weightKg, heightCm, bmi, spo2, heartRate, respiratoryRate,
+ *             systolicBp, diastolicBp, temperature }
+ * bmi is computed, never entered. Plausible ranges are in VALIDATION_RULES.vitals.
+ */
+
+// Vital signs in display order. normal: values outside are flagged abnormal;
+// critical: values outside call for immediate attention (badge in the patient list)
+const VITAL_SIGNS = [
+    { key: 'weightKg', label: 'Weight', unit: 'kg' },
+    { key: 'heightCm', label: 'Height', unit: 'cm' },
+    { key: 'bmi', label: 'BMI', unit: 'kg/m²', computed: true, normal: { min: 18.5, max: 24.9 }, critical: { min: 16, max: 40 } },
+    { key: 'spo2', label: 'SpO2 at rest', unit: '%', normal: { min: 92 }, critical: { min: 88 } },
+    { key: 'heartRate', label: 'Heart rate', unit: '/min', normal: { min: 50, max: 100 }, critical: { min: 40, max: 130 } },
+    { key: 'respiratoryRate', label: 'Respiratory rate', unit: '/min', normal: { min: 12, max: 20 }, critical: { min: 8, max: 30 } },
+    { key: 'systolicBp', label: 'Systolic BP', unit: 'mmHg', normal: { min: 90, max: 139 }, critical: { min: 80, max: 179 } },
+    { key: 'diastolicBp', label: 'Diastolic BP', unit: 'mmHg', normal: { min: 60, max: 89 }, critical: { min: 40, max: 119 } },
+    { key: 'temperature', label: 'Temperature', unit: '°C', normal: { min: 36, max: 37.9 }, critical: { min: 35, max: 39.9 } }
+];
+
+/**
+ * Find the definition of a vital sign
+ * @param {string} key - Vital sign key
+ * @returns {Object|undefined} Definition from VITAL_SIGNS
+ */
+function getVitalSign(key) {
+    return VITAL_SIGNS.find(vital => vital.key === key);
+}
+
+/**
+ * Body mass index
+ * @param {number} weightKg - Weight in kilograms
+ * @param {number} heightCm - Height in centimetres
+ * @returns {number|null} BMI rounded to one decimal, null if a value is missing
+ */
+function computeBmi(weightKg, heightCm) {
+    if (typeof weightKg !== 'number' || typeof heightCm !== 'number' || weightKg <= 0 || heightCm <= 0) {
+        return null;
+    }
+
+    const heightM = heightCm / 100;
+    return Math.round(weightKg / (heightM * heightM) * 10) / 10;
+}
+
+/**
+ * Normalize the vital signs of a visit: numbers instead of strings, empty values removed
+ * and the BMI computed
+ * @param {Object} vitals - Submitted vital signs
+ * @returns {Object|null} Normalized vital signs, or null when nothing was entered
+ */
+function normalizeVitals(vitals) {
+    if (!vitals || typeof vitals !== 'object') {
+        return null;
+    }
+
+    const normalized = {};
+    VITAL_SIGNS.filter(vital => !vital.computed).forEach(({ key }) => {
+        const value = parseMeasurement(vitals[key]);
+        if (value !== undefined) {
+            normalized[key] = value;
+        }
+    });
+
+    const bmi = computeBmi(normalized.weightKg, normalized.heightCm);
+    if (bmi !== null) {
+        normalized.bmi = bmi;
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Validate the vital signs of a visit
+ * @param {Object} vitals - Visit vital signs (raw or normalized)
+ * @returns {Array} Errors as { field, message }, field like 'vitals.spo2'
+ */
+function validateVitals(vitals) {
+    const errors = [];
+    if (vitals === null || vitals === undefined) {
+        return errors;
+    }
+    if (typeof vitals !== 'object' || Array.isArray(vitals)) {
+        return [{ field: 'vitals', message: 'Vital signs must be an object' }];
+    }
+
+    const rules = VALIDATION_RULES.vitals;
+    VITAL_SIGNS.filter(vital => !vital.computed).forEach(({ key }) => {
+        const value = parseMeasurement(vitals[key]);
+        if (value === undefined) {
+            return;
+        }
+        if (typeof value !== 'number' || !isFinite(value)) {
+            errors.push({ field: `vitals.${key}`, message: ERROR_MESSAGES.validation.number });
+        } else if (value < rules[key].min || value > rules[key].max) {
+            errors.push({
+                field: `vitals.${key}`,
+                message: ERROR_MESSAGES.validation.range.replace('{min}', rules[key].min).replace('{max}', rules[key].max)
+            });
+        }
+    });
+
+    const systolic = parseMeasurement(vitals.systolicBp);
+    const diastolic = parseMeasurement(vitals.diastolicBp);
+    if (typeof systolic === 'number' && typeof diastolic === 'number' && diastolic >= systolic) {
+        errors.push({ field: 'vitals.diastolicBp', message: 'Diastolic pressure must be lower than systolic pressure' });
+    }
+
+    return errors;
+}
+
+/**
+ * Assess a vital sign against its normal and critical limits
+ * @param {string} key - Vital sign key
+ * @param {number} value - Measured value
+ * @returns {Object} { status: 'normal'|'abnormal'|'critical', direction: 'low'|'high'|null }
+ */
+function assessVital(key, value) {
+    const vital = getVitalSign(key);
+    if (!vital || !vital.normal || typeof value !== 'number') {
+        return { status: 'normal', direction: null };
+    }
+
+    const outside = (limits, direction) => (direction === 'low' ?
+        limits.min !== undefined && value < limits.min :
+        limits.max !== undefined && value > limits.max);
+
+    for (const direction of ['low', 'high']) {
+        if (outside(vital.critical || {}, direction)) {
+            return { status: 'critical', direction };
+        }
+        if (outside(vital.normal, direction)) {
+            return { status: 'abnormal', direction };
+        }
+    }
+    return { status: 'normal', direction: null };
+}
+
+/**
+ * Vital signs of a visit outside their critical limits
+ * @param {Object} vitals - Visit vital signs
+ * @returns {Array} Keys of the critical vital signs
+ */
+function criticalVitals(vitals) {
+    const normalized = normalizeVitals(vitals);
+    if (!normalized) {
+        return [];
+    }
+    return VITAL_SIGNS
+        .filter(({ key }) => assessVital(key, normalized[key]).status === 'critical')
+        .map(({ key }) => key);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VITAL_SIGNS,
+        getVitalSign,
+        computeBmi,
+        normalizeVitals,
+        validateVitals,
+        assessVital,
+        criticalVitals
+    };
+}
@@ -2,10 +2,42 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
+const { validatePatient, validateVisit, generateId } = require('./server/patient-validation');
+const auth = require('./server/auth');
+const auditLog = require('./server/audit-log');
+const patientHistory = require('./server/patient-history');
+const patientTrash = require('./server/patient-trash');
+const encryption = require('./server/encryption');
+const journal = require('./server/journal');
+const backups = require('./server/backups');
+const attachments = require('./server/attachments');
+const { readJSONFile, writeJSONFile } = require('./server/json-file');
+const {
+    roleHasPermission,
+    visitHasClinicalData,
+    redactPatient,
+    redactVisit,
+    mergeRestrictedPatient,
+    mergeRestrictedVisit
+} = require('./js/utils/permissions');
+const { ATTACHMENT_CONFIG } = require('./js/utils/constants');
+const { attachmentUsage } = require('./js/utils/attachments');
+const {
+    AUDIT_ACTIONS,
+    CLIENT_AUDIT_ACTIONS,
+    diffPatientRecords,
+    diffVisitRecords
+} = require('./js/utils/audit');
 
 const PORT = 3000;
 const DATA_FILE = path.join(__dirname, 'data', 'patients.json');
-const SESSIONS_FILE = path.join(__dirname, 'data', 'sessions.json');
+const SESSIONS_FILE = auth.SESSIONS_FILE;
+
+// Taille maximale du corps d'un envoi de pièce jointe : le fichier en base64 et sa miniature
+const ATTACHMENT_BODY_MAX_BYTES = Math.ceil(ATTACHMENT_CONFIG.maxFileBytes * 4 / 3) + 1024 * 1024;
+
+// Répertoires jamais servis comme fichiers statiques
+const PRIVATE_DIRECTORIES = ['data', 'server'];
 
 // S'assurer que le répertoire de données existe
 const dataDir = path.join(__dirname, 'data');
@@ -22,6 +54,14 @@ if (!fs.existsSync(SESSIONS_FILE)) {
     fs.writeFileSync(SESSIONS_FILE, JSON.stringify({}));
 }
 
+if (!fs.existsSync(auth.USERS_FILE)) {
+    fs.writeFileSync(auth.USERS_FILE, JSON.stringify([]));
+}
+
+if (!fs.existsSync(patientTrash.TRASH_FILE)) {
+    fs.writeFileSync(patientTrash.TRASH_FILE, JSON.stringify([]));
+}
+
 // Types MIME pour différentes extensions de fichiers
 const mimeTypes = {
     '.html': 'text/html',
@@ -41,34 +81,934 @@ const mimeTypes = {
     '.wasm': 'application/wasm'
 };
 
-// Fonction utilitaire pour lire un fichier JSON en toute sécurité
-function readJSONFile(filePath) {
+// Envoyer une réponse JSON
+function sendJSON(res, statusCode, payload, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(payload));
+}
+
+// ETag correspondant à la révision courante d'un patient
+function revisionETag(patient) {
+    return `"${patient.revision || 0}"`;
+}
+
+// Vérifier l'en-tête If-Match avant une modification (contrôle de concurrence optimiste)
+// Répond 428 si l'en-tête manque, 409 avec la version courante (currentCopy) si elle a changé
+function checkRevision(req, res, patient, currentCopy = patient) {
+    const header = req.headers['if-match'];
+
+    if (!header) {
+        sendJSON(res, 428, { error: 'En-tête If-Match requis pour modifier ce patient' });
+        return false;
+    }
+
+    if (header.trim() === '*') {
+        return true;
+    }
+
+    const expected = header.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, ''));
+    if (!expected.includes(String(patient.revision || 0))) {
+        sendJSON(res, 409, {
+            error: 'Ce patient a été modifié par un autre poste entre-temps',
+            current: currentCopy
+        }, { ETag: revisionETag(patient) });
+        return false;
+    }
+
+    return true;
+}
+
+// Lire et décoder le corps JSON d'une requête ; au-delà de maxBytes, le reste est ignoré
+// et la lecture échoue avec une erreur ETOOLARGE
+function readJSONBody(req, maxBytes = Infinity) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= maxBytes) {
+                body += chunk.toString();
+            }
+        });
+        req.on('end', () => {
+            if (size > maxBytes) {
+                const error = new Error('Corps de la requête trop volumineux');
+                error.code = 'ETOOLARGE';
+                reject(error);
+                return;
+            }
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Le corps décodé est-il un objet JSON (ni null, ni tableau, ni valeur simple) ?
+function isJSONObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Charger la liste des patients (déchiffrée si une phrase secrète est définie)
+function loadPatients() {
+    const patients = encryption.readProtectedJSONFile(DATA_FILE, []);
+    return Array.isArray(patients) ? patients : [];
+}
+
+// Sauvegarder la liste des patients (chiffrée si une phrase secrète est définie).
+// La modification (mutation) est d'abord journalisée et synchronisée sur disque, puis le
+// fichier est réécrit de façon atomique ; au démarrage, le journal est rejoué.
+function savePatients(patients, mutation) {
+    let seq;
     try {
-        const data = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(data);
+        seq = journal.append(mutation);
     } catch (error) {
-        console.error(`Error reading ${filePath}:`, error);
-        return filePath === DATA_FILE ? [] : {};
+        console.error('Échec de la journalisation de la modification :', error);
+        return false;
+    }
+
+    if (!encryption.writeProtectedJSONFile(DATA_FILE, patients)) {
+        try {
+            journal.abort(seq);
+        } catch (error) {
+            console.error('Échec de l\'annulation de la modification journalisée :', error);
+        }
+        return false;
     }
+
+    journal.checkpointIfNeeded();
+    return true;
+}
+
+// Rejouer les modifications journalisées qui n'auraient pas atteint patients.json
+function replayJournal() {
+    return journal.replay(DATA_FILE);
 }
 
-// Fonction utilitaire pour écrire un fichier JSON en toute sécurité
-function writeJSONFile(filePath, data) {
+// Vérifier les fichiers de données avant de démarrer : un fichier corrompu est copié en
+// quarantaine et le serveur refuse de démarrer plutôt que de risquer de l'écraser
+function checkDataFiles() {
+    // Les sessions peuvent être perdues sans dommage : elles sont simplement réinitialisées
     try {
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+        readJSONFile(SESSIONS_FILE, {});
+    } catch (error) {
+        if (error.code !== 'ECORRUPT') {
+            throw error;
+        }
+        console.error(`⚠️  ${error.message}\n   Sessions réinitialisées : les utilisateurs doivent se reconnecter.`);
+        writeJSONFile(SESSIONS_FILE, {});
+    }
+
+    readJSONFile(auth.USERS_FILE, []);
+    encryption.verifyProtectedJSONFile(DATA_FILE);
+    encryption.verifyProtectedJSONFile(patientTrash.TRASH_FILE);
+
+    // Sans la clé, le journal sera rejoué à la première connexion
+    if (!encryption.isLocked()) {
+        const replayed = replayJournal();
+        if (replayed > 0) {
+            console.log(`♻️  ${replayed} modification(s) rejouée(s) depuis le journal`);
+        }
+    }
+}
+
+// Un chemin d'URL dont les segments se décodent ; « %E0 » seul ferait lever une URIError
+// à decodeURIComponent dans les routes
+function isDecodablePath(pathname) {
+    try {
+        decodeURIComponent(pathname);
         return true;
     } catch (error) {
-        console.error(`Error writing ${filePath}:`, error);
         return false;
     }
 }
 
+// Analyser /api/patients[/:id[/visits[/:visitId]|/history[/:revision]|/attachments[/:attachmentId[/thumbnail]]]]
+function matchPatientRoute(pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+    const isAttachmentRoute = segments[3] === 'attachments';
+
+    if (segments[0] !== 'api' || segments[1] !== 'patients' || segments.length > (isAttachmentRoute ? 6 : 5)) {
+        return null;
+    }
+    if (segments.length >= 4 && !['visits', 'history', 'attachments'].includes(segments[3])) {
+        return null;
+    }
+    if (segments.length === 6 && segments[5] !== 'thumbnail') {
+        return null;
+    }
+
+    const isHistoryRoute = segments[3] === 'history';
+
+    return {
+        patientId: segments[2] ? decodeURIComponent(segments[2]) : null,
+        isVisitRoute: segments[3] === 'visits',
+        visitId: segments[3] === 'visits' && segments[4] ? decodeURIComponent(segments[4]) : null,
+        isHistoryRoute: isHistoryRoute,
+        revision: isHistoryRoute && segments[4] ? Number(segments[4]) : null,
+        isAttachmentRoute,
+        attachmentId: isAttachmentRoute && segments[4] ? decodeURIComponent(segments[4]) : null,
+        isThumbnailRoute: segments[5] === 'thumbnail'
+    };
+}
+
+// Répondre 400 avec le détail des erreurs de validation
+function sendValidationError(res, message, errors) {
+    sendJSON(res, 400, { error: message, details: errors });
+}
+
+// Répondre 403 lorsque le rôle de l'utilisateur n'autorise pas l'action
+function sendForbidden(res, message = 'Accès refusé pour votre rôle') {
+    sendJSON(res, 403, { error: message });
+}
+
+// Gérer les ressources patients et visites
+async function handlePatientsAPI(req, res, route, user) {
+    const { patientId, isVisitRoute, visitId, isHistoryRoute, revision } = route;
+    const method = req.method;
+
+    // Les champs cliniques sont masqués en lecture et protégés en écriture selon le rôle
+    const canReadClinical = roleHasPermission(user.role, 'clinical:read');
+    const canWriteClinical = roleHasPermission(user.role, 'clinical:write');
+    const presentPatient = patient => (canReadClinical ? patient : redactPatient(patient));
+    const presentVisit = visit => (canReadClinical ? visit : redactVisit(visit));
+
+    if (method !== 'GET' && !roleHasPermission(user.role, 'patients:write')) {
+        sendForbidden(res, 'Accès en lecture seule');
+        return;
+    }
+
+    // Lire le corps avant de charger les données : la lecture puis l'écriture
+    // du fichier se font ensuite sans interruption, à l'abri des autres requêtes
+    const body = (method === 'POST' || method === 'PUT') ? await readJSONBody(req) : null;
+    if ((method === 'POST' || method === 'PUT') && !isJSONObject(body)) {
+        sendJSON(res, 400, {
+            error: Array.isArray(body) && !patientId ?
+                'Le remplacement de la liste complète n\'est plus pris en charge' :
+                'Le corps de la requête doit être un objet JSON'
+        });
+        return;
+    }
+    const now = Date.now();
+
+    // Collection : /api/patients
+    if (!patientId) {
+        if (method === 'GET') {
+            const patients = loadPatients();
+            auditLog.recordAudit({ user, action: AUDIT_ACTIONS.patientList, details: { count: patients.length } });
+            sendJSON(res, 200, patients.map(presentPatient));
+        } else if (method === 'POST') {
+            const submitted = canWriteClinical ? body : mergeRestrictedPatient(null, body);
+            const validation = validatePatient(submitted);
+            if (!validation.isValid) {
+                sendValidationError(res, 'Données du patient invalides', validation.errors);
+                return;
+            }
+
+            const patients = loadPatients();
+            if (submitted.id && patients.some(p => p.id === submitted.id)) {
+                sendJSON(res, 409, { error: 'Un patient avec cet identifiant existe déjà' });
+                return;
+            }
+
+            const patient = {
+                ...submitted,
+                id: submitted.id || generateId(),
+                visits: (submitted.visits || []).map(visit => ({
+                    ...visit,
+                    id: visit.id || generateId(),
+                    createdAt: visit.createdAt || now
+                })),
+                createdAt: now,
+                updatedAt: now,
+                revision: 1
+            };
+
+            patients.push(patient);
+            if (!savePatients(patients, { op: 'put', patient })) {
+                sendJSON(res, 500, { error: 'Échec de la sauvegarde des données' });
+                return;
+            }
+            patientHistory.recordRevision(patient, user);
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.patientCreate,
+                patientId: patient.id,
+                changes: diffPatientRecords(null, patient)
+            });
+            sendJSON(res, 201, presentPatient(patient), { ETag: revisionETag(patient) });
+        } else {
+            sendJSON(res, 405, { error: 'Méthode non autorisée' });
+        }
+        return;
+    }
+
+    const patients = loadPatients();
+    const patientIndex = patients.findIndex(p => p.id === patientId);
+    if (patientIndex === -1) {
+        sendJSON(res, 404, { error: 'Patient introuvable' });
+        return;
+    }
+    const existing = patients[patientIndex];
+
+    // Historique des révisions : /api/patients/:id/history[/:revision]
+    if (isHistoryRoute) {
+        if (method !== 'GET') {
+            sendJSON(res, 405, { error: 'Méthode non autorisée' });
+            return;
+        }
+
+        const revisions = patientHistory.loadHistory(patientId)
+            .map(entry => ({ ...entry, data: presentPatient(entry.data) }));
+        auditLog.recordAudit({ user, action: AUDIT_ACTIONS.patientView, patientId, details: { history: true } });
+
+        if (revision === null) {
+            sendJSON(res, 200, revisions);
+            return;
+        }
+
+        const entry = revisions.find(r => r.revision === revision);
+        if (!entry) {
+            sendJSON(res, 404, { error: 'Révision introuvable' });
+            return;
+        }
+        sendJSON(res, 200, entry);
+        return;
+    }
+
+    // Ressource patient : /api/patients/:id
+    if (!isVisitRoute) {
+        if (method === 'GET') {
+            auditLog.recordAudit({ user, action: AUDIT_ACTIONS.patientView, patientId });
+            sendJSON(res, 200, presentPatient(existing), { ETag: revisionETag(existing) });
+        } else if (method === 'PUT') {
+            if (!checkRevision(req, res, existing, presentPatient(existing))) {
+                return;
+            }
+
+            let updated = {
+                ...body,
+                id: patientId,
+                visits: Array.isArray(body.visits) ? body.visits : existing.visits || [],
+                createdAt: existing.createdAt,
+                updatedAt: now,
+                revision: (existing.revision || 0) + 1
+            };
+            if (!canWriteClinical) {
+                updated = mergeRestrictedPatient(existing, updated);
+            }
+
+            const validation = validatePatient(updated);
+            if (!validation.isValid) {
+                sendValidationError(res, 'Données du patient invalides', validation.errors);
+                return;
+            }
+
+            patients[patientIndex] = updated;
+            if (!savePatients(patients, { op: 'put', patient: updated })) {
+                sendJSON(res, 500, { error: 'Échec de la sauvegarde des données' });
+                return;
+            }
+            patientHistory.recordRevision(updated, user, existing);
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.patientUpdate,
+                patientId,
+                changes: diffPatientRecords(existing, updated)
+            });
+            sendJSON(res, 200, presentPatient(updated), { ETag: revisionETag(updated) });
+        } else if (method === 'DELETE') {
+            if (!roleHasPermission(user.role, 'patients:delete')) {
+                sendForbidden(res);
+                return;
+            }
+            if (!checkRevision(req, res, existing, presentPatient(existing))) {
+                return;
+            }
+
+            // Le patient est conservé dans la corbeille jusqu'à sa restauration ou sa purge
+            if (!patientTrash.moveToTrash(existing, user)) {
+                sendJSON(res, 500, { error: 'Échec du placement du patient dans la corbeille' });
+                return;
+            }
+            patients.splice(patientIndex, 1);
+            if (!savePatients(patients, { op: 'delete', patientId })) {
+                patientTrash.takeFromTrash(patientId);
+                sendJSON(res, 500, { error: 'Échec de la suppression du patient' });
+                return;
+            }
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.patientDelete,
+                patientId,
+                changes: diffPatientRecords(existing, null)
+            });
+            sendJSON(res, 200, { success: true });
+        } else {
+            sendJSON(res, 405, { error: 'Méthode non autorisée' });
+        }
+        return;
+    }
+
+    const visits = existing.visits || [];
+    // Copie de la version actuelle, avant modification des visites
+    const previousPatient = { ...existing, visits: [...visits] };
+
+    // Collection de visites : /api/patients/:id/visits
+    if (!visitId) {
+        if (method === 'GET') {
+            auditLog.recordAudit({ user, action: AUDIT_ACTIONS.patientView, patientId });
+            sendJSON(res, 200, visits.map(presentVisit), { ETag: revisionETag(existing) });
+        } else if (method === 'POST') {
+            const submitted = canWriteClinical ? body : mergeRestrictedVisit(null, body);
+            const validation = validateVisit(submitted);
+            if (!validation.isValid) {
+                sendValidationError(res, 'Données de la visite invalides', validation.errors);
+                return;
+            }
+
+            const visit = { ...submitted, id: generateId(), createdAt: now };
+            existing.visits = [...visits, visit];
+            existing.updatedAt = now;
+            existing.revision = (existing.revision || 0) + 1;
+
+            if (!savePatients(patients, { op: 'put', patient: existing })) {
+                sendJSON(res, 500, { error: 'Échec de la sauvegarde de la visite' });
+                return;
+            }
+            patientHistory.recordRevision(existing, user, previousPatient);
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.visitCreate,
+                patientId,
+                visitId: visit.id,
+                changes: diffVisitRecords(null, visit)
+            });
+            sendJSON(res, 201, presentVisit(visit), { ETag: revisionETag(existing) });
+        } else {
+            sendJSON(res, 405, { error: 'Méthode non autorisée' });
+        }
+        return;
+    }
+
+    // Ressource visite : /api/patients/:id/visits/:visitId
+    const visitIndex = visits.findIndex(v => v.id === visitId);
+    if (visitIndex === -1) {
+        sendJSON(res, 404, { error: 'Visite introuvable' });
+        return;
+    }
+
+    if (method === 'GET') {
+        auditLog.recordAudit({ user, action: AUDIT_ACTIONS.patientView, patientId, visitId });
+        sendJSON(res, 200, presentVisit(visits[visitIndex]), { ETag: revisionETag(existing) });
+    } else if (method === 'PUT') {
+        if (!checkRevision(req, res, existing, presentPatient(existing))) {
+            return;
+        }
+
+        let visit = {
+            ...visits[visitIndex],
+            ...body,
+            id: visitId,
+            createdAt: visits[visitIndex].createdAt,
+            updatedAt: now
+        };
+        if (!canWriteClinical) {
+            visit = mergeRestrictedVisit(visits[visitIndex], visit);
+        }
+
+        const validation = validateVisit(visit);
+        if (!validation.isValid) {
+            sendValidationError(res, 'Données de la visite invalides', validation.errors);
+            return;
+        }
+
+        const previousVisit = visits[visitIndex];
+        visits[visitIndex] = visit;
+        existing.updatedAt = now;
+        existing.revision = (existing.revision || 0) + 1;
+        if (!savePatients(patients, { op: 'put', patient: existing })) {
+            sendJSON(res, 500, { error: 'Échec de la sauvegarde de la visite' });
+            return;
+        }
+        patientHistory.recordRevision(existing, user, previousPatient);
+        auditLog.recordAudit({
+            user,
+            action: AUDIT_ACTIONS.visitUpdate,
+            patientId,
+            visitId,
+            changes: diffVisitRecords(previousVisit, visit)
+        });
+        sendJSON(res, 200, presentVisit(visit), { ETag: revisionETag(existing) });
+    } else if (method === 'DELETE') {
+        // Une visite contenant des données cliniques ne peut être supprimée que par un médecin
+        if (!canWriteClinical && visitHasClinicalData(visits[visitIndex])) {
+            sendForbidden(res);
+            return;
+        }
+        if (!checkRevision(req, res, existing, presentPatient(existing))) {
+            return;
+        }
+
+        const [removedVisit] = visits.splice(visitIndex, 1);
+        existing.updatedAt = now;
+        existing.revision = (existing.revision || 0) + 1;
+        if (!savePatients(patients, { op: 'put', patient: existing })) {
+            sendJSON(res, 500, { error: 'Échec de la suppression de la visite' });
+            return;
+        }
+        patientHistory.recordRevision(existing, user, previousPatient);
+        auditLog.recordAudit({
+            user,
+            action: AUDIT_ACTIONS.visitDelete,
+            patientId,
+            visitId,
+            changes: diffVisitRecords(removedVisit, null)
+        });
+        sendJSON(res, 200, { success: true }, { ETag: revisionETag(existing) });
+    } else {
+        sendJSON(res, 405, { error: 'Méthode non autorisée' });
+    }
+}
+
+// Gérer les pièces jointes : /api/patients/:id/attachments[/:attachmentId[/thumbnail]]
+// Le dossier peut n'être tenu que dans le navigateur (application modulaire) : le patient
+// n'est pas recherché dans patients.json, seules ses pièces jointes le sont.
+// ?content=1 sur la liste renvoie aussi le contenu en base64 (export du dossier),
+// ?download=1 sur une pièce jointe la propose au téléchargement plutôt qu'à l'affichage.
+async function handleAttachmentsAPI(req, res, route, query, user) {
+    const { patientId, attachmentId, isThumbnailRoute } = route;
+    const method = req.method;
+
+    if (!patientId) {
+        sendJSON(res, 404, { error: 'Point de terminaison API introuvable' });
+        return;
+    }
+    if (!roleHasPermission(user.role, method === 'GET' ? 'clinical:read' : 'clinical:write')) {
+        sendForbidden(res);
+        return;
+    }
+
+    // Collection : /api/patients/:id/attachments
+    if (!attachmentId) {
+        if (method === 'GET' && query.content) {
+            const exported = attachments.exportAttachments(patientId);
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.attachmentView,
+                patientId,
+                details: { export: true, count: exported.length }
+            });
+            sendJSON(res, 200, { patientId, attachments: exported });
+        } else if (method === 'GET') {
+            const list = attachments.listAttachments(patientId);
+            sendJSON(res, 200, { attachments: list, usage: attachmentUsage(list) });
+        } else if (method === 'POST') {
+            const body = await readJSONBody(req, ATTACHMENT_BODY_MAX_BYTES);
+            const attachment = attachments.saveAttachment(patientId, body, user);
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.attachmentUpload,
+                patientId,
+                visitId: attachment.visitId || undefined,
+                details: { attachmentId: attachment.id, name: attachment.name, type: attachment.type, size: attachment.size }
+            });
+            sendJSON(res, 201, attachment);
+        } else {
+            sendJSON(res, 405, { error: 'Méthode non autorisée' });
+        }
+        return;
+    }
+
+    // Ressource : /api/patients/:id/attachments/:attachmentId[/thumbnail]
+    const attachment = attachments.findAttachment(patientId, attachmentId);
+    if (!attachment) {
+        sendJSON(res, 404, { error: 'Pièce jointe introuvable' });
+        return;
+    }
+
+    if (method === 'GET') {
+        const content = attachments.readAttachmentContent(patientId, attachmentId, isThumbnailRoute);
+        if (!content) {
+            sendJSON(res, 404, { error: isThumbnailRoute ? 'Miniature introuvable' : 'Contenu de la pièce jointe introuvable' });
+            return;
+        }
+        if (!isThumbnailRoute) {
+            auditLog.recordAudit({
+                user,
+                action: AUDIT_ACTIONS.attachmentView,
+                patientId,
+                visitId: attachment.visitId || undefined,
+                details: { attachmentId, name: attachment.name }
+            });
+        }
+        res.writeHead(200, {
+            'Content-Type': isThumbnailRoute ? 'image/jpeg' : attachment.mimeType,
+            'Content-Length': content.length,
+            'Content-Disposition': `${query.download ? 'attachment' : 'inline'}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(content);
+    } else if (method === 'DELETE' && !isThumbnailRoute) {
+        attachments.removeAttachment(patientId, attachmentId);
+        auditLog.recordAudit({
+            user,
+            action: AUDIT_ACTIONS.attachmentDelete,
+            patientId,
+            visitId: attachment.visitId || undefined,
+            details: { attachmentId, name: attachment.name }
+        });
+        sendJSON(res, 200, { success: true });
+    } else {
+        sendJSON(res, 405, { error: 'Méthode non autorisée' });
+    }
+}
+
+// Gérer la connexion, la déconnexion et la session courante
+async function handleAuthAPI(req, res, pathname) {
+    if (pathname === '/api/auth/login' && req.method === 'POST') {
+        const body = await readJSONBody(req);
+        const { username, password, passphrase } = isJSONObject(body) ? body : {};
+
+        if (!username || !password) {
+            sendJSON(res, 400, { error: 'Identifiant et mot de passe requis' });
+            return;
+        }
+
+        if (auth.isLockedOut(username)) {
+            sendJSON(res, 429, { error: 'Trop de tentatives de connexion. Veuillez réessayer plus tard.' });
+            return;
+        }
+
+        const user = await auth.authenticate(username, password);
+        if (!user) {
+            auditLog.recordAudit({
+                user: null,
+                action: AUDIT_ACTIONS.loginFailed,
+                details: { username: String(username).trim().toLowerCase() }
+            });
+            sendJSON(res, 401, { error: 'Identifiant ou mot de passe incorrect' });
+            return;
+        }
+
+        // Données chiffrées : la phrase secrète du cabinet les déverrouille à la connexion
+        if (encryption.isConfigured()) {
+            if (!passphrase && encryption.isLocked()) {
+                sendJSON(res, 423, { error: 'Phrase secrète du cabinet requise', locked: true });
+                return;
+            }
+            const wasLocked = encryption.isLocked();
+            if (passphrase && !encryption.unlock(passphrase)) {
+                auditLog.recordAudit({
+                    user: auth.publicUser(user),
+                    action: AUDIT_ACTIONS.loginFailed,
+                    details: { reason: 'passphrase' }
+                });
+                sendJSON(res, 423, { error: 'Phrase secrète du cabinet incorrecte', locked: encryption.isLocked() });
+                return;
+            }
+            if (wasLocked) {
+                checkDataFiles();
+                reportAuditStatus();
+            }
+        }
+
+        auditLog.recordAudit({ user: auth.publicUser(user), action: AUDIT_ACTIONS.login });
+        const token = auth.createSession(user);
+        sendJSON(res, 200, { user: auth.publicUser(user) }, { 'Set-Cookie': auth.sessionCookie(token) });
+    } else if (pathname === '/api/auth/logout' && req.method === 'POST') {
+        const user = auth.getSessionUser(req);
+        if (user) {
+            auditLog.recordAudit({ user, action: AUDIT_ACTIONS.logout });
+        }
+        auth.destroySession(auth.getSessionToken(req));
+        sendJSON(res, 200, { success: true }, { 'Set-Cookie': auth.sessionCookie(null) });
+    } else if (pathname === '/api/auth/session' && req.method === 'GET') {
+        const user = auth.getSessionUser(req);
+
+        if (!user) {
+            sendJSON(res, 401, { error: 'Authentification requise' });
+            return;
+        }
+        sendJSON(res, 200, { user: user });
+    } else {
+        sendJSON(res, 404, { error: 'Point de terminaison API introuvable' });
+    }
+}
+
+// Gérer l'administration des comptes utilisateurs (médecins uniquement)
+async function handleUsersAPI(req, res, pathname, user) {
+    if (!roleHasPermission(user.role, 'users:manage')) {
+        sendForbidden(res);
+        return;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    const userId = segments[2] ? decodeURIComponent(segments[2]) : null;
+    const body = (req.method === 'POST' || req.method === 'PUT') ? await readJSONBody(req) : null;
+    if ((req.method === 'POST' || req.method === 'PUT') && !isJSONObject(body)) {
+        sendJSON(res, 400, { error: 'Le corps de la requête doit être un objet JSON' });
+        return;
+    }
+
+    try {
+        if (!userId && req.method === 'GET') {
+            sendJSON(res, 200, auth.loadUsers().map(auth.publicUser));
+        } else if (!userId && req.method === 'POST') {
+            const created = await auth.createUser({
+                username: body.username,
+                displayName: body.displayName,
+                role: body.role,
+                password: body.password
+            });
+            sendJSON(res, 201, created);
+        } else if (userId && req.method === 'PUT') {
+            const updated = await auth.updateUser(userId, {
+                displayName: body.displayName,
+                role: body.role,
+                password: body.password || undefined
+            });
+            if (!updated) {
+                sendJSON(res, 404, { error: 'Compte introuvable' });
+                return;
+            }
+            sendJSON(res, 200, updated);
+        } else if (userId && req.method === 'DELETE') {
+            if (userId === user.id) {
+                sendJSON(res, 400, { error: 'Vous ne pouvez pas supprimer votre propre compte' });
+                return;
+            }
+            if (!auth.removeUser(userId)) {
+                sendJSON(res, 404, { error: 'Compte introuvable' });
+                return;
+            }
+            sendJSON(res, 200, { success: true });
+        } else {
+            sendJSON(res, 405, { error: 'Méthode non autorisée' });
+        }
+    } catch (error) {
+        // Erreurs de validation des comptes (identifiant existant, rôle inconnu, etc.)
+        sendJSON(res, 400, { error: error.message });
+    }
+}
+
+// Gérer la corbeille : /api/trash[/:id[/restore]]
+async function handleTrashAPI(req, res, pathname, user) {
+    if (!roleHasPermission(user.role, 'patients:delete')) {
+        sendForbidden(res);
+        return;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    const patientId = segments[2] ? decodeURIComponent(segments[2]) : null;
+    const isRestoreRoute = segments[3] === 'restore';
+    const presentPatient = patient => (roleHasPermission(user.role, 'clinical:read') ? patient : redactPatient(patient));
+
+    if (!patientId && segments.length === 2 && req.method === 'GET') {
+        sendJSON(res, 200, patientTrash.listTrash().map(entry => ({ ...entry, patient: presentPatient(entry.patient) })));
+    } else if (patientId && isRestoreRoute && segments.length === 4 && req.method === 'POST') {
+        const entry = patientTrash.listTrash().find(e => e.patient.id === patientId);
+        if (!entry) {
+            sendJSON(res, 404, { error: 'Patient introuvable dans la corbeille' });
+            return;
+        }
+
+        const patients = loadPatients();
+        if (patients.some(p => p.id === patientId)) {
+            sendJSON(res, 409, { error: 'Un patient avec cet identifiant existe déjà' });
+            return;
+        }
+
+        const restored = { ...entry.patient, revision: (entry.patient.revision || 0) + 1, updatedAt: Date.now() };
+        patients.push(restored);
+        if (!savePatients(patients, { op: 'put', patient: restored })) {
+            sendJSON(res, 500, { error: 'Échec de la restauration du patient' });
+            return;
+        }
+        patientTrash.takeFromTrash(patientId);
+        patientHistory.recordRevision(restored, user, entry.patient);
+        auditLog.recordAudit({
+            user,
+            action: AUDIT_ACTIONS.patientRestore,
+            patientId,
+            changes: diffPatientRecords(null, restored)
+        });
+        sendJSON(res, 200, presentPatient(restored), { ETag: revisionETag(restored) });
+    } else if (patientId && segments.length === 3 && req.method === 'DELETE') {
+        if (!patientTrash.purgeFromTrash(patientId)) {
+            sendJSON(res, 404, { error: 'Patient introuvable dans la corbeille' });
+            return;
+        }
+        auditLog.recordAudit({ user, action: AUDIT_ACTIONS.patientPurge, patientId });
+        sendJSON(res, 200, { success: true });
+    } else {
+        sendJSON(res, 404, { error: 'Point de terminaison API introuvable' });
+    }
+}
+
+// Purger les patients restés dans la corbeille au-delà de la durée de rétention
+function purgeExpiredTrash() {
+    if (encryption.isLocked()) {
+        return;
+    }
+
+    try {
+        patientTrash.purgeExpired().forEach(entry => {
+            auditLog.recordAudit({
+                user: null,
+                action: AUDIT_ACTIONS.patientPurge,
+                patientId: entry.patient.id,
+                details: { reason: 'retention', retentionDays: patientTrash.RETENTION_DAYS }
+            });
+        });
+    } catch (error) {
+        console.error('Échec de la purge automatique de la corbeille :', error);
+    }
+}
+
+// Gérer les sauvegardes : liste, création, vérification et restauration (médecins uniquement)
+async function handleBackupsAPI(req, res, pathname, user) {
+    if (!roleHasPermission(user.role, 'backups:manage')) {
+        sendForbidden(res);
+        return;
+    }
+
+    const segments = pathname.split('/').filter(Boolean);
+    const name = segments[2] ? decodeURIComponent(segments[2]) : null;
+    const action = segments[3] || null;
+
+    if (name && !backups.isBackupName(name)) {
+        sendJSON(res, 404, { error: 'Sauvegarde introuvable' });
+        return;
+    }
+
+    if (!name && req.method === 'GET') {
+        sendJSON(res, 200, {
+            directory: backups.BACKUP_DIR,
+            intervalHours: backups.INTERVAL_HOURS,
+            backups: backups.listBackups()
+        });
+    } else if (!name && req.method === 'POST') {
+        const backup = await backups.createBackup('manual');
+        auditLog.recordAudit({ user, action: AUDIT_ACTIONS.backupCreate, details: { name: backup.name } });
+        sendJSON(res, 201, backup);
+    } else if (name && action === 'verify' && req.method === 'GET') {
+        const result = await backups.verifyBackup(name);
+        sendJSON(res, result.reason === 'Sauvegarde introuvable' ? 404 : 200, result);
+    } else if (name && action === 'restore' && req.method === 'POST') {
+        if (backups.isRestoring()) {
+            sendJSON(res, 409, { error: 'Une restauration est déjà en cours' });
+            return;
+        }
+
+        const verification = await backups.verifyBackup(name);
+        if (!verification.valid) {
+            sendJSON(res, verification.reason === 'Sauvegarde introuvable' ? 404 : 409, {
+                error: `Sauvegarde invalide : ${verification.reason}`
+            });
+            return;
+        }
+
+        const result = await backups.restoreBackup(name);
+        // Les modifications journalisées dans la sauvegarde sont rejouées ; sans la clé,
+        // elles le seront à la prochaine connexion
+        if (!encryption.isLocked()) {
+            replayJournal();
+        }
+        auditLog.recordAudit({
+            user,
+            action: AUDIT_ACTIONS.backupRestore,
+            details: { name, createdAt: result.createdAt, preRestore: result.preRestore }
+        });
+        sendJSON(res, 200, result);
+    } else {
+        sendJSON(res, 405, { error: 'Méthode non autorisée' });
+    }
+}
+
+// Sauvegarde planifiée : une nouvelle archive dès que la dernière est plus ancienne que l'intervalle
+let scheduledBackupRunning = false;
+
+async function runScheduledBackup() {
+    if (scheduledBackupRunning || backups.isRestoring()) {
+        return;
+    }
+    scheduledBackupRunning = true;
+
+    try {
+        if (backups.isBackupDue()) {
+            const backup = await backups.createBackup('scheduled');
+            auditLog.recordAudit({ user: null, action: AUDIT_ACTIONS.backupCreate, details: { name: backup.name } });
+            console.log(`💾 Sauvegarde créée : ${backup.name}`);
+        }
+    } catch (error) {
+        console.error('Échec de la sauvegarde planifiée :', error);
+    } finally {
+        scheduledBackupRunning = false;
+    }
+}
+
+// Gérer le journal d'audit : consultation, vérification et événements signalés par le navigateur
+async function handleAuditAPI(req, res, pathname, query, user) {
+    if (pathname === '/api/audit' && req.method === 'POST') {
+        // Tout utilisateur connecté peut signaler ses propres accès ; l'identité vient de la session
+        const body = await readJSONBody(req);
+        if (!isJSONObject(body)) {
+            sendJSON(res, 400, { error: 'Le corps de la requête doit être un objet JSON' });
+            return;
+        }
+        const { action, patientId, visitId, changes, details } = body;
+
+        if (!CLIENT_AUDIT_ACTIONS.includes(action)) {
+            sendJSON(res, 400, { error: `Action d'audit non prise en charge : ${action}` });
+            return;
+        }
+
+        const entry = auditLog.appendAuditEntry({
+            user,
+            action,
+            patientId: patientId || null,
+            visitId,
+            changes: Array.isArray(changes) ? changes : undefined,
+            details: details && typeof details === 'object' ? details : undefined,
+            source: 'client'
+        });
+        sendJSON(res, 201, { seq: entry.seq });
+        return;
+    }
+
+    if (!roleHasPermission(user.role, 'audit:read')) {
+        sendForbidden(res);
+        return;
+    }
+
+    if (pathname === '/api/audit' && req.method === 'GET') {
+        sendJSON(res, 200, auditLog.queryAuditLog({
+            patientId: query.patientId,
+            user: query.user,
+            action: query.action,
+            from: query.from,
+            to: query.to,
+            limit: query.limit
+        }));
+    } else if (pathname === '/api/audit/verify' && req.method === 'GET') {
+        sendJSON(res, 200, auditLog.verifyAuditLog());
+    } else {
+        sendJSON(res, 404, { error: 'Point de terminaison API introuvable' });
+    }
+}
+
 // Gérer les requêtes API
 function handleAPI(req, res, pathname, query) {
     // Définir les en-têtes CORS
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
 
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -76,90 +1016,106 @@ function handleAPI(req, res, pathname, query) {
         return;
     }
 
-    if (pathname === '/api/patients') {
-        if (req.method === 'GET') {
-            // Obtenir tous les patients
-            const patients = readJSONFile(DATA_FILE);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(patients));
-        } else if (req.method === 'POST') {
-            // Sauvegarder les données des patients
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            req.on('end', () => {
-                try {
-                    const patients = JSON.parse(body);
-                    if (writeJSONFile(DATA_FILE, patients)) {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true }));
-                    } else {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Échec de la sauvegarde des données' }));
-                    }
-                } catch (error) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Données JSON invalides' }));
-                }
-            });
-        }
-    } else if (pathname === '/api/sessions') {
-        if (req.method === 'GET') {
-            // Obtenir les données de session
-            const sessionId = query.sessionId;
-            if (sessionId) {
-                const sessions = readJSONFile(SESSIONS_FILE);
-                const session = sessions[sessionId];
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(session || null));
+    if (!isDecodablePath(pathname)) {
+        sendJSON(res, 400, { error: 'Adresse invalide : encodage incorrect' });
+        return;
+    }
+
+    // Routes publiques d'authentification
+    if (pathname.startsWith('/api/auth/')) {
+        handleAuthAPI(req, res, pathname).catch(error => {
+            console.error('Error handling auth request:', error);
+            if (error instanceof SyntaxError) {
+                sendJSON(res, 400, { error: 'Données JSON invalides' });
             } else {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'ID de session requis' }));
+                sendJSON(res, 500, { error: 'Erreur interne du serveur' });
             }
-        } else if (req.method === 'POST') {
-            // Sauvegarder les données de session
-            let body = '';
-            req.on('data', chunk => {
-                body += chunk.toString();
-            });
-            req.on('end', () => {
-                try {
-                    const { sessionId, sessionData } = JSON.parse(body);
-                    const sessions = readJSONFile(SESSIONS_FILE);
-                    sessions[sessionId] = sessionData;
-
-                    if (writeJSONFile(SESSIONS_FILE, sessions)) {
-                        res.writeHead(200, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ success: true }));
-                    } else {
-                        res.writeHead(500, { 'Content-Type': 'application/json' });
-                        res.end(JSON.stringify({ error: 'Échec de la sauvegarde de la session' }));
-                    }
-                } catch (error) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Données JSON invalides' }));
-                }
-            });
-        } else if (req.method === 'DELETE') {
-            // Supprimer la session
-            const sessionId = query.sessionId;
-            if (sessionId) {
-                const sessions = readJSONFile(SESSIONS_FILE);
-                delete sessions[sessionId];
-
-                if (writeJSONFile(SESSIONS_FILE, sessions)) {
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ success: true }));
-                } else {
-                    res.writeHead(500, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Échec de la suppression de la session' }));
-                }
+        });
+        return;
+    }
+
+    // Toutes les autres routes exigent une session valide
+    const user = auth.getSessionUser(req);
+    if (!user) {
+        sendJSON(res, 401, { error: 'Authentification requise' });
+        return;
+    }
+
+    const patientRoute = matchPatientRoute(pathname);
+    const trashRoute = pathname === '/api/trash' || pathname.startsWith('/api/trash/');
+    const auditRoute = pathname === '/api/audit' || pathname.startsWith('/api/audit/');
+
+    // Les données chiffrées (le journal d'audit compris) restent inaccessibles tant que la
+    // phrase secrète n'a pas été fournie
+    if ((patientRoute || trashRoute || auditRoute) && encryption.isLocked()) {
+        sendJSON(res, 423, { error: 'Données patients verrouillées : reconnectez-vous avec la phrase secrète du cabinet', locked: true });
+        return;
+    }
+
+    // Pendant une restauration, les fichiers patients sont remplacés : aucune lecture ni écriture
+    if ((patientRoute || trashRoute) && backups.isRestoring()) {
+        sendJSON(res, 503, { error: 'Restauration d\'une sauvegarde en cours, réessayez dans un instant' });
+        return;
+    }
+
+    if (patientRoute && patientRoute.isAttachmentRoute) {
+        handleAttachmentsAPI(req, res, patientRoute, query, user).catch(error => {
+            console.error('Error handling attachment request:', error);
+            if (error.code === 'EATTACHMENT') {
+                sendJSON(res, error.status, { error: error.message, details: error.details });
+            } else if (error.code === 'ETOOLARGE') {
+                sendJSON(res, 413, { error: `Fichier trop volumineux (maximum ${ATTACHMENT_CONFIG.maxFileBytes / (1024 * 1024)} Mo)` });
+            } else if (error instanceof SyntaxError) {
+                sendJSON(res, 400, { error: 'Données JSON invalides' });
+            } else if (error.code === 'ECORRUPT') {
+                sendJSON(res, 500, { error: 'Fichier de données corrompu : copié en quarantaine, aucune modification enregistrée' });
             } else {
-                res.writeHead(400, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'ID de session requis' }));
+                sendJSON(res, 500, { error: 'Erreur interne du serveur' });
             }
-        }
+        });
+    } else if (patientRoute) {
+        handlePatientsAPI(req, res, patientRoute, user).catch(error => {
+            console.error('Error handling patient request:', error);
+            if (error instanceof SyntaxError) {
+                sendJSON(res, 400, { error: 'Données JSON invalides' });
+            } else if (error.code === 'ECORRUPT') {
+                sendJSON(res, 500, { error: 'Fichier de données corrompu : copié en quarantaine, aucune modification enregistrée' });
+            } else {
+                sendJSON(res, 500, { error: 'Erreur interne du serveur' });
+            }
+        });
+    } else if (pathname === '/api/users' || pathname.startsWith('/api/users/')) {
+        handleUsersAPI(req, res, pathname, user).catch(error => {
+            console.error('Error handling users request:', error);
+            if (error instanceof SyntaxError) {
+                sendJSON(res, 400, { error: 'Données JSON invalides' });
+            } else {
+                sendJSON(res, 500, { error: 'Erreur interne du serveur' });
+            }
+        });
+    } else if (trashRoute) {
+        handleTrashAPI(req, res, pathname, user).catch(error => {
+            console.error('Error handling trash request:', error);
+            if (error.code === 'ECORRUPT') {
+                sendJSON(res, 500, { error: 'Fichier de données corrompu : copié en quarantaine, aucune modification enregistrée' });
+            } else {
+                sendJSON(res, 500, { error: 'Erreur interne du serveur' });
+            }
+        });
+    } else if (pathname === '/api/backups' || pathname.startsWith('/api/backups/')) {
+        handleBackupsAPI(req, res, pathname, user).catch(error => {
+            console.error('Error handling backups request:', error);
+            sendJSON(res, 500, { error: `Erreur lors de l'opération de sauvegarde : ${error.message}` });
+        });
+    } else if (auditRoute) {
+        handleAuditAPI(req, res, pathname, query, user).catch(error => {
+            console.error('Error handling audit request:', error);
+            if (error instanceof SyntaxError) {
+                sendJSON(res, 400, { error: 'Données JSON invalides' });
+            } else {
+                sendJSON(res, 500, { error: 'Erreur interne du serveur' });
+            }
+        });
     } else {
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Point de terminaison API introuvable' }));
@@ -186,64 +1142,171 @@ function serveStaticFile(req, res, filePath) {
     });
 }
 
-// Créer le serveur HTTP
-const server = http.createServer((req, res) => {
-    const parsedUrl = url.parse(req.url, true);
-    const pathname = parsedUrl.pathname;
-    const query = parsedUrl.query;
+// Traiter une requête HTTP : API ou fichier statique
+function handleRequest(req, res) {
+    // Une erreur imprévue ne doit faire échouer que la requête, jamais arrêter le serveur
+    try {
+        const parsedUrl = url.parse(req.url, true);
+        const pathname = parsedUrl.pathname;
+        const query = parsedUrl.query;
 
-    console.log(`${req.method} ${pathname}`);
+        console.log(`${req.method} ${pathname}`);
 
-    // Gérer les requêtes API
-    if (pathname.startsWith('/api/')) {
-        handleAPI(req, res, pathname, query);
-        return;
+        // Gérer les requêtes API
+        if (pathname.startsWith('/api/')) {
+            handleAPI(req, res, pathname, query);
+            return;
+        }
+
+        // Gérer les requêtes de fichiers statiques
+        let filePath = path.join(__dirname, pathname === '/' ? 'index.html' : pathname);
+
+        // Vérification de sécurité - empêcher la traversée de répertoires
+        // et l'accès direct aux données ou au code du serveur
+        const relativeRoot = path.relative(__dirname, filePath).split(path.sep)[0];
+        if (!filePath.startsWith(__dirname) || PRIVATE_DIRECTORIES.includes(relativeRoot)) {
+            res.writeHead(403);
+            res.end('Interdit');
+            return;
+        }
+
+        serveStaticFile(req, res, filePath);
+    } catch (error) {
+        console.error('Error handling request:', error);
+        if (res.headersSent) {
+            res.end();
+        } else {
+            sendJSON(res, 500, { error: 'Erreur interne du serveur' });
+        }
+    }
+}
+
+// Vérifier la chaîne du journal d'audit et en afficher l'état
+function reportAuditStatus() {
+    const auditStatus = auditLog.verifyAuditLog();
+    if (auditStatus.valid) {
+        console.log(`\n🧾 Journal d'audit : ${auditStatus.entries} entrées, chaîne intègre`);
+    } else {
+        console.log(`\n🚨 Journal d'audit altéré à l'entrée ${auditStatus.brokenAt} : ${auditStatus.reason}`);
     }
+}
 
-    // Gérer les requêtes de fichiers statiques
-    let filePath = path.join(__dirname, pathname === '/' ? 'index.html' : pathname);
+// Vérifier les données, démarrer le serveur et planifier les tâches périodiques
+function startServer() {
+    // Un changement de phrase secrète interrompu laisse des fichiers sous deux clés différentes
+    if (encryption.hasPendingChange()) {
+        console.error('❌ Un changement de phrase secrète du cabinet a été interrompu');
+        console.error('   Terminez-le avant de démarrer le serveur : node server/manage-encryption.js resume');
+        process.exit(1);
+    }
 
-    // Vérification de sécurité - empêcher la traversée de répertoires
-    if (!filePath.startsWith(__dirname)) {
-        res.writeHead(403);
-        res.end('Interdit');
-        return;
+    // Déverrouiller les données dès le démarrage si la phrase secrète est fournie par l'environnement
+    if (process.env.PMS_PASSPHRASE && !encryption.unlock(process.env.PMS_PASSPHRASE)) {
+        console.error('❌ PMS_PASSPHRASE ne correspond pas à la phrase secrète du cabinet');
+        process.exit(1);
+    }
+
+    try {
+        checkDataFiles();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error.code === 'ECORRUPT') {
+            console.error('   Le serveur refuse de démarrer pour ne pas écraser ces données.');
+            console.error('   Réparez ou restaurez le fichier (une copie est conservée en quarantaine), puis relancez le serveur.');
+        }
+        process.exit(1);
     }
 
-    serveStaticFile(req, res, filePath);
-});
+    // Créer le serveur HTTP
+    const server = http.createServer(handleRequest);
+
+    // Démarrer le serveur
+    server.listen(PORT, 'localhost', () => {
+        console.log(`🚀 Serveur du Système de Gestion des Patients en cours d'exécution sur http://localhost:${PORT}`);
+        console.log(`📁 Données stockées dans : ${dataDir}`);
+        console.log(`🔒 Fichier de sessions : ${SESSIONS_FILE}`);
+        console.log(`👥 Fichier des patients : ${DATA_FILE}`);
+        console.log('\n📋 Points de terminaison disponibles :');
+        console.log('   GET  /                     - Application principale');
+        console.log('   GET  /login.html           - Page de connexion');
+        console.log('   GET  /complete-patient-system.html - Gestion des patients');
+        console.log('   GET  /api/patients         - Obtenir tous les patients');
+        console.log('   POST /api/patients         - Créer un patient');
+        console.log('   GET|PUT|DELETE /api/patients/:id - Lire, modifier ou supprimer un patient');
+        console.log('   GET|POST /api/patients/:id/visits - Lister ou ajouter des visites');
+        console.log('   GET|PUT|DELETE /api/patients/:id/visits/:visitId - Gérer une visite');
+        console.log('   GET  /api/patients/:id/history[/:revision] - Historique des révisions d\'un patient');
+        console.log('   GET|POST /api/patients/:id/attachments - Lister ou ajouter des pièces jointes');
+        console.log('   GET|DELETE /api/patients/:id/attachments/:attachmentId[/thumbnail] - Afficher ou supprimer une pièce jointe');
+        console.log('   POST /api/auth/login       - Se connecter (cookie de session HttpOnly)');
+        console.log('   POST /api/auth/logout      - Se déconnecter');
+        console.log('   GET  /api/auth/session     - Obtenir l\'utilisateur connecté');
+        console.log('   GET|POST /api/users        - Lister ou créer des comptes (médecin)');
+        console.log('   PUT|DELETE /api/users/:id  - Modifier ou supprimer un compte (médecin)');
+        console.log('   GET  /api/trash            - Lister la corbeille (médecin)');
+        console.log('   POST /api/trash/:id/restore - Restaurer un patient supprimé (médecin)');
+        console.log('   DELETE /api/trash/:id      - Supprimer définitivement un patient (médecin)');
+        console.log('   GET|POST /api/backups      - Lister les sauvegardes ou en créer une (médecin)');
+        console.log('   GET  /api/backups/:name/verify - Vérifier une sauvegarde (médecin)');
+        console.log('   POST /api/backups/:name/restore - Restaurer une sauvegarde (médecin)');
+        console.log('   GET|POST /api/audit        - Consulter le journal d\'audit ou y signaler un accès');
+        console.log('   GET  /api/audit/verify     - Vérifier l\'intégrité du journal d\'audit');
+        console.log('\n🌐 Accès depuis n\'importe quel navigateur à : http://localhost:3000');
+
+        if (encryption.isLocked()) {
+            console.log('\n🧾 Journal d\'audit chiffré : vérifié à la première connexion');
+        } else {
+            reportAuditStatus();
+        }
+
+        if (!encryption.isConfigured()) {
+            console.log('\n⚠️  Données non chiffrées. Définissez la phrase secrète du cabinet avec :');
+            console.log('   node server/manage-encryption.js init');
+        } else if (encryption.isUnlocked()) {
+            console.log('\n🔐 Données patients chiffrées et déverrouillées (PMS_PASSPHRASE)');
+        } else {
+            console.log('\n🔐 Données patients chiffrées : déverrouillées à la première connexion avec la phrase secrète');
+        }
 
-// Démarrer le serveur
-server.listen(PORT, 'localhost', () => {
-    console.log(`🚀 Serveur du Système de Gestion des Patients en cours d'exécution sur http://localhost:${PORT}`);
-    console.log(`📁 Données stockées dans : ${dataDir}`);
-    console.log(`🔒 Fichier de sessions : ${SESSIONS_FILE}`);
-    console.log(`👥 Fichier des patients : ${DATA_FILE}`);
-    console.log('\n📋 Points de terminaison disponibles :');
-    console.log('   GET  /                     - Application principale');
-    console.log('   GET  /login.html           - Page de connexion');
-    console.log('   GET  /complete-patient-system.html - Gestion des patients');
-    console.log('   GET  /api/patients         - Obtenir tous les patients');
-    console.log('   POST /api/patients         - Sauvegarder les données des patients');
-    console.log('   GET  /api/sessions?sessionId=X - Obtenir la session');
-    console.log('   POST /api/sessions         - Sauvegarder la session');
-    console.log('   DELETE /api/sessions?sessionId=X - Supprimer la session');
-    console.log('\n🌐 Accès depuis n\'importe quel navigateur à : http://localhost:3000');
-});
+        runScheduledBackup();
+        console.log(`💾 Sauvegardes : ${backups.BACKUP_DIR} (toutes les ${backups.INTERVAL_HOURS} h)`);
 
-// Gérer l'arrêt du serveur de manière élégante
-process.on('SIGINT', () => {
-    console.log('\n🛑 Arrêt du serveur en cours...');
-    server.close(() => {
-        console.log('✅ Serveur fermé avec succès');
-        process.exit(0);
+        purgeExpiredTrash();
+        console.log(`🗑️  Corbeille : purge automatique après ${patientTrash.RETENTION_DAYS} jours`);
+
+        if (auth.loadUsers().length === 0) {
+            console.log('\n⚠️  Aucun compte utilisateur. Créez-en un avec :');
+            console.log('   node server/manage-users.js add <identifiant>');
+        }
+    });
+
+    // Purger la corbeille toutes les heures tant que le serveur tourne
+    setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+
+    // Vérifier toutes les heures si une sauvegarde planifiée est due
+    setInterval(runScheduledBackup, 60 * 60 * 1000).unref();
+
+    // Gérer l'arrêt du serveur de manière élégante
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Arrêt du serveur en cours...');
+        server.close(() => {
+            console.log('✅ Serveur fermé avec succès');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGTERM', () => {
-    console.log('\n🛑 Arrêt du serveur en cours...');
-    server.close(() => {
-        console.log('✅ Serveur fermé avec succès');
-        process.exit(0);
+    process.on('SIGTERM', () => {
+        console.log('\n🛑 Arrêt du serveur en cours...');
+        server.close(() => {
+            console.log('✅ Serveur fermé avec succès');
+            process.exit(0);
+        });
     });
-});
\ No newline at end of file
+}
+
+// Le serveur ne démarre que lancé directement (node server.js) ; les tests importent handleRequest
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { handleRequest };
@@ -0,0 +1,242 @@
+/**
+ * Pièces jointes des patients (radiographies, comptes rendus de scanner, courriers, EFR imprimées)
+ * Chaque patient a son dossier data/attachments/<id>/ : index.json décrit les pièces jointes,
+ * <pièce>.b64 contient le fichier et <pièce>.thumb.b64 la miniature d'une image, en base64,
+ * chiffrés comme le fichier des patients. Ce sont des fichiers texte : les sauvegardes et le
+ * changement de phrase secrète les traitent comme les autres fichiers de données.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+const { writeFileAtomic } = require('./json-file');
+const { ATTACHMENT_CONFIG, ERROR_MESSAGES } = require('../js/utils/constants');
+const { generateId, formatFileSize } = require('../js/utils/helpers');
+
+// Les fonctions partagées avec le navigateur s'appuient sur ses globales
+Object.assign(global, { ATTACHMENT_CONFIG, ERROR_MESSAGES, formatFileSize });
+
+const {
+    getAttachmentType,
+    attachmentTypeFromName,
+    detectAttachmentType,
+    validateAttachment,
+    attachmentUsage
+} = require('../js/utils/attachments');
+
+const ATTACHMENTS_DIR = path.join(__dirname, '..', 'data', 'attachments');
+
+// Taille maximale d'une miniature
+const MAX_THUMBNAIL_BYTES = 200 * 1024;
+
+// Identifiant de pièce jointe sûr dans un chemin de fichier
+const ATTACHMENT_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+// Identifiant de patient sûr comme nom de dossier
+const PATIENT_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Erreur d'une pièce jointe refusée ; status : code HTTP de la réponse
+function attachmentError(message, status = 400, details = undefined) {
+    const error = new Error(message);
+    error.code = 'EATTACHMENT';
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+// Dossier d'un patient ; l'identifiant doit rester un nom de dossier directement sous
+// data/attachments/ (ni « .. », ni séparateur, même encodé dans l'URL)
+function patientDirectory(patientId) {
+    const directory = path.resolve(ATTACHMENTS_DIR, String(patientId));
+    if (!PATIENT_ID_PATTERN.test(String(patientId)) || path.dirname(directory) !== path.resolve(ATTACHMENTS_DIR)) {
+        throw attachmentError('Identifiant de patient invalide');
+    }
+    return directory;
+}
+
+function indexFile(patientId) {
+    return path.join(patientDirectory(patientId), 'index.json');
+}
+
+function contentFile(patientId, attachmentId, thumbnail = false) {
+    return path.join(patientDirectory(patientId), `${attachmentId}${thumbnail ? '.thumb' : ''}.b64`);
+}
+
+// Pièces jointes d'un patient, les plus récentes d'abord
+function listAttachments(patientId) {
+    const attachments = encryption.readProtectedJSONFile(indexFile(patientId), []);
+    return (Array.isArray(attachments) ? attachments : [])
+        .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+}
+
+function writeIndex(patientId, attachments) {
+    fs.mkdirSync(patientDirectory(patientId), { recursive: true });
+    if (!encryption.writeProtectedJSONFile(indexFile(patientId), attachments)) {
+        throw new Error('Échec de l\'écriture de l\'index des pièces jointes');
+    }
+}
+
+// Espace utilisé et restant dans le quota du patient
+function patientUsage(patientId) {
+    return attachmentUsage(listAttachments(patientId));
+}
+
+// Décoder un contenu base64 (avec ou sans préfixe data:) ; null s'il est invalide
+function decodeBase64(data) {
+    const text = String(data || '').replace(/^data:[^;,]*;base64,/, '').replace(/\s+/g, '');
+    if (!text || !/^[A-Za-z0-9+/]+={0,2}$/.test(text)) {
+        return null;
+    }
+    return Buffer.from(text, 'base64');
+}
+
+// Enregistrer une pièce jointe ; upload : { id?, name, category, description, visitId, data, thumbnail }
+// data et thumbnail sont en base64. Le type est reconnu d'après le contenu et doit
+// correspondre à l'extension du nom. Lève une erreur EATTACHMENT si elle est refusée.
+function saveAttachment(patientId, upload, user) {
+    const content = decodeBase64(upload && upload.data);
+    if (!content) {
+        throw attachmentError('Contenu du fichier manquant ou invalide (base64 attendu)');
+    }
+
+    const description = {
+        name: String(upload.name || '').trim(),
+        category: upload.category || 'other',
+        description: String(upload.description || '').trim(),
+        size: content.length,
+        visitId: upload.visitId || null
+    };
+    const errors = validateAttachment(description);
+    if (errors.length > 0) {
+        throw attachmentError(errors[0].field === 'size' ? errors[0].message : 'Pièce jointe invalide', 400, errors);
+    }
+
+    const type = detectAttachmentType(content);
+    if (!type || type !== attachmentTypeFromName(description.name)) {
+        throw attachmentError(`Le contenu du fichier ne correspond pas à un fichier ${attachmentTypeFromName(description.name).label}`, 415);
+    }
+
+    const attachments = listAttachments(patientId);
+    if (upload.id && (!ATTACHMENT_ID_PATTERN.test(upload.id) || attachments.some(a => a.id === upload.id))) {
+        throw attachmentError('Une pièce jointe avec cet identifiant existe déjà', 409);
+    }
+
+    const { used, quota } = attachmentUsage(attachments);
+    if (used + content.length > quota) {
+        throw attachmentError(
+            `Quota de pièces jointes dépassé : ${formatFileSize(used)} utilisés sur ${formatFileSize(quota)}`,
+            413
+        );
+    }
+
+    // Miniature (JPEG produit par le navigateur) pour les images seulement ; ignorée si invalide
+    const thumbnail = type.preview === 'image' ? decodeBase64(upload.thumbnail) : null;
+    const hasThumbnail = Boolean(thumbnail && thumbnail.length <= MAX_THUMBNAIL_BYTES &&
+        detectAttachmentType(thumbnail) === getAttachmentType('jpeg'));
+
+    const attachment = {
+        id: upload.id || generateId(),
+        patientId,
+        visitId: description.visitId,
+        name: description.name,
+        type: type.key,
+        mimeType: type.mimeType,
+        category: description.category,
+        description: description.description,
+        size: content.length,
+        hasThumbnail,
+        uploadedAt: new Date().toISOString(),
+        uploadedBy: user ? user.displayName || user.username : null
+    };
+
+    fs.mkdirSync(patientDirectory(patientId), { recursive: true });
+    writeFileAtomic(contentFile(patientId, attachment.id), encryption.encrypt(content.toString('base64')));
+    if (hasThumbnail) {
+        writeFileAtomic(contentFile(patientId, attachment.id, true), encryption.encrypt(thumbnail.toString('base64')));
+    }
+    writeIndex(patientId, [...attachments, attachment]);
+
+    return attachment;
+}
+
+// Description d'une pièce jointe, undefined si elle n'existe pas
+function findAttachment(patientId, attachmentId) {
+    return listAttachments(patientId).find(attachment => attachment.id === attachmentId);
+}
+
+// Contenu d'une pièce jointe (ou de sa miniature) ; null s'il n'existe pas
+function readAttachmentContent(patientId, attachmentId, thumbnail = false) {
+    if (!ATTACHMENT_ID_PATTERN.test(attachmentId)) {
+        return null;
+    }
+    const filePath = contentFile(patientId, attachmentId, thumbnail);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    return Buffer.from(encryption.decrypt(fs.readFileSync(filePath, 'utf8')), 'base64');
+}
+
+// Supprimer une pièce jointe ; renvoie sa description, null si elle n'existe pas
+function removeAttachment(patientId, attachmentId) {
+    const attachments = listAttachments(patientId);
+    const attachment = attachments.find(a => a.id === attachmentId);
+    if (!attachment) {
+        return null;
+    }
+
+    writeIndex(patientId, attachments.filter(a => a.id !== attachmentId));
+    fs.rmSync(contentFile(patientId, attachmentId), { force: true });
+    fs.rmSync(contentFile(patientId, attachmentId, true), { force: true });
+    return attachment;
+}
+
+// Supprimer toutes les pièces jointes d'un patient (purge de la corbeille)
+function removePatientAttachments(patientId) {
+    if (PATIENT_ID_PATTERN.test(String(patientId))) {
+        fs.rmSync(patientDirectory(patientId), { recursive: true, force: true });
+    }
+}
+
+// Pièces jointes d'un patient avec leur contenu en base64, pour l'export de son dossier
+function exportAttachments(patientId) {
+    return listAttachments(patientId).map(attachment => {
+        const content = readAttachmentContent(patientId, attachment.id);
+        const thumbnail = attachment.hasThumbnail ? readAttachmentContent(patientId, attachment.id, true) : null;
+        return {
+            ...attachment,
+            data: content ? content.toString('base64') : null,
+            thumbnail: thumbnail ? thumbnail.toString('base64') : null
+        };
+    });
+}
+
+// Fichiers des pièces jointes, chemins relatifs à data/ (sauvegardes)
+function listRelativeFiles() {
+    if (!fs.existsSync(ATTACHMENTS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(ATTACHMENTS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap(entry => fs.readdirSync(path.join(ATTACHMENTS_DIR, entry.name))
+            .filter(name => name === 'index.json' || name.endsWith('.b64'))
+            .map(name => `attachments/${entry.name}/${name}`));
+}
+
+// Fichiers des pièces jointes, chemins absolus (pour le changement de phrase secrète)
+function listAttachmentFiles() {
+    return listRelativeFiles().map(file => path.join(ATTACHMENTS_DIR, '..', file));
+}
+
+module.exports = {
+    ATTACHMENTS_DIR,
+    listAttachments,
+    patientUsage,
+    saveAttachment,
+    findAttachment,
+    readAttachmentContent,
+    removeAttachment,
+    removePatientAttachments,
+    exportAttachments,
+    listRelativeFiles,
+    listAttachmentFiles
+};
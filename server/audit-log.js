@@ -0,0 +1,249 @@
+/**
+ * Journal d'audit du serveur
+ * Fichier JSONL en ajout seul : chaque entrée contient le hachage de la précédente,
+ * toute modification ou suppression d'une ligne rompt la chaîne et devient détectable.
+ * Le hachage est un HMAC-SHA-256 sous une clé secrète conservée hors du journal
+ * (data/audit-log.key) : sans elle, impossible de recalculer une chaîne valide.
+ * Les entrées contiennent les valeurs cliniques avant/après : chaque ligne est chiffrée
+ * comme les patients dès que la phrase secrète du cabinet est déverrouillée.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+const { writeFileAtomic } = require('./json-file');
+
+const AUDIT_FILE = path.join(__dirname, '..', 'data', 'audit-log.jsonl');
+const AUDIT_KEY_FILE = path.join(__dirname, '..', 'data', 'audit-log.key');
+
+// Dernier maillon de la chaîne, recopié en clair après chaque ajout : les connexions
+// journalisées avant le déverrouillage s'y enchaînent sans lire les lignes chiffrées,
+// et une suppression des dernières lignes du journal reste détectable
+const AUDIT_HEAD_FILE = path.join(__dirname, '..', 'data', 'audit-log.head.json');
+const GENESIS_HASH = '0'.repeat(64);
+
+// Dernier maillon connu de la chaîne (numéro et hachage), chargé à la première écriture
+let chainHead = null;
+
+// Clé HMAC du journal, chargée ou créée à la première écriture
+let auditKey = null;
+
+// Lire la clé HMAC : { key, since }, since étant le numéro de la première entrée signée avec elle
+function loadAuditKey() {
+    if (!fs.existsSync(AUDIT_KEY_FILE)) {
+        return null;
+    }
+
+    const stored = JSON.parse(fs.readFileSync(AUDIT_KEY_FILE, 'utf8'));
+    return { key: Buffer.from(stored.key, 'hex'), since: stored.since };
+}
+
+// Créer la clé HMAC, lisible par le seul compte du serveur ; les entrées d'un journal
+// antérieur à la clé (numéros inférieurs à since) restent vérifiées en SHA-256 simple
+function createAuditKey(since) {
+    const key = crypto.randomBytes(32);
+    fs.writeFileSync(AUDIT_KEY_FILE, JSON.stringify({
+        key: key.toString('hex'),
+        since: since,
+        createdAt: new Date().toISOString()
+    }, null, 2), { mode: 0o600, flag: 'wx' });
+    return { key, since };
+}
+
+// Hachage d'une entrée, champ hash exclu : HMAC-SHA-256 sous la clé du journal,
+// SHA-256 simple pour les entrées écrites avant la création de la clé
+function computeEntryHash(entry, key) {
+    const { hash, ...content } = entry;
+    const payload = JSON.stringify(content);
+
+    if (key && entry.seq >= key.since) {
+        return crypto.createHmac('sha256', key.key).update(payload).digest('hex');
+    }
+    return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Lire toutes les lignes du journal (objets analysés, null pour une ligne illisible) ;
+// données verrouillées, la lecture d'une ligne chiffrée échoue
+function readLines() {
+    if (!fs.existsSync(AUDIT_FILE)) {
+        return [];
+    }
+
+    return fs.readFileSync(AUDIT_FILE, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            if (encryption.isEncrypted(line) && !encryption.isUnlocked()) {
+                throw new Error('Données patients verrouillées : phrase secrète du cabinet requise');
+            }
+            try {
+                return JSON.parse(encryption.decrypt(line.trim()));
+            } catch (error) {
+                return null;
+            }
+        });
+}
+
+// Dernier maillon enregistré à part, null s'il n'existe pas (journal antérieur)
+function readHeadFile() {
+    return fs.existsSync(AUDIT_HEAD_FILE) ? JSON.parse(fs.readFileSync(AUDIT_HEAD_FILE, 'utf8')) : null;
+}
+
+// Retrouver le dernier maillon de la chaîne à partir du fichier
+function loadChainHead() {
+    if (encryption.isLocked() && fs.existsSync(AUDIT_HEAD_FILE)) {
+        return readHeadFile();
+    }
+
+    const lines = readLines();
+    const last = lines[lines.length - 1];
+
+    if (!last) {
+        return { seq: 0, hash: GENESIS_HASH };
+    }
+    return { seq: last.seq, hash: last.hash };
+}
+
+// Ajouter une entrée au journal ; l'écriture est synchronisée sur disque
+function appendAuditEntry({ user, action, patientId = null, visitId, changes, details, source = 'server' }) {
+    if (!chainHead) {
+        chainHead = loadChainHead();
+    }
+    if (!auditKey) {
+        auditKey = loadAuditKey() || createAuditKey(chainHead.seq + 1);
+    }
+
+    const entry = {
+        seq: chainHead.seq + 1,
+        timestamp: new Date().toISOString(),
+        userId: user ? user.id : null,
+        username: user ? user.username : null,
+        role: user ? user.role : null,
+        action: action,
+        patientId: patientId,
+        source: source
+    };
+    if (visitId) {
+        entry.visitId = visitId;
+    }
+    if (changes && changes.length > 0) {
+        entry.changes = changes;
+    }
+    if (details) {
+        entry.details = details;
+    }
+    entry.prevHash = chainHead.hash;
+    entry.hash = computeEntryHash(entry, auditKey);
+
+    const fd = fs.openSync(AUDIT_FILE, 'a');
+    try {
+        fs.writeSync(fd, `${storedLine(entry)}\n`);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    chainHead = { seq: entry.seq, hash: entry.hash };
+    writeFileAtomic(AUDIT_HEAD_FILE, JSON.stringify(chainHead));
+    return entry;
+}
+
+// Ligne stockée pour une entrée : chiffrée dès qu'une phrase secrète est définie ; données
+// verrouillées, seules les connexions (sans patient ni modification) restent en clair
+function storedLine(entry) {
+    const text = JSON.stringify(entry);
+    if (encryption.isLocked() && !entry.patientId && !entry.changes) {
+        return text;
+    }
+    return encryption.encrypt(text);
+}
+
+// Enregistrer une entrée sans jamais interrompre la requête en cours
+function recordAudit(entry) {
+    try {
+        return appendAuditEntry(entry);
+    } catch (error) {
+        console.error('Échec de l\'écriture du journal d\'audit :', error);
+        return null;
+    }
+}
+
+// Vérifier l'intégrité de la chaîne complète
+function verifyAuditLog() {
+    const lines = readLines();
+    let key;
+    try {
+        key = loadAuditKey();
+    } catch (error) {
+        return { valid: false, entries: lines.length, brokenAt: 1, reason: 'Clé du journal d\'audit illisible' };
+    }
+    let previousHash = GENESIS_HASH;
+
+    for (let index = 0; index < lines.length; index++) {
+        const entry = lines[index];
+        const lineNumber = index + 1;
+
+        if (!entry) {
+            return { valid: false, entries: lines.length, brokenAt: lineNumber, reason: 'Ligne illisible' };
+        }
+        if (entry.seq !== lineNumber) {
+            return { valid: false, entries: lines.length, brokenAt: lineNumber, reason: 'Numéro de séquence inattendu (ligne supprimée ou insérée)' };
+        }
+        if (entry.prevHash !== previousHash) {
+            return { valid: false, entries: lines.length, brokenAt: lineNumber, reason: 'Chaînage rompu avec l\'entrée précédente' };
+        }
+        if (computeEntryHash(entry, key) !== entry.hash) {
+            return { valid: false, entries: lines.length, brokenAt: lineNumber, reason: 'Contenu de l\'entrée modifié' };
+        }
+        previousHash = entry.hash;
+    }
+
+    // Le dernier maillon enregistré à part ne peut pas être plus loin que le journal
+    let head;
+    try {
+        head = readHeadFile();
+    } catch (error) {
+        return { valid: false, entries: lines.length, brokenAt: lines.length, reason: 'Dernier maillon enregistré illisible' };
+    }
+    if (head && (head.seq > lines.length || (head.seq === lines.length && head.hash !== previousHash))) {
+        return { valid: false, entries: lines.length, brokenAt: lines.length + 1, reason: 'Dernières entrées supprimées ou remplacées' };
+    }
+
+    return { valid: true, entries: lines.length, brokenAt: null, reason: null };
+}
+
+// Rechercher des entrées par patient, utilisateur, action et période (les plus récentes d'abord)
+function queryAuditLog({ patientId, user, action, from, to, limit = 500 } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    // Une date seule (AAAA-MM-JJ) inclut toute la journée
+    const toTime = to ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0) : null;
+    const userFilter = user ? String(user).trim().toLowerCase() : null;
+
+    const matches = readLines()
+        .filter(Boolean)
+        .filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            return (!patientId || entry.patientId === patientId) &&
+                (!userFilter || entry.userId === user || String(entry.username || '').toLowerCase() === userFilter) &&
+                (!action || entry.action === action) &&
+                (fromTime === null || time >= fromTime) &&
+                (toTime === null || time <= toTime);
+        })
+        .reverse();
+
+    return {
+        total: matches.length,
+        entries: matches.slice(0, Math.max(1, Math.min(Number(limit) || 500, 5000)))
+    };
+}
+
+module.exports = {
+    AUDIT_FILE,
+    AUDIT_KEY_FILE,
+    AUDIT_HEAD_FILE,
+    appendAuditEntry,
+    recordAudit,
+    verifyAuditLog,
+    queryAuditLog
+};
@@ -0,0 +1,402 @@
+/**
+ * Authentification côté serveur
+ * Comptes utilisateurs avec mots de passe hachés (scrypt salé) et sessions opaques
+ * transmises par cookie HttpOnly
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AUTH_CONFIG } = require('../js/utils/constants');
+const { USER_ROLES, DEFAULT_ROLE } = require('../js/utils/permissions');
+const { readJSONFile, writeJSONFile } = require('./json-file');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+const SESSION_COOKIE = 'pms_sid';
+const INACTIVITY_TIMEOUT = 2 * 60 * 60 * 1000; // 2 heures, comme côté navigateur
+const ACTIVITY_WRITE_INTERVAL = 60 * 1000; // Limiter les écritures de sessions.json
+
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+
+// Tentatives de connexion échouées par identifiant (en mémoire)
+const loginAttempts = new Map();
+
+// Hacher un mot de passe avec scrypt et un sel aléatoire
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, SCRYPT_OPTIONS, (error, derivedKey) => {
+            if (error) {
+                reject(error);
+                return;
+            }
+            resolve({
+                algorithm: 'scrypt',
+                salt: salt,
+                hash: derivedKey.toString('hex')
+            });
+        });
+    });
+}
+
+// Vérifier un mot de passe sans fuite d'information par le temps de réponse
+async function verifyPassword(password, credentials) {
+    const { hash } = await hashPassword(password, credentials.salt);
+    const expected = Buffer.from(credentials.hash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Normaliser un identifiant pour les comparaisons
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// Charger les comptes utilisateurs
+function loadUsers() {
+    if (!fs.existsSync(USERS_FILE)) {
+        return [];
+    }
+    const users = readJSONFile(USERS_FILE, []);
+    return Array.isArray(users) ? users : [];
+}
+
+// Sauvegarder les comptes utilisateurs
+function saveUsers(users) {
+    return writeJSONFile(USERS_FILE, users);
+}
+
+// Rechercher un compte par identifiant
+function findUser(username) {
+    const normalized = normalizeUsername(username);
+    return loadUsers().find(user => user.username === normalized) || null;
+}
+
+// Rechercher un compte par identifiant interne
+function findUserById(userId) {
+    return loadUsers().find(user => user.id === userId) || null;
+}
+
+// Informations d'un compte exposables au client (jamais le hachage)
+function publicUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        displayName: user.displayName || user.username,
+        role: user.role || DEFAULT_ROLE
+    };
+}
+
+// Vérifier un mot de passe et un rôle avant enregistrement
+function checkAccountDetails({ password, role }) {
+    if (password !== undefined && (typeof password !== 'string' || password.length < 8)) {
+        throw new Error('Le mot de passe doit contenir au moins 8 caractères');
+    }
+    if (role !== undefined && !USER_ROLES[role]) {
+        throw new Error(`Rôle inconnu : ${role}`);
+    }
+}
+
+// Vérifier qu'il restera au moins un médecin pour administrer les comptes
+function checkDoctorRemains(users) {
+    if (!users.some(user => (user.role || DEFAULT_ROLE) === 'doctor')) {
+        throw new Error('Au moins un compte médecin doit être conservé');
+    }
+}
+
+// Créer un compte
+async function createUser({ username, password, displayName, role = DEFAULT_ROLE }) {
+    const normalized = normalizeUsername(username);
+    if (!normalized) {
+        throw new Error('Identifiant requis');
+    }
+    if (!password) {
+        throw new Error('Mot de passe requis');
+    }
+    checkAccountDetails({ password, role });
+
+    const users = loadUsers();
+    if (users.some(user => user.username === normalized)) {
+        throw new Error(`Le compte ${normalized} existe déjà`);
+    }
+
+    const now = Date.now();
+    const user = {
+        id: crypto.randomUUID(),
+        username: normalized,
+        displayName: displayName || normalized,
+        role: role,
+        credentials: await hashPassword(password),
+        createdAt: now,
+        updatedAt: now
+    };
+    users.push(user);
+
+    if (!saveUsers(users)) {
+        throw new Error('Échec de la sauvegarde des comptes utilisateurs');
+    }
+    return publicUser(user);
+}
+
+// Modifier le nom affiché, le rôle ou le mot de passe d'un compte
+async function updateUser(userId, { displayName, role, password }) {
+    checkAccountDetails({ password, role });
+
+    const users = loadUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+        return null;
+    }
+
+    if (displayName !== undefined) {
+        user.displayName = displayName;
+    }
+    if (role !== undefined) {
+        user.role = role;
+        checkDoctorRemains(users);
+    }
+    if (password !== undefined) {
+        user.credentials = await hashPassword(password);
+    }
+    user.updatedAt = Date.now();
+
+    if (!saveUsers(users)) {
+        throw new Error('Échec de la sauvegarde des comptes utilisateurs');
+    }
+
+    // Un changement de mot de passe ferme les sessions ouvertes
+    if (password !== undefined) {
+        destroyUserSessions(userId);
+    }
+    return publicUser(user);
+}
+
+// Supprimer un compte et ses sessions
+function removeUser(userId) {
+    const users = loadUsers();
+    const remaining = users.filter(user => user.id !== userId);
+
+    if (remaining.length === users.length) {
+        return false;
+    }
+    checkDoctorRemains(remaining);
+
+    if (!saveUsers(remaining)) {
+        throw new Error('Échec de la sauvegarde des comptes utilisateurs');
+    }
+    destroyUserSessions(userId);
+    return true;
+}
+
+// Vérifier si un identifiant est temporairement bloqué
+function isLockedOut(username) {
+    const entry = loginAttempts.get(normalizeUsername(username));
+    if (!entry || !entry.lockedUntil) {
+        return false;
+    }
+    if (Date.now() > entry.lockedUntil) {
+        loginAttempts.delete(normalizeUsername(username));
+        return false;
+    }
+    return true;
+}
+
+// Enregistrer une tentative échouée
+function recordFailedLogin(username) {
+    const key = normalizeUsername(username);
+    const entry = loginAttempts.get(key) || { attempts: 0, lockedUntil: null };
+
+    entry.attempts++;
+    if (entry.attempts >= AUTH_CONFIG.maxLoginAttempts) {
+        entry.lockedUntil = Date.now() + AUTH_CONFIG.lockoutDuration;
+    }
+    loginAttempts.set(key, entry);
+}
+
+// Authentifier un utilisateur ; retourne le compte ou null
+async function authenticate(username, password) {
+    const user = findUser(username);
+
+    if (!user || !user.credentials) {
+        // Calculer un hachage quand même pour ne pas révéler l'existence du compte
+        await hashPassword(String(password));
+        recordFailedLogin(username);
+        return null;
+    }
+
+    if (!await verifyPassword(String(password), user.credentials)) {
+        recordFailedLogin(username);
+        return null;
+    }
+
+    loginAttempts.delete(normalizeUsername(username));
+    return user;
+}
+
+// Les jetons sont conservés hachés : sessions.json ne suffit pas à usurper une session
+function tokenKey(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Charger les sessions ; un fichier de sessions corrompu (copié en quarantaine par
+// readJSONFile) revient à perdre les sessions : chacun se reconnecte et la prochaine
+// écriture le remplace, au lieu de faire échouer toutes les requêtes
+function loadSessions() {
+    let sessions;
+    try {
+        sessions = readJSONFile(SESSIONS_FILE, {});
+    } catch (error) {
+        if (error.code !== 'ECORRUPT') {
+            throw error;
+        }
+        console.error(`⚠️  ${error.message} ; sessions réinitialisées`);
+        return {};
+    }
+    return sessions && typeof sessions === 'object' && !Array.isArray(sessions) ? sessions : {};
+}
+
+// Sauvegarder les sessions
+function saveSessions(sessions) {
+    return writeJSONFile(SESSIONS_FILE, sessions);
+}
+
+// Vérifier qu'une session n'a pas expiré
+function isSessionActive(session, now = Date.now()) {
+    return Boolean(session) &&
+        now < session.expiresAt &&
+        now - session.lastActivity < INACTIVITY_TIMEOUT;
+}
+
+// Ouvrir une session ; retourne le jeton opaque à placer dans le cookie
+function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const sessions = loadSessions();
+
+    // Purger les sessions expirées au passage
+    Object.keys(sessions).forEach(key => {
+        if (!isSessionActive(sessions[key], now)) {
+            delete sessions[key];
+        }
+    });
+
+    sessions[tokenKey(token)] = {
+        userId: user.id,
+        username: user.username,
+        createdAt: now,
+        lastActivity: now,
+        expiresAt: now + AUTH_CONFIG.sessionTimeout
+    };
+
+    if (!saveSessions(sessions)) {
+        throw new Error('Échec de la sauvegarde de la session');
+    }
+    return token;
+}
+
+// Retrouver la session valide associée à un jeton
+function getSession(token) {
+    if (!token) {
+        return null;
+    }
+
+    const key = tokenKey(token);
+    const sessions = loadSessions();
+    const session = sessions[key];
+    const now = Date.now();
+
+    if (!isSessionActive(session, now)) {
+        if (session) {
+            delete sessions[key];
+            saveSessions(sessions);
+        }
+        return null;
+    }
+
+    if (now - session.lastActivity > ACTIVITY_WRITE_INTERVAL) {
+        session.lastActivity = now;
+        saveSessions(sessions);
+    }
+
+    return session;
+}
+
+// Fermer toutes les sessions d'un compte
+function destroyUserSessions(userId) {
+    const sessions = loadSessions();
+    Object.keys(sessions).forEach(key => {
+        if (sessions[key].userId === userId) {
+            delete sessions[key];
+        }
+    });
+    saveSessions(sessions);
+}
+
+// Retrouver le compte connecté à partir du cookie de la requête
+function getSessionUser(req) {
+    const session = getSession(getSessionToken(req));
+    const user = session && findUserById(session.userId);
+    return user ? publicUser(user) : null;
+}
+
+// Fermer une session
+function destroySession(token) {
+    if (!token) {
+        return;
+    }
+    const sessions = loadSessions();
+    delete sessions[tokenKey(token)];
+    saveSessions(sessions);
+}
+
+// Lire le jeton de session dans l'en-tête Cookie ; un cookie mal encodé vaut absence de session
+function getSessionToken(req) {
+    const header = req.headers.cookie || '';
+    const cookie = header.split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+    if (!cookie) {
+        return null;
+    }
+
+    try {
+        return decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1));
+    } catch (error) {
+        return null;
+    }
+}
+
+// En-tête Set-Cookie pour ouvrir ou fermer la session
+function sessionCookie(token) {
+    const attributes = 'Path=/; HttpOnly; SameSite=Strict';
+    if (!token) {
+        return `${SESSION_COOKIE}=; ${attributes}; Max-Age=0`;
+    }
+    return `${SESSION_COOKIE}=${encodeURIComponent(token)}; ${attributes}; Max-Age=${Math.floor(AUTH_CONFIG.sessionTimeout / 1000)}`;
+}
+
+module.exports = {
+    USERS_FILE,
+    SESSIONS_FILE,
+    hashPassword,
+    verifyPassword,
+    loadUsers,
+    findUser,
+    findUserById,
+    publicUser,
+    createUser,
+    updateUser,
+    removeUser,
+    isLockedOut,
+    authenticate,
+    createSession,
+    getSession,
+    getSessionUser,
+    destroySession,
+    getSessionToken,
+    sessionCookie
+};
@@ -0,0 +1,541 @@
+/**
+ * Sauvegardes automatiques du serveur
+ * Chaque sauvegarde est une archive compressée (gzip) des fichiers de data/ (pièces jointes
+ * comprises). L'archive est écrite et relue en flux, fichier par fichier, sans jamais être
+ * chargée entière en mémoire ni bloquer le serveur. Elle contient, ligne par ligne :
+ *   {"format":"pms-backup","version":2,"createdAt":...,"reason":...}
+ *   pour chaque fichier : {"path":...,"size":n}, ses n octets puis son empreinte SHA-256
+ *   {"end":true,"files":nombre de fichiers}
+ * Un fichier .sha256 accompagne l'archive entière. Les fichiers sont copiés tels quels : des
+ * données chiffrées restent chiffrées. Les archives de version 1 (un seul document JSON,
+ * extension .json.gz) restent lisibles.
+ * Rétention grand-père/père/fils : toutes les sauvegardes des dernières heures, puis la plus
+ * récente de chacun des derniers jours, semaines et mois ; les autres sont supprimées.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const encryption = require('./encryption');
+const attachments = require('./attachments');
+const { fsyncDirectory } = require('./json-file');
+const { STORAGE_CONFIG, BACKUP_CONFIG } = require('../js/utils/constants');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Dossier des sauvegardes : PMS_BACKUP_DIR, sinon STORAGE_CONFIG.backupDirectory sous Windows,
+// sinon data/backups. De préférence sur un autre disque que les données.
+const BACKUP_DIR = process.env.PMS_BACKUP_DIR ||
+    (process.platform === 'win32' ? STORAGE_CONFIG.backupDirectory : path.join(DATA_DIR, 'backups'));
+
+// Intervalle entre deux sauvegardes planifiées, modifiable par PMS_BACKUP_INTERVAL_HOURS
+const INTERVAL_HOURS = Number(process.env.PMS_BACKUP_INTERVAL_HOURS) > 0 ?
+    Number(process.env.PMS_BACKUP_INTERVAL_HOURS) : BACKUP_CONFIG.intervalHours;
+
+const BACKUP_PATTERN = /^pms-backup-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-(scheduled|manual|pre-restore)\.(pms|json)\.gz$/;
+
+// Longueur maximale d'une ligne d'en-tête dans une archive de version 2
+const MAX_HEADER_LINE = 64 * 1024;
+
+// Taille des blocs lus dans les fichiers sauvegardés
+const CHUNK_BYTES = 64 * 1024;
+
+// Fichiers sauvegardés (chemins relatifs à data/)
+const BACKED_UP_FILES = ['patients.json', 'trash.json', 'journal.jsonl', 'encryption.json', 'users.json', 'audit-log.jsonl'];
+
+// Fichiers remplacés lors d'une restauration, avec l'historique des révisions et les pièces jointes ;
+// les comptes et le journal d'audit (chaîné, en ajout seul) ne sont jamais restaurés
+const RESTORED_FILES = ['patients.json', 'trash.json', 'journal.jsonl', 'encryption.json'];
+
+// Un nom de sauvegarde valide (protège aussi contre la traversée de répertoires)
+function isBackupName(name) {
+    return BACKUP_PATTERN.test(name);
+}
+
+// Date de création lue dans le nom de la sauvegarde
+function backupDate(name) {
+    const [, day, hours, minutes, seconds, millis] = name.match(BACKUP_PATTERN);
+    return new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+// Fichiers de données à sauvegarder (chemins relatifs à data/) : les fichiers principaux,
+// l'historique des révisions et les pièces jointes
+function collectFiles() {
+    const files = BACKED_UP_FILES.filter(file => fs.existsSync(path.join(DATA_DIR, file)));
+    const historyDir = path.join(DATA_DIR, 'history');
+
+    if (fs.existsSync(historyDir)) {
+        fs.readdirSync(historyDir)
+            .filter(name => name.endsWith('.jsonl'))
+            .forEach(name => files.push(`history/${name}`));
+    }
+    files.push(...attachments.listRelativeFiles());
+    return files;
+}
+
+// Un chemin d'archive restaurable, qui reste sous data/ (une archive modifiée à la main ne
+// peut pas écrire ailleurs)
+function isRestorablePath(file) {
+    const allowed = RESTORED_FILES.includes(file) ||
+        /^history\/[^/\\]+\.jsonl$/.test(file) ||
+        /^attachments\/[^/\\]+\/[^/\\]+$/.test(file);
+    const resolved = path.resolve(DATA_DIR, file);
+    return allowed && resolved.startsWith(path.resolve(DATA_DIR) + path.sep) && !file.split('/').includes('..');
+}
+
+// Clés de période (jour, semaine commençant le lundi, mois) en heure locale
+function periodKeys(date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const monday = new Date(day);
+    monday.setDate(day.getDate() - ((day.getDay() + 6) % 7));
+    const format = d => `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+
+    return {
+        daily: format(day),
+        weekly: format(monday),
+        monthly: `${date.getFullYear()}-${date.getMonth() + 1}`
+    };
+}
+
+// Rétention grand-père/père/fils : pour chaque niveau, la sauvegarde la plus récente de
+// chacune des N dernières périodes ; renvoie pour chaque nom les niveaux qui la conservent
+function retentionTiers(names, now = Date.now()) {
+    const limits = {
+        daily: BACKUP_CONFIG.keepDaily,
+        weekly: BACKUP_CONFIG.keepWeekly,
+        monthly: BACKUP_CONFIG.keepMonthly
+    };
+    const tiers = new Map(names.map(name => [name, []]));
+    const newestFirst = [...names].sort((a, b) => backupDate(b) - backupDate(a));
+
+    newestFirst
+        .filter(name => now - backupDate(name).getTime() < BACKUP_CONFIG.keepRecentHours * HOUR_MS)
+        .forEach(name => tiers.get(name).push('recent'));
+
+    Object.entries(limits).forEach(([tier, limit]) => {
+        const seen = new Set();
+        for (const name of newestFirst) {
+            const key = periodKeys(backupDate(name))[tier];
+            if (seen.has(key)) {
+                continue;
+            }
+            if (seen.size >= limit) {
+                break;
+            }
+            seen.add(key);
+            tiers.get(name).push(tier);
+        }
+    });
+    return tiers;
+}
+
+function listBackupNames() {
+    if (!fs.existsSync(BACKUP_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(BACKUP_DIR).filter(isBackupName);
+}
+
+// Lister les sauvegardes, les plus récentes d'abord
+function listBackups() {
+    const names = listBackupNames();
+    const tiers = retentionTiers(names);
+
+    return names
+        .map(name => ({
+            name,
+            createdAt: backupDate(name).toISOString(),
+            reason: name.match(BACKUP_PATTERN)[6],
+            size: fs.statSync(path.join(BACKUP_DIR, name)).size,
+            tiers: tiers.get(name)
+        }))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Supprimer les sauvegardes qu'aucun niveau de rétention ne conserve ; renvoie leurs noms
+function applyRetention(now = Date.now()) {
+    const removed = [];
+    retentionTiers(listBackupNames(), now).forEach((kept, name) => {
+        if (kept.length === 0) {
+            fs.rmSync(path.join(BACKUP_DIR, name), { force: true });
+            fs.rmSync(path.join(BACKUP_DIR, `${name}.sha256`), { force: true });
+            removed.push(name);
+        }
+    });
+    return removed;
+}
+
+// Contenu de l'archive, bloc par bloc : chaque fichier est lu depuis un descripteur ouvert,
+// ce qui le protège d'un remplacement (renommage atomique) pendant la sauvegarde
+async function* archiveChunks(header, files) {
+    yield Buffer.from(`${JSON.stringify(header)}\n`);
+
+    let count = 0;
+    for (const file of files) {
+        let handle;
+        try {
+            handle = await fs.promises.open(path.join(DATA_DIR, file), 'r');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                continue; // Supprimé depuis la liste (pièce jointe, historique purgé)
+            }
+            throw error;
+        }
+
+        try {
+            const { size } = await handle.stat();
+            const hash = crypto.createHash('sha256');
+            yield Buffer.from(`${JSON.stringify({ path: file, size })}\n`);
+
+            for (let position = 0; position < size;) {
+                const buffer = Buffer.alloc(Math.min(CHUNK_BYTES, size - position));
+                const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+                if (bytesRead === 0) {
+                    throw new Error(`${file} a été raccourci pendant la sauvegarde`);
+                }
+                const chunk = buffer.subarray(0, bytesRead);
+                hash.update(chunk);
+                position += bytesRead;
+                yield chunk;
+            }
+            yield Buffer.from(`${hash.digest('hex')}\n`);
+            count++;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    yield Buffer.from(`${JSON.stringify({ end: true, files: count })}\n`);
+}
+
+// Erreur de contenu d'une archive, dont le message est rendu tel quel par verifyBackup()
+function backupError(message) {
+    const error = new Error(message);
+    error.code = 'EBACKUP';
+    return error;
+}
+
+// Synchroniser un fichier temporaire puis le renommer à sa place définitive
+async function commitFile(tempPath, filePath) {
+    const handle = await fs.promises.open(tempPath, 'r+');
+    try {
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    fs.renameSync(tempPath, filePath);
+    fsyncDirectory(path.dirname(filePath));
+}
+
+// Créer une sauvegarde ; reason : scheduled, manual ou pre-restore
+async function createBackup(reason = 'manual') {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+    const createdAt = new Date();
+    const name = `pms-backup-${createdAt.toISOString().replace(/:/g, '-').replace('.', '-')}-${reason}.pms.gz`;
+    const archivePath = path.join(BACKUP_DIR, name);
+    const tempPath = `${archivePath}.${process.pid}.tmp`;
+    const archiveHash = crypto.createHash('sha256');
+
+    try {
+        await pipeline(
+            Readable.from(archiveChunks({ format: 'pms-backup', version: 2, createdAt: createdAt.toISOString(), reason }, collectFiles())),
+            zlib.createGzip(),
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    archiveHash.update(chunk);
+                    callback(null, chunk);
+                }
+            }),
+            fs.createWriteStream(tempPath)
+        );
+        await commitFile(tempPath, archivePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+
+    const checksumPath = path.join(BACKUP_DIR, `${name}.sha256`);
+    fs.writeFileSync(`${checksumPath}.${process.pid}.tmp`, `${archiveHash.digest('hex')}  ${name}\n`);
+    await commitFile(`${checksumPath}.${process.pid}.tmp`, checksumPath);
+    applyRetention();
+
+    return listBackups().find(backup => backup.name === name);
+}
+
+// Une sauvegarde planifiée est-elle due ?
+function isBackupDue(now = Date.now()) {
+    const latest = listBackups()[0];
+    return !latest || now - new Date(latest.createdAt).getTime() >= INTERVAL_HOURS * HOUR_MS;
+}
+
+// Empreinte SHA-256 d'un fichier, lue en flux
+async function fileSha256(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+// Parcourir les fichiers d'une archive de version 2 en flux. Pour chaque fichier,
+// openEntry(path) peut renvoyer un FileHandle qui reçoit son contenu. Renvoie l'en-tête et
+// la liste des fichiers ; lève une erreur dès qu'une empreinte ou la structure est fausse.
+async function scanArchive(archivePath, openEntry) {
+    const files = [];
+    let header = null;
+    let pending = Buffer.alloc(0);
+    let entry = null;
+    let ended = false;
+
+    const readLine = () => {
+        const newline = pending.indexOf(0x0a);
+        if (newline === -1) {
+            if (pending.length > MAX_HEADER_LINE) {
+                throw backupError('En-tête de fichier trop long');
+            }
+            return null;
+        }
+        const line = pending.subarray(0, newline).toString('utf8');
+        pending = pending.subarray(newline + 1);
+        return line;
+    };
+
+    const source = fs.createReadStream(archivePath);
+    const gunzip = zlib.createGunzip();
+    source.on('error', error => gunzip.destroy(error));
+
+    try {
+        for await (const chunk of source.pipe(gunzip)) {
+            pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+            for (;;) {
+                if (entry && entry.remaining > 0) {
+                    if (pending.length === 0) {
+                        break;
+                    }
+                    const part = pending.subarray(0, Math.min(entry.remaining, pending.length));
+                    pending = pending.subarray(part.length);
+                    entry.remaining -= part.length;
+                    entry.hash.update(part);
+                    if (entry.handle) {
+                        await entry.handle.write(part);
+                    }
+                    continue;
+                }
+
+                const line = readLine();
+                if (line === null) {
+                    break;
+                }
+                if (ended) {
+                    throw backupError('Données après la fin de l\'archive');
+                }
+
+                if (!header) {
+                    header = JSON.parse(line);
+                    if (header.format !== 'pms-backup' || header.version !== 2) {
+                        throw backupError('Format de sauvegarde inconnu');
+                    }
+                } else if (entry) {
+                    if (line !== entry.hash.digest('hex')) {
+                        throw backupError(`Empreinte différente pour ${entry.path}`);
+                    }
+                    if (entry.handle) {
+                        await entry.handle.sync();
+                        await entry.handle.close();
+                        entry.handle = null;
+                    }
+                    files.push(entry.path);
+                    entry = null;
+                } else {
+                    const description = JSON.parse(line);
+                    if (description.end) {
+                        if (description.files !== files.length) {
+                            throw backupError('Nombre de fichiers différent de celui annoncé');
+                        }
+                        ended = true;
+                    } else if (typeof description.path !== 'string' || !Number.isSafeInteger(description.size) || description.size < 0) {
+                        throw backupError('Description de fichier invalide');
+                    } else {
+                        entry = {
+                            path: description.path,
+                            remaining: description.size,
+                            hash: crypto.createHash('sha256'),
+                            handle: openEntry ? await openEntry(description.path) : null
+                        };
+                    }
+                }
+            }
+        }
+    } finally {
+        source.destroy();
+        if (entry && entry.handle) {
+            await entry.handle.close();
+        }
+    }
+
+    if (!ended) {
+        throw backupError('Archive incomplète');
+    }
+    return { header, files };
+}
+
+// Une archive de version 1 : un seul document JSON, avec le contenu de chaque fichier
+async function scanLegacyArchive(archivePath, openEntry) {
+    const manifest = JSON.parse(zlib.gunzipSync(await fs.promises.readFile(archivePath)).toString('utf8'));
+    if (manifest.format !== 'pms-backup' || !Array.isArray(manifest.files)) {
+        throw backupError('Format de sauvegarde inconnu');
+    }
+
+    const altered = manifest.files.find(file => crypto.createHash('sha256').update(file.content).digest('hex') !== file.sha256);
+    if (altered) {
+        throw backupError(`Empreinte différente pour ${altered.path}`);
+    }
+
+    for (const file of manifest.files) {
+        const handle = openEntry ? await openEntry(file.path) : null;
+        if (handle) {
+            await handle.write(file.content);
+            await handle.sync();
+            await handle.close();
+        }
+    }
+    return { header: manifest, files: manifest.files.map(file => file.path) };
+}
+
+// Lire et vérifier une sauvegarde : empreinte de l'archive, format, empreinte de chaque
+// fichier. openEntry (facultatif) reçoit le contenu des fichiers, voir scanArchive().
+async function readBackup(name, openEntry = null) {
+    const archivePath = path.join(BACKUP_DIR, name);
+    if (!isBackupName(name) || !fs.existsSync(archivePath)) {
+        return { valid: false, reason: 'Sauvegarde introuvable' };
+    }
+
+    const checksumPath = `${archivePath}.sha256`;
+    if (!fs.existsSync(checksumPath)) {
+        return { valid: false, reason: 'Fichier d\'empreinte .sha256 manquant' };
+    }
+    if (fs.readFileSync(checksumPath, 'utf8').split(/\s+/)[0] !== await fileSha256(archivePath)) {
+        return { valid: false, reason: 'Empreinte SHA-256 de l\'archive différente (fichier altéré)' };
+    }
+
+    try {
+        const scan = name.endsWith('.json.gz') ? scanLegacyArchive : scanArchive;
+        const { header, files } = await scan(archivePath, openEntry);
+        return { valid: true, reason: null, createdAt: header.createdAt, files };
+    } catch (error) {
+        return { valid: false, reason: error.code === 'EBACKUP' ? error.message : `Archive illisible : ${error.message}` };
+    }
+}
+
+// Vérifier une sauvegarde sans la restaurer
+async function verifyBackup(name) {
+    const { valid, reason, createdAt, files } = await readBackup(name);
+    return {
+        name,
+        valid,
+        reason,
+        createdAt: valid ? createdAt : null,
+        files: valid ? files : []
+    };
+}
+
+// Une restauration est-elle en cours ? (les données patients ne doivent pas changer entre
+// la sauvegarde de sécurité et le remplacement des fichiers)
+let restoring = false;
+
+function isRestoring() {
+    return restoring;
+}
+
+// Restaurer les données patients d'une sauvegarde vérifiée. L'état actuel est d'abord
+// sauvegardé (pre-restore). Les fichiers sont extraits à côté de leur destination, vérifiés,
+// puis mis en place ensemble. Si la phrase secrète de la sauvegarde diffère de l'actuelle,
+// les données sont verrouillées jusqu'à la prochaine connexion avec cette phrase.
+async function restoreBackup(name) {
+    if (restoring) {
+        throw new Error('Une restauration est déjà en cours');
+    }
+    restoring = true;
+
+    const staged = [];
+    try {
+        const verification = await readBackup(name);
+        if (!verification.valid) {
+            throw new Error(`Sauvegarde invalide : ${verification.reason}`);
+        }
+        const safetyBackup = await createBackup('pre-restore');
+
+        // Extraire les fichiers restaurés dans des fichiers temporaires
+        const extracted = await readBackup(name, async file => {
+            if (!isRestorablePath(file)) {
+                return null;
+            }
+            const target = path.join(DATA_DIR, file);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            const tempPath = `${target}.${process.pid}.restore`;
+            staged.push({ path: file, target, tempPath });
+            return fs.promises.open(tempPath, 'w');
+        });
+        if (!extracted.valid) {
+            throw new Error(`Sauvegarde invalide : ${extracted.reason}`);
+        }
+
+        const descriptorBefore = fs.existsSync(encryption.ENCRYPTION_FILE) ?
+            fs.readFileSync(encryption.ENCRYPTION_FILE, 'utf8') : null;
+        const restoredPaths = new Set(staged.map(file => file.path));
+
+        // Mise en place, sans interruption par d'autres requêtes
+        fs.mkdirSync(path.join(DATA_DIR, 'history'), { recursive: true });
+        staged.forEach(file => fs.renameSync(file.tempPath, file.target));
+        staged.length = 0;
+
+        // Retirer ce que la sauvegarde ne contenait pas encore
+        RESTORED_FILES.filter(file => !restoredPaths.has(file)).forEach(file => {
+            fs.rmSync(path.join(DATA_DIR, file), { force: true });
+        });
+        fs.readdirSync(path.join(DATA_DIR, 'history'))
+            .filter(historyName => historyName.endsWith('.jsonl') && !restoredPaths.has(`history/${historyName}`))
+            .forEach(historyName => fs.rmSync(path.join(DATA_DIR, 'history', historyName), { force: true }));
+        attachments.listRelativeFiles()
+            .filter(file => !restoredPaths.has(file))
+            .forEach(file => fs.rmSync(path.join(DATA_DIR, file), { force: true }));
+        fsyncDirectory(DATA_DIR);
+
+        const descriptorAfter = fs.existsSync(encryption.ENCRYPTION_FILE) ?
+            fs.readFileSync(encryption.ENCRYPTION_FILE, 'utf8') : null;
+        if (descriptorAfter !== descriptorBefore) {
+            encryption.lock();
+        }
+
+        return {
+            name,
+            createdAt: verification.createdAt,
+            files: restoredPaths.size,
+            preRestore: safetyBackup.name,
+            locked: encryption.isLocked()
+        };
+    } finally {
+        staged.forEach(file => fs.rmSync(file.tempPath, { force: true }));
+        restoring = false;
+    }
+}
+
+module.exports = {
+    BACKUP_DIR,
+    INTERVAL_HOURS,
+    isBackupName,
+    listBackups,
+    createBackup,
+    isBackupDue,
+    verifyBackup,
+    restoreBackup,
+    isRestoring,
+    applyRetention,
+    retentionTiers
+};
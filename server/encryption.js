@@ -0,0 +1,309 @@
+/**
+ * Chiffrement au repos des données patients
+ * Les fichiers patients sont chiffrés en AES-256-GCM avec une clé dérivée de la phrase
+ * secrète du cabinet (PBKDF2). La clé ne vit qu'en mémoire une fois déverrouillée :
+ * data/encryption.json ne contient que le sel, le nombre d'itérations et un contrôle de clé.
+ * Même format d'enveloppe que le stockage local du navigateur (StorageEncryption).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ENCRYPTION_CONFIG } = require('../js/utils/constants');
+const { writeFileAtomic, fsyncDirectory, parseJSONContent, rejectCorruptFile } = require('./json-file');
+
+const ENCRYPTION_FILE = path.join(__dirname, '..', 'data', 'encryption.json');
+
+// Descripteur de la nouvelle phrase secrète pendant un changement : il est écrit avant le
+// premier fichier rechiffré et ne remplace encryption.json qu'une fois tous les fichiers
+// réécrits. S'il existe encore, le changement a été interrompu et doit être repris.
+const PENDING_ENCRYPTION_FILE = path.join(__dirname, '..', 'data', 'encryption.pending.json');
+
+// Texte connu chiffré dans le descripteur pour reconnaître la bonne phrase secrète
+const KEY_CHECK = 'pms-key-check';
+const KEY_BYTES = ENCRYPTION_CONFIG.keyLength / 8;
+const TAG_BYTES = 16;
+
+// Clé AES déverrouillée, absente tant que la phrase secrète n'a pas été fournie
+let key = null;
+
+// Une phrase secrète a-t-elle été définie pour ces données ?
+function isConfigured() {
+    return fs.existsSync(ENCRYPTION_FILE);
+}
+
+function isUnlocked() {
+    return key !== null;
+}
+
+// Les données chiffrées attendent-elles la phrase secrète ?
+function isLocked() {
+    return isConfigured() && !isUnlocked();
+}
+
+// Une valeur stockée est-elle une enveloppe chiffrée ?
+function isEncrypted(text) {
+    return typeof text === 'string' && text.startsWith(ENCRYPTION_CONFIG.envelopePrefix);
+}
+
+// Un changement de phrase secrète a-t-il été interrompu ?
+function hasPendingChange() {
+    return fs.existsSync(PENDING_ENCRYPTION_FILE);
+}
+
+function loadDescriptor(filePath = ENCRYPTION_FILE) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Dériver la clé AES à partir de la phrase secrète et du sel du descripteur
+function deriveKey(passphrase, descriptor) {
+    return crypto.pbkdf2Sync(
+        String(passphrase),
+        Buffer.from(descriptor.salt, 'base64'),
+        descriptor.iterations,
+        KEY_BYTES,
+        descriptor.hash.replace('-', '').toLowerCase()
+    );
+}
+
+// Chiffrer un texte : préfixe, IV en base64, texte chiffré suivi du tag d'authentification
+function encryptWithKey(encryptionKey, text) {
+    const iv = crypto.randomBytes(ENCRYPTION_CONFIG.ivLength);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+    return `${ENCRYPTION_CONFIG.envelopePrefix}${iv.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+// Déchiffrer une enveloppe ; lève une erreur si la clé est mauvaise ou le contenu altéré
+function decryptWithKey(encryptionKey, envelope) {
+    const [iv, payload] = envelope.slice(ENCRYPTION_CONFIG.envelopePrefix.length).split(':');
+    const data = Buffer.from(payload, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(data.subarray(data.length - TAG_BYTES));
+
+    return Buffer.concat([decipher.update(data.subarray(0, data.length - TAG_BYTES)), decipher.final()]).toString('utf8');
+}
+
+// Vérifier une phrase secrète ; renvoie la clé correspondante ou null
+function checkPassphrase(passphrase, descriptor = loadDescriptor()) {
+    const candidate = deriveKey(passphrase, descriptor);
+
+    try {
+        return decryptWithKey(candidate, descriptor.check) === KEY_CHECK ? candidate : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Déverrouiller les données avec la phrase secrète ; renvoie false si elle est incorrecte
+function unlock(passphrase) {
+    if (!isConfigured()) {
+        return true;
+    }
+
+    const candidate = passphrase ? checkPassphrase(passphrase) : null;
+    if (!candidate) {
+        return false;
+    }
+    key = candidate;
+    return true;
+}
+
+function lock() {
+    key = null;
+}
+
+// Chiffrer un texte avec la clé déverrouillée (texte inchangé si aucune phrase secrète n'est définie)
+function encrypt(text) {
+    if (!isConfigured()) {
+        return text;
+    }
+    if (!key) {
+        throw new Error('Données patients verrouillées : phrase secrète du cabinet requise');
+    }
+    return encryptWithKey(key, text);
+}
+
+// Déchiffrer une valeur stockée ; les valeurs en clair sont renvoyées telles quelles
+function decrypt(text) {
+    if (!isEncrypted(text)) {
+        return text;
+    }
+    if (!key) {
+        throw new Error('Données patients verrouillées : phrase secrète du cabinet requise');
+    }
+    return decryptWithKey(key, text);
+}
+
+// Déchiffrer le contenu d'un fichier ; avec la bonne clé, un échec d'authentification
+// GCM signifie que le fichier est altéré : il est mis en quarantaine (erreur ECORRUPT)
+function decryptFileContent(filePath, text) {
+    if (!isEncrypted(text) || !key) {
+        return decrypt(text);
+    }
+
+    try {
+        return decryptWithKey(key, text.trim());
+    } catch (error) {
+        throw rejectCorruptFile(filePath, 'échec du déchiffrement');
+    }
+}
+
+// Lire un fichier JSON protégé ; la valeur par défaut n'est renvoyée que si le fichier
+// n'existe pas, une erreur est levée s'il est verrouillé ou illisible
+function readProtectedJSONFile(filePath, defaultValue) {
+    if (!fs.existsSync(filePath)) {
+        return defaultValue;
+    }
+    return parseJSONContent(filePath, decryptFileContent(filePath, fs.readFileSync(filePath, 'utf8')));
+}
+
+// Vérifier qu'un fichier protégé est lisible, sans la clé si les données sont verrouillées
+// (seule la forme de l'enveloppe est alors contrôlée) ; lève ECORRUPT sinon
+function verifyProtectedJSONFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return;
+    }
+
+    const text = fs.readFileSync(filePath, 'utf8').trim();
+    if (isEncrypted(text) && !key) {
+        if (!/^[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/.test(text.slice(ENCRYPTION_CONFIG.envelopePrefix.length))) {
+            throw rejectCorruptFile(filePath, 'enveloppe chiffrée invalide');
+        }
+        return;
+    }
+    parseJSONContent(filePath, decryptFileContent(filePath, text));
+}
+
+// Écrire un fichier JSON protégé (chiffré dès qu'une phrase secrète est définie)
+function writeProtectedJSONFile(filePath, data) {
+    try {
+        writeFileAtomic(filePath, encrypt(JSON.stringify(data, null, 2)));
+        return true;
+    } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+        return false;
+    }
+}
+
+// Créer un descripteur (sel, itérations, contrôle de clé) pour une phrase secrète
+function createDescriptor(passphrase) {
+    if (!passphrase || passphrase.length < ENCRYPTION_CONFIG.minPassphraseLength) {
+        throw new Error(`La phrase secrète doit contenir au moins ${ENCRYPTION_CONFIG.minPassphraseLength} caractères`);
+    }
+
+    const descriptor = {
+        version: 1,
+        kdf: 'PBKDF2',
+        hash: ENCRYPTION_CONFIG.pbkdf2Hash,
+        iterations: ENCRYPTION_CONFIG.pbkdf2Iterations,
+        salt: crypto.randomBytes(16).toString('base64'),
+        createdAt: new Date().toISOString()
+    };
+    const newKey = deriveKey(passphrase, descriptor);
+    descriptor.check = encryptWithKey(newKey, KEY_CHECK);
+
+    return { descriptor, key: newKey };
+}
+
+// Lire les fichiers patients déchiffrés ; keys : clés à essayer pour chaque enveloppe
+// (une reprise mêle des fichiers sous l'ancienne et sous la nouvelle clé)
+function readPlainFiles({ files = [], lineFiles = [] }, keys) {
+    const decryptAny = text => {
+        if (!isEncrypted(text)) {
+            return text;
+        }
+        for (const candidate of keys.filter(Boolean)) {
+            try {
+                return decryptWithKey(candidate, text.trim());
+            } catch (error) {
+                // Essayer la clé suivante
+            }
+        }
+        throw new Error('Un fichier ne peut être déchiffré ni avec l\'ancienne ni avec la nouvelle phrase secrète');
+    };
+
+    const existing = file => fs.existsSync(file);
+    return {
+        contents: files.filter(existing).map(file => ({ file, text: decryptAny(fs.readFileSync(file, 'utf8')) })),
+        lineContents: lineFiles.filter(existing).map(file => ({
+            file,
+            lines: fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(decryptAny)
+        }))
+    };
+}
+
+// Rechiffrer les fichiers sous la clé du descripteur en attente, puis valider celui-ci
+function commitPassphraseChange(newKey, { contents, lineContents }) {
+    contents.forEach(({ file, text }) => {
+        writeFileAtomic(file, encryptWithKey(newKey, text));
+    });
+    lineContents.forEach(({ file, lines }) => {
+        writeFileAtomic(file, lines.map(line => `${encryptWithKey(newKey, line)}\n`).join(''));
+    });
+
+    fs.renameSync(PENDING_ENCRYPTION_FILE, ENCRYPTION_FILE);
+    fsyncDirectory(path.dirname(ENCRYPTION_FILE));
+
+    key = newKey;
+    return { files: contents.length + lineContents.length };
+}
+
+// Définir ou changer la phrase secrète et (re)chiffrer tous les fichiers patients.
+// files : fichiers JSON entiers ; lineFiles : fichiers JSONL chiffrés ligne par ligne.
+// Tout est déchiffré avant d'écrire quoi que ce soit. Le nouveau descripteur est écrit
+// en attente avant le premier fichier rechiffré : après une interruption, son sel permet
+// de retrouver la nouvelle clé et resumePassphraseChange() termine le travail.
+function changePassphrase(newPassphrase, protectedFiles = {}) {
+    if (hasPendingChange()) {
+        throw new Error('Un changement de phrase secrète a été interrompu : reprenez-le avec node server/manage-encryption.js resume');
+    }
+    if (isLocked()) {
+        throw new Error('Déverrouillez les données avec la phrase secrète actuelle avant de la changer');
+    }
+
+    const plain = readPlainFiles(protectedFiles, [key]);
+    const { descriptor, key: newKey } = createDescriptor(newPassphrase);
+    writeFileAtomic(PENDING_ENCRYPTION_FILE, JSON.stringify(descriptor, null, 2));
+
+    return commitPassphraseChange(newKey, plain);
+}
+
+// Reprendre un changement de phrase secrète interrompu. newPassphrase doit correspondre au
+// descripteur en attente, currentPassphrase à l'ancien (inutile si les données étaient en clair).
+function resumePassphraseChange(newPassphrase, currentPassphrase, protectedFiles = {}) {
+    if (!hasPendingChange()) {
+        throw new Error('Aucun changement de phrase secrète à reprendre');
+    }
+
+    const newKey = checkPassphrase(newPassphrase, loadDescriptor(PENDING_ENCRYPTION_FILE));
+    if (!newKey) {
+        throw new Error('La nouvelle phrase secrète ne correspond pas au changement interrompu');
+    }
+    const previousKey = isConfigured() ? checkPassphrase(currentPassphrase) : null;
+    if (isConfigured() && !previousKey) {
+        throw new Error('Phrase secrète actuelle incorrecte');
+    }
+
+    return commitPassphraseChange(newKey, readPlainFiles(protectedFiles, [newKey, previousKey]));
+}
+
+module.exports = {
+    ENCRYPTION_FILE,
+    PENDING_ENCRYPTION_FILE,
+    isConfigured,
+    hasPendingChange,
+    isUnlocked,
+    isLocked,
+    isEncrypted,
+    unlock,
+    lock,
+    encrypt,
+    decrypt,
+    readProtectedJSONFile,
+    verifyProtectedJSONFile,
+    writeProtectedJSONFile,
+    changePassphrase,
+    resumePassphraseChange
+};
@@ -0,0 +1,144 @@
+/**
+ * Journal d'écriture anticipée des modifications de patients
+ * Chaque modification est ajoutée à data/journal.jsonl et synchronisée sur disque avant
+ * l'écriture de patients.json ; au démarrage, les modifications journalisées sont rejouées
+ * puis le journal est vidé (point de contrôle). Les lignes sont chiffrées comme les patients.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+const { writeFileAtomic, rejectCorruptFile } = require('./json-file');
+
+const JOURNAL_FILE = path.join(__dirname, '..', 'data', 'journal.jsonl');
+
+// Au-delà de ce nombre d'entrées, le journal est vidé après une écriture réussie
+const CHECKPOINT_ENTRIES = 500;
+
+// Dernier numéro de séquence utilisé, chargé à la première écriture
+let lastSeq = null;
+
+// Lire les entrées du journal ; une dernière ligne incomplète (coupure pendant l'ajout)
+// est ignorée, toute autre ligne illisible rend le journal corrompu
+function readEntries() {
+    if (!fs.existsSync(JOURNAL_FILE)) {
+        return [];
+    }
+
+    const lines = fs.readFileSync(JOURNAL_FILE, 'utf8').split('\n');
+    const entries = [];
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index].trim();
+        if (!line) {
+            continue;
+        }
+
+        try {
+            entries.push(JSON.parse(encryption.decrypt(line)));
+        } catch (error) {
+            // Sans saut de ligne final, la dernière ligne est un ajout interrompu
+            if (index === lines.length - 1 && !encryption.isLocked()) {
+                console.error(`Dernière entrée du journal incomplète ignorée : ${JOURNAL_FILE}`);
+                break;
+            }
+            throw encryption.isLocked() ? error : rejectCorruptFile(JOURNAL_FILE, `ligne ${index + 1} illisible`);
+        }
+    }
+    return entries;
+}
+
+// Ajouter une ligne au journal et la synchroniser sur disque
+function appendLine(entry) {
+    const fd = fs.openSync(JOURNAL_FILE, 'a');
+    try {
+        fs.writeSync(fd, `${encryption.encrypt(JSON.stringify(entry))}\n`);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Journaliser une modification avant de l'appliquer ; renvoie son numéro de séquence
+function append(mutation) {
+    if (lastSeq === null) {
+        const entries = readEntries();
+        lastSeq = entries.length > 0 ? entries[entries.length - 1].seq : 0;
+    }
+
+    const entry = { seq: lastSeq + 1, timestamp: new Date().toISOString(), ...mutation };
+    appendLine(entry);
+    lastSeq = entry.seq;
+    return entry.seq;
+}
+
+// Annuler une modification journalisée dont l'écriture a échoué (elle ne sera pas rejouée)
+function abort(seq) {
+    appendLine({ seq: ++lastSeq, timestamp: new Date().toISOString(), aborted: seq });
+}
+
+// Modifications à rejouer, dans l'ordre, sans celles qui ont été annulées
+function pendingEntries() {
+    const entries = readEntries();
+    const aborted = new Set(entries.filter(entry => entry.aborted).map(entry => entry.aborted));
+    return entries.filter(entry => !entry.aborted && !aborted.has(entry.seq));
+}
+
+// Vider le journal une fois toutes ses modifications écrites dans patients.json
+function checkpoint() {
+    writeFileAtomic(JOURNAL_FILE, '');
+    lastSeq = 0;
+}
+
+// Vider le journal s'il devient long (appelé après une écriture réussie)
+function checkpointIfNeeded() {
+    if (lastSeq !== null && lastSeq >= CHECKPOINT_ENTRIES) {
+        checkpoint();
+    }
+}
+
+// Appliquer une modification journalisée ; rejouer une modification déjà écrite est sans effet
+function applyMutation(patients, mutation) {
+    const patientId = mutation.op === 'put' ? mutation.patient.id : mutation.patientId;
+    const index = patients.findIndex(p => p.id === patientId);
+
+    if (mutation.op === 'put') {
+        if (index === -1) {
+            patients.push(mutation.patient);
+        } else {
+            patients[index] = mutation.patient;
+        }
+    } else if (mutation.op === 'delete' && index !== -1) {
+        patients.splice(index, 1);
+    }
+}
+
+// Rejouer dans dataFile (patients.json) les modifications journalisées qui ne l'auraient pas
+// atteint (coupure entre la journalisation et l'écriture), puis vider le journal ;
+// renvoie le nombre de modifications rejouées
+function replay(dataFile) {
+    const entries = pendingEntries();
+
+    if (entries.length > 0) {
+        const stored = encryption.readProtectedJSONFile(dataFile, []);
+        const patients = Array.isArray(stored) ? stored : [];
+        entries.forEach(entry => applyMutation(patients, entry));
+        if (!encryption.writeProtectedJSONFile(dataFile, patients)) {
+            throw new Error('Échec de la réécriture de patients.json à partir du journal');
+        }
+    }
+
+    checkpoint();
+    return entries.length;
+}
+
+module.exports = {
+    JOURNAL_FILE,
+    append,
+    abort,
+    pendingEntries,
+    checkpoint,
+    checkpointIfNeeded,
+    applyMutation,
+    replay
+};
@@ -0,0 +1,115 @@
+/**
+ * Lecture et écriture des fichiers de données JSON du serveur
+ * Les écritures passent par un fichier temporaire synchronisé puis renommé : une coupure
+ * de courant laisse soit l'ancienne version, soit la nouvelle, jamais un fichier tronqué.
+ * Un fichier illisible n'est jamais remplacé par une valeur par défaut : il est copié en
+ * quarantaine et la lecture échoue, pour qu'aucune écriture ne vienne l'écraser.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const QUARANTINE_DIR = path.join(__dirname, '..', 'data', 'quarantine');
+
+// Erreur levée pour un fichier de données corrompu (code ECORRUPT)
+function corruptFileError(filePath, reason, quarantinePath) {
+    const error = new Error(`Fichier de données corrompu : ${filePath} (${reason}) ; copie en quarantaine : ${quarantinePath}`);
+    error.code = 'ECORRUPT';
+    error.filePath = filePath;
+    error.quarantinePath = quarantinePath;
+    return error;
+}
+
+// Copier un fichier corrompu en quarantaine pour une récupération manuelle ;
+// le nom contient l'empreinte du contenu, une même version n'est copiée qu'une fois
+function quarantineFile(filePath) {
+    const content = fs.readFileSync(filePath);
+    const digest = crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+    const target = path.join(QUARANTINE_DIR, `${path.basename(filePath)}.${digest}.corrupt`);
+
+    if (!fs.existsSync(target)) {
+        fs.mkdirSync(QUARANTINE_DIR, { recursive: true });
+        fs.writeFileSync(target, content);
+    }
+    return target;
+}
+
+// Signaler un fichier corrompu : copie en quarantaine puis erreur ECORRUPT
+function rejectCorruptFile(filePath, reason) {
+    return corruptFileError(filePath, reason, quarantineFile(filePath));
+}
+
+// Analyser le contenu JSON d'un fichier ; un contenu illisible est mis en quarantaine
+function parseJSONContent(filePath, text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw rejectCorruptFile(filePath, error.message);
+    }
+}
+
+// Lire un fichier JSON ; la valeur par défaut n'est renvoyée que si le fichier n'existe pas
+function readJSONFile(filePath, defaultValue) {
+    if (!fs.existsSync(filePath)) {
+        return defaultValue;
+    }
+    return parseJSONContent(filePath, fs.readFileSync(filePath, 'utf8'));
+}
+
+// Synchroniser un répertoire sur disque (rend un renommage durable)
+function fsyncDirectory(dirPath) {
+    let fd;
+    try {
+        fd = fs.openSync(dirPath, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Non pris en charge sur certains systèmes (Windows) : le renommage reste atomique
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+// Écrire un fichier de façon atomique : fichier temporaire synchronisé, puis renommage
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+    fsyncDirectory(path.dirname(filePath));
+}
+
+// Écrire un fichier JSON de façon atomique
+function writeJSONFile(filePath, data) {
+    try {
+        writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+        return true;
+    } catch (error) {
+        console.error(`Error writing ${filePath}:`, error);
+        return false;
+    }
+}
+
+module.exports = {
+    QUARANTINE_DIR,
+    readJSONFile,
+    writeJSONFile,
+    writeFileAtomic,
+    fsyncDirectory,
+    parseJSONContent,
+    rejectCorruptFile
+};
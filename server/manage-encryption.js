@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Gestion de la phrase secrète du cabinet (chiffrement au repos des données patients)
+ * Arrêtez le serveur avant de lancer init ou rotate : il garde l'ancienne clé en mémoire.
+ *
+ * Utilisation :
+ *   node server/manage-encryption.js init     Définir la phrase secrète et chiffrer les données
+ *   node server/manage-encryption.js rotate   Changer la phrase secrète et rechiffrer les données
+ *   node server/manage-encryption.js resume   Terminer un init ou un rotate interrompu
+ *   node server/manage-encryption.js status   Afficher l'état du chiffrement
+ */
+
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+const journal = require('./journal');
+const patientHistory = require('./patient-history');
+const patientTrash = require('./patient-trash');
+const attachments = require('./attachments');
+const auditLog = require('./audit-log');
+const { promptHidden } = require('./prompt');
+
+const DATA_FILE = path.join(__dirname, '..', 'data', 'patients.json');
+
+// Fichiers contenant des données patients (le journal d'audit garde les valeurs avant/après)
+function protectedFiles() {
+    return {
+        files: [DATA_FILE, patientTrash.TRASH_FILE, ...attachments.listAttachmentFiles()],
+        lineFiles: [journal.JOURNAL_FILE, auditLog.AUDIT_FILE, ...patientHistory.listHistoryFiles()]
+    };
+}
+
+// Vérifier que la nouvelle phrase secrète a été saisie deux fois à l'identique
+function confirmedPassphrase(passphrase, confirmation) {
+    if (passphrase !== confirmation) {
+        throw new Error('Les phrases secrètes ne correspondent pas');
+    }
+    return passphrase;
+}
+
+async function main() {
+    const [command] = process.argv.slice(2);
+
+    switch (command) {
+        case 'init': {
+            if (encryption.isConfigured()) {
+                throw new Error('La phrase secrète est déjà définie (utilisez rotate pour la changer)');
+            }
+            const [passphrase, confirmation] = await promptHidden([
+                'Phrase secrète du cabinet : ',
+                'Confirmer la phrase secrète : '
+            ]);
+            const result = encryption.changePassphrase(confirmedPassphrase(passphrase, confirmation), protectedFiles());
+            console.log(`✅ Données patients chiffrées (${result.files} fichiers)`);
+            console.log('   Conservez la phrase secrète en lieu sûr : sans elle, les données sont irrécupérables.');
+            break;
+        }
+        case 'rotate': {
+            if (!encryption.isConfigured()) {
+                throw new Error('Aucune phrase secrète définie (utilisez init)');
+            }
+            const [current, passphrase, confirmation] = await promptHidden([
+                'Phrase secrète actuelle : ',
+                'Nouvelle phrase secrète : ',
+                'Confirmer la nouvelle phrase secrète : '
+            ]);
+            if (!encryption.unlock(current)) {
+                throw new Error('Phrase secrète actuelle incorrecte');
+            }
+            const result = encryption.changePassphrase(confirmedPassphrase(passphrase, confirmation), protectedFiles());
+            console.log(`✅ Phrase secrète changée, ${result.files} fichiers rechiffrés`);
+            console.log('   Chaque poste rechiffre ses données locales à la prochaine connexion (ancienne phrase demandée).');
+            break;
+        }
+        case 'resume': {
+            if (!encryption.hasPendingChange()) {
+                throw new Error('Aucun changement de phrase secrète à reprendre');
+            }
+            const prompts = ['Nouvelle phrase secrète (celle du changement interrompu) : '];
+            if (encryption.isConfigured()) {
+                prompts.unshift('Phrase secrète actuelle (avant le changement) : ');
+            }
+            const answers = await promptHidden(prompts);
+            const passphrase = answers[answers.length - 1];
+            const current = answers.length > 1 ? answers[0] : null;
+            const result = encryption.resumePassphraseChange(passphrase, current, protectedFiles());
+            console.log(`✅ Changement de phrase secrète terminé, ${result.files} fichiers chiffrés`);
+            break;
+        }
+        case 'status': {
+            if (encryption.hasPendingChange()) {
+                console.log('⚠️  Un changement de phrase secrète a été interrompu : node server/manage-encryption.js resume');
+            }
+            if (!encryption.isConfigured()) {
+                console.log('Données non chiffrées (aucune phrase secrète définie)');
+                break;
+            }
+            const descriptor = JSON.parse(fs.readFileSync(encryption.ENCRYPTION_FILE, 'utf8'));
+            const { files, lineFiles } = protectedFiles();
+            const clearFiles = files.concat(lineFiles)
+                .filter(file => fs.existsSync(file))
+                .filter(file => {
+                    const text = fs.readFileSync(file, 'utf8').trim();
+                    return text && !encryption.isEncrypted(text);
+                });
+
+            console.log(`Chiffrement : AES-256-GCM, clé ${descriptor.kdf}-${descriptor.hash} (${descriptor.iterations} itérations)`);
+            console.log(`Phrase secrète définie le : ${descriptor.createdAt}`);
+            if (clearFiles.length > 0) {
+                console.log(`⚠️  Fichiers encore en clair : ${clearFiles.map(file => path.basename(file)).join(', ')}`);
+            }
+            break;
+        }
+        default:
+            console.log('Utilisation : node server/manage-encryption.js <init|rotate|resume|status>');
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * Gestion des comptes utilisateurs du serveur
+ *
+ * Utilisation :
+ *   node server/manage-users.js add <identifiant> [nom affiché] [--role=doctor|secretary|auditor]
+ *   node server/manage-users.js passwd <identifiant>
+ *   node server/manage-users.js role <identifiant> <doctor|secretary|auditor>
+ *   node server/manage-users.js remove <identifiant>
+ *   node server/manage-users.js list
+ */
+
+const fs = require('fs');
+const path = require('path');
+const auth = require('./auth');
+const { promptNewSecret } = require('./prompt');
+
+// Saisir et confirmer un nouveau mot de passe, sans l'afficher dans le terminal
+function promptNewPassword() {
+    return promptNewSecret('Mot de passe : ', 'Confirmer le mot de passe : ', 'Les mots de passe ne correspondent pas');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const roleOption = args.find(arg => arg.startsWith('--role='));
+    const [command, username, ...rest] = args.filter(arg => arg !== roleOption);
+    const user = username ? auth.findUser(username) : null;
+
+    const dataDir = path.dirname(auth.USERS_FILE);
+    if (!fs.existsSync(dataDir)) {
+        fs.mkdirSync(dataDir);
+    }
+
+    switch (command) {
+        case 'add': {
+            if (!username) {
+                throw new Error('Identifiant requis');
+            }
+            if (user) {
+                throw new Error(`Le compte ${username} existe déjà (utilisez passwd pour changer le mot de passe)`);
+            }
+            const created = await auth.createUser({
+                username: username,
+                displayName: rest.join(' ') || undefined,
+                role: roleOption ? roleOption.slice('--role='.length) : undefined,
+                password: await promptNewPassword()
+            });
+            console.log(`✅ Compte ${created.username} (${created.role}) créé`);
+            break;
+        }
+        case 'passwd': {
+            if (!user) {
+                throw new Error(`Compte introuvable : ${username}`);
+            }
+            await auth.updateUser(user.id, { password: await promptNewPassword() });
+            console.log(`✅ Mot de passe de ${username} modifié`);
+            break;
+        }
+        case 'role': {
+            if (!user) {
+                throw new Error(`Compte introuvable : ${username}`);
+            }
+            if (!rest[0]) {
+                throw new Error('Rôle requis');
+            }
+            await auth.updateUser(user.id, { role: rest[0] });
+            console.log(`✅ Rôle de ${username} : ${rest[0]}`);
+            break;
+        }
+        case 'remove': {
+            if (!user || !auth.removeUser(user.id)) {
+                throw new Error(`Compte introuvable : ${username}`);
+            }
+            console.log(`✅ Compte ${username} supprimé`);
+            break;
+        }
+        case 'list': {
+            const users = auth.loadUsers();
+            if (users.length === 0) {
+                console.log('Aucun compte utilisateur');
+            }
+            users.map(auth.publicUser).forEach(account => {
+                console.log(`${account.username}\t${account.role}\t${account.displayName}`);
+            });
+            break;
+        }
+        default:
+            console.log('Utilisation : node server/manage-users.js <add|passwd|role|remove|list> [identifiant] [...]');
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,87 @@
+/**
+ * Historique des révisions des patients
+ * Chaque version enregistrée d'un patient est ajoutée à data/history/<id>.jsonl,
+ * une ligne par révision, chiffrée comme le fichier des patients
+ */
+
+const fs = require('fs');
+const path = require('path');
+const encryption = require('./encryption');
+
+const HISTORY_DIR = path.join(__dirname, '..', 'data', 'history');
+
+// Chemin du fichier d'historique d'un patient (identifiant neutralisé)
+function historyFile(patientId) {
+    return path.join(HISTORY_DIR, `${encodeURIComponent(patientId)}.jsonl`);
+}
+
+// Ajouter la version enregistrée d'un patient à son historique ; la version remplacée
+// (previous) sert de point de départ aux patients enregistrés avant l'historique
+function recordRevision(patient, user, previous = null) {
+    try {
+        if (!fs.existsSync(HISTORY_DIR)) {
+            fs.mkdirSync(HISTORY_DIR, { recursive: true });
+        }
+
+        if (previous && !fs.existsSync(historyFile(patient.id))) {
+            const baseline = {
+                revision: previous.revision || 0,
+                savedAt: previous.updatedAt || previous.createdAt,
+                savedBy: null,
+                data: previous
+            };
+            fs.appendFileSync(historyFile(patient.id), `${encryption.encrypt(JSON.stringify(baseline))}\n`);
+        }
+
+        const entry = {
+            revision: patient.revision || 0,
+            savedAt: patient.updatedAt,
+            savedBy: user ? user.displayName || user.username : null,
+            data: patient
+        };
+        fs.appendFileSync(historyFile(patient.id), `${encryption.encrypt(JSON.stringify(entry))}\n`);
+        return true;
+    } catch (error) {
+        console.error(`Échec de l'enregistrement de l'historique du patient ${patient.id} :`, error);
+        return false;
+    }
+}
+
+// Lire toutes les révisions d'un patient, de la plus ancienne à la plus récente
+function loadHistory(patientId) {
+    const filePath = historyFile(patientId);
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(encryption.decrypt(line));
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.revision - b.revision);
+}
+
+// Fichiers d'historique existants (pour le changement de phrase secrète)
+function listHistoryFiles() {
+    if (!fs.existsSync(HISTORY_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(HISTORY_DIR)
+        .filter(name => name.endsWith('.jsonl'))
+        .map(name => path.join(HISTORY_DIR, name));
+}
+
+module.exports = {
+    HISTORY_DIR,
+    historyFile,
+    recordRevision,
+    loadHistory,
+    listHistoryFiles
+};
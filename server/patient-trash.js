@@ -0,0 +1,97 @@
+/**
+ * Corbeille des patients supprimés
+ * Les patients supprimés sont conservés dans data/trash.json avec l'auteur et la date
+ * de suppression, puis purgés définitivement après la durée de rétention
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readProtectedJSONFile, writeProtectedJSONFile } = require('./encryption');
+const patientHistory = require('./patient-history');
+const attachments = require('./attachments');
+const { TRASH_CONFIG } = require('../js/utils/constants');
+
+const TRASH_FILE = path.join(__dirname, '..', 'data', 'trash.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Durée de rétention en jours, modifiable par la variable d'environnement TRASH_RETENTION_DAYS
+const RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) > 0 ?
+    Number(process.env.TRASH_RETENTION_DAYS) : TRASH_CONFIG.retentionDays;
+
+// Charger les entrées de la corbeille
+function loadTrash() {
+    const entries = readProtectedJSONFile(TRASH_FILE, []);
+    return Array.isArray(entries) ? entries : [];
+}
+
+// Sauvegarder les entrées de la corbeille
+function saveTrash(entries) {
+    return writeProtectedJSONFile(TRASH_FILE, entries);
+}
+
+// Date à laquelle une entrée sera purgée automatiquement
+function purgeDate(entry) {
+    return entry.deletedAt + RETENTION_DAYS * DAY_MS;
+}
+
+// Lister la corbeille, les suppressions les plus récentes d'abord
+function listTrash() {
+    return loadTrash()
+        .map(entry => ({ ...entry, purgeAt: purgeDate(entry) }))
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+// Placer un patient supprimé dans la corbeille
+function moveToTrash(patient, user) {
+    const entries = loadTrash().filter(entry => entry.patient.id !== patient.id);
+    entries.push({
+        patient,
+        deletedAt: Date.now(),
+        deletedBy: user ? user.displayName || user.username : null
+    });
+    return saveTrash(entries);
+}
+
+// Retirer un patient de la corbeille ; renvoie son entrée, ou null s'il n'y est pas
+function takeFromTrash(patientId) {
+    const entries = loadTrash();
+    const index = entries.findIndex(entry => entry.patient.id === patientId);
+    if (index === -1) {
+        return null;
+    }
+
+    const [entry] = entries.splice(index, 1);
+    if (!saveTrash(entries)) {
+        throw new Error('Échec de la mise à jour de la corbeille');
+    }
+    return entry;
+}
+
+// Supprimer définitivement un patient de la corbeille, avec son historique de révisions
+// et ses pièces jointes
+function purgeFromTrash(patientId) {
+    const entry = takeFromTrash(patientId);
+    if (entry) {
+        fs.rmSync(patientHistory.historyFile(patientId), { force: true });
+        attachments.removePatientAttachments(patientId);
+    }
+    return entry;
+}
+
+// Purger les entrées dont la durée de rétention est écoulée ; renvoie les entrées purgées
+function purgeExpired(now = Date.now()) {
+    return loadTrash()
+        .filter(entry => purgeDate(entry) <= now)
+        .map(entry => purgeFromTrash(entry.patient.id))
+        .filter(Boolean);
+}
+
+module.exports = {
+    TRASH_FILE,
+    RETENTION_DAYS,
+    listTrash,
+    moveToTrash,
+    takeFromTrash,
+    purgeFromTrash,
+    purgeExpired
+};
@@ -0,0 +1,99 @@
+/**
+ * Validation des dossiers patients côté serveur
+ * Réutilise le modèle Patient du navigateur afin d'appliquer exactement les mêmes règles
+ */
+
+const { VALIDATION_RULES, ERROR_MESSAGES } = require('../js/utils/constants');
+const helpers = require('../js/utils/helpers');
+const pft = require('../js/utils/pft');
+const vitals = require('../js/utils/vitals');
+const tobacco = require('../js/utils/tobacco');
+const questionnaires = require('../js/utils/questionnaires');
+const classification = require('../js/utils/classification');
+const problems = require('../js/utils/problems');
+const medications = require('../js/utils/medications');
+const allergies = require('../js/utils/allergies');
+const appointments = require('../js/utils/appointments');
+const sleep = require('../js/utils/sleep');
+const tuberculosis = require('../js/utils/tuberculosis');
+const homeTherapy = require('../js/utils/homeTherapy');
+const labs = require('../js/utils/labs');
+
+// Le modèle Patient s'appuie sur les globales chargées par les balises <script> du navigateur
+Object.assign(global, {
+    VALIDATION_RULES,
+    ERROR_MESSAGES,
+    generateId: helpers.generateId,
+    getCurrentTimestamp: helpers.getCurrentTimestamp,
+    calculateAge: helpers.calculateAge,
+    containsSearchTerm: helpers.containsSearchTerm,
+    parseMeasurement: helpers.parseMeasurement,
+    normalizePft: pft.normalizePft,
+    validatePft: pft.validatePft,
+    normalizeLabResults: labs.normalizeLabResults,
+    validateLabResults: labs.validateLabResults,
+    normalizeVitals: vitals.normalizeVitals,
+    validateVitals: vitals.validateVitals,
+    validateTobacco: tobacco.validateTobacco,
+    normalizeQuestionnaires: questionnaires.normalizeQuestionnaires,
+    validateQuestionnaires: questionnaires.validateQuestionnaires,
+    normalizeExacerbations: classification.normalizeExacerbations,
+    normalizeAsthmaStep: classification.normalizeAsthmaStep,
+    validateClassificationInputs: classification.validateClassificationInputs,
+    validateRespiratoryDiagnoses: classification.validateRespiratoryDiagnoses,
+    validateProblems: problems.validateProblems,
+    normalizeTreatments: medications.normalizeTreatments,
+    carryForwardTreatments: medications.carryForwardTreatments,
+    validateTreatments: medications.validateTreatments,
+    validateAllergies: allergies.validateAllergies,
+    validateNextAppointment: appointments.validateNextAppointment,
+    validateSleepStudies: sleep.validateSleepStudies,
+    validateCpapLog: sleep.validateCpapLog,
+    validateTbEpisodes: tuberculosis.validateTbEpisodes,
+    validateHomeTherapies: homeTherapy.validateHomeTherapies
+});
+
+const Patient = require('../js/models/Patient');
+
+/**
+ * Valider un dossier patient complet
+ * @param {Object} patientData - Données du patient
+ * @returns {Object} Résultat avec isValid et errors
+ */
+function validatePatient(patientData) {
+    if (!patientData || typeof patientData !== 'object' || Array.isArray(patientData)) {
+        return {
+            isValid: false,
+            errors: [{ field: 'general', message: 'Invalid patient data provided' }]
+        };
+    }
+
+    return new Patient(patientData).validate();
+}
+
+/**
+ * Valider une visite isolée
+ * @param {Object} visitData - Données de la visite
+ * @returns {Object} Résultat avec isValid et errors
+ */
+function validateVisit(visitData) {
+    if (!visitData || typeof visitData !== 'object' || Array.isArray(visitData)) {
+        return {
+            isValid: false,
+            errors: [{ field: 'general', message: 'Invalid visit data provided' }]
+        };
+    }
+
+    const errors = new Patient().validateVisit(visitData);
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+module.exports = {
+    Patient,
+    validatePatient,
+    validateVisit,
+    generateId: helpers.generateId
+};
@@ -0,0 +1,71 @@
+/**
+ * Saisie de secrets dans le terminal pour les scripts d'administration
+ * Les réponses ne sont pas affichées ; les lignes reçues par un tube sont acceptées aussi
+ */
+
+const readline = require('readline');
+
+// Poser des questions sans afficher les réponses ; renvoie les réponses dans l'ordre
+async function promptHidden(questions) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        terminal: Boolean(process.stdin.isTTY)
+    });
+    const pendingLines = [];
+    const waiting = [];
+    let muted = false;
+
+    rl._writeToOutput = text => {
+        if (!muted) {
+            rl.output.write(text);
+        }
+    };
+    rl.on('line', line => {
+        if (waiting.length > 0) {
+            waiting.shift()(line);
+        } else {
+            pendingLines.push(line);
+        }
+    });
+
+    const ask = question => new Promise(resolve => {
+        process.stdout.write(question);
+        muted = true;
+        const done = answer => {
+            muted = false;
+            process.stdout.write('\n');
+            resolve(answer);
+        };
+        if (pendingLines.length > 0) {
+            done(pendingLines.shift());
+        } else {
+            waiting.push(done);
+        }
+    });
+
+    try {
+        const answers = [];
+        for (const question of questions) {
+            answers.push(await ask(question));
+        }
+        return answers;
+    } finally {
+        rl.close();
+    }
+}
+
+// Saisir et confirmer un nouveau secret
+async function promptNewSecret(question, confirmation, mismatchMessage) {
+    const [secret, repeated] = await promptHidden([question, confirmation]);
+
+    if (secret !== repeated) {
+        throw new Error(mismatchMessage);
+    }
+    return secret;
+}
+
+module.exports = {
+    promptHidden,
+    promptNewSecret
+};